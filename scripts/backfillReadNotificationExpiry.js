@@ -0,0 +1,20 @@
+'use strict';
+
+// One-off: gives notifications read before the read TTL existed an expiresAt
+// so the TTL index removes them too. Safe to re-run.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { backfillReadNotificationExpiry } = require('../src/services/notification.service');
+
+async function main() {
+  await mongoose.connect(process.env.MONGO_URI);
+  const count = await backfillReadNotificationExpiry();
+  console.log(`Backfilled expiresAt on ${count} read notifications`);
+}
+
+main()
+  .catch((error) => {
+    console.error('READ_NOTIFICATION_EXPIRY_BACKFILL_FAILED', error?.message || error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
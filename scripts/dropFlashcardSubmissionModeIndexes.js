@@ -0,0 +1,35 @@
+'use strict';
+
+// One-off: flashcard submissions became unique per study mode, and the old
+// per-set/per-assignment unique indexes would reject a second mode's result.
+// Drops them where they still exist. Safe to re-run.
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const OLD_INDEXES = ['flashcardSetId_1_userId_1', 'assignmentId_1_userId_1'];
+
+async function main() {
+  await mongoose.connect(process.env.MONGO_URI);
+  const flashcardSubmissions = mongoose.connection.collection('flashcardsubmissions');
+  let indexes;
+  try {
+    indexes = await flashcardSubmissions.indexes();
+  } catch (error) {
+    if (error?.codeName !== 'NamespaceNotFound') throw error;
+    console.log('No flashcardsubmissions collection; nothing to drop');
+    return;
+  }
+  for (const name of OLD_INDEXES) {
+    if (indexes.some((index) => index.name === name)) {
+      await flashcardSubmissions.dropIndex(name);
+      console.log(`Dropped flashcardsubmissions ${name} index`);
+    }
+  }
+}
+
+main()
+  .catch((error) => {
+    console.error('FLASHCARD_SUBMISSION_INDEX_MIGRATION_FAILED', error?.message || error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
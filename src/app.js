@@ -28,11 +28,13 @@ const feedbackRoutes = require("./routes/feedback.routes");
 const pdfRoutes = require("./routes/pdf.routes");
 const plansRoutes = require("./routes/plans.routes");
 const subscriptionRoutes = require("./routes/subscription.routes");
+const organizationRoutes = require("./routes/organization.routes");
 const writingCorrectionsRoutes = require("./routes/writingCorrections.routes");
 const notificationRoutes = require("./routes/notification.routes");
 const rubricRoutes = require("./routes/rubric.routes");
 const flashcardRoutes = require("./routes/flashcard.routes");
 const sharedFlashcardRoutes = require("./routes/sharedFlashcard.routes");
+const libraryRoutes = require("./routes/library.routes");
 const worksheetRoutes = require("./routes/worksheet.routes");
 const unsplashRoutes = require("./routes/unsplash.routes");
 const adaptivePracticeRoutes = require("./routes/adaptivePractice.routes");
@@ -191,11 +193,13 @@ app.use("/api/feedback", feedbackRoutes);
 app.use("/api/pdf", pdfRoutes);
 app.use("/api/plans", plansRoutes);
 app.use("/api/subscription", subscriptionRoutes);
+app.use("/api/organizations", organizationRoutes);
 app.use("/api/writing-corrections", writingCorrectionsRoutes);
 app.use("/api/notifications", notificationRoutes);
 app.use("/api/rubrics", rubricRoutes);
 app.use("/api/flashcards", flashcardRoutes);
 app.use("/api/shared", sharedFlashcardRoutes);
+app.use("/api/library", libraryRoutes);
 app.use("/api/worksheets/generate/text", worksheetTextRoute);
 app.use("/api/worksheets/generate/file", worksheetFileRoute);
 app.use("/api/worksheet-documents", worksheetDocumentRoute);
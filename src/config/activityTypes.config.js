@@ -235,13 +235,27 @@ const ACTIVITY_TYPES = {
     id: 'wordSearch',
     label: 'Word Search',
     description: 'Find hidden words in a grid',
-    aiInstruction: 'Create a word search activity with 8-12 vocabulary words related to the topic. Provide the word list and grid size.',
+    aiInstruction: 'Create a word search activity with 8-12 vocabulary words related to the topic. Provide the word list and grid size. Do not build the grid; the server lays it out.',
+    // grid, placements and seed are filled in by wordGrid.service; the seed reproduces the layout
     dataStructure: {
       title: 'string',
       instructions: 'string',
       words: ['string'],
       gridSize: 'number',
-      difficulty: 'string'
+      difficulty: 'easy|medium|hard',
+      seed: 'string',
+      grid: ['string'],
+      placements: [
+        {
+          id: 'string',
+          word: 'string',
+          answer: 'string',
+          row: 'number',
+          col: 'number',
+          direction: 'string',
+          length: 'number'
+        }
+      ]
     },
     minWords: 8,
     maxWords: 15
@@ -252,17 +266,26 @@ const ACTIVITY_TYPES = {
     id: 'crossword',
     label: 'Crossword Puzzle',
     description: 'Complete a crossword puzzle',
-    aiInstruction: 'Create a crossword puzzle with 8-12 words. Provide clues for across and down directions.',
+    aiInstruction: 'Create a crossword puzzle with 8-12 words. Provide a clue for each word. Do not place the words; the server lays out the grid and numbers the clues.',
+    // Placement fields, solution and seed are filled in by wordGrid.service
     dataStructure: {
       title: 'string',
       instructions: 'string',
+      seed: 'string',
+      rows: 'number',
+      cols: 'number',
+      solution: ['string'],
       words: [
         {
+          id: 'string',
+          number: 'number',
           word: 'string',
+          answer: 'string',
           clue: 'string',
           direction: 'across|down',
           row: 'number',
-          col: 'number'
+          col: 'number',
+          length: 'number'
         }
       ]
     },
@@ -291,6 +314,105 @@ const ACTIVITY_TYPES = {
     },
     minItems: 6,
     maxItems: 12
+  },
+
+  // Activity 13: Cloze Passage
+  clozePassage: {
+    id: 'clozePassage',
+    label: 'Cloze Passage',
+    description: 'Complete a continuous passage using a word bank',
+    aiInstruction: 'Create one connected passage of 120-250 words split into text and blank parts, with 8-12 blanks. Each blank has a blankId and a correctAnswer (a single word or short phrase). The word bank holds every correct answer plus 2-3 plausible distractors.',
+    dataStructure: {
+      title: 'string',
+      instructions: 'string',
+      wordBank: ['string'],
+      passage: [
+        {
+          type: 'text',
+          value: 'string'
+        },
+        {
+          type: 'blank',
+          blankId: 'string',
+          correctAnswer: 'string',
+          acceptedAnswers: ['string (optional)']
+        }
+      ]
+    },
+    minBlanks: 6,
+    maxBlanks: 15
+  },
+
+  // Activity 14: Reading Comprehension
+  readingComprehension: {
+    id: 'readingComprehension',
+    label: 'Reading Comprehension',
+    description: 'Read a passage and answer a mixed set of questions about it',
+    aiInstruction: 'Write a reading passage of 150-300 words, then 5-8 questions about it mixing questionType "multipleChoice" (4 options, correctAnswer is one option), "trueFalse" (correctAnswer is a boolean) and "shortAnswer" (correctAnswer is a short phrase from the passage, with acceptedAnswers for common rewordings). Every answer must be supported by the passage.',
+    dataStructure: {
+      title: 'string',
+      instructions: 'string',
+      passageTitle: 'string',
+      passage: 'string',
+      questions: [
+        {
+          id: 'string',
+          questionType: 'multipleChoice|trueFalse|shortAnswer',
+          text: 'string',
+          options: ['string (multipleChoice only)'],
+          correctAnswer: 'string|boolean',
+          acceptedAnswers: ['string (shortAnswer only, optional)'],
+          explanation: 'string'
+        }
+      ]
+    },
+    minQuestions: 4,
+    maxQuestions: 10
+  },
+
+  // Activity 15: Error Correction
+  errorCorrection: {
+    id: 'errorCorrection',
+    label: 'Find and Fix the Error',
+    description: 'Find the mistake in each sentence and correct it',
+    aiInstruction: 'Create 5-8 sentences that each contain exactly one language error (grammar, word form or spelling) related to the topic. For each, give errorText (the wrong word or phrase exactly as it appears in the sentence), correction (what replaces it) and a one-sentence explanation.',
+    dataStructure: {
+      title: 'string',
+      instructions: 'string',
+      sentences: [
+        {
+          id: 'string',
+          text: 'string',
+          errorText: 'string',
+          correction: 'string',
+          explanation: 'string'
+        }
+      ]
+    },
+    minSentences: 4,
+    maxSentences: 10
+  },
+
+  // Activity 16: Dictation from Text (no audio)
+  dictation: {
+    id: 'dictation',
+    label: 'Dictation (from text)',
+    description: 'Read or hear a sentence once, then write it from memory',
+    aiInstruction: 'Create 5-8 short sentences (6-14 words) using the target vocabulary and grammar. The sentence is shown for displaySeconds (or read aloud by the teacher) and then hidden while the student writes it. Add an optional hint such as the number of words.',
+    dataStructure: {
+      title: 'string',
+      instructions: 'string',
+      displaySeconds: 'number',
+      sentences: [
+        {
+          id: 'string',
+          text: 'string',
+          hint: 'string (optional)'
+        }
+      ]
+    },
+    minSentences: 4,
+    maxSentences: 10
   }
 };
 
@@ -364,6 +486,24 @@ function validateActivityData(typeId, data) {
       );
     case 'shortAnswer':
       return Array.isArray(data.questions);
+    case 'clozePassage':
+      return Array.isArray(data.wordBank) && Array.isArray(data.passage) &&
+        data.passage.some(part => part && part.type === 'blank');
+    case 'readingComprehension':
+      return typeof data.passage === 'string' && data.passage.trim().length > 0 &&
+        Array.isArray(data.questions) && data.questions.length > 0;
+    case 'errorCorrection':
+      return Array.isArray(data.sentences) && data.sentences.every(s =>
+        s && typeof s.errorText === 'string' && typeof s.correction === 'string'
+      );
+    case 'wordSearch':
+      return Array.isArray(data.words) && data.words.every(w => typeof w === 'string');
+    case 'crossword':
+      return Array.isArray(data.words) && data.words.every(w =>
+        w && typeof w.word === 'string' && typeof w.clue === 'string'
+      );
+    case 'dictation':
+      return Array.isArray(data.sentences) && data.sentences.every(s => s && typeof s.text === 'string');
     default:
       return true;
   }
@@ -0,0 +1,17 @@
+'use strict';
+
+// flip: the original know/learning card player, and the mode assignments are graded on.
+// The others are practice modes generated from the set by flashcardStudyModes.service.
+const FLASHCARD_STUDY_MODES = Object.freeze(['flip', 'learn', 'match', 'written', 'multiple_choice']);
+const DEFAULT_STUDY_MODE = 'flip';
+
+/** Matches flip submissions, including ones saved before submissions had a mode. */
+function primaryStudyModeFilter() {
+  return { mode: { $in: [DEFAULT_STUDY_MODE, null] } };
+}
+
+module.exports = {
+  FLASHCARD_STUDY_MODES,
+  DEFAULT_STUDY_MODE,
+  primaryStudyModeFilter
+};
@@ -0,0 +1,22 @@
+'use strict';
+
+// Types passed to createNotification across the controllers and services.
+const NOTIFICATION_TYPES = Object.freeze([
+  'assignment_uploaded',
+  'assignment_submitted',
+  'assignment_removed',
+  'student_joined',
+  'grades_released',
+  'billing_update'
+]);
+
+// in_app: stored and streamed only; email: also emailed right away;
+// digest: also included in the daily digest email; off: not created at all.
+const NOTIFICATION_CHANNELS = Object.freeze(['in_app', 'email', 'digest', 'off']);
+const DEFAULT_NOTIFICATION_CHANNEL = 'in_app';
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_CHANNELS,
+  DEFAULT_NOTIFICATION_CHANNEL
+};
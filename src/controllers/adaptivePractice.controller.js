@@ -3,12 +3,15 @@
 const service = require('../services/adaptivePractice.service');
 const attemptService = require('../services/adaptivePracticeAttempt.service');
 const teacherService = require('../services/teacherAdaptivePractice.service');
+const { PlanEntitlementError, reserveAdaptiveGeneration } = require('../services/planEntitlement.service');
+const { sendEntitlementError } = require('../middlewares/planFeature.middleware');
 
 function send(res, status, data) {
   return res.status(status).json({ success: true, data });
 }
 
 function handleError(res, error) {
+  if (error instanceof PlanEntitlementError) return sendEntitlementError(res, error);
   const status = Number(error?.status) || 500;
   return res.status(status).json({
     success: false,
@@ -33,7 +36,10 @@ async function generateSession(req, res) {
     }
     const data = await service.generateSession(req.params.submissionId, req.user._id, {
       retry: req.body?.retry === true,
-      requestReceivedAt
+      requestReceivedAt,
+      reserveGeneration: req.entitlement
+        ? () => reserveAdaptiveGeneration({ teacher: req.entitlement.account, plan: req.entitlement.plan })
+        : null
     });
     return send(res, data.state === 'generating' ? 202 : 200, data);
   } catch (error) {
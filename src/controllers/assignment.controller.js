@@ -6,11 +6,15 @@ const Class = require('../models/class.model');
 const Membership = require('../models/membership.model');
 const Submission = require('../models/Submission');
 const FlashcardSubmission = require('../models/FlashcardSubmission');
+const { primaryStudyModeFilter } = require('../constants/flashcard.constants');
 const FlashcardSet = require('../models/FlashcardSet');
 const WorksheetSubmission = require('../models/WorksheetSubmission');
 const Worksheet = require('../models/Worksheet');
 const SubmissionFeedback = require('../models/SubmissionFeedback');
 const staleAssignmentEvaluation = require('../services/staleAssignmentEvaluation.service');
+const latePenalty = require('../services/latePenalty.service');
+const { gradeSessionAnswers, sessionScore } = require('../services/flashcardAnswerGrading.service');
+const gradeRelease = require('../services/gradeRelease.service');
 const { currentEvaluationSettings } = require('../services/evaluationSettingsContext.service');
 
 const {
@@ -25,7 +29,7 @@ const {
 
 const { incrementUsage } = require('../middlewares/usage.middleware');
 const logger = require('../utils/logger');
-const { createNotification } = require('../services/notification.service');
+const { createNotification, loadNotificationRecipients } = require('../services/notification.service');
 const { normalizeRubricDesignerPayload } = require('../utils/rubricNormalizer');
 const { repairAiRubric } = require('../utils/aiRubricRepair');
 const { completeRubric } = require('../services/rubricCompletion.service');
@@ -757,11 +761,13 @@ async function createAssignment(req, res) {
             const className = classDoc && classDoc.name ? String(classDoc.name) : 'Class';
             const typeLabel = created.resourceType === 'flashcard' ? 'flashcard set'
               : created.resourceType === 'worksheet' ? 'worksheet' : 'assignment';
+            const recipients = await loadNotificationRecipients(studentIds);
 
             await Promise.all(
               studentIds.map((studentId) =>
                 createNotification({
                   recipientId: studentId,
+                  recipient: recipients.get(String(studentId)) || null,
                   actorId: teacherId,
                   type: 'assignment_uploaded',
                   title: `New ${typeLabel} assigned`,
@@ -1150,10 +1156,12 @@ async function deleteAssignment(req, res) {
         const className = classDoc && classDoc.name ? String(classDoc.name) : 'Class';
         const typeLabel = resourceType === 'flashcard' ? 'flashcard set'
           : resourceType === 'worksheet' ? 'worksheet' : 'assignment';
+        const recipients = await loadNotificationRecipients(studentIds);
 
         await Promise.all(studentIds.map((studentId) =>
           createNotification({
             recipientId: studentId,
+            recipient: recipients.get(String(studentId)) || null,
             actorId: teacherId,
             type: 'assignment_removed',
             title: `${assignment.title} removed`,
@@ -1246,7 +1254,8 @@ async function getClassAssignments(req, res) {
           });
         } else if (assignment.resourceType === 'flashcard') {
           submittedCount = await FlashcardSubmission.countDocuments({
-            assignmentId: assignment._id
+            assignmentId: assignment._id,
+            ...primaryStudyModeFilter()
           });
         } else if (assignment.resourceType === 'worksheet') {
           submittedCount = await WorksheetSubmission.countDocuments({
@@ -1544,10 +1553,12 @@ async function getAssignmentById(req, res) {
 
 /**
  * POST /api/assignments/:id/submit — student submits a flashcard assignment result.
+ * Typed answers are graded and the score computed on the server; only
+ * `cardId`, `studentAnswer` and `known` are kept from each card result.
  * @param {string} req.params.id — assignmentId
- * @param {number} req.body.score — percentage 0-100
  * @param {number} req.body.timeTaken — seconds
  * @param {Array}  req.body.results — array of { cardId, status }
+ * @param {Array}  req.body.cardResults — array of { cardId, studentAnswer?, known? }
  * @returns {object} FlashcardSubmission document
  */
 async function submitFlashcardAssignment(req, res) {
@@ -1573,21 +1584,33 @@ async function submitFlashcardAssignment(req, res) {
     const membership = await Membership.findOne({ student: studentId, class: filteredAssignment.class, status: 'active' });
     if (!membership) return sendError(res, 403, 'Not enrolled in this class');
 
-    const existing = await FlashcardSubmission.findOne({ assignmentId, userId: studentId });
-    const { score, timeTaken, results, completedAt, template, totalCards, cardResults } = req.body || {};
+    const existing = await FlashcardSubmission.findOne({ assignmentId, userId: studentId, ...primaryStudyModeFilter() });
+    const { timeTaken, results, completedAt, template, cardResults } = req.body || {};
+    const set = await FlashcardSet.findById(filteredAssignment.resourceId).select('cards').lean();
+    const cards = set?.cards || [];
+    const cardIds = new Set(cards.map((card) => String(card._id)));
+    const studyResults = (Array.isArray(results) ? results : [])
+      .filter((result) => result && cardIds.has(String(result.cardId)) && ['know', 'learning'].includes(result.status))
+      .map(({ cardId, status }) => ({ cardId, status }));
+    const gradedCardResults = await gradeSessionAnswers(cards, cardResults);
+    const score = sessionScore(cards, gradedCardResults, studyResults);
     const resolvedTemplate = ['term-def', 'qa', 'concept'].includes(template) ? template : 'term-def';
+    // Lateness is judged on server receipt time; the client-reported completedAt is informational.
+    const deadline = filteredAssignment.deadline ? new Date(filteredAssignment.deadline) : null;
+    const isLate = Boolean(deadline && Date.now() > deadline.getTime());
 
     let sub;
     if (existing) {
       sub = await FlashcardSubmission.findOneAndUpdate(
-        { assignmentId, userId: studentId },
+        { _id: existing._id },
         {
-          score:       typeof score === 'number' ? score : 0,
+          score,
           timeTaken:   typeof timeTaken === 'number' ? timeTaken : 0,
-          results:     Array.isArray(results) ? results : [],
+          results:     studyResults,
           template:    resolvedTemplate,
-          totalCards:  typeof totalCards === 'number' ? totalCards : undefined,
-          cardResults: Array.isArray(cardResults) ? cardResults : [],
+          totalCards:  cards.length,
+          cardResults: gradedCardResults,
+          isLate,
           submittedAt: completedAt ? new Date(completedAt) : new Date()
         },
         { new: true }
@@ -1597,12 +1620,13 @@ async function submitFlashcardAssignment(req, res) {
         flashcardSetId: filteredAssignment.resourceId,
         userId: studentId,
         assignmentId,
-        score:       typeof score === 'number' ? score : 0,
+        score,
         timeTaken:   typeof timeTaken === 'number' ? timeTaken : 0,
-        results:     Array.isArray(results) ? results : [],
+        results:     studyResults,
         template:    resolvedTemplate,
-        totalCards:  typeof totalCards === 'number' ? totalCards : undefined,
-        cardResults: Array.isArray(cardResults) ? cardResults : [],
+        totalCards:  cards.length,
+        cardResults: gradedCardResults,
+        isLate,
         submittedAt: completedAt ? new Date(completedAt) : new Date()
       });
     }
@@ -1642,7 +1666,11 @@ async function submitFlashcardAssignment(req, res) {
       }
     });
 
-    return sendSuccess(res, sub);
+    const penaltyPercent = await latePenalty.penaltyPercentForAssignment(assignmentId);
+    return sendSuccess(res, {
+      ...sub.toObject(),
+      latePenalty: latePenalty.latePenaltyForSubmission(sub, { score: sub.score, penaltyPercent })
+    });
   } catch (err) {
     logger.error('submitFlashcardAssignment error:', err);
     return sendError(res, 500, 'Failed to submit assignment');
@@ -1664,7 +1692,7 @@ async function getMyFlashcardSubmission(req, res) {
     const studentId = req.user && req.user._id;
     if (!studentId) return sendError(res, 401, 'Unauthorized');
 
-    const sub = await FlashcardSubmission.findOne({ assignmentId, userId: studentId }).lean();
+    const sub = await FlashcardSubmission.findOne({ assignmentId, userId: studentId, ...primaryStudyModeFilter() }).lean();
     if (!sub) return sendSuccess(res, null);
 
     const set = await FlashcardSet.findById(sub.flashcardSetId).select('cards template').lean();
@@ -1672,7 +1700,13 @@ async function getMyFlashcardSubmission(req, res) {
       ? (set.cards || []).map(c => ({ _id: String(c._id), front: c.front, back: c.back, template: c.template }))
       : [];
 
-    return sendSuccess(res, { ...sub, cards, template: sub.template || set?.template || 'term-def' });
+    const penaltyPercent = await latePenalty.penaltyPercentForAssignment(assignmentId);
+    return sendSuccess(res, {
+      ...sub,
+      cards,
+      template: sub.template || set?.template || 'term-def',
+      latePenalty: latePenalty.latePenaltyForSubmission(sub, { score: sub.score, penaltyPercent })
+    });
   } catch (err) {
     return sendError(res, 500, 'Failed to fetch submission');
   }
@@ -1696,11 +1730,15 @@ async function getFlashcardAssignmentSubmissions(req, res) {
     const assignment = await Assignment.findOne({ _id: assignmentId, teacher: teacherId, isActive: true });
     if (!assignment) return sendError(res, 404, 'Assignment not found');
 
-    const subs = await FlashcardSubmission.find({ assignmentId })
+    const subs = await FlashcardSubmission.find({ assignmentId, ...primaryStudyModeFilter() })
       .populate('userId', '_id email displayName photoURL')
       .sort({ submittedAt: -1 });
+    const penaltyPercent = await latePenalty.penaltyPercentForAssignment(assignmentId);
 
-    return sendSuccess(res, subs);
+    return sendSuccess(res, subs.map((sub) => ({
+      ...sub.toObject(),
+      latePenalty: latePenalty.latePenaltyForSubmission(sub, { score: sub.score, penaltyPercent })
+    })));
   } catch (err) {
     return sendError(res, 500, 'Failed to fetch submissions');
   }
@@ -1783,6 +1821,62 @@ async function retryStaleEvaluations(req, res) {
   }
 }
 
+/**
+ * PATCH /api/assignments/:id/students/:studentId/late-penalty — teacher waives (or
+ * restores) the class late penalty for one student's submission.
+ * @param {boolean} req.body.waived
+ */
+async function setStudentLatePenaltyWaiver(req, res) {
+  try {
+    const teacherId = req.user && req.user._id;
+    if (!teacherId) return sendError(res, 401, 'Unauthorized');
+
+    const assignment = await Assignment.findOne({
+      _id: req.params.id,
+      teacher: teacherId,
+      isActive: true
+    }).lean();
+    if (!assignment) return sendError(res, 404, 'Assignment not found');
+
+    const result = await latePenalty.setLatePenaltyWaiver({
+      assignment,
+      studentId: req.params.studentId,
+      waived: req.body.waived === true,
+      teacherId
+    });
+    return sendSuccess(res, result);
+  } catch (err) {
+    if (err instanceof latePenalty.LatePenaltyError) return sendError(res, err.statusCode, err.message);
+    logger.error('setStudentLatePenaltyWaiver error:', err);
+    return sendError(res, 500, 'Failed to update late penalty');
+  }
+}
+
+async function releaseAssignmentGrades(req, res) {
+  try {
+    const teacherId = req.user && req.user._id;
+    if (!teacherId) return sendError(res, 401, 'Unauthorized');
+
+    const assignment = await Assignment.findOne({
+      _id: req.params.id,
+      teacher: teacherId,
+      isActive: true
+    }).lean();
+    if (!assignment) return sendError(res, 404, 'Assignment not found');
+
+    const result = await gradeRelease.releaseAssignmentGrades({
+      assignment,
+      teacherId,
+      studentIds: req.body ? req.body.studentIds : undefined
+    });
+    return sendSuccess(res, result);
+  } catch (err) {
+    if (err instanceof gradeRelease.GradeReleaseError) return sendError(res, err.statusCode, err.message);
+    logger.error('releaseAssignmentGrades error:', err);
+    return sendError(res, 500, 'Failed to release grades');
+  }
+}
+
 module.exports = {
   createAssignment,
   updateAssignment,
@@ -1799,5 +1893,7 @@ module.exports = {
   getMyFlashcardSubmission,
   getFlashcardAssignmentSubmissions,
   getStaleEvaluationSummary,
-  retryStaleEvaluations
+  retryStaleEvaluations,
+  setStudentLatePenaltyWaiver,
+  releaseAssignmentGrades
 };
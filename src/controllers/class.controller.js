@@ -1,3 +1,4 @@
+const crypto = require("crypto");
 const mongoose = require("mongoose");
 const QRCode = require("qrcode");
 
@@ -6,11 +7,18 @@ const Membership = require("../models/membership.model");
 const Assignment = require("../models/assignment.model");
 const Submission = require("../models/Submission");
 const FlashcardSubmission = require("../models/FlashcardSubmission");
+const { primaryStudyModeFilter } = require("../constants/flashcard.constants");
 const WorksheetSubmission = require("../models/WorksheetSubmission");
 const Invitation = require("../models/invitation.model");
 const User = require("../models/user.model");
 const { sendInvitationEmail } = require("../services/email.service");
+const classInvitationService = require("../services/classInvitation.service");
 const { generateShortJoinCode } = require("../utils/joinCode");
+const {
+  GRADING_SCALES,
+  resolveGradingPolicy,
+  validateCutPoints,
+} = require("../services/gradingScale.service");
 
 const {
   incrementUsage,
@@ -51,6 +59,22 @@ function toOptionalDate(value) {
   return d;
 }
 
+function toOptionalPercent(value) {
+  if (typeof value === "undefined") return undefined;
+  const n = Number(value);
+  if (
+    typeof value === "boolean" ||
+    value === null ||
+    value === "" ||
+    !Number.isFinite(n) ||
+    n < 0 ||
+    n > 100
+  ) {
+    return null;
+  }
+  return n;
+}
+
 function getRequestBaseUrl(req) {
   const raw = `${req.protocol}://${req.get("host")}`;
   return raw.replace(/\/+$/, "");
@@ -96,8 +120,17 @@ function normalizeClassroomDefaultsFromUser(user) {
 
 async function createClass(req, res) {
   try {
-    const { name, description, subjectLevel, startDate, endDate } =
-      req.body || {};
+    const {
+      name,
+      description,
+      subjectLevel,
+      startDate,
+      endDate,
+      lateSubmissionPenaltyPercent,
+      gradingScale,
+      gradeCutPoints,
+      autoPublishGrades,
+    } = req.body || {};
 
     if (!isNonEmptyString(name)) {
       return sendError(res, 400, "name is required");
@@ -122,6 +155,41 @@ async function createClass(req, res) {
       return sendError(res, 400, "endDate must be a valid date");
     }
 
+    const latePenalty = toOptionalPercent(lateSubmissionPenaltyPercent);
+    if (latePenalty === null) {
+      return sendError(
+        res,
+        400,
+        "lateSubmissionPenaltyPercent must be a number between 0 and 100",
+      );
+    }
+
+    if (
+      typeof gradingScale !== "undefined" &&
+      !GRADING_SCALES.includes(gradingScale)
+    ) {
+      return sendError(
+        res,
+        400,
+        `gradingScale must be one of ${GRADING_SCALES.join(", ")}`,
+      );
+    }
+
+    if (
+      typeof autoPublishGrades !== "undefined" &&
+      typeof autoPublishGrades !== "boolean"
+    ) {
+      return sendError(res, 400, "autoPublishGrades must be a boolean");
+    }
+
+    const cutPoints =
+      typeof gradeCutPoints === "undefined"
+        ? undefined
+        : validateCutPoints(gradeCutPoints);
+    if (cutPoints && cutPoints.error) {
+      return sendError(res, 400, cutPoints.error);
+    }
+
     for (let attempt = 0; attempt < 5; attempt += 1) {
       const joinCode = generateShortJoinCode();
       const joinUrl = buildJoinUrl(req, joinCode);
@@ -140,6 +208,14 @@ async function createClass(req, res) {
           joinCode,
           qrCodeUrl,
           ...defaults,
+          ...(typeof latePenalty === "number"
+            ? { lateSubmissionPenaltyPercent: latePenalty }
+            : {}),
+          ...(typeof gradingScale !== "undefined" ? { gradingScale } : {}),
+          ...(cutPoints ? { gradeCutPoints: cutPoints.value } : {}),
+          ...(typeof autoPublishGrades === "boolean"
+            ? { autoPublishGrades }
+            : {}),
         });
 
         await incrementUsage(teacherId, { classes: 1 });
@@ -167,8 +243,17 @@ async function createClass(req, res) {
 async function updateClass(req, res) {
   try {
     const { id } = req.params;
-    const { name, description, subjectLevel, startDate, endDate } =
-      req.body || {};
+    const {
+      name,
+      description,
+      subjectLevel,
+      startDate,
+      endDate,
+      lateSubmissionPenaltyPercent,
+      gradingScale,
+      gradeCutPoints,
+      autoPublishGrades,
+    } = req.body || {};
 
     if (!mongoose.Types.ObjectId.isValid(id)) {
       return sendError(res, 400, "Invalid class id");
@@ -240,6 +325,53 @@ async function updateClass(req, res) {
       }
     }
 
+    if (typeof lateSubmissionPenaltyPercent !== "undefined") {
+      const n = toOptionalPercent(lateSubmissionPenaltyPercent);
+      if (n === null) {
+        return sendError(
+          res,
+          400,
+          "lateSubmissionPenaltyPercent must be a number between 0 and 100",
+        );
+      }
+      classDoc.lateSubmissionPenaltyPercent = n;
+    }
+
+    if (typeof gradingScale !== "undefined") {
+      if (!GRADING_SCALES.includes(gradingScale)) {
+        return sendError(
+          res,
+          400,
+          `gradingScale must be one of ${GRADING_SCALES.join(", ")}`,
+        );
+      }
+      classDoc.gradingScale = gradingScale;
+    }
+
+    if (typeof gradeCutPoints !== "undefined") {
+      if (
+        gradeCutPoints !== null &&
+        (typeof gradeCutPoints !== "object" || Array.isArray(gradeCutPoints))
+      ) {
+        return sendError(res, 400, "gradeCutPoints must be an object");
+      }
+      const cutPoints = validateCutPoints({
+        ...resolveGradingPolicy(classDoc).cutPoints,
+        ...(gradeCutPoints || {}),
+      });
+      if (cutPoints.error) {
+        return sendError(res, 400, cutPoints.error);
+      }
+      classDoc.gradeCutPoints = cutPoints.value;
+    }
+
+    if (typeof autoPublishGrades !== "undefined") {
+      if (typeof autoPublishGrades !== "boolean") {
+        return sendError(res, 400, "autoPublishGrades must be a boolean");
+      }
+      classDoc.autoPublishGrades = autoPublishGrades;
+    }
+
     const saved = await classDoc.save();
     return sendSuccess(res, saved);
   } catch (err) {
@@ -496,6 +628,7 @@ async function getClassSummary(req, res) {
             }),
             FlashcardSubmission.countDocuments({
               assignmentId: { $in: activeAssignmentIds },
+              ...primaryStudyModeFilter(),
             }),
             WorksheetSubmission.countDocuments({
               assignmentId: { $in: activeAssignmentIds },
@@ -576,6 +709,7 @@ async function getClassSummary(req, res) {
       bannerUrl: classDoc.bannerUrl || "",
       joinCode: classDoc.joinCode,
       gradingScale: classDoc.gradingScale,
+      gradeCutPoints: resolveGradingPolicy(classDoc).cutPoints,
       teacher: {
         id: teacher && teacher._id ? String(teacher._id) : String(teacherId),
         name: teacherName,
@@ -724,12 +858,30 @@ async function inviteStudents(req, res) {
           continue;
         }
 
-        // Create new invitation
-        const invitation = await Invitation.create({
+        // Reuse a lapsed, revoked or previously accepted invitation (one per class and email)
+        let invitation = await Invitation.findOne({
           class: classDoc._id,
-          teacher: teacherId,
           email: trimmedEmail,
         });
+        if (invitation) {
+          invitation.set({
+            teacher: teacherId,
+            status: "pending",
+            token: crypto.randomBytes(32).toString("hex"),
+            invitedAt: new Date(),
+            expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
+            acceptedAt: undefined,
+            acceptedBy: undefined,
+            revokedAt: undefined,
+          });
+          await invitation.save();
+        } else {
+          invitation = await Invitation.create({
+            class: classDoc._id,
+            teacher: teacherId,
+            email: trimmedEmail,
+          });
+        }
 
         // Send email invitation
         const emailResult = await sendInvitationEmail({
@@ -737,6 +889,7 @@ async function inviteStudents(req, res) {
           className: classDoc.name,
           classCode: classDoc.joinCode,
           joinUrl,
+          acceptUrl: classInvitationService.buildInvitationUrl(invitation.token),
           teacherName: req.user?.displayName || req.user?.email,
         });
 
@@ -748,6 +901,7 @@ async function inviteStudents(req, res) {
             invitationId: invitation._id,
             token: invitation.token,
             joinUrl,
+            acceptUrl: classInvitationService.buildInvitationUrl(invitation.token),
             joinCode: classDoc.joinCode,
             expiresAt: invitation.expiresAt,
           });
@@ -811,7 +965,7 @@ async function getClassInvitations(req, res) {
 
     const invitations = await Invitation.find({ class: classDoc._id })
       .sort({ invitedAt: -1 })
-      .select("email status invitedAt expiresAt acceptedAt token");
+      .select("email status invitedAt expiresAt acceptedAt revokedAt token");
 
     return sendSuccess(res, invitations);
   } catch (err) {
@@ -819,6 +973,86 @@ async function getClassInvitations(req, res) {
   }
 }
 
+async function previewInvitation(req, res) {
+  try {
+    const preview = await classInvitationService.previewInvitation(req.params.token);
+    return sendSuccess(res, preview);
+  } catch (err) {
+    if (err instanceof classInvitationService.InvitationError) {
+      return sendError(res, err.statusCode, err.message);
+    }
+    return sendError(res, 500, "Failed to load invitation");
+  }
+}
+
+async function acceptInvitation(req, res) {
+  try {
+    const { invitation, membership, alreadyMember } =
+      await classInvitationService.acceptInvitation({
+        token: req.params.token,
+        user: req.user,
+      });
+
+    return sendSuccess(res, {
+      invitationId: invitation._id,
+      status: invitation.status,
+      membership,
+      alreadyMember,
+    });
+  } catch (err) {
+    if (err instanceof classInvitationService.InvitationError) {
+      return sendError(res, err.statusCode, err.message);
+    }
+    return sendError(res, 500, "Failed to accept invitation");
+  }
+}
+
+async function resendInvitation(req, res) {
+  try {
+    const invitation = await classInvitationService.resendInvitation({
+      classId: req.params.classId,
+      invitationId: req.params.invitationId,
+      teacher: req.user,
+    });
+
+    return sendSuccess(res, {
+      invitationId: invitation._id,
+      email: invitation.email,
+      status: invitation.status,
+      token: invitation.token,
+      acceptUrl: classInvitationService.buildInvitationUrl(invitation.token),
+      expiresAt: invitation.expiresAt,
+    });
+  } catch (err) {
+    if (err instanceof classInvitationService.InvitationError) {
+      return sendError(res, err.statusCode, err.message);
+    }
+    return sendError(res, 500, "Failed to resend invitation");
+  }
+}
+
+async function revokeInvitation(req, res) {
+  try {
+    const invitation = await classInvitationService.revokeInvitation({
+      classId: req.params.classId,
+      invitationId: req.params.invitationId,
+      teacher: req.user,
+    });
+
+    return sendSuccess(res, {
+      invitationId: invitation._id,
+      email: invitation.email,
+      status: invitation.status,
+      revokedAt: invitation.revokedAt,
+    });
+  } catch (err) {
+    if (err instanceof classInvitationService.InvitationError) {
+      return sendError(res, err.statusCode, err.message);
+    }
+    return sendError(res, 500, "Failed to revoke invitation");
+  }
+}
+
 module.exports = {
   createClass,
   getMyClasses,
@@ -830,5 +1064,9 @@ module.exports = {
   removeStudentFromClass,
   inviteStudents,
   getClassInvitations,
+  previewInvitation,
+  acceptInvitation,
+  resendInvitation,
+  revokeInvitation,
   uploadClassBanner,
 };
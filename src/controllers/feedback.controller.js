@@ -25,7 +25,9 @@ const { buildSubmissionCorrectionStatistics, countSubmissionCorrections } = requ
 const { buildCanonicalResultState, buildPreviousEvaluation } = require("../services/canonicalResultState.service");
 const { currentEvaluationSettings } = require("../services/evaluationSettingsContext.service");
 const { resolveTeacherComments } = require("../services/teacherComments.service");
-const { showMarksToStudent, redactStudentMarks } = require("../services/assignmentAccessPolicy.service");
+const { marksReleasedToStudent, redactStudentMarks } = require("../services/assignmentAccessPolicy.service");
+const { latePenaltyForSubmission, penaltyPercentForAssignment } = require("../services/latePenalty.service");
+const { gradeForScore, gradingPolicyForClass, resolveGradingPolicy } = require("../services/gradingScale.service");
 const { TEACHER_COMMENTS_MAX_LENGTH } = require("../models/SubmissionFeedback");
 const aiGateway = require("../services/aiGateway.service");
 const { RUBRIC_SCHEMA, DETAILED_FEEDBACK_SCHEMA } = require("../services/structuredOutputSchemas.service");
@@ -301,13 +303,9 @@ function computeCombinedOverallScore100({
   return clampScore100(Math.round(combined * 10) / 10);
 }
 
-function gradeFromOverallScore100(score100) {
-  const s = clampScore100(score100);
-  if (s >= 90) return "A";
-  if (s >= 80) return "B";
-  if (s >= 70) return "C";
-  if (s >= 60) return "D";
-  return "F";
+// Pass/fail classes persist "Pass"/"Fail" so a stored letter can never leak to them.
+function gradeFromOverallScore100(score100, gradingPolicy) {
+  return gradeForScore(clampScore100(score100), gradingPolicy).grade;
 }
 
 function normalizeRubricItemPayload(item, category) {
@@ -884,7 +882,8 @@ async function getSubmissionFeedback(req, res) {
     });
     const assignment = await Assignment.findById(submission.assignment).lean();
     const currentSettings = assignment ? await currentEvaluationSettings(assignment) : null;
-    const marksVisible = role !== "student" || showMarksToStudent(assignment);
+    const marksVisible = role !== "student" || marksReleasedToStudent(assignment, feedback);
+    const gradingPolicy = await gradingPolicyForClass(submission.class);
 
     // Normalize legacy feedback records if they exist
     if (feedback) {
@@ -925,6 +924,7 @@ async function getSubmissionFeedback(req, res) {
         submissionId: String(submission._id),
         teacherComments,
         ...resultState, overallScore: null, grade: null, rubricScores: null, detailedFeedback: null,
+        gradingScale: gradingPolicy.scale, grading: null,
         correctionStats: correctionStatistics, correctionStatistics,
         evaluationSourceHash: null, correctionSourceHash: submission.correctionSourceHash || null,
         marksVisible
@@ -936,17 +936,28 @@ async function getSubmissionFeedback(req, res) {
     const previousEvaluation = buildPreviousEvaluation(currentFeedback, resultState);
     const { teacherCommentsUpdatedBy: _internalTeacherCommentsUpdatedBy, ...publicFeedback } = currentFeedback;
     const safeFeedback = resultState.evaluationCurrent ? publicFeedback : {};
+    const latePenalty = latePenaltyForSubmission(submission, {
+      score: resultState.score,
+      maxScore: currentFeedback.maxOverallScore || 100,
+      penaltyPercent: await penaltyPercentForAssignment(submission.assignment),
+    });
+    // The class grading scale is applied to the final (late-penalized) score.
+    const grading = resultState.score === null || resultState.score === undefined
+      ? null
+      : gradeForScore(latePenalty.penalizedScore, gradingPolicy);
     const responseData = {
       submissionId: String(submission._id),
       ...safeFeedback, ...resultState,
       previousEvaluation,
       teacherComments,
-      overallScore: resultState.score, grade: resultState.grade,
+      overallScore: resultState.score, grade: grading ? grading.grade : resultState.grade,
+      gradingScale: gradingPolicy.scale, grading,
       rubricScores: resultState.evaluationCurrent ? currentFeedback.rubricScores : null,
       detailedFeedback: resultState.detailedFeedbackCurrent ? currentFeedback.detailedFeedback : null,
       correctionStats: correctionStatistics, correctionStatistics,
       evaluationSourceHash: resultState.evaluationCurrent ? (currentFeedback.evaluationSourceHash || submission.correctionSourceHash) : null,
       correctionSourceHash: submission.correctionSourceHash || null,
+      latePenalty,
       marksVisible
     };
     return sendSuccess(res, marksVisible ? responseData : redactStudentMarks(responseData));
@@ -1875,6 +1886,7 @@ async function generateAiRubricFromDesigner(req, res) {
       text: transcriptText,
       issues: corrections,
       teacherOverrideScores: null,
+      gradingPolicy: resolveGradingPolicy(classDoc),
     });
 
     const counts = computeCountsFromCorrections(corrections);
@@ -2385,7 +2397,10 @@ async function upsertSubmissionFeedback(req, res) {
 
     const grade =
       typeof overallScore === "number"
-        ? gradeFromOverallScore100(overallScore)
+        ? gradeFromOverallScore100(
+            overallScore,
+            await gradingPolicyForClass(submission.class),
+          )
         : undefined;
 
     const update = {
@@ -3394,6 +3409,10 @@ async function attachEvaluationToFeedbackDoc(feedbackDoc) {
   if (submission.ocrText) submission.ocrText = normalizeOcrTranscript(submission.ocrText);
 
   const transcriptText = getNormalizedSubmissionTranscript(submission);
+  const gradingPolicy =
+    feedbackDoc.class && typeof feedbackDoc.class === "object" && feedbackDoc.class.gradingScale
+      ? resolveGradingPolicy(feedbackDoc.class)
+      : await gradingPolicyForClass(feedbackDoc.class?._id || feedbackDoc.class);
 
   const ocrWords =
     submission && submission.ocrData && typeof submission.ocrData === "object"
@@ -3416,11 +3435,19 @@ async function attachEvaluationToFeedbackDoc(feedbackDoc) {
     text: transcriptText,
     issues,
     teacherOverrideScores: feedbackDoc.overriddenScores,
+    gradingPolicy,
   });
 
+  // A teacher-entered score/maxScore wins over the heuristic overall score.
+  const score100 =
+    typeof feedback.score === "number" && typeof feedback.maxScore === "number" && feedback.maxScore > 0
+      ? (feedback.score / feedback.maxScore) * 100
+      : evaluation.effectiveRubric?.overallScore;
+
   return {
     ...feedback,
     evaluation,
+    grading: gradeForScore(score100, gradingPolicy),
   };
 }
 
@@ -4094,7 +4121,8 @@ async function getFeedbackBySubmissionForStudent(req, res) {
     const populated = await populateFeedback(feedback._id);
     const withEval = await attachEvaluationToFeedbackDoc(populated);
     const assignment = await Assignment.findById(submission.assignment).select('showMarksToStudent').lean();
-    const marksVisible = showMarksToStudent(assignment);
+    const gradeRecord = await SubmissionFeedback.findOne({ submissionId: submission._id }).select('gradeRelease').lean();
+    const marksVisible = marksReleasedToStudent(assignment, gradeRecord);
     return sendSuccess(res, marksVisible ? withEval : redactStudentMarks(withEval));
   } catch (err) {
     return sendError(res, 500, "Failed to fetch feedback");
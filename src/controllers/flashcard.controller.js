@@ -5,7 +5,24 @@ const FlashcardSubmission = require("../models/FlashcardSubmission");
 const Class = require("../models/class.model");
 const Membership = require("../models/membership.model");
 const Assignment = require("../models/assignment.model");
-const { createNotification } = require("../services/notification.service");
+const {
+  createNotification,
+  loadNotificationRecipients,
+} = require("../services/notification.service");
+const {
+  gradeFlashcardAnswer,
+  gradeSessionAnswers,
+} = require("../services/flashcardAnswerGrading.service");
+const studyModes = require("../services/flashcardStudyModes.service");
+const flashcardTransfer = require("../services/flashcardImportExport.service");
+const { LIBRARY_MANAGED_FIELDS } = require("../services/library.service");
+const { SpacedRepetitionError } = require("../services/spacedRepetition.service");
+const { primaryStudyModeFilter } = require("../constants/flashcard.constants");
+const {
+  FolderError,
+  parseFolderFilter,
+  resolveTargetFolder,
+} = require("../services/folder.service");
 const logger = require("../utils/logger");
 const {
   generateFeatureJson,
@@ -442,10 +459,15 @@ No text before [. No text after ].`,
 async function getAllSets(req, res) {
   try {
     const ownerId = req.user._id;
-    const rawSets = await FlashcardSet.find({ ownerId })
+    const filter = { ownerId };
+    // ?folderId=<id> lists one folder, ?folderId=root the sets outside any folder.
+    const folderId = parseFolderFilter(req.query?.folderId);
+    if (folderId !== undefined) filter.folderId = folderId;
+
+    const rawSets = await FlashcardSet.find(filter)
       .sort({ updatedAt: -1 })
       .select(
-        "title description visibility language updatedAt cards assignedClasses",
+        "title description visibility language folderId updatedAt cards assignedClasses",
       )
       .lean();
 
@@ -457,6 +479,9 @@ async function getAllSets(req, res) {
 
     return sendSuccess(res, sets);
   } catch (err) {
+    if (err instanceof FolderError) {
+      return sendError(res, err.statusCode, err.message);
+    }
     return sendError(res, 500, "Internal server error");
   }
 }
@@ -475,6 +500,18 @@ const TEMPLATE_MAP = {
   "Concept explanation": "concept",
 };
 
+function normalizeAcceptedAnswers(value) {
+  if (!Array.isArray(value)) return [];
+  return [
+    ...new Set(
+      value
+        .filter((answer) => typeof answer === "string")
+        .map((answer) => answer.trim())
+        .filter(Boolean),
+    ),
+  ].slice(0, 20);
+}
+
 async function createSet(req, res) {
   console.log(
     "[CREATE FLASHCARD] req.body:",
@@ -484,6 +521,7 @@ async function createSet(req, res) {
   try {
     const ownerId = req.user._id;
     const { template, cards, title, description, ...rest } = req.body;
+    for (const field of LIBRARY_MANAGED_FIELDS) delete rest[field];
 
     if (!title || !String(title).trim()) {
       return sendError(res, 400, "Title is required");
@@ -498,6 +536,7 @@ async function createSet(req, res) {
       back: typeof c.back === "string" ? c.back.trim() : c.back,
       frontImage: c.frontImage ?? null,
       backImage: c.backImage ?? null,
+      acceptedAnswers: normalizeAcceptedAnswers(c.acceptedAnswers),
       order: typeof c.order === "number" ? c.order : 0,
       template: resolvedTemplate,
     }));
@@ -508,10 +547,14 @@ async function createSet(req, res) {
       description: description ? String(description).trim() : "",
       template: resolvedTemplate,
       cards: stampedCards,
+      folderId: await resolveTargetFolder(ownerId, rest.folderId),
       ownerId,
     });
     return sendSuccess(res, set, 201);
   } catch (err) {
+    if (err instanceof FolderError) {
+      return sendError(res, err.statusCode, err.message);
+    }
     console.error("[CREATE FLASHCARD] Error:", err.message);
     console.error(
       "[CREATE FLASHCARD] Full error:",
@@ -535,63 +578,69 @@ async function createSet(req, res) {
   }
 }
 
-async function getSetById(req, res) {
-  try {
-    const { id } = req.params;
-    const role = req.user.role;
+/**
+ * Loads a set the way getSetById exposes it: teachers only their own sets;
+ * students any non-private set, or a private one assigned to one of their
+ * active classes. Resolves `{ set }` or `{ status, message }`.
+ */
+async function loadReadableSet(user, id) {
+  if (user.role !== "student") {
+    const set = await FlashcardSet.findOne({ _id: id, ownerId: user._id });
+    return set ? { set } : { status: 404, message: "Flashcard set not found" };
+  }
 
-    if (role === "student") {
-      const studentId = req.user && req.user._id;
-      const set = await FlashcardSet.findById(id).lean();
-      if (!set) {
-        return sendError(res, 404, "Flashcard set not found");
-      }
+  const set = await FlashcardSet.findById(id).lean();
+  if (!set) {
+    return { status: 404, message: "Flashcard set not found" };
+  }
 
-      if (set.visibility !== "private") {
-        return sendSuccess(res, set);
-      }
+  if (set.visibility !== "private") {
+    return { set };
+  }
 
-      const memberships = await Membership.find({
-        student: studentId,
-        status: "active",
-      })
-        .select("class")
-        .lean();
+  const memberships = await Membership.find({
+    student: user._id,
+    status: "active",
+  })
+    .select("class")
+    .lean();
 
-      const activeClassIds = (memberships || []).map((m) => String(m.class));
-      if (activeClassIds.length === 0) {
-        return sendError(res, 403, "Forbidden");
-      }
+  const activeClassIds = (memberships || []).map((m) => String(m.class));
+  if (activeClassIds.length === 0) {
+    return { status: 403, message: "Forbidden" };
+  }
 
-      const assignedClassIds = Array.isArray(set.assignedClasses)
-        ? set.assignedClasses.map((clsId) => String(clsId))
-        : [];
+  const assignedClassIds = Array.isArray(set.assignedClasses)
+    ? set.assignedClasses.map((clsId) => String(clsId))
+    : [];
 
-      const hasAssignedClassAccess = assignedClassIds.some((clsId) =>
-        activeClassIds.includes(clsId),
-      );
+  const hasAssignedClassAccess = assignedClassIds.some((clsId) =>
+    activeClassIds.includes(clsId),
+  );
 
-      if (!hasAssignedClassAccess) {
-        const assignment = await Assignment.findOne({
-          resourceType: "flashcard",
-          resourceId: String(id),
-          class: { $in: activeClassIds },
-          isActive: true,
-        })
-          .select("_id")
-          .lean();
-
-        if (!assignment) {
-          return sendError(res, 403, "Forbidden");
-        }
-      }
+  if (!hasAssignedClassAccess) {
+    const assignment = await Assignment.findOne({
+      resourceType: "flashcard",
+      resourceId: String(id),
+      class: { $in: activeClassIds },
+      isActive: true,
+    })
+      .select("_id")
+      .lean();
 
-      return sendSuccess(res, set);
+    if (!assignment) {
+      return { status: 403, message: "Forbidden" };
     }
+  }
 
-    const set = await FlashcardSet.findOne({ _id: id, ownerId: req.user._id });
+  return { set };
+}
+
+async function getSetById(req, res) {
+  try {
+    const { set, status, message } = await loadReadableSet(req.user, req.params.id);
     if (!set) {
-      return sendError(res, 404, "Flashcard set not found");
+      return sendError(res, status, message);
     }
     return sendSuccess(res, set);
   } catch (err) {
@@ -603,6 +652,7 @@ async function updateSet(req, res) {
   try {
     const { id } = req.params;
     const { title, ...rest } = req.body;
+    for (const field of LIBRARY_MANAGED_FIELDS) delete rest[field];
 
     if (title !== undefined && !String(title).trim()) {
       return sendError(res, 400, "Title cannot be empty");
@@ -610,6 +660,12 @@ async function updateSet(req, res) {
 
     const updateData =
       title !== undefined ? { ...rest, title: String(title).trim() } : rest;
+    if (updateData.folderId !== undefined) {
+      updateData.folderId = await resolveTargetFolder(
+        req.user._id,
+        updateData.folderId,
+      );
+    }
 
     const set = await FlashcardSet.findOneAndUpdate(
       { _id: id, ownerId: req.user._id },
@@ -621,6 +677,9 @@ async function updateSet(req, res) {
     }
     return sendSuccess(res, set);
   } catch (err) {
+    if (err instanceof FolderError) {
+      return sendError(res, err.statusCode, err.message);
+    }
     return sendError(res, 500, "Internal server error");
   }
 }
@@ -702,10 +761,12 @@ async function deleteSet(req, res) {
             req.user.displayName || req.user.email || "Teacher",
           );
 
+          const recipients = await loadNotificationRecipients(studentIds);
           await Promise.all(
             studentIds.map((sId) =>
               createNotification({
                 recipientId: sId,
+                recipient: recipients.get(String(sId)) || null,
                 actorId: userId,
                 type: "assignment_removed",
                 title: "Flashcard set removed",
@@ -733,6 +794,15 @@ async function deleteSet(req, res) {
   }
 }
 
+/**
+ * Grades typed answers from a study session against the stored cards. Answers
+ * already graded through /grade-answer are served from the grading cache.
+ */
+async function gradeStudySessionAnswers(setId, answers) {
+  const set = await FlashcardSet.findById(setId).select("cards").lean();
+  return gradeSessionAnswers(set?.cards || [], answers);
+}
+
 async function submitStudySession(req, res) {
   try {
     const { id } = req.params;
@@ -741,6 +811,7 @@ async function submitStudySession(req, res) {
     const existing = await FlashcardSubmission.findOne({
       flashcardSetId: id,
       userId,
+      ...primaryStudyModeFilter(),
     });
     if (existing) {
       return res.status(200).json({
@@ -750,10 +821,15 @@ async function submitStudySession(req, res) {
       });
     }
 
+    const cardResults = Array.isArray(req.body.cardResults)
+      ? await gradeStudySessionAnswers(id, req.body.cardResults)
+      : undefined;
+
     const submission = await FlashcardSubmission.create({
       flashcardSetId: id,
       userId,
       results: req.body.results,
+      cardResults,
       score: req.body.score,
       timeTaken: req.body.timeTaken,
     });
@@ -764,6 +840,65 @@ async function submitStudySession(req, res) {
   }
 }
 
+/**
+ * GET /api/flashcards/:id/modes/:mode — builds a learn, match, written or
+ * multiple-choice round from the set. Answers are not included.
+ * @query {number} [count] — number of cards (default: whole set)
+ * @query {number} [options] — choices per multiple-choice question (2-6)
+ * @query {number} [pairs] — pairs in a match round (default 6)
+ */
+async function generateStudyMode(req, res) {
+  try {
+    const round = await studyModes.generateStudyMode({
+      setId: req.params.id,
+      mode: req.params.mode,
+      userId: req.user._id,
+      count: req.query?.count,
+      optionCount: req.query?.options,
+      pairs: req.query?.pairs,
+    });
+    return sendSuccess(res, round);
+  } catch (err) {
+    if (
+      err instanceof studyModes.StudyModeError ||
+      err instanceof SpacedRepetitionError
+    ) {
+      return sendError(res, err.statusCode, err.message);
+    }
+    return sendError(res, 500, "Internal server error");
+  }
+}
+
+/**
+ * POST /api/flashcards/:id/modes/:mode/results — grades a study-mode round and
+ * saves it as a FlashcardSubmission with that mode.
+ * @body {{ answers: Array<{ cardId: string, answer: string, type?: string }>,
+ *          timeTaken?: number, assignmentId?: string }}
+ */
+async function submitStudyModeResult(req, res) {
+  try {
+    const { answers, timeTaken, assignmentId } = req.body || {};
+    const submission = await studyModes.submitStudyModeResult({
+      setId: req.params.id,
+      mode: req.params.mode,
+      userId: req.user._id,
+      answers,
+      timeTaken,
+      assignmentId,
+    });
+    return sendSuccess(res, submission, 201);
+  } catch (err) {
+    if (
+      err instanceof studyModes.StudyModeError ||
+      err instanceof SpacedRepetitionError
+    ) {
+      return sendError(res, err.statusCode, err.message);
+    }
+    logger.error(`submitStudyModeResult error: ${err.message}`);
+    return sendError(res, 500, "Internal server error");
+  }
+}
+
 async function assignSet(req, res) {
   try {
     const { id } = req.params;
@@ -845,10 +980,12 @@ async function assignSet(req, res) {
               req.user.displayName || req.user.email || "Teacher",
             );
             const className = cls.name ? String(cls.name) : "Class";
+            const recipients = await loadNotificationRecipients(studentIds);
             await Promise.all(
               studentIds.map((sId) =>
                 createNotification({
                   recipientId: sId,
+                  recipient: recipients.get(String(sId)) || null,
                   actorId: teacherId,
                   type: "assignment_uploaded",
                   title: "New flashcard set assigned",
@@ -884,77 +1021,61 @@ async function assignSet(req, res) {
 }
 
 /**
- * POST /api/flashcards/grade-answer — AI grades a Q&A student answer.
+ * POST /api/flashcards/grade-answer — grades a Q&A student answer.
  * Called by the student flashcard player for every Q&A card submission.
- * Uses the same OpenAI client with temperature 0 so grading is deterministic.
- * @body {{ question: string, correctAnswer: string, studentAnswer: string }}
- * @returns {{ isCorrect: boolean }}
+ * A local pre-check settles exact, normalized and near-miss answers; only the
+ * rest go to the AI. When setId and cardId are sent the stored card is used.
+ * @body {{ question: string, correctAnswer: string, studentAnswer: string,
+ *          acceptedAnswers?: string[], setId?: string, cardId?: string }}
+ * @returns {{ isCorrect: boolean, credit: number, explanation: string, gradedBy: string }}
  */
 async function gradeAnswer(req, res) {
-  const { question, correctAnswer, studentAnswer } = req.body;
+  const { setId, cardId, studentAnswer } = req.body || {};
+  let { question, correctAnswer, acceptedAnswers } = req.body || {};
+
+  if (setId || cardId) {
+    if (
+      !mongoose.Types.ObjectId.isValid(setId) ||
+      !mongoose.Types.ObjectId.isValid(cardId)
+    ) {
+      return sendError(res, 400, "setId and cardId must be valid ids");
+    }
+    let readable;
+    try {
+      readable = await loadReadableSet(req.user, setId);
+    } catch (err) {
+      return sendError(res, 500, "Internal server error");
+    }
+    if (!readable.set) {
+      return sendError(res, readable.status, readable.message);
+    }
+    const card = readable.set.cards?.find((c) => String(c._id) === String(cardId));
+    if (!card) {
+      return sendError(res, 404, "Flashcard not found");
+    }
+    question = card.front;
+    correctAnswer = card.back;
+    acceptedAnswers = card.acceptedAnswers;
+  }
 
   if (!question || !correctAnswer) {
     return sendError(res, 400, "question and correctAnswer are required");
   }
 
-  const trimmedAnswer = String(studentAnswer ?? "").trim();
-  if (!trimmedAnswer) {
-    return sendSuccess(res, { isCorrect: false });
-  }
-
-  const systemPrompt = `You are a strict but fair grading assistant for a Q&A flashcard system.
-Your ONLY job is to decide whether a student's answer is correct or not.
-You must respond with ONLY valid JSON — no explanation, no markdown, no extra text.
-Valid responses: {"isCorrect":true}  or  {"isCorrect":false}`;
-
-  const userPrompt = `Question: "${question}"
-Correct Answer: "${correctAnswer}"
-Student's Answer: "${trimmedAnswer}"
-
-Grading rules (apply ALL of them):
-1. Mark CORRECT if the student's answer conveys the same essential meaning as the correct answer, even if worded differently, abbreviated, or paraphrased.
-2. Mark CORRECT if the student uses synonyms, minor spelling mistakes, or equivalent phrasing that a teacher would accept.
-3. Mark WRONG if the student's answer is nonsensical, gibberish, or random characters (e.g. "fasdfasdca", "aaa", "123abc").
-4. Mark WRONG if the answer is a single letter or number with no semantic connection to the question.
-5. Mark WRONG if the answer is factually incorrect or directly contradicts the correct answer.
-6. Mark WRONG if the answer is completely unrelated to the question topic.
-7. Be STRICT: a vague or partial answer that omits the core meaning is WRONG.
-
-Respond with ONLY one of these — nothing else:
-{"isCorrect":true}
-{"isCorrect":false}`;
-
   try {
-    const raw = await generateChatCompletion(
-      [
-        { role: "system", content: systemPrompt },
-        { role: "user", content: userPrompt },
-      ],
-      {
-        temperature: 0,
-        max_tokens: 20,
-      },
-    );
-
-    const cleaned = raw
-      .replace(/^```json\s*/i, "")
-      .replace(/^```\s*/i, "")
-      .replace(/\s*```$/i, "")
-      .trim();
-
-    let isCorrect = false;
-    try {
-      isCorrect = JSON.parse(cleaned).isCorrect === true;
-    } catch {
-      isCorrect = /\"isCorrect\"\s*:\s*true/i.test(cleaned);
-    }
+    const grade = await gradeFlashcardAnswer({
+      question,
+      correctAnswer,
+      acceptedAnswers: normalizeAcceptedAnswers(acceptedAnswers),
+      studentAnswer,
+    });
 
-    console.log(
-      `[GRADE ANSWER] Q: "${String(question).slice(0, 50)}" | student: "${trimmedAnswer.slice(0, 40)}" | result: ${isCorrect}`,
+    logger.info(
+      `[GRADE ANSWER] Q: "${String(question).slice(0, 50)}" | by: ${grade.gradedBy} | credit: ${grade.credit}`,
     );
-    return sendSuccess(res, { isCorrect });
+    return sendSuccess(res, grade);
   } catch (err) {
-    console.error("[GRADE ANSWER] Error:", err.message);
+    logger.error(`[GRADE ANSWER] Error: ${err.message}`);
     return sendError(res, 500, "Grading failed");
   }
 }
@@ -1011,6 +1132,76 @@ async function revokeShare(req, res) {
   }
 }
 
+/**
+ * POST /api/flashcards/import — create a set from CSV, TSV, pasted
+ * "term<TAB>definition" text or an Anki .apkg package.
+ * Accepts multipart/form-data with an optional 'file' field, or JSON with `text`.
+ * @param {string} [req.body.format] — csv | tsv | paste | apkg (otherwise from the file extension)
+ * @param {string} [req.body.termSeparator] — paste only, default tab
+ * @param {string} [req.body.cardSeparator] — paste only, default newline
+ * @returns {{ set, format, imported, skipped, images }}
+ */
+async function importSet(req, res) {
+  try {
+    const body = req.body || {};
+    const result = await flashcardTransfer.importFlashcardSet({
+      ownerId: req.user._id,
+      format: body.format,
+      filename: req.file?.originalname,
+      buffer: req.file?.buffer,
+      text: req.file ? undefined : body.text,
+      termSeparator: body.termSeparator,
+      cardSeparator: body.cardSeparator,
+      title: body.title,
+      description: body.description,
+      language: body.language,
+      visibility: body.visibility,
+      template: TEMPLATE_MAP[body.template],
+      folderId: body.folderId,
+    });
+    return sendSuccess(res, result, 201);
+  } catch (err) {
+    if (
+      err instanceof flashcardTransfer.FlashcardImportError ||
+      err instanceof FolderError
+    ) {
+      return sendError(res, err.statusCode, err.message);
+    }
+    logger.error("importSet error:", err);
+    return sendError(res, 500, "Import failed");
+  }
+}
+
+/**
+ * GET /api/flashcards/:id/export?format=csv|tsv|paste|apkg — download a set
+ * the teacher owns. CSV and TSV include a header row and re-import losslessly.
+ */
+async function exportSet(req, res) {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return sendError(res, 400, "Invalid flashcard set ID");
+    }
+    const set = await FlashcardSet.findOne({
+      _id: req.params.id,
+      ownerId: req.user._id,
+    }).lean();
+    if (!set) return sendError(res, 404, "Flashcard set not found");
+
+    const { body, contentType, filename } =
+      await flashcardTransfer.exportFlashcardSet(set, req.query?.format);
+    res.setHeader("Content-Type", contentType);
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    res.setHeader("X-Content-Type-Options", "nosniff");
+    return res.status(200).send(body);
+  } catch (err) {
+    if (err instanceof flashcardTransfer.FlashcardImportError) {
+      return sendError(res, err.statusCode, err.message);
+    }
+    logger.error("exportSet error:", err);
+    return sendError(res, 500, "Export failed");
+  }
+}
+
 /**
  * POST /api/flashcards/upload/flashcard-image — upload a flashcard image.
  * Accepts multipart/form-data with field name 'file'.
@@ -1044,9 +1235,13 @@ module.exports = {
   updateSet,
   deleteSet,
   submitStudySession,
+  generateStudyMode,
+  submitStudyModeResult,
   assignSet,
   gradeAnswer,
   shareFlashcardSet,
   revokeShare,
   uploadFlashcardImage,
+  importSet,
+  exportSet,
 };
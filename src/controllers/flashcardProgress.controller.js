@@ -1,9 +1,12 @@
 const mongoose = require('mongoose');
 const StudentFlashcardProgress = require('../models/StudentFlashcardProgress');
 const FlashcardSet = require('../models/FlashcardSet');
+const FlashcardSubmission = require('../models/FlashcardSubmission');
 const Assignment = require('../models/assignment.model');
 const Membership = require('../models/membership.model');
 const User = require('../models/user.model');
+const spacedRepetition = require('../services/spacedRepetition.service');
+const { primaryStudyModeFilter } = require('../constants/flashcard.constants');
 const logger = require('../utils/logger');
 
 function sendSuccess(res, data, statusCode = 200) {
@@ -281,6 +284,68 @@ async function resetProgress(req, res) {
   }
 }
 
+/**
+ * GET /api/flashcards/:id/progress/due
+ * Today's spaced-repetition queue: due cards first, then new cards.
+ */
+async function getDueCards(req, res) {
+  try {
+    const studentId = req.user && req.user._id;
+    if (!studentId) {
+      return sendError(res, 401, 'Unauthorized');
+    }
+
+    const newCardLimit = req.query?.newLimit !== undefined ? Number.parseInt(req.query.newLimit, 10) : undefined;
+    const limit = req.query?.limit !== undefined ? Number.parseInt(req.query.limit, 10) : undefined;
+    if ((newCardLimit !== undefined && !(newCardLimit >= 0)) || (limit !== undefined && !(limit > 0))) {
+      return sendError(res, 400, 'limit and newLimit must be non-negative integers');
+    }
+
+    const queue = await spacedRepetition.getDueQueue({
+      setId: req.params.id,
+      studentId,
+      newCardLimit,
+      limit: limit !== undefined ? Math.min(limit, 500) : undefined
+    });
+    return sendSuccess(res, queue);
+  } catch (err) {
+    if (err instanceof spacedRepetition.SpacedRepetitionError) {
+      return sendError(res, err.statusCode, err.message);
+    }
+    logger.error('getDueCards error:', err);
+    return sendError(res, 500, 'Failed to fetch due cards');
+  }
+}
+
+/**
+ * POST /api/flashcards/:id/progress/reviews
+ * Records graded reviews ({ cardId, grade }) and reschedules those cards.
+ */
+async function recordReviews(req, res) {
+  try {
+    const studentId = req.user && req.user._id;
+    if (!studentId) {
+      return sendError(res, 401, 'Unauthorized');
+    }
+
+    const body = req.body || {};
+    const reviews = Array.isArray(body.reviews) ? body.reviews : (body.cardId ? [{ cardId: body.cardId, grade: body.grade }] : null);
+
+    const scheduled = await spacedRepetition.recordReviews({
+      setId: req.params.id,
+      studentId,
+      reviews
+    });
+    return sendSuccess(res, { reviews: scheduled });
+  } catch (err) {
+    if (err instanceof spacedRepetition.SpacedRepetitionError) {
+      return sendError(res, err.statusCode, err.message);
+    }
+    logger.error('recordReviews error:', err);
+    return sendError(res, 500, 'Failed to record reviews');
+  }
+}
+
 /**
  * GET /api/reports/assignments/:assignmentId/progress
  * Teacher only — Get all students' progress for a flashcard assignment.
@@ -326,7 +391,8 @@ async function getAssignmentProgress(req, res) {
     
     // Get completed submissions for score data
     const submissions = await FlashcardSubmission.find({
-      assignmentId: new mongoose.Types.ObjectId(assignmentId)
+      assignmentId: new mongoose.Types.ObjectId(assignmentId),
+      ...primaryStudyModeFilter()
     }).lean();
     
     // Build a map for quick lookup
@@ -412,5 +478,7 @@ module.exports = {
   saveProgress,
   getProgress,
   resetProgress,
+  getDueCards,
+  recordReviews,
   getAssignmentProgress
 };
@@ -1,6 +1,14 @@
 const FlashcardSet = require('../models/FlashcardSet');
 const FlashcardSubmission = require('../models/FlashcardSubmission');
 const StudentFlashcardProgress = require('../models/StudentFlashcardProgress');
+const { attachLatePenalties } = require('../services/latePenalty.service');
+const { forecastForStudents } = require('../services/spacedRepetition.service');
+const { summarizeByMode } = require('../services/flashcardStudyModes.service');
+const {
+  gradeForScore,
+  gradingPolicyByAssignment,
+  reportGradeSummary,
+} = require('../services/gradingScale.service');
 
 function sendSuccess(res, data) {
   return res.json({ success: true, data });
@@ -26,9 +34,17 @@ async function getReport(req, res) {
       submissionFilter.assignmentId = assignmentId;
     }
 
-    const submissions = await FlashcardSubmission.find(submissionFilter)
+    const allSubmissions = await FlashcardSubmission.find(submissionFilter)
       .populate('userId', 'displayName email')
       .lean();
+    // Scores, grades and participants come from flip submissions (the graded
+    // mode); practice modes are reported separately in modeBreakdown.
+    const submissions = allSubmissions.filter((s) => !s.mode || s.mode === 'flip');
+    await attachLatePenalties(submissions, {
+      assignmentIdOf: (s) => s.assignmentId,
+      scoreOf: (s) => s.score || 0,
+    });
+    const gradingPolicies = await gradingPolicyByAssignment(submissions.map((s) => s.assignmentId));
 
     // Also fetch progress records for real-time status
     const progressFilter = { flashcardSetId: id };
@@ -49,6 +65,10 @@ async function getReport(req, res) {
     const totalSubmissions = submissions.length;
 
     const averageScore =
+      totalSubmissions > 0
+        ? Math.round(submissions.reduce((sum, s) => sum + (s.latePenalty.penalizedScore || 0), 0) / totalSubmissions)
+        : 0;
+    const averageRawScore =
       totalSubmissions > 0
         ? Math.round(submissions.reduce((sum, s) => sum + (s.score || 0), 0) / totalSubmissions)
         : 0;
@@ -78,7 +98,10 @@ async function getReport(req, res) {
           s.userId && (s.userId.displayName || s.userId.email)
             ? s.userId.displayName || s.userId.email
             : 'Unknown',
-        score: s.score || 0,
+        score: s.latePenalty.penalizedScore || 0,
+        rawScore: s.score || 0,
+        latePenalty: s.latePenalty,
+        grading: gradeForScore(s.latePenalty.penalizedScore || 0, gradingPolicies.get(String(s.assignmentId))),
         timeTaken: s.timeTaken || 0,
         submittedAt: s.submittedAt,
         status,
@@ -87,6 +110,22 @@ async function getReport(req, res) {
       };
     });
 
+    // Spaced-repetition forecast for everyone who has studied or submitted
+    const studentNames = new Map();
+    progressRecords.forEach((p) => {
+      const student = p.studentId;
+      studentNames.set(String(student?._id || student), student?.displayName || student?.email || 'Unknown');
+    });
+    participants.forEach((p) => {
+      if (!studentNames.has(p.userId)) studentNames.set(p.userId, p.userName);
+    });
+    const forecasts = await forecastForStudents({ setId: id, studentIds: [...studentNames.keys()] });
+    const reviewForecast = [...forecasts].map(([userId, forecast]) => ({
+      userId,
+      userName: studentNames.get(userId),
+      ...forecast,
+    }));
+
     const cards = set.cards.map((card) => {
       const cardIdStr = String(card._id);
       const correctCount = submissions.filter((s) =>
@@ -107,9 +146,16 @@ async function getReport(req, res) {
     const report = {
       totalSubmissions,
       averageScore,
+      averageRawScore,
+      ...reportGradeSummary(submissions.map((s) => ({
+        score: s.latePenalty.penalizedScore || 0,
+        policy: gradingPolicies.get(String(s.assignmentId)),
+      }))),
       medianTimeTaken,
       participants,
       cards,
+      reviewForecast,
+      modeBreakdown: summarizeByMode(allSubmissions),
     };
 
     return sendSuccess(res, report);
@@ -0,0 +1,137 @@
+const folders = require('../services/folder.service');
+const logger = require('../utils/logger');
+
+function sendSuccess(res, data, statusCode = 200) {
+  return res.status(statusCode).json({ success: true, data });
+}
+
+function sendError(res, statusCode, message) {
+  return res.status(statusCode).json({ success: false, message });
+}
+
+function handleError(res, err, label, fallbackMessage) {
+  if (err instanceof folders.FolderError) {
+    return sendError(res, err.statusCode, err.message);
+  }
+  logger.error(`${label} error:`, err);
+  return sendError(res, 500, fallbackMessage);
+}
+
+/**
+ * GET /api/flashcards/folders
+ * The teacher's folder tree with flashcard set, worksheet and worksheet
+ * document counts per folder, plus counts for items at the top level.
+ */
+async function listFolders(req, res) {
+  try {
+    return sendSuccess(res, await folders.listFolderTree(req.user._id));
+  } catch (err) {
+    return handleError(res, err, 'listFolders', 'Failed to fetch folders');
+  }
+}
+
+/**
+ * POST /api/flashcards/folders
+ * @param {string} req.body.name
+ * @param {string|null} [req.body.parentId] — omit or null for a top-level folder
+ */
+async function createFolder(req, res) {
+  try {
+    const { name, parentId, color, order } = req.body || {};
+    const folder = await folders.createFolder({ ownerId: req.user._id, name, parentId, color, order });
+    return sendSuccess(res, folder, 201);
+  } catch (err) {
+    return handleError(res, err, 'createFolder', 'Failed to create folder');
+  }
+}
+
+/**
+ * PATCH /api/flashcards/folders/:folderId
+ * Rename, recolour, reorder or move (`parentId`) a folder.
+ */
+async function updateFolder(req, res) {
+  try {
+    const { name, parentId, color, order } = req.body || {};
+    const folder = await folders.updateFolder({
+      ownerId: req.user._id,
+      folderId: req.params.folderId,
+      name,
+      parentId,
+      color,
+      order
+    });
+    return sendSuccess(res, folder);
+  } catch (err) {
+    return handleError(res, err, 'updateFolder', 'Failed to update folder');
+  }
+}
+
+/**
+ * DELETE /api/flashcards/folders/:folderId
+ * Removes the folder; its subfolders and items move up to its parent.
+ */
+async function deleteFolder(req, res) {
+  try {
+    const result = await folders.deleteFolder({ ownerId: req.user._id, folderId: req.params.folderId });
+    return sendSuccess(res, result);
+  } catch (err) {
+    return handleError(res, err, 'deleteFolder', 'Failed to delete folder');
+  }
+}
+
+/**
+ * POST /api/flashcards/folders/move
+ * @param {'flashcardSet'|'worksheet'|'worksheetDocument'} req.body.type
+ * @param {string[]} req.body.ids
+ * @param {string|null} req.body.folderId — null moves the items to the top level
+ */
+async function moveItems(req, res) {
+  try {
+    const { type, ids, folderId } = req.body || {};
+    const result = await folders.moveItems({ ownerId: req.user._id, type, ids, folderId: folderId ?? null });
+    return sendSuccess(res, result);
+  } catch (err) {
+    return handleError(res, err, 'moveFolderItems', 'Failed to move items');
+  }
+}
+
+/**
+ * POST /api/flashcards/folders/:folderId/share — public link to the folder's sets.
+ * @returns {{ shareUrl, shareToken }}
+ */
+async function shareFolder(req, res) {
+  try {
+    return sendSuccess(res, await folders.shareFolder({ ownerId: req.user._id, folderId: req.params.folderId }));
+  } catch (err) {
+    return handleError(res, err, 'shareFolder', 'Failed to share folder');
+  }
+}
+
+/** DELETE /api/flashcards/folders/:folderId/share */
+async function revokeFolderShare(req, res) {
+  try {
+    return sendSuccess(res, await folders.revokeFolderShare({ ownerId: req.user._id, folderId: req.params.folderId }));
+  } catch (err) {
+    return handleError(res, err, 'revokeFolderShare', 'Failed to revoke folder share');
+  }
+}
+
+/** GET /api/shared/folders/:shareToken — public, no auth required. */
+async function getSharedFolder(req, res) {
+  try {
+    return sendSuccess(res, await folders.getSharedFolder(req.params.shareToken));
+  } catch (err) {
+    return handleError(res, err, 'getSharedFolder', 'Internal server error');
+  }
+}
+
+module.exports = {
+  listFolders,
+  createFolder,
+  updateFolder,
+  deleteFolder,
+  moveItems,
+  shareFolder,
+  revokeFolderShare,
+  getSharedFolder
+};
@@ -0,0 +1,73 @@
+/**
+ * library.controller.js — public library of shared flashcard sets and worksheets.
+ *
+ * Search and previews are public; cloning into a library requires a teacher.
+ */
+const library = require('../services/library.service');
+const { FolderError } = require('../services/folder.service');
+const logger = require('../utils/logger');
+
+function sendSuccess(res, data, statusCode = 200) {
+  return res.status(statusCode).json({ success: true, data });
+}
+
+function sendError(res, statusCode, message) {
+  return res.status(statusCode).json({ success: false, message });
+}
+
+function handleError(res, err, label, fallbackMessage) {
+  if (err instanceof library.LibraryError || err instanceof FolderError) {
+    return sendError(res, err.statusCode, err.message);
+  }
+  logger.error(`${label} error:`, err);
+  return sendError(res, 500, fallbackMessage);
+}
+
+/**
+ * GET /api/library/search — public.
+ * @param {string} [req.query.type] — flashcards (default) | worksheets
+ * @param {string} [req.query.q] — full-text query over title, description and tags
+ * @param {string|string[]} [req.query.subject|cefrLevel|language|template] — facet filters (template: flashcards only)
+ * @param {string} [req.query.sort] — relevance (default) | popular | recent
+ * @returns {{ type, items, facets, pagination }}
+ */
+async function searchLibrary(req, res) {
+  try {
+    return sendSuccess(res, await library.searchLibrary({ ...req.query }));
+  } catch (err) {
+    return handleError(res, err, 'searchLibrary', 'Failed to search the library');
+  }
+}
+
+/** GET /api/library/:type/:id — public preview of a library item. */
+async function getLibraryItem(req, res) {
+  try {
+    return sendSuccess(res, await library.getLibraryItem({ type: req.params.type, id: req.params.id }));
+  } catch (err) {
+    return handleError(res, err, 'getLibraryItem', 'Failed to fetch library item');
+  }
+}
+
+/**
+ * POST /api/library/:type/:id/clone — teacher copies an item into their library.
+ * @param {string|null} [req.body.folderId] — folder to put the copy in
+ */
+async function cloneLibraryItem(req, res) {
+  try {
+    const copy = await library.cloneLibraryItem({
+      type: req.params.type,
+      id: req.params.id,
+      userId: req.user._id,
+      folderId: req.body?.folderId ?? null
+    });
+    return sendSuccess(res, copy, 201);
+  } catch (err) {
+    return handleError(res, err, 'cloneLibraryItem', 'Failed to clone library item');
+  }
+}
+
+module.exports = {
+  searchLibrary,
+  getLibraryItem,
+  cloneLibraryItem
+};
@@ -1,8 +1,20 @@
+const mongoose = require('mongoose');
+
 const Notification = require('../models/notification.model');
 const { verifyJwt } = require('../utils/jwt');
 const User = require('../models/user.model');
 const { registerStream } = require('../services/notificationRealtime.service');
 const { consumeToken: consumeSseToken } = require('../services/sseToken.service');
+const {
+  NotificationPreferenceError,
+  notificationReadExpiresAt,
+  getNotificationPreferences,
+  updateNotificationPreferences
+} = require('../services/notification.service');
+
+const SSE_HEARTBEAT_MS = Math.max(5000, Number(process.env.SSE_HEARTBEAT_MS) || 20000);
+// Upper bound on notifications replayed to one reconnecting stream.
+const SSE_REPLAY_LIMIT = 200;
 
 function sendSuccess(res, data) {
   return res.json({
@@ -18,6 +30,18 @@ function sendError(res, statusCode, message) {
   });
 }
 
+// Opaque keyset cursor over the { recipient, createdAt } index: `<createdAt ISO>|<_id>`.
+function encodeCursor(doc) {
+  return Buffer.from(`${new Date(doc.createdAt).toISOString()}|${doc._id}`).toString('base64url');
+}
+
+function decodeCursor(raw) {
+  const [timestamp, id] = Buffer.from(String(raw), 'base64url').toString('utf8').split('|');
+  const createdAt = new Date(timestamp);
+  if (Number.isNaN(createdAt.getTime()) || !mongoose.Types.ObjectId.isValid(id)) return null;
+  return { createdAt, id };
+}
+
 async function listMyNotifications(req, res) {
   try {
     const userId = req.user && req.user._id;
@@ -26,12 +50,31 @@ async function listMyNotifications(req, res) {
     const limitRaw = req.query && req.query.limit;
     const limit = Math.max(1, Math.min(200, Number(limitRaw) || 50));
 
-    const items = await Notification.find({ recipient: userId })
-      .sort({ createdAt: -1 })
-      .limit(limit)
+    const filter = {
+      recipient: userId,
+      archivedAt: { $exists: String(req.query && req.query.archived) === 'true' }
+    };
+    const types = String((req.query && req.query.type) || '')
+      .split(',').map((value) => value.trim()).filter(Boolean);
+    if (types.length) filter.type = { $in: types.slice(0, 20) };
+
+    if (req.query && req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor);
+      if (!cursor) return sendError(res, 400, 'Invalid cursor');
+      filter.$or = [
+        { createdAt: { $lt: cursor.createdAt } },
+        { createdAt: cursor.createdAt, _id: { $lt: cursor.id } }
+      ];
+    }
+
+    const items = await Notification.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1)
       .populate('actor', '_id email displayName photoURL role');
 
-    return sendSuccess(res, items);
+    const page = items.slice(0, limit);
+    const nextCursor = items.length > limit ? encodeCursor(page[page.length - 1]) : null;
+    return res.json({ success: true, data: page, nextCursor });
   } catch {
     return sendError(res, 500, 'Failed to fetch notifications');
   }
@@ -64,7 +107,7 @@ async function markAllRead(req, res) {
         recipient: userId,
         readAt: { $exists: false }
       },
-      { $set: { readAt: now } }
+      { $set: { readAt: now, expiresAt: notificationReadExpiresAt(now) } }
     );
 
     return sendSuccess(res, { readAt: now.toISOString() });
@@ -86,6 +129,7 @@ async function markRead(req, res) {
 
     if (!doc.readAt) {
       doc.readAt = new Date();
+      doc.expiresAt = notificationReadExpiresAt(doc.readAt);
       await doc.save();
     }
 
@@ -98,6 +142,83 @@ async function markRead(req, res) {
   }
 }
 
+async function deleteNotification(req, res) {
+  try {
+    const userId = req.user && req.user._id;
+    if (!userId) return sendError(res, 401, 'Unauthorized');
+
+    const id = req.params && req.params.id ? String(req.params.id) : '';
+    if (!mongoose.Types.ObjectId.isValid(id)) return sendError(res, 400, 'Invalid notification id');
+
+    const result = await Notification.deleteOne({ _id: id, recipient: userId });
+    if (!result.deletedCount) return sendError(res, 404, 'Notification not found');
+
+    return sendSuccess(res, { id, deleted: true });
+  } catch {
+    return sendError(res, 500, 'Failed to delete notification');
+  }
+}
+
+// Archives the given ids, or everything created up to `before`. Archived
+// notifications count as read, so they also start their read TTL.
+async function archiveNotifications(req, res) {
+  try {
+    const userId = req.user && req.user._id;
+    if (!userId) return sendError(res, 401, 'Unauthorized');
+
+    const { ids, before } = req.body || {};
+    const filter = { recipient: userId, archivedAt: { $exists: false } };
+    if (Array.isArray(ids)) {
+      if (!ids.length || ids.length > 500 || !ids.every((id) => mongoose.Types.ObjectId.isValid(String(id)))) {
+        return sendError(res, 400, 'ids must be 1-500 valid notification ids');
+      }
+      filter._id = { $in: ids.map(String) };
+    } else if (before) {
+      const cutoff = new Date(before);
+      if (Number.isNaN(cutoff.getTime())) return sendError(res, 400, 'before must be a valid date');
+      filter.createdAt = { $lte: cutoff };
+    } else {
+      return sendError(res, 400, 'Provide ids or before');
+    }
+
+    const now = new Date();
+    const unread = await Notification.updateMany(
+      { ...filter, readAt: { $exists: false } },
+      { $set: { archivedAt: now, readAt: now, expiresAt: notificationReadExpiresAt(now) } }
+    );
+    const read = await Notification.updateMany(filter, { $set: { archivedAt: now } });
+
+    return sendSuccess(res, {
+      archivedCount: (unread.modifiedCount || 0) + (read.modifiedCount || 0),
+      archivedAt: now.toISOString()
+    });
+  } catch {
+    return sendError(res, 500, 'Failed to archive notifications');
+  }
+}
+
+async function getMyPreferences(req, res) {
+  try {
+    const userId = req.user && req.user._id;
+    if (!userId) return sendError(res, 401, 'Unauthorized');
+    return sendSuccess(res, await getNotificationPreferences(userId));
+  } catch (err) {
+    if (err instanceof NotificationPreferenceError) return sendError(res, err.statusCode, err.message);
+    return sendError(res, 500, 'Failed to fetch notification preferences');
+  }
+}
+
+async function updateMyPreferences(req, res) {
+  try {
+    const userId = req.user && req.user._id;
+    if (!userId) return sendError(res, 401, 'Unauthorized');
+    return sendSuccess(res, await updateNotificationPreferences(userId, req.body && req.body.preferences));
+  } catch (err) {
+    if (err instanceof NotificationPreferenceError) return sendError(res, err.statusCode, err.message);
+    return sendError(res, 500, 'Failed to update notification preferences');
+  }
+}
+
 function getBearerTokenFromHeader(req) {
   const header = req.headers.authorization;
   if (!header || typeof header !== 'string') return null;
@@ -112,7 +233,7 @@ async function resolveUserForSse(req) {
   // logs, browser history, and referrer headers.
   const sseTokenFromQuery = req.query && req.query.sseToken ? String(req.query.sseToken) : '';
   if (sseTokenFromQuery) {
-    const userId = consumeSseToken(sseTokenFromQuery);
+    const userId = await consumeSseToken(sseTokenFromQuery);
     if (!userId) return null;
     const user = await User.findById(userId);
     if (!user || user.isActive === false) return null;
@@ -139,6 +260,15 @@ async function resolveUserForSse(req) {
   return user;
 }
 
+async function missedNotifications(userId, lastSeq) {
+  const items = await Notification.find({ recipient: userId, seq: { $gt: lastSeq } })
+    .sort({ seq: 1 })
+    .limit(SSE_REPLAY_LIMIT)
+    .populate('recipient', '_id email displayName photoURL role')
+    .populate('actor', '_id email displayName photoURL role');
+  return items.map((item) => ({ id: String(item.seq), event: 'notification', payload: item }));
+}
+
 async function streamMyNotifications(req, res) {
   try {
     const user = await resolveUserForSse(req);
@@ -159,7 +289,12 @@ async function streamMyNotifications(req, res) {
     // initial ping so client knows it's connected
     res.write('event: ready\ndata: {}\n\n');
 
-    registerStream({ userId: user._id, res });
+    // EventSource resends the last seen `id:` as Last-Event-ID when it
+    // reconnects; clients opening a fresh stream may pass ?lastEventId=.
+    const lastEventId = String(req.headers['last-event-id'] || (req.query && req.query.lastEventId) || '').trim();
+    const replay = /^\d+$/.test(lastEventId)
+      ? () => missedNotifications(user._id, Number(lastEventId))
+      : undefined;
 
     // keep-alive ping
     const timer = setInterval(() => {
@@ -168,12 +303,15 @@ async function streamMyNotifications(req, res) {
       } catch {
         // ignore
       }
-    }, 25000);
+    }, SSE_HEARTBEAT_MS);
 
     req.on('close', () => {
       clearInterval(timer);
     });
+
+    await registerStream({ userId: user._id, res, replay });
   } catch {
+    if (res.headersSent) return res.end();
     return sendError(res, 500, 'Failed to open notifications stream');
   }
 }
@@ -183,5 +321,9 @@ module.exports = {
   markRead,
   getUnreadCount,
   markAllRead,
+  deleteNotification,
+  archiveNotifications,
+  getMyPreferences,
+  updateMyPreferences,
   streamMyNotifications
 };
@@ -0,0 +1,176 @@
+/**
+ * organization.controller.js — school accounts with seat-based licensing.
+ *
+ * Platform admins provision organizations; organization admins invite
+ * teachers, assign seats and read school-level usage.
+ */
+const organizations = require('../services/organization.service');
+const logger = require('../utils/logger');
+
+function sendSuccess(res, data, statusCode = 200) {
+  return res.status(statusCode).json({ success: true, data });
+}
+
+function sendError(res, statusCode, message, code) {
+  return res.status(statusCode).json({ success: false, message, ...(code ? { code } : {}) });
+}
+
+function handleError(res, err, label, fallbackMessage) {
+  if (err instanceof organizations.OrganizationError) {
+    return sendError(res, err.statusCode, err.message, err.code);
+  }
+  logger.error(`${label} error: ${err && err.message ? err.message : err}`);
+  return sendError(res, 500, fallbackMessage);
+}
+
+/** POST /api/organizations — platform admin. */
+async function createOrganization(req, res) {
+  try {
+    const result = await organizations.createOrganization({ ...req.body, createdBy: req.user._id });
+    return sendSuccess(res, result, 201);
+  } catch (err) {
+    return handleError(res, err, 'createOrganization', 'Failed to create organization');
+  }
+}
+
+/** PATCH /api/organizations/:organizationId — platform admin. */
+async function updateOrganization(req, res) {
+  try {
+    const result = await organizations.updateOrganization({ organizationId: req.params.organizationId, updates: req.body });
+    return sendSuccess(res, result);
+  } catch (err) {
+    return handleError(res, err, 'updateOrganization', 'Failed to update organization');
+  }
+}
+
+/** GET /api/organizations/mine — the signed-in teacher's organization, or null. */
+async function getMyOrganization(req, res) {
+  try {
+    return sendSuccess(res, await organizations.getMyOrganization(req.user));
+  } catch (err) {
+    return handleError(res, err, 'getMyOrganization', 'Failed to fetch organization');
+  }
+}
+
+/** GET /api/organizations/:organizationId — organization admin. */
+async function getOrganization(req, res) {
+  try {
+    const result = await organizations.getOrganizationOverview({ organizationId: req.params.organizationId, user: req.user });
+    return sendSuccess(res, result);
+  } catch (err) {
+    return handleError(res, err, 'getOrganization', 'Failed to fetch organization');
+  }
+}
+
+/** GET /api/organizations/:organizationId/usage — organization admin. */
+async function getOrganizationUsage(req, res) {
+  try {
+    const result = await organizations.getOrganizationUsage({ organizationId: req.params.organizationId, user: req.user });
+    return sendSuccess(res, result);
+  } catch (err) {
+    return handleError(res, err, 'getOrganizationUsage', 'Failed to fetch organization usage');
+  }
+}
+
+/** POST /api/organizations/:organizationId/invitations — organization admin. */
+async function inviteTeacher(req, res) {
+  try {
+    const invitation = await organizations.inviteTeacher({
+      organizationId: req.params.organizationId,
+      user: req.user,
+      email: req.body.email,
+      role: req.body.role,
+      assignSeat: req.body.assignSeat
+    });
+    return sendSuccess(res, {
+      invitationId: invitation._id,
+      email: invitation.email,
+      role: invitation.role,
+      assignSeat: invitation.assignSeat,
+      status: invitation.status,
+      acceptUrl: organizations.buildOrganizationInvitationUrl(invitation.token),
+      expiresAt: invitation.expiresAt
+    }, 201);
+  } catch (err) {
+    return handleError(res, err, 'inviteTeacher', 'Failed to invite teacher');
+  }
+}
+
+/** POST /api/organizations/:organizationId/invitations/:invitationId/revoke — organization admin. */
+async function revokeInvitation(req, res) {
+  try {
+    const invitation = await organizations.revokeInvitation({
+      organizationId: req.params.organizationId,
+      invitationId: req.params.invitationId,
+      user: req.user
+    });
+    return sendSuccess(res, { invitationId: invitation._id, status: invitation.status, revokedAt: invitation.revokedAt });
+  } catch (err) {
+    return handleError(res, err, 'revokeOrganizationInvitation', 'Failed to revoke invitation');
+  }
+}
+
+/** POST /api/organizations/invitations/:token/accept — the invited teacher. */
+async function acceptInvitation(req, res) {
+  try {
+    return sendSuccess(res, await organizations.acceptInvitation({ token: req.params.token, user: req.user }));
+  } catch (err) {
+    return handleError(res, err, 'acceptOrganizationInvitation', 'Failed to accept invitation');
+  }
+}
+
+/** POST /api/organizations/:organizationId/members/:memberId/seat — organization admin. */
+async function assignSeat(req, res) {
+  try {
+    const result = await organizations.assignSeat({
+      organizationId: req.params.organizationId,
+      memberId: req.params.memberId,
+      user: req.user
+    });
+    return sendSuccess(res, result);
+  } catch (err) {
+    return handleError(res, err, 'assignSeat', 'Failed to assign seat');
+  }
+}
+
+/** DELETE /api/organizations/:organizationId/members/:memberId/seat — organization admin. */
+async function releaseSeat(req, res) {
+  try {
+    const result = await organizations.releaseSeat({
+      organizationId: req.params.organizationId,
+      memberId: req.params.memberId,
+      user: req.user
+    });
+    return sendSuccess(res, result);
+  } catch (err) {
+    return handleError(res, err, 'releaseSeat', 'Failed to release seat');
+  }
+}
+
+/** DELETE /api/organizations/:organizationId/members/:memberId — organization admin. */
+async function removeMember(req, res) {
+  try {
+    const result = await organizations.removeMember({
+      organizationId: req.params.organizationId,
+      memberId: req.params.memberId,
+      user: req.user
+    });
+    return sendSuccess(res, result);
+  } catch (err) {
+    return handleError(res, err, 'removeOrganizationMember', 'Failed to remove member');
+  }
+}
+
+module.exports = {
+  createOrganization,
+  updateOrganization,
+  getMyOrganization,
+  getOrganization,
+  getOrganizationUsage,
+  inviteTeacher,
+  revokeInvitation,
+  acceptInvitation,
+  assignSeat,
+  releaseSeat,
+  removeMember
+};
@@ -7,6 +7,7 @@ const WorksheetSubmission = require("../models/WorksheetSubmission");
 const Worksheet = require("../models/Worksheet");
 const FlashcardSet = require("../models/FlashcardSet");
 const FlashcardSubmission = require("../models/FlashcardSubmission");
+const { primaryStudyModeFilter } = require("../constants/flashcard.constants");
 const Assignment = require("../models/assignment.model");
 const Membership = require("../models/membership.model");
 const User = require("../models/user.model");
@@ -18,7 +19,19 @@ const path = require("path");
 const fs = require("fs");
 const os = require("os");
 const { v4: uuidv4 } = require("uuid");
-const { showMarksToStudent } = require("../services/assignmentAccessPolicy.service");
+const { marksReleasedToStudent } = require("../services/assignmentAccessPolicy.service");
+const {
+  attachLatePenalties,
+  latePenaltyForSubmission,
+  penaltyPercentByAssignment,
+  penaltyPercentForAssignment,
+} = require("../services/latePenalty.service");
+const {
+  gradeForScore,
+  gradingPolicyByAssignment,
+  gradingPolicyForAssignment,
+  gradingPolicyForClass,
+} = require("../services/gradingScale.service");
 
 async function getSubmissionWithPermissionsOrThrow({ user, submissionId }) {
   if (!mongoose.Types.ObjectId.isValid(submissionId)) {
@@ -87,7 +100,10 @@ async function downloadSubmissionPdf(req, res, next) {
       const assignmentPolicy = assignmentId
         ? await Assignment.findById(assignmentId).select("showMarksToStudent").lean()
         : null;
-      if (!showMarksToStudent(assignmentPolicy)) {
+      const gradeRecord = await SubmissionFeedback.findOne({ submissionId: submission._id })
+        .select("gradeRelease")
+        .lean();
+      if (!marksReleasedToStudent(assignmentPolicy, gradeRecord)) {
         throw new ApiError(403, "Marks have not been released for this assignment.");
       }
     }
@@ -160,8 +176,10 @@ async function downloadSubmissionPdf(req, res, next) {
     let savedPath;
     try {
       const memoryBefore = process.memoryUsage().rss;
+      const penaltyPercent = await penaltyPercentForAssignment(submission.assignment?._id || submission.assignment);
+      const gradingPolicy = await gradingPolicyForClass(submission.class?._id || submission.class);
       const { viewModel, diagnostics, timings } = await buildPersistedSubmissionFeedbackReport({
-        submission, submissionFeedback, feedback, identity, abortSignal: abortController.signal
+        submission, submissionFeedback, feedback, identity, penaltyPercent, gradingPolicy, abortSignal: abortController.signal
       });
       logger.info(`[PDF MAP] submissionId=${String(submission._id)} diagnostics=${JSON.stringify({
         ...diagnostics, assetMetrics: undefined
@@ -276,6 +294,9 @@ async function downloadWorksheetSubmissionPdf(req, res, next) {
       ) {
         throw new ApiError(403, "Forbidden");
       }
+      if (!marksReleasedToStudent(submission.assignmentId, submission)) {
+        throw new ApiError(403, "Marks have not been released for this assignment.");
+      }
     } else if (user.role === "teacher") {
       const classId =
         submission.assignmentId?.class?._id || submission.assignmentId?.class;
@@ -307,6 +328,15 @@ async function downloadWorksheetSubmissionPdf(req, res, next) {
       tmpDir,
       `worksheet-submission-${String(submission._id)}-${uuidv4()}.pdf`,
     );
+    const assignmentRef = submission.assignmentId?._id || submission.assignmentId;
+    const latePenalty = latePenaltyForSubmission(submission, {
+      score: submission.percentage,
+      penaltyPercent: await penaltyPercentForAssignment(assignmentRef),
+    });
+    const grading = gradeForScore(
+      latePenalty.penalizedScore,
+      await gradingPolicyForAssignment(assignmentRef),
+    );
     const savedPath = await generateWorksheetSubmissionPdf(
       {
         worksheet: ws,
@@ -316,6 +346,8 @@ async function downloadWorksheetSubmissionPdf(req, res, next) {
         className,
         submittedAt,
         assignment: submission.assignmentId,
+        latePenalty,
+        grading,
       },
       outFile,
     );
@@ -409,6 +441,29 @@ async function downloadWorksheetReportPdf(req, res, next) {
     const submissions = await WorksheetSubmission.find({ worksheetId })
       .populate("studentId", "_id email displayName")
       .sort({ submittedAt: -1 });
+    const assignmentRefs = submissions.map((s) => s.assignmentId);
+    const [penaltyPercents, gradingPolicies] = await Promise.all([
+      penaltyPercentByAssignment(assignmentRefs),
+      gradingPolicyByAssignment(assignmentRefs),
+    ]);
+    const latePenalties = new Map(
+      submissions.map((s) => [
+        String(s._id),
+        latePenaltyForSubmission(s, {
+          score: s.percentage,
+          penaltyPercent: penaltyPercents.get(String(s.assignmentId)),
+        }),
+      ]),
+    );
+    const grades = new Map(
+      submissions.map((s) => [
+        String(s._id),
+        gradeForScore(
+          latePenalties.get(String(s._id)).penalizedScore,
+          gradingPolicies.get(String(s.assignmentId)),
+        ),
+      ]),
+    );
 
     const tmpDir = path.join(os.tmpdir(), "rozna-pdf");
     const outFile = path.join(
@@ -422,6 +477,8 @@ async function downloadWorksheetReportPdf(req, res, next) {
         assignment,
         teacher,
         totalAssigned,
+        latePenalties,
+        grades,
       },
       outFile,
     );
@@ -490,7 +547,7 @@ async function downloadFlashcardReportPdf(req, res, next) {
       req.query && req.query.assignmentId
         ? String(req.query.assignmentId).trim()
         : "";
-    const submissionFilter = { flashcardSetId: setId };
+    const submissionFilter = { flashcardSetId: setId, ...primaryStudyModeFilter() };
     if (assignmentId && mongoose.Types.ObjectId.isValid(assignmentId)) {
       submissionFilter.assignmentId = assignmentId;
     }
@@ -498,13 +555,22 @@ async function downloadFlashcardReportPdf(req, res, next) {
     const submissions = await FlashcardSubmission.find(submissionFilter)
       .populate("userId", "displayName email")
       .lean();
+    await attachLatePenalties(submissions, {
+      assignmentIdOf: (s) => s.assignmentId,
+      scoreOf: (s) => s.score || 0,
+    });
+    const gradingPolicies = await gradingPolicyByAssignment(
+      submissions.map((s) => s.assignmentId),
+    );
 
     const totalSubmissions = submissions.length;
     const averageScore =
       totalSubmissions > 0
         ? Math.round(
-            submissions.reduce((sum, s) => sum + (s.score || 0), 0) /
-              totalSubmissions,
+            submissions.reduce(
+              (sum, s) => sum + (s.latePenalty.penalizedScore || 0),
+              0,
+            ) / totalSubmissions,
           )
         : 0;
 
@@ -524,7 +590,14 @@ async function downloadFlashcardReportPdf(req, res, next) {
         s.userId && (s.userId.displayName || s.userId.email)
           ? s.userId.displayName || s.userId.email
           : "Unknown",
-      score: s.score || 0,
+      score: s.latePenalty.penalizedScore || 0,
+      rawScore: s.score || 0,
+      latePenalty: s.latePenalty,
+      // Self-study submissions have no class, so they stay on the default scale.
+      grading: gradeForScore(
+        s.latePenalty.penalizedScore || 0,
+        gradingPolicies.get(String(s.assignmentId)),
+      ),
       timeTaken: s.timeTaken || 0,
       submittedAt: s.submittedAt,
       status: "completed",
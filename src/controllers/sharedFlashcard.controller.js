@@ -9,6 +9,7 @@ const FlashcardSet      = require('../models/FlashcardSet');
 const FlashcardSubmission = require('../models/FlashcardSubmission');
 const Assignment        = require('../models/assignment.model');
 const Membership        = require('../models/membership.model');
+const { primaryStudyModeFilter } = require('../constants/flashcard.constants');
 
 function sendSuccess(res, data, statusCode = 200) {
   return res.status(statusCode).json({ success: true, data });
@@ -90,7 +91,7 @@ async function submitSharedSession(req, res) {
         assignmentId = assignment._id;
 
         /** Save submission tied to the assignment */
-        const existing = await FlashcardSubmission.findOne({ assignmentId, userId });
+        const existing = await FlashcardSubmission.findOne({ assignmentId, userId, ...primaryStudyModeFilter() });
         if (!existing) {
           const { score, timeTaken, results } = req.body || {};
           await FlashcardSubmission.create({
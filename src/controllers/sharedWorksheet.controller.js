@@ -0,0 +1,77 @@
+/**
+ * sharedWorksheet.controller.js — public share-link access to worksheets.
+ *
+ * Guests open and attempt a shared worksheet without an account; the owner
+ * reviews a summary of those attempts.
+ */
+const sharedWorksheet = require('../services/sharedWorksheet.service');
+const logger = require('../utils/logger');
+
+function sendSuccess(res, data, statusCode = 200) {
+  return res.status(statusCode).json({ success: true, data });
+}
+
+function sendError(res, statusCode, message) {
+  return res.status(statusCode).json({ success: false, message });
+}
+
+function handleError(res, err, label, fallbackMessage) {
+  if (err instanceof sharedWorksheet.SharedWorksheetError) {
+    return sendError(res, err.statusCode, err.message);
+  }
+  logger.error(`${label} error:`, err);
+  return sendError(res, 500, fallbackMessage);
+}
+
+/**
+ * GET /api/shared/worksheets/:shareToken — public, no auth required.
+ * Returns the student view with the answer key stripped.
+ * Returns 404 if the worksheet was deleted or its share link was revoked.
+ */
+async function getSharedWorksheet(req, res) {
+  try {
+    return sendSuccess(res, await sharedWorksheet.getSharedWorksheet(req.params.shareToken));
+  } catch (err) {
+    return handleError(res, err, 'getSharedWorksheet', 'Internal server error');
+  }
+}
+
+/**
+ * POST /api/shared/worksheets/:shareToken/attempts — public, no auth required.
+ * @param {Array}  req.body.answers     — [{ sectionId, questionId, studentAnswer }]
+ * @param {string} [req.body.guestName] — shown to the owner; anonymous when omitted
+ * @param {number} [req.body.timeTaken] — seconds
+ * @returns {{ attemptId, score, earnedPoints, totalPoints, isPassed, sections, results }}
+ */
+async function submitGuestAttempt(req, res) {
+  try {
+    const { answers, guestName, timeTaken } = req.body || {};
+    const result = await sharedWorksheet.submitGuestAttempt(req.params.shareToken, { answers, guestName, timeTaken });
+    return sendSuccess(res, result, 201);
+  } catch (err) {
+    return handleError(res, err, 'submitGuestAttempt', 'Failed to submit worksheet attempt');
+  }
+}
+
+/**
+ * GET /api/worksheets/:id/guest-attempts — teacher, must own the worksheet.
+ * @param {number} [req.query.limit] — number of recent attempts to include (default 20, max 100)
+ */
+async function getGuestAttemptSummary(req, res) {
+  try {
+    const summary = await sharedWorksheet.getGuestAttemptSummary({
+      ownerId: req.user._id,
+      worksheetId: req.params.id,
+      limit: req.query.limit
+    });
+    return sendSuccess(res, summary);
+  } catch (err) {
+    return handleError(res, err, 'getGuestAttemptSummary', 'Failed to fetch guest attempts');
+  }
+}
+
+module.exports = {
+  getSharedWorksheet,
+  submitGuestAttempt,
+  getGuestAttemptSummary
+};
@@ -2,10 +2,67 @@ const StripeEvent = require('../models/StripeEvent');
 const User = require('../models/user.model');
 const logger = require('../utils/logger');
 const { getStripe } = require('../services/stripe.service');
+const { createNotification } = require('../services/notification.service');
+const { invoiceSubscriptionId, recordInvoiceEvent } = require('../services/billingInvoice.service');
+const { notifyOrganizationAdmins, syncOrganizationSubscription } = require('../services/organization.service');
 const { idOf, syncSubscription, associateCheckoutSession } = require('../services/stripeSubscription.service');
 
-function invoiceSubscriptionId(invoice) {
-  return idOf(invoice?.subscription) || idOf(invoice?.parent?.subscription_details?.subscription);
+function formatDate(unix) {
+  return typeof unix === 'number' ? new Date(unix * 1000).toISOString().slice(0, 10) : null;
+}
+
+/**
+ * Tells the teacher about a billing event in-app. Delivery failures are logged
+ * rather than thrown so Stripe does not retry an event that was already applied.
+ */
+async function notifyBilling(user, { kind, title, description, data = {} }) {
+  if (!user?._id) return;
+  try {
+    await createNotification({
+      recipientId: user._id,
+      type: 'billing_update',
+      title,
+      description,
+      data: { kind, ...data, route: { path: '/teacher/dashboard' } }
+    });
+  } catch (err) {
+    logger.error(`billing notification failed userId=${user._id} kind=${kind} message=${err?.message || 'unknown'}`);
+  }
+}
+
+// Subscriptions bought for an organization carry its id in their metadata.
+function isOrganizationSubscription(subscription) {
+  return Boolean(subscription?.metadata?.organizationId);
+}
+
+function syncBillingSubscription(subscription, invoice) {
+  return isOrganizationSubscription(subscription)
+    ? syncOrganizationSubscription(subscription)
+    : syncSubscription(subscription, invoice);
+}
+
+/**
+ * Syncs the invoice's subscription, or records the invoice on the customer's
+ * teacher when it has none. Resolves with `{ account, organization }`: the
+ * synced teacher or organization, and whether it is an organization.
+ */
+async function syncInvoice(stripe, invoice, fallback) {
+  const subscriptionId = invoiceSubscriptionId(invoice);
+  if (subscriptionId) {
+    const subscription = await stripe.subscriptions.retrieve(subscriptionId);
+    return { account: await syncBillingSubscription(subscription, invoice), organization: isOrganizationSubscription(subscription) };
+  }
+  const account = await User.findOneAndUpdate(
+    { stripeCustomerId: idOf(invoice.customer), role: 'teacher' },
+    { $set: { stripeLatestInvoiceId: idOf(invoice), stripeLatestInvoiceStatus: invoice.status || 'open', ...fallback } },
+    { returnDocument: 'after' }
+  );
+  return { account, organization: false };
+}
+
+/** Tells whoever pays: the teacher, or every admin of the organization. */
+function notifyBillingAccount({ account, organization }, notice) {
+  return organization ? notifyOrganizationAdmins(account, notice) : notifyBilling(account, notice);
 }
 
 async function handleEvent(event) {
@@ -17,18 +74,42 @@ async function handleEvent(event) {
     const subscriptionId = idOf(object.subscription);
     if (subscriptionId) await syncSubscription(await stripe.subscriptions.retrieve(subscriptionId));
   } else if (['customer.subscription.created', 'customer.subscription.updated', 'customer.subscription.deleted'].includes(event.type)) {
-    await syncSubscription(object);
-  } else if (['invoice.paid', 'invoice.payment_failed'].includes(event.type)) {
+    await syncBillingSubscription(object);
+  } else if (event.type === 'customer.subscription.trial_will_end') {
+    const organization = isOrganizationSubscription(object);
+    const account = organization ? await syncOrganizationSubscription(object) : await syncSubscription(object);
+    const trialEnd = formatDate(object.trial_end);
+    await notifyBillingAccount({ account, organization }, {
+      kind: 'trial_will_end',
+      title: 'Your trial is ending soon',
+      description: trialEnd
+        ? `Your free trial ends on ${trialEnd}. Your subscription starts then unless you cancel.`
+        : 'Your free trial ends soon. Your subscription starts then unless you cancel.',
+      data: { subscriptionId: idOf(object), trialEnd: object.trial_end ? new Date(object.trial_end * 1000) : null }
+    });
+  } else if (event.type === 'invoice.paid') {
     const subscriptionId = invoiceSubscriptionId(object);
-    if (subscriptionId) {
-      await syncSubscription(await stripe.subscriptions.retrieve(subscriptionId), object);
-    } else if (event.type === 'invoice.payment_failed') {
-      await User.updateOne(
-        { stripeCustomerId: idOf(object.customer), role: 'teacher' },
-        { $set: { stripeLatestInvoiceId: idOf(object), stripeLatestInvoiceStatus: object.status || 'open', stripeLastPaymentFailedAt: new Date() } }
-      );
-    }
+    if (subscriptionId) await syncBillingSubscription(await stripe.subscriptions.retrieve(subscriptionId), object);
+  } else if (event.type === 'invoice.payment_failed') {
+    const synced = await syncInvoice(stripe, object, { stripeLastPaymentFailedAt: new Date() });
+    await notifyBillingAccount(synced, {
+      kind: 'payment_failed',
+      title: 'Payment failed',
+      description: 'We could not collect your subscription payment. Update your payment method to keep your plan.',
+      data: { invoiceId: idOf(object), hostedInvoiceUrl: object.hosted_invoice_url || null }
+    });
+  } else if (event.type === 'invoice.payment_action_required') {
+    const synced = await syncInvoice(stripe, object, {});
+    await notifyBillingAccount(synced, {
+      kind: 'payment_action_required',
+      title: 'Confirm your payment',
+      description: 'Your bank needs you to confirm the subscription payment before it can go through.',
+      data: { invoiceId: idOf(object), hostedInvoiceUrl: object.hosted_invoice_url || null }
+    });
   }
+
+  // Keeps the billing history the teacher sees in step with Stripe.
+  if (event.type.startsWith('invoice.')) await recordInvoiceEvent(event);
 }
 
 async function stripeWebhook(req, res) {
@@ -45,7 +126,8 @@ async function stripeWebhook(req, res) {
   const supported = new Set([
     'checkout.session.completed', 'customer.subscription.created',
     'customer.subscription.updated', 'customer.subscription.deleted',
-    'invoice.paid', 'invoice.payment_failed'
+    'customer.subscription.trial_will_end', 'invoice.finalized', 'invoice.paid',
+    'invoice.payment_failed', 'invoice.payment_action_required', 'invoice.voided'
   ]);
   if (!supported.has(event.type)) return res.json({ received: true });
 
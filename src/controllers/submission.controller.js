@@ -12,12 +12,11 @@ const OcrUpload = require('../models/OcrUpload');
 const SubmissionFeedback = require('../models/SubmissionFeedback');
 
 const uploadService = require('../services/upload.service');
-const { runOcrAndPersist, runOcrAndPersistForFiles } = require('../services/ocrPipeline.service');
+const { runOcrAndPersist } = require('../services/ocrPipeline.service');
 const { normalizeOcrWordsFromStored } = require('../services/ocrCorrections.service');
 const { buildSubmissionCorrectionStatistics } = require('../services/submissionCorrectionStatistics.service');
-const { autoGenerateRubricDesignerForSubmission } = require('../services/autoRubricDesigner.service');
-const canonicalCorrectionsPipeline = require('../services/canonicalCorrectionsPipeline.service');
-const canonicalEvaluation = require('../services/canonicalEvaluation.service');
+const { dispatchOcr, dispatchCorrections, dispatchEvaluation } = require('../services/analysisJobs.service');
+const { getPeriodUsage, usageReference } = require('../services/usageLedger.service');
 const correctionCanonical = require('../services/correctionCanonical.service');
 const { buildCanonicalResultState } = require('../services/canonicalResultState.service');
 const {
@@ -33,9 +32,10 @@ const logger = require('../utils/logger');
 
 const { bytesToMB, ensureActivePlan, getLimit, incrementUsage } = require('../middlewares/usage.middleware');
 const { getPublicApiUrl, buildPublicUploadUrl } = require('../utils/publicApiUrl');
-const { showMarksToStudent, redactStudentMarks } = require('../services/assignmentAccessPolicy.service');
+const { marksReleasedToStudent, redactStudentMarks } = require('../services/assignmentAccessPolicy.service');
 const { scopeCanonicalPages, scopeCanonicalCorrections } = require('../services/canonicalCorrectionResponse.service');
 const { pendingAnalysisState, resetSubmissionAnalysisState } = require('../services/submissionAnalysisLifecycle.service');
+const { publishAnalysisPending } = require('../services/submissionProgress.service');
 const submissionRemoval = require('../services/submissionRemoval.service');
 const { getAdaptiveCompletionForResubmission } = require('../services/adaptivePractice.service');
 
@@ -450,9 +450,7 @@ async function upsertSubmission({ req, res, assignment, qrToken }) {
   if (!existing) {
     const planDoc = await ensureActivePlan(req.user);
     const limit = getLimit(planDoc, 'submissions');
-    const current = req.user && req.user.usage && typeof req.user.usage.submissions === 'number'
-      ? req.user.usage.submissions
-      : 0;
+    const current = await getPeriodUsage(req.user, 'submissions');
 
     if (typeof limit === 'number' && current + 1 > limit) {
       return sendError(res, 403, 'Limit exceeded: submissions');
@@ -505,26 +503,14 @@ async function upsertSubmission({ req, res, assignment, qrToken }) {
       });
 
       const saved = await existing.save();
+      publishAnalysisPending(saved, { teacherId: assignment.teacher, reset: true });
 
       await incrementUsage(studentId, { storageMB: uploadedMB });
 
-      setImmediate(() => {
-        const ids = Array.isArray(saved.files) && saved.files.length
-          ? saved.files
-          : (firstFile ? [firstFile._id] : []);
-
-        const ocrPromise = ids.length
-          ? runOcrAndPersistForFiles({ fileIds: ids, targetDoc: saved, jobId: saved.ocrJobId })
-          : Promise.resolve();
-
-        ocrPromise
-          .then(() => {
-            // Auto-generate rubric after OCR completes
-            autoGenerateRubricDesignerForSubmission({ submissionId: saved._id,
-              expectedOcrJobId: saved.ocrJobId })
-              .catch(() => {}); // Ignore errors, don't block upload
-          })
-          .catch(() => {});
+      // OCR, corrections, evaluation and the rubric designer run in the analysis queue.
+      await dispatchOcr({
+        submission: saved,
+        fileIds: Array.isArray(saved.files) && saved.files.length ? saved.files : (firstFile ? [firstFile._id] : [])
       });
 
       const populated = await Submission.findById(saved._id)
@@ -596,25 +582,15 @@ async function upsertSubmission({ req, res, assignment, qrToken }) {
       ...pendingAnalysisState({ ocrJobId: new mongoose.Types.ObjectId().toString(), now: new Date() })
     });
 
-    await incrementUsage(studentId, { submissions: 1, storageMB: uploadedMB });
+    publishAnalysisPending(created, { teacherId: assignment.teacher });
 
-    setImmediate(() => {
-      const ids = Array.isArray(created.files) && created.files.length
-        ? created.files
-        : (firstFile ? [firstFile._id] : []);
+    await incrementUsage(studentId, { submissions: 1, storageMB: uploadedMB },
+      { reason: 'essay_analysis', reference: usageReference('submission', created._id) });
 
-      const ocrPromise = ids.length
-        ? runOcrAndPersistForFiles({ fileIds: ids, targetDoc: created, jobId: created.ocrJobId })
-        : Promise.resolve();
-
-      ocrPromise
-        .then(() => {
-          // Auto-generate rubric after OCR completes
-          autoGenerateRubricDesignerForSubmission({ submissionId: created._id,
-            expectedOcrJobId: created.ocrJobId })
-            .catch(() => {}); // Ignore errors, don't block upload
-        })
-        .catch(() => {});
+    // OCR, corrections, evaluation and the rubric designer run in the analysis queue.
+    await dispatchOcr({
+      submission: created,
+      fileIds: Array.isArray(created.files) && created.files.length ? created.files : (firstFile ? [firstFile._id] : [])
     });
 
     const populated = await Submission.findById(created._id)
@@ -925,7 +901,8 @@ async function getOcrCorrections(req, res) {
       }
       if (kind === 'submission') {
         const assignmentPolicy = await Assignment.findById(doc.assignment).select('showMarksToStudent').lean();
-        marksVisible = showMarksToStudent(assignmentPolicy);
+        const gradeRecord = await SubmissionFeedback.findOne({ submissionId: doc._id }).select('gradeRelease').lean();
+        marksVisible = marksReleasedToStudent(assignmentPolicy, gradeRecord);
       }
     } else if (user.role === 'teacher') {
       if (kind !== 'submission') {
@@ -1087,10 +1064,7 @@ async function regenerateCanonicalCorrections(req, res) {
       correctionStatus: 'processing', processingActive: true, automaticPollingAllowed: true, manualRetryAllowed: false, terminal: false
     }});
     submission.correctionStatus = 'processing';
-    setImmediate(() => canonicalCorrectionsPipeline.generateAndPersist(submission, { force: true, assignment: assignment ? {
-      title: assignment.title || '', description: assignment.description || assignment.instructions || '',
-      rubric: assignment.rubric || null, rubrics: assignment.rubrics || null
-    } : {} }).catch((error) => logger.error({ message: 'Authorized correction regeneration failed', submissionId: String(submission._id), error: error?.message || error })));
+    await dispatchCorrections({ submission, assignment, force: true });
     return res.status(202).json({ success: true, data: { correctionStatus: 'processing', processingActive: true,
       automaticPollingAllowed: true, manualRetryAllowed: false, terminal: false } });
   } catch (err) { return sendError(res, err?.statusCode || 500, err?.message || 'Failed to regenerate corrections'); }
@@ -1134,14 +1108,7 @@ async function retryCanonicalEvaluation(req, res) {
     const assignment = await Assignment.findById(submission.assignment).lean();
     submission.evaluationStatus = 'processing';
     submission.evaluationJobId = jobId;
-    setImmediate(() => canonicalEvaluation.generate({ submission, prelockedJobId: jobId, assignment: assignment ? {
-      title: assignment.title || '', description: assignment.description || assignment.instructions || '',
-      rubric: assignment.rubric || null, rubrics: assignment.rubrics || null
-    } : {} }).then((result) => logger.info({ message: 'Authorized evaluation-only retry finished',
-      submissionId: String(submission._id), status: result?.status || 'superseded',
-      provider: result?.provider || null, model: result?.model || null, errorCode: result?.errorCode || null }))
-      .catch((error) => logger.error({ message: 'Authorized evaluation-only retry crashed',
-        submissionId: String(submission._id), errorCode: error?.code || 'EVALUATION_RETRY_FAILED' })));
+    await dispatchEvaluation({ submission, jobId, assignment });
     return res.status(202).json({ success: true, data: {
       evaluationStatus: 'processing', processingActive: true, automaticPollingAllowed: true,
       manualRetryAllowed: false, terminal: false
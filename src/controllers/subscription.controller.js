@@ -1,9 +1,24 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
 
 const Plan = require('../models/Plan');
 const User = require('../models/user.model');
 const { getStripe, getFrontendUrl } = require('../services/stripe.service');
 const { CHECKOUT_BLOCKING_STATUSES, getPriceId } = require('../services/stripeSubscription.service');
+const { getPeriodUsageSummary } = require('../services/usageLedger.service');
+const { findSeatEntitlement } = require('../services/organizationSeat.service');
+const {
+  SubscriptionChangeError,
+  previewPlanChange,
+  changePlan,
+  cancelAtPeriodEnd,
+  resumeSubscription
+} = require('../services/subscriptionChange.service');
+const { BillingInvoiceError, listInvoices, getReceipt } = require('../services/billingInvoice.service');
+const { generateInvoiceReceiptPdf } = require('../modules/invoiceReceiptPdfGenerator');
 const logger = require('../utils/logger');
 
 const { ensureActivePlan, assignPlanToUser } = require('../middlewares/usage.middleware');
@@ -53,6 +68,24 @@ function isNonEmptyString(value) {
   return typeof value === 'string' && value.trim().length > 0;
 }
 
+function billingState(user) {
+  return {
+    customerConfigured: !!user.stripeCustomerId,
+    subscriptionId: user.stripeSubscriptionId || null,
+    status: user.stripeSubscriptionStatus || null,
+    currentPeriodEnd: user.stripeCurrentPeriodEnd || null,
+    cancelAtPeriodEnd: !!user.stripeCancelAtPeriodEnd,
+    paymentIssue: ['past_due', 'unpaid'].includes(user.stripeSubscriptionStatus)
+  };
+}
+
+function handleSubscriptionChangeError(res, err, fallbackMessage) {
+  if (err instanceof SubscriptionChangeError) return sendError(res, err.statusCode, err.message, err.code);
+  if (err?.statusCode === 503) return sendError(res, 503, err.message);
+  logger.error(`stripe subscription change failed message=${err?.message || 'unknown'} code=${err?.code || '-'}`);
+  return sendError(res, 502, fallbackMessage, 'STRIPE_SUBSCRIPTION_UPDATE_FAILED');
+}
+
 async function getMySubscription(req, res) {
   try {
     const user = req.user;
@@ -61,26 +94,24 @@ async function getMySubscription(req, res) {
     }
 
     const planDoc = await ensureActivePlan(user);
+    const period = await getPeriodUsageSummary(user);
+    const gauges = user.usage || {};
+    const seat = user.role === 'teacher' && user.organization ? await findSeatEntitlement(user) : null;
 
     return sendSuccess(res, {
       plan: planDoc,
+      // Set when the plan comes from a seat in a school account
+      organization: seat ? { _id: seat.organization._id, name: seat.organization.name } : null,
       planStartedAt: user.planStartedAt || null,
       planExpiresAt: user.planExpiresAt || null,
-      billing: user.role === 'teacher' ? {
-        customerConfigured: !!user.stripeCustomerId,
-        subscriptionId: user.stripeSubscriptionId || null,
-        status: user.stripeSubscriptionStatus || null,
-        currentPeriodEnd: user.stripeCurrentPeriodEnd || null,
-        cancelAtPeriodEnd: !!user.stripeCancelAtPeriodEnd,
-        paymentIssue: ['past_due', 'unpaid'].includes(user.stripeSubscriptionStatus)
-      } : null,
-      usage: user.usage || {
-        classes: 0,
-        assignments: 0,
-        students: 0,
-        submissions: 0,
-        storageMB: 0
-      }
+      billing: user.role === 'teacher' ? billingState(user) : null,
+      usage: {
+        classes: gauges.classes || 0,
+        students: gauges.students || 0,
+        storageMB: gauges.storageMB || 0,
+        ...period.usage
+      },
+      usagePeriod: { start: period.periodStart, end: period.periodEnd, source: period.source }
     });
   } catch (err) {
     return sendError(res, 500, 'Failed to fetch subscription');
@@ -246,10 +277,93 @@ async function createCustomerPortal(req, res) {
   }
 }
 
+async function previewSubscriptionChange(req, res) {
+  try {
+    return sendSuccess(res, await previewPlanChange({ user: req.user, planSlug: req.body.planSlug }));
+  } catch (err) {
+    return handleSubscriptionChangeError(res, err, 'Unable to preview the plan change');
+  }
+}
+
+async function changeSubscriptionPlan(req, res) {
+  try {
+    const { user, ...result } = await changePlan({
+      user: req.user,
+      planSlug: req.body.planSlug,
+      prorationDate: req.body.prorationDate ?? null
+    });
+    return sendSuccess(res, { ...result, billing: billingState(user) });
+  } catch (err) {
+    return handleSubscriptionChangeError(res, err, 'Unable to change the plan');
+  }
+}
+
+async function cancelSubscription(req, res) {
+  try {
+    const user = await cancelAtPeriodEnd({ user: req.user });
+    return sendSuccess(res, { billing: billingState(user) });
+  } catch (err) {
+    return handleSubscriptionChangeError(res, err, 'Unable to cancel the subscription');
+  }
+}
+
+async function resumeCanceledSubscription(req, res) {
+  try {
+    const user = await resumeSubscription({ user: req.user });
+    return sendSuccess(res, { billing: billingState(user) });
+  } catch (err) {
+    return handleSubscriptionChangeError(res, err, 'Unable to resume the subscription');
+  }
+}
+
+async function listMyInvoices(req, res) {
+  try {
+    const limit = Math.max(1, Math.min(100, Number(req.query.limit) || 20));
+    return sendSuccess(res, await listInvoices({ user: req.user, limit, cursor: req.query.cursor || null }));
+  } catch (err) {
+    if (err instanceof BillingInvoiceError) return sendError(res, err.statusCode, err.message, err.code);
+    return sendError(res, 500, 'Failed to fetch invoices');
+  }
+}
+
+async function downloadInvoiceReceipt(req, res) {
+  let savedPath = null;
+  try {
+    const receipt = await getReceipt({ user: req.user, invoiceId: req.params.invoiceId });
+    savedPath = await generateInvoiceReceiptPdf(
+      receipt,
+      path.join(os.tmpdir(), 'rozna-pdf', `receipt-${receipt._id}-${uuidv4()}.pdf`)
+    );
+    const safeFilename = `receipt-${String(receipt.number || receipt._id).replace(/[^A-Za-z0-9_-]/g, '')}.pdf`;
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    return res.download(savedPath, safeFilename, async (err) => {
+      try {
+        await fs.promises.unlink(savedPath);
+      } catch {
+        /* ignore */
+      }
+      if (err && !res.headersSent) sendError(res, 500, 'Failed to download receipt');
+    });
+  } catch (err) {
+    if (savedPath) fs.promises.unlink(savedPath).catch(() => {});
+    if (err instanceof BillingInvoiceError) return sendError(res, err.statusCode, err.message, err.code);
+    logger.error(`receipt generation failed invoiceId=${req.params.invoiceId} message=${err?.message || 'unknown'}`);
+    return sendError(res, 500, 'Failed to generate receipt');
+  }
+}
+
 module.exports = {
   getMySubscription,
   setUserSubscription,
   getCheckoutPlan,
   createCheckoutSession,
-  createCustomerPortal
+  createCustomerPortal,
+  previewSubscriptionChange,
+  changeSubscriptionPlan,
+  cancelSubscription,
+  resumeCanceledSubscription,
+  listMyInvoices,
+  downloadInvoiceReceipt
 };
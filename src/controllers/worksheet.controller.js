@@ -14,6 +14,8 @@ const { v4: uuidv4 } = require("uuid");
 const Worksheet = require("../models/Worksheet");
 const WorksheetSubmission = require("../models/WorksheetSubmission");
 const WorksheetDraft = require("../models/WorksheetDraft");
+const WorksheetGuestAttempt = require("../models/WorksheetGuestAttempt");
+const WorksheetRevision = require("../models/WorksheetRevision");
 const Assignment = require("../models/assignment.model");
 const Class = require("../models/class.model");
 const Membership = require("../models/membership.model");
@@ -23,13 +25,46 @@ const {
   parseDateOnlyUtc,
   startOfNextUtcDay,
 } = require("../utils/worksheetReportQuery.utils");
-const { createNotification } = require("../services/notification.service");
+const {
+  createNotification,
+  loadNotificationRecipients,
+} = require("../services/notification.service");
 const {
   gradeWorksheetAnswers,
 } = require("../services/worksheetScoring.service");
+const { attachLatePenalties } = require("../services/latePenalty.service");
+const {
+  WorksheetRevisionError,
+  ensureRevisionSnapshot,
+  pinStudentRevision,
+  resolveStudentRevision,
+  updateWorksheetContent,
+} = require("../services/worksheetRevision.service");
+const {
+  marksReleasedToStudent,
+  redactWorksheetMarks,
+} = require("../services/assignmentAccessPolicy.service");
+const {
+  notifyWorksheetGradeRelease,
+  worksheetGradeReleaseOnSubmit,
+} = require("../services/gradeRelease.service");
+const {
+  gradeForScore,
+  gradingPolicyByAssignment,
+  reportGradeSummary,
+} = require("../services/gradingScale.service");
 const {
   publishNotification,
 } = require("../services/notificationRealtime.service");
+const {
+  FolderError,
+  parseFolderFilter,
+} = require("../services/folder.service");
+const { LIBRARY_MANAGED_FIELDS } = require("../services/library.service");
+const {
+  generateWordSearch,
+  generateCrossword,
+} = require("../services/wordGrid.service");
 const logger = require("../utils/logger");
 const { callVisionModelWithFallback, parseVisionJSON } = require("../utils/visionAI.utils");
 const {
@@ -331,6 +366,40 @@ function computeDeadlineStatus(assignment) {
   return { now, isLate, status };
 }
 
+/**
+ * Attaches the class late penalty to lean worksheet submissions. `score`/`percentage`
+ * stay raw; `latePenalty` carries the raw and penalized values side by side.
+ */
+function attachWorksheetLatePenalties(submissions) {
+  return attachLatePenalties(submissions, {
+    assignmentIdOf: (sub) => sub.assignmentId,
+    scoreOf: (sub) => sub.score ?? sub.percentage ?? 0,
+  });
+}
+
+/**
+ * Student-facing submission payload: marks stay hidden until the grade is
+ * released (pre-workflow submissions follow the assignment's showMarksToStudent).
+ */
+function studentWorksheetSubmissionView(payload, assignment) {
+  return marksReleasedToStudent(assignment, payload)
+    ? payload
+    : redactWorksheetMarks(payload);
+}
+
+function notifyWorksheetGradeAutoRelease({ assignment, classDoc, submission }) {
+  if (submission.gradeRelease?.status !== "released") return;
+  setImmediate(() => {
+    notifyWorksheetGradeRelease({
+      assignment,
+      classDoc,
+      submission,
+    }).catch((err) => {
+      logger.warn("[SUBMIT WORKSHEET] Grade release notification failed:", err.message);
+    });
+  });
+}
+
 async function resolveStudentWorksheetAssignment({
   worksheetId,
   assignmentId,
@@ -402,29 +471,107 @@ function sanitizeActivity4BlankIds(activity4) {
     ...activity4,
     sentences: activity4.sentences.map((s, si) => ({
       ...s,
-      parts: (s.parts ?? []).map((p, pi) => {
-        // Sanitize text parts to remove underscore artifacts from AI generation/extraction
-        // Handles cases like "shine._____," or "_____ !" where underscores are adjacent to punctuation
-        if (p.type === "text" && p.value) {
-          let cleanedValue = String(p.value).replace(/_+/g, '').trim();
-          // Clean up any double spaces created by underscore replacement
-          cleanedValue = cleanedValue.replace(/\s+/g, ' ');
-          // Remove spaces before punctuation
-          cleanedValue = cleanedValue.replace(/\s+([.,!?;:])/g, '$1');
-          return { ...p, value: cleanedValue };
-        }
-        if (p.type !== "blank") return p;
-        let id = p.blankId;
-        if (!id || seen.has(id)) {
-          id = `s${si}_b${pi}`;
-        }
-        seen.add(id);
-        return { ...p, blankId: id };
-      }),
+      parts: (s.parts ?? []).map((p, pi) => sanitizeBlankPart(p, `s${si}_b${pi}`, seen)),
     })),
   };
 }
 
+/**
+ * Cleans one text/blank part of a fill-in-the-blank sentence or cloze passage.
+ * A blank with a missing or already-used blankId gets `fallbackId`.
+ */
+function sanitizeBlankPart(p, fallbackId, seen) {
+  // Sanitize text parts to remove underscore artifacts from AI generation/extraction
+  // Handles cases like "shine._____," or "_____ !" where underscores are adjacent to punctuation
+  if (p.type === "text" && p.value) {
+    let cleanedValue = String(p.value).replace(/_+/g, '').trim();
+    // Clean up any double spaces created by underscore replacement
+    cleanedValue = cleanedValue.replace(/\s+/g, ' ');
+    // Remove spaces before punctuation
+    cleanedValue = cleanedValue.replace(/\s+([.,!?;:])/g, '$1');
+    return { ...p, value: cleanedValue };
+  }
+  if (p.type !== "blank") return p;
+  let id = p.blankId;
+  if (!id || seen.has(id)) {
+    id = fallbackId;
+  }
+  seen.add(id);
+  return { ...p, blankId: id };
+}
+
+/**
+ * Gives every entry in a question/sentence list a unique id, replacing missing
+ * or duplicate ones with `{prefix}{index}`. Answers are keyed by these ids.
+ */
+function ensureUniqueEntryIds(entries, prefix) {
+  if (!Array.isArray(entries)) return entries;
+  const seen = new Set();
+  return entries.map((entry, i) => {
+    if (!entry || typeof entry !== "object") return entry;
+    let id = entry.id != null ? String(entry.id) : "";
+    if (!id || seen.has(id)) id = `${prefix}${i}`;
+    seen.add(id);
+    return { ...entry, id };
+  });
+}
+
+/**
+ * Normalizes AI- or teacher-supplied data for activity types whose answers
+ * are keyed by generated ids, so grading and the viewer agree on them.
+ */
+function sanitizeActivityData(type, data) {
+  if (!data || typeof data !== "object") return data;
+  switch (type) {
+    case "fillBlanks":
+      return sanitizeActivity4BlankIds(data);
+    case "clozePassage": {
+      const seen = new Set();
+      return {
+        ...data,
+        passage: Array.isArray(data.passage)
+          ? data.passage.map((p, pi) => sanitizeBlankPart(p || {}, `p_b${pi}`, seen))
+          : [],
+      };
+    }
+    case "readingComprehension":
+      return {
+        ...data,
+        passage: String(data.passage || "").trim(),
+        questions: ensureUniqueEntryIds(data.questions, "rc_q"),
+      };
+    case "errorCorrection":
+      return { ...data, sentences: ensureUniqueEntryIds(data.sentences, "ec_s") };
+    case "dictation":
+      return { ...data, sentences: ensureUniqueEntryIds(data.sentences, "dict_s") };
+    // Grids are always rebuilt from the word list and seed, never taken from the client
+    case "wordSearch": {
+      const words = Array.isArray(data.words) ? data.words : [];
+      return {
+        ...data,
+        ...generateWordSearch({
+          words: [...words, ...(Array.isArray(data.unplaced) ? data.unplaced : [])],
+          gridSize: data.gridSize,
+          difficulty: data.difficulty,
+          seed: data.seed,
+        }),
+      };
+    }
+    case "crossword": {
+      const words = Array.isArray(data.words) ? data.words : [];
+      return {
+        ...data,
+        ...generateCrossword({
+          words: [...words, ...(Array.isArray(data.unplaced) ? data.unplaced : [])],
+          seed: data.seed,
+        }),
+      };
+    }
+    default:
+      return data;
+  }
+}
+
 /**
  * Builds the AI prompt for worksheet generation with template structure.
  * Includes design guidance from analyzed template.
@@ -456,6 +603,18 @@ function buildWorksheetPromptWithTemplate(topic, language, difficulty, resolvedT
     shortAnswer:
       "questions[] each {id,text,modelAnswer,maxWords:50}. 3-4 questions.",
     labeling: `imageUrl(string - a real Unsplash image URL relevant to the topic, e.g. https://images.unsplash.com/photo-... use a real working URL), labels[] each {id(string),text(string - the label name e.g. "Roots","Trunk","Leaves"),x(number 10-90 - percentage position from left),y(number 10-90 - percentage position from top),targetId(string same as id)}. 5-8 labels. IMPORTANT: x and y coordinates must be spread across the image, not all clustered together. Think about where that part actually appears on the image and place the label there.`,
+    clozePassage:
+      'wordBank[all correct answers plus 2-3 distractors], passage[] of {type:"text",value}|{type:"blank",blankId,correctAnswer,acceptedAnswers[]} forming ONE connected 120-250 word text. 8-12 blanks.',
+    readingComprehension:
+      'passageTitle, passage(150-300 words), questions[] each {id,questionType:"multipleChoice"|"trueFalse"|"shortAnswer",text,options[4 strings, multipleChoice only],correctAnswer(option string | bool | short phrase),acceptedAnswers[shortAnswer only],explanation}. 6 questions mixing all three types, answerable from the passage.',
+    errorCorrection:
+      "sentences[] each {id,text(containing exactly one error),errorText(the wrong word/phrase exactly as written in text),correction,explanation}. 6 sentences.",
+    dictation:
+      "displaySeconds:10, sentences[] each {id,text(6-14 words),hint}. 6 sentences using the topic vocabulary.",
+    wordSearch:
+      'words[8-12 topic words, letters only, max 15 letters each], gridSize:12, difficulty:"easy"|"medium"|"hard". Do NOT build the grid.',
+    crossword:
+      "words[] each {word(single word, letters only),clue}. 8-12 words that share letters. Do NOT give row, col or direction.",
   };
 
   const activityList = types
@@ -539,6 +698,18 @@ function buildWorksheetPrompt(topic, language, difficulty, resolvedTypes) {
     shortAnswer:
       "questions[] each {id,text,modelAnswer,maxWords:50}. 3-4 questions.",
     labeling: `imageUrl(string - a real Unsplash image URL relevant to the topic, e.g. https://images.unsplash.com/photo-... use a real working URL), labels[] each {id(string),text(string - the label name e.g. "Roots","Trunk","Leaves"),x(number 10-90 - percentage position from left),y(number 10-90 - percentage position from top),targetId(string same as id)}. 5-8 labels. IMPORTANT: x and y coordinates must be spread across the image, not all clustered together. Think about where that part actually appears on the image and place the label there.`,
+    clozePassage:
+      'wordBank[all correct answers plus 2-3 distractors], passage[] of {type:"text",value}|{type:"blank",blankId,correctAnswer,acceptedAnswers[]} forming ONE connected 120-250 word text. 8-12 blanks.',
+    readingComprehension:
+      'passageTitle, passage(150-300 words), questions[] each {id,questionType:"multipleChoice"|"trueFalse"|"shortAnswer",text,options[4 strings, multipleChoice only],correctAnswer(option string | bool | short phrase),acceptedAnswers[shortAnswer only],explanation}. 6 questions mixing all three types, answerable from the passage.',
+    errorCorrection:
+      "sentences[] each {id,text(containing exactly one error),errorText(the wrong word/phrase exactly as written in text),correction,explanation}. 6 sentences.",
+    dictation:
+      "displaySeconds:10, sentences[] each {id,text(6-14 words),hint}. 6 sentences using the topic vocabulary.",
+    wordSearch:
+      'words[8-12 topic words, letters only, max 15 letters each], gridSize:12, difficulty:"easy"|"medium"|"hard". Do NOT build the grid.',
+    crossword:
+      "words[] each {word(single word, letters only),clue}. 8-12 words that share letters. Do NOT give row, col or direction.",
   };
 
   const activityList = types
@@ -680,6 +851,10 @@ async function generateWorksheet(req, res) {
         activity.data.imageUrl = imageUrl;
         console.log("[GENERATE] Injected imageUrl for labeling activity:", imageUrl);
       }
+      // Lay out puzzle grids now so the draft preview matches what is saved (the seed is kept)
+      if ((activity.type === "wordSearch" || activity.type === "crossword") && activity.data) {
+        activity.data = sanitizeActivityData(activity.type, activity.data);
+      }
     }
 
     return res.json({
@@ -1239,11 +1414,20 @@ async function createWorksheet(req, res) {
     }
     const parsedAssignmentDeadline = d;
 
+    const sanitizedActivities = Array.isArray(activities)
+      ? activities.map((act) => {
+          if (act?.data) {
+            return { ...act, data: sanitizeActivityData(act.type, act.data) };
+          }
+          return act;
+        })
+      : [];
+
     // Calculate total points from either new activities array or legacy fields
     let totalPoints = 0;
-    if (Array.isArray(activities) && activities.length > 0) {
+    if (sanitizedActivities.length > 0) {
       // New extensible activities array
-      activities.forEach((activity) => {
+      sanitizedActivities.forEach((activity) => {
         const data = activity.data || {};
         if (
           activity.type === "ordering" ||
@@ -1263,11 +1447,21 @@ async function createWorksheet(req, res) {
           totalPoints += data.sentences?.length || 0;
         } else if (activity.type === "labeling") {
           totalPoints += data.labels?.length || 0;
+        } else if (activity.type === "wordSearch") {
+          totalPoints += data.placements?.length || 0;
+        } else if (activity.type === "crossword") {
+          totalPoints += data.words?.length || 0;
+        } else if (activity.type === "clozePassage") {
+          totalPoints += Array.isArray(data.passage)
+            ? data.passage.filter((p) => p?.type === "blank").length
+            : 0;
+        } else if (activity.type === "readingComprehension") {
+          totalPoints += data.questions?.length || 0;
         } else if (
-          activity.type === "wordSearch" ||
-          activity.type === "crossword"
+          activity.type === "errorCorrection" ||
+          activity.type === "dictation"
         ) {
-          totalPoints += data.words?.length || 0;
+          totalPoints += data.sentences?.length || 0;
         }
       });
     } else {
@@ -1301,14 +1495,7 @@ async function createWorksheet(req, res) {
       tags: Array.isArray(tags) ? tags : [],
       estimatedMinutes: estimatedMinutes || 20,
       conceptExplanation: conceptExplanation || null,
-      activities: Array.isArray(activities)
-        ? activities.map((act) => {
-            if (act?.type === "fillBlanks" && act.data) {
-              return { ...act, data: sanitizeActivity4BlankIds(act.data) };
-            }
-            return act;
-          })
-        : [],
+      activities: sanitizedActivities,
       // Legacy fields for backward compatibility
       activity1: activity1 || null,
       activity2: activity2 || null,
@@ -1328,6 +1515,12 @@ async function createWorksheet(req, res) {
     });
 
     await worksheet.save();
+    try {
+      await ensureRevisionSnapshot(worksheet, req.user._id);
+    } catch (revisionErr) {
+      // The snapshot is recorded again before the first edit if this fails
+      logger.warn("[CREATE WORKSHEET] Revision snapshot failed:", revisionErr.message);
+    }
     console.log(
       "[CREATE WORKSHEET] Created:",
       worksheet._id,
@@ -1373,6 +1566,7 @@ async function getMyWorksheets(req, res) {
       subject,
       difficulty,
       search,
+      folderId,
       sortBy = "updatedAt",
       sortOrder = "desc",
       page = 1,
@@ -1381,6 +1575,10 @@ async function getMyWorksheets(req, res) {
 
     const filter = { createdBy: req.user._id };
 
+    // Same folder tree as flashcard sets; "root" lists unfiled worksheets.
+    const folder = parseFolderFilter(folderId);
+    if (folder !== undefined) filter.folderId = folder;
+
     // Support both single values and arrays for multi-select
     if (cefrLevel) {
       filter.cefrLevel = Array.isArray(cefrLevel)
@@ -1433,7 +1631,7 @@ async function getMyWorksheets(req, res) {
         .skip(skip)
         .limit(limitNum)
         .select(
-          "title description subject cefrLevel gradeLevel gradeCategory difficulty tags language estimatedMinutes totalPoints thumbnailUrl isPublic theme createdAt updatedAt",
+          "title description subject cefrLevel gradeLevel gradeCategory difficulty tags language estimatedMinutes totalPoints thumbnailUrl isPublic folderId theme createdAt updatedAt",
         )
         .lean(),
     ]);
@@ -1449,6 +1647,9 @@ async function getMyWorksheets(req, res) {
       },
     });
   } catch (error) {
+    if (error instanceof FolderError) {
+      return sendError(res, error.statusCode, error.message);
+    }
     console.error("[GET WORKSHEETS] Error:", error.message);
     return sendError(res, 500, "Internal server error");
   }
@@ -1457,7 +1658,8 @@ async function getMyWorksheets(req, res) {
 /**
  * GET /api/worksheets/:id
  * Auth: teacher or enrolled student
- * Returns a single worksheet by ID.
+ * Returns a single worksheet by ID. Students get the revision pinned for the
+ * assignment (`?assignmentId=`, else the first one that gives them access).
  */
 async function getWorksheetById(req, res) {
   try {
@@ -1473,7 +1675,11 @@ async function getWorksheetById(req, res) {
         .lean();
       const activeClassIds = (memberships || []).map((m) => String(m.class));
 
+      const { assignmentId } = req.query;
       const assignment = await Assignment.findOne({
+        ...(assignmentId && mongoose.Types.ObjectId.isValid(assignmentId)
+          ? { _id: assignmentId }
+          : {}),
         resourceType: "worksheet",
         resourceId: String(worksheet._id),
         class: { $in: activeClassIds },
@@ -1485,6 +1691,19 @@ async function getWorksheetById(req, res) {
       if (!assignment) {
         return sendError(res, 403, "You do not have access to this worksheet");
       }
+
+      // The first open pins the revision; the student then sees, and is graded against, that revision
+      await pinStudentRevision({
+        worksheet,
+        studentId: req.user._id,
+        assignmentId: assignment._id,
+      });
+      const { worksheet: pinned } = await resolveStudentRevision({
+        worksheet,
+        studentId: req.user._id,
+        assignmentId: assignment._id,
+      });
+      return sendSuccess(res, pinned);
     } else {
       if (String(worksheet.createdBy) !== String(req.user._id)) {
         return sendError(res, 403, "Forbidden");
@@ -1505,15 +1724,26 @@ async function getWorksheetById(req, res) {
  */
 async function updateWorksheet(req, res) {
   try {
-    const worksheet = await Worksheet.findOneAndUpdate(
-      { _id: req.params.id, createdBy: req.user._id },
-      { $set: req.body },
-      { new: true, runValidators: true },
-    );
+    const update = { ...req.body };
+    for (const field of LIBRARY_MANAGED_FIELDS) delete update[field];
+    if (Array.isArray(update.activities)) {
+      update.activities = update.activities.map((act) =>
+        act?.data ? { ...act, data: sanitizeActivityData(act.type, act.data) } : act,
+      );
+    }
+    // Content edits create a new revision; existing submissions stay on theirs
+    const worksheet = await updateWorksheetContent({
+      worksheetId: req.params.id,
+      ownerId: req.user._id,
+      update,
+    });
     if (!worksheet)
       return sendError(res, 404, "Worksheet not found or not authorised");
     return sendSuccess(res, worksheet);
   } catch (error) {
+    if (error instanceof WorksheetRevisionError) {
+      return sendError(res, error.statusCode, error.message);
+    }
     console.error("[UPDATE WORKSHEET] Error:", error.message);
     return sendError(res, 500, "Internal server error");
   }
@@ -1580,6 +1810,12 @@ async function deleteWorksheet(req, res) {
     // Cascade 4: Delete worksheet drafts linked to this worksheet
     await WorksheetDraft.deleteMany({ worksheetId: id }, { session });
 
+    // Cascade 5: Delete guest attempts made through the share link
+    await WorksheetGuestAttempt.deleteMany({ worksheetId: id }, { session });
+
+    // Cascade 6: Delete recorded revisions
+    await WorksheetRevision.deleteMany({ worksheetId: id }, { session });
+
     // Delete the worksheet itself
     await Worksheet.deleteOne({ _id: id }, { session });
 
@@ -1604,10 +1840,12 @@ async function deleteWorksheet(req, res) {
             req.user.displayName || req.user.email || "Teacher",
           );
 
+          const recipients = await loadNotificationRecipients(studentIds);
           await Promise.all(
             studentIds.map((sId) =>
               createNotification({
                 recipientId: sId,
+                recipient: recipients.get(String(sId)) || null,
                 actorId: userId,
                 type: "assignment_removed",
                 title: "Worksheet removed",
@@ -1698,6 +1936,8 @@ Return ONLY JSON: {"isCorrect": true or false, "feedback": "one sentence explana
  * POST /api/worksheets/:id/submit
  * Auth: student only
  * Grades and stores a worksheet submission. One submission per student per assignment.
+ * The submission is graded against the revision pinned when the student first
+ * opened the assignment, else the current one.
  * @body {{ assignmentId, answers: [{questionId, sectionId, studentAnswer}], timeTaken }}
  */
 async function submitWorksheet(req, res) {
@@ -1760,6 +2000,14 @@ async function submitWorksheet(req, res) {
       }
     }
 
+    // Grade against the revision the student worked on, not whatever the worksheet holds now
+    const { revision, worksheet: attemptedWorksheet } =
+      await resolveStudentRevision({
+        worksheet,
+        studentId,
+        assignmentId,
+      });
+
     // ── Authoritative server-side scoring engine (do NOT trust client totals) ─
     const {
       gradedAnswers,
@@ -1769,9 +2017,10 @@ async function submitWorksheet(req, res) {
       score,
       isPassed,
       sections,
-    } = gradeWorksheetAnswers({ worksheet, answers });
+    } = gradeWorksheetAnswers({ worksheet: attemptedWorksheet, answers });
 
     if (existing) {
+      existing.worksheetRevision = revision;
       existing.answers = gradedAnswers;
       // Legacy fields (kept for backward compatibility)
       existing.totalPointsEarned = totals.totalPointsEarned;
@@ -1790,6 +2039,8 @@ async function submitWorksheet(req, res) {
       existing.submittedAt = now;
       existing.lastAttemptAt = now;
       existing.attempts = (Number(existing.attempts) || 1) + 1;
+      // A new attempt is a new grade: it goes back to draft unless the class auto-publishes.
+      existing.gradeRelease = worksheetGradeReleaseOnSubmit({ classDoc, assignment });
       // Activity 9 overlay worksheet data
       if (activity9Answers) existing.activity9Answers = activity9Answers;
       if (activity9Results) existing.activity9Results = activity9Results;
@@ -1849,13 +2100,18 @@ async function submitWorksheet(req, res) {
         logger.warn("[SUBMIT WORKSHEET] Notification failed:", sseErr.message);
       }
 
+      notifyWorksheetGradeAutoRelease({ assignment, classDoc, submission: existing });
+
       return res.status(200).json({
         success: true,
-        submission: {
-          ...existing.toObject(),
-          worksheet: { title: worksheet.title },
-          totals,
-        },
+        submission: studentWorksheetSubmissionView(
+          {
+            ...existing.toObject(),
+            worksheet: { title: worksheet.title },
+            totals,
+          },
+          assignment,
+        ),
       });
     }
 
@@ -1863,6 +2119,7 @@ async function submitWorksheet(req, res) {
       worksheetId: worksheet._id,
       assignmentId,
       studentId,
+      worksheetRevision: revision,
       answers: gradedAnswers,
       // Legacy fields (kept for backward compatibility)
       totalPointsEarned: totals.totalPointsEarned,
@@ -1881,6 +2138,7 @@ async function submitWorksheet(req, res) {
       submittedAt: now,
       lastAttemptAt: now,
       attempts: 1,
+      gradeRelease: worksheetGradeReleaseOnSubmit({ classDoc, assignment }),
       // Activity 9 overlay worksheet data
       activity9Answers: activity9Answers || {},
       activity9Results: activity9Results || {},
@@ -1940,13 +2198,18 @@ async function submitWorksheet(req, res) {
       logger.warn("[SUBMIT WORKSHEET] Notification failed:", sseErr.message);
     }
 
+    notifyWorksheetGradeAutoRelease({ assignment, classDoc, submission: created });
+
     return res.status(201).json({
       success: true,
-      submission: {
-        ...created.toObject(),
-        worksheet: { title: worksheet.title },
-        totals,
-      },
+      submission: studentWorksheetSubmissionView(
+        {
+          ...created.toObject(),
+          worksheet: { title: worksheet.title },
+          totals,
+        },
+        assignment,
+      ),
     });
   } catch (error) {
     console.error("[SUBMIT WORKSHEET] Error:", error.message);
@@ -1959,7 +2222,7 @@ async function submitWorksheet(req, res) {
  * POST /api/worksheets/:id/grade
  * Auth: student only
  * Returns authoritative grading results without persisting.
- * @body {{ answers: [{questionId, sectionId, studentAnswer}] }}
+ * @body {{ assignmentId, answers: [{questionId, sectionId, studentAnswer}] }}
  */
 async function gradeWorksheetAttempt(req, res) {
   try {
@@ -1980,8 +2243,13 @@ async function gradeWorksheetAttempt(req, res) {
     const worksheet = await Worksheet.findById(worksheetId);
     if (!worksheet) return sendError(res, 404, "Worksheet not found");
 
-    const { gradedAnswers, totals } = gradeWorksheetAnswers({
+    const { worksheet: attemptedWorksheet } = await resolveStudentRevision({
       worksheet,
+      studentId,
+      assignmentId,
+    });
+    const { gradedAnswers, totals } = gradeWorksheetAnswers({
+      worksheet: attemptedWorksheet,
       answers,
     });
     return sendSuccess(res, { gradedAnswers, totals });
@@ -2019,14 +2287,18 @@ async function getMySubmission(req, res) {
     const worksheet = await Worksheet.findById(req.params.id)
       .select("sections title totalPoints")
       .lean();
+    const assignment = await Assignment.findById(submission.assignmentId)
+      .select("showMarksToStudent")
+      .lean();
+    await attachWorksheetLatePenalties([submission]);
 
-    return sendSuccess(res, {
+    return sendSuccess(res, studentWorksheetSubmissionView({
       ...submission,
       worksheet: {
         sections: worksheet?.sections || [],
         title: worksheet?.title || "",
       },
-    });
+    }, assignment));
   } catch (error) {
     console.error("[GET MY SUBMISSION] Error:", error.message);
     return sendError(res, 500, "Internal server error");
@@ -2066,19 +2338,23 @@ async function getMySubmissionByAssignment(req, res) {
     const worksheet = await Worksheet.findById(submission.worksheetId)
       .select("sections title totalPoints")
       .lean();
+    const assignment = await Assignment.findById(submission.assignmentId)
+      .select("showMarksToStudent")
+      .lean();
+    await attachWorksheetLatePenalties([submission]);
 
     console.log('[GET SUBMISSION] Returning activity9Data:', {
       hasData: !!submission.activity9Answers,
       answerCount: Object.keys(submission.activity9Answers || {}).length
     });
 
-    return sendSuccess(res, {
+    return sendSuccess(res, studentWorksheetSubmissionView({
       ...submission,
       worksheet: {
         sections: worksheet?.sections || [],
         title: worksheet?.title || "",
       },
-    });
+    }, assignment));
   } catch (error) {
     console.error("[GET MY SUBMISSION BY ASSIGNMENT] Error:", error.message);
     return sendError(res, 500, "Internal server error");
@@ -2122,6 +2398,8 @@ async function getSubmissions(req, res) {
       }
     });
 
+    await attachWorksheetLatePenalties(submissions);
+
     return sendSuccess(res, {
       worksheet,
       submissions,
@@ -2227,16 +2505,31 @@ async function getWorksheetReport(req, res) {
       WorksheetSubmission.find(filter)
         .populate("studentId", "displayName email photoURL")
         .populate("assignmentId", "title deadline class")
-        .select("studentId assignmentId worksheetId score percentage isPassed isLate answers timeTaken submittedAt totalPointsEarned totalPointsPossible activity9Answers activity9Results activity9Score activity9Total")
+        .select("studentId assignmentId worksheetId score percentage isPassed isLate latePenalty answers timeTaken submittedAt totalPointsEarned totalPointsPossible activity9Answers activity9Results activity9Score activity9Total")
         .sort({ submittedAt: -1 })
         .skip(skip)
         .limit(limitNum)
         .lean(),
       // Lightweight projection — only fields needed for aggregate stats
       WorksheetSubmission.find(filter)
-        .select("score percentage isPassed isLate answers attempts")
+        .select("assignmentId score percentage isPassed isLate latePenalty answers attempts")
         .lean(),
     ]);
+    const [, , gradingPolicies] = await Promise.all([
+      attachWorksheetLatePenalties(submissions),
+      attachWorksheetLatePenalties(allSubmissionsForAnalytics),
+      gradingPolicyByAssignment(
+        allSubmissionsForAnalytics.map((s) => s.assignmentId),
+      ),
+    ]);
+    const gradingOf = (s) =>
+      gradeForScore(
+        s.latePenalty.penalizedScore ?? 0,
+        gradingPolicies.get(String(s.assignmentId?._id || s.assignmentId)),
+      );
+    submissions.forEach((sub) => {
+      sub.grading = gradingOf(sub);
+    });
 
     // Convert Mongoose Map types to plain objects for proper serialization
     // This fixes the Teacher PDF bug where activity9Answers are not rendered
@@ -2291,19 +2584,34 @@ async function getWorksheetReport(req, res) {
     const completionRate =
       totalAssigned > 0 ? (submittedCount / totalAssigned) * 100 : 0;
 
-    // Calculate analytics from all submissions for accuracy
+    // Calculate analytics from all submissions for accuracy. Aggregates use the
+    // late-penalized score; the raw average is reported alongside.
     const scores = allSubmissionsForAnalytics.map(
-      (s) => s.score ?? s.percentage ?? 0,
+      (s) => s.latePenalty.penalizedScore ?? 0,
+    );
+    const rawScores = allSubmissionsForAnalytics.map(
+      (s) => s.latePenalty.rawScore ?? 0,
     );
     const averageScore = scores.length
       ? scores.reduce((a, b) => a + b, 0) / scores.length
       : 0;
+    const averageRawScore = rawScores.length
+      ? rawScores.reduce((a, b) => a + b, 0) / rawScores.length
+      : 0;
+    const penalizedCount = allSubmissionsForAnalytics.filter(
+      (s) => s.latePenalty.applied,
+    ).length;
     const medianScore = scores.length
       ? [...scores].sort((a, b) => a - b)[Math.floor(scores.length / 2)]
       : 0;
-    const passedCount = allSubmissionsForAnalytics.filter(
-      (s) => s.isPassed === true || (s.score ?? s.percentage ?? 0) >= 70,
-    ).length;
+    const passedCount = allSubmissionsForAnalytics.filter((s) => {
+      const grading = gradingOf(s);
+      // Pass/fail classes count passes against their own pass mark.
+      if (grading.scale === "pass_fail") return grading.passed === true;
+      return s.latePenalty.applied
+        ? (s.latePenalty.penalizedScore ?? 0) >= 70
+        : s.isPassed === true || (s.score ?? s.percentage ?? 0) >= 70;
+    }).length;
     const passRate =
       (passedCount / (allSubmissionsForAnalytics.length || 1)) * 100;
 
@@ -2496,10 +2804,12 @@ async function getWorksheetReport(req, res) {
         submittedCount,
         pendingCount,
         lateCount,
+        latePenalizedCount: penalizedCount,
         completionRate: Math.round(completionRate),
       },
       analytics: {
         averageScore: Math.round(averageScore),
+        averageRawScore: Math.round(averageRawScore),
         medianScore: Math.round(medianScore),
         passRate: Math.round(passRate),
         hardestQuestions,
@@ -2508,6 +2818,12 @@ async function getWorksheetReport(req, res) {
         weakSkillAreas,
         sectionStats: sectionAnalytics,
         scoreBands,
+        ...reportGradeSummary(
+          allSubmissionsForAnalytics.map((s) => ({
+            score: s.latePenalty.penalizedScore ?? 0,
+            policy: gradingPolicies.get(String(s.assignmentId)),
+          })),
+        ),
         teacherInsights,
       },
       submissions,
@@ -2608,10 +2924,12 @@ async function assignWorksheet(req, res) {
           req.user.displayName || req.user.email || "Teacher",
         );
         const className = cls.name ? String(cls.name) : "Class";
+        const recipients = await loadNotificationRecipients(studentIds);
         await Promise.all(
           studentIds.map((sId) =>
             createNotification({
               recipientId: sId,
+              recipient: recipients.get(String(sId)) || null,
               actorId: teacherId,
               type: "assignment_uploaded",
               title: "New worksheet assigned",
@@ -0,0 +1,79 @@
+/**
+ * worksheetRevision.controller.js — worksheet revision history and regrading.
+ *
+ * Editing a worksheet's content creates a new revision; submissions stay
+ * pinned to the revision they were taken on until the teacher regrades them.
+ */
+const worksheetRevisions = require('../services/worksheetRevision.service');
+const logger = require('../utils/logger');
+
+function sendSuccess(res, data, statusCode = 200) {
+  return res.status(statusCode).json({ success: true, data });
+}
+
+function sendError(res, statusCode, message) {
+  return res.status(statusCode).json({ success: false, message });
+}
+
+function handleError(res, err, label, fallbackMessage) {
+  if (err instanceof worksheetRevisions.WorksheetRevisionError) {
+    return sendError(res, err.statusCode, err.message);
+  }
+  logger.error(`${label} error:`, err);
+  return sendError(res, 500, fallbackMessage);
+}
+
+/**
+ * GET /api/worksheets/:id/revisions — teacher, must own the worksheet.
+ * @returns {{ worksheetId, currentRevision, revisions: [{ revision, createdAt, changedFields, isCurrent, submissions }] }}
+ */
+async function listRevisions(req, res) {
+  try {
+    const result = await worksheetRevisions.listRevisions({ worksheetId: req.params.id, ownerId: req.user._id });
+    return sendSuccess(res, result);
+  } catch (err) {
+    return handleError(res, err, 'listRevisions', 'Failed to fetch worksheet revisions');
+  }
+}
+
+/**
+ * GET /api/worksheets/:id/revisions/:revision — teacher, must own the worksheet.
+ * Returns the frozen content of one revision, answer key included.
+ */
+async function getRevision(req, res) {
+  try {
+    const result = await worksheetRevisions.getRevision({
+      worksheetId: req.params.id,
+      ownerId: req.user._id,
+      revision: req.params.revision
+    });
+    return sendSuccess(res, result);
+  } catch (err) {
+    return handleError(res, err, 'getRevision', 'Failed to fetch worksheet revision');
+  }
+}
+
+/**
+ * POST /api/worksheets/:id/revisions/:revision/regrade — teacher, must own the worksheet.
+ * Regrades all submissions against the revision and returns the per-submission score diff.
+ * @param {boolean} [req.body.dryRun] — preview the diff without saving
+ */
+async function regradeSubmissions(req, res) {
+  try {
+    const result = await worksheetRevisions.regradeSubmissions({
+      worksheetId: req.params.id,
+      ownerId: req.user._id,
+      revision: req.params.revision,
+      dryRun: req.body?.dryRun === true || req.body?.dryRun === 'true'
+    });
+    return sendSuccess(res, result);
+  } catch (err) {
+    return handleError(res, err, 'regradeSubmissions', 'Failed to regrade submissions');
+  }
+}
+
+module.exports = {
+  listRevisions,
+  getRevision,
+  regradeSubmissions
+};
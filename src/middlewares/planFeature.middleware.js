@@ -0,0 +1,62 @@
+const Assignment = require('../models/assignment.model');
+const Submission = require('../models/Submission');
+const User = require('../models/user.model');
+const { ensureActivePlan } = require('./usage.middleware');
+const { PlanEntitlementError, assertPlanFeature } = require('../services/planEntitlement.service');
+
+function sendEntitlementError(res, error) {
+  return res.status(error.statusCode).json({
+    success: false,
+    code: error.code,
+    message: error.message,
+    requiredPlan: error.requiredPlan
+  });
+}
+
+/**
+ * Lets the request through only when the paying account's plan includes
+ * `feature`, answering 402 with the plan to upgrade to otherwise. The account
+ * is req.user unless `resolveAccount(req)` names someone else (e.g. the
+ * teacher whose plan covers a student's work); a null account is left for the
+ * controller to turn into its usual 404. Sets req.entitlement = { account, plan }.
+ */
+function requirePlanFeature(feature, { resolveAccount } = {}) {
+  return async function planFeatureMiddleware(req, res, next) {
+    try {
+      const account = resolveAccount ? await resolveAccount(req) : req.user;
+      if (!account) return next();
+
+      const plan = await ensureActivePlan(account);
+      await assertPlanFeature(plan, feature);
+      req.entitlement = { account, plan };
+      return next();
+    } catch (err) {
+      if (err instanceof PlanEntitlementError) return sendEntitlementError(res, err);
+      return res.status(500).json({ success: false, message: 'Failed to validate plan entitlement' });
+    }
+  };
+}
+
+async function submissionTeacher(req) {
+  const submission = await Submission.findById(req.params.submissionId).select('assignment').lean();
+  const assignment = submission?.assignment
+    ? await Assignment.findById(submission.assignment).select('teacher').lean()
+    : null;
+  return assignment?.teacher ? User.findById(assignment.teacher) : null;
+}
+
+/** Adaptive practice is a feature of the plan of the teacher who set the assignment. */
+function requireAdaptiveLearning() {
+  return requirePlanFeature('adaptiveLearning', { resolveAccount: submissionTeacher });
+}
+
+function requireAnalyticsAccess() {
+  return requirePlanFeature('analyticsAccess');
+}
+
+module.exports = {
+  sendEntitlementError,
+  requirePlanFeature,
+  requireAdaptiveLearning,
+  requireAnalyticsAccess
+};
@@ -337,5 +337,8 @@ module.exports = {
   upload,
   setUploadType,
   validateUploadedFileSignature,
-  handleUploadError
+  handleUploadError,
+  resolveUploadFolder,
+  detectSignatureKind,
+  getExtensionForMime
 };
@@ -4,6 +4,13 @@ const Plan = require('../models/Plan');
 const User = require('../models/user.model');
 const logger = require('../utils/logger');
 const { isSubscriptionEntitled } = require('../services/stripeSubscription.service');
+const { findSeatEntitlement } = require('../services/organizationSeat.service');
+const {
+  chargeUsage,
+  getPeriodUsage,
+  isPeriodicMetric,
+  refundUsage
+} = require('../services/usageLedger.service');
 
 function sendError(res, statusCode, message) {
   return res.status(statusCode).json({
@@ -79,6 +86,13 @@ async function ensureActivePlan(user) {
     }
   }
 
+  // A seat in an entitled organization grants the organization's plan without
+  // touching the teacher's own plan, which applies again once the seat goes.
+  if (user.role === 'teacher' && user.organization) {
+    const seat = await findSeatEntitlement(user);
+    if (seat) return seat.plan;
+  }
+
   if (!freePlan) throw new Error('Free plan is not configured');
 
   // A definitive non-entitled Stripe state always resolves to Free, even if a
@@ -121,6 +135,7 @@ function getLimit(planDoc, metric) {
     submissions: 'essayAnalysesPerMonth',
     aiFlashcards: 'aiFlashcardsLimit',
     aiWorksheets: 'aiWorksheetsLimit',
+    adaptiveLearning: 'adaptiveLearningLimit',
     storageMB: 'storageMB'
   };
   const featureKey = featureKeyByMetric[metric];
@@ -135,7 +150,10 @@ function getLimit(planDoc, metric) {
   return typeof value === 'number' ? value : null;
 }
 
-function getUsage(user, metric) {
+// Periodic metrics are read from the usage ledger for the current billing
+// period; gauges (classes, students, storageMB) are running totals on the user.
+async function getUsage(user, metric) {
+  if (isPeriodicMetric(metric)) return getPeriodUsage(user, metric);
   const usage = user && user.usage ? user.usage : null;
   const value = usage ? usage[metric] : undefined;
   return typeof value === 'number' ? value : 0;
@@ -166,7 +184,7 @@ function enforceUsageLimit(metric, amountOrGetter) {
       const amount = typeof amountOrGetter === 'function' ? amountOrGetter(req) : amountOrGetter;
       const normalizedAmount = typeof amount === 'number' && Number.isFinite(amount) ? amount : 1;
 
-      const current = getUsage(user, metric);
+      const current = await getUsage(user, metric);
 
       if (current + normalizedAmount > limit) {
         return sendError(res, 403, `Limit exceeded: ${metric}`);
@@ -201,7 +219,7 @@ function enforceStorageLimitFromUploadedFile() {
       }
 
       const fileMB = bytesToMB(file.size);
-      const current = getUsage(user, 'storageMB');
+      const current = await getUsage(user, 'storageMB');
 
       if (current + fileMB > limit) {
         tryDeleteUploadedFile(file);
@@ -244,7 +262,7 @@ function enforceStorageLimitFromUploadedFiles() {
       }
 
       const totalMB = files.reduce((sum, f) => sum + bytesToMB(f && f.size), 0);
-      const current = getUsage(user, 'storageMB');
+      const current = await getUsage(user, 'storageMB');
 
       if (current + totalMB > limit) {
         for (const f of files) tryDeleteUploadedFile(f);
@@ -265,18 +283,45 @@ function enforceStorageLimitFromUploadedFiles() {
   };
 }
 
-async function incrementUsage(userId, increments) {
+/**
+ * Records consumption. Periodic metrics are appended to the usage ledger (as
+ * charges for the user's current billing period, tagged with `reference` so
+ * they can be refunded); gauges are $inc'd on User.usage. A negative periodic
+ * amount refunds the charge tagged with `reference`, and throws without one.
+ */
+async function incrementUsage(userId, increments, { reason = null, reference = null } = {}) {
   const inc = {};
+  const charges = [];
+  const refunds = [];
 
   for (const [key, value] of Object.entries(increments || {})) {
     if (typeof value !== 'number' || !Number.isFinite(value)) continue;
-    inc[`usage.${key}`] = value;
+    if (isPeriodicMetric(key)) {
+      if (value > 0) charges.push([key, value]);
+      else if (value < 0) refunds.push(key);
+    } else {
+      inc[`usage.${key}`] = value;
+    }
+  }
+  if (refunds.length && !reference) {
+    throw new Error(`Periodic usage is given back by refunding a referenced charge: ${refunds.join(', ')}`);
   }
 
-  const keys = Object.keys(inc);
-  if (keys.length === 0) return;
-
-  await User.updateOne({ _id: userId }, { $inc: inc });
+  if (Object.keys(inc).length) {
+    await User.updateOne({ _id: userId }, { $inc: inc });
+  }
+  for (const metric of refunds) {
+    await refundUsage({ userId, metric, reference, reason });
+  }
+  if (!charges.length) return;
+
+  const user = await User.findById(userId)
+    .select('_id stripeSubscriptionStatus stripeCurrentPeriodStart stripeCurrentPeriodEnd')
+    .lean();
+  if (!user) return;
+  for (const [metric, amount] of charges) {
+    await chargeUsage({ user, metric, amount, reason, reference });
+  }
 }
 
 function reserveAiFeatureUsage({ metric, featureFlag, label }) {
@@ -292,38 +337,25 @@ function reserveAiFeatureUsage({ metric, featureFlag, label }) {
       }
 
       const limit = getLimit(planDoc, metric);
-      let reserved = false;
-      if (typeof limit === 'number') {
-        if (limit <= 0) {
-          logger.warn({ event: 'QUOTA_EXCEEDED', userId: String(user._id), role: user.role, operation: metric });
-          return sendError(res, 403, `Limit exceeded: ${metric}`);
-        }
-        const result = await User.updateOne(
-          {
-            _id: user._id,
-            $or: [
-              { [`usage.${metric}`]: { $lt: limit } },
-              { [`usage.${metric}`]: { $exists: false } }
-            ]
-          },
-          { $inc: { [`usage.${metric}`]: 1 } }
-        );
-        if (!result.modifiedCount) {
-          logger.warn({ event: 'QUOTA_EXCEEDED', userId: String(user._id), role: user.role, operation: metric });
-          return sendError(res, 403, `Limit exceeded: ${metric}`);
-        }
-        reserved = true;
-      } else {
-        await incrementUsage(user._id, { [metric]: 1 });
-        reserved = true;
+      if (typeof limit === 'number' && limit <= 0) {
+        logger.warn({ event: 'QUOTA_EXCEEDED', userId: String(user._id), role: user.role, operation: metric });
+        return sendError(res, 403, `Limit exceeded: ${metric}`);
+      }
+      // Claimed in one conditional update: a request over the limit writes nothing
+      const charge = await chargeUsage({ user, metric, limit, reason: 'ai_generation' });
+      if (!charge) {
+        logger.warn({ event: 'QUOTA_EXCEEDED', userId: String(user._id), role: user.role, operation: metric });
+        return sendError(res, 403, `Limit exceeded: ${metric}`);
       }
+      req.usageCharge = charge;
 
+      // A failed generation does not count against the allowance.
       res.once('finish', () => {
-        if (reserved && res.statusCode >= 400) {
-          User.updateOne(
-            { _id: user._id, [`usage.${metric}`]: { $gt: 0 } },
-            { $inc: { [`usage.${metric}`]: -1 } }
-          ).catch(() => {});
+        if (res.statusCode >= 400) {
+          refundUsage({ entry: charge, reason: 'request_failed' }).catch((error) => {
+            logger.error({ message: 'Usage refund failed', userId: String(user._id), operation: metric,
+              error: error?.message || String(error) });
+          });
         }
       });
       return next();
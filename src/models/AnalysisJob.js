@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+const JOB_TYPES = ['ocr', 'corrections', 'evaluation'];
+const JOB_STATUSES = ['queued', 'leased', 'completed', 'failed'];
+// Finished jobs are kept this long for debugging, then removed by the TTL index.
+const FINISHED_JOB_RETENTION_DAYS = 14;
+
+// Durable record of one unit of submission analysis work. A worker leases a
+// queued job, extends the lease with heartbeats while it runs, and the sweeper
+// requeues any lease that expires because its worker died.
+const analysisJobSchema = new Schema(
+  {
+    type: { type: String, enum: JOB_TYPES, required: true },
+    submissionId: { type: Schema.Types.ObjectId, ref: 'Submission', required: true, index: true },
+    // Identifies the unit of work, e.g. `ocr:<submissionId>:<ocrJobId>`. While the
+    // job is queued or leased the same value sits in `activeKey`, whose unique
+    // index keeps a second copy of the same work from being enqueued.
+    key: { type: String, required: true, trim: true, index: true },
+    activeKey: { type: String, default: undefined },
+    payload: { type: Schema.Types.Mixed, default: () => ({}) },
+    status: { type: String, enum: JOB_STATUSES, default: 'queued' },
+    priority: { type: Number, default: 0 },
+    runAt: { type: Date, default: Date.now },
+    attempts: { type: Number, default: 0, min: 0 },
+    maxAttempts: { type: Number, default: 5, min: 1 },
+    leaseOwner: { type: String, default: null },
+    leaseExpiresAt: { type: Date, default: null },
+    heartbeatAt: { type: Date, default: null },
+    startedAt: { type: Date, default: null },
+    // Set when the job completes or fails for good; null while queued or leased.
+    finishedAt: { type: Date, default: null },
+    lastError: { type: String, default: null },
+    lastErrorCode: { type: String, default: null },
+    result: { type: Schema.Types.Mixed, default: undefined }
+  },
+  {
+    timestamps: true,
+    collection: 'analysis_jobs'
+  }
+);
+
+analysisJobSchema.index({ activeKey: 1 }, { unique: true, sparse: true });
+analysisJobSchema.index({ status: 1, priority: -1, runAt: 1 });
+analysisJobSchema.index({ status: 1, leaseExpiresAt: 1 });
+analysisJobSchema.index(
+  { finishedAt: 1 },
+  { expireAfterSeconds: FINISHED_JOB_RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model('AnalysisJob', analysisJobSchema);
+module.exports.JOB_TYPES = JOB_TYPES;
+module.exports.JOB_STATUSES = JOB_STATUSES;
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+const INVOICE_STATUSES = ['draft', 'open', 'paid', 'uncollectible', 'void'];
+const PAYMENT_OUTCOMES = ['succeeded', 'failed', 'action_required'];
+
+const invoiceLineSchema = new Schema(
+  {
+    description: { type: String, trim: true, default: null },
+    amount: { type: Number, required: true },
+    quantity: { type: Number, default: null },
+    periodStart: { type: Date, default: null },
+    periodEnd: { type: Date, default: null },
+    proration: { type: Boolean, default: false }
+  },
+  { _id: false }
+);
+
+// One payment attempt as reported by a webhook event.
+const paymentAttemptSchema = new Schema(
+  {
+    stripeEventId: { type: String, required: true },
+    outcome: { type: String, enum: PAYMENT_OUTCOMES, required: true },
+    amount: { type: Number, default: null },
+    occurredAt: { type: Date, required: true }
+  },
+  { _id: false }
+);
+
+/**
+ * A Stripe invoice as the teacher (or organization) it billed sees it, kept
+ * from invoice webhook events. Amounts are in the currency's minor unit, as
+ * Stripe reports them. `stripeEventAt` is the creation time of the event the
+ * snapshot came from, so a late older event never overwrites a newer state.
+ */
+const billingInvoiceSchema = new Schema(
+  {
+    user: { type: Schema.Types.ObjectId, ref: 'User', default: null, index: true },
+    organization: { type: Schema.Types.ObjectId, ref: 'Organization', default: null, index: true },
+    stripeInvoiceId: { type: String, required: true, unique: true, trim: true },
+    stripeCustomerId: { type: String, trim: true, index: true },
+    stripeSubscriptionId: { type: String, trim: true, default: null },
+    number: { type: String, trim: true, default: null },
+    status: { type: String, enum: INVOICE_STATUSES, default: 'open' },
+    currency: { type: String, trim: true, lowercase: true, default: 'usd' },
+    subtotal: { type: Number, default: 0 },
+    tax: { type: Number, default: 0 },
+    total: { type: Number, default: 0 },
+    amountPaid: { type: Number, default: 0 },
+    amountDue: { type: Number, default: 0 },
+    planName: { type: String, trim: true, default: null },
+    customerEmail: { type: String, trim: true, lowercase: true, default: null },
+    customerName: { type: String, trim: true, default: null },
+    periodStart: { type: Date, default: null },
+    periodEnd: { type: Date, default: null },
+    issuedAt: { type: Date, default: null },
+    paidAt: { type: Date, default: null },
+    hostedInvoiceUrl: { type: String, trim: true, default: null },
+    lines: { type: [invoiceLineSchema], default: [] },
+    payments: { type: [paymentAttemptSchema], default: [] },
+    stripeEventAt: { type: Date, default: null }
+  },
+  {
+    timestamps: true,
+    collection: 'billing_invoices'
+  }
+);
+
+billingInvoiceSchema.index({ user: 1, issuedAt: -1 });
+
+module.exports = mongoose.model('BillingInvoice', billingInvoiceSchema);
+module.exports.INVOICE_STATUSES = INVOICE_STATUSES;
+module.exports.PAYMENT_OUTCOMES = PAYMENT_OUTCOMES;
@@ -0,0 +1,9 @@
+const mongoose = require('mongoose');
+
+// Named counters shared by every API instance; `seq` only ever increases.
+const counterSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  seq: { type: Number }
+}, { collection: 'counters', versionKey: false });
+
+module.exports = mongoose.model('Counter', counterSchema);
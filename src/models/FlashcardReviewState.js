@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+/**
+ * FlashcardReviewState
+ * Spaced-repetition schedule for one student and one card. Keyed by the card's
+ * _id (not its index in the set) so reordering or editing a deck keeps history.
+ */
+const flashcardReviewStateSchema = new Schema(
+  {
+    studentId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    flashcardSetId: {
+      type: Schema.Types.ObjectId,
+      ref: 'FlashcardSet',
+      required: true,
+      index: true
+    },
+    cardId: {
+      type: Schema.Types.ObjectId,
+      required: true
+    },
+    ease: {
+      type: Number,
+      default: 2.5,
+      min: 1.3
+    },
+    intervalDays: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    repetitions: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    lapses: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    reviewCount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    lastGrade: {
+      type: String,
+      enum: ['again', 'hard', 'good', 'easy'],
+      default: null
+    },
+    lastReviewedAt: {
+      type: Date,
+      default: null
+    },
+    dueAt: {
+      type: Date,
+      required: true,
+      index: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+flashcardReviewStateSchema.index({ studentId: 1, cardId: 1 }, { unique: true });
+flashcardReviewStateSchema.index({ studentId: 1, flashcardSetId: 1, dueAt: 1 });
+
+module.exports = mongoose.model('FlashcardReviewState', flashcardReviewStateSchema);
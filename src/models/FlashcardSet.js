@@ -8,12 +8,25 @@ const flashCardSchema = new Schema(
     back: { type: String, required: true },
     frontImage: { type: String, default: null },
     backImage: { type: String, default: null },
+    /** Alternative answers accepted when grading typed answers, in addition to `back` */
+    acceptedAnswers: { type: [String], default: [] },
     order: { type: Number, default: 0 },
     template: { type: String, enum: ['term-def', 'qa', 'concept'], default: 'term-def' }
   }
 );
 
- const flashcardSetSchema = new Schema(
+const attributionSchema = new Schema(
+  {
+    sourceId: { type: Schema.Types.ObjectId, required: true },
+    title: { type: String, default: '' },
+    authorId: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+    authorName: { type: String, default: '' },
+    clonedAt: { type: Date, default: Date.now }
+  },
+  { _id: false }
+);
+
+const flashcardSetSchema = new Schema(
   {
     title: { type: String, required: true, trim: true },
     description: { type: String, default: '' },
@@ -26,7 +39,15 @@ const flashCardSchema = new Schema(
     assignedClasses: [{ type: Schema.Types.ObjectId, ref: 'Class' }],
     /** PART 2 — public share link fields */
     shareToken: { type: String, default: undefined },
-    isPublic:   { type: Boolean, default: false }
+    isPublic:   { type: Boolean, default: false },
+    /** Public library facets */
+    subject: { type: String, trim: true, default: '' },
+    cefrLevel: { type: String, enum: ['A1', 'A2', 'B1', 'B2', 'C1', 'C2', null], default: null },
+    tags: { type: [String], default: [] },
+    /** Set this one was cloned from, and the chain of sets before it (oldest first) */
+    sourceId: { type: Schema.Types.ObjectId, ref: 'FlashcardSet', default: null },
+    attribution: { type: [attributionSchema], default: [] },
+    cloneCount: { type: Number, default: 0 }
   },
   {
     timestamps: true
@@ -34,7 +55,13 @@ const flashCardSchema = new Schema(
 );
 
 flashcardSetSchema.index({ ownerId: 1 });
+flashcardSetSchema.index({ ownerId: 1, folderId: 1 });
 flashcardSetSchema.index({ visibility: 1 });
+flashcardSetSchema.index({ isPublic: 1, visibility: 1, cloneCount: -1 });
+flashcardSetSchema.index(
+  { title: 'text', description: 'text', tags: 'text' },
+  { weights: { title: 5, tags: 3, description: 1 } }
+);
 flashcardSetSchema.index(
   { shareToken: 1 },
   { unique: true, partialFilterExpression: { shareToken: { $type: 'string' } } }
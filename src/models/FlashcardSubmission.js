@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 
+const { FLASHCARD_STUDY_MODES, DEFAULT_STUDY_MODE } = require('../constants/flashcard.constants');
+
 const { Schema } = mongoose;
 
 const studyResultSchema = new Schema(
@@ -15,7 +17,11 @@ const cardResultSchema = new Schema(
     cardId: { type: Schema.Types.ObjectId },
     known: { type: Boolean },
     studentAnswer: { type: String, default: null },
-    isCorrect: { type: Boolean, default: null }
+    isCorrect: { type: Boolean, default: null },
+    /** 0-1 partial credit and a one-sentence reason from answer grading */
+    credit: { type: Number, min: 0, max: 1, default: null },
+    explanation: { type: String, default: null },
+    gradedBy: { type: String, enum: ['empty', 'exact', 'normalized', 'fuzzy', 'ai', null], default: null }
   },
   { _id: false }
 );
@@ -26,19 +32,37 @@ const flashcardSubmissionSchema = new Schema(
     userId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
     /** GAP 3 / PART 1 — links submission to a class Assignment record (null for teacher self-study) */
     assignmentId: { type: Schema.Types.ObjectId, ref: 'Assignment', default: null },
+    /** Study mode the result came from; only 'flip' submissions count toward assignment grades */
+    mode: { type: String, enum: FLASHCARD_STUDY_MODES, default: DEFAULT_STUDY_MODE },
     results: [studyResultSchema],
     template: { type: String, enum: ['term-def', 'qa', 'concept'], default: 'term-def' },
     totalCards: { type: Number },
     cardResults: [cardResultSchema],
     score: { type: Number },
     timeTaken: { type: Number },
+    isLate: { type: Boolean, default: false },
+    latePenalty: {
+      waived: { type: Boolean, default: false },
+      waivedBy: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+      waivedAt: { type: Date, default: null }
+    },
     submittedAt: { type: Date, default: Date.now }
   }
 );
 
-/** Original unique guard: one teacher study submission per set per user */
-flashcardSubmissionSchema.index({ flashcardSetId: 1, userId: 1 }, { unique: true, partialFilterExpression: { assignmentId: null } });
-/** Sparse guard: one submission per assignment per student */
-flashcardSubmissionSchema.index({ assignmentId: 1, userId: 1 }, { unique: true, sparse: true });
+/**
+ * One self-study submission per set per user per mode. Databases that still
+ * have the older per-set/per-assignment indexes need
+ * `npm run migrate:flashcard-submission-indexes` once.
+ */
+flashcardSubmissionSchema.index(
+  { flashcardSetId: 1, userId: 1, mode: 1 },
+  { unique: true, partialFilterExpression: { assignmentId: null } }
+);
+/** One submission per assignment per student per mode */
+flashcardSubmissionSchema.index(
+  { assignmentId: 1, userId: 1, mode: 1 },
+  { unique: true, partialFilterExpression: { assignmentId: { $type: 'objectId' } } }
+);
 
 module.exports = mongoose.model('FlashcardSubmission', flashcardSubmissionSchema);
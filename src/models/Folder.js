@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+/**
+ * A teacher's library folder. Folders nest through `parentId` (null for the
+ * top level) and hold flashcard sets, worksheets and worksheet documents,
+ * which point back at the folder through their own `folderId`.
+ */
+const folderSchema = new Schema(
+  {
+    ownerId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    name: { type: String, required: true, trim: true, maxlength: 100 },
+    parentId: { type: Schema.Types.ObjectId, ref: 'Folder', default: null },
+    color: { type: String, default: null },
+    order: { type: Number, default: 0 },
+    /** Public share link for the folder's flashcard sets */
+    shareToken: { type: String, default: undefined },
+    isPublic: { type: Boolean, default: false }
+  },
+  {
+    timestamps: true
+  }
+);
+
+folderSchema.index({ ownerId: 1, parentId: 1, order: 1 });
+folderSchema.index(
+  { shareToken: 1 },
+  { unique: true, partialFilterExpression: { shareToken: { $type: 'string' } } }
+);
+
+module.exports = mongoose.model('Folder', folderSchema);
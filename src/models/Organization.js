@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+const SUBSCRIPTION_STATUSES = ['active', 'trialing', 'past_due', 'unpaid', 'canceled', 'incomplete', 'incomplete_expired', 'paused'];
+
+/**
+ * A school or institution account. It owns one subscription to `plan` with
+ * `seats` teacher seats; every teacher holding a seat is entitled to the plan.
+ * `seatsAssigned` is kept in step with OrganizationMember.hasSeat by the
+ * organization service so seats can be claimed atomically.
+ */
+const organizationSchema = new Schema(
+  {
+    name: { type: String, required: [true, 'name is required'], trim: true },
+    plan: { type: Schema.Types.ObjectId, ref: 'Plan', required: true },
+    seats: { type: Number, required: true, min: 0 },
+    seatsAssigned: { type: Number, default: 0, min: 0 },
+    // Stripe-billed organizations follow their subscription; invoiced ones are
+    // provisioned by a platform admin with an optional end date.
+    subscriptionStatus: { type: String, enum: SUBSCRIPTION_STATUSES, default: 'active' },
+    currentPeriodStart: { type: Date },
+    currentPeriodEnd: { type: Date },
+    stripeCustomerId: { type: String, trim: true, index: true, unique: true, sparse: true },
+    stripeSubscriptionId: { type: String, trim: true, index: true, unique: true, sparse: true },
+    createdBy: { type: Schema.Types.ObjectId, ref: 'User' },
+    isActive: { type: Boolean, default: true }
+  },
+  {
+    timestamps: true
+  }
+);
+
+module.exports = mongoose.model('Organization', organizationSchema);
+module.exports.SUBSCRIPTION_STATUSES = SUBSCRIPTION_STATUSES;
@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+const organizationInvitationSchema = new Schema(
+  {
+    organization: { type: Schema.Types.ObjectId, ref: 'Organization', required: true, index: true },
+    email: { type: String, required: [true, 'Email is required'], lowercase: true, trim: true },
+    role: { type: String, enum: ['admin', 'teacher'], default: 'teacher' },
+    // Give the teacher a seat as soon as they accept, if one is free
+    assignSeat: { type: Boolean, default: true },
+    invitedBy: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'expired', 'revoked'],
+      default: 'pending',
+      index: true
+    },
+    invitedAt: { type: Date, default: Date.now },
+    expiresAt: {
+      type: Date,
+      default: () => new Date(Date.now() + 14 * 24 * 60 * 60 * 1000) // 14 days
+    },
+    acceptedAt: { type: Date },
+    acceptedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+    revokedAt: { type: Date },
+    token: { type: String, unique: true, index: true }
+  },
+  {
+    timestamps: true
+  }
+);
+
+organizationInvitationSchema.index({ organization: 1, email: 1 }, { unique: true });
+
+organizationInvitationSchema.pre('save', function generateToken() {
+  if (this.isNew && !this.token) {
+    this.token = crypto.randomBytes(32).toString('hex');
+  }
+});
+
+module.exports = mongoose.model('OrganizationInvitation', organizationInvitationSchema);
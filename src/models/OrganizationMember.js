@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+const ORGANIZATION_ROLES = ['admin', 'teacher'];
+
+// A teacher belongs to at most one organization. Organization admins manage
+// invitations and seats; they only use the plan themselves if they hold a seat.
+const organizationMemberSchema = new Schema(
+  {
+    organization: { type: Schema.Types.ObjectId, ref: 'Organization', required: true, index: true },
+    user: { type: Schema.Types.ObjectId, ref: 'User', required: true, unique: true },
+    role: { type: String, enum: ORGANIZATION_ROLES, default: 'teacher' },
+    hasSeat: { type: Boolean, default: false },
+    seatAssignedAt: { type: Date, default: null },
+    seatAssignedBy: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+    joinedAt: { type: Date, default: Date.now }
+  },
+  {
+    timestamps: false
+  }
+);
+
+organizationMemberSchema.index({ organization: 1, hasSeat: 1 });
+
+module.exports = mongoose.model('OrganizationMember', organizationMemberSchema);
+module.exports.ORGANIZATION_ROLES = ORGANIZATION_ROLES;
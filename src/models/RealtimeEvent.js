@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+// Capped, insertion-ordered log that every API instance tails to fan SSE
+// messages out to users connected to a different process.
+const realtimeEventSchema = new Schema(
+  {
+    // From the `realtime_events` counter; tailing cursors resume after the last seq they saw.
+    seq: { type: Number, required: true },
+    origin: { type: String, required: true },
+    // SSE `id:` of the message (the Notification seq for notifications).
+    eventId: { type: String, default: undefined },
+    userId: { type: String, required: true },
+    event: { type: String, required: true },
+    payload: { type: Schema.Types.Mixed, default: null }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    collection: 'realtime_events',
+    capped: { size: 16 * 1024 * 1024, max: 20000 },
+    versionKey: false
+  }
+);
+
+module.exports = mongoose.model('RealtimeEvent', realtimeEventSchema);
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+// One-time SSE stream tokens shared across API instances. Only the SHA-256 of
+// the token is stored; MongoDB's TTL monitor removes expired entries.
+const sseTokenSchema = new Schema(
+  {
+    tokenHash: { type: String, required: true, unique: true },
+    userId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    expiresAt: { type: Date, required: true }
+  },
+  {
+    collection: 'sse_tokens',
+    versionKey: false
+  }
+);
+
+sseTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('SseToken', sseTokenSchema);
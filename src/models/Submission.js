@@ -94,6 +94,11 @@ const submissionSchema = new Schema(
       required: true,
       default: false
     },
+    latePenalty: {
+      waived: { type: Boolean, default: false },
+      waivedBy: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+      waivedAt: { type: Date, default: null }
+    },
     qrToken: {
       type: String,
       trim: true
@@ -174,7 +174,18 @@ const submissionFeedbackSchema = new Schema(
     scoringAudit: { type: Schema.Types.Mixed, default: undefined },
 
     // Teacher override tracking.
-    overriddenByTeacher: { type: Boolean, default: false }
+    overriddenByTeacher: { type: Boolean, default: false },
+
+    // Grade release lifecycle (draft -> released). Records written before the
+    // workflow existed have no status and follow Assignment.showMarksToStudent.
+    gradeRelease: {
+      status: { type: String, enum: ['draft', 'released'] },
+      releasedAt: { type: Date },
+      releasedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+      auto: { type: Boolean }
+    },
+    // Set when the student is first told the grade is out; later releases stay silent.
+    gradeReleaseNotifiedAt: { type: Date, default: null }
   },
   {
     timestamps: true,
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+// Metrics whose plan allowance renews every billing period. Gauges such as
+// classes, students and storageMB stay as running totals on User.usage.
+const USAGE_METRICS = ['assignments', 'submissions', 'aiFlashcards', 'aiWorksheets', 'adaptiveLearning'];
+const ENTRY_KINDS = ['charge', 'refund'];
+
+/**
+ * One append-only movement of a periodic usage metric. A charge records
+ * consumption in the billing period it happened in; a refund cancels exactly
+ * one charge (unique `refundOf`) and is booked against that charge's period.
+ * Usage for a period is the sum of `amount` over its entries.
+ */
+const usageLedgerEntrySchema = new Schema(
+  {
+    userId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    metric: { type: String, enum: USAGE_METRICS, required: true },
+    periodStart: { type: Date, required: true },
+    periodEnd: { type: Date, required: true },
+    kind: { type: String, enum: ENTRY_KINDS, default: 'charge' },
+    amount: { type: Number, required: true },
+    reason: { type: String, trim: true, default: null },
+    // Identifies what was charged, e.g. `submission:<id>`, so it can be refunded later
+    reference: { type: String, trim: true, default: null },
+    refundOf: { type: Schema.Types.ObjectId, default: undefined }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    collection: 'usage_ledger'
+  }
+);
+
+usageLedgerEntrySchema.index({ userId: 1, metric: 1, periodStart: 1 });
+usageLedgerEntrySchema.index({ userId: 1, metric: 1, reference: 1 });
+usageLedgerEntrySchema.index({ refundOf: 1 }, { unique: true, sparse: true });
+
+function rejectLedgerChange() {
+  throw new Error('Usage ledger entries are append-only');
+}
+
+usageLedgerEntrySchema.pre('save', function preventResave() {
+  if (!this.isNew) rejectLedgerChange();
+});
+usageLedgerEntrySchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'],
+  rejectLedgerChange
+);
+
+module.exports = mongoose.model('UsageLedgerEntry', usageLedgerEntrySchema);
+module.exports.USAGE_METRICS = USAGE_METRICS;
+module.exports.ENTRY_KINDS = ENTRY_KINDS;
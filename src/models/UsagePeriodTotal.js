@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+/**
+ * Running total of one periodic usage metric for one user and billing period,
+ * kept beside the append-only ledger so a limited charge can be claimed with a
+ * single conditional $inc. The ledger stays the record of what happened; a
+ * missing total is seeded from it.
+ */
+const usagePeriodTotalSchema = new Schema(
+  {
+    userId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    metric: { type: String, required: true },
+    periodStart: { type: Date, required: true },
+    periodEnd: { type: Date, required: true },
+    used: { type: Number, default: 0 }
+  },
+  { collection: 'usage_period_totals' }
+);
+
+usagePeriodTotalSchema.index({ userId: 1, metric: 1, periodStart: 1 }, { unique: true });
+
+module.exports = mongoose.model('UsagePeriodTotal', usagePeriodTotalSchema);
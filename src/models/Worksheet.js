@@ -37,6 +37,14 @@ const WorksheetThemeSchema = new mongoose.Schema({
   },
 }, { _id: false });
 
+const AttributionSchema = new mongoose.Schema({
+  sourceId:   { type: mongoose.Schema.Types.ObjectId, required: true },
+  title:      { type: String, default: '' },
+  authorId:   { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  authorName: { type: String, default: '' },
+  clonedAt:   { type: Date, default: Date.now },
+}, { _id: false });
+
 const WorksheetSchema = new mongoose.Schema({
   title:            { type: String, required: true, trim: true },
   description:      { type: String, default: '', maxlength: 500 },
@@ -78,6 +86,7 @@ const WorksheetSchema = new mongoose.Schema({
   isPublic:         { type: Boolean, default: false },
   shareToken:       { type: String, sparse: true, unique: true },
   createdBy:        { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  folderId:         { type: mongoose.Schema.Types.ObjectId, ref: 'Folder', default: null },
   isPublished:      { type: Boolean, default: false },
 
   conceptExplanation: { type: mongoose.Schema.Types.Mixed, default: null },
@@ -107,6 +116,13 @@ const WorksheetSchema = new mongoose.Schema({
 
   totalPoints: { type: Number, default: 16 },
   theme:       { type: WorksheetThemeSchema, default: () => ({}) },
+  // Current content revision; earlier ones are kept in WorksheetRevision
+  revision:    { type: Number, default: 1, min: 1 },
+
+  // Public library: the worksheet this was cloned from and the chain before it (oldest first)
+  sourceId:    { type: mongoose.Schema.Types.ObjectId, ref: 'Worksheet', default: null },
+  attribution: { type: [AttributionSchema], default: [] },
+  cloneCount:  { type: Number, default: 0 },
 }, { timestamps: true });
 
 WorksheetSchema.index({ cefrLevel: 1 });
@@ -114,6 +130,8 @@ WorksheetSchema.index({ gradeLevel: 1 });
 WorksheetSchema.index({ gradeCategory: 1 });
 WorksheetSchema.index({ subject: 1 });
 WorksheetSchema.index({ createdBy: 1, createdAt: -1 });
+WorksheetSchema.index({ createdBy: 1, folderId: 1 });
+WorksheetSchema.index({ isPublic: 1, cloneCount: -1 });
 WorksheetSchema.index({ title: 'text', description: 'text', tags: 'text' });
 
 module.exports = mongoose.model('Worksheet', WorksheetSchema);
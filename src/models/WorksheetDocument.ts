@@ -17,6 +17,8 @@ const WorksheetDocumentSchema = new Schema(
       required: true,
     },
     sourceFileUrl: { type: String },
+    // Library folder (Folder model); null keeps the document at the top level.
+    folderId: { type: Schema.Types.ObjectId, ref: "Folder", default: null },
 
     meta: {
       title: { type: String, required: true },
@@ -49,6 +51,7 @@ const WorksheetDocumentSchema = new Schema(
 
 // Compound index for teacher dashboard list queries
 WorksheetDocumentSchema.index({ createdBy: 1, createdAt: -1 });
+WorksheetDocumentSchema.index({ createdBy: 1, folderId: 1 });
 export const WorksheetDocumentModel = mongoose.model(
   "WorksheetDocument",
   WorksheetDocumentSchema,
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+const GuestAnswerSchema = new Schema({
+  sectionId: { type: String, required: true },
+  questionId: { type: String, required: true },
+  studentAnswer: { type: String, default: '' },
+  isCorrect: { type: Boolean, default: false },
+}, { _id: false });
+
+const GuestSectionSchema = new Schema({
+  sectionId: { type: String, required: true },
+  sectionName: { type: String, default: '' },
+  activityType: { type: String, default: '' },
+  earnedPoints: { type: Number, default: 0 },
+  totalPoints: { type: Number, default: 0 },
+  score: { type: Number, default: 0 },
+}, { _id: false });
+
+/**
+ * An attempt at a worksheet opened through its public share link. Guests are
+ * not enrolled in a class, so attempts live apart from WorksheetSubmission and
+ * never count toward assignment grades; the owner only sees them in a summary.
+ */
+const WorksheetGuestAttemptSchema = new Schema({
+  worksheetId: { type: Schema.Types.ObjectId, ref: 'Worksheet', required: true },
+  ownerId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  // Token the attempt came through; kept after the link is revoked or rotated
+  shareToken: { type: String, required: true },
+  guestName: { type: String, default: '', trim: true, maxlength: 80 },
+  worksheetRevision: { type: Number, default: null },
+  answers: [GuestAnswerSchema],
+  sections: [GuestSectionSchema],
+  earnedPoints: { type: Number, default: 0 },
+  totalPoints: { type: Number, default: 0 },
+  score: { type: Number, default: 0 },
+  isPassed: { type: Boolean, default: false },
+  timeTaken: { type: Number, default: 0 },
+  submittedAt: { type: Date, default: Date.now },
+});
+
+WorksheetGuestAttemptSchema.index({ worksheetId: 1, submittedAt: -1 });
+WorksheetGuestAttemptSchema.index({ ownerId: 1, submittedAt: -1 });
+
+module.exports = mongoose.model('WorksheetGuestAttempt', WorksheetGuestAttemptSchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+/**
+ * A frozen copy of a worksheet's gradable content. Editing that content
+ * bumps Worksheet.revision and records a new snapshot; submissions and
+ * revision pins keep the revision they were taken on, so an old attempt is always read and
+ * graded against the questions the student actually saw.
+ */
+const WorksheetRevisionSchema = new Schema({
+  worksheetId: { type: Schema.Types.ObjectId, ref: 'Worksheet', required: true },
+  revision: { type: Number, required: true, min: 1 },
+  createdBy: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+  // The fields listed in worksheetRevision.service REVISION_FIELDS, as they were
+  content: { type: Schema.Types.Mixed, required: true },
+  // Top-level fields that differ from the previous revision
+  changedFields: { type: [String], default: [] },
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+WorksheetRevisionSchema.index({ worksheetId: 1, revision: 1 }, { unique: true });
+
+function rejectRevisionChange() {
+  throw new Error('Worksheet revisions are immutable');
+}
+
+WorksheetRevisionSchema.pre('save', function preventResave() {
+  if (!this.isNew) rejectRevisionChange();
+});
+WorksheetRevisionSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'],
+  rejectRevisionChange
+);
+
+module.exports = mongoose.model('WorksheetRevision', WorksheetRevisionSchema);
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+/**
+ * The worksheet revision a student's attempt at an assignment belongs to,
+ * recorded once, the first time they open it. It lives apart from the draft
+ * so deleting the draft or submitting does not lose it.
+ */
+const WorksheetRevisionPinSchema = new Schema({
+  assignmentId: { type: Schema.Types.ObjectId, ref: 'Assignment', required: true },
+  studentId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  worksheetId: { type: Schema.Types.ObjectId, ref: 'Worksheet', required: true },
+  worksheetRevision: { type: Number, required: true, min: 1 },
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+WorksheetRevisionPinSchema.index({ assignmentId: 1, studentId: 1 }, { unique: true });
+
+module.exports = mongoose.model('WorksheetRevisionPin', WorksheetRevisionPinSchema);
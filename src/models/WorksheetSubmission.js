@@ -32,10 +32,23 @@ const SectionSchema = new Schema({
   perQuestionResults: [PerQuestionResultSchema],
 }, { _id: false });
 
+const RegradeSchema = new Schema({
+  fromRevision: { type: Number, default: null },
+  toRevision: { type: Number, required: true },
+  previousScore: { type: Number, default: 0 },
+  newScore: { type: Number, default: 0 },
+  previousEarnedPoints: { type: Number, default: 0 },
+  newEarnedPoints: { type: Number, default: 0 },
+  regradedBy: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+  regradedAt: { type: Date, default: Date.now },
+}, { _id: false });
+
 const WorksheetSubmissionSchema = new Schema({
   worksheetId: { type: Schema.Types.ObjectId, ref: 'Worksheet', required: true },
   assignmentId: { type: Schema.Types.ObjectId, ref: 'Assignment', required: true },
   studentId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  // Worksheet revision the answers were graded against; null on pre-versioning submissions (revision 1)
+  worksheetRevision: { type: Number, default: null },
   answers: [AnswerSchema],
   // Legacy fields (kept for backward compatibility)
   totalPointsEarned: { type: Number, default: 0 },
@@ -51,6 +64,11 @@ const WorksheetSubmissionSchema = new Schema({
   timeTaken: { type: Number, default: 0 },
   status: { type: String, enum: ['submitted', 'late'], default: 'submitted' },
   isLate: { type: Boolean, default: false },
+  latePenalty: {
+    waived: { type: Boolean, default: false },
+    waivedBy: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+    waivedAt: { type: Date, default: null },
+  },
   attempts: { type: Number, default: 1 },
   lastAttemptAt: { type: Date, default: Date.now },
   submittedAt: { type: Date, default: Date.now },
@@ -59,6 +77,17 @@ const WorksheetSubmissionSchema = new Schema({
     enum: ['auto-graded', 'pending-review'],
     default: 'auto-graded'
   },
+  // Grade release lifecycle (draft -> released); absent on pre-workflow submissions.
+  gradeRelease: {
+    status: { type: String, enum: ['draft', 'released'] },
+    releasedAt: { type: Date },
+    releasedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+    auto: { type: Boolean },
+  },
+  // Set when the student is first told the grade is out; later releases stay silent.
+  gradeReleaseNotifiedAt: { type: Date, default: null },
+  // Teacher-initiated regrades against another worksheet revision, oldest first
+  regrades: { type: [RegradeSchema], default: [] },
   // DEPRECATED: legacy activity9 overlay format, kept for backward-compat
   // grading of pre-migration worksheets. Do not use for new worksheets.
   activity9Answers: { type: Map, of: String, default: {} },
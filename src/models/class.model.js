@@ -47,6 +47,14 @@ const classSchema = new Schema(
       enum: ['score_0_100', 'grade_a_f', 'pass_fail'],
       default: 'score_0_100'
     },
+    // Lower bound (inclusive, 0..100) of each letter grade and of a pass.
+    gradeCutPoints: {
+      A: { type: Number, default: 90, min: 0, max: 100 },
+      B: { type: Number, default: 80, min: 0, max: 100 },
+      C: { type: Number, default: 70, min: 0, max: 100 },
+      D: { type: Number, default: 60, min: 0, max: 100 },
+      pass: { type: Number, default: 60, min: 0, max: 100 }
+    },
     lateSubmissionPenaltyPercent: {
       type: Number,
       default: 10,
@@ -23,7 +23,7 @@ const invitationSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ['pending', 'accepted', 'expired'],
+      enum: ['pending', 'accepted', 'expired', 'revoked'],
       default: 'pending',
       index: true
     },
@@ -40,6 +40,13 @@ const invitationSchema = new mongoose.Schema(
     acceptedAt: {
       type: Date
     },
+    acceptedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    revokedAt: {
+      type: Date
+    },
     token: {
       type: String,
       unique: true,
@@ -55,13 +62,12 @@ const invitationSchema = new mongoose.Schema(
 invitationSchema.index({ class: 1, email: 1 }, { unique: true });
 invitationSchema.index({ teacher: 1, status: 1 });
 
-// Pre-save middleware to generate token
-invitationSchema.pre('save', function(next) {
+// Pre-save middleware to generate token (Mongoose 9 hooks no longer receive `next`)
+invitationSchema.pre('save', function() {
   if (this.isNew && !this.token) {
     const crypto = require('crypto');
     this.token = crypto.randomBytes(32).toString('hex');
   }
-  next();
 });
 
 // Static method to find valid invitation
@@ -75,9 +81,10 @@ invitationSchema.statics.findValidInvitation = function(classId, email) {
 };
 
 // Instance method to accept invitation
-invitationSchema.methods.accept = function() {
+invitationSchema.methods.accept = function(userId) {
   this.status = 'accepted';
   this.acceptedAt = new Date();
+  if (userId) this.acceptedBy = userId;
   return this.save();
 };
 
@@ -87,6 +94,13 @@ invitationSchema.methods.expire = function() {
   return this.save();
 };
 
+// Instance method to revoke invitation
+invitationSchema.methods.revoke = function() {
+  this.status = 'revoked';
+  this.revokedAt = new Date();
+  return this.save();
+};
+
 const Invitation = mongoose.model('Invitation', invitationSchema);
 
 module.exports = Invitation;
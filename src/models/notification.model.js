@@ -40,6 +40,32 @@ const notificationSchema = new Schema(
       type: Date,
       default: undefined,
       index: true
+    },
+    // Set when the recipient asked for email on this type; emailedAt marks delivery.
+    emailDelivery: {
+      type: String,
+      enum: ['immediate', 'digest'],
+      default: undefined
+    },
+    emailedAt: {
+      type: Date,
+      default: undefined
+    },
+    archivedAt: {
+      type: Date,
+      default: undefined
+    },
+    // From the `notifications` counter; used as the SSE event id so a
+    // reconnecting stream can replay everything after the last id it saw.
+    seq: {
+      type: Number,
+      default: undefined
+    },
+    // Set once the notification is read (NOTIFICATION_READ_TTL_DAYS after readAt);
+    // the TTL index below then removes it. Unread notifications never expire.
+    expiresAt: {
+      type: Date,
+      default: undefined
     }
   },
   {
@@ -48,5 +74,8 @@ const notificationSchema = new Schema(
 );
 
 notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, seq: 1 });
+notificationSchema.index({ emailDelivery: 1, emailedAt: 1, readAt: 1 });
+notificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
 module.exports = mongoose.model('Notification', notificationSchema);
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 
+const { NOTIFICATION_CHANNELS } = require('../constants/notification.constants');
+
 const userSchema = new mongoose.Schema(
   {
     // One MongoDB user per Firebase UID
@@ -21,10 +23,18 @@ const userSchema = new mongoose.Schema(
       type: String,
       trim: true
     },
+    // Free-text school name shown on the profile; school accounts are Organizations.
     institution: {
       type: String,
       trim: true
     },
+    // Set while the user is a member of an Organization (OrganizationMember is
+    // authoritative); lets plan resolution skip the seat lookup for everyone else.
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      default: null
+    },
     bio: {
       type: String,
       trim: true
@@ -89,6 +99,8 @@ const userSchema = new mongoose.Schema(
     stripeLatestInvoiceId: { type: String, trim: true },
     stripeLatestInvoiceStatus: { type: String, trim: true },
     stripeLastPaymentFailedAt: { type: Date },
+    // Running totals. assignments, submissions, aiFlashcards and aiWorksheets
+    // are legacy lifetime counters: per-period usage lives in the usage ledger.
     usage: {
       classes: { type: Number, default: 0, min: 0 },
       assignments: { type: Number, default: 0, min: 0 },
@@ -98,6 +110,15 @@ const userSchema = new mongoose.Schema(
       aiWorksheets: { type: Number, default: 0, min: 0 },
       storageMB: { type: Number, default: 0, min: 0 }
     },
+    // Delivery channel per notification type; missing types use in_app.
+    notificationPreferences: {
+      type: Map,
+      of: { type: String, enum: NOTIFICATION_CHANNELS },
+      default: undefined
+    },
+    notificationDigestSentAt: {
+      type: Date
+    },
     photoURL: {
       type: String,
       trim: true
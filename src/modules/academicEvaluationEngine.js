@@ -1,3 +1,5 @@
+const { gradeForScore } = require('../services/gradingScale.service');
+
 function safeNumber(value, fallback) {
   const n = typeof value === 'number' ? value : Number(value);
   return Number.isFinite(n) ? n : fallback;
@@ -118,16 +120,18 @@ function computeCategoryScore({ wc, basePenalty, weightBias }) {
   return clamp0100(Math.round(score * 10) / 10);
 }
 
-function gradeFromOverall(overallScore) {
-  const s = safeNumber(overallScore, 0);
-  if (s >= 90) return { gradeLetter: 'A', qualitativeLabel: 'Excellent' };
-  if (s >= 80) return { gradeLetter: 'B', qualitativeLabel: 'Good' };
-  if (s >= 70) return { gradeLetter: 'C', qualitativeLabel: 'Satisfactory' };
-  if (s >= 60) return { gradeLetter: 'D', qualitativeLabel: 'Needs Improvement' };
-  return { gradeLetter: 'F', qualitativeLabel: 'Unsatisfactory' };
+// Pass/fail classes get a null gradeLetter; `grade` then carries 'Pass' or 'Fail'.
+function gradeFromOverall(overallScore, gradingPolicy) {
+  const result = gradeForScore(safeNumber(overallScore, 0), gradingPolicy);
+  return {
+    gradeLetter: result.letter,
+    grade: result.grade,
+    gradingScale: result.scale,
+    qualitativeLabel: result.qualitativeLabel
+  };
 }
 
-function computeRubricScores({ text, issues }) {
+function computeRubricScores({ text, issues, gradingPolicy }) {
   const t = normalizeText(text);
   const wc = wordCount(t);
   const sc = sentenceCount(t);
@@ -190,7 +194,7 @@ function computeRubricScores({ text, issues }) {
     taskAchievementScore * weights.task;
 
   const overallScore = clamp0100(Math.round(overall * 10) / 10);
-  const grade = gradeFromOverall(overallScore);
+  const grade = gradeFromOverall(overallScore, gradingPolicy);
 
   return {
     wordCount: wc,
@@ -204,6 +208,8 @@ function computeRubricScores({ text, issues }) {
     taskAchievementScore,
     overallScore,
     gradeLetter: grade.gradeLetter,
+    grade: grade.grade,
+    gradingScale: grade.gradingScale,
     qualitativeLabel: grade.qualitativeLabel,
     scoringBreakdown: {
       weights,
@@ -277,7 +283,7 @@ function buildStructuredFeedback({ text, issues }) {
   };
 }
 
-function applyTeacherOverrides({ baseScores, override }) {
+function applyTeacherOverrides({ baseScores, override, gradingPolicy }) {
   if (!override || typeof override !== 'object') {
     return { effectiveScores: baseScores, applied: false };
   }
@@ -298,8 +304,10 @@ function applyTeacherOverrides({ baseScores, override }) {
     overallScore: typeof pick('overallScore') === 'number' ? pick('overallScore') : baseScores.overallScore
   };
 
-  const grade = gradeFromOverall(effective.overallScore);
+  const grade = gradeFromOverall(effective.overallScore, gradingPolicy);
   effective.gradeLetter = grade.gradeLetter;
+  effective.grade = grade.grade;
+  effective.gradingScale = grade.gradingScale;
   effective.qualitativeLabel = grade.qualitativeLabel;
 
   const applied = ['grammarScore', 'structureScore', 'contentScore', 'vocabularyScore', 'taskAchievementScore', 'overallScore']
@@ -308,11 +316,11 @@ function applyTeacherOverrides({ baseScores, override }) {
   return { effectiveScores: effective, applied };
 }
 
-function computeAcademicEvaluation({ text, issues, teacherOverrideScores }) {
-  const scores = computeRubricScores({ text, issues });
+function computeAcademicEvaluation({ text, issues, teacherOverrideScores, gradingPolicy }) {
+  const scores = computeRubricScores({ text, issues, gradingPolicy });
   const structuredFeedback = buildStructuredFeedback({ text, issues });
 
-  const merged = applyTeacherOverrides({ baseScores: scores, override: teacherOverrideScores });
+  const merged = applyTeacherOverrides({ baseScores: scores, override: teacherOverrideScores, gradingPolicy });
 
   return {
     rubric: scores,
@@ -0,0 +1,187 @@
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+
+// ─────────────────────────────────────────────────────────────────────────────
+// STYLE TOKENS
+// ─────────────────────────────────────────────────────────────────────────────
+const STYLE = {
+  colors: {
+    primary: '#008081',
+    neutral: '#374151',
+    muted: '#6B7280',
+    border: '#E7E7E7',
+    tableHdr: '#F3F3F3',
+    paidBg: '#dcfce7',
+    paid: '#166534',
+  },
+  fonts: {
+    main: 'Helvetica',
+    bold: 'Helvetica-Bold',
+  },
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// SMALL UTILITIES
+// ─────────────────────────────────────────────────────────────────────────────
+function safeText(v) {
+  return (typeof v === 'string' ? v : v == null ? '' : String(v)).trim();
+}
+
+function formatDate(value) {
+  const date = value ? new Date(value) : null;
+  if (!date || Number.isNaN(date.getTime())) return '';
+  return date.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+}
+
+function formatMoney(amount, currency) {
+  const value = typeof amount === 'number' ? amount : 0;
+  const code = safeText(currency).toUpperCase() || 'USD';
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency: code }).format(value);
+  } catch {
+    return `${value.toFixed(2)} ${code}`;
+  }
+}
+
+function sellerDetails() {
+  return {
+    name: safeText(process.env.BILLING_BUSINESS_NAME) || 'Rozna',
+    addressLines: safeText(process.env.BILLING_BUSINESS_ADDRESS).split('|').map(safeText).filter(Boolean),
+    taxId: safeText(process.env.BILLING_TAX_ID),
+  };
+}
+
+function pageW(doc) {
+  return doc.page.width - doc.page.margins.left - doc.page.margins.right;
+}
+
+function ensureSpace(doc, h) {
+  if (doc.y + h > doc.page.height - doc.page.margins.bottom) doc.addPage();
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// SECTIONS
+// ─────────────────────────────────────────────────────────────────────────────
+function renderHeader(doc, seller) {
+  const L = doc.page.margins.left;
+  const W = pageW(doc);
+  const top = doc.y;
+
+  doc.font(STYLE.fonts.bold).fontSize(22).fillColor(STYLE.colors.primary).text('Receipt', L, top);
+  doc.font(STYLE.fonts.bold).fontSize(11).fillColor(STYLE.colors.neutral)
+    .text(seller.name, L, top, { width: W, align: 'right' });
+  doc.font(STYLE.fonts.main).fontSize(9).fillColor(STYLE.colors.muted);
+  for (const line of seller.addressLines) doc.text(line, { width: W, align: 'right' });
+  if (seller.taxId) doc.text(`Tax ID: ${seller.taxId}`, { width: W, align: 'right' });
+
+  doc.y = Math.max(doc.y, top + 40) + 12;
+  const badgeY = doc.y;
+  doc.roundedRect(L, badgeY, 52, 18, 4).fill(STYLE.colors.paidBg);
+  doc.font(STYLE.fonts.bold).fontSize(9).fillColor(STYLE.colors.paid).text('PAID', L, badgeY + 5, { width: 52, align: 'center' });
+  doc.y = badgeY + 30;
+}
+
+function renderDetails(doc, receipt) {
+  const L = doc.page.margins.left;
+  const W = pageW(doc);
+  const rows = [
+    ['Receipt for invoice', safeText(receipt.number) || safeText(receipt.stripeInvoiceId)],
+    ['Date paid', formatDate(receipt.paidAt)],
+    ['Billed to', [safeText(receipt.customerName), safeText(receipt.customerEmail)].filter(Boolean).join('\n')],
+    ['Plan', safeText(receipt.planName)],
+    ['Service period', receipt.periodStart ? `${formatDate(receipt.periodStart)} – ${formatDate(receipt.periodEnd)}` : ''],
+  ].filter(([, value]) => value);
+
+  for (const [label, value] of rows) {
+    const y = doc.y;
+    doc.font(STYLE.fonts.main).fontSize(9.5).fillColor(STYLE.colors.muted).text(label, L, y, { width: 130 });
+    doc.font(STYLE.fonts.main).fontSize(10).fillColor(STYLE.colors.neutral).text(value, L + 140, y, { width: W - 140 });
+    doc.y = Math.max(doc.y, y + 14) + 4;
+  }
+  doc.moveDown(0.8);
+}
+
+function renderLines(doc, receipt) {
+  const L = doc.page.margins.left;
+  const W = pageW(doc);
+  const amountW = 110;
+  const padX = 8;
+
+  const hy = doc.y;
+  doc.rect(L, hy, W, 22).fill(STYLE.colors.tableHdr);
+  doc.font(STYLE.fonts.bold).fontSize(9.5).fillColor(STYLE.colors.neutral)
+    .text('Description', L + padX, hy + 6, { width: W - amountW - padX * 2 })
+    .text('Amount', L + W - amountW, hy + 6, { width: amountW - padX, align: 'right' });
+  doc.y = hy + 22;
+
+  for (const line of receipt.lines || []) {
+    const description = safeText(line.description) || 'Subscription';
+    const h = Math.max(22, doc.font(STYLE.fonts.main).fontSize(9.5)
+      .heightOfString(description, { width: W - amountW - padX * 2 }) + 10);
+    ensureSpace(doc, h);
+    const ry = doc.y;
+    doc.fillColor(STYLE.colors.neutral)
+      .text(description, L + padX, ry + 5, { width: W - amountW - padX * 2 })
+      .text(formatMoney(line.amount, receipt.currency), L + W - amountW, ry + 5, { width: amountW - padX, align: 'right' });
+    doc.moveTo(L, ry + h).lineTo(L + W, ry + h).lineWidth(0.5).strokeColor(STYLE.colors.border).stroke();
+    doc.y = ry + h;
+  }
+  doc.moveDown(0.8);
+}
+
+function renderTotals(doc, receipt) {
+  const L = doc.page.margins.left;
+  const W = pageW(doc);
+  const rows = [['Subtotal', receipt.subtotal]];
+  if (receipt.tax) rows.push(['Tax', receipt.tax]);
+  rows.push(['Total', receipt.total], ['Amount paid', receipt.amountPaid]);
+
+  ensureSpace(doc, rows.length * 18 + 10);
+  for (const [label, amount] of rows) {
+    const y = doc.y;
+    const strong = label === 'Amount paid';
+    doc.font(strong ? STYLE.fonts.bold : STYLE.fonts.main).fontSize(strong ? 11 : 10).fillColor(STYLE.colors.neutral)
+      .text(label, L + W - 260, y, { width: 140 })
+      .text(formatMoney(amount, receipt.currency), L + W - 120, y, { width: 120, align: 'right' });
+    doc.y = y + 18;
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// MAIN EXPORT
+// ─────────────────────────────────────────────────────────────────────────────
+/**
+ * Renders a receipt for a paid invoice (as returned by billingInvoice.service
+ * getReceipt, amounts in major units) to `outputPath`. Resolves with the path.
+ */
+async function generateInvoiceReceiptPdf(receipt, outputPath) {
+  await fs.promises.mkdir(path.dirname(outputPath), { recursive: true });
+  const seller = sellerDetails();
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margins: { top: 50, bottom: 50, left: 50, right: 50 },
+      info: { Title: `Receipt ${safeText(receipt.number)}`.trim(), Author: seller.name },
+    });
+    const stream = fs.createWriteStream(outputPath);
+    stream.on('finish', () => resolve(outputPath));
+    stream.on('error', reject);
+    doc.on('error', reject);
+    doc.pipe(stream);
+
+    try {
+      renderHeader(doc, seller);
+      renderDetails(doc, receipt);
+      renderLines(doc, receipt);
+      renderTotals(doc, receipt);
+      doc.end();
+    } catch (err) {
+      try { doc.end(); } catch { /* ignore */ }
+      reject(err);
+    }
+  });
+}
+
+module.exports = { generateInvoiceReceiptPdf };
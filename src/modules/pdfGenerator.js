@@ -4,6 +4,7 @@ const PDFDocument = require('pdfkit');
 const { fetch } = require('undici');
 const sizeOf = require('image-size');
 const logger = require('../utils/logger');
+const { gradeForScore } = require('../services/gradingScale.service');
 
 // ─────────────────────────────────────────────────────────────────────────────
 // STYLE TOKENS  (matches the target "submission-feedback__2_.pdf")
@@ -850,18 +851,19 @@ function buildRubricRows(fb) {
     .filter(Boolean);
 }
 
-function getOverallScoreBlock({ feedback, submissionFeedback }) {
+// Without a class grading policy the persisted grade is shown, as before.
+function getOverallScoreBlock({ feedback, submissionFeedback, gradingPolicy }) {
   const overall = safeNumber(submissionFeedback && submissionFeedback.overallScore, NaN);
   const grade = safeText(submissionFeedback && submissionFeedback.grade);
   if (Number.isFinite(overall)) {
-    return { overallText: `${Math.round(overall * 10) / 10}/100`, gradeText: grade || 'N/A', note: 'From submission feedback' };
+    const gradeText = gradingPolicy ? gradeForScore(overall, gradingPolicy).grade : grade;
+    return { overallText: `${Math.round(overall * 10) / 10}/100`, gradeText: gradeText || 'N/A', note: 'From submission feedback' };
   }
   const score = safeNumber(feedback && feedback.score, NaN);
   const maxScore = safeNumber(feedback && feedback.maxScore, NaN);
   if (Number.isFinite(score) && maxScore > 0) {
     const pct = (score / maxScore) * 100;
-    const letter = pct >= 90 ? 'A' : pct >= 80 ? 'B' : pct >= 70 ? 'C' : pct >= 60 ? 'D' : 'F';
-    return { overallText: `${Math.round(score * 10) / 10}/${Math.round(maxScore * 10) / 10}`, gradeText: letter, note: `Approx. ${Math.round(pct)}%` };
+    return { overallText: `${Math.round(score * 10) / 10}/${Math.round(maxScore * 10) / 10}`, gradeText: gradeForScore(pct, gradingPolicy).grade, note: `Approx. ${Math.round(pct)}%` };
   }
   return { overallText: 'N/A', gradeText: 'N/A', note: '' };
 }
@@ -930,7 +932,8 @@ async function generatePdf(submissionData, outputPath) {
     buildFeedbackBlocks({ submissionFeedback, feedback });
 
   const rubricRows = buildRubricRows(submissionFeedback || feedback);
-  const overallBlock = getOverallScoreBlock({ feedback, submissionFeedback });
+  const gradingPolicy = (data.gradingPolicy && typeof data.gradingPolicy === 'object') ? data.gradingPolicy : null;
+  const overallBlock = getOverallScoreBlock({ feedback, submissionFeedback, gradingPolicy });
 
   const title = 'Submission Feedback Report';
   const studentEmail = safeText(header.studentEmail || header.studentName);
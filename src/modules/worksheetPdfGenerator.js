@@ -148,6 +148,23 @@ function getScoreBadge(score) {
   return { label: "Critical", color: STYLE.colors.error };
 }
 
+/**
+ * Grade suffix for score cells under the class grading scale: "" for 0–100
+ * classes, " · B" for A–F classes and " · Pass" for pass/fail classes.
+ */
+function gradeSuffix(grading) {
+  if (!grading || !grading.grade || grading.scale === "score_0_100") return "";
+  return ` · ${grading.grade}`;
+}
+
+/** Short human-readable summary of a latePenalty object, or "" when not late. */
+function describeLatePenalty(latePenalty) {
+  if (!latePenalty || latePenalty.isLate !== true) return "";
+  if (latePenalty.waived) return "late penalty waived";
+  if (!latePenalty.applied) return "";
+  return `raw ${Math.round(safeNumber(latePenalty.rawScore, 0))}%, late penalty −${safeNumber(latePenalty.penaltyPoints, 0)}`;
+}
+
 function na(v) {
   const t = safeText(v);
   return t ? t : "N/A";
@@ -524,9 +541,19 @@ function countQuestionsByActivityType(typeId, activityData) {
     case "labeling":
       return Array.isArray(data.labels) ? data.labels.length : 0;
     case "wordSearch":
+      if (Array.isArray(data.placements)) return data.placements.length;
       return Array.isArray(data.words) ? data.words.length : 0;
     case "crossword":
       return Array.isArray(data.words) ? data.words.length : 0;
+    case "clozePassage":
+      return Array.isArray(data.passage)
+        ? data.passage.filter((p) => safeText(p && p.type) === "blank").length
+        : 0;
+    case "readingComprehension":
+      return Array.isArray(data.questions) ? data.questions.length : 0;
+    case "errorCorrection":
+    case "dictation":
+      return Array.isArray(data.sentences) ? data.sentences.length : 0;
     default:
       return (
         (Array.isArray(data.questions) ? data.questions.length : 0) +
@@ -807,6 +834,8 @@ function renderDocHeader(
     submittedAt,
     score,
     percentage,
+    scoreNote,
+    grading,
     worksheetMeta,
     showScore = true,
   },
@@ -930,10 +959,21 @@ function renderDocHeader(
   if (showScore && (score !== undefined || percentage !== undefined)) {
     const pct = safeNumber(percentage, 0);
     const accent = getScoreColor(pct);
-    const badge = getScoreBadge(pct);
-    const scoreStr = score
+    // A–F and pass/fail classes badge the class grade instead of the generic label.
+    const badge =
+      grading && grading.grade && grading.scale !== "score_0_100"
+        ? {
+            label:
+              grading.scale === "pass_fail"
+                ? grading.grade
+                : `Grade ${grading.grade}`,
+            color: grading.passed ? STYLE.colors.success : STYLE.colors.error,
+          }
+        : getScoreBadge(pct);
+    const baseScoreStr = score
       ? `${score} pts (${Math.round(pct)}%)`
       : `${Math.round(pct)}%`;
+    const scoreStr = scoreNote ? `${baseScoreStr} ${scoreNote}` : baseScoreStr;
 
     // Score with badge
     const scoreY = doc.y;
@@ -1273,9 +1313,13 @@ function renderClassification(doc, activity, answerMap) {
 // ─────────────────────────────────────────────────────────────────────────────
 // ACTIVITY 4 — FILL-IN-THE-BLANKS
 // ─────────────────────────────────────────────────────────────────────────────
-function renderFillInBlanks(doc, sentences, answerMap) {
+function renderFillInBlanks(doc, sentences, answerMap, options = {}) {
   const L = doc.page.margins.left;
   const W = pageW(doc);
+  // Cloze passages are one unnumbered paragraph; graded results (when given) decide correctness
+  const numbered = options.numbered !== false;
+  const results = options.results || null;
+  const indent = numbered ? 22 : 0;
 
   for (let si = 0; si < sentences.length; si++) {
     const sentence = sentences[si];
@@ -1284,15 +1328,17 @@ function renderFillInBlanks(doc, sentences, answerMap) {
     ensureSpace(doc, 40);
     const startY = doc.y;
 
-    let lineX = L + 22;
+    let lineX = L + indent;
     let lineY = startY;
     const maxX = L + W;
 
-    doc
-      .font("Helvetica-Bold")
-      .fontSize(10)
-      .fillColor(STYLE.colors.neutral)
-      .text(`${si + 1}.`, L, lineY, { width: 18 });
+    if (numbered) {
+      doc
+        .font("Helvetica-Bold")
+        .fontSize(10)
+        .fillColor(STYLE.colors.neutral)
+        .text(`${si + 1}.`, L, lineY, { width: 18 });
+    }
 
     doc.font("Helvetica").fontSize(10);
 
@@ -1303,7 +1349,7 @@ function renderFillInBlanks(doc, sentences, answerMap) {
         const tw = doc.widthOfString(t);
         if (lineX + tw > maxX + 2) {
           lineY += 18;
-          lineX = L + 22;
+          lineX = L + indent;
           doc.y = lineY;
         }
         doc
@@ -1316,8 +1362,10 @@ function renderFillInBlanks(doc, sentences, answerMap) {
         const studentAns = safeText(answerMap && answerMap[part.blankId]);
         const correctAns = safeText(part.correctAnswer);
         const answered = studentAns.length > 0;
-        const isCorrect =
-          answered && studentAns.toLowerCase() === correctAns.toLowerCase();
+        const graded = results && results[part.blankId];
+        const isCorrect = graded
+          ? answered && graded.isCorrect === true
+          : answered && studentAns.toLowerCase() === correctAns.toLowerCase();
 
         const display = answered ? studentAns : "______";
         doc.font("Helvetica-Bold").fontSize(10);
@@ -1325,7 +1373,7 @@ function renderFillInBlanks(doc, sentences, answerMap) {
 
         if (lineX + bw > maxX + 2) {
           lineY += 18;
-          lineX = L + 22;
+          lineX = L + indent;
           doc.y = lineY;
         }
 
@@ -1368,7 +1416,7 @@ function renderFillInBlanks(doc, sentences, answerMap) {
           const hw = doc.widthOfString(hint);
           if (lineX + hw > maxX + 2) {
             lineY += 18;
-            lineX = L + 22;
+            lineX = L + indent;
           }
           doc.text(hint, lineX, lineY, { lineBreak: false });
           lineX += hw + 4;
@@ -1684,6 +1732,431 @@ function renderTrueFalse(doc, activity, answerMap) {
   }
 }
 
+// ─────────────────────────────────────────────────────────────────────────────
+// WRITTEN ANSWER ROW — shared by reading comprehension, error correction, dictation
+// ─────────────────────────────────────────────────────────────────────────────
+function renderWrittenAnswer(doc, { studentAns, isCorrect, correctAns, note }) {
+  const L = doc.page.margins.left;
+  const W = pageW(doc);
+  const answered = safeText(studentAns).length > 0;
+
+  ensureSpace(doc, 40);
+  const boxY = doc.y;
+  const display = answered ? safeText(studentAns) : "Not answered";
+  doc.font("Helvetica-Bold").fontSize(10);
+  const boxH = Math.max(22, doc.heightOfString(display, { width: W - 44 }) + 12);
+
+  let bg, fg, bd;
+  if (!answered) {
+    bg = STYLE.colors.tableHdr;
+    fg = STYLE.colors.muted;
+    bd = STYLE.colors.border;
+  } else if (isCorrect) {
+    bg = STYLE.colors.successBg;
+    fg = STYLE.colors.success;
+    bd = STYLE.colors.successBd;
+  } else {
+    bg = STYLE.colors.errorBg;
+    fg = STYLE.colors.error;
+    bd = STYLE.colors.errorBd;
+  }
+
+  doc.save();
+  doc.roundedRect(L + 18, boxY, W - 18, boxH, 4).fillAndStroke(bg, bd);
+  doc.restore();
+  const marker = answered ? (isCorrect ? "✓ " : "✗ ") : "";
+  doc
+    .font(answered ? "Helvetica-Bold" : "Helvetica-Oblique")
+    .fontSize(10)
+    .fillColor(fg)
+    .text(`${marker}${display}`, L + 26, boxY + 6, { width: W - 44 });
+  doc.y = boxY + boxH + 4;
+
+  if (!isCorrect && safeText(correctAns)) {
+    doc
+      .font("Helvetica-Oblique")
+      .fontSize(9)
+      .fillColor(answered ? STYLE.colors.primary : STYLE.colors.warning)
+      .text(`Correct answer: ${safeText(correctAns)}`, L + 18, doc.y, {
+        width: W - 18,
+      });
+    doc.moveDown(0.3);
+  }
+  if (note) {
+    doc
+      .font("Helvetica-Oblique")
+      .fontSize(8.5)
+      .fillColor(STYLE.colors.muted)
+      .text(safeText(note), L + 18, doc.y, { width: W - 18 });
+    doc.moveDown(0.3);
+  }
+  doc.moveDown(0.6);
+}
+
+function renderActivityIntro(doc, activity, fallbackTitle) {
+  renderSectionTitle(doc, safeText(activity.title) || fallbackTitle);
+  if (activity.instructions) {
+    doc
+      .font("Helvetica-Oblique")
+      .fontSize(9.5)
+      .fillColor(STYLE.colors.muted)
+      .text(safeText(activity.instructions), doc.page.margins.left, doc.y, {
+        width: pageW(doc),
+      });
+    doc.moveDown(0.5);
+  }
+}
+
+function renderWordBank(doc, wordBank) {
+  if (!Array.isArray(wordBank) || wordBank.length === 0) return;
+  const L = doc.page.margins.left;
+  const W = pageW(doc);
+  doc
+    .font("Helvetica-Bold")
+    .fontSize(10)
+    .fillColor(STYLE.colors.neutral)
+    .text("Word Bank:", L, doc.y, { width: W });
+  doc.moveDown(0.2);
+  doc
+    .font("Helvetica")
+    .fontSize(10)
+    .fillColor(STYLE.colors.muted)
+    .text(wordBank.map(safeText).join("   •   "), L, doc.y, { width: W });
+  doc.moveDown(0.7);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CLOZE PASSAGE
+// ─────────────────────────────────────────────────────────────────────────────
+function renderClozePassage(doc, activity, results) {
+  const data = activity.data || {};
+  const passage = Array.isArray(data.passage) ? data.passage : [];
+  if (passage.length === 0) return;
+
+  renderActivityIntro(doc, activity, "Cloze Passage");
+  renderWordBank(doc, data.wordBank);
+  const answerMap = {};
+  for (const [questionId, result] of Object.entries(results)) {
+    answerMap[questionId] = result.studentAnswer;
+  }
+  renderFillInBlanks(doc, [{ parts: passage }], answerMap, {
+    numbered: false,
+    results,
+  });
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// READING COMPREHENSION
+// ─────────────────────────────────────────────────────────────────────────────
+function renderReadingComprehension(doc, activity, results) {
+  const L = doc.page.margins.left;
+  const W = pageW(doc);
+  const data = activity.data || {};
+  const questions = Array.isArray(data.questions) ? data.questions : [];
+
+  renderActivityIntro(doc, activity, "Reading Comprehension");
+
+  if (safeText(data.passage)) {
+    if (safeText(data.passageTitle)) {
+      doc
+        .font("Helvetica-Bold")
+        .fontSize(10.5)
+        .fillColor(STYLE.colors.neutral)
+        .text(safeText(data.passageTitle), L, doc.y, { width: W });
+      doc.moveDown(0.3);
+    }
+    doc
+      .font("Helvetica")
+      .fontSize(10)
+      .fillColor(STYLE.colors.neutral)
+      .text(safeText(data.passage), L, doc.y, { width: W, lineGap: 2 });
+    doc.moveDown(0.8);
+  }
+
+  for (let qi = 0; qi < questions.length; qi++) {
+    const q = questions[qi] || {};
+    const result = results[safeText(q.id)] || {};
+    ensureSpace(doc, 60);
+    doc
+      .font("Helvetica-Bold")
+      .fontSize(10.5)
+      .fillColor(STYLE.colors.neutral)
+      .text(`${qi + 1}. ${safeText(q.text)}`, L, doc.y, { width: W });
+    doc.moveDown(0.3);
+    if (q.questionType === "multipleChoice" && Array.isArray(q.options)) {
+      doc
+        .font("Helvetica")
+        .fontSize(9.5)
+        .fillColor(STYLE.colors.muted)
+        .text(
+          q.options
+            .map((opt, oi) => `${OPTION_LETTERS[oi] || oi + 1}. ${safeText(opt)}`)
+            .join("    "),
+          L + 18,
+          doc.y,
+          { width: W - 18 },
+        );
+      doc.moveDown(0.3);
+    }
+    const correctAns =
+      typeof q.correctAnswer === "boolean"
+        ? q.correctAnswer
+          ? "True"
+          : "False"
+        : q.correctAnswer;
+    renderWrittenAnswer(doc, {
+      studentAns: result.studentAnswer,
+      isCorrect: result.isCorrect === true,
+      correctAns,
+      note: q.explanation ? `Explanation: ${safeText(q.explanation)}` : null,
+    });
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// ERROR CORRECTION
+// ─────────────────────────────────────────────────────────────────────────────
+function renderErrorCorrection(doc, activity, results) {
+  const L = doc.page.margins.left;
+  const W = pageW(doc);
+  const sentences = Array.isArray(activity.data && activity.data.sentences)
+    ? activity.data.sentences
+    : [];
+
+  renderActivityIntro(doc, activity, "Find and Fix the Error");
+
+  for (let si = 0; si < sentences.length; si++) {
+    const sentence = sentences[si] || {};
+    const result = results[safeText(sentence.id)] || {};
+    ensureSpace(doc, 60);
+    doc
+      .font("Helvetica-Bold")
+      .fontSize(10.5)
+      .fillColor(STYLE.colors.neutral)
+      .text(`${si + 1}. ${safeText(sentence.text)}`, L, doc.y, { width: W });
+    doc.moveDown(0.3);
+    renderWrittenAnswer(doc, {
+      studentAns: result.studentAnswer,
+      isCorrect: result.isCorrect === true,
+      correctAns: safeText(sentence.errorText)
+        ? `${safeText(sentence.errorText)} → ${safeText(sentence.correction)}`
+        : sentence.correction,
+      note: sentence.explanation ? `Explanation: ${safeText(sentence.explanation)}` : null,
+    });
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// DICTATION (FROM TEXT)
+// ─────────────────────────────────────────────────────────────────────────────
+function renderDictation(doc, activity, results) {
+  const L = doc.page.margins.left;
+  const W = pageW(doc);
+  const sentences = Array.isArray(activity.data && activity.data.sentences)
+    ? activity.data.sentences
+    : [];
+
+  renderActivityIntro(doc, activity, "Dictation");
+
+  for (let si = 0; si < sentences.length; si++) {
+    const sentence = sentences[si] || {};
+    const result = results[safeText(sentence.id)] || {};
+    ensureSpace(doc, 50);
+    doc
+      .font("Helvetica-Bold")
+      .fontSize(10.5)
+      .fillColor(STYLE.colors.neutral)
+      .text(`${si + 1}.`, L, doc.y, { width: W });
+    doc.moveDown(0.3);
+    renderWrittenAnswer(doc, {
+      studentAns: result.studentAnswer,
+      isCorrect: result.isCorrect === true,
+      correctAns: sentence.text,
+    });
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// LETTER GRIDS — word search and crossword, printed blank and as an answer key
+// ─────────────────────────────────────────────────────────────────────────────
+const GRID_DIRECTION_STEPS = {
+  across: [0, 1],
+  down: [1, 0],
+  diagonalDown: [1, 1],
+  diagonalUp: [-1, 1],
+  backward: [0, -1],
+  up: [-1, 0],
+  diagonalDownBackward: [1, -1],
+  diagonalUpBackward: [-1, -1],
+};
+
+function gridCellKeys(entry) {
+  const [dr, dc] = GRID_DIRECTION_STEPS[entry && entry.direction] || [0, 0];
+  const length = safeNumber(entry && entry.length, 0);
+  const row = safeNumber(entry && entry.row, 0);
+  const col = safeNumber(entry && entry.col, 0);
+  return Array.from({ length }, (_, i) => `${row + dr * i},${col + dc * i}`);
+}
+
+/**
+ * Draws a square-celled grid. `cells` is an array of row arrays; a null cell
+ * is blocked (filled dark). `numbers` maps "row,col" to a clue number and
+ * `highlight` holds "row,col" keys to shade.
+ */
+function renderLetterGrid(doc, cells, { numbers = null, highlight = null, caption = "" } = {}) {
+  const rows = cells.length;
+  const cols = rows ? Math.max(...cells.map((r) => r.length)) : 0;
+  if (!rows || !cols) return;
+  const L = doc.page.margins.left;
+  const W = pageW(doc);
+  const size = Math.min(22, Math.floor(W / cols));
+  const gridW = size * cols;
+  const x0 = L + Math.max(0, Math.floor((W - gridW) / 2));
+
+  ensureSpace(doc, size * rows + (caption ? 24 : 8));
+  if (caption) {
+    doc
+      .font("Helvetica-Bold")
+      .fontSize(10)
+      .fillColor(STYLE.colors.neutral)
+      .text(caption, L, doc.y, { width: W });
+    doc.moveDown(0.3);
+  }
+  const y0 = doc.y;
+
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      const value = cells[r][c];
+      const x = x0 + c * size;
+      const y = y0 + r * size;
+      const key = `${r},${c}`;
+      doc.save();
+      if (value === null || value === undefined) {
+        doc.rect(x, y, size, size).fillAndStroke(STYLE.colors.neutral, STYLE.colors.neutral);
+      } else {
+        const fill = highlight && highlight.has(key) ? STYLE.colors.successBg : STYLE.colors.white;
+        doc.rect(x, y, size, size).fillAndStroke(fill, STYLE.colors.muted);
+      }
+      doc.restore();
+      if (numbers && numbers.has(key)) {
+        doc
+          .font("Helvetica")
+          .fontSize(5.5)
+          .fillColor(STYLE.colors.muted)
+          .text(String(numbers.get(key)), x + 1.5, y + 1, { width: size - 2, lineBreak: false });
+      }
+      if (value) {
+        doc
+          .font("Helvetica-Bold")
+          .fontSize(Math.max(7, size * 0.5))
+          .fillColor(highlight && highlight.has(key) ? STYLE.colors.success : STYLE.colors.neutral)
+          .text(value, x, y + size * 0.25, { width: size, align: "center", lineBreak: false });
+      }
+    }
+  }
+  doc.x = L;
+  doc.y = y0 + rows * size + 10;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// WORD SEARCH
+// ─────────────────────────────────────────────────────────────────────────────
+function renderWordSearch(doc, activity, results) {
+  const L = doc.page.margins.left;
+  const W = pageW(doc);
+  const data = activity.data || {};
+  const grid = (Array.isArray(data.grid) ? data.grid : []).map((row) => Array.from(safeText(row)));
+  const placements = Array.isArray(data.placements) ? data.placements : [];
+  if (grid.length === 0) return;
+
+  renderActivityIntro(doc, activity, "Word Search");
+  renderLetterGrid(doc, grid, { caption: "Puzzle" });
+
+  ensureSpace(doc, 40);
+  doc
+    .font("Helvetica-Bold")
+    .fontSize(10)
+    .fillColor(STYLE.colors.neutral)
+    .text("Words:", L, doc.y, { width: W });
+  doc.moveDown(0.2);
+  for (const placement of placements) {
+    const result = results[safeText(placement.id)];
+    const found = Boolean(result && result.isCorrect);
+    doc
+      .font(found ? "Helvetica-Bold" : "Helvetica")
+      .fontSize(10)
+      .fillColor(found ? STYLE.colors.success : result ? STYLE.colors.error : STYLE.colors.muted)
+      .text(
+        `${found ? "✓" : "✗"} ${safeText(placement.word)}${found ? "" : result ? " (wrong cells)" : " (not found)"}`,
+        L + 18,
+        doc.y,
+        { width: W - 18 },
+      );
+  }
+  doc.moveDown(0.8);
+
+  const highlight = new Set(placements.flatMap(gridCellKeys));
+  renderLetterGrid(doc, grid, { highlight, caption: "Answer Key" });
+  doc.moveDown(0.5);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CROSSWORD
+// ─────────────────────────────────────────────────────────────────────────────
+function renderCrossword(doc, activity, results) {
+  const L = doc.page.margins.left;
+  const W = pageW(doc);
+  const data = activity.data || {};
+  const solution = (Array.isArray(data.solution) ? data.solution : []).map((row) =>
+    Array.from(safeText(row)).map((ch) => (ch === "#" ? null : ch)),
+  );
+  const words = Array.isArray(data.words) ? data.words : [];
+  if (solution.length === 0) return;
+
+  renderActivityIntro(doc, activity, "Crossword Puzzle");
+  const numbers = new Map(words.map((w) => [`${safeNumber(w.row, 0)},${safeNumber(w.col, 0)}`, w.number]));
+  const blank = solution.map((row) => row.map((ch) => (ch === null ? null : "")));
+  renderLetterGrid(doc, blank, { numbers, caption: "Puzzle" });
+
+  for (const direction of ["across", "down"]) {
+    const entries = words.filter((w) => w.direction === direction);
+    if (entries.length === 0) continue;
+    ensureSpace(doc, 40);
+    doc
+      .font("Helvetica-Bold")
+      .fontSize(10.5)
+      .fillColor(STYLE.colors.neutral)
+      .text(direction === "across" ? "Across" : "Down", L, doc.y, { width: W });
+    doc.moveDown(0.3);
+    for (const entry of entries) {
+      const result = results[safeText(entry.id)] || {};
+      doc
+        .font("Helvetica")
+        .fontSize(10)
+        .fillColor(STYLE.colors.neutral)
+        .text(`${entry.number}. ${safeText(entry.clue)} (${safeNumber(entry.length, 0)})`, L, doc.y, { width: W });
+      doc.moveDown(0.2);
+      renderWrittenAnswer(doc, {
+        studentAns: result.studentAnswer,
+        isCorrect: result.isCorrect === true,
+        correctAns: entry.word,
+      });
+    }
+  }
+
+  renderLetterGrid(doc, solution, { numbers, caption: "Answer Key" });
+  doc.moveDown(0.5);
+}
+
+const EXTENDED_ACTIVITY_RENDERERS = {
+  clozePassage: renderClozePassage,
+  readingComprehension: renderReadingComprehension,
+  errorCorrection: renderErrorCorrection,
+  dictation: renderDictation,
+  wordSearch: renderWordSearch,
+  crossword: renderCrossword,
+};
+
 // ─────────────────────────────────────────────────────────────────────────────
 // STATS CARDS ROW
 // ─────────────────────────────────────────────────────────────────────────────
@@ -1851,7 +2324,18 @@ async function generateWorksheetSubmissionPdf(data, outputPath) {
   const studentName = safeText(data.studentName);
   const submittedAt = safeText(data.submittedAt);
   const wsTitle = safeText(ws.title) || "Worksheet";
-  const percentage = safeNumber(submission.percentage, 0);
+  const latePenalty =
+    data.latePenalty && typeof data.latePenalty === "object"
+      ? data.latePenalty
+      : null;
+  const rawPercentage = safeNumber(submission.percentage, 0);
+  // The late-penalized score is the headline figure; the raw score stays visible.
+  const percentage = latePenalty?.applied
+    ? safeNumber(latePenalty.penalizedScore, rawPercentage)
+    : rawPercentage;
+  const latePenaltyNote = describeLatePenalty(latePenalty);
+  const grading =
+    data.grading && typeof data.grading === "object" ? data.grading : null;
   const totalEarned = safeNumber(submission.totalPointsEarned, 0);
   const totalPossible = safeNumber(submission.totalPointsPossible, 0);
   const scoreStr =
@@ -1895,6 +2379,7 @@ async function generateWorksheetSubmissionPdf(data, outputPath) {
   const a4Map = {};
   const a5Map = {};
   const a6Map = {};
+  const extendedResults = {};
   for (const ans of Array.isArray(submission.answers)
     ? submission.answers
     : []) {
@@ -1907,7 +2392,18 @@ async function generateWorksheetSubmissionPdf(data, outputPath) {
     if (sectionId === "activity4") a4Map[questionId] = studentAnswer;
     if (sectionId === "activity5") a5Map[questionId] = studentAnswer;
     if (sectionId === "activity6") a6Map[questionId] = studentAnswer;
+    if (/^activity_\d+$/.test(sectionId)) {
+      if (!extendedResults[sectionId]) extendedResults[sectionId] = {};
+      extendedResults[sectionId][questionId] = {
+        studentAnswer,
+        isCorrect: ans.isCorrect === true,
+      };
+    }
   }
+  // Activity types graded per activity (sectionId activity_N) rather than legacy slots
+  const extendedActivities = (Array.isArray(ws.activities) ? ws.activities : [])
+    .map((activity, index) => ({ activity, sectionId: `activity_${index}` }))
+    .filter(({ activity }) => activity && EXTENDED_ACTIVITY_RENDERERS[activity.type]);
 
   await fs.promises.mkdir(path.dirname(outputPath), { recursive: true });
 
@@ -1921,6 +2417,8 @@ async function generateWorksheetSubmissionPdf(data, outputPath) {
       submittedAt,
       score: scoreStr,
       percentage,
+      scoreNote: latePenaltyNote ? `— ${latePenaltyNote}` : undefined,
+      grading,
       worksheetMeta: {
         subject: ws.subject,
         cefrLevel: ws.cefrLevel,
@@ -2111,14 +2609,24 @@ async function generateWorksheetSubmissionPdf(data, outputPath) {
         color: STYLE.colors.warning,
       },
       { label: "Time", value: formatTime(timeTaken), color: STYLE.colors.info },
-      {
-        label: "Result",
-        value: isPassed ? "Passed ✓" : "Not Passed",
-        color: isPassed ? STYLE.colors.success : STYLE.colors.error,
-      },
+      grading && grading.grade && grading.scale !== "score_0_100"
+        ? {
+            label: grading.scale === "pass_fail" ? "Result" : "Grade",
+            value: grading.grade,
+            color: grading.passed ? STYLE.colors.success : STYLE.colors.error,
+          }
+        : {
+            label: "Result",
+            value: isPassed ? "Passed ✓" : "Not Passed",
+            color: isPassed ? STYLE.colors.success : STYLE.colors.error,
+          },
       {
         label: "Submission",
-        value: isLate ? "Late" : "On Time",
+        value: !isLate
+          ? "On Time"
+          : latePenalty?.applied
+            ? `Late −${safeNumber(latePenalty.penaltyPoints, 0)}`
+            : "Late",
         color: isLate ? STYLE.colors.error : STYLE.colors.success,
       },
     ];
@@ -2165,6 +2673,12 @@ async function generateWorksheetSubmissionPdf(data, outputPath) {
       activity5: "Matching Pairs",
       activity6: "True / False",
     };
+    for (const { activity, sectionId } of extendedActivities) {
+      ACTIVITY_LABELS[sectionId] =
+        safeText(activity.title) ||
+        safeText(getActivityType(activity.type)?.label) ||
+        titleizeId(activity.type);
+    }
 
     // Calculate per-section performance
     const sectionStats = {};
@@ -2410,6 +2924,15 @@ async function generateWorksheetSubmissionPdf(data, outputPath) {
       renderTrueFalse(doc, a6, a6Map);
     }
 
+    // Cloze, reading comprehension, error correction, dictation and grid activities
+    for (const { activity, sectionId } of extendedActivities) {
+      EXTENDED_ACTIVITY_RENDERERS[activity.type](
+        doc,
+        activity,
+        extendedResults[sectionId] || {},
+      );
+    }
+
     // If no activities were included
     const hasActivities =
       (a1 && a1.items?.length > 0) ||
@@ -2417,7 +2940,8 @@ async function generateWorksheetSubmissionPdf(data, outputPath) {
       a3Questions.length > 0 ||
       a4Sentences.length > 0 ||
       (a5 && a5.pairs?.length > 0) ||
-      a6Questions.length > 0;
+      a6Questions.length > 0 ||
+      extendedActivities.length > 0;
     if (!hasActivities) {
       doc
         .font("Helvetica-Oblique")
@@ -2474,14 +2998,30 @@ async function generateWorksheetReportPdf(data, outputPath) {
   const totalAssigned = safeNumber(data.totalAssigned, total);
   const completionRate =
     totalAssigned > 0 ? Math.round((total / totalAssigned) * 100) : 0;
+  // Late penalties keyed by submission id; aggregates use the penalized score.
+  const latePenalties =
+    data.latePenalties instanceof Map ? data.latePenalties : new Map();
+  const grades = data.grades instanceof Map ? data.grades : new Map();
+  const finalPercentage = (sub) => {
+    const penalty = latePenalties.get(String(sub._id));
+    return penalty?.applied
+      ? safeNumber(penalty.penalizedScore, 0)
+      : safeNumber(sub.percentage, 0);
+  };
 
   // ── Aggregate stats ────────────────────────────────────────────────────────
-  const scores = submissions.map((s) => safeNumber(s.percentage, 0));
+  const scores = submissions.map(finalPercentage);
   const avgScore =
     total > 0 ? Math.round(scores.reduce((a, b) => a + b, 0) / total) : 0;
   const highScore = total > 0 ? Math.round(Math.max(...scores)) : 0;
   const lowScore = total > 0 ? Math.round(Math.min(...scores)) : 0;
-  const passCount = scores.filter((s) => s >= 70).length;
+  // Pass/fail classes count passes against their own pass mark.
+  const passCount = submissions.filter((sub) => {
+    const grading = grades.get(String(sub._id));
+    return grading?.scale === "pass_fail"
+      ? grading.passed === true
+      : finalPercentage(sub) >= 70;
+  }).length;
   const passRate = total > 0 ? Math.round((passCount / total) * 100) : 0;
   const lateCount = submissions.filter((s) => s.isLate).length;
   const avgTimeSec =
@@ -2626,7 +3166,12 @@ async function generateWorksheetReportPdf(data, outputPath) {
       raw && typeof raw === "object"
         ? safeText(raw.displayName || raw.email)
         : safeText(raw);
-    const overall = `${Math.round(safeNumber(sub.percentage, 0))}%`;
+    const penalty = latePenalties.get(String(sub._id));
+    const overall = `${
+      penalty?.applied
+        ? `${Math.round(finalPercentage(sub))}% (raw ${Math.round(safeNumber(sub.percentage, 0))}%)`
+        : `${Math.round(safeNumber(sub.percentage, 0))}%`
+    }${gradeSuffix(grades.get(String(sub._id)))}`;
     const perAct = {};
     (sub.answers || []).forEach((ans) => {
       const sid = safeText(ans.sectionId);
@@ -2642,7 +3187,13 @@ async function generateWorksheetReportPdf(data, outputPath) {
       perAct,
       time: formatTime(safeNumber(sub.timeTaken, 0)),
       date: sub.submittedAt ? formatDate(sub.submittedAt) : "",
-      status: sub.isLate ? "Late" : "On Time",
+      status: !sub.isLate
+        ? "On Time"
+        : penalty?.waived
+          ? "Late (waived)"
+          : penalty?.applied
+            ? `Late −${safeNumber(penalty.penaltyPoints, 0)}`
+            : "Late",
       attempts: sub.attempts || 1,
     };
   });
@@ -3274,13 +3825,26 @@ async function generateFlashcardReportPdf(data, outputPath) {
 
     if (participants.length > 0) {
       renderSectionTitle(doc, "Participant Results");
-      const rows = participants.map((p) => [
-        safeText(p.userName),
-        `${Math.round(safeNumber(p.score, 0))}%`,
-        formatTime(safeNumber(p.timeTaken, 0)),
-        p.submittedAt ? new Date(p.submittedAt).toLocaleDateString() : "",
-        safeText(p.status) || "completed",
-      ]);
+      const rows = participants.map((p) => {
+        const penaltyNote = describeLatePenalty(p.latePenalty);
+        const score = `${
+          p.latePenalty?.applied
+            ? `${Math.round(safeNumber(p.score, 0))}% (raw ${Math.round(safeNumber(p.rawScore, 0))}%)`
+            : `${Math.round(safeNumber(p.score, 0))}%`
+        }${gradeSuffix(p.grading)}`;
+        const status = safeText(p.status) || "completed";
+        return [
+          safeText(p.userName),
+          score,
+          formatTime(safeNumber(p.timeTaken, 0)),
+          p.submittedAt ? new Date(p.submittedAt).toLocaleDateString() : "",
+          p.latePenalty?.waived
+            ? `${status} · late (waived)`
+            : penaltyNote
+              ? `${status} · late −${safeNumber(p.latePenalty.penaltyPoints, 0)}`
+              : status,
+        ];
+      });
       renderParticipantTable(
         doc,
         ["Participant", "Score", "Time", "Date", "Status"],
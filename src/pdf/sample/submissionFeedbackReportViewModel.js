@@ -4,6 +4,8 @@ const {
   ASSESSMENT_VERSION: CURRENT_ASSESSMENT_VERSION,
   EVALUATION_VERSION: CURRENT_EVALUATION_VERSION
 } = require('../../services/rubricLanguageScoring.service');
+const { applyLatePenalty } = require('../../services/latePenalty.service');
+const { gradeForScore } = require('../../services/gradingScale.service');
 
 const CATEGORIES = ['CONTENT', 'GRAMMAR', 'ORGANIZATION', 'VOCABULARY', 'MECHANICS'];
 const COLORS = { CONTENT: '#e89b3c', GRAMMAR: '#39956b', ORGANIZATION: '#3b82a0', VOCABULARY: '#8958b8', MECHANICS: '#c59a15' };
@@ -150,8 +152,17 @@ function buildSubmissionFeedbackReportViewModel(input = {}) {
   const categoryScores = Object.entries(rubric).map(([category, item]) => { const maxScore = Math.max(0, Number(item?.maxScore || 0)); const score = clamp(Number(item?.score || 0), 0, maxScore); return { category, score, maxScore, percentage: maxScore ? Math.round(score / maxScore * 100) : 0, issueCount: CATEGORIES.includes(category) ? statistics[category.toLowerCase()] : null, feedback: String(item?.comment || '') }; });
   const rubricTotal = categoryScores.reduce((sum, item) => sum + item.score, 0); const maximumScore = categoryScores.reduce((sum, item) => sum + item.maxScore, 0) || 100;
   const persistedOverall = finite(evaluation.overallScore) ? Number(evaluation.overallScore) : null;
+  const reportedOverall = evaluationCurrent && categoryScores.length && persistedOverall !== null ? persistedOverall : null;
+  // Only resolved when the caller knows the class penalty; sample renders omit it.
+  const latePenalty = reportedOverall !== null && input.penaltyPercent != null
+    ? applyLatePenalty({ score: reportedOverall, maxScore: maximumScore, isLate: submission.isLate === true, waived: submission.latePenalty?.waived === true, penaltyPercent: input.penaltyPercent })
+    : null;
+  // With a class grading policy the grade follows the final score; otherwise the persisted grade is shown.
+  const classGrade = reportedOverall !== null && input.gradingPolicy
+    ? gradeForScore(latePenalty ? latePenalty.penalizedScore : reportedOverall, input.gradingPolicy)
+    : null;
   const completeLegend = legend; const activeLegendItems = completeLegend.filter((item) => corrections.some((c) => c.symbol === item.symbol)).map((item) => ({ ...item, count: corrections.filter((c) => c.symbol === item.symbol).length }));
-  return { report: { generatedAt: input.generatedAt || new Date().toISOString(), reportVersion: 'submission-feedback-2.0' }, submission: { ...(input.identity || {}), submissionId: id(submission._id) || 'submission', wordCount: String(submission.canonicalText || '').trim().split(/\s+/).filter(Boolean).length, uploadedPageCount: submittedPages.length }, result: { overallScore: evaluationCurrent && categoryScores.length && persistedOverall !== null ? persistedOverall : null, maximumScore, grade: evaluationCurrent ? evaluation.grade || null : null, evaluationStatus: evaluationCurrent ? evaluation.status || 'completed' : 'stale', correctionStatus: submission.correctionStatus, correctionSourceHash: submission.correctionSourceHash || null, evaluationSourceHash: evaluationCurrent ? evaluation.evaluationSourceHash || submission.correctionSourceHash : null, teacherAdjusted: teacherOverride }, statistics, categoryScores, submittedPages, detailedFeedback: detailedCurrent ? feedback.detailedFeedback || { areasForImprovement: [], strengths: [], actionSteps: [] } : { status: 'stale', areasForImprovement: [], strengths: [], actionSteps: [] }, teacherComments: feedbackText(feedback.teacherComments || input.teacherComments || ''), aiEvaluationFeedback: evaluationFeedbackItems(evaluation, evaluationCurrent), activeLegendItems, completeLegend, diagnostics: { persistedStatisticsMismatch: CATEGORIES.some((category) => Number(submission.correctionStatistics?.[category.toLowerCase()] || 0) !== statistics[category.toLowerCase()]), persistedScoreMismatch: persistedOverall !== null && Math.abs(persistedOverall - rubricTotal) > 0.001, rejectedCorrections: rawCorrections.length - corrections.length }, esc };
+  return { report: { generatedAt: input.generatedAt || new Date().toISOString(), reportVersion: 'submission-feedback-2.0' }, submission: { ...(input.identity || {}), submissionId: id(submission._id) || 'submission', wordCount: String(submission.canonicalText || '').trim().split(/\s+/).filter(Boolean).length, uploadedPageCount: submittedPages.length }, result: { overallScore: reportedOverall, maximumScore, latePenalty, grade: evaluationCurrent ? (classGrade ? classGrade.grade : evaluation.grade || null) : null, gradingScale: input.gradingPolicy?.scale || null, evaluationStatus: evaluationCurrent ? evaluation.status || 'completed' : 'stale', correctionStatus: submission.correctionStatus, correctionSourceHash: submission.correctionSourceHash || null, evaluationSourceHash: evaluationCurrent ? evaluation.evaluationSourceHash || submission.correctionSourceHash : null, teacherAdjusted: teacherOverride }, statistics, categoryScores, submittedPages, detailedFeedback: detailedCurrent ? feedback.detailedFeedback || { areasForImprovement: [], strengths: [], actionSteps: [] } : { status: 'stale', areasForImprovement: [], strengths: [], actionSteps: [] }, teacherComments: feedbackText(feedback.teacherComments || input.teacherComments || ''), aiEvaluationFeedback: evaluationFeedbackItems(evaluation, evaluationCurrent), activeLegendItems, completeLegend, diagnostics: { persistedStatisticsMismatch: CATEGORIES.some((category) => Number(submission.correctionStatistics?.[category.toLowerCase()] || 0) !== statistics[category.toLowerCase()]), persistedScoreMismatch: persistedOverall !== null && Math.abs(persistedOverall - rubricTotal) > 0.001, rejectedCorrections: rawCorrections.length - corrections.length }, esc };
 }
 
 module.exports = { CATEGORIES, COLORS, esc, normalizeBoxes, highlightedSegments, buildSubmissionFeedbackReportViewModel };
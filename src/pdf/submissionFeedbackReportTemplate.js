@@ -27,6 +27,7 @@ function correctionBody(correction) {
   return `<div class="correction-line"><b class="symbol" style="--symbol-color:${correction.color}">#${pad(correction.displayNumber)} &middot; ${esc(correction.symbol)}</b><span class="correction-change">${correction.quotedText ? `&quot;${esc(correction.quotedText)}&quot;` : 'Marked passage'} &rarr; &quot;${esc(correction.suggestedText || 'Review the marked passage.')}&quot;</span></div><div class="correction-explanation">${esc(explanation)}</div>`;
 }
 function correctionRows(page) { return page.corrections.map((correction) => `<tr data-correction-id="${esc(correction.reportId || correction.id || '')}"><td>${correctionBody(correction)}</td></tr>`).join(''); }
+function latePenaltyNote(penalty) { if (!penalty || !penalty.isLate) return ''; if (penalty.waived) return '<br>Late penalty waived'; if (!penalty.applied) return ''; return `<br>Raw score ${penalty.rawScore} - late penalty -${penalty.penaltyPoints} (${penalty.percent}%)`; }
 function scoreRows(vm) { return vm.categoryScores.map((item) => `<div class="score-row"><div><b>${esc(item.category)}</b><small>${item.issueCount == null ? 'Provisional' : `${item.issueCount} issues`}</small></div><div class="bar"><i style="width:${item.percentage}%"></i></div><strong>${item.score}/${item.maxScore}</strong></div>`).join(''); }
 function feedbackCard(item, type, correctionRefs) {
   const examples = list(item.examples).slice(0, 2).map((example) => {
@@ -62,7 +63,7 @@ function renderSubmissionFeedbackReportHtml(vm) {
   return `<!doctype html><html><head><meta charset="utf-8"><style>${compactCss}${evidenceCss}${feedbackCss}
 @page{size:A4;margin:18mm 14mm}*{box-sizing:border-box}html,body{margin:0}body{font:10pt/1.42 Arial,Helvetica,sans-serif;color:#1d2b3a;-webkit-print-color-adjust:exact;print-color-adjust:exact}h1{font-size:28pt;line-height:1.04;margin:7mm 0 3mm;color:#102d46}h2{font-size:20pt;margin:2mm 0;color:#123b56}h3{font-size:13pt;margin:6mm 0 2mm;color:#173e57;break-after:avoid}.eyebrow,.brand{color:#087f83;font-weight:800;letter-spacing:1.3px;font-size:8pt}.muted,small{color:#66788a}.cover{border-top:5px solid #087f83;padding-top:6mm;break-after:page}.identity{display:grid;grid-template-columns:1fr 1fr;gap:1mm 9mm;margin:5mm 0}.identity div{border-bottom:1px solid #dbe3e9;padding:1.5mm 0}.identity small{display:block;text-transform:uppercase;font-size:7pt}.results-summary{margin-top:4mm;break-before:auto;page-break-before:auto}.results-summary .summary,.results-summary .stats,.results-summary .status{break-inside:avoid;page-break-inside:avoid}.summary{display:grid;grid-template-columns:36mm 1fr;gap:7mm}.score-card{background:#102d46;color:white;border-radius:5mm;padding:6mm;text-align:center}.score-card b{display:block;font-size:26pt}.score-panel{border:1px solid #d8e2e8;border-radius:4mm;padding:3mm}.score-row{display:grid;grid-template-columns:38mm 1fr 18mm;align-items:center;gap:3mm;margin:1.5mm 0}.score-row small{display:block;font-size:7pt}.bar{height:3mm;background:#e8eef2;border-radius:2mm;overflow:hidden}.bar i{display:block;height:100%;background:#0b8b8f}.stats{display:grid;grid-template-columns:repeat(5,1fr);gap:2mm;margin:3mm 0}.stat{border:1px solid #d8e2e8;border-radius:3mm;text-align:center;padding:2mm 1mm}.stat b{display:block;font-size:15pt;color:#123b56}.stat span{text-transform:capitalize;font-size:8pt}.status{background:#eaf7f5;border-left:4px solid #087f83;padding:2.5mm 4mm;border-radius:2mm;margin-top:4mm}.feedback-section{margin-top:5mm}.image-stage{position:relative;margin:3mm auto;border:1px solid #cfd9df;background:#f4f7f8;break-inside:avoid;overflow:hidden}.full-image-stage{position:relative;margin:0 auto;border:1px solid #cfd9df;background:#f4f7f8;break-inside:avoid;overflow:visible}.image-stage img,.full-image-stage img{position:absolute;display:block;object-fit:contain;z-index:1}.underline{position:absolute;height:0;border-bottom:1.8px solid;z-index:5;pointer-events:none}.leader-layer{position:absolute;inset:0;z-index:4;overflow:visible;pointer-events:none}.leader-layer polyline,.leader-layer line{fill:none;stroke-width:.35;stroke-linecap:round;stroke-linejoin:round;opacity:.9}.leader-layer circle{stroke:#fff;stroke-width:.2}.marker{position:absolute;display:block;visibility:visible;opacity:1;z-index:6;border:1px solid;border-left-width:2px;border-radius:1.2mm;padding:0 .45mm;text-align:center;color:#20303e;background:color-mix(in srgb,var(--marker-color) 8%,white);font-weight:800;white-space:nowrap;box-shadow:none;pointer-events:none}.marker-index-grid{display:grid;grid-template-columns:repeat(3,1fr);gap:2mm}.marker-index-grid div{display:flex;gap:2mm;align-items:center;border:1px solid #dce4e9;border-left:3px solid;border-radius:1.5mm;padding:2mm;font-size:7.5pt}.marker-index-grid b{white-space:nowrap}.missing,.neutral{border:1px dashed #bdcbd3;background:#f8fafb;color:#637484;padding:5mm;border-radius:3mm}.evidence-detail{break-before:page}.callouts{display:grid;grid-template-columns:1fr 1fr;gap:3mm}.callout{border:1px solid #dce4e9;border-left:4px solid;border-radius:2mm;padding:3mm;break-inside:avoid}.callout header{display:flex;justify-content:space-between;gap:2mm}.callout p{margin:1mm 0;font-size:8.8pt}.transcription{font:11pt/1.75 Georgia,'Times New Roman',serif;border:1px solid #dce5ea;background:#fbfcfd;border-radius:3mm;padding:5mm;white-space:pre-wrap;overflow-wrap:anywhere;orphans:3;widows:3}.transcription mark{background:color-mix(in srgb,var(--category) 22%,white);border-bottom:2px solid var(--category);padding:0 1px}.transcription sup{font:700 6.5pt Arial;color:#173e57;margin-left:1mm}.feedback-grid{display:grid;grid-template-columns:1fr 1fr;gap:4mm}.feedback-card{border:1px solid #d8e2e8;border-radius:3mm;padding:4mm;break-inside:avoid}.actions li{margin:3mm 0;padding:3mm;background:#eef7f7;border-radius:2mm}.teacher{border-left:4px solid #e89b3c;background:#fff8ed;padding:4mm}.legend{display:grid;grid-template-columns:repeat(3,1fr);gap:2mm}.legend div{border:1px solid #dce4e9;border-left:3px solid #dce4e9;border-radius:2mm;padding:2mm;font-size:8pt;break-inside:avoid}.legend b{display:inline-block;min-width:10mm}.legend small{display:block}.method{margin-top:7mm;border-top:1px solid #d7e0e5;padding-top:3mm;font-size:8pt;color:#687887}
 .post-cover{font-size:8.5pt;line-height:1.3;break-before:page}.review-page{break-before:auto}.review-page+.review-page{margin-top:4mm;border-top:1px solid #cfdde3;padding-top:3mm}.review-page h2{font-size:13pt;margin:1mm 0 2mm;break-after:avoid}.review-page h3{font-size:10pt;margin:2mm 0 1mm;break-after:avoid}.review-grid{display:grid;grid-template-columns:1fr 1fr;gap:4mm;align-items:start}.review-grid .evidence>h3{display:none}.review-grid .image-stage{max-width:82mm!important;max-height:90mm;margin:0 auto!important}.review-grid .transcription{font-size:8.5pt!important;line-height:1.3!important;padding:2mm!important}.correction-heading{margin-top:2mm!important}.correction-table{width:100%;border-collapse:collapse;table-layout:fixed;font-size:8pt;line-height:1.2;break-inside:auto;page-break-inside:auto}.correction-table thead{display:table-header-group}.correction-table tbody{break-inside:auto;page-break-inside:auto}.correction-table th{background:#eaf3f5;color:#173e57;text-align:left;padding:1mm 1.5mm;border-bottom:1px solid #9fb7c3;font-size:7.5pt}.correction-table td{padding:.7mm 1.4mm;vertical-align:top;border-bottom:1px solid #dce5ea;overflow-wrap:anywhere}.correction-table tr{break-inside:avoid;page-break-inside:avoid}.correction-line{display:flex;align-items:baseline;gap:2mm;min-width:0}.correction-table .symbol{flex:0 0 auto;border-left:2px solid var(--symbol-color);padding-left:1.2mm;white-space:nowrap}.correction-change{min-width:0;overflow-wrap:anywhere}.correction-explanation{margin-top:.3mm;padding-left:1.2mm;color:#526575;font-size:7.5pt;line-height:1.14;overflow-wrap:anywhere}.compact-neutral{padding:2mm;margin:1mm 0}.feedback-section{break-before:auto;margin-top:3mm}.feedback-section h2{font-size:13pt;break-after:avoid}.feedback-section h3{font-size:10pt;margin:2mm 0 1mm;break-after:avoid}.feedback-grid{gap:2mm}.feedback-card{font-size:8pt;line-height:1.22;padding:2mm;break-inside:avoid}.feedback-card p{margin:.7mm 0}.teacher{padding:2mm}.overall-feedback{margin-top:3mm}.overall-feedback-text{white-space:pre-wrap;overflow-wrap:anywhere;orphans:3;widows:3}
-</style></head><body><main><section class="cover"><div class="brand">ROZNAHUB / COMARKER</div><h1>Submission<br>Feedback Report</h1><div class="identity"><div><small>Assignment</small>${esc(vm.submission.title || '')}</div><div><small>Class</small>${esc(vm.submission.className || '')}</div><div><small>Student</small>${esc(vm.submission.studentName || '')}</div><div><small>Teacher</small>${esc(vm.submission.teacherName || '')}</div><div><small>Student email</small>${esc(vm.submission.studentEmail || '')}</div><div><small>Submitted</small>${esc(vm.submission.submittedAt || '')}</div><div><small>Uploaded pages</small>${vm.submission.uploadedPageCount}</div><div><small>Word count</small>${vm.submission.wordCount}</div></div><div class="results-summary"><div class="eyebrow">RESULTS</div><h2>Scores and Correction Statistics</h2><div class="summary"><div class="score-card"><span>OVERALL RESULT</span><b>${vm.result.overallScore == null ? '-' : vm.result.overallScore}</b><span>/ ${vm.result.maximumScore}${vm.result.grade ? ` - Grade ${esc(vm.result.grade)}` : ''}${vm.result.teacherAdjusted ? '<br>Teacher adjusted' : ''}</span></div><div class="score-panel">${scoreRows(vm) || '<p class="neutral">Current evaluation is not available.</p>'}</div></div><h3>Correction statistics</h3><div class="stats">${stats}</div><div class="status"><b>Current data status:</b> ${esc(vm.result.correctionStatus || 'unknown')} corrections - ${vm.result.evaluationStatus === 'stale' ? 'current evaluation unavailable' : 'source-verified evaluation'}</div></div></section>${submittedDocument}
+</style></head><body><main><section class="cover"><div class="brand">ROZNAHUB / COMARKER</div><h1>Submission<br>Feedback Report</h1><div class="identity"><div><small>Assignment</small>${esc(vm.submission.title || '')}</div><div><small>Class</small>${esc(vm.submission.className || '')}</div><div><small>Student</small>${esc(vm.submission.studentName || '')}</div><div><small>Teacher</small>${esc(vm.submission.teacherName || '')}</div><div><small>Student email</small>${esc(vm.submission.studentEmail || '')}</div><div><small>Submitted</small>${esc(vm.submission.submittedAt || '')}</div><div><small>Uploaded pages</small>${vm.submission.uploadedPageCount}</div><div><small>Word count</small>${vm.submission.wordCount}</div></div><div class="results-summary"><div class="eyebrow">RESULTS</div><h2>Scores and Correction Statistics</h2><div class="summary"><div class="score-card"><span>OVERALL RESULT</span><b>${vm.result.overallScore == null ? '-' : vm.result.latePenalty?.applied ? vm.result.latePenalty.penalizedScore : vm.result.overallScore}</b><span>/ ${vm.result.maximumScore}${vm.result.grade ? (vm.result.gradingScale === 'pass_fail' ? ` - ${esc(vm.result.grade)}` : ` - Grade ${esc(vm.result.grade)}`) : ''}${latePenaltyNote(vm.result.latePenalty)}${vm.result.teacherAdjusted ? '<br>Teacher adjusted' : ''}</span></div><div class="score-panel">${scoreRows(vm) || '<p class="neutral">Current evaluation is not available.</p>'}</div></div><h3>Correction statistics</h3><div class="stats">${stats}</div><div class="status"><b>Current data status:</b> ${esc(vm.result.correctionStatus || 'unknown')} corrections - ${vm.result.evaluationStatus === 'stale' ? 'current evaluation unavailable' : 'source-verified evaluation'}</div></div></section>${submittedDocument}
 <section class="feedback-section${feedbackPageClass}"><div class="eyebrow">FEEDBACK</div><h2>Detailed Feedback</h2>${improvements.length ? `<h3>Areas for improvement</h3><div class="feedback-grid">${improvements.map((item) => feedbackCard(item, 'Improvement', correctionRefs)).join('')}</div>` : ''}${strengths.length ? `<h3>Strengths</h3><div class="feedback-grid">${strengths.map((item) => feedbackCard(item, 'Strength', correctionRefs)).join('')}</div>` : ''}${overall}</section></main><script>window.__REPORT_READY__=true;</script></body></html>`;
 }
 module.exports = { renderSubmissionFeedbackReportHtml };
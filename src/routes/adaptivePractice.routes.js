@@ -8,6 +8,7 @@ const { requireRole } = require('../middlewares/role.middleware');
 const { handleValidationResult } = require('../middlewares/validation.middleware');
 const { createSensitiveRateLimiter, createUserRateLimiter } = require('../middlewares/rateLimit.middleware');
 const { createUserConcurrencyGuard } = require('../middlewares/concurrency.middleware');
+const { requireAdaptiveLearning } = require('../middlewares/planFeature.middleware');
 
 const router = express.Router();
 const validateSubmission = [
@@ -31,6 +32,7 @@ router.post('/submissions/:submissionId/generate',
   ...validateSubmission,
   createUserRateLimiter({ event: 'AI_GENERATION_RATE_LIMITED', reason: 'adaptive_generation_user' }),
   createUserConcurrencyGuard({ operation: 'adaptive_generation', maxConcurrent: 2 }),
+  requireAdaptiveLearning(),
   controller.generateSession);
 // Answer checks are intentionally much more generous than generation because
 // MCQ/fill-blank checks are deterministic. Existing attempt/job identity still
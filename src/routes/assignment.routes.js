@@ -293,6 +293,70 @@ router.post(
   assignmentController.retryStaleEvaluations
 );
 
+// Teacher route — waive or restore the class late penalty for one student
+router.patch(
+  '/:id/students/:studentId/late-penalty',
+  verifyJwtToken,
+  requireRole('teacher'),
+  param('id').isMongoId().withMessage('Invalid assignment id'),
+  param('studentId').isMongoId().withMessage('Invalid student id'),
+  body('waived').isBoolean({ strict: true }).withMessage('waived must be a boolean'),
+  handleValidationResult,
+  assignmentController.setStudentLatePenaltyWaiver
+);
+
+/**
+ * @openapi
+ * /api/assignments/{id}/release-grades:
+ *   post:
+ *     tags:
+ *       - Assignments
+ *     summary: Release draft grades to students (Teacher)
+ *     description: |
+ *       Marks draft essay feedback and worksheet submissions as released and notifies each student.
+ *       Essays whose evaluation has not finished are skipped. Omit `studentIds` to release the whole assignment.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               studentIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Release summary (releasedCount, skippedCount, studentIds)
+ *       400:
+ *         description: Validation error or flashcard assignment
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Assignment not found
+ */
+router.post(
+  '/:id/release-grades',
+  verifyJwtToken,
+  requireRole('teacher'),
+  param('id').isMongoId().withMessage('Invalid assignment id'),
+  body('studentIds').optional().isArray().withMessage('studentIds must be an array'),
+  body('studentIds.*').optional().isMongoId().withMessage('Invalid student id'),
+  handleValidationResult,
+  assignmentController.releaseAssignmentGrades
+);
+
 // Student routes — submit flashcard assignment and check own submission
 router.post(
   '/:id/submit',
@@ -187,7 +187,7 @@ router.post('/sse-token', verifyJwtToken, createUserRateLimiter({
   event: 'SSE_RECONNECT_RATE_LIMITED',
   reason: 'sse_token_user'
 }), async (req, res) => {
-  const sseToken = issueSseToken(req.user._id);
+  const sseToken = await issueSseToken(req.user._id);
   return res.json({
     success: true,
     sseToken,
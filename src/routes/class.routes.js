@@ -53,6 +53,20 @@ const router = express.Router();
  *                 type: string
  *                 nullable: true
  *                 example: "Morning section"
+ *               lateSubmissionPenaltyPercent:
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 100
+ *                 description: Defaults to the teacher's classroom default
+ *               gradingScale:
+ *                 type: string
+ *                 enum: [score_0_100, grade_a_f, pass_fail]
+ *               gradeCutPoints:
+ *                 type: object
+ *                 description: Inclusive lower bounds for A, B, C, D and pass (0-100)
+ *               autoPublishGrades:
+ *                 type: boolean
+ *                 description: Release completed grades to students without teacher review
  *     responses:
  *       200:
  *         description: Class created
@@ -70,6 +84,10 @@ router.post(
   body('subjectLevel').optional({ nullable: true }).isString().trim().withMessage('subjectLevel must be a string'),
   body('startDate').optional({ nullable: true }).isISO8601().withMessage('startDate must be a valid date'),
   body('endDate').optional({ nullable: true }).isISO8601().withMessage('endDate must be a valid date'),
+  body('lateSubmissionPenaltyPercent').optional().isFloat({ min: 0, max: 100 }).withMessage('lateSubmissionPenaltyPercent must be a number between 0 and 100'),
+  body('gradingScale').optional().isIn(['score_0_100', 'grade_a_f', 'pass_fail']).withMessage('gradingScale must be score_0_100, grade_a_f or pass_fail'),
+  body('gradeCutPoints').optional({ nullable: true }).isObject().withMessage('gradeCutPoints must be an object'),
+  body('autoPublishGrades').optional().isBoolean({ strict: true }).withMessage('autoPublishGrades must be a boolean'),
   handleValidationResult,
   enforceUsageLimit('classes', 1),
   classController.createClass
@@ -155,6 +173,19 @@ router.get(
  *               description:
  *                 type: string
  *                 nullable: true
+ *               lateSubmissionPenaltyPercent:
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 100
+ *               gradingScale:
+ *                 type: string
+ *                 enum: [score_0_100, grade_a_f, pass_fail]
+ *               gradeCutPoints:
+ *                 type: object
+ *                 description: Inclusive lower bounds for A, B, C, D and pass (0-100)
+ *               autoPublishGrades:
+ *                 type: boolean
+ *                 description: Release completed grades to students without teacher review
  *     responses:
  *       200:
  *         description: Updated class
@@ -177,6 +208,10 @@ router.put(
   body('subjectLevel').optional({ nullable: true }).isString().trim().withMessage('subjectLevel must be a string'),
   body('startDate').optional({ nullable: true }).isISO8601().withMessage('startDate must be a valid date'),
   body('endDate').optional({ nullable: true }).isISO8601().withMessage('endDate must be a valid date'),
+  body('lateSubmissionPenaltyPercent').optional().isFloat({ min: 0, max: 100 }).withMessage('lateSubmissionPenaltyPercent must be a number between 0 and 100'),
+  body('gradingScale').optional().isIn(['score_0_100', 'grade_a_f', 'pass_fail']).withMessage('gradingScale must be score_0_100, grade_a_f or pass_fail'),
+  body('gradeCutPoints').optional({ nullable: true }).isObject().withMessage('gradeCutPoints must be an object'),
+  body('autoPublishGrades').optional().isBoolean({ strict: true }).withMessage('autoPublishGrades must be a boolean'),
   handleValidationResult,
   classController.updateClass
 );
@@ -277,4 +312,151 @@ router.get(
   classController.joinByCode
 );
 
+/**
+ * @openapi
+ * /api/classes/invitations/{token}:
+ *   get:
+ *     tags:
+ *       - Classes
+ *     summary: Preview an emailed class invitation (Public)
+ *     description: Returns the class, teacher, masked invitee email and invitation status for the accept page.
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation preview
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Invitation or class not found
+ */
+router.get(
+  '/invitations/:token',
+  param('token').isHexadecimal().isLength({ min: 64, max: 64 }).withMessage('Invalid invitation token'),
+  handleValidationResult,
+  classController.previewInvitation
+);
+
+/**
+ * @openapi
+ * /api/classes/invitations/{token}/accept:
+ *   post:
+ *     tags:
+ *       - Classes
+ *     summary: Accept an emailed class invitation (Student)
+ *     description: Joins the class when the signed-in account's email matches the invited email, and notifies the teacher.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Membership for the invited class
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invitation sent to a different email, or the teacher's student limit is reached
+ *       404:
+ *         description: Invitation or class not found
+ *       409:
+ *         description: Invitation already accepted
+ *       410:
+ *         description: Invitation expired or revoked
+ */
+router.post(
+  '/invitations/:token/accept',
+  verifyJwtToken,
+  requireRole('student'),
+  param('token').isHexadecimal().isLength({ min: 64, max: 64 }).withMessage('Invalid invitation token'),
+  handleValidationResult,
+  classController.acceptInvitation
+);
+
+/**
+ * @openapi
+ * /api/classes/{classId}/invitations/{invitationId}/resend:
+ *   post:
+ *     tags:
+ *       - Classes
+ *     summary: Resend a class invitation (Teacher)
+ *     description: Issues a new token and expiry and emails the invitation again. Links from earlier emails stop working.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: classId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Refreshed invitation
+ *       404:
+ *         description: Class or invitation not found
+ *       409:
+ *         description: Invitation already accepted
+ *       502:
+ *         description: Invitation email could not be sent
+ */
+router.post(
+  '/:classId/invitations/:invitationId/resend',
+  verifyJwtToken,
+  requireRole('teacher'),
+  param('classId').isMongoId().withMessage('Invalid class id'),
+  param('invitationId').isMongoId().withMessage('Invalid invitation id'),
+  handleValidationResult,
+  classController.resendInvitation
+);
+
+/**
+ * @openapi
+ * /api/classes/{classId}/invitations/{invitationId}:
+ *   delete:
+ *     tags:
+ *       - Classes
+ *     summary: Revoke a class invitation (Teacher)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: classId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Revoked invitation
+ *       404:
+ *         description: Class or invitation not found
+ *       409:
+ *         description: Invitation already accepted
+ */
+router.delete(
+  '/:classId/invitations/:invitationId',
+  verifyJwtToken,
+  requireRole('teacher'),
+  param('classId').isMongoId().withMessage('Invalid class id'),
+  param('invitationId').isMongoId().withMessage('Invalid invitation id'),
+  handleValidationResult,
+  classController.revokeInvitation
+);
+
 module.exports = router;
@@ -1,17 +1,25 @@
 const express = require('express');
+const multer = require('multer');
 
 const flashcardController = require('../controllers/flashcard.controller');
 const flashcardReportController = require('../controllers/flashcardReport.controller');
 const flashcardProgressController = require('../controllers/flashcardProgress.controller');
+const folderController = require('../controllers/folder.controller');
 const { verifyJwtToken } = require('../middlewares/jwtAuth.middleware');
 const { requireRole } = require('../middlewares/role.middleware');
 const { upload, setUploadType, handleUploadError, validateUploadedFileSignature } = require('../middlewares/upload.middleware');
 const { createSensitiveRateLimiter, createUserRateLimiter } = require('../middlewares/rateLimit.middleware');
 const { createUserConcurrencyGuard } = require('../middlewares/concurrency.middleware');
 const { reserveAiFlashcardUsage } = require('../middlewares/usage.middleware');
+const { requireAnalyticsAccess } = require('../middlewares/planFeature.middleware');
 
 const router = express.Router();
 
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 25 * 1024 * 1024, files: 1 }
+});
+
 router.post('/generate',
   createSensitiveRateLimiter({ event: 'AI_GENERATION_RATE_LIMITED', reason: 'flashcard_ip' }),
   verifyJwtToken,
@@ -39,16 +47,41 @@ router.post(
   flashcardController.uploadFlashcardImage
 );
 
+router.post('/import',
+  createSensitiveRateLimiter({ event: 'UPLOAD_RATE_LIMITED', reason: 'flashcard_import_ip' }),
+  verifyJwtToken,
+  requireRole('teacher'),
+  createUserRateLimiter({ windowMs: 15 * 60 * 1000, limit: 20, event: 'UPLOAD_RATE_LIMITED', reason: 'flashcard_import_user' }),
+  importUpload.single('file'),
+  handleUploadError,
+  flashcardController.importSet);
+
 router.get('/',  verifyJwtToken, requireRole('teacher'), flashcardController.getAllSets);
 router.post('/', verifyJwtToken, requireRole('teacher'), flashcardController.createSet);
 
+/** Library folders (flashcard sets, worksheets and worksheet documents) — before /:id */
+router.get('/folders', verifyJwtToken, requireRole('teacher'), folderController.listFolders);
+router.post('/folders', verifyJwtToken, requireRole('teacher'), folderController.createFolder);
+router.post('/folders/move', verifyJwtToken, requireRole('teacher'), folderController.moveItems);
+router.patch('/folders/:folderId', verifyJwtToken, requireRole('teacher'), folderController.updateFolder);
+router.delete('/folders/:folderId', verifyJwtToken, requireRole('teacher'), folderController.deleteFolder);
+router.post('/folders/:folderId/share', verifyJwtToken, requireRole('teacher'), folderController.shareFolder);
+router.delete('/folders/:folderId/share', verifyJwtToken, requireRole('teacher'), folderController.revokeFolderShare);
+
 router.get('/:id', verifyJwtToken, flashcardController.getSetById);
 router.put('/:id', verifyJwtToken, requireRole('teacher'), flashcardController.updateSet);
 router.delete('/:id', verifyJwtToken, requireRole('teacher'), flashcardController.deleteSet);
 
 router.post('/:id/submissions', verifyJwtToken, flashcardController.submitStudySession);
-router.get('/:id/report', verifyJwtToken, requireRole('teacher'), flashcardReportController.getReport);
+router.get('/:id/modes/:mode', verifyJwtToken, flashcardController.generateStudyMode);
+router.post('/:id/modes/:mode/results',
+  verifyJwtToken,
+  createUserRateLimiter({ windowMs: 60 * 1000, limit: 20, event: 'AI_GENERATION_RATE_LIMITED', reason: 'flashcard_mode_results_user' }),
+  createUserConcurrencyGuard({ operation: 'flashcard_answer_check', maxConcurrent: 2 }),
+  flashcardController.submitStudyModeResult);
+router.get('/:id/report', verifyJwtToken, requireRole('teacher'), requireAnalyticsAccess(), flashcardReportController.getReport);
 router.post('/:id/assign', verifyJwtToken, requireRole('teacher'), flashcardController.assignSet);
+router.get('/:id/export', verifyJwtToken, requireRole('teacher'), flashcardController.exportSet);
 
 /** PART 2 — share link management (teacher only) */
 router.post('/:id/share',  verifyJwtToken, requireRole('teacher'), flashcardController.shareFlashcardSet);
@@ -58,5 +91,7 @@ router.delete('/:id/share', verifyJwtToken, requireRole('teacher'), flashcardCon
 router.patch('/:id/progress', verifyJwtToken, requireRole('student'), flashcardProgressController.saveProgress);
 router.get('/:id/progress', verifyJwtToken, requireRole('student'), flashcardProgressController.getProgress);
 router.delete('/:id/progress', verifyJwtToken, requireRole('student'), flashcardProgressController.resetProgress);
+router.get('/:id/progress/due', verifyJwtToken, requireRole('student'), flashcardProgressController.getDueCards);
+router.post('/:id/progress/reviews', verifyJwtToken, requireRole('student'), flashcardProgressController.recordReviews);
 
 module.exports = router;
@@ -0,0 +1,26 @@
+/**
+ * library.routes.js — public flashcard/worksheet library
+ * GET  /api/library/search              — no auth
+ * GET  /api/library/:type/:id           — no auth (type: flashcards | worksheets)
+ * POST /api/library/:type/:id/clone     — teacher
+ */
+const express = require('express');
+
+const libraryController = require('../controllers/library.controller');
+const { verifyJwtToken } = require('../middlewares/jwtAuth.middleware');
+const { requireRole } = require('../middlewares/role.middleware');
+const { createSensitiveRateLimiter, createUserRateLimiter } = require('../middlewares/rateLimit.middleware');
+
+const router = express.Router();
+
+const publicLimiter = createSensitiveRateLimiter({ windowMs: 60 * 1000, limit: 120, event: 'LIBRARY_RATE_LIMITED', reason: 'library_ip' });
+
+router.get('/search', publicLimiter, libraryController.searchLibrary);
+router.get('/:type/:id', publicLimiter, libraryController.getLibraryItem);
+router.post('/:type/:id/clone',
+  verifyJwtToken,
+  requireRole('teacher'),
+  createUserRateLimiter({ windowMs: 60 * 1000, limit: 30, event: 'LIBRARY_RATE_LIMITED', reason: 'library_clone_user' }),
+  libraryController.cloneLibraryItem);
+
+module.exports = router;
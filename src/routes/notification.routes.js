@@ -9,6 +9,11 @@ router.get('/unread-count', verifyJwtToken, notificationController.getUnreadCoun
 router.get('/', verifyJwtToken, notificationController.listMyNotifications);
 router.patch('/:id/read', verifyJwtToken, notificationController.markRead);
 router.patch('/read-all', verifyJwtToken, notificationController.markAllRead);
+router.post('/archive', verifyJwtToken, notificationController.archiveNotifications);
+// Per-type delivery channel: in_app, email (immediate), digest (daily email) or off
+router.get('/preferences', verifyJwtToken, notificationController.getMyPreferences);
+router.put('/preferences', verifyJwtToken, notificationController.updateMyPreferences);
+router.delete('/:id', verifyJwtToken, notificationController.deleteNotification);
 
 // SSE stream (EventSource cannot send Authorization header in most browsers)
 router.get('/stream', notificationController.streamMyNotifications);
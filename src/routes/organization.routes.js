@@ -0,0 +1,281 @@
+const express = require('express');
+
+const organizationController = require('../controllers/organization.controller');
+const { verifyJwtToken } = require('../middlewares/jwtAuth.middleware');
+const { requireRole } = require('../middlewares/role.middleware');
+const { createUserRateLimiter } = require('../middlewares/rateLimit.middleware');
+
+const { body, param } = require('express-validator');
+const { handleValidationResult } = require('../middlewares/validation.middleware');
+
+const router = express.Router();
+
+const invitationLimiter = createUserRateLimiter({
+  windowMs: 15 * 60 * 1000,
+  limit: 30,
+  event: 'EMAIL_OPERATION_RATE_LIMITED',
+  reason: 'organization_invitation_user'
+});
+const organizationId = param('organizationId').isMongoId().withMessage('Invalid organizationId');
+const memberId = param('memberId').isMongoId().withMessage('Invalid memberId');
+
+/**
+ * @openapi
+ * tags:
+ *   - name: Organizations
+ *     description: School accounts that own a plan with teacher seats
+ */
+
+/**
+ * @openapi
+ * /api/organizations:
+ *   post:
+ *     tags:
+ *       - Organizations
+ *     summary: Create an organization (Admin)
+ *     description: The teacher registered as `adminEmail` becomes its first organization admin.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - seats
+ *               - adminEmail
+ *             properties:
+ *               name:
+ *                 type: string
+ *               planId:
+ *                 type: string
+ *               planSlug:
+ *                 type: string
+ *               seats:
+ *                 type: integer
+ *               adminEmail:
+ *                 type: string
+ *               currentPeriodEnd:
+ *                 type: string
+ *                 format: date-time
+ *               stripeCustomerId:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Organization created
+ *       404:
+ *         description: Plan or admin teacher not found
+ *       409:
+ *         description: The admin already belongs to an organization
+ */
+router.post(
+  '/',
+  verifyJwtToken,
+  requireRole('admin'),
+  body('name').isString().trim().notEmpty().withMessage('name is required'),
+  body('planId').optional().isMongoId(),
+  body('planSlug').optional().isString().trim().notEmpty(),
+  body().custom((value) => Boolean(value && (value.planId || value.planSlug))).withMessage('planId or planSlug is required'),
+  body('seats').isInt({ min: 1 }).toInt(),
+  body('adminEmail').isEmail().withMessage('adminEmail must be an email'),
+  body('currentPeriodStart').optional().isISO8601().toDate(),
+  body('currentPeriodEnd').optional().isISO8601().toDate(),
+  body('stripeCustomerId').optional().isString().trim().notEmpty(),
+  handleValidationResult,
+  organizationController.createOrganization
+);
+
+/**
+ * @openapi
+ * /api/organizations/mine:
+ *   get:
+ *     tags:
+ *       - Organizations
+ *     summary: My organization and seat (Teacher)
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Organization and membership, or null
+ */
+router.get('/mine', verifyJwtToken, requireRole('teacher'), organizationController.getMyOrganization);
+
+/**
+ * @openapi
+ * /api/organizations/invitations/{token}/accept:
+ *   post:
+ *     tags:
+ *       - Organizations
+ *     summary: Accept an organization invitation (Teacher)
+ *     description: The account email must match the invitation. A seat is assigned when one is free.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Joined; `seatAssigned` says whether a seat was taken
+ *       403:
+ *         description: Invitation was sent to a different email
+ *       409:
+ *         description: Already in an organization or already accepted
+ *       410:
+ *         description: Invitation expired or revoked
+ */
+router.post(
+  '/invitations/:token/accept',
+  verifyJwtToken,
+  requireRole('teacher'),
+  param('token').isHexadecimal().isLength({ min: 64, max: 64 }).withMessage('Invalid token'),
+  handleValidationResult,
+  organizationController.acceptInvitation
+);
+
+/**
+ * @openapi
+ * /api/organizations/{organizationId}:
+ *   get:
+ *     tags:
+ *       - Organizations
+ *     summary: Organization, members and pending invitations (Organization admin)
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Organization overview
+ *       403:
+ *         description: Not an organization admin
+ *   patch:
+ *     tags:
+ *       - Organizations
+ *     summary: Change plan, seats, period or status (Admin)
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Organization updated
+ *       409:
+ *         description: Fewer seats than are assigned
+ */
+router.get('/:organizationId', verifyJwtToken, requireRole(['teacher', 'admin']), organizationId, handleValidationResult,
+  organizationController.getOrganization);
+router.patch(
+  '/:organizationId',
+  verifyJwtToken,
+  requireRole('admin'),
+  organizationId,
+  body('name').optional().isString().trim().notEmpty(),
+  body('planId').optional().isMongoId(),
+  body('planSlug').optional().isString().trim().notEmpty(),
+  body('seats').optional().isInt({ min: 0 }).toInt(),
+  body('subscriptionStatus').optional().isIn(['active', 'trialing', 'past_due', 'unpaid', 'canceled', 'paused']),
+  body('currentPeriodStart').optional().isISO8601().toDate(),
+  body('currentPeriodEnd').optional().isISO8601().toDate(),
+  body('stripeCustomerId').optional().isString().trim().notEmpty(),
+  body('isActive').optional().isBoolean().toBoolean(),
+  handleValidationResult,
+  organizationController.updateOrganization
+);
+
+/**
+ * @openapi
+ * /api/organizations/{organizationId}/usage:
+ *   get:
+ *     tags:
+ *       - Organizations
+ *     summary: School-level usage across seat holders (Organization admin)
+ *     description: Per-teacher usage for their current billing period, with organization totals and per-seat plan limits.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Usage report
+ */
+router.get('/:organizationId/usage', verifyJwtToken, requireRole(['teacher', 'admin']), organizationId, handleValidationResult,
+  organizationController.getOrganizationUsage);
+
+/**
+ * @openapi
+ * /api/organizations/{organizationId}/invitations:
+ *   post:
+ *     tags:
+ *       - Organizations
+ *     summary: Invite a teacher by email (Organization admin)
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 enum: [teacher, admin]
+ *               assignSeat:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       201:
+ *         description: Invitation sent
+ */
+router.post(
+  '/:organizationId/invitations',
+  verifyJwtToken,
+  requireRole(['teacher', 'admin']),
+  invitationLimiter,
+  organizationId,
+  body('email').isEmail().withMessage('email must be an email'),
+  body('role').optional().isIn(['teacher', 'admin']),
+  body('assignSeat').optional().isBoolean().toBoolean(),
+  handleValidationResult,
+  organizationController.inviteTeacher
+);
+
+router.post(
+  '/:organizationId/invitations/:invitationId/revoke',
+  verifyJwtToken,
+  requireRole(['teacher', 'admin']),
+  organizationId,
+  param('invitationId').isMongoId().withMessage('Invalid invitationId'),
+  handleValidationResult,
+  organizationController.revokeInvitation
+);
+
+/**
+ * @openapi
+ * /api/organizations/{organizationId}/members/{memberId}/seat:
+ *   post:
+ *     tags:
+ *       - Organizations
+ *     summary: Assign a seat to a member (Organization admin)
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Seat assigned
+ *       409:
+ *         description: No seats available or the member already has one
+ *   delete:
+ *     tags:
+ *       - Organizations
+ *     summary: Release a member's seat (Organization admin)
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Seat released
+ */
+router.post('/:organizationId/members/:memberId/seat', verifyJwtToken, requireRole(['teacher', 'admin']),
+  organizationId, memberId, handleValidationResult, organizationController.assignSeat);
+router.delete('/:organizationId/members/:memberId/seat', verifyJwtToken, requireRole(['teacher', 'admin']),
+  organizationId, memberId, handleValidationResult, organizationController.releaseSeat);
+router.delete('/:organizationId/members/:memberId', verifyJwtToken, requireRole(['teacher', 'admin']),
+  organizationId, memberId, handleValidationResult, organizationController.removeMember);
+
+module.exports = router;
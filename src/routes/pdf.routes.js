@@ -4,6 +4,7 @@ const pdfController = require('../controllers/pdf.controller');
 const { verifyJwtToken } = require('../middlewares/jwtAuth.middleware');
 const { requireRole } = require('../middlewares/role.middleware');
 const { createSensitiveRateLimiter } = require('../middlewares/rateLimit.middleware');
+const { requireAnalyticsAccess } = require('../middlewares/planFeature.middleware');
 
 const { param } = require('express-validator');
 const { handleValidationResult } = require('../middlewares/validation.middleware');
@@ -35,6 +36,7 @@ router.get(
   createSensitiveRateLimiter(),
   verifyJwtToken,
   requireRole(['teacher']),
+  requireAnalyticsAccess(),
   param('worksheetId').isMongoId().withMessage('Invalid worksheet id'),
   handleValidationResult,
   pdfController.downloadWorksheetReportPdf
@@ -45,6 +47,7 @@ router.get(
   createSensitiveRateLimiter(),
   verifyJwtToken,
   requireRole(['teacher']),
+  requireAnalyticsAccess(),
   param('setId').isMongoId().withMessage('Invalid flashcard set id'),
   handleValidationResult,
   pdfController.downloadFlashcardReportPdf
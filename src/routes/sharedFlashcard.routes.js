@@ -2,14 +2,25 @@
  * sharedFlashcard.routes.js — PART 2 public share endpoints
  * GET  /api/shared/flashcards/:shareToken         — no auth
  * POST /api/shared/flashcards/:shareToken/submit  — auth required (any logged-in user)
+ * GET  /api/shared/folders/:shareToken            — no auth
+ * GET  /api/shared/worksheets/:shareToken         — no auth (answer key stripped)
+ * POST /api/shared/worksheets/:shareToken/attempts — no auth (guest attempt, graded server-side)
  */
 const express = require('express');
 const { getSharedSet, submitSharedSession } = require('../controllers/sharedFlashcard.controller');
+const { getSharedFolder } = require('../controllers/folder.controller');
+const { getSharedWorksheet, submitGuestAttempt } = require('../controllers/sharedWorksheet.controller');
 const { verifyJwtToken } = require('../middlewares/jwtAuth.middleware');
+const { createSensitiveRateLimiter } = require('../middlewares/rateLimit.middleware');
 
 const router = express.Router();
 
 router.get('/flashcards/:shareToken', getSharedSet);
 router.post('/flashcards/:shareToken/submit', verifyJwtToken, submitSharedSession);
+router.get('/folders/:shareToken', getSharedFolder);
+router.get('/worksheets/:shareToken', getSharedWorksheet);
+router.post('/worksheets/:shareToken/attempts',
+  createSensitiveRateLimiter({ windowMs: 60 * 1000, limit: 20, event: 'SHARED_WORKSHEET_RATE_LIMITED', reason: 'shared_worksheet_ip' }),
+  submitGuestAttempt);
 
 module.exports = router;
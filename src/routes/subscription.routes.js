@@ -4,7 +4,7 @@ const subscriptionController = require('../controllers/subscription.controller')
 const { verifyJwtToken } = require('../middlewares/jwtAuth.middleware');
 const { requireRole } = require('../middlewares/role.middleware');
 
-const { body } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const { handleValidationResult } = require('../middlewares/validation.middleware');
 const { createUserRateLimiter } = require('../middlewares/rateLimit.middleware');
 
@@ -59,6 +59,185 @@ router.post(
   subscriptionController.createCustomerPortal
 );
 
+const planChangeLimiter = createUserRateLimiter({ windowMs: 5 * 60 * 1000, limit: 10, event: 'BILLING_RATE_LIMITED', reason: 'plan_change_user' });
+const rejectClientPricing = [
+  body('priceId').not().exists().withMessage('priceId is not accepted'),
+  body('amount').not().exists().withMessage('amount is not accepted')
+];
+
+/**
+ * @openapi
+ * /api/subscription/change/preview:
+ *   post:
+ *     tags:
+ *       - Subscription
+ *     summary: Preview the proration for switching to another paid plan
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - planSlug
+ *             properties:
+ *               planSlug:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Amounts due now and the prorationDate to confirm with
+ *       409:
+ *         description: No active subscription, or already on that plan
+ */
+router.post(
+  '/change/preview',
+  verifyJwtToken,
+  requireRole('teacher'),
+  planChangeLimiter,
+  body('planSlug').isString().trim().notEmpty(),
+  ...rejectClientPricing,
+  handleValidationResult,
+  subscriptionController.previewSubscriptionChange
+);
+
+/**
+ * @openapi
+ * /api/subscription/change:
+ *   post:
+ *     tags:
+ *       - Subscription
+ *     summary: Switch the active subscription to another paid plan
+ *     description: Upgrades are invoiced immediately and applied once paid; downgrades apply now with a credit on the next invoice.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - planSlug
+ *             properties:
+ *               planSlug:
+ *                 type: string
+ *               prorationDate:
+ *                 type: integer
+ *                 description: The value returned by the preview
+ *     responses:
+ *       200:
+ *         description: Plan changed, or pending payment of the upgrade invoice
+ */
+router.post(
+  '/change',
+  verifyJwtToken,
+  requireRole('teacher'),
+  planChangeLimiter,
+  body('planSlug').isString().trim().notEmpty(),
+  body('prorationDate').optional().isInt({ min: 1 }).toInt(),
+  ...rejectClientPricing,
+  handleValidationResult,
+  subscriptionController.changeSubscriptionPlan
+);
+
+/**
+ * @openapi
+ * /api/subscription/cancel:
+ *   post:
+ *     tags:
+ *       - Subscription
+ *     summary: Cancel the subscription at the end of the current period
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Cancellation scheduled
+ *       409:
+ *         description: No active subscription, or already canceling
+ */
+router.post('/cancel', verifyJwtToken, requireRole('teacher'), planChangeLimiter, subscriptionController.cancelSubscription);
+
+/**
+ * @openapi
+ * /api/subscription/resume:
+ *   post:
+ *     tags:
+ *       - Subscription
+ *     summary: Undo a scheduled cancellation
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Subscription renews again
+ *       409:
+ *         description: No active subscription, or it is not canceling
+ */
+router.post('/resume', verifyJwtToken, requireRole('teacher'), planChangeLimiter, subscriptionController.resumeCanceledSubscription);
+
+/**
+ * @openapi
+ * /api/subscription/invoices:
+ *   get:
+ *     tags:
+ *       - Subscription
+ *     summary: Billing history (Teacher)
+ *     description: Invoices and payment attempts recorded from Stripe webhooks, newest first. Amounts are in major units.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invoices and the cursor of the next page
+ */
+router.get(
+  '/invoices',
+  verifyJwtToken,
+  requireRole('teacher'),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('cursor').optional().isString(),
+  handleValidationResult,
+  subscriptionController.listMyInvoices
+);
+
+/**
+ * @openapi
+ * /api/subscription/invoices/{invoiceId}/receipt:
+ *   get:
+ *     tags:
+ *       - Subscription
+ *     summary: Download a receipt PDF for a paid invoice (Teacher)
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Receipt PDF
+ *         content:
+ *           application/pdf: {}
+ *       404:
+ *         description: Invoice not found
+ *       409:
+ *         description: Invoice is not paid
+ */
+router.get(
+  '/invoices/:invoiceId/receipt',
+  verifyJwtToken,
+  requireRole('teacher'),
+  param('invoiceId').isMongoId().withMessage('Invalid invoiceId'),
+  handleValidationResult,
+  subscriptionController.downloadInvoiceReceipt
+);
+
 /**
  * @openapi
  * /api/subscription/set:
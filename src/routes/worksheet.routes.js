@@ -1,11 +1,14 @@
 const express = require("express");
 const worksheetController = require("../controllers/worksheet.controller");
+const sharedWorksheetController = require("../controllers/sharedWorksheet.controller");
+const worksheetRevisionController = require("../controllers/worksheetRevision.controller");
 const { verifyJwtToken } = require("../middlewares/jwtAuth.middleware");
 const { requireRole } = require("../middlewares/role.middleware");
 const multer = require("multer");
 const { createSensitiveRateLimiter, createUserRateLimiter } = require("../middlewares/rateLimit.middleware");
 const { createUserConcurrencyGuard } = require("../middlewares/concurrency.middleware");
 const { reserveAiWorksheetUsage } = require("../middlewares/usage.middleware");
+const { requireAnalyticsAccess } = require("../middlewares/planFeature.middleware");
 
 // Configure multer for in-memory file storage
 const upload = multer({
@@ -121,6 +124,7 @@ router.get(
   "/:id/report",
   verifyJwtToken,
   requireRole("teacher"),
+  requireAnalyticsAccess(),
   worksheetController.getWorksheetReport,
 );
 
@@ -207,6 +211,33 @@ router.delete(
   requireRole("teacher"),
   worksheetController.revokeShareWorksheet,
 );
+router.get(
+  "/:id/guest-attempts",
+  verifyJwtToken,
+  requireRole("teacher"),
+  requireAnalyticsAccess(),
+  sharedWorksheetController.getGuestAttemptSummary,
+);
+
+/* ── Revisions and regrading (teacher only) ──────────────────── */
+router.get(
+  "/:id/revisions",
+  verifyJwtToken,
+  requireRole("teacher"),
+  worksheetRevisionController.listRevisions,
+);
+router.get(
+  "/:id/revisions/:revision",
+  verifyJwtToken,
+  requireRole("teacher"),
+  worksheetRevisionController.getRevision,
+);
+router.post(
+  "/:id/revisions/:revision/regrade",
+  verifyJwtToken,
+  requireRole("teacher"),
+  worksheetRevisionController.regradeSubmissions,
+);
 
 /* ── Single worksheet CRUD (teacher or enrolled student for GET) */
 router.get("/:id", verifyJwtToken, worksheetController.getWorksheetById);
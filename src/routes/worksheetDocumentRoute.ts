@@ -3,6 +3,7 @@
 // Mounted at /api/worksheet-documents — separate from the legacy /api/worksheets.
 
 import { Router, Request, Response } from "express";
+import mongoose from "mongoose";
 import { v4 as uuidv4 } from "uuid";
 import { WorksheetDocumentModel } from "../models/WorksheetDocument";
 
@@ -41,13 +42,20 @@ router.get("/", async (req: Request, res: Response) => {
 
     const filter: Record<string, unknown> = { createdBy: teacherId(req) };
     if (subject) filter["meta.subject"] = subject;
+    // Library folder shared with flashcard sets and worksheets; "root" = unfiled.
+    if (typeof req.query.folderId === "string" && req.query.folderId) {
+      const folderId = req.query.folderId;
+      if (folderId === "root") filter.folderId = null;
+      else if (mongoose.isValidObjectId(folderId)) filter.folderId = folderId;
+      else return res.status(400).json({ error: "INVALID_FOLDER_ID", message: "Invalid folder id." });
+    }
 
     const pageNum = Math.max(1, parseInt(page, 10) || 1);
     const limitNum = Math.max(1, Math.min(50, parseInt(limit, 10) || 20));
 
     const [worksheets, total] = await Promise.all([
       WorksheetDocumentModel.find(filter)
-        .select("_id meta.title meta.subject meta.topic meta.gradeLevel meta.difficulty design.colorScheme createdAt source")
+        .select("_id meta.title meta.subject meta.topic meta.gradeLevel meta.difficulty design.colorScheme folderId createdAt source")
         .sort({ createdAt: -1 })
         .skip((pageNum - 1) * limitNum)
         .limit(limitNum)
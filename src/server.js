@@ -5,15 +5,20 @@ const { validateAIConfig } = require("./services/aiGeneration.service");
 const pdfBrowserManager = require("./services/pdfBrowserManager.service");
 const { runtimeContractFingerprint } = require("./services/runtimeContractFingerprint.service");
 const { sanitizedAssessmentChain } = require("./services/aiGateway.service");
+const { analysisQueueMode } = require("./services/analysisJobs.service");
+const { startAnalysisWorker } = require("./services/analysisWorker.service");
+const { startNotificationDigestScheduler } = require("./services/notificationDigest.service");
 
 
 const app = require("./app");
 
 let server;
+let analysisWorker;
 
 async function shutdown(reason) {
   logger.warn(`Shutting down (${reason})`);
   await pdfBrowserManager.closeBrowser();
+  if (analysisWorker) await analysisWorker.stop().catch(() => {});
   if (server) {
     server.close(() => {
       logger.info("HTTP server closed");
@@ -85,6 +90,17 @@ async function start() {
     logger.info("Groq API key configured: true");
   }
 
+  // Persistent analysis jobs are drained in-process unless a dedicated worker
+  // (`npm run worker`) owns the queue and ANALYSIS_WORKER_ENABLED=false here.
+  if (analysisQueueMode() === "persistent" && process.env.ANALYSIS_WORKER_ENABLED !== "false") {
+    analysisWorker = startAnalysisWorker();
+  }
+
+  // Digest recipients are claimed atomically, so every instance may run this.
+  if (process.env.NOTIFICATION_DIGEST_ENABLED !== "false") {
+    startNotificationDigestScheduler();
+  }
+
   const port = process.env.PORT || env.PORT || 5000;
   // Production traffic must enter through the single trusted Nginx hop. Keep
   // development reachable on the LAN unless HOST is explicitly configured.
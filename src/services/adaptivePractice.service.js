@@ -10,7 +10,7 @@ const { getNormalizedSubmissionTranscript, normalizeOcrTranscript } = require('.
 const generationAI = require('./adaptivePracticeGenerationAI.service');
 const { DEFINITIONS } = require('./writingCategoryDefinitions.service');
 const logger = require('../utils/logger');
-const { showMarksToStudent, sanitizeAdaptiveSession } = require('./assignmentAccessPolicy.service');
+const { marksReleasedToStudent, sanitizeAdaptiveSession } = require('./assignmentAccessPolicy.service');
 const { buildAdaptiveEvidenceCandidates } = require('../utils/adaptivePracticeEvidenceCandidates');
 const {
   allowedQuestionTypes,
@@ -140,7 +140,7 @@ async function loadOwnedSource(submissionId, studentId) {
   });
   const assignment = await Assignment.findById(submission.assignment).select('title instructions showMarksToStudent').lean();
   return { submission, feedback, transcript, transcriptFingerprint, sourceFingerprint, assessedSkills, weakSkills, assignment,
-    marksVisible: showMarksToStudent(assignment) };
+    marksVisible: marksReleasedToStudent(assignment, feedback) };
 }
 
 function serializeAdaptiveSkills(skills) {
@@ -407,6 +407,10 @@ async function generateSession(submissionId, studentId, options = {}) {
       candidateCount: 0 });
     throw new AdaptivePracticeError(400, 'EVIDENCE_CANDIDATES_NOT_AVAILABLE', 'A usable transcript excerpt is required to generate practice.');
   }
+  // Plan allowance is only spent on a generation that actually starts; the
+  // returned release hands it back if this request loses the claim or fails.
+  const release = options.reserveGeneration ? await options.reserveGeneration() : null;
+  const releaseReservation = () => (release ? Promise.resolve().then(release).catch(() => null) : null);
   const targets = buildTargets(source.weakSkills);
   const messages = buildMessages({ ...source, transcript: canonicalTranscript }, evidenceCandidates, targets);
   const responseSchema = activitySchema(targets, evidenceCandidates);
@@ -431,10 +435,14 @@ async function generateSession(submissionId, studentId, options = {}) {
       { returnDocument: 'after', upsert: !session, setDefaultsOnInsert: true }
     );
   } catch (error) {
+    await releaseReservation();
     if (error?.code === 11000) return sessionResponse('generating', sanitizeAdaptiveSession(await AdaptivePracticeSession.findOne(key).lean(), source.marksVisible), source.assessedSkills);
     throw error;
   }
-  if (!session) return sessionResponse('generating', sanitizeAdaptiveSession(await AdaptivePracticeSession.findOne(key).lean(), source.marksVisible), source.assessedSkills);
+  if (!session) {
+    await releaseReservation();
+    return sessionResponse('generating', sanitizeAdaptiveSession(await AdaptivePracticeSession.findOne(key).lean(), source.marksVisible), source.assessedSkills);
+  }
 
   let providerAttemptCount = 0;
   let repairAttemptCount = 0;
@@ -538,6 +546,7 @@ async function generateSession(submissionId, studentId, options = {}) {
       attempts,
       persisted: false, totalMs: Date.now() - totalStarted };
     await session.save();
+    await releaseReservation();
     logger.metric({ event: 'adaptive_practice_generation_timing', feature: 'adaptive_practice_generation', outcome: 'failed', submissionId: String(source.submission._id), provider: session.generation.provider, model: session.generation.model, errorCode: session.generation.errorCode, ...session.generation.metrics });
     if (error instanceof AdaptivePracticeError) throw error;
     throw new AdaptivePracticeError(502, 'AI_GENERATION_FAILED', 'Adaptive practice could not be generated. Please try again.');
@@ -0,0 +1,251 @@
+'use strict';
+
+const Submission = require('../models/Submission');
+const Assignment = require('../models/assignment.model');
+const jobQueue = require('./jobQueue.service');
+const { runOcrAndPersistForFiles } = require('./ocrPipeline.service');
+const canonicalCorrectionsPipeline = require('./canonicalCorrectionsPipeline.service');
+const canonicalEvaluation = require('./canonicalEvaluation.service');
+const { autoGenerateRubricDesignerForSubmission } = require('./autoRubricDesigner.service');
+const { refundUsage, usageReference } = require('./usageLedger.service');
+const { aiJobPriorityForTeacher } = require('./planEntitlement.service');
+const { createProgressReporter } = require('./submissionProgress.service');
+const logger = require('../utils/logger');
+
+/**
+ * `persistent` stores analysis work in the analysis_jobs collection so a worker
+ * (in this process or `npm run worker`) survives restarts; `inline` runs it on
+ * setImmediate in the request process. Tests default to inline.
+ */
+function analysisQueueMode() {
+  const configured = String(process.env.ANALYSIS_QUEUE_MODE || '').trim().toLowerCase();
+  if (configured === 'inline' || configured === 'persistent') return configured;
+  return process.env.NODE_ENV === 'test' ? 'inline' : 'persistent';
+}
+
+/** The assignment fields the corrections and evaluation pipelines hash and prompt with. */
+function evaluationAssignmentContext(assignment) {
+  return assignment ? {
+    title: assignment.title || '', description: assignment.description || assignment.instructions || '',
+    rubric: assignment.rubric || null, rubrics: assignment.rubrics || null
+  } : {};
+}
+
+/**
+ * Publishes the run's stage transitions to the assignment's teacher. Reuses the
+ * assignment the caller already loaded; otherwise looks the teacher up once.
+ */
+async function progressReporterFor(submission, assignment = null) {
+  let teacherId = assignment?.teacher;
+  if (!assignment) {
+    const assignmentId = submission.assignment?._id || submission.assignment;
+    const loaded = assignmentId
+      ? await Assignment.findById(assignmentId).select('teacher').lean().catch(() => null)
+      : null;
+    teacherId = loaded?.teacher;
+  }
+  return createProgressReporter({ submission, teacherId });
+}
+
+/** Whether any step of the submission's analysis produced a result. */
+function hasSuccessfulAnalysis(submission) {
+  return ['completed', 'partial'].includes(submission.evaluationStatus)
+    || ['completed', 'partial'].includes(submission.correctionStatus)
+    || submission.semanticStatus === 'completed';
+}
+
+/**
+ * Gives the student back the essay analysis a submission was charged for once
+ * its analysis has failed for good: nothing succeeded and no other analysis
+ * job for it is still queued or running, so a retry that goes on to succeed
+ * keeps the charge. Safe to call for every failed job type: a charge is only
+ * ever refunded once.
+ */
+async function refundSubmissionUsage(submissionId, reason = 'analysis_failed') {
+  const submission = await Submission.findById(submissionId)
+    .select('student evaluationStatus correctionStatus semanticStatus').lean();
+  if (!submission?.student || hasSuccessfulAnalysis(submission)) return null;
+  if (await jobQueue.hasActiveJob(submissionId)) return null;
+  return refundUsage({ userId: submission.student, metric: 'submissions',
+    reference: usageReference('submission', submissionId), reason });
+}
+
+function runInline(type, submissionId, task) {
+  setImmediate(() => {
+    Promise.resolve()
+      .then(task)
+      .then((result) => logger.info({ message: 'Analysis job finished', type,
+        submissionId: String(submissionId), status: result?.status || 'completed' }))
+      .catch((error) => {
+        logger.error({ message: 'Analysis job failed', type,
+          submissionId: String(submissionId), error: error?.message || String(error) });
+        return refundSubmissionUsage(submissionId);
+      })
+      .catch(() => {});
+  });
+}
+
+/**
+ * Queue priority for a submission's analysis: an explicit `priority` wins
+ * (follow-up jobs inherit their parent's), otherwise it comes from the plan of
+ * the teacher who set the assignment.
+ */
+async function analysisPriority(submission, priority) {
+  if (typeof priority === 'number') return priority;
+  const assignmentId = submission?.assignment?._id || submission?.assignment;
+  const assignment = assignmentId ? await Assignment.findById(assignmentId).lean().catch(() => null) : null;
+  return aiJobPriorityForTeacher(assignment?.teacher).catch(() => 0);
+}
+
+function fileIdsFor(submission, fileIds) {
+  const ids = Array.isArray(fileIds) && fileIds.length ? fileIds : (submission.files || []);
+  return ids.filter(Boolean).map((id) => String(id?._id || id));
+}
+
+async function enqueueCorrections(submission, { force = false, priority = 0 } = {}) {
+  return jobQueue.enqueueJob({
+    type: 'corrections',
+    submissionId: submission._id,
+    key: `corrections:${submission._id}:${submission.ocrJobId || 'none'}${force ? `:${Date.now()}` : ''}`,
+    payload: { ocrJobId: submission.ocrJobId ? String(submission.ocrJobId) : null, force },
+    priority
+  });
+}
+
+/** OCR for freshly uploaded files, followed by corrections, evaluation and the rubric designer. */
+async function dispatchOcr({ submission, fileIds, priority }) {
+  const ids = fileIdsFor(submission, fileIds);
+  if (!ids.length) return null;
+  if (analysisQueueMode() === 'inline') {
+    runInline('ocr', submission._id, async () => {
+      const onProgress = await progressReporterFor(submission);
+      const result = await runOcrAndPersistForFiles({ fileIds: ids, targetDoc: submission, jobId: submission.ocrJobId,
+        onProgress });
+      autoGenerateRubricDesignerForSubmission({ submissionId: submission._id, expectedOcrJobId: submission.ocrJobId })
+        .catch(() => {});
+      return { status: result?.ocrStatus };
+    });
+    return null;
+  }
+  return jobQueue.enqueueJob({
+    type: 'ocr',
+    submissionId: submission._id,
+    key: `ocr:${submission._id}:${submission.ocrJobId}`,
+    payload: { ocrJobId: String(submission.ocrJobId), fileIds: ids },
+    priority: await analysisPriority(submission, priority)
+  });
+}
+
+/** Canonical corrections (which go on to evaluate) for a submission whose OCR is done. */
+async function dispatchCorrections({ submission, assignment, force = false, priority }) {
+  if (analysisQueueMode() === 'inline') {
+    runInline('corrections', submission._id, async () => canonicalCorrectionsPipeline.generateAndPersist(submission,
+      { force, assignment: evaluationAssignmentContext(assignment),
+        onProgress: await progressReporterFor(submission, assignment) }));
+    return null;
+  }
+  return enqueueCorrections(submission, { force, priority: await analysisPriority(submission, priority) });
+}
+
+/**
+ * Evaluation for a submission already locked with `evaluationJobId = jobId`.
+ * `fullAssignment` passes the whole assignment document (bulk stale
+ * re-evaluation) instead of the prompt context.
+ */
+async function dispatchEvaluation({ submission, jobId, assignment, fullAssignment = false, priority }) {
+  if (analysisQueueMode() === 'inline') {
+    runInline('evaluation', submission._id, async () => canonicalEvaluation.generate({ submission, prelockedJobId: jobId,
+      assignment: fullAssignment ? assignment : evaluationAssignmentContext(assignment),
+      onProgress: await progressReporterFor(submission, assignment) }));
+    return null;
+  }
+  return jobQueue.enqueueJob({
+    type: 'evaluation',
+    submissionId: submission._id,
+    key: `evaluation:${submission._id}:${jobId}`,
+    payload: { evaluationJobId: jobId, fullAssignment },
+    priority: await analysisPriority(submission, priority)
+  });
+}
+
+async function handleOcrJob(job) {
+  const submission = await Submission.findById(job.submissionId);
+  if (!submission || String(submission.ocrJobId) !== String(job.payload?.ocrJobId)) return { status: 'superseded' };
+  const result = await runOcrAndPersistForFiles({ fileIds: job.payload.fileIds, targetDoc: submission,
+    jobId: submission.ocrJobId, runCorrections: false, onProgress: await progressReporterFor(submission) });
+  if (result?.ocrStatus === 'completed') {
+    await enqueueCorrections(submission, { priority: job.priority || 0 });
+    await autoGenerateRubricDesignerForSubmission({ submissionId: submission._id,
+      expectedOcrJobId: submission.ocrJobId }).catch(() => {});
+  }
+  return { status: result?.ocrStatus || 'superseded' };
+}
+
+async function handleCorrectionsJob(job) {
+  const submission = await Submission.findById(job.submissionId);
+  const ocrJobId = job.payload?.ocrJobId;
+  if (!submission || (ocrJobId && String(submission.ocrJobId) !== String(ocrJobId))) return { status: 'superseded' };
+
+  if (job.attempts > 1 && ['processing', 'retry_wait'].includes(submission.semanticStatus)) {
+    // A previous attempt died mid-analysis. Wait out its scheduled semantic
+    // retry, then release the stale lock so the pipeline can take it again.
+    const nextRetryAt = submission.semanticNextRetryAt ? new Date(submission.semanticNextRetryAt) : null;
+    if (submission.semanticStatus === 'retry_wait' && nextRetryAt && nextRetryAt > new Date()) {
+      return { deferUntil: nextRetryAt };
+    }
+    await Submission.updateOne({ _id: submission._id, ocrJobId: submission.ocrJobId,
+      semanticStatus: submission.semanticStatus }, { $set: { semanticStatus: 'pending', semanticNextRetryAt: null } });
+    submission.semanticStatus = 'pending';
+  }
+
+  const assignmentDoc = submission.assignment
+    ? await Assignment.findById(submission.assignment).lean().catch(() => null)
+    : null;
+  try {
+    const result = await canonicalCorrectionsPipeline.generateAndPersist(submission, {
+      force: job.payload?.force === true, assignment: evaluationAssignmentContext(assignmentDoc),
+      onProgress: await progressReporterFor(submission, assignmentDoc)
+    });
+    return { status: result?.reused ? 'reused' : 'completed' };
+  } catch (error) {
+    const latest = await Submission.findById(submission._id).select('semanticNextRetryAt').lean().catch(() => null);
+    if (latest?.semanticNextRetryAt) error.retryAt = new Date(latest.semanticNextRetryAt);
+    throw error;
+  }
+}
+
+async function handleEvaluationJob(job) {
+  const jobId = job.payload?.evaluationJobId;
+  const submission = await Submission.findById(job.submissionId);
+  if (!submission || submission.evaluationJobId !== jobId || submission.evaluationStatus !== 'processing') {
+    return { status: 'superseded' };
+  }
+  const assignmentDoc = submission.assignment ? await Assignment.findById(submission.assignment).lean() : null;
+  const result = await canonicalEvaluation.generate({ submission, prelockedJobId: jobId,
+    assignment: job.payload?.fullAssignment ? assignmentDoc : evaluationAssignmentContext(assignmentDoc),
+    onProgress: await progressReporterFor(submission, assignmentDoc) });
+  return { status: result?.status || 'superseded', errorCode: result?.errorCode || null };
+}
+
+const JOB_HANDLERS = {
+  ocr: handleOcrJob,
+  corrections: handleCorrectionsJob,
+  evaluation: handleEvaluationJob
+};
+
+/** Runs one leased job. Resolves with the job result, or `{ deferUntil }` to reschedule it. */
+async function runAnalysisJob(job) {
+  const handler = JOB_HANDLERS[job.type];
+  if (!handler) throw Object.assign(new Error(`Unknown analysis job type: ${job.type}`), { code: 'UNKNOWN_JOB_TYPE' });
+  return handler(job);
+}
+
+module.exports = {
+  analysisQueueMode,
+  evaluationAssignmentContext,
+  dispatchOcr,
+  dispatchCorrections,
+  dispatchEvaluation,
+  refundSubmissionUsage,
+  runAnalysisJob
+};
@@ -0,0 +1,124 @@
+'use strict';
+
+const os = require('os');
+const crypto = require('crypto');
+
+const jobQueue = require('./jobQueue.service');
+const { refundSubmissionUsage, runAnalysisJob } = require('./analysisJobs.service');
+const logger = require('../utils/logger');
+
+const DEFAULT_CONCURRENCY = 2;
+const DEFAULT_POLL_INTERVAL_MS = 2000;
+const DEFAULT_SWEEP_INTERVAL_MS = 30 * 1000;
+
+function positiveInt(value, fallback) {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+/**
+ * Leases one job, keeps the lease alive while the handler runs and records the
+ * outcome. A lost lease is only logged: the sweeper already requeued the job and
+ * the pipelines' own job ids discard the superseded write.
+ */
+async function processJob(job, { leaseMs }) {
+  const heartbeat = setInterval(() => {
+    jobQueue.heartbeatJob(job, { leaseMs })
+      .then((held) => {
+        if (!held) logger.warn({ message: 'Analysis job lease lost', jobId: String(job._id), type: job.type });
+      })
+      .catch(() => {});
+  }, Math.max(1000, Math.floor(leaseMs / 3)));
+  heartbeat.unref?.();
+
+  try {
+    const outcome = await runAnalysisJob(job);
+    if (outcome?.deferUntil) {
+      await jobQueue.deferJob(job, outcome.deferUntil);
+    } else {
+      await jobQueue.completeJob(job, outcome || null);
+    }
+  } catch (error) {
+    const failure = await jobQueue.failJob(job, error, { retryAt: error?.retryAt || null }).catch(() => null);
+    logger.warn({
+      message: failure?.retried ? 'Analysis job failed; retry scheduled' : 'Analysis job failed',
+      jobId: String(job._id),
+      type: job.type,
+      submissionId: String(job.submissionId),
+      attempts: job.attempts,
+      nextRunAt: failure?.runAt || null,
+      error: error?.message || String(error)
+    });
+    if (failure && !failure.retried && failure.updated) {
+      await refundSubmissionUsage(job.submissionId).catch((refundError) => logger.error({
+        message: 'Usage refund for failed analysis job failed', jobId: String(job._id),
+        error: refundError?.message || String(refundError)
+      }));
+    }
+  } finally {
+    clearInterval(heartbeat);
+  }
+}
+
+/**
+ * Starts polling the analysis queue with `concurrency` parallel slots plus the
+ * expired-lease sweeper. `stop()` resolves once in-flight jobs have settled.
+ */
+function startAnalysisWorker({
+  workerId = `${os.hostname()}:${process.pid}:${crypto.randomUUID().slice(0, 8)}`,
+  concurrency = positiveInt(process.env.ANALYSIS_WORKER_CONCURRENCY, DEFAULT_CONCURRENCY),
+  pollIntervalMs = DEFAULT_POLL_INTERVAL_MS,
+  leaseMs = positiveInt(process.env.ANALYSIS_JOB_LEASE_MS, jobQueue.DEFAULT_LEASE_MS),
+  sweepIntervalMs = DEFAULT_SWEEP_INTERVAL_MS,
+  types
+} = {}) {
+  let stopping = false;
+  const sleepers = new Set();
+
+  const idle = () => new Promise((resolve) => {
+    const wake = () => { clearTimeout(timer); sleepers.delete(wake); resolve(); };
+    const timer = setTimeout(wake, pollIntervalMs);
+    sleepers.add(wake);
+  });
+
+  async function runSlot() {
+    while (!stopping) {
+      let job = null;
+      try {
+        job = await jobQueue.leaseNextJob({ workerId, types, leaseMs });
+      } catch (error) {
+        logger.error({ message: 'Analysis queue poll failed', workerId, error: error?.message || String(error) });
+      }
+      if (job) await processJob(job, { leaseMs });
+      else if (!stopping) await idle();
+    }
+  }
+
+  const sweep = () => jobQueue.requeueExpiredLeases()
+    .then(({ requeued, failed }) => {
+      if (requeued || failed) logger.warn({ message: 'Expired analysis job leases swept', requeued, failed });
+    })
+    .catch((error) => logger.error({ message: 'Analysis lease sweep failed', error: error?.message || String(error) }));
+  const sweeper = setInterval(sweep, sweepIntervalMs);
+  sweeper.unref?.();
+  sweep();
+
+  const slots = Array.from({ length: Math.max(1, concurrency) }, () => runSlot());
+  logger.info({ message: 'Analysis worker started', workerId, concurrency, leaseMs });
+
+  return {
+    workerId,
+    async stop() {
+      stopping = true;
+      clearInterval(sweeper);
+      for (const wake of [...sleepers]) wake();
+      await Promise.all(slots);
+      logger.info({ message: 'Analysis worker stopped', workerId });
+    }
+  };
+}
+
+module.exports = {
+  processJob,
+  startAnalysisWorker
+};
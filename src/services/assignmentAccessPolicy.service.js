@@ -11,15 +11,44 @@ const MARK_KEYS = new Set([
   'earnedPoints',
   'weightedPoints',
   'configuredLevelPercentage',
-  'selectedLevel'
+  'selectedLevel',
+  'rawScore',
+  'penaltyPoints',
+  'penalizedScore',
+  'grading'
+]);
+
+// Worksheet auto-grading results; only the worksheet payloads carry these as marks.
+const WORKSHEET_MARK_KEYS = new Set([
+  ...MARK_KEYS,
+  'totalPointsEarned',
+  'pointsEarned',
+  'isPassed',
+  'isCorrect',
+  'correctCount',
+  'incorrectCount',
+  'activity9Results',
+  'activity9Score'
 ]);
 
 function showMarksToStudent(assignment) {
   return !assignment || assignment.showMarksToStudent !== false;
 }
 
-function redactMarkFields(value) {
-  if (Array.isArray(value)) return value.map(redactMarkFields);
+/**
+ * Student mark visibility for one graded record (SubmissionFeedback or
+ * WorksheetSubmission). An explicit release state decides; records that
+ * predate the release workflow fall back to the assignment flag.
+ */
+function marksReleasedToStudent(assignment, record) {
+  const status = record && record.gradeRelease ? record.gradeRelease.status : undefined;
+  if (status === 'released') return true;
+  if (status === 'draft') return false;
+  return showMarksToStudent(assignment);
+}
+
+function redactMarkFields(value, markKeys = MARK_KEYS) {
+  if (Array.isArray(value)) return value.map((item) => redactMarkFields(item, markKeys));
   if (!value || typeof value !== 'object') return value;
 
   // Preserve ObjectIds, Dates, Buffers, and other serializable class values.
@@ -34,21 +63,26 @@ function redactMarkFields(value) {
 
   const redacted = {};
   for (const [key, nested] of Object.entries(value)) {
-    if (MARK_KEYS.has(key) || key === 'overriddenScores') continue;
-    redacted[key] = redactMarkFields(nested);
+    if (markKeys.has(key) || key === 'overriddenScores') continue;
+    redacted[key] = redactMarkFields(nested, markKeys);
   }
   return redacted;
 }
 
-function redactStudentMarks(payload) {
+function redactStudentMarks(payload, markKeys = MARK_KEYS) {
   const redacted = {
-    ...redactMarkFields(payload),
+    ...redactMarkFields(payload, markKeys),
     marksVisible: false
   };
   redacted.previousEvaluation = null;
   return redacted;
 }
 
+/** Worksheet variant that also strips per-answer correctness and point totals. */
+function redactWorksheetMarks(payload) {
+  return redactStudentMarks(payload, WORKSHEET_MARK_KEYS);
+}
+
 function sanitizeAdaptiveSession(session, marksVisible, revealedQuestionKeys = []) {
   if (!session) return session;
   const safe = session && typeof session.toObject === 'function' ? session.toObject() : { ...session };
@@ -87,6 +121,8 @@ function sanitizeAdaptiveSession(session, marksVisible, revealedQuestionKeys = [
 
 module.exports = {
   showMarksToStudent,
+  marksReleasedToStudent,
   redactStudentMarks,
+  redactWorksheetMarks,
   sanitizeAdaptiveSession
 };
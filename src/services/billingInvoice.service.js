@@ -0,0 +1,242 @@
+const mongoose = require('mongoose');
+
+const BillingInvoice = require('../models/BillingInvoice');
+const Organization = require('../models/Organization');
+const Plan = require('../models/Plan');
+const User = require('../models/user.model');
+const logger = require('../utils/logger');
+const { idOf } = require('./stripeSubscription.service');
+
+const { INVOICE_STATUSES } = BillingInvoice;
+
+const PAYMENT_OUTCOME_BY_EVENT = {
+  'invoice.paid': 'succeeded',
+  'invoice.payment_failed': 'failed',
+  'invoice.payment_action_required': 'action_required'
+};
+
+class BillingInvoiceError extends Error {
+  constructor(statusCode, code, message) {
+    super(message);
+    this.name = 'BillingInvoiceError';
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+function invoiceSubscriptionId(invoice) {
+  return idOf(invoice?.subscription) || idOf(invoice?.parent?.subscription_details?.subscription);
+}
+
+function dateFromUnix(value) {
+  return typeof value === 'number' ? new Date(value * 1000) : null;
+}
+
+function minorAmount(value) {
+  return typeof value === 'number' ? value : 0;
+}
+
+function fromMinorUnits(amount) {
+  return typeof amount === 'number' ? Number((amount / 100).toFixed(2)) : null;
+}
+
+function linePriceId(line) {
+  return idOf(line?.pricing?.price_details?.price) || idOf(line?.price);
+}
+
+function isProrationLine(line) {
+  return Boolean(line?.parent?.subscription_item_details?.proration ?? line?.proration ?? false);
+}
+
+function invoiceTax(invoice) {
+  if (typeof invoice.tax === 'number') return invoice.tax;
+  return (invoice.total_taxes || []).reduce((sum, tax) => sum + minorAmount(tax?.amount), 0);
+}
+
+function invoiceSnapshot(invoice, eventAt) {
+  const lines = (invoice.lines?.data || []).map((line) => ({
+    description: line.description || null,
+    amount: minorAmount(line.amount),
+    quantity: typeof line.quantity === 'number' ? line.quantity : null,
+    periodStart: dateFromUnix(line.period?.start),
+    periodEnd: dateFromUnix(line.period?.end),
+    proration: isProrationLine(line)
+  }));
+  // Subscription invoices bill the period on their lines; the invoice's own
+  // period_start/period_end describe the previous period.
+  const billed = lines.find((line) => !line.proration && line.periodStart) || lines.find((line) => line.periodStart);
+  return {
+    stripeCustomerId: idOf(invoice.customer),
+    stripeSubscriptionId: invoiceSubscriptionId(invoice),
+    number: invoice.number || null,
+    status: INVOICE_STATUSES.includes(invoice.status) ? invoice.status : 'open',
+    currency: invoice.currency || 'usd',
+    subtotal: minorAmount(invoice.subtotal),
+    tax: invoiceTax(invoice),
+    total: minorAmount(invoice.total),
+    amountPaid: minorAmount(invoice.amount_paid),
+    amountDue: minorAmount(invoice.amount_due),
+    customerEmail: invoice.customer_email || null,
+    customerName: invoice.customer_name || null,
+    periodStart: billed ? billed.periodStart : null,
+    periodEnd: billed ? billed.periodEnd : null,
+    issuedAt: dateFromUnix(invoice.created) || eventAt,
+    paidAt: dateFromUnix(invoice.status_transitions?.paid_at),
+    hostedInvoiceUrl: invoice.hosted_invoice_url || null,
+    lines
+  };
+}
+
+async function planNameFor(invoice) {
+  const lines = invoice.lines?.data || [];
+  const priceId = linePriceId(lines.find((line) => !isProrationLine(line)) || lines[0]);
+  if (!priceId) return null;
+  const plan = await Plan.findOne({ 'stripe.priceId': priceId }).select('name').lean();
+  return plan ? plan.name : null;
+}
+
+/** The teacher or organization billed under `customerId`. */
+async function findInvoiceOwner(customerId) {
+  const user = await User.findOne({ stripeCustomerId: customerId, role: 'teacher' }).select('_id').lean();
+  if (user) return { user: user._id, organization: null };
+  const organization = await Organization.findOne({ stripeCustomerId: customerId }).select('_id').lean();
+  return organization ? { user: null, organization: organization._id } : null;
+}
+
+/**
+ * Stores the invoice carried by an invoice.* webhook event and, for payment
+ * events, appends the payment attempt. The snapshot is only applied when the
+ * event is at least as recent as the stored one, so Stripe delivering events
+ * out of order cannot turn a paid invoice back into an open one.
+ */
+async function recordInvoiceEvent(event) {
+  const invoice = event?.data?.object;
+  const stripeInvoiceId = idOf(invoice);
+  const customerId = idOf(invoice?.customer);
+  if (!stripeInvoiceId || !customerId) return null;
+
+  const owner = await findInvoiceOwner(customerId);
+  if (!owner) {
+    logger.warn(`billing invoice without owner invoice=${stripeInvoiceId} customer=${customerId}`);
+    return null;
+  }
+
+  const eventAt = dateFromUnix(event.created) || new Date();
+  const snapshot = { ...invoiceSnapshot(invoice, eventAt), ...owner, planName: await planNameFor(invoice), stripeEventAt: eventAt };
+  const filter = { stripeInvoiceId, $or: [{ stripeEventAt: null }, { stripeEventAt: { $lte: eventAt } }] };
+  try {
+    await BillingInvoice.updateOne(filter, { $set: snapshot }, { upsert: true });
+  } catch (err) {
+    // An existing invoice with a newer snapshot fails the filter and the upsert
+    // collides with it; retrying without upsert settles a concurrent insert.
+    if (err?.code !== 11000) throw err;
+    await BillingInvoice.updateOne(filter, { $set: snapshot });
+  }
+
+  const outcome = PAYMENT_OUTCOME_BY_EVENT[event.type];
+  if (outcome) {
+    await BillingInvoice.updateOne(
+      { stripeInvoiceId, 'payments.stripeEventId': { $ne: event.id } },
+      { $push: { payments: {
+        stripeEventId: event.id,
+        outcome,
+        amount: outcome === 'succeeded' ? minorAmount(invoice.amount_paid) : minorAmount(invoice.amount_due),
+        occurredAt: eventAt
+      } } }
+    );
+  }
+  return BillingInvoice.findOne({ stripeInvoiceId }).lean();
+}
+
+/** API shape of an invoice, with amounts in major units. */
+function serializeInvoice(invoice) {
+  return {
+    _id: invoice._id,
+    number: invoice.number,
+    status: invoice.status,
+    currency: invoice.currency,
+    subtotal: fromMinorUnits(invoice.subtotal),
+    tax: fromMinorUnits(invoice.tax),
+    total: fromMinorUnits(invoice.total),
+    amountPaid: fromMinorUnits(invoice.amountPaid),
+    amountDue: fromMinorUnits(invoice.amountDue),
+    planName: invoice.planName,
+    periodStart: invoice.periodStart,
+    periodEnd: invoice.periodEnd,
+    issuedAt: invoice.issuedAt,
+    paidAt: invoice.paidAt,
+    hostedInvoiceUrl: invoice.status === 'open' ? invoice.hostedInvoiceUrl : null,
+    receiptAvailable: invoice.status === 'paid',
+    lines: (invoice.lines || []).map((line) => ({
+      description: line.description,
+      amount: fromMinorUnits(line.amount),
+      quantity: line.quantity,
+      periodStart: line.periodStart,
+      periodEnd: line.periodEnd,
+      proration: line.proration
+    })),
+    payments: (invoice.payments || []).map((payment) => ({
+      outcome: payment.outcome,
+      amount: fromMinorUnits(payment.amount),
+      occurredAt: payment.occurredAt
+    }))
+  };
+}
+
+// Opaque keyset cursor over the { user, issuedAt } index: `<issuedAt ISO>|<_id>`.
+function encodeCursor(invoice) {
+  return Buffer.from(`${new Date(invoice.issuedAt).toISOString()}|${invoice._id}`).toString('base64url');
+}
+
+function decodeCursor(raw) {
+  const [timestamp, id] = Buffer.from(String(raw), 'base64url').toString('utf8').split('|');
+  const issuedAt = new Date(timestamp);
+  if (Number.isNaN(issuedAt.getTime()) || !mongoose.Types.ObjectId.isValid(id)) return null;
+  return { issuedAt, id };
+}
+
+/** The teacher's invoices, newest first. */
+async function listInvoices({ user, limit = 20, cursor = null }) {
+  const filter = { user: user._id };
+  if (cursor) {
+    const position = decodeCursor(cursor);
+    if (!position) throw new BillingInvoiceError(400, 'INVALID_CURSOR', 'Invalid cursor');
+    filter.$or = [
+      { issuedAt: { $lt: position.issuedAt } },
+      { issuedAt: position.issuedAt, _id: { $lt: position.id } }
+    ];
+  }
+  const items = await BillingInvoice.find(filter).sort({ issuedAt: -1, _id: -1 }).limit(limit + 1).lean();
+  const page = items.slice(0, limit);
+  return {
+    invoices: page.map(serializeInvoice),
+    nextCursor: items.length > limit ? encodeCursor(page[page.length - 1]) : null
+  };
+}
+
+/** A paid invoice of the teacher's, ready to render as a receipt. */
+async function getReceipt({ user, invoiceId }) {
+  if (!mongoose.Types.ObjectId.isValid(invoiceId)) throw new BillingInvoiceError(400, 'INVALID_ID', 'Invalid invoice id');
+  const invoice = await BillingInvoice.findOne({ _id: invoiceId, user: user._id }).lean();
+  if (!invoice) throw new BillingInvoiceError(404, 'INVOICE_NOT_FOUND', 'Invoice not found');
+  if (invoice.status !== 'paid') {
+    throw new BillingInvoiceError(409, 'INVOICE_NOT_PAID', 'A receipt is only available once the invoice is paid');
+  }
+  const payment = [...(invoice.payments || [])].reverse().find((attempt) => attempt.outcome === 'succeeded');
+  return {
+    ...serializeInvoice(invoice),
+    stripeInvoiceId: invoice.stripeInvoiceId,
+    customerName: invoice.customerName || user.displayName || null,
+    customerEmail: invoice.customerEmail || user.email || null,
+    paidAt: invoice.paidAt || (payment ? payment.occurredAt : null)
+  };
+}
+
+module.exports = {
+  BillingInvoiceError,
+  invoiceSubscriptionId,
+  recordInvoiceEvent,
+  serializeInvoice,
+  listInvoices,
+  getReceipt
+};
@@ -65,14 +65,16 @@ function holisticCoverageMismatchCategories(categoryScores = {}, statistics = {}
   }).map(([category]) => category);
 }
 
-async function generateAndPersist(doc, { assignment = {}, force = false } = {}) {
+async function generateAndPersist(doc, { assignment = {}, force = false, onProgress = () => {} } = {}) {
   const totalStartedAt = Date.now();
   const canonicalTranscript = buildCanonicalSubmissionTranscript(doc);
   if (!canonicalTranscript.isComplete) {
-    await doc.constructor.updateOne({ _id: doc._id, ocrJobId: doc.ocrJobId }, { $set: {
+    const incomplete = {
       correctionStatus: Array.isArray(doc.writingCorrections) && doc.writingCorrections.length ? 'partial' : 'processing',
       correctionError: 'OCR is incomplete for one or more uploaded files.'
-    }});
+    };
+    await doc.constructor.updateOne({ _id: doc._id, ocrJobId: doc.ocrJobId }, { $set: incomplete });
+    onProgress(incomplete);
     return;
   }
   const transcript = canonicalTranscript.text;
@@ -104,6 +106,8 @@ async function generateAndPersist(doc, { assignment = {}, force = false } = {})
     return { reused: true, duplicate: true, semanticSourceKey };
   }
   semanticMetrics.increment('semanticJobsStarted');
+  onProgress({ correctionStatus: 'processing', correctionError: null, semanticStatus: 'processing',
+    semanticAttempt: 0, semanticMaxAttempts, semanticErrorCode: null });
   await SubmissionFeedback.updateOne({ submissionId: doc._id, overriddenByTeacher: { $ne: true } },
     { $unset: { evaluationSourceHash: 1, evaluationRubricSourceHash: 1, evaluationPolicyHash: 1 } }).catch(() => {});
   let ai = []; let semanticError = null; let semanticReturnedCount = 0; let semanticRun = null; let failedSemanticAttempt = 0;
@@ -120,6 +124,7 @@ async function generateAndPersist(doc, { assignment = {}, force = false } = {})
         await doc.constructor.updateOne({ _id: doc._id, ocrJobId: doc.ocrJobId, correctionJobId: jobId }, { $set: {
           semanticStatus: 'processing', semanticAttempt: attempt, semanticMaxAttempts: maxAttempts, semanticNextRetryAt: null
         }});
+        onProgress({ semanticStatus: 'processing', semanticAttempt: attempt, semanticMaxAttempts: maxAttempts });
         logger.info({ message: 'AI-only correction analysis attempt', feature: 'semantic_corrections',
           submissionId: String(doc._id), provider, model, attempt, maxAttempts,
           maxOutputTokens, attemptTimeoutMs, remainingBudgetMs, jobIdPresent: true, sourceHashMatch: true });
@@ -129,6 +134,7 @@ async function generateAndPersist(doc, { assignment = {}, force = false } = {})
         await doc.constructor.updateOne({ _id: doc._id, ocrJobId: doc.ocrJobId, correctionJobId: jobId }, { $set: {
           semanticStatus: 'retry_wait', semanticAttempt: attempt, semanticMaxAttempts: maxAttempts, semanticNextRetryAt: nextRetryAt, semanticErrorCode: code
         }});
+        onProgress({ semanticStatus: 'retry_wait', semanticAttempt: attempt, semanticMaxAttempts: maxAttempts, semanticErrorCode: code });
         logger.info({ message: 'AI-only correction analysis retry scheduled', submissionId: String(doc._id), attempt, maxAttempts, retryDelayMs: delayMs,
           timeoutClassification: code, remainingBudgetMs, nextProvider, nextModel, jobIdPresent: true, sourceHashMatch: true });
       } });
@@ -221,17 +227,20 @@ async function generateAndPersist(doc, { assignment = {}, force = false } = {})
       ? terminalValidation.incompleteReviewCategories : [],
     retainedAfterMergeByCategory, removedDuringMergeByCategory, persistedByCategory: retainedAfterMergeByCategory,
     ...rejectionStageCounts };
+  const finalStatuses = {
+    correctionStatus: failedStage ? (anyAnalysisStageAvailable ? 'partial' : 'failed') : 'completed',
+    correctionError: failedStage, semanticStatus: semanticError ? 'failed' : 'completed',
+    semanticErrorCode: safeErrorCode(semanticError) || null,
+    evaluationStatus: semanticError && !['completed', 'partial'].includes(String(doc.evaluationStatus || ''))
+      ? 'blocked' : doc.evaluationStatus
+  };
   const finalWrite = await doc.constructor.updateOne({ _id: doc._id, ocrJobId: doc.ocrJobId, correctionJobId: jobId }, { $set: {
     writingCorrections: corrections, correctionStatistics: combinedStatistics, correctionSourceHash: hash,
     correctionVersion: canonical.VERSION, correctionTranscriptLayoutVersion: CANONICAL_TRANSCRIPT_LAYOUT_VERSION,
-    correctionStatus: failedStage ? (anyAnalysisStageAvailable ? 'partial' : 'failed') : 'completed',
-    correctionError: failedStage, correctionUpdatedAt: new Date(), semanticStatus: semanticError ? 'failed' : 'completed',
-    semanticNextRetryAt: null, semanticErrorCode: safeErrorCode(semanticError) || null,
+    ...finalStatuses, correctionUpdatedAt: new Date(), semanticNextRetryAt: null,
     semanticProvider: semanticRun?.provider || terminalAttempt?.provider || semanticConfig.provider,
     semanticModel: semanticRun?.model || terminalAttempt?.model || semanticConfig.model,
     semanticPromptVersion: semantic.SEMANTIC_PROMPT_VERSION,
-    evaluationStatus: semanticError && !['completed', 'partial'].includes(String(doc.evaluationStatus || ''))
-      ? 'blocked' : doc.evaluationStatus,
     correctionLegendSource: legend.source,
     correctionLegendVersion: legend.version, correctionLegendContentHash: legend.contentHash,
     deductionPolicyVersion: canonical.DEDUCTION_POLICY_VERSION,
@@ -242,6 +251,7 @@ async function generateAndPersist(doc, { assignment = {}, force = false } = {})
     logger.info({ message: 'Canonical correction job superseded before final persistence', submissionId: String(doc._id), stage: 'finalCorrectionsPersisted', persisted: false });
     return;
   }
+  onProgress(finalStatuses);
   if (semanticError) {
     await blockEvaluationAfterCorrectionFailure({ submissionId: doc._id,
       errorCode: safeErrorCode(semanticError) || 'SEMANTIC_ANALYSIS_FAILED' }).catch(() => {});
@@ -279,7 +289,7 @@ async function generateAndPersist(doc, { assignment = {}, force = false } = {})
     logger.info({ message: 'Canonical correction stage', submissionId: String(doc._id), stage: 'evaluationStarted',
       semanticSucceeded: true });
     const refreshed = await doc.constructor.findById(doc._id);
-    const evaluationResult = refreshed ? await canonicalEvaluation.generate({ submission: refreshed, assignment }) : null;
+    const evaluationResult = refreshed ? await canonicalEvaluation.generate({ submission: refreshed, assignment, onProgress }) : null;
     evaluationMs = Date.now() - evaluationStartedAt;
     detailedFeedbackMs = Number(evaluationResult?.timings?.detailedFeedbackMs || 0);
     holisticCorrectionCoverageMismatchCategories = holisticCoverageMismatchCategories(
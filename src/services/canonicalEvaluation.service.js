@@ -12,6 +12,7 @@ const { SCORING_POLICY_VERSION, normalizeTeacherEvaluationPolicy, evaluationPoli
   correctionsAllowedByPolicy } = require('./teacherEvaluationPolicy.service');
 const { normalizeAssignmentRubric, hashNormalizedRubric, calculateCustomRubricScore } =
   require('./assignmentRubric.service');
+const { settleEssayGradeRelease } = require('./gradeRelease.service');
 
 const VERSION = EVALUATION_VERSION;
 const stable = (value) => value == null ? null : Array.isArray(value) ? value.map(stable) : typeof value === 'object'
@@ -54,7 +55,17 @@ function supersededEvaluationError() {
   return error;
 }
 
-async function generate({ submission, assignment, prelockedJobId = null }) {
+// Grade release is a side effect of a persisted evaluation; it must never fail the job.
+async function settleGradeRelease(submission, evaluationStatus) {
+  try {
+    await settleEssayGradeRelease({ submissionId: submission._id, evaluationStatus });
+  } catch (error) {
+    console.warn('[canonical-evaluation] grade release update failed', {
+      submissionId: String(submission._id), message: error?.message || String(error) });
+  }
+}
+
+async function generate({ submission, assignment, prelockedJobId = null, onProgress = () => {} }) {
   const sourceHash = submission.correctionSourceHash;
   if (!sourceHash || submission.correctionStatus !== 'completed') return { status: 'superseded' };
   const classDoc = await Class.findById(submission.class).select('teacher').lean();
@@ -71,6 +82,7 @@ async function generate({ submission, assignment, prelockedJobId = null }) {
       evaluationStatus: 'failed', evaluationErrorCode: 'INVALID_ASSIGNMENT_RUBRIC',
       evaluationDiagnostics: { rubricValidation: customRubricResult.diagnostics }
     }, $unset: { evaluationSourceHash: 1, evaluationPolicyHash: 1 } });
+    onProgress({ evaluationStatus: 'failed', evaluationErrorCode: 'INVALID_ASSIGNMENT_RUBRIC' });
     return { status: 'failed', sourceHash, rubricHash, policyHash, overallScore: null,
       errorCode: 'INVALID_ASSIGNMENT_RUBRIC', diagnostics: customRubricResult.diagnostics };
   }
@@ -101,6 +113,8 @@ async function generate({ submission, assignment, prelockedJobId = null }) {
       evaluationUpdatedAt: new Date(), evaluationError: null
     }});
     if (recovered.modifiedCount !== 1) return { status: 'superseded', sourceHash };
+    onProgress({ evaluationStatus: 'completed', evaluationError: null });
+    await settleGradeRelease(submission, 'completed');
     return { status: 'reused', sourceHash, rubricHash, stats, provider: persistedFeedback.evaluationProvider || null,
       model: persistedFeedback.evaluationModel || null, overallScore: Number(persistedFeedback.overallScore), recovered: true,
       timings: { detailedFeedbackMs: 0 } };
@@ -127,10 +141,12 @@ async function generate({ submission, assignment, prelockedJobId = null }) {
     const locked = await submission.constructor.updateOne({ _id: submission._id, correctionSourceHash: sourceHash, evaluationStatus: { $ne: 'processing' } },
       { $set: { evaluationStatus: 'processing', evaluationJobId: jobId, evaluationError: null, evaluationErrorCode: null } });
     if (!locked.modifiedCount) return { status: 'superseded', sourceHash };
+    onProgress({ evaluationStatus: 'processing', evaluationError: null, evaluationErrorCode: null });
   } else {
     const ownsLock = await submission.constructor.exists({ _id: submission._id, correctionSourceHash: sourceHash,
       evaluationStatus: 'processing', evaluationJobId: jobId });
     if (!ownsLock) return { status: 'superseded', sourceHash };
+    onProgress({ evaluationStatus: 'processing', evaluationErrorCode: null });
   }
   let feedbackPersisted = false;
   try {
@@ -237,6 +253,9 @@ async function generate({ submission, assignment, prelockedJobId = null }) {
       evaluationUpdatedAt: new Date(), evaluationError: null, evaluationErrorCode: null
     }});
     if (completed.modifiedCount !== 1) throw supersededEvaluationError();
+    onProgress({ evaluationStatus: semantic.status === 'partial' ? 'partial' : 'completed',
+      evaluationError: null, evaluationErrorCode: null });
+    if (!existing?.overriddenByTeacher) await settleGradeRelease(submission, semantic.status === 'partial' ? 'partial' : 'completed');
     console.info('[canonical-evaluation] canonical evaluation persisted', { submissionId: String(submission._id),
       sourceHashMatch: true, correctionCounts: stats, categoryScores: Object.fromEntries(Object.entries(rubricScores).map(([key, value]) => [key, value.score])),
       overallScore });
@@ -303,6 +322,8 @@ async function generate({ submission, assignment, prelockedJobId = null }) {
           jsonPath: lastAttempt.jsonPath || null, httpStatus: lastAttempt.httpStatus || null,
           durationMs: lastAttempt.durationMs || null, finishReason: lastAttempt.finishReason || null
         } }, evaluationUpdatedAt: new Date() } });
+    onProgress({ evaluationStatus: 'failed', evaluationErrorCode: errorCode,
+      evaluationError: `Canonical semantic rubric evaluation failed (${errorCode})` });
     return { status: 'failed', sourceHash, provider: lastAttempt.provider || null, model: lastAttempt.model || null,
       overallScore: null, errorCode, attempts };
   }
@@ -0,0 +1,257 @@
+'use strict';
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const Class = require('../models/class.model');
+const Invitation = require('../models/invitation.model');
+const Membership = require('../models/membership.model');
+const User = require('../models/user.model');
+const { sendInvitationEmail } = require('./email.service');
+const { createNotification } = require('./notification.service');
+const { ensureActivePlan, getLimit, incrementUsage } = require('../middlewares/usage.middleware');
+const logger = require('../utils/logger');
+
+const INVITATION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+class InvitationError extends Error {
+  constructor(statusCode, code, message) {
+    super(message);
+    this.name = 'InvitationError';
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+function buildInvitationUrl(token) {
+  return `${process.env.FRONTEND_URL}/student/invitations/${token}`;
+}
+
+function buildJoinUrl(joinCode) {
+  return `${process.env.FRONTEND_URL}/student/join-class?joinCode=${joinCode}`;
+}
+
+/** "jane.doe@example.com" -> "j*******@example.com", enough for the invitee to recognise the address. */
+function maskEmail(email) {
+  const [local, domain] = String(email || '').split('@');
+  if (!domain) return '';
+  return `${local.slice(0, 1)}${'*'.repeat(Math.max(local.length - 1, 1))}@${domain}`;
+}
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+/** Loads an invitation by token, flipping a lapsed pending invitation to expired. */
+async function loadInvitationByToken(token, now = new Date()) {
+  const invitation = typeof token === 'string' && token ? await Invitation.findOne({ token }) : null;
+  if (!invitation) throw new InvitationError(404, 'INVITATION_NOT_FOUND', 'Invitation not found');
+
+  if (invitation.status === 'pending' && invitation.expiresAt && invitation.expiresAt <= now) {
+    await invitation.expire();
+  }
+  return invitation;
+}
+
+function assertPending(invitation) {
+  if (invitation.status === 'accepted') {
+    throw new InvitationError(409, 'INVITATION_ALREADY_ACCEPTED', 'Invitation has already been accepted');
+  }
+  if (invitation.status === 'revoked') {
+    throw new InvitationError(410, 'INVITATION_REVOKED', 'Invitation has been revoked');
+  }
+  if (invitation.status === 'expired') {
+    throw new InvitationError(410, 'INVITATION_EXPIRED', 'Invitation has expired');
+  }
+}
+
+/** Public view of an invitation for the accept page. */
+async function previewInvitation(token) {
+  const invitation = await loadInvitationByToken(token);
+  const [classDoc, teacher] = await Promise.all([
+    Class.findById(invitation.class).select('_id name description bannerUrl isActive').lean(),
+    User.findById(invitation.teacher).select('displayName photoURL').lean()
+  ]);
+  if (!classDoc || classDoc.isActive === false) {
+    throw new InvitationError(404, 'CLASS_NOT_FOUND', 'Class not found');
+  }
+
+  return {
+    invitationId: invitation._id,
+    status: invitation.status,
+    email: maskEmail(invitation.email),
+    invitedAt: invitation.invitedAt,
+    expiresAt: invitation.expiresAt,
+    class: { _id: classDoc._id, name: classDoc.name, description: classDoc.description, bannerUrl: classDoc.bannerUrl },
+    teacher: teacher ? { displayName: teacher.displayName, photoURL: teacher.photoURL } : null
+  };
+}
+
+async function notifyTeacherOfJoin({ teacherId, student, classDoc, invitation }) {
+  try {
+    await createNotification({
+      recipientId: teacherId,
+      actorId: student._id,
+      type: 'student_joined',
+      title: 'New Student Joined',
+      description: `${student.displayName || student.email} accepted your invitation to "${classDoc.name}"`,
+      data: {
+        classId: classDoc._id,
+        studentId: student._id,
+        className: classDoc.name,
+        invitationId: invitation._id
+      }
+    });
+  } catch (err) {
+    logger.error(`Failed to send notification: ${err && err.message ? err.message : err}`);
+  }
+}
+
+/**
+ * Flips a pending invitation to accepted in one conditional write, so two
+ * concurrent accepts cannot both go on to create a membership and count a seat.
+ */
+async function claimInvitation(invitation, userId) {
+  const claimed = await Invitation.findOneAndUpdate(
+    { _id: invitation._id, status: 'pending' },
+    { $set: { status: 'accepted', acceptedAt: new Date(), acceptedBy: userId } },
+    { returnDocument: 'after' }
+  );
+  if (!claimed) {
+    throw new InvitationError(409, 'INVITATION_ALREADY_ACCEPTED', 'Invitation has already been accepted');
+  }
+  return claimed;
+}
+
+/** Hands a claimed invitation back when the membership could not be written. */
+async function releaseInvitationClaim(invitation, userId) {
+  await Invitation.updateOne(
+    { _id: invitation._id, status: 'accepted', acceptedBy: userId },
+    { $set: { status: 'pending' }, $unset: { acceptedAt: 1, acceptedBy: 1 } }
+  );
+}
+
+/**
+ * Accepts an invitation for the signed-in student. The invitation is bound to
+ * its email, so only the account registered with that address may accept it.
+ */
+async function acceptInvitation({ token, user }) {
+  if (!user || !user._id) throw new InvitationError(401, 'UNAUTHORIZED', 'Unauthorized');
+
+  const invitation = await loadInvitationByToken(token);
+  if (invitation.status === 'accepted' && invitation.acceptedBy && String(invitation.acceptedBy) === String(user._id)) {
+    const membership = await Membership.findOne({ class: invitation.class, student: user._id, status: 'active' });
+    if (membership) return { invitation, membership, alreadyMember: true };
+  }
+  assertPending(invitation);
+
+  if (normalizeEmail(user.email) !== normalizeEmail(invitation.email)) {
+    throw new InvitationError(403, 'INVITATION_EMAIL_MISMATCH',
+      'This invitation was sent to a different email address');
+  }
+
+  const classDoc = await Class.findOne({ _id: invitation.class, isActive: true });
+  if (!classDoc) throw new InvitationError(404, 'CLASS_NOT_FOUND', 'Class not found');
+
+  const existing = await Membership.findOne({ student: user._id, class: classDoc._id });
+  if (existing && existing.status === 'active') {
+    const claimed = await claimInvitation(invitation, user._id);
+    return { invitation: claimed, membership: existing, alreadyMember: true };
+  }
+
+  const teacher = await User.findById(classDoc.teacher);
+  if (!teacher) throw new InvitationError(404, 'TEACHER_NOT_FOUND', 'Teacher not found');
+
+  const planDoc = await ensureActivePlan(teacher);
+  const studentLimit = getLimit(planDoc, 'students');
+  const currentStudents = teacher.usage && typeof teacher.usage.students === 'number' ? teacher.usage.students : 0;
+  if (typeof studentLimit === 'number' && currentStudents + 1 > studentLimit) {
+    throw new InvitationError(403, 'LIMIT_EXCEEDED', 'Limit exceeded: students');
+  }
+
+  const claimed = await claimInvitation(invitation, user._id);
+
+  let membership;
+  try {
+    if (existing) {
+      existing.status = 'active';
+      existing.joinedAt = new Date();
+      membership = await existing.save();
+    } else {
+      membership = await Membership.create({ student: user._id, class: classDoc._id });
+    }
+  } catch (err) {
+    await releaseInvitationClaim(claimed, user._id);
+    if (err && err.code === 11000) throw new InvitationError(409, 'ALREADY_JOINED', 'Already joined this class');
+    throw err;
+  }
+
+  await incrementUsage(teacher._id, { students: 1 });
+  await notifyTeacherOfJoin({ teacherId: teacher._id, student: user, classDoc, invitation: claimed });
+
+  return { invitation: claimed, membership, alreadyMember: false };
+}
+
+async function loadTeacherInvitation({ classId, invitationId, teacherId }) {
+  if (!mongoose.Types.ObjectId.isValid(classId) || !mongoose.Types.ObjectId.isValid(invitationId)) {
+    throw new InvitationError(400, 'INVALID_ID', 'Invalid id');
+  }
+  const classDoc = await Class.findOne({ _id: classId, teacher: teacherId, isActive: true });
+  if (!classDoc) throw new InvitationError(404, 'CLASS_NOT_FOUND', 'Class not found');
+
+  const invitation = await Invitation.findOne({ _id: invitationId, class: classDoc._id });
+  if (!invitation) throw new InvitationError(404, 'INVITATION_NOT_FOUND', 'Invitation not found');
+  return { classDoc, invitation };
+}
+
+/**
+ * Re-sends a pending, expired or revoked invitation with a fresh token, so
+ * any link from an earlier email stops working.
+ */
+async function resendInvitation({ classId, invitationId, teacher }) {
+  const { classDoc, invitation } = await loadTeacherInvitation({ classId, invitationId, teacherId: teacher._id });
+  if (invitation.status === 'accepted') {
+    throw new InvitationError(409, 'INVITATION_ALREADY_ACCEPTED', 'Invitation has already been accepted');
+  }
+
+  const now = new Date();
+  invitation.token = crypto.randomBytes(32).toString('hex');
+  invitation.status = 'pending';
+  invitation.invitedAt = now;
+  invitation.expiresAt = new Date(now.getTime() + INVITATION_TTL_MS);
+  invitation.revokedAt = undefined;
+  await invitation.save();
+
+  const emailResult = await sendInvitationEmail({
+    to: invitation.email,
+    className: classDoc.name,
+    classCode: classDoc.joinCode,
+    joinUrl: buildJoinUrl(classDoc.joinCode),
+    acceptUrl: buildInvitationUrl(invitation.token),
+    teacherName: teacher.displayName || teacher.email
+  });
+  if (!emailResult.success) {
+    throw new InvitationError(502, 'EMAIL_FAILED', `Failed to send email: ${emailResult.error}`);
+  }
+
+  return invitation;
+}
+
+async function revokeInvitation({ classId, invitationId, teacher }) {
+  const { invitation } = await loadTeacherInvitation({ classId, invitationId, teacherId: teacher._id });
+  if (invitation.status === 'accepted') {
+    throw new InvitationError(409, 'INVITATION_ALREADY_ACCEPTED', 'Invitation has already been accepted');
+  }
+  if (invitation.status !== 'revoked') await invitation.revoke();
+  return invitation;
+}
+
+module.exports = {
+  InvitationError,
+  buildInvitationUrl,
+  maskEmail,
+  previewInvitation,
+  acceptInvitation,
+  resendInvitation,
+  revokeInvitation
+};
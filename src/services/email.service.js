@@ -6,7 +6,7 @@ let transporter = null;
 
 function getTransporter() {
   if (!transporter) {
-    transporter = nodemailer.createTransporter({
+    transporter = nodemailer.createTransport({
       host: process.env.SMTP_HOST || 'smtp.gmail.com',
       port: parseInt(process.env.SMTP_PORT) || 587,
       secure: process.env.SMTP_SECURE === 'true', // true for 465, false for other ports
@@ -19,7 +19,7 @@ function getTransporter() {
   return transporter;
 }
 
-async function sendInvitationEmail({ to, className, classCode, joinUrl, teacherName }) {
+async function sendInvitationEmail({ to, className, classCode, joinUrl, acceptUrl, teacherName }) {
   try {
     const transporter = getTransporter();
     
@@ -50,7 +50,7 @@ async function sendInvitationEmail({ to, className, classCode, joinUrl, teacherN
               <div style="text-align: left;">
                 <p style="margin-bottom: 10px;"><strong>Option 2: Direct Link</strong></p>
                 <p style="margin-bottom: 15px;">Click the button below to join directly:</p>
-                <a href="${joinUrl}" 
+                <a href="${acceptUrl || joinUrl}" 
                    style="background-color: #007bff; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block; font-weight: bold;">
                   Join Class Now
                 </a>
@@ -76,6 +76,96 @@ async function sendInvitationEmail({ to, className, classCode, joinUrl, teacherN
   }
 }
 
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, (ch) => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[ch]);
+}
+
+function notificationItemHtml(notification) {
+  return `
+            <div style="background-color: white; padding: 16px 20px; border-radius: 8px; margin-bottom: 12px; text-align: left; box-shadow: 0 1px 3px rgba(0,0,0,0.08);">
+              <p style="margin: 0 0 6px; font-weight: bold; color: #2c3e50;">${escapeHtml(notification.title)}</p>
+              <p style="margin: 0; color: #555;">${escapeHtml(notification.description)}</p>
+            </div>`;
+}
+
+function notificationEmailLayout({ heading, body }) {
+  const appUrl = process.env.FRONTEND_URL || '';
+  return `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="background-color: #f8f9fa; padding: 30px; border-radius: 10px; text-align: center;">
+            <h1 style="color: #2c3e50; margin-bottom: 20px;">${escapeHtml(heading)}</h1>
+            ${body}
+            ${appUrl ? `<a href="${escapeHtml(appUrl)}" style="background-color: #007bff; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block; font-weight: bold; margin-top: 12px;">Open Classroom</a>` : ''}
+            <div style="color: #6c757d; font-size: 13px; margin-top: 20px;">
+              <p>You can change which notifications are emailed in your notification settings.</p>
+            </div>
+          </div>
+        </div>
+      `;
+}
+
+async function sendNotificationEmail({ to, notification }) {
+  try {
+    const result = await getTransporter().sendMail({
+      from: `"Classroom" <${process.env.SMTP_USER}>`,
+      to,
+      subject: String(notification.title || 'New notification'),
+      html: notificationEmailLayout({ heading: notification.title || 'New notification', body: notificationItemHtml(notification) })
+    });
+    logger.info(`Notification email sent: ${result.messageId}`);
+    return { success: true, messageId: result.messageId };
+  } catch (error) {
+    logger.error(`Failed to send notification email: ${error && error.message ? error.message : error}`);
+    return { success: false, error: error.message };
+  }
+}
+
+async function sendNotificationDigestEmail({ to, displayName, notifications }) {
+  try {
+    const count = notifications.length;
+    const greeting = `<p style="font-size: 16px; color: #34495e; margin-bottom: 20px;">Hi ${escapeHtml(displayName || 'there')}, you have ${count} unread notification${count === 1 ? '' : 's'}.</p>`;
+    const result = await getTransporter().sendMail({
+      from: `"Classroom" <${process.env.SMTP_USER}>`,
+      to,
+      subject: `Your daily summary: ${count} unread notification${count === 1 ? '' : 's'}`,
+      html: notificationEmailLayout({ heading: 'Daily summary', body: greeting + notifications.map(notificationItemHtml).join('') })
+    });
+    logger.info(`Notification digest sent: ${result.messageId}`);
+    return { success: true, messageId: result.messageId };
+  } catch (error) {
+    logger.error(`Failed to send notification digest: ${error && error.message ? error.message : error}`);
+    return { success: false, error: error.message };
+  }
+}
+
+async function sendOrganizationInvitationEmail({ to, organizationName, acceptUrl, inviterName }) {
+  try {
+    const body = `<p style="font-size: 16px; color: #34495e; margin-bottom: 20px;">${escapeHtml(inviterName || 'An administrator')} invited you to join <strong>${escapeHtml(organizationName)}</strong> as a teacher.</p>
+            <a href="${escapeHtml(acceptUrl)}" style="background-color: #007bff; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block; font-weight: bold;">Accept invitation</a>
+            <p style="color: #6c757d; font-size: 14px; margin-top: 20px;">This invitation will expire in 14 days.</p>`;
+    const result = await getTransporter().sendMail({
+      from: `"Classroom" <${process.env.SMTP_USER}>`,
+      to,
+      subject: `You're invited to join ${organizationName}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="background-color: #f8f9fa; padding: 30px; border-radius: 10px; text-align: center;">
+            <h1 style="color: #2c3e50; margin-bottom: 20px;">School invitation</h1>
+            ${body}
+          </div>
+        </div>
+      `
+    });
+    logger.info(`Organization invitation email sent: ${result.messageId}`);
+    return { success: true, messageId: result.messageId };
+  } catch (error) {
+    logger.error(`Failed to send organization invitation: ${error && error.message ? error.message : error}`);
+    return { success: false, error: error.message };
+  }
+}
+
 // Test email configuration
 async function testEmailConfig() {
   try {
@@ -91,5 +181,8 @@ async function testEmailConfig() {
 
 module.exports = {
   sendInvitationEmail,
+  sendOrganizationInvitationEmail,
+  sendNotificationEmail,
+  sendNotificationDigestEmail,
   testEmailConfig
 };
@@ -2,6 +2,7 @@
 
 const logger = require('../utils/logger');
 const aiGateway = require('./aiGateway.service');
+const { gridLetters } = require('./wordGrid.service');
 
 const FEATURE_DEFAULTS = Object.freeze({
   flashcard: { maxOutputTokens: 4000 },
@@ -173,6 +174,29 @@ function validateWorksheetData(activity) {
   if (activity.type === 'shortAnswer') return nonEmptyArray(data.questions)
     && data.questions.every((item) => nonEmptyString(item?.id) && nonEmptyString(item?.text)
       && nonEmptyString(item?.modelAnswer) && Number(item?.maxWords) > 0);
+  if (activity.type === 'clozePassage') {
+    const blanks = Array.isArray(data.passage) ? data.passage.filter((part) => part?.type === 'blank') : [];
+    return nonEmptyArray(data.wordBank) && data.wordBank.every(nonEmptyString) && blanks.length > 0
+      && data.passage.every((part) => (part?.type === 'text' && typeof part.value === 'string')
+        || (part?.type === 'blank' && nonEmptyString(part.blankId) && nonEmptyString(part.correctAnswer)))
+      && blanks.every((part) => data.wordBank.includes(part.correctAnswer));
+  }
+  if (activity.type === 'readingComprehension') return nonEmptyString(data.passage) && nonEmptyArray(data.questions)
+    && data.questions.every((item) => nonEmptyString(item?.id) && nonEmptyString(item?.text) && (
+      (item.questionType === 'multipleChoice' && Array.isArray(item.options) && item.options.length >= 2
+        && item.options.every(nonEmptyString) && item.options.includes(item.correctAnswer))
+      || (item.questionType === 'trueFalse' && typeof item.correctAnswer === 'boolean')
+      || (item.questionType === 'shortAnswer' && nonEmptyString(item.correctAnswer))));
+  if (activity.type === 'errorCorrection') return nonEmptyArray(data.sentences)
+    && data.sentences.every((item) => nonEmptyString(item?.id) && nonEmptyString(item?.text)
+      && nonEmptyString(item?.errorText) && item.text.includes(item.errorText)
+      && nonEmptyString(item?.correction) && item.correction !== item.errorText);
+  if (activity.type === 'wordSearch') return nonEmptyArray(data.words)
+    && data.words.every((word) => gridLetters(word).length >= 2 && gridLetters(word).length <= 20);
+  if (activity.type === 'crossword') return nonEmptyArray(data.words)
+    && data.words.every((item) => gridLetters(item?.word).length >= 2 && nonEmptyString(item?.clue));
+  if (activity.type === 'dictation') return nonEmptyArray(data.sentences)
+    && data.sentences.every((item) => nonEmptyString(item?.id) && nonEmptyString(item?.text));
   return Object.keys(data).length > 0;
 }
 
@@ -0,0 +1,284 @@
+'use strict';
+
+const { generateChatCompletion } = require('./aiGeneration.service');
+const logger = require('../utils/logger');
+
+/** Credit at or above which an answer counts as correct. */
+const CORRECT_CREDIT = 0.8;
+const GRADE_CACHE_LIMIT = 2000;
+const GRADE_CACHE_TTL_MS = 60 * 60 * 1000;
+/** AI grading calls in flight at once when a whole study session is graded. */
+const SESSION_GRADING_CONCURRENCY = 4;
+
+const GRADING_METHODS = ['empty', 'exact', 'normalized', 'fuzzy', 'ai'];
+
+const LEADING_ARTICLE = /^(the|a|an|el|la|los|las|le|les|un|une|der|die|das)\s+/;
+
+/** Lowercases, strips accents and punctuation, and collapses whitespace. */
+function normalizeAnswer(value) {
+  return String(value ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[.'’]/g, '')
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(LEADING_ARTICLE, '');
+}
+
+function editDistance(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/** Typos tolerated for an expected answer of this length: none for short words, up to 3 for long phrases. */
+function typoAllowance(length) {
+  if (length <= 4) return 0;
+  if (length <= 8) return 1;
+  return Math.min(3, Math.floor(length * 0.15));
+}
+
+function acceptedAnswersFor(correctAnswer, acceptedAnswers) {
+  const all = [correctAnswer, ...(Array.isArray(acceptedAnswers) ? acceptedAnswers : [])];
+  return [...new Set(all.map((answer) => String(answer ?? '').trim()).filter(Boolean))];
+}
+
+function settled(credit, method, explanation) {
+  return { credit, isCorrect: credit >= CORRECT_CREDIT, explanation, gradedBy: method };
+}
+
+/**
+ * Deterministic pre-check. Settles empty answers, exact or normalized matches
+ * and near-misses against the correct answer or any accepted alternative;
+ * returns null when only the AI can judge.
+ */
+function precheckAnswer({ studentAnswer, correctAnswer, acceptedAnswers }) {
+  const raw = String(studentAnswer ?? '').trim();
+  if (!raw) return settled(0, 'empty', 'No answer was given.');
+
+  const candidates = acceptedAnswersFor(correctAnswer, acceptedAnswers);
+  if (candidates.some((answer) => answer === raw)) {
+    return settled(1, 'exact', 'Your answer matches the expected answer.');
+  }
+
+  const normalized = normalizeAnswer(raw);
+  if (!normalized) return settled(0, 'empty', 'The answer contains no words or numbers.');
+
+  const normalizedCandidates = candidates.map(normalizeAnswer).filter(Boolean);
+  if (normalizedCandidates.includes(normalized)) {
+    return settled(1, 'normalized', 'Your answer matches the expected answer apart from capitalization, accents or punctuation.');
+  }
+
+  for (const candidate of normalizedCandidates) {
+    // Numbers, dates and years must match exactly.
+    if (/\d/.test(candidate)) continue;
+    const allowance = typoAllowance(candidate.length);
+    if (allowance > 0 && editDistance(normalized, candidate) <= allowance) {
+      return settled(1, 'fuzzy', 'Accepted with a minor spelling difference.');
+    }
+  }
+  return null;
+}
+
+function parseAiGrade(raw) {
+  const cleaned = String(raw || '')
+    .replace(/^```json\s*/i, '')
+    .replace(/^```\s*/i, '')
+    .replace(/\s*```$/i, '')
+    .trim();
+  let parsed;
+  try {
+    parsed = JSON.parse(cleaned);
+  } catch {
+    const match = cleaned.match(/\{[\s\S]*\}/);
+    parsed = match ? JSON.parse(match[0]) : null;
+  }
+  const credit = Number(parsed && parsed.credit);
+  if (!Number.isFinite(credit)) throw new Error('AI grade is missing a numeric credit');
+  const explanation = String(parsed.explanation || '').replace(/\s+/g, ' ').trim();
+  return {
+    credit: Math.round(Math.min(1, Math.max(0, credit)) * 100) / 100,
+    explanation: explanation.split(/(?<=[.!?])\s/)[0].slice(0, 300)
+  };
+}
+
+async function gradeWithAi({ question, correctAnswer, acceptedAnswers, studentAnswer }) {
+  const alternatives = acceptedAnswersFor(correctAnswer, acceptedAnswers).slice(1);
+  const systemPrompt = `You are a strict but fair grading assistant for a Q&A flashcard system.
+Grade the student's answer with a credit between 0 and 1 and explain the grade in ONE short sentence addressed to the student.
+Respond with ONLY valid JSON — no markdown, no extra text: {"credit":<number 0-1>,"explanation":"<one sentence>"}`;
+
+  const userPrompt = `Question: "${question}"
+Correct Answer: "${correctAnswer}"${alternatives.length ? `\nAlso accepted: ${alternatives.map((a) => `"${a}"`).join(', ')}` : ''}
+Student's Answer: "${String(studentAnswer).trim()}"
+
+Grading rules:
+1. Credit 1 when the answer conveys the same essential meaning, even if paraphrased, abbreviated or with minor spelling mistakes.
+2. Partial credit (0.3-0.7) when the answer is on the right track but misses or confuses part of the core meaning.
+3. Credit 0 for nonsense, unrelated, contradictory or factually wrong answers, or a single letter or number with no connection to the question.`;
+
+  const raw = await generateChatCompletion(
+    [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: userPrompt }
+    ],
+    { temperature: 0, max_tokens: 120, feature: 'flashcard_answer_grading' }
+  );
+  const { credit, explanation } = parseAiGrade(raw);
+  return settled(credit, 'ai', explanation || (credit >= CORRECT_CREDIT ? 'Your answer is correct.' : 'Your answer does not match the expected answer.'));
+}
+
+// Recent grades, so a study session submission does not pay for the same AI call twice.
+const gradeCache = new Map();
+
+function cacheKey({ question, correctAnswer, acceptedAnswers, studentAnswer }) {
+  return JSON.stringify([normalizeAnswer(question), acceptedAnswersFor(correctAnswer, acceptedAnswers), normalizeAnswer(studentAnswer)]);
+}
+
+function readCache(key, now) {
+  const entry = gradeCache.get(key);
+  if (!entry) return null;
+  if (now - entry.at > GRADE_CACHE_TTL_MS) {
+    gradeCache.delete(key);
+    return null;
+  }
+  return entry.grade;
+}
+
+function writeCache(key, grade, now) {
+  gradeCache.delete(key);
+  gradeCache.set(key, { grade, at: now });
+  if (gradeCache.size > GRADE_CACHE_LIMIT) gradeCache.delete(gradeCache.keys().next().value);
+}
+
+/** Grades one answer: deterministic pre-check first, AI only for what it cannot settle. */
+async function gradeFlashcardAnswer({ question, correctAnswer, acceptedAnswers, studentAnswer, now = Date.now() }) {
+  const local = precheckAnswer({ studentAnswer, correctAnswer, acceptedAnswers });
+  if (local) return local;
+
+  const key = cacheKey({ question, correctAnswer, acceptedAnswers, studentAnswer });
+  const cached = readCache(key, now);
+  if (cached) return cached;
+
+  const grade = await gradeWithAi({ question, correctAnswer, acceptedAnswers, studentAnswer });
+  writeCache(key, grade, now);
+  return grade;
+}
+
+/**
+ * Grades several answers, at most `concurrency` at a time. Resolves in input
+ * order with `{ grade }` or `{ error }` per answer, so one failed AI call does
+ * not sink the rest of the session.
+ */
+async function gradeFlashcardAnswers(inputs, { concurrency = SESSION_GRADING_CONCURRENCY } = {}) {
+  const items = Array.from(inputs || []);
+  const settledGrades = new Array(items.length);
+  let index = 0;
+  const runners = Array.from({ length: Math.min(Math.max(1, concurrency), items.length) }, async () => {
+    while (index < items.length) {
+      const current = index++;
+      try {
+        settledGrades[current] = { grade: await gradeFlashcardAnswer(items[current]) };
+      } catch (error) {
+        settledGrades[current] = { error };
+      }
+    }
+  });
+  await Promise.all(runners);
+  return settledGrades;
+}
+
+/** Shape stored in FlashcardSubmission.cardResults. */
+function toCardResult(cardId, studentAnswer, grade) {
+  return {
+    cardId,
+    studentAnswer: String(studentAnswer ?? '').trim() || null,
+    known: grade.isCorrect,
+    isCorrect: grade.isCorrect,
+    credit: grade.credit,
+    explanation: grade.explanation,
+    gradedBy: grade.gradedBy
+  };
+}
+
+/**
+ * Grades a submitted session's answers against the set's cards, so the saved
+ * credit and explanation never come from the client. Only `cardId`,
+ * `studentAnswer` and `known` are read from each answer; answers for cards
+ * outside the set are dropped. Flip-mode results carry no typed answer and
+ * keep the student's own known/unknown call.
+ */
+async function gradeSessionAnswers(cards, answers) {
+  const cardsById = new Map((cards || []).map((card) => [String(card._id), card]));
+
+  const entries = (Array.isArray(answers) ? answers : [])
+    .map((answer) => ({ answer, card: answer && cardsById.get(String(answer.cardId)) }))
+    .filter(({ card }) => card);
+  const typed = entries.filter(({ answer }) => answer.studentAnswer !== undefined && answer.studentAnswer !== null);
+  const grades = await gradeFlashcardAnswers(typed.map(({ answer, card }) => ({
+    question: card.front,
+    correctAnswer: card.back,
+    acceptedAnswers: card.acceptedAnswers,
+    studentAnswer: answer.studentAnswer
+  })));
+  const gradeByEntry = new Map(typed.map((entry, i) => [entry, grades[i]]));
+
+  return entries.map((entry) => {
+    const { answer, card } = entry;
+    const settledGrade = gradeByEntry.get(entry);
+    if (!settledGrade) return { cardId: card._id, known: Boolean(answer.known) };
+    if (settledGrade.error) {
+      logger.warn(`Flashcard answer grading failed for card ${card._id}: ${settledGrade.error.message}`);
+      return { cardId: card._id, studentAnswer: String(answer.studentAnswer).trim() || null };
+    }
+    return toCardResult(card._id, answer.studentAnswer, settledGrade.grade);
+  });
+}
+
+/**
+ * Percentage 0-100 over every card in the set: graded answers count their
+ * credit, flip results count when known, and cards without a result count 0.
+ * `studyResults` ({ cardId, status }) fill in cards the card results miss.
+ */
+function sessionScore(cards, cardResults = [], studyResults = []) {
+  if (!cards || !cards.length) return 0;
+  const creditByCard = new Map();
+  for (const result of Array.isArray(studyResults) ? studyResults : []) {
+    if (result && result.cardId) creditByCard.set(String(result.cardId), result.status === 'know' ? 1 : 0);
+  }
+  for (const result of cardResults) {
+    const credit = typeof result.credit === 'number' ? result.credit : (result.known ? 1 : 0);
+    creditByCard.set(String(result.cardId), credit);
+  }
+  const earned = cards.reduce((sum, card) => sum + (creditByCard.get(String(card._id)) || 0), 0);
+  return Math.round((earned / cards.length) * 100);
+}
+
+module.exports = {
+  CORRECT_CREDIT,
+  GRADING_METHODS,
+  normalizeAnswer,
+  editDistance,
+  precheckAnswer,
+  parseAiGrade,
+  gradeFlashcardAnswer,
+  gradeFlashcardAnswers,
+  toCardResult,
+  gradeSessionAnswers,
+  sessionScore
+};
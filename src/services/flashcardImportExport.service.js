@@ -0,0 +1,538 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const cheerio = require('cheerio');
+const JSZip = require('jszip');
+const initSqlJs = require('sql.js');
+const { v4: uuidv4 } = require('uuid');
+
+const FlashcardSet = require('../models/FlashcardSet');
+const { resolveTargetFolder } = require('./folder.service');
+const {
+  resolveUploadFolder,
+  detectSignatureKind,
+  getExtensionForMime
+} = require('../middlewares/upload.middleware');
+const logger = require('../utils/logger');
+
+const IMPORT_FORMATS = ['csv', 'tsv', 'paste', 'apkg'];
+const EXPORT_FORMATS = IMPORT_FORMATS;
+const MAX_IMPORT_CARDS = 1000;
+const MAX_IMPORT_IMAGES = 300;
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+const MAX_FIELD_LENGTH = 5000;
+const FLASHCARD_IMAGE_PATH = /^\/uploads\/flashcards\/([\w.-]+)$/;
+const SEPARATOR_NAMES = { tab: '\t', comma: ',', semicolon: ';', newline: '\n', dash: ' - ' };
+
+/** Column names recognised in a CSV/TSV header row (compared lower-case, without spaces or underscores). */
+const HEADER_ALIASES = {
+  front: ['front', 'term', 'word', 'question', 'prompt'],
+  back: ['back', 'definition', 'answer', 'meaning'],
+  acceptedAnswers: ['acceptedanswers', 'alternatives', 'alternativeanswers'],
+  frontImage: ['frontimage', 'termimage', 'image'],
+  backImage: ['backimage', 'definitionimage']
+};
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  tsv: 'text/tab-separated-values; charset=utf-8',
+  paste: 'text/plain; charset=utf-8',
+  apkg: 'application/octet-stream'
+};
+
+class FlashcardImportError extends Error {
+  constructor(statusCode, code, message) {
+    super(message);
+    this.name = 'FlashcardImportError';
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+let sqlJsPromise = null;
+function loadSqlJs() {
+  if (!sqlJsPromise) sqlJsPromise = initSqlJs();
+  return sqlJsPromise;
+}
+
+/* ─── Parsing ────────────────────────────────────────────────────────────── */
+
+function resolveSeparator(value, fallback) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const named = SEPARATOR_NAMES[String(value).toLowerCase()];
+  if (named) return named;
+  if (typeof value !== 'string' || value.length > 10) {
+    throw new FlashcardImportError(400, 'INVALID_SEPARATOR', 'Separators must be at most 10 characters');
+  }
+  return value.replace(/\\t/g, '\t').replace(/\\n/g, '\n');
+}
+
+function detectImportFormat({ format, filename, text }) {
+  if (format) {
+    const value = String(format).toLowerCase();
+    if (!IMPORT_FORMATS.includes(value)) {
+      throw new FlashcardImportError(400, 'INVALID_FORMAT', `format must be one of: ${IMPORT_FORMATS.join(', ')}`);
+    }
+    return value;
+  }
+  const ext = path.extname(String(filename || '')).toLowerCase();
+  if (ext === '.csv') return 'csv';
+  if (ext === '.tsv') return 'tsv';
+  if (ext === '.apkg') return 'apkg';
+  if (ext === '.txt' || typeof text === 'string') return 'paste';
+  throw new FlashcardImportError(400, 'INVALID_FORMAT', 'Upload a .csv, .tsv, .txt or .apkg file, or paste text');
+}
+
+/** RFC 4180 rows: quoted fields may contain the delimiter, quotes ("") and newlines. */
+function parseDelimited(text, delimiter) {
+  const source = String(text || '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i += 1) {
+    const ch = source[i];
+    if (quoted) {
+      if (ch !== '"') {
+        field += ch;
+      } else if (source[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else {
+        quoted = false;
+      }
+      continue;
+    }
+    if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && source[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  // Anki text exports start with "#separator:tab"-style directives.
+  while (rows.length && /^#[a-z ]+:/i.test(rows[0][0] || '')) rows.shift();
+  return rows.filter((cells) => cells.some((cell) => cell.trim()));
+}
+
+function headerColumns(row) {
+  const columns = {};
+  row.forEach((cell, index) => {
+    const key = String(cell).toLowerCase().replace(/[\s_-]/g, '');
+    for (const [field, aliases] of Object.entries(HEADER_ALIASES)) {
+      if (aliases.includes(key) && columns[field] === undefined) columns[field] = index;
+    }
+  });
+  return columns.front !== undefined && columns.back !== undefined ? columns : null;
+}
+
+function normalizeImageRef(value) {
+  const ref = String(value || '').trim();
+  if (FLASHCARD_IMAGE_PATH.test(ref) || /^https:\/\/\S+$/i.test(ref)) return ref;
+  return null;
+}
+
+function toCard(front, back, extra = {}) {
+  const cleanFront = String(front || '').trim().slice(0, MAX_FIELD_LENGTH);
+  const cleanBack = String(back || '').trim().slice(0, MAX_FIELD_LENGTH);
+  if (!cleanFront || !cleanBack) return null;
+  return {
+    front: cleanFront,
+    back: cleanBack,
+    frontImage: extra.frontImage || null,
+    backImage: extra.backImage || null,
+    acceptedAnswers: (extra.acceptedAnswers || []).map((a) => a.trim()).filter(Boolean).slice(0, 20)
+  };
+}
+
+function cardsFromRows(rows) {
+  const header = rows.length ? headerColumns(rows[0]) : null;
+  const columns = header || { front: 0, back: 1 };
+  const body = header ? rows.slice(1) : rows;
+
+  const cards = [];
+  let skipped = 0;
+  for (const cells of body) {
+    const cell = (field) => (columns[field] === undefined ? '' : cells[columns[field]] || '');
+    const card = toCard(cell('front'), cell('back'), {
+      acceptedAnswers: cell('acceptedAnswers') ? cell('acceptedAnswers').split('|') : [],
+      frontImage: normalizeImageRef(cell('frontImage')),
+      backImage: normalizeImageRef(cell('backImage'))
+    });
+    if (card) cards.push(card);
+    else skipped += 1;
+  }
+  return { cards, skipped };
+}
+
+/** Quizlet-style paste: one card per `cardSeparator`, term and definition split at the first `termSeparator`. */
+function parsePaste(text, { termSeparator, cardSeparator } = {}) {
+  const termSep = resolveSeparator(termSeparator, '\t');
+  const cardSep = resolveSeparator(cardSeparator, '\n');
+  const source = String(text || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+
+  const cards = [];
+  let skipped = 0;
+  for (const chunk of source.split(cardSep)) {
+    if (!chunk.trim()) continue;
+    const index = chunk.indexOf(termSep);
+    const card = index === -1 ? null : toCard(chunk.slice(0, index), chunk.slice(index + termSep.length));
+    if (card) cards.push(card);
+    else skipped += 1;
+  }
+  return { cards, skipped };
+}
+
+/** Stores an image buffer where uploadFlashcardImage puts uploads and returns its public URL. */
+async function storeFlashcardImage(buffer) {
+  const mime = detectSignatureKind(buffer);
+  if (!mime || !mime.startsWith('image/') || buffer.length > MAX_IMAGE_BYTES) return null;
+  const folder = resolveUploadFolder('flashcards');
+  await fs.promises.mkdir(folder, { recursive: true });
+  const filename = `${uuidv4()}${getExtensionForMime(mime)}`;
+  await fs.promises.writeFile(path.join(folder, filename), buffer);
+  return `/uploads/flashcards/${filename}`;
+}
+
+function ankiFieldText(html) {
+  const withBreaks = String(html || '')
+    .replace(/\[sound:[^\]]*\]/g, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(div|p|li)>/gi, '\n');
+  return cheerio.load(withBreaks, null, false).text().replace(/\n{2,}/g, '\n').trim();
+}
+
+function ankiFieldImage(html) {
+  const $ = cheerio.load(String(html || ''), null, false);
+  const src = $('img').first().attr('src');
+  return src ? path.basename(decodeURIComponent(src)) : null;
+}
+
+const CLOZE_MARKER = /\{\{c\d+::/;
+const CLOZE_PATTERN = /\{\{c\d+::([\s\S]*?)(?:::([\s\S]*?))?\}\}/g;
+
+/**
+ * Reads notes from an Anki package. Front/back come from the first two fields;
+ * cloze notes become "[...]" prompts with the deletions as the answer.
+ */
+async function parseApkg(buffer, { storeImage = storeFlashcardImage } = {}) {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch (err) {
+    throw new FlashcardImportError(400, 'INVALID_APKG', 'The file is not a valid Anki package');
+  }
+  const collectionFile = zip.file('collection.anki21') || (!zip.file('collection.anki21b') && zip.file('collection.anki2'));
+  if (!collectionFile) {
+    if (zip.file('collection.anki21b')) {
+      throw new FlashcardImportError(422, 'UNSUPPORTED_APKG',
+        'This Anki package uses the newest format. Export it again with "Support older Anki versions" ticked.');
+    }
+    throw new FlashcardImportError(400, 'INVALID_APKG', 'The file is not a valid Anki package');
+  }
+
+  let media = {};
+  try {
+    media = JSON.parse(await zip.file('media')?.async('string') || '{}');
+  } catch (err) {
+    media = {};
+  }
+  const mediaEntryByName = new Map(Object.entries(media).map(([entry, name]) => [name, entry]));
+
+  const SQL = await loadSqlJs();
+  const db = new SQL.Database(new Uint8Array(await collectionFile.async('uint8array')));
+  let rows;
+  let deckTitle = null;
+  try {
+    rows = (db.exec('SELECT flds FROM notes ORDER BY id')[0]?.values || []).map(([flds]) => String(flds).split('\x1f'));
+    try {
+      const decks = JSON.parse(db.exec('SELECT decks FROM col')[0]?.values?.[0]?.[0] || '{}');
+      deckTitle = Object.values(decks).map((deck) => deck.name).find((name) => name && name !== 'Default') || null;
+    } catch (err) {
+      deckTitle = null;
+    }
+  } catch (err) {
+    throw new FlashcardImportError(400, 'INVALID_APKG', 'The Anki collection could not be read');
+  } finally {
+    db.close();
+  }
+  if (rows.length > MAX_IMPORT_CARDS) {
+    throw new FlashcardImportError(422, 'TOO_MANY_CARDS', `A set can import at most ${MAX_IMPORT_CARDS} cards`);
+  }
+
+  const storedImages = new Map();
+  const imageFor = async (html) => {
+    const name = ankiFieldImage(html);
+    const entry = name && mediaEntryByName.get(name);
+    if (!entry || !zip.file(entry)) return null;
+    if (!storedImages.has(name)) {
+      if (storedImages.size >= MAX_IMPORT_IMAGES) return null;
+      storedImages.set(name, await storeImage(await zip.file(entry).async('nodebuffer')));
+    }
+    return storedImages.get(name);
+  };
+
+  const cards = [];
+  let skipped = 0;
+  for (const fields of rows) {
+    const first = fields[0] || '';
+    let card;
+    if (CLOZE_MARKER.test(first)) {
+      card = toCard(
+        ankiFieldText(first.replace(CLOZE_PATTERN, (match, answer, hint) => (hint ? `[${hint}]` : '[...]'))),
+        ankiFieldText(first.replace(CLOZE_PATTERN, '$1')),
+        { frontImage: await imageFor(first) }
+      );
+    } else {
+      card = toCard(ankiFieldText(first), ankiFieldText(fields[1]), {
+        frontImage: await imageFor(first),
+        backImage: await imageFor(fields[1])
+      });
+    }
+    if (card) cards.push(card);
+    else skipped += 1;
+  }
+
+  return { cards, skipped, title: deckTitle, images: [...storedImages.values()].filter(Boolean).length };
+}
+
+async function parseImport({ format, filename, buffer, text, termSeparator, cardSeparator, storeImage }) {
+  const resolved = detectImportFormat({ format, filename, text });
+  if (resolved === 'apkg') {
+    if (!Buffer.isBuffer(buffer)) throw new FlashcardImportError(400, 'FILE_REQUIRED', 'Upload the .apkg file');
+    return { format: resolved, ...(await parseApkg(buffer, { storeImage })) };
+  }
+
+  const source = typeof text === 'string' ? text : Buffer.isBuffer(buffer) ? buffer.toString('utf8') : '';
+  if (!source.trim()) throw new FlashcardImportError(400, 'EMPTY_IMPORT', 'There is nothing to import');
+  if (resolved === 'paste') return { format: resolved, images: 0, ...parsePaste(source, { termSeparator, cardSeparator }) };
+  return { format: resolved, images: 0, ...cardsFromRows(parseDelimited(source, resolved === 'csv' ? ',' : '\t')) };
+}
+
+/** Parses an import and saves it as a new set owned by the teacher. */
+async function importFlashcardSet({ ownerId, title, description, language, visibility, template, folderId, ...input }) {
+  const parsed = await parseImport(input);
+  if (!parsed.cards.length) {
+    throw new FlashcardImportError(422, 'NO_CARDS', 'No cards found. Each card needs a term and a definition.');
+  }
+  if (parsed.cards.length > MAX_IMPORT_CARDS) {
+    throw new FlashcardImportError(422, 'TOO_MANY_CARDS', `A set can import at most ${MAX_IMPORT_CARDS} cards`);
+  }
+
+  const resolvedTemplate = ['term-def', 'qa', 'concept'].includes(template) ? template : 'term-def';
+  const fallbackTitle = input.filename ? path.basename(String(input.filename), path.extname(String(input.filename))) : '';
+  const set = await FlashcardSet.create({
+    title: String(title || parsed.title || fallbackTitle || 'Imported set').trim().slice(0, 200),
+    description: description ? String(description).trim() : '',
+    language: language ? String(language).trim() : undefined,
+    visibility: visibility === 'private' ? 'private' : 'public',
+    template: resolvedTemplate,
+    folderId: await resolveTargetFolder(ownerId, folderId),
+    ownerId,
+    cards: parsed.cards.map((card, index) => ({ ...card, order: index, template: resolvedTemplate }))
+  });
+
+  logger.info({ message: 'Flashcard set imported', format: parsed.format, flashcardSetId: String(set._id), cards: parsed.cards.length });
+  return { set, format: parsed.format, imported: parsed.cards.length, skipped: parsed.skipped, images: parsed.images };
+}
+
+/* ─── Export ─────────────────────────────────────────────────────────────── */
+
+function delimitedField(value, delimiter) {
+  const text = String(value ?? '');
+  return /["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toDelimited(cards, delimiter) {
+  const lines = [['front', 'back', 'accepted_answers', 'front_image', 'back_image']];
+  for (const card of cards) {
+    lines.push([card.front, card.back, (card.acceptedAnswers || []).join('|'), card.frontImage || '', card.backImage || '']);
+  }
+  return `${lines.map((cells) => cells.map((cell) => delimitedField(cell, delimiter)).join(delimiter)).join('\r\n')}\r\n`;
+}
+
+function toPaste(cards) {
+  const oneLine = (value) => String(value ?? '').replace(/[\t\r\n]+/g, ' ').trim();
+  return `${cards.map((card) => `${oneLine(card.front)}\t${oneLine(card.back)}`).join('\n')}\n`;
+}
+
+async function readStoredFlashcardImage(url) {
+  const match = FLASHCARD_IMAGE_PATH.exec(String(url || ''));
+  if (!match) return null;
+  try {
+    return await fs.promises.readFile(path.join(resolveUploadFolder('flashcards'), match[1]));
+  } catch (err) {
+    return null;
+  }
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function sha1(value) {
+  return crypto.createHash('sha1').update(String(value)).digest('hex');
+}
+
+/** Stable positive integer id derived from a Mongo id, so re-exports update the same Anki deck. */
+function ankiId(seed, offset) {
+  return 1500000000000 + (parseInt(sha1(seed).slice(0, 8), 16) % 100000000000) + offset;
+}
+
+function ankiCollectionJson(set, did, mid, now) {
+  const deck = (id, name) => ({
+    id, name, desc: '', mod: now, usn: -1, collapsed: false, browserCollapsed: false, dyn: 0, conf: 1,
+    extendNew: 0, extendRev: 0, newToday: [0, 0], revToday: [0, 0], lrnToday: [0, 0], timeToday: [0, 0]
+  });
+  const field = (name, ord) => ({ name, ord, sticky: false, rtl: false, font: 'Arial', size: 20, media: [] });
+  return {
+    conf: { activeDecks: [1], curDeck: 1, newSpread: 0, collapseTime: 1200, timeLim: 0, estTimes: true,
+      dueCounts: true, curModel: null, nextPos: 1, sortType: 'noteFld', sortBackwards: false, addToCur: true },
+    decks: { 1: deck(1, 'Default'), [did]: { ...deck(did, set.title), desc: escapeHtml(set.description || '') } },
+    dconf: { 1: { id: 1, name: 'Default', mod: 0, usn: 0, maxTaken: 60, autoplay: true, timer: 0, replayq: true, dyn: false,
+      new: { delays: [1, 10], ints: [1, 4, 7], initialFactor: 2500, order: 1, perDay: 20, bury: true, separate: true },
+      rev: { perDay: 100, ease4: 1.3, fuzz: 0.05, maxIvl: 36500, ivlFct: 1, minSpace: 1, bury: true },
+      lapse: { delays: [10], mult: 0, minInt: 1, leechFails: 8, leechAction: 0 } } },
+    models: { [mid]: {
+      id: mid, name: 'Basic (flashcard export)', type: 0, mod: now, usn: -1, sortf: 0, did, tags: [], vers: [],
+      flds: [field('Front', 0), field('Back', 1)],
+      tmpls: [{ name: 'Card 1', ord: 0, qfmt: '{{Front}}', afmt: '{{FrontSide}}<hr id=answer>{{Back}}', did: null, bqfmt: '', bafmt: '' }],
+      css: '.card { font-family: arial; font-size: 20px; text-align: center; color: black; background-color: white; }',
+      latexPre: '', latexPost: '', req: [[0, 'any', [0]]]
+    } }
+  };
+}
+
+/** Builds an Anki 2.1 compatible package (legacy collection.anki2 schema) with the set's images. */
+async function buildApkg(set, { readImage = readStoredFlashcardImage } = {}) {
+  const SQL = await loadSqlJs();
+  const db = new SQL.Database();
+  const zip = new JSZip();
+  const media = {};
+  const now = Math.floor(Date.now() / 1000);
+  const did = ankiId(set._id, 0);
+  const mid = ankiId(set._id, 1);
+
+  const fieldHtml = async (text, image) => {
+    let html = escapeHtml(text).replace(/\r?\n/g, '<br>');
+    if (!image) return html;
+    const buffer = await readImage(image);
+    if (buffer) {
+      const entry = String(Object.keys(media).length);
+      const name = path.basename(image);
+      media[entry] = name;
+      zip.file(entry, buffer);
+      html += `<br><img src="${escapeHtml(name)}">`;
+    } else if (/^https:\/\//i.test(image)) {
+      html += `<br><img src="${escapeHtml(image)}">`;
+    }
+    return html;
+  };
+
+  try {
+    db.run(`
+      CREATE TABLE col (id integer primary key, crt integer not null, mod integer not null, scm integer not null, ver integer not null, dty integer not null, usn integer not null, ls integer not null, conf text not null, models text not null, decks text not null, dconf text not null, tags text not null);
+      CREATE TABLE notes (id integer primary key, guid text not null, mid integer not null, mod integer not null, usn integer not null, tags text not null, flds text not null, sfld integer not null, csum integer not null, flags integer not null, data text not null);
+      CREATE TABLE cards (id integer primary key, nid integer not null, did integer not null, ord integer not null, mod integer not null, usn integer not null, type integer not null, queue integer not null, due integer not null, ivl integer not null, factor integer not null, reps integer not null, lapses integer not null, left integer not null, odue integer not null, odid integer not null, flags integer not null, data text not null);
+      CREATE TABLE revlog (id integer primary key, cid integer not null, usn integer not null, ease integer not null, ivl integer not null, lastIvl integer not null, factor integer not null, time integer not null, type integer not null);
+      CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null);
+      CREATE INDEX ix_notes_usn on notes (usn);
+      CREATE INDEX ix_cards_usn on cards (usn);
+      CREATE INDEX ix_cards_nid on cards (nid);
+      CREATE INDEX ix_cards_sched on cards (did, queue, due);
+      CREATE INDEX ix_revlog_usn on revlog (usn);
+      CREATE INDEX ix_revlog_cid on revlog (cid);
+      CREATE INDEX ix_notes_csum on notes (csum);
+    `);
+    const collection = ankiCollectionJson(set, did, mid, now);
+    db.run('INSERT INTO col VALUES (1, ?, ?, ?, 11, 0, 0, 0, ?, ?, ?, ?, ?)', [
+      now, now * 1000, now * 1000,
+      JSON.stringify(collection.conf), JSON.stringify(collection.models),
+      JSON.stringify(collection.decks), JSON.stringify(collection.dconf), '{}'
+    ]);
+
+    const cards = [...(set.cards || [])].sort((a, b) => (a.order || 0) - (b.order || 0));
+    const baseId = Date.now();
+    for (const [index, card] of cards.entries()) {
+      const front = await fieldHtml(card.front, card.frontImage);
+      const back = await fieldHtml(card.back, card.backImage);
+      const noteId = baseId + index;
+      const guid = Buffer.from(sha1(`${set._id}:${card._id || index}`).slice(0, 16), 'hex').toString('base64').slice(0, 10);
+      db.run('INSERT INTO notes VALUES (?, ?, ?, ?, -1, \'\', ?, ?, ?, 0, \'\')', [
+        noteId, guid, mid, now, `${front}\x1f${back}`, card.front, parseInt(sha1(card.front).slice(0, 8), 16)
+      ]);
+      db.run('INSERT INTO cards VALUES (?, ?, ?, 0, ?, -1, 0, 0, ?, 0, 0, 0, 0, 0, 0, 0, 0, \'\')', [
+        noteId, noteId, did, now, index + 1
+      ]);
+    }
+    zip.file('collection.anki2', Buffer.from(db.export()));
+  } finally {
+    db.close();
+  }
+
+  zip.file('media', JSON.stringify(media));
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+function exportFilename(title, format) {
+  const slug = String(title || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60) || 'flashcards';
+  return `${slug}.${format === 'paste' ? 'txt' : format}`;
+}
+
+/** Serialises a set to one of EXPORT_FORMATS; CSV/TSV keep accepted answers and image URLs for re-import. */
+async function exportFlashcardSet(set, format = 'csv', options = {}) {
+  const resolved = String(format || 'csv').toLowerCase();
+  if (!EXPORT_FORMATS.includes(resolved)) {
+    throw new FlashcardImportError(400, 'INVALID_FORMAT', `format must be one of: ${EXPORT_FORMATS.join(', ')}`);
+  }
+  const cards = [...(set.cards || [])].sort((a, b) => (a.order || 0) - (b.order || 0));
+
+  let body;
+  if (resolved === 'apkg') body = await buildApkg(set, options);
+  else if (resolved === 'paste') body = Buffer.from(toPaste(cards), 'utf8');
+  else body = Buffer.from(`\uFEFF${toDelimited(cards, resolved === 'csv' ? ',' : '\t')}`, 'utf8');
+
+  return { body, contentType: CONTENT_TYPES[resolved], filename: exportFilename(set.title, resolved) };
+}
+
+module.exports = {
+  IMPORT_FORMATS,
+  EXPORT_FORMATS,
+  MAX_IMPORT_CARDS,
+  FlashcardImportError,
+  detectImportFormat,
+  parseDelimited,
+  parsePaste,
+  parseApkg,
+  parseImport,
+  storeFlashcardImage,
+  importFlashcardSet,
+  buildApkg,
+  exportFlashcardSet
+};
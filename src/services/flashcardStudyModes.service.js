@@ -0,0 +1,249 @@
+'use strict';
+
+const mongoose = require('mongoose');
+
+const Assignment = require('../models/assignment.model');
+const FlashcardSubmission = require('../models/FlashcardSubmission');
+const Membership = require('../models/membership.model');
+const { FLASHCARD_STUDY_MODES } = require('../constants/flashcard.constants');
+const { gradeFlashcardAnswer, normalizeAnswer, toCardResult } = require('./flashcardAnswerGrading.service');
+const { loadStudySet } = require('./spacedRepetition.service');
+const logger = require('../utils/logger');
+
+const GENERATED_MODES = FLASHCARD_STUDY_MODES.filter((mode) => mode !== 'flip');
+const DEFAULT_OPTION_COUNT = 4;
+const DEFAULT_MATCH_PAIRS = 6;
+const MAX_QUESTIONS = 100;
+
+class StudyModeError extends Error {
+  constructor(statusCode, code, message) {
+    super(message);
+    this.name = 'StudyModeError';
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+function shuffle(items, random = Math.random) {
+  const copy = [...items];
+  for (let i = copy.length - 1; i > 0; i -= 1) {
+    const j = Math.floor(random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+}
+
+function usableCards(set) {
+  return [...(set.cards || [])]
+    .filter((card) => String(card.front || '').trim() && String(card.back || '').trim())
+    .sort((a, b) => (a.order || 0) - (b.order || 0));
+}
+
+function clampCount(value, fallback, max) {
+  const count = Number.parseInt(value, 10);
+  if (!Number.isInteger(count) || count <= 0) return fallback;
+  return Math.min(count, max);
+}
+
+/** Up to `count` backs of other cards that read differently from this card's answer. */
+function distractorsFor(card, cards, count, random) {
+  const answer = normalizeAnswer(card.back);
+  const seen = new Set([answer]);
+  const distractors = [];
+  for (const other of shuffle(cards, random)) {
+    const key = normalizeAnswer(other.back);
+    if (String(other._id) === String(card._id) || seen.has(key)) continue;
+    seen.add(key);
+    distractors.push(other.back);
+    if (distractors.length >= count) break;
+  }
+  return distractors;
+}
+
+function multipleChoiceItem(card, cards, optionCount, random) {
+  return {
+    cardId: String(card._id),
+    type: 'multiple_choice',
+    prompt: card.front,
+    promptImage: card.frontImage || null,
+    options: shuffle([card.back, ...distractorsFor(card, cards, optionCount - 1, random)], random)
+  };
+}
+
+function writtenItem(card) {
+  return { cardId: String(card._id), type: 'written', prompt: card.front, promptImage: card.frontImage || null };
+}
+
+/**
+ * Builds a study round for a derived mode. Answers are never included:
+ * results are graded server-side against the stored cards.
+ */
+function buildStudyMode(set, mode, { count, optionCount = DEFAULT_OPTION_COUNT, pairs = DEFAULT_MATCH_PAIRS, random = Math.random } = {}) {
+  if (!GENERATED_MODES.includes(mode)) {
+    throw new StudyModeError(400, 'INVALID_MODE', `mode must be one of: ${GENERATED_MODES.join(', ')}`);
+  }
+  const cards = usableCards(set);
+  const needsDistractors = mode === 'multiple_choice' || mode === 'learn' || mode === 'match';
+  if (cards.length < (needsDistractors ? 2 : 1)) {
+    throw new StudyModeError(422, 'NOT_ENOUGH_CARDS', `This set needs at least ${needsDistractors ? 2 : 1} cards for ${mode}`);
+  }
+
+  const picked = shuffle(cards, random).slice(0, clampCount(count, cards.length, MAX_QUESTIONS));
+  const base = { mode, flashcardSetId: String(set._id), title: set.title, totalCards: picked.length };
+  const options = Math.max(2, Math.min(clampCount(optionCount, DEFAULT_OPTION_COUNT, 6), cards.length));
+
+  if (mode === 'multiple_choice') {
+    return { ...base, questions: picked.map((card) => multipleChoiceItem(card, cards, options, random)) };
+  }
+  if (mode === 'written') {
+    return { ...base, questions: picked.map(writtenItem) };
+  }
+  if (mode === 'match') {
+    const round = shuffle(cards, random).slice(0, clampCount(pairs, DEFAULT_MATCH_PAIRS, 12));
+    return {
+      ...base,
+      totalCards: round.length,
+      terms: shuffle(round.map((card) => ({ cardId: String(card._id), text: card.front })), random),
+      definitions: shuffle(round.map((card) => card.back), random)
+    };
+  }
+  // learn: recognise first (multiple choice), then recall (written) for every card.
+  return {
+    ...base,
+    questions: [
+      ...picked.map((card) => multipleChoiceItem(card, cards, options, random)),
+      ...shuffle(picked, random).map(writtenItem)
+    ]
+  };
+}
+
+async function gradeItem(card, type, answer) {
+  if (type === 'written') {
+    return gradeFlashcardAnswer({
+      question: card.front, correctAnswer: card.back, acceptedAnswers: card.acceptedAnswers, studentAnswer: answer
+    });
+  }
+  const isCorrect = String(answer ?? '').trim() === String(card.back).trim();
+  return {
+    credit: isCorrect ? 1 : 0,
+    isCorrect,
+    explanation: isCorrect ? 'You picked the matching answer.' : `The correct answer is "${card.back}".`,
+    gradedBy: String(answer ?? '').trim() ? 'exact' : 'empty'
+  };
+}
+
+/**
+ * Grades `[{ cardId, answer, type? }]` for a mode. Learn mode may answer a card
+ * twice (choice then written); the card's credit is the average.
+ */
+async function gradeStudyModeAnswers(set, mode, answers) {
+  if (!GENERATED_MODES.includes(mode)) {
+    throw new StudyModeError(400, 'INVALID_MODE', `mode must be one of: ${GENERATED_MODES.join(', ')}`);
+  }
+  if (!Array.isArray(answers) || answers.length === 0) {
+    throw new StudyModeError(400, 'INVALID_ANSWERS', 'answers must be a non-empty array');
+  }
+  const cardsById = new Map((set.cards || []).map((card) => [String(card._id), card]));
+
+  const byCard = new Map();
+  for (const entry of answers) {
+    const card = entry && cardsById.get(String(entry.cardId));
+    if (!card) throw new StudyModeError(400, 'UNKNOWN_CARD', `Card ${entry?.cardId} is not in this set`);
+    const type = mode === 'learn' ? (entry.type === 'written' ? 'written' : 'multiple_choice') : mode;
+    const grade = await gradeItem(card, type, entry.answer);
+    const key = String(card._id);
+    if (!byCard.has(key)) byCard.set(key, { card, grades: [] });
+    byCard.get(key).grades.push({ grade, answer: entry.answer });
+  }
+
+  const cardResults = [...byCard.values()].map(({ card, grades }) => {
+    const last = grades[grades.length - 1];
+    const credit = Math.round((grades.reduce((sum, { grade }) => sum + grade.credit, 0) / grades.length) * 100) / 100;
+    return toCardResult(card._id, last.answer, { ...last.grade, credit, isCorrect: grades.every(({ grade }) => grade.isCorrect) });
+  });
+  const score = Math.round((cardResults.reduce((sum, result) => sum + result.credit, 0) / cardResults.length) * 100);
+  return { cardResults, score };
+}
+
+async function resolveAssignmentContext(assignmentId, setId, userId) {
+  if (!assignmentId) return null;
+  if (!mongoose.Types.ObjectId.isValid(assignmentId)) {
+    throw new StudyModeError(400, 'INVALID_ASSIGNMENT_ID', 'Invalid assignment ID');
+  }
+  const assignment = await Assignment.findOne({
+    _id: assignmentId, resourceType: 'flashcard', resourceId: String(setId), isActive: true
+  }).select('_id class').lean();
+  if (!assignment) throw new StudyModeError(404, 'ASSIGNMENT_NOT_FOUND', 'Assignment not found or inactive');
+  const membership = await Membership.findOne({ student: userId, class: assignment.class, status: 'active' }).lean();
+  if (!membership) throw new StudyModeError(403, 'NOT_ENROLLED', 'Not enrolled in this class');
+  return assignment._id;
+}
+
+async function generateStudyMode({ setId, mode, userId, count, optionCount, pairs }) {
+  const set = await loadStudySet(setId, userId);
+  return buildStudyMode(set, mode, { count, optionCount, pairs });
+}
+
+/**
+ * Grades and saves a study-mode result. Practice modes can be repeated, so the
+ * latest result per set (or assignment), student and mode replaces the last.
+ */
+async function submitStudyModeResult({ setId, mode, userId, answers, timeTaken, assignmentId }) {
+  const set = await loadStudySet(setId, userId);
+  const resolvedAssignmentId = await resolveAssignmentContext(assignmentId, setId, userId);
+  const { cardResults, score } = await gradeStudyModeAnswers(set, mode, answers);
+
+  const filter = resolvedAssignmentId
+    ? { assignmentId: resolvedAssignmentId, userId, mode }
+    : { flashcardSetId: set._id, userId, assignmentId: null, mode };
+  const submission = await FlashcardSubmission.findOneAndUpdate(
+    filter,
+    {
+      $set: {
+        flashcardSetId: set._id,
+        assignmentId: resolvedAssignmentId,
+        template: set.template || 'term-def',
+        results: cardResults.map((result) => ({ cardId: result.cardId, status: result.isCorrect ? 'know' : 'learning' })),
+        cardResults,
+        totalCards: cardResults.length,
+        score,
+        timeTaken: Number.isFinite(Number(timeTaken)) ? Math.max(0, Number(timeTaken)) : 0,
+        submittedAt: new Date()
+      }
+    },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+  logger.info({ message: 'Flashcard study mode result saved', mode, flashcardSetId: String(set._id), score });
+  return submission;
+}
+
+/** Submission count, average score and time per mode, in FLASHCARD_STUDY_MODES order. */
+function summarizeByMode(submissions) {
+  const groups = new Map();
+  for (const submission of submissions || []) {
+    const mode = submission.mode || 'flip';
+    if (!groups.has(mode)) groups.set(mode, []);
+    groups.get(mode).push(submission);
+  }
+  return FLASHCARD_STUDY_MODES.filter((mode) => groups.has(mode)).map((mode) => {
+    const list = groups.get(mode);
+    const average = (pick) => Math.round(list.reduce((sum, s) => sum + (pick(s) || 0), 0) / list.length);
+    return {
+      mode,
+      submissions: list.length,
+      students: new Set(list.map((s) => String(s.userId?._id || s.userId))).size,
+      averageScore: average((s) => s.score),
+      averageTimeTaken: average((s) => s.timeTaken)
+    };
+  });
+}
+
+module.exports = {
+  GENERATED_MODES,
+  StudyModeError,
+  buildStudyMode,
+  gradeStudyModeAnswers,
+  generateStudyMode,
+  submitStudyModeResult,
+  summarizeByMode
+};
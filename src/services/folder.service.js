@@ -0,0 +1,363 @@
+'use strict';
+
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+
+const Folder = require('../models/Folder');
+const FlashcardSet = require('../models/FlashcardSet');
+const Worksheet = require('../models/Worksheet');
+const { WorksheetDocumentModel } = require('../models/WorksheetDocument');
+
+const MAX_FOLDER_DEPTH = 5;
+const MAX_FOLDERS_PER_OWNER = 500;
+const MAX_MOVE_ITEMS = 200;
+const MAX_SHARED_SETS = 200;
+const ROOT_FOLDER_VALUES = ['root', 'null', 'none'];
+
+/**
+ * Everything a folder can hold. Worksheet documents come from the TypeScript
+ * generator and use UUID string ids and a string `createdBy`.
+ */
+const FOLDER_ITEM_TYPES = {
+  flashcardSet: { model: () => FlashcardSet, ownerField: 'ownerId', idType: 'objectId', countKey: 'flashcardSets' },
+  worksheet: { model: () => Worksheet, ownerField: 'createdBy', idType: 'objectId', countKey: 'worksheets' },
+  worksheetDocument: { model: () => WorksheetDocumentModel, ownerField: 'createdBy', idType: 'uuid', countKey: 'worksheetDocuments' }
+};
+
+class FolderError extends Error {
+  constructor(statusCode, code, message) {
+    super(message);
+    this.name = 'FolderError';
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+function isObjectId(value) {
+  return mongoose.Types.ObjectId.isValid(value) && String(new mongoose.Types.ObjectId(value)) === String(value);
+}
+
+function isUuid(value) {
+  return typeof value === 'string' && /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(value);
+}
+
+function ownerValue(type, ownerId) {
+  return FOLDER_ITEM_TYPES[type].idType === 'uuid' ? String(ownerId) : new mongoose.Types.ObjectId(String(ownerId));
+}
+
+/**
+ * Reads a `folderId` filter from a query string: undefined means "any folder",
+ * null (or "root") means the top level, otherwise a folder id.
+ */
+function parseFolderFilter(value) {
+  if (value === undefined || value === '') return undefined;
+  if (value === null || ROOT_FOLDER_VALUES.includes(String(value).toLowerCase())) return null;
+  if (!isObjectId(value)) throw new FolderError(400, 'INVALID_FOLDER_ID', 'Invalid folder ID');
+  return String(value);
+}
+
+function normalizeName(name) {
+  const value = typeof name === 'string' ? name.trim() : '';
+  if (!value) throw new FolderError(400, 'INVALID_NAME', 'Folder name is required');
+  if (value.length > 100) throw new FolderError(400, 'INVALID_NAME', 'Folder name must be 100 characters or fewer');
+  return value;
+}
+
+function normalizeColor(color) {
+  if (color === undefined) return undefined;
+  if (color === null || color === '') return null;
+  if (typeof color !== 'string' || !/^#[0-9a-f]{3,8}$/i.test(color)) {
+    throw new FolderError(400, 'INVALID_COLOR', 'color must be a hex colour such as #0d9488');
+  }
+  return color;
+}
+
+async function loadOwnedFolders(ownerId) {
+  return Folder.find({ ownerId }).select('_id name parentId color order isPublic shareToken createdAt updatedAt').lean();
+}
+
+/** Resolves a target folder id for the owner: null stays at the top level, anything else must be theirs. */
+async function resolveTargetFolder(ownerId, folderId) {
+  const parsed = parseFolderFilter(folderId === undefined ? null : folderId);
+  if (!parsed) return null;
+  const folder = await Folder.findOne({ _id: parsed, ownerId }).select('_id').lean();
+  if (!folder) throw new FolderError(404, 'FOLDER_NOT_FOUND', 'Folder not found');
+  return folder._id;
+}
+
+function depthOf(folderId, byId) {
+  let depth = 0;
+  let current = folderId ? byId.get(String(folderId)) : null;
+  while (current) {
+    depth += 1;
+    current = current.parentId ? byId.get(String(current.parentId)) : null;
+  }
+  return depth;
+}
+
+function descendantIds(folderId, folders) {
+  const childrenOf = new Map();
+  for (const folder of folders) {
+    const key = String(folder.parentId || '');
+    if (!childrenOf.has(key)) childrenOf.set(key, []);
+    childrenOf.get(key).push(String(folder._id));
+  }
+  const ids = [];
+  const stack = [String(folderId)];
+  while (stack.length) {
+    const id = stack.pop();
+    ids.push(id);
+    stack.push(...(childrenOf.get(id) || []));
+  }
+  return ids;
+}
+
+/** Height of the subtree rooted at `folderId` (1 for a folder with no children). */
+function subtreeHeight(folderId, folders, byId) {
+  const rootDepth = depthOf(folderId, byId);
+  return Math.max(...descendantIds(folderId, folders).map((id) => depthOf(id, byId) - rootDepth + 1));
+}
+
+async function countItemsByFolder(ownerId) {
+  const counts = new Map();
+  await Promise.all(Object.entries(FOLDER_ITEM_TYPES).map(async ([type, { model, ownerField, countKey }]) => {
+    const rows = await model().aggregate([
+      { $match: { [ownerField]: ownerValue(type, ownerId) } },
+      { $group: { _id: { $ifNull: ['$folderId', null] }, count: { $sum: 1 } } }
+    ]);
+    for (const row of rows) {
+      const key = row._id ? String(row._id) : 'root';
+      if (!counts.has(key)) counts.set(key, { flashcardSets: 0, worksheets: 0, worksheetDocuments: 0 });
+      counts.get(key)[countKey] = row.count;
+    }
+  }));
+  return counts;
+}
+
+/**
+ * Builds the nested folder tree for a list of folders. Items counted against
+ * folders that no longer exist are reported with the top level.
+ */
+function buildFolderTree(folders, counts = new Map()) {
+  const emptyCounts = () => ({ flashcardSets: 0, worksheets: 0, worksheetDocuments: 0 });
+  const nodes = new Map(folders.map((folder) => [String(folder._id), {
+    _id: folder._id,
+    name: folder.name,
+    parentId: folder.parentId || null,
+    color: folder.color || null,
+    order: folder.order || 0,
+    isPublic: !!folder.isPublic,
+    counts: counts.get(String(folder._id)) || emptyCounts(),
+    children: []
+  }]));
+
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = node.parentId ? nodes.get(String(node.parentId)) : null;
+    (parent ? parent.children : roots).push(node);
+  }
+  const sortNodes = (list) => {
+    list.sort((a, b) => (a.order - b.order) || a.name.localeCompare(b.name));
+    list.forEach((node) => sortNodes(node.children));
+    return list;
+  };
+
+  const rootCounts = { ...(counts.get('root') || emptyCounts()) };
+  for (const [key, value] of counts) {
+    if (key === 'root' || nodes.has(key)) continue;
+    for (const field of Object.keys(rootCounts)) rootCounts[field] += value[field];
+  }
+  return { folders: sortNodes(roots), rootCounts };
+}
+
+async function listFolderTree(ownerId) {
+  const [folders, counts] = await Promise.all([loadOwnedFolders(ownerId), countItemsByFolder(ownerId)]);
+  return buildFolderTree(folders, counts);
+}
+
+async function createFolder({ ownerId, name, parentId, color, order }) {
+  const folderName = normalizeName(name);
+  const folders = await loadOwnedFolders(ownerId);
+  if (folders.length >= MAX_FOLDERS_PER_OWNER) {
+    throw new FolderError(409, 'FOLDER_LIMIT_REACHED', `You can have at most ${MAX_FOLDERS_PER_OWNER} folders`);
+  }
+
+  const byId = new Map(folders.map((folder) => [String(folder._id), folder]));
+  const parent = parseFolderFilter(parentId ?? null);
+  if (parent && !byId.has(parent)) throw new FolderError(404, 'FOLDER_NOT_FOUND', 'Parent folder not found');
+  if (depthOf(parent, byId) + 1 > MAX_FOLDER_DEPTH) {
+    throw new FolderError(422, 'FOLDER_TOO_DEEP', `Folders can be nested at most ${MAX_FOLDER_DEPTH} levels deep`);
+  }
+
+  return Folder.create({
+    ownerId,
+    name: folderName,
+    parentId: parent,
+    color: normalizeColor(color) ?? null,
+    order: Number.isFinite(Number(order)) ? Number(order) : 0
+  });
+}
+
+/** Renames, recolours, reorders or moves a folder. Moving into its own subtree is rejected. */
+async function updateFolder({ ownerId, folderId, name, color, order, parentId }) {
+  if (!isObjectId(folderId)) throw new FolderError(400, 'INVALID_FOLDER_ID', 'Invalid folder ID');
+  const folders = await loadOwnedFolders(ownerId);
+  const byId = new Map(folders.map((folder) => [String(folder._id), folder]));
+  if (!byId.has(String(folderId))) throw new FolderError(404, 'FOLDER_NOT_FOUND', 'Folder not found');
+
+  const update = {};
+  if (name !== undefined) update.name = normalizeName(name);
+  if (color !== undefined) update.color = normalizeColor(color);
+  if (order !== undefined) {
+    if (!Number.isFinite(Number(order))) throw new FolderError(400, 'INVALID_ORDER', 'order must be a number');
+    update.order = Number(order);
+  }
+
+  if (parentId !== undefined) {
+    const parent = parseFolderFilter(parentId);
+    if (parent && !byId.has(parent)) throw new FolderError(404, 'FOLDER_NOT_FOUND', 'Parent folder not found');
+    if (parent && descendantIds(folderId, folders).includes(parent)) {
+      throw new FolderError(409, 'FOLDER_CYCLE', 'A folder cannot be moved into itself or one of its subfolders');
+    }
+    if (depthOf(parent, byId) + subtreeHeight(folderId, folders, byId) > MAX_FOLDER_DEPTH) {
+      throw new FolderError(422, 'FOLDER_TOO_DEEP', `Folders can be nested at most ${MAX_FOLDER_DEPTH} levels deep`);
+    }
+    update.parentId = parent;
+  }
+
+  return Folder.findOneAndUpdate({ _id: folderId, ownerId }, { $set: update }, { new: true, runValidators: true }).lean();
+}
+
+/**
+ * Deletes a folder without deleting what is in it: subfolders and items move
+ * up to the folder's parent (or the top level).
+ */
+async function deleteFolder({ ownerId, folderId }) {
+  if (!isObjectId(folderId)) throw new FolderError(400, 'INVALID_FOLDER_ID', 'Invalid folder ID');
+  const folder = await Folder.findOne({ _id: folderId, ownerId }).lean();
+  if (!folder) throw new FolderError(404, 'FOLDER_NOT_FOUND', 'Folder not found');
+
+  const parentId = folder.parentId || null;
+  const movedFolders = await Folder.updateMany({ ownerId, parentId: folder._id }, { $set: { parentId } });
+  const movedItems = {};
+  for (const [type, { model, ownerField, countKey }] of Object.entries(FOLDER_ITEM_TYPES)) {
+    const result = await model().updateMany(
+      { [ownerField]: ownerValue(type, ownerId), folderId: folder._id },
+      { $set: { folderId: parentId } }
+    );
+    movedItems[countKey] = result.modifiedCount || 0;
+  }
+  await Folder.deleteOne({ _id: folder._id, ownerId });
+
+  return { folderId: String(folder._id), parentId, movedFolders: movedFolders.modifiedCount || 0, movedItems };
+}
+
+/** Moves flashcard sets, worksheets or worksheet documents the owner has into a folder (or the top level). */
+async function moveItems({ ownerId, type, ids, folderId }) {
+  const itemType = FOLDER_ITEM_TYPES[type];
+  if (!itemType) {
+    throw new FolderError(400, 'INVALID_ITEM_TYPE', `type must be one of: ${Object.keys(FOLDER_ITEM_TYPES).join(', ')}`);
+  }
+  if (!Array.isArray(ids) || ids.length === 0) throw new FolderError(400, 'INVALID_IDS', 'ids must be a non-empty array');
+  if (ids.length > MAX_MOVE_ITEMS) {
+    throw new FolderError(400, 'INVALID_IDS', `At most ${MAX_MOVE_ITEMS} items can be moved at once`);
+  }
+  const validId = itemType.idType === 'uuid' ? isUuid : isObjectId;
+  const invalid = ids.find((id) => !validId(id));
+  if (invalid !== undefined) throw new FolderError(400, 'INVALID_IDS', `Invalid ${type} ID: ${invalid}`);
+
+  const target = await resolveTargetFolder(ownerId, folderId);
+  const result = await itemType.model().updateMany(
+    { _id: { $in: [...new Set(ids.map(String))] }, [itemType.ownerField]: ownerValue(type, ownerId) },
+    { $set: { folderId: target } }
+  );
+  return { type, folderId: target, matched: result.matchedCount || 0, moved: result.modifiedCount || 0 };
+}
+
+function buildFolderShareUrl(shareToken) {
+  const frontendUrl = (process.env.FRONTEND_URL || 'http://localhost:4200').replace(/\/$/, '');
+  return `${frontendUrl}/shared/folders/${shareToken}`;
+}
+
+async function shareFolder({ ownerId, folderId }) {
+  if (!isObjectId(folderId)) throw new FolderError(400, 'INVALID_FOLDER_ID', 'Invalid folder ID');
+  const folder = await Folder.findOne({ _id: folderId, ownerId });
+  if (!folder) throw new FolderError(404, 'FOLDER_NOT_FOUND', 'Folder not found');
+
+  folder.shareToken = folder.shareToken || uuidv4();
+  folder.isPublic = true;
+  await folder.save();
+  return { shareUrl: buildFolderShareUrl(folder.shareToken), shareToken: folder.shareToken };
+}
+
+async function revokeFolderShare({ ownerId, folderId }) {
+  if (!isObjectId(folderId)) throw new FolderError(400, 'INVALID_FOLDER_ID', 'Invalid folder ID');
+  const folder = await Folder.findOneAndUpdate(
+    { _id: folderId, ownerId },
+    { $set: { isPublic: false }, $unset: { shareToken: '' } },
+    { new: true }
+  ).lean();
+  if (!folder) throw new FolderError(404, 'FOLDER_NOT_FOUND', 'Folder not found');
+  return { message: 'Share link revoked' };
+}
+
+function publicFolderNode(node) {
+  return { _id: node._id, name: node.name, color: node.color, children: node.children.map(publicFolderNode) };
+}
+
+/**
+ * Public view of a shared folder: its subfolders and every flashcard set in
+ * the folder or below it, with cards, so the link works like a set share link.
+ */
+async function getSharedFolder(shareToken) {
+  if (!shareToken || typeof shareToken !== 'string') throw new FolderError(400, 'INVALID_SHARE_TOKEN', 'Invalid share token');
+  const folder = await Folder.findOne({ shareToken, isPublic: true }).lean();
+  if (!folder) {
+    throw new FolderError(404, 'FOLDER_NOT_FOUND', 'This folder has been deleted or is no longer available');
+  }
+
+  const folders = await loadOwnedFolders(folder.ownerId);
+  const ids = descendantIds(folder._id, folders);
+  const sets = await FlashcardSet.find({ ownerId: folder.ownerId, folderId: { $in: ids } })
+    .sort({ updatedAt: -1 })
+    .limit(MAX_SHARED_SETS)
+    .select('title description language template folderId cards')
+    .lean();
+
+  const subfolders = folders.filter((f) => ids.includes(String(f._id)) && String(f._id) !== String(folder._id));
+  return {
+    name: folder.name,
+    color: folder.color || null,
+    shareToken: folder.shareToken,
+    folders: buildFolderTree(subfolders.map((f) => (
+      String(f.parentId) === String(folder._id) ? { ...f, parentId: null } : f
+    ))).folders.map(publicFolderNode),
+    sets: sets.map((set) => ({
+      _id: set._id,
+      folderId: set.folderId,
+      title: set.title,
+      description: set.description,
+      language: set.language,
+      template: set.template,
+      cardCount: Array.isArray(set.cards) ? set.cards.length : 0,
+      cards: (set.cards || []).map(({ front, back, frontImage, backImage, order }) => ({ front, back, frontImage, backImage, order }))
+    }))
+  };
+}
+
+module.exports = {
+  FOLDER_ITEM_TYPES,
+  MAX_FOLDER_DEPTH,
+  FolderError,
+  parseFolderFilter,
+  resolveTargetFolder,
+  buildFolderTree,
+  listFolderTree,
+  createFolder,
+  updateFolder,
+  deleteFolder,
+  moveItems,
+  shareFolder,
+  revokeFolderShare,
+  getSharedFolder
+};
@@ -64,6 +64,10 @@ WORKSHEET DESIGN REQUIREMENTS:
        • "matching" → Matching Pairs activity
        • "trueFalse" → True or False statements
        • "shortAnswer" → Short Answer questions
+       • "clozePassage" → Cloze Passage (one connected text with numbered gaps and a word bank)
+       • "readingComprehension" → Reading Comprehension (a passage followed by mixed questions)
+       • "errorCorrection" → Find and Fix the Error sentences
+       • "dictation" → Dictation sentences with blank writing lines
    - Each activity must have a numbered section header, clear instructions, and answer boxes/lines
 3. Use ONLY inline CSS and a single <style> block inside <head> — no external CSS, no Google Fonts imports
 4. The worksheet must be A4 width (794px) and look professional when printed
@@ -94,7 +98,9 @@ function validateHtml(rawHtml, activityTypes) {
     const labels = {
       ordering: ['ordering', 'sequencing'], classification: ['classification', 'sorting'],
       multipleChoice: ['multiple choice'], fillBlanks: ['fill in the blank', 'fill-in-the-blank'],
-      matching: ['matching'], trueFalse: ['true or false', 'true/false'], shortAnswer: ['short answer']
+      matching: ['matching'], trueFalse: ['true or false', 'true/false'], shortAnswer: ['short answer'],
+      clozePassage: ['cloze'], readingComprehension: ['reading comprehension', 'reading'],
+      errorCorrection: ['error', 'correct the mistake'], dictation: ['dictation']
     };
     const missing = requested.filter((type) => !(labels[type] || [type])
       .some((label) => normalized.includes(label.toLowerCase())));
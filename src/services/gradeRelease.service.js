@@ -0,0 +1,233 @@
+'use strict';
+
+const mongoose = require('mongoose');
+
+const Assignment = require('../models/assignment.model');
+const Class = require('../models/class.model');
+const Submission = require('../models/Submission');
+const SubmissionFeedback = require('../models/SubmissionFeedback');
+const WorksheetSubmission = require('../models/WorksheetSubmission');
+const { createNotification, loadNotificationRecipients } = require('./notification.service');
+const { showMarksToStudent } = require('./assignmentAccessPolicy.service');
+const logger = require('../utils/logger');
+
+const GRADE_RELEASE_STATUSES = ['draft', 'released'];
+const RELEASABLE_EVALUATION_STATUSES = ['completed', 'partial'];
+
+class GradeReleaseError extends Error {
+  constructor(statusCode, code, message) {
+    super(message);
+    this.name = 'GradeReleaseError';
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+function draftRelease() {
+  return { status: 'draft', releasedAt: null, releasedBy: null, auto: false };
+}
+
+function releasedState({ releasedBy = null, auto = false } = {}) {
+  return { status: 'released', releasedAt: new Date(), releasedBy, auto };
+}
+
+/** Auto-release applies only when the class opts in and the assignment does not hide marks. */
+function autoPublishEnabled(classDoc, assignment) {
+  return classDoc?.autoPublishGrades === true && showMarksToStudent(assignment);
+}
+
+async function loadReleaseContext(assignmentId) {
+  const assignment = assignmentId
+    ? await Assignment.findById(assignmentId).select('_id title class teacher resourceType resourceId showMarksToStudent').lean()
+    : null;
+  const classDoc = assignment?.class
+    ? await Class.findById(assignment.class).select('_id name autoPublishGrades').lean()
+    : null;
+  return { assignment, classDoc };
+}
+
+async function notifyGradesReleased({ assignment, classDoc, studentIds, actorId }) {
+  const className = classDoc?.name ? String(classDoc.name) : 'your class';
+  const title = String(assignment?.title || 'Assignment');
+  const recipients = await loadNotificationRecipients(studentIds);
+  await Promise.all(studentIds.map((studentId) =>
+    createNotification({
+      recipientId: String(studentId),
+      recipient: recipients.get(String(studentId)) || null,
+      actorId: actorId ? String(actorId) : undefined,
+      type: 'grades_released',
+      title: 'Grades released',
+      description: `Your grade for ${title} in ${className} is now available`,
+      data: {
+        classId: String(classDoc?._id || assignment?.class || ''),
+        assignmentId: String(assignment?._id || ''),
+        resourceType: assignment?.resourceType || 'essay',
+        route: {
+          path: '/student/my-classes/detail',
+          params: [String(classDoc?._id || assignment?.class || '')]
+        }
+      }
+    }).catch((err) => {
+      logger.warn('Failed to create grade release notification', err?.message || err);
+    })
+  ));
+}
+
+/**
+ * Claims the one-time "grades released" notification for each record and
+ * returns the students that have not been told yet. Re-evaluating or
+ * re-releasing a grade that was already announced notifies nobody.
+ */
+async function claimReleaseNotifications(Model, records) {
+  const notifiedAt = new Date();
+  const claimed = await Promise.all(records.map(async (record) => {
+    const result = await Model.updateOne(
+      { _id: record._id, gradeReleaseNotifiedAt: null },
+      { $set: { gradeReleaseNotifiedAt: notifiedAt } }
+    );
+    return result.modifiedCount ? String(record.studentId) : null;
+  }));
+  return [...new Set(claimed.filter(Boolean))];
+}
+
+/** Notifies the student the first time an auto-released worksheet grade is published. */
+async function notifyWorksheetGradeRelease({ assignment, classDoc, submission }) {
+  if (submission?.gradeRelease?.status !== 'released') return;
+  const studentIds = await claimReleaseNotifications(WorksheetSubmission, [
+    { _id: submission._id, studentId: submission.studentId }
+  ]);
+  if (studentIds.length) await notifyGradesReleased({ assignment, classDoc, studentIds });
+}
+
+/**
+ * Called once an essay evaluation is persisted. A `completed` evaluation in an
+ * auto-publishing class is released (and the student notified); anything else
+ * becomes a draft grade that waits for the teacher.
+ */
+async function settleEssayGradeRelease({ submissionId, evaluationStatus }) {
+  const submission = await Submission.findById(submissionId).select('_id assignment student').lean();
+  if (!submission) return null;
+  const feedback = await SubmissionFeedback.findOne({ submissionId: submission._id })
+    .select('_id overriddenByTeacher gradeRelease').lean();
+  // A teacher-overridden grade keeps whatever the teacher last decided.
+  if (!feedback || feedback.overriddenByTeacher) return feedback?.gradeRelease || null;
+
+  const { assignment, classDoc } = await loadReleaseContext(submission.assignment);
+  if (evaluationStatus !== 'completed' || !autoPublishEnabled(classDoc, assignment)) {
+    await SubmissionFeedback.updateOne({ _id: feedback._id }, { $set: { gradeRelease: draftRelease() } });
+    return draftRelease();
+  }
+
+  const gradeRelease = releasedState({ auto: true });
+  await SubmissionFeedback.updateOne({ _id: feedback._id }, { $set: { gradeRelease } });
+  const studentIds = await claimReleaseNotifications(SubmissionFeedback, [
+    { _id: feedback._id, studentId: submission.student }
+  ]);
+  if (studentIds.length) await notifyGradesReleased({ assignment, classDoc, studentIds });
+  return gradeRelease;
+}
+
+/**
+ * Release state for a freshly (re)graded worksheet submission. Worksheets are
+ * auto-graded on submit, so that is the moment an auto-publishing class releases.
+ */
+function worksheetGradeReleaseOnSubmit({ classDoc, assignment }) {
+  return autoPublishEnabled(classDoc, assignment) ? releasedState({ auto: true }) : draftRelease();
+}
+
+function normalizeStudentFilter(studentIds) {
+  if (typeof studentIds === 'undefined' || studentIds === null) return null;
+  if (!Array.isArray(studentIds)) {
+    throw new GradeReleaseError(400, 'INVALID_STUDENT_IDS', 'studentIds must be an array');
+  }
+  const ids = [...new Set(studentIds.map(String))];
+  if (ids.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+    throw new GradeReleaseError(400, 'INVALID_STUDENT_IDS', 'studentIds must contain valid ids');
+  }
+  return ids;
+}
+
+async function releasableEssayFeedback(assignment, studentFilter) {
+  const submissionFilter = { assignment: assignment._id };
+  if (studentFilter) submissionFilter.student = { $in: studentFilter };
+  const submissions = await Submission.find(submissionFilter).select('_id student').lean();
+  if (!submissions.length) return { pending: [], skippedCount: 0 };
+
+  const feedback = await SubmissionFeedback.find({ submissionId: { $in: submissions.map((s) => s._id) } })
+    .select('_id studentId evaluationStatus overriddenByTeacher gradeRelease').lean();
+  const gradable = feedback.filter((doc) =>
+    doc.overriddenByTeacher === true || RELEASABLE_EVALUATION_STATUSES.includes(String(doc.evaluationStatus)));
+  return {
+    pending: gradable.filter((doc) => doc.gradeRelease?.status !== 'released'),
+    skippedCount: submissions.length - gradable.length
+  };
+}
+
+async function releasableWorksheetSubmissions(assignment, studentFilter) {
+  const filter = { assignmentId: assignment._id, 'gradeRelease.status': { $ne: 'released' } };
+  if (studentFilter) filter.studentId = { $in: studentFilter };
+  const docs = await WorksheetSubmission.find(filter).select('_id studentId').lean();
+  return { pending: docs.map((doc) => ({ _id: doc._id, studentId: doc.studentId })), skippedCount: 0 };
+}
+
+/**
+ * Teacher bulk release for one assignment. Essays are released only once their
+ * evaluation has finished (or the teacher overrode the grade); students whose
+ * grade is still being evaluated are counted in `skippedCount`.
+ */
+async function releaseAssignmentGrades({ assignment, teacherId, studentIds }) {
+  if (!assignment) throw new GradeReleaseError(404, 'ASSIGNMENT_NOT_FOUND', 'Assignment not found');
+  const classDoc = await Class.findById(assignment.class).select('_id name').lean();
+
+  const resourceType = assignment.resourceType || 'essay';
+  if (resourceType === 'flashcard') {
+    throw new GradeReleaseError(400, 'RELEASE_NOT_SUPPORTED', 'Flashcard assignments do not have a grade release workflow');
+  }
+
+  const studentFilter = normalizeStudentFilter(studentIds);
+  const Model = resourceType === 'worksheet' ? WorksheetSubmission : SubmissionFeedback;
+  const { pending, skippedCount } = resourceType === 'worksheet'
+    ? await releasableWorksheetSubmissions(assignment, studentFilter)
+    : await releasableEssayFeedback(assignment, studentFilter);
+
+  const gradeRelease = releasedState({ releasedBy: teacherId });
+  if (pending.length) {
+    await Model.updateMany({ _id: { $in: pending.map((doc) => doc._id) } }, { $set: { gradeRelease } });
+  }
+
+  const releasedStudentIds = [...new Set(pending.map((doc) => String(doc.studentId)))];
+  setImmediate(async () => {
+    try {
+      const studentIds = await claimReleaseNotifications(Model, pending);
+      if (!studentIds.length) return;
+      await notifyGradesReleased({ assignment, classDoc, studentIds, actorId: teacherId });
+    } catch (error) {
+      logger.error({
+        message: 'Failed to notify students about released grades',
+        assignmentId: String(assignment._id),
+        resourceType,
+        error: error?.message || String(error)
+      });
+    }
+  });
+
+  return {
+    assignmentId: String(assignment._id),
+    resourceType,
+    releasedCount: pending.length,
+    skippedCount,
+    studentIds: releasedStudentIds,
+    releasedAt: pending.length ? gradeRelease.releasedAt : null
+  };
+}
+
+module.exports = {
+  GRADE_RELEASE_STATUSES,
+  GradeReleaseError,
+  autoPublishEnabled,
+  settleEssayGradeRelease,
+  worksheetGradeReleaseOnSubmit,
+  notifyGradesReleased,
+  notifyWorksheetGradeRelease,
+  releaseAssignmentGrades
+};
@@ -0,0 +1,203 @@
+'use strict';
+
+const mongoose = require('mongoose');
+
+const Assignment = require('../models/assignment.model');
+const Class = require('../models/class.model');
+
+const GRADING_SCALES = ['score_0_100', 'grade_a_f', 'pass_fail'];
+const DEFAULT_GRADING_SCALE = 'score_0_100';
+const LETTERS = ['A', 'B', 'C', 'D'];
+const DEFAULT_CUT_POINTS = Object.freeze({ A: 90, B: 80, C: 70, D: 60, pass: 60 });
+const QUALITATIVE_LABELS = Object.freeze({
+  A: 'Excellent',
+  B: 'Good',
+  C: 'Satisfactory',
+  D: 'Needs Improvement',
+  F: 'Unsatisfactory'
+});
+
+function plain(value) {
+  return value && typeof value.toObject === 'function' ? value.toObject() : value;
+}
+
+function normalizeGradingScale(value) {
+  const scale = typeof value === 'string' ? value.trim().toLowerCase() : '';
+  return GRADING_SCALES.includes(scale) ? scale : DEFAULT_GRADING_SCALE;
+}
+
+/**
+ * Validates teacher-supplied cut points. Missing keys fall back to the defaults;
+ * letter thresholds must lie in 0..100 and strictly descend from A to D.
+ * Returns `{ value }` or `{ error }` in the style of the rubric normalizers.
+ */
+function validateCutPoints(input) {
+  if (input === null || typeof input === 'undefined') return { value: { ...DEFAULT_CUT_POINTS } };
+  if (typeof input !== 'object' || Array.isArray(input)) return { error: 'gradeCutPoints must be an object' };
+
+  const value = {};
+  for (const key of [...LETTERS, 'pass']) {
+    const raw = typeof input[key] === 'undefined' ? DEFAULT_CUT_POINTS[key] : input[key];
+    const n = typeof raw === 'boolean' || raw === null || raw === '' ? NaN : Number(raw);
+    if (!Number.isFinite(n) || n < 0 || n > 100) {
+      return { error: `gradeCutPoints.${key} must be a number between 0 and 100` };
+    }
+    value[key] = n;
+  }
+  for (let i = 1; i < LETTERS.length; i += 1) {
+    if (value[LETTERS[i]] >= value[LETTERS[i - 1]]) {
+      return { error: 'gradeCutPoints must descend strictly from A to D' };
+    }
+  }
+  return { value };
+}
+
+function normalizeCutPoints(input) {
+  const { value } = validateCutPoints(plain(input));
+  return value || { ...DEFAULT_CUT_POINTS };
+}
+
+/** Reads the grading policy from a Class document (or anything shaped like one). */
+function resolveGradingPolicy(classDoc) {
+  return {
+    scale: normalizeGradingScale(classDoc?.gradingScale),
+    cutPoints: normalizeCutPoints(classDoc?.gradeCutPoints)
+  };
+}
+
+function letterForScore(score, cutPoints) {
+  for (const letter of LETTERS) {
+    if (score >= cutPoints[letter]) return letter;
+  }
+  return 'F';
+}
+
+/**
+ * Presents a 0..100 score under a class grading policy.
+ * - score_0_100: the number is the headline; the letter is still reported.
+ * - grade_a_f:   the letter is the headline.
+ * - pass_fail:   only Pass/Fail is ever reported; `letter` is always null.
+ */
+function gradeForScore(score, policy) {
+  const { scale, cutPoints } = policy && policy.scale ? policy : resolveGradingPolicy(null);
+  const n = score === null || score === undefined || score === '' ? NaN : Number(score);
+  if (!Number.isFinite(n)) {
+    return { scale, score: null, letter: null, passed: null, grade: null, qualitativeLabel: null, display: null };
+  }
+
+  const clamped = Math.max(0, Math.min(100, n));
+  const rounded = Math.round(clamped * 10) / 10;
+  const passed = clamped >= cutPoints.pass;
+  if (scale === 'pass_fail') {
+    const grade = passed ? 'Pass' : 'Fail';
+    return { scale, score: rounded, letter: null, passed, grade, qualitativeLabel: grade, display: grade };
+  }
+
+  const letter = letterForScore(clamped, cutPoints);
+  return {
+    scale,
+    score: rounded,
+    letter,
+    passed,
+    grade: letter,
+    qualitativeLabel: QUALITATIVE_LABELS[letter],
+    display: scale === 'grade_a_f' ? letter : `${rounded}/100`
+  };
+}
+
+async function gradingPolicyForClass(classId) {
+  if (!classId || !mongoose.Types.ObjectId.isValid(String(classId))) return resolveGradingPolicy(null);
+  const classDoc = await Class.findById(classId).select('_id gradingScale gradeCutPoints').lean();
+  return resolveGradingPolicy(classDoc);
+}
+
+/** Resolves the grading policy of the owning class for each assignment id. */
+async function gradingPolicyByAssignment(assignmentIds) {
+  const ids = [...new Set((assignmentIds || []).filter(Boolean).map((id) => String(id?._id || id)))]
+    .filter((id) => mongoose.Types.ObjectId.isValid(id));
+  const result = new Map();
+  if (!ids.length) return result;
+
+  const assignments = await Assignment.find({ _id: { $in: ids } }).select('_id class').lean();
+  const classIds = [...new Set(assignments.map((a) => String(a.class)).filter(Boolean))];
+  const classes = classIds.length
+    ? await Class.find({ _id: { $in: classIds } }).select('_id gradingScale gradeCutPoints').lean()
+    : [];
+  const policyByClass = new Map(classes.map((c) => [String(c._id), resolveGradingPolicy(c)]));
+
+  for (const assignment of assignments) {
+    result.set(String(assignment._id), policyByClass.get(String(assignment.class)) || resolveGradingPolicy(null));
+  }
+  return result;
+}
+
+async function gradingPolicyForAssignment(assignmentId) {
+  const map = await gradingPolicyByAssignment([assignmentId]);
+  return map.get(String(assignmentId?._id || assignmentId)) || resolveGradingPolicy(null);
+}
+
+/**
+ * The policy shared by every class in a report, or null when the classes use
+ * different scales or cut points.
+ */
+function commonGradingPolicy(policies) {
+  const list = Array.from(policies || []);
+  if (!list.length) return resolveGradingPolicy(null);
+  const key = (p) => `${p.scale}:${JSON.stringify(p.cutPoints)}`;
+  return list.every((p) => key(p) === key(list[0])) ? list[0] : null;
+}
+
+/** Counts grades for a report: letters for A–F/0–100 classes, Pass/Fail otherwise. */
+function gradeDistribution(scores, policy) {
+  const buckets = policy?.scale === 'pass_fail'
+    ? { Pass: 0, Fail: 0 }
+    : { A: 0, B: 0, C: 0, D: 0, F: 0 };
+  for (const score of scores || []) {
+    const { grade } = gradeForScore(score, policy);
+    if (grade && Object.prototype.hasOwnProperty.call(buckets, grade)) buckets[grade] += 1;
+  }
+  return buckets;
+}
+
+/**
+ * Grade summary for a report over `entries` ({ score, policy }). A report whose
+ * classes share one policy gets a flat distribution under that scale; a mixed
+ * report is flagged as such and each score is counted under its own class
+ * policy, keyed by scale, so a pass/fail class never shows letter grades.
+ */
+function reportGradeSummary(entries) {
+  const list = Array.from(entries || []);
+  const common = commonGradingPolicy(list.map((entry) => entry.policy || resolveGradingPolicy(null)));
+  if (common) {
+    return {
+      gradingScale: common.scale,
+      mixedGradingScales: false,
+      gradeDistribution: gradeDistribution(list.map((entry) => entry.score), common)
+    };
+  }
+
+  const byScale = {};
+  for (const { score, policy } of list) {
+    const resolved = policy || resolveGradingPolicy(null);
+    const buckets = byScale[resolved.scale] || (byScale[resolved.scale] = gradeDistribution([], resolved));
+    const { grade } = gradeForScore(score, resolved);
+    if (grade && Object.prototype.hasOwnProperty.call(buckets, grade)) buckets[grade] += 1;
+  }
+  return { gradingScale: 'mixed', mixedGradingScales: true, gradeDistribution: byScale };
+}
+
+module.exports = {
+  GRADING_SCALES,
+  DEFAULT_GRADING_SCALE,
+  DEFAULT_CUT_POINTS,
+  normalizeGradingScale,
+  validateCutPoints,
+  resolveGradingPolicy,
+  gradeForScore,
+  gradingPolicyForClass,
+  gradingPolicyByAssignment,
+  gradingPolicyForAssignment,
+  commonGradingPolicy,
+  gradeDistribution,
+  reportGradeSummary
+};
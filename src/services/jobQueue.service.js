@@ -0,0 +1,148 @@
+'use strict';
+
+const AnalysisJob = require('../models/AnalysisJob');
+
+const DEFAULT_LEASE_MS = 2 * 60 * 1000;
+const DEFAULT_MAX_ATTEMPTS = 5;
+const BACKOFF_BASE_MS = 15 * 1000;
+const BACKOFF_MAX_MS = 15 * 60 * 1000;
+
+/** Exponential backoff for the Nth failed attempt (1-based), capped at 15 minutes. */
+function computeBackoffMs(attempt, { baseMs = BACKOFF_BASE_MS, maxMs = BACKOFF_MAX_MS } = {}) {
+  const n = Math.max(1, Number(attempt) || 1);
+  return Math.min(maxMs, baseMs * (2 ** (n - 1)));
+}
+
+/**
+ * Enqueues a job unless the same work (`key`) is already queued or leased, in
+ * which case the active job is returned unchanged.
+ */
+async function enqueueJob({ type, submissionId, key, payload = {}, priority = 0, runAt = new Date(),
+  maxAttempts = DEFAULT_MAX_ATTEMPTS }) {
+  const filter = { activeKey: key };
+  const insert = {
+    type, submissionId, key, activeKey: key, payload, priority, runAt, maxAttempts,
+    status: 'queued', attempts: 0
+  };
+  try {
+    return await AnalysisJob.findOneAndUpdate(filter, { $setOnInsert: insert },
+      { upsert: true, new: true, setDefaultsOnInsert: true }).lean();
+  } catch (err) {
+    // Two enqueues raced on the unique activeKey index; the winner is the job.
+    if (err && err.code === 11000) return AnalysisJob.findOne(filter).lean();
+    throw err;
+  }
+}
+
+/** Atomically leases the most urgent runnable job (highest priority, then oldest runAt). */
+async function leaseNextJob({ workerId, types, leaseMs = DEFAULT_LEASE_MS, now = new Date() }) {
+  const filter = { status: 'queued', runAt: { $lte: now } };
+  if (Array.isArray(types) && types.length) filter.type = { $in: types };
+  return AnalysisJob.findOneAndUpdate(filter, {
+    $set: {
+      status: 'leased',
+      leaseOwner: workerId,
+      leaseExpiresAt: new Date(now.getTime() + leaseMs),
+      heartbeatAt: now,
+      startedAt: now
+    },
+    $inc: { attempts: 1 }
+  }, { sort: { priority: -1, runAt: 1 }, new: true }).lean();
+}
+
+/** Extends the lease. Returns false when the lease was lost (expired and requeued). */
+async function heartbeatJob(job, { leaseMs = DEFAULT_LEASE_MS, now = new Date() } = {}) {
+  const result = await AnalysisJob.updateOne(
+    { _id: job._id, status: 'leased', leaseOwner: job.leaseOwner },
+    { $set: { heartbeatAt: now, leaseExpiresAt: new Date(now.getTime() + leaseMs) } }
+  );
+  return result.matchedCount === 1;
+}
+
+function ownedBy(job) {
+  return { _id: job._id, status: 'leased', leaseOwner: job.leaseOwner };
+}
+
+async function completeJob(job, result) {
+  const update = await AnalysisJob.updateOne(ownedBy(job), {
+    $set: { status: 'completed', finishedAt: new Date(), leaseOwner: null, leaseExpiresAt: null,
+      lastError: null, lastErrorCode: null, result: result === undefined ? null : result },
+    $unset: { activeKey: 1 }
+  });
+  return update.matchedCount === 1;
+}
+
+/**
+ * Reschedules a leased job without spending an attempt, e.g. while the
+ * submission is waiting out `semanticNextRetryAt`.
+ */
+async function deferJob(job, runAt) {
+  const update = await AnalysisJob.updateOne(ownedBy(job), {
+    $set: { status: 'queued', runAt, leaseOwner: null, leaseExpiresAt: null },
+    $inc: { attempts: -1 }
+  });
+  return update.matchedCount === 1;
+}
+
+/**
+ * Records a failed attempt. The job is retried with exponential backoff (never
+ * earlier than `retryAt` when given) until `maxAttempts`, then marked failed.
+ */
+async function failJob(job, error, { retryAt = null, now = new Date() } = {}) {
+  const message = String(error?.message || error || 'Job failed').slice(0, 1000);
+  const code = error?.code ? String(error.code) : null;
+  const exhausted = Number(job.attempts) >= Number(job.maxAttempts || DEFAULT_MAX_ATTEMPTS);
+  if (exhausted) {
+    const update = await AnalysisJob.updateOne(ownedBy(job), {
+      $set: { status: 'failed', finishedAt: now, leaseOwner: null, leaseExpiresAt: null,
+        lastError: message, lastErrorCode: code },
+      $unset: { activeKey: 1 }
+    });
+    return { retried: false, updated: update.matchedCount === 1 };
+  }
+  const backoffAt = new Date(now.getTime() + computeBackoffMs(job.attempts));
+  const nextRunAt = retryAt && retryAt > backoffAt ? retryAt : backoffAt;
+  const update = await AnalysisJob.updateOne(ownedBy(job), {
+    $set: { status: 'queued', runAt: nextRunAt, leaseOwner: null, leaseExpiresAt: null,
+      lastError: message, lastErrorCode: code }
+  });
+  return { retried: true, runAt: nextRunAt, updated: update.matchedCount === 1 };
+}
+
+/** Whether any analysis job for the submission is still queued or running. */
+async function hasActiveJob(submissionId) {
+  return Boolean(await AnalysisJob.exists({ submissionId, status: { $in: ['queued', 'leased'] } }));
+}
+
+/**
+ * Sweeper pass: leases that expired (worker crashed or stalled past its
+ * heartbeat) are requeued, or failed once their attempts are used up.
+ */
+async function requeueExpiredLeases({ now = new Date() } = {}) {
+  const expired = { status: 'leased', leaseExpiresAt: { $lt: now } };
+  const failed = await AnalysisJob.updateMany(
+    { ...expired, $expr: { $gte: ['$attempts', '$maxAttempts'] } },
+    { $set: { status: 'failed', finishedAt: now, leaseOwner: null, leaseExpiresAt: null,
+      lastError: 'Lease expired', lastErrorCode: 'LEASE_EXPIRED' }, $unset: { activeKey: 1 } }
+  );
+  const requeued = await AnalysisJob.updateMany(
+    expired,
+    { $set: { status: 'queued', runAt: now, leaseOwner: null, leaseExpiresAt: null,
+      lastError: 'Lease expired', lastErrorCode: 'LEASE_EXPIRED' } }
+  );
+  return { requeued: requeued.modifiedCount || 0, failed: failed.modifiedCount || 0 };
+}
+
+module.exports = {
+  DEFAULT_LEASE_MS,
+  DEFAULT_MAX_ATTEMPTS,
+  computeBackoffMs,
+  enqueueJob,
+  leaseNextJob,
+  heartbeatJob,
+  completeJob,
+  deferJob,
+  failJob,
+  hasActiveJob,
+  requeueExpiredLeases
+};
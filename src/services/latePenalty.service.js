@@ -0,0 +1,174 @@
+'use strict';
+
+const mongoose = require('mongoose');
+
+const Assignment = require('../models/assignment.model');
+const Class = require('../models/class.model');
+const Submission = require('../models/Submission');
+const WorksheetSubmission = require('../models/WorksheetSubmission');
+const FlashcardSubmission = require('../models/FlashcardSubmission');
+const { primaryStudyModeFilter } = require('../constants/flashcard.constants');
+
+/** The class schema default is the single source of truth for the fallback penalty. */
+function defaultPenaltyPercent() {
+  return Class.schema.path('lateSubmissionPenaltyPercent').defaultValue;
+}
+
+class LatePenaltyError extends Error {
+  constructor(statusCode, code, message) {
+    super(message);
+    this.name = 'LatePenaltyError';
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function normalizePenaltyPercent(value) {
+  const n = Number(value);
+  if (!Number.isFinite(n)) return defaultPenaltyPercent();
+  return Math.max(0, Math.min(100, n));
+}
+
+/**
+ * Applies a class late penalty to a single score. The deduction is a percentage of
+ * the maximum score (10% late on a /100 essay costs 10 points), never below zero.
+ * The raw score is always returned unchanged alongside the penalized one.
+ */
+function applyLatePenalty({ score, maxScore = 100, isLate, penaltyPercent, waived } = {}) {
+  const raw = score === null || score === undefined || score === '' ? NaN : Number(score);
+  const rawScore = Number.isFinite(raw) ? raw : null;
+  const percent = normalizePenaltyPercent(penaltyPercent);
+  const isWaived = waived === true;
+  const applies = isLate === true && !isWaived && percent > 0 && rawScore !== null;
+  const max = Number.isFinite(Number(maxScore)) && Number(maxScore) > 0 ? Number(maxScore) : 100;
+  const penaltyPoints = applies ? round2(Math.min(rawScore, (max * percent) / 100)) : 0;
+
+  return {
+    isLate: isLate === true,
+    applied: applies,
+    waived: isLate === true && isWaived,
+    percent,
+    rawScore,
+    penaltyPoints,
+    penalizedScore: rawScore === null ? null : round2(Math.max(0, rawScore - penaltyPoints))
+  };
+}
+
+/** Resolves the penalty percent of the owning class for each assignment id. */
+async function penaltyPercentByAssignment(assignmentIds) {
+  const ids = [...new Set((assignmentIds || []).filter(Boolean).map(String))]
+    .filter((id) => mongoose.Types.ObjectId.isValid(id));
+  const result = new Map();
+  if (!ids.length) return result;
+
+  const assignments = await Assignment.find({ _id: { $in: ids } }).select('_id class').lean();
+  const classIds = [...new Set(assignments.map((a) => String(a.class)).filter(Boolean))];
+  // Not lean: documents created before the field existed must fall back to the schema default.
+  const classes = classIds.length
+    ? await Class.find({ _id: { $in: classIds } }).select('_id lateSubmissionPenaltyPercent')
+    : [];
+  const percentByClass = new Map(classes.map((c) => [String(c._id), normalizePenaltyPercent(c.lateSubmissionPenaltyPercent)]));
+
+  for (const assignment of assignments) {
+    result.set(String(assignment._id), percentByClass.has(String(assignment.class))
+      ? percentByClass.get(String(assignment.class))
+      : defaultPenaltyPercent());
+  }
+  return result;
+}
+
+async function penaltyPercentForAssignment(assignmentId) {
+  if (!assignmentId) return null;
+  const map = await penaltyPercentByAssignment([assignmentId]);
+  return map.has(String(assignmentId)) ? map.get(String(assignmentId)) : null;
+}
+
+/** Convenience wrapper for a submission document that carries `isLate` and `latePenalty`. */
+function latePenaltyForSubmission(submission, { score, maxScore = 100, penaltyPercent } = {}) {
+  const stored = submission?.latePenalty || {};
+  return {
+    ...applyLatePenalty({
+      score,
+      maxScore,
+      isLate: submission?.isLate === true,
+      waived: stored.waived === true,
+      penaltyPercent
+    }),
+    waivedBy: stored.waived === true && stored.waivedBy ? String(stored.waivedBy) : null,
+    waivedAt: stored.waived === true ? stored.waivedAt || null : null
+  };
+}
+
+/**
+ * Decorates lean submissions in place with `latePenalty`, resolving each class
+ * percent once. Report callers average `latePenalty.penalizedScore`.
+ */
+async function attachLatePenalties(submissions, { assignmentIdOf, scoreOf, maxScore = 100 }) {
+  const list = Array.isArray(submissions) ? submissions : [];
+  const idOf = (sub) => {
+    const value = assignmentIdOf(sub);
+    return value ? String(value._id || value) : '';
+  };
+  const percents = await penaltyPercentByAssignment(list.map(idOf));
+  for (const sub of list) {
+    sub.latePenalty = latePenaltyForSubmission(sub, {
+      score: scoreOf(sub),
+      maxScore,
+      penaltyPercent: percents.get(idOf(sub))
+    });
+  }
+  return list;
+}
+
+function submissionModelFor(resourceType) {
+  if (resourceType === 'worksheet') return { Model: WorksheetSubmission, studentField: 'studentId', assignmentField: 'assignmentId' };
+  if (resourceType === 'flashcard') {
+    return { Model: FlashcardSubmission, studentField: 'userId', assignmentField: 'assignmentId', filter: primaryStudyModeFilter() };
+  }
+  return { Model: Submission, studentField: 'student', assignmentField: 'assignment' };
+}
+
+/** Teacher-side waiver toggle for one student's submission to an assignment. */
+async function setLatePenaltyWaiver({ assignment, studentId, waived, teacherId }) {
+  if (!assignment) throw new LatePenaltyError(404, 'ASSIGNMENT_NOT_FOUND', 'Assignment not found');
+  if (!mongoose.Types.ObjectId.isValid(String(studentId))) {
+    throw new LatePenaltyError(400, 'INVALID_STUDENT_ID', 'Invalid student id');
+  }
+
+  const { Model, studentField, assignmentField, filter } = submissionModelFor(assignment.resourceType);
+  const submission = await Model.findOne({ [assignmentField]: assignment._id, [studentField]: studentId, ...filter });
+  if (!submission) throw new LatePenaltyError(404, 'SUBMISSION_NOT_FOUND', 'Submission not found');
+
+  submission.latePenalty = {
+    waived: waived === true,
+    waivedBy: waived === true ? teacherId : null,
+    waivedAt: waived === true ? new Date() : null
+  };
+  await submission.save();
+
+  return {
+    submissionId: String(submission._id),
+    isLate: submission.isLate === true,
+    latePenalty: {
+      waived: submission.latePenalty.waived,
+      waivedBy: submission.latePenalty.waivedBy ? String(submission.latePenalty.waivedBy) : null,
+      waivedAt: submission.latePenalty.waivedAt || null
+    }
+  };
+}
+
+module.exports = {
+  defaultPenaltyPercent,
+  LatePenaltyError,
+  normalizePenaltyPercent,
+  applyLatePenalty,
+  penaltyPercentByAssignment,
+  penaltyPercentForAssignment,
+  latePenaltyForSubmission,
+  attachLatePenalties,
+  setLatePenaltyWaiver
+};
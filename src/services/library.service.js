@@ -0,0 +1,283 @@
+'use strict';
+
+const mongoose = require('mongoose');
+
+const FlashcardSet = require('../models/FlashcardSet');
+const Worksheet = require('../models/Worksheet');
+const User = require('../models/user.model');
+const { resolveTargetFolder } = require('./folder.service');
+const logger = require('../utils/logger');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+const MAX_FACET_VALUES = 25;
+const MAX_ATTRIBUTION_CHAIN = 20;
+const LIBRARY_SORTS = ['relevance', 'popular', 'recent'];
+
+/** Fields only the library may write; stripped from teacher create/update payloads. */
+const LIBRARY_MANAGED_FIELDS = ['sourceId', 'attribution', 'cloneCount'];
+
+/**
+ * What the public library lists. A flashcard set is listed once its owner has
+ * shared it (isPublic) and it is not private; a worksheet once it is public.
+ */
+const LIBRARY_TYPES = {
+  flashcards: {
+    model: () => FlashcardSet,
+    ownerField: 'ownerId',
+    publicFilter: { isPublic: true, visibility: 'public' },
+    facets: ['subject', 'cefrLevel', 'language', 'template'],
+    project: {
+      title: 1, description: 1, subject: 1, cefrLevel: 1, language: 1, template: 1, tags: 1,
+      cloneCount: 1, sourceId: 1, attribution: 1, updatedAt: 1,
+      ownerId: '$ownerId',
+      cardCount: { $size: { $ifNull: ['$cards', []] } }
+    }
+  },
+  worksheets: {
+    model: () => Worksheet,
+    ownerField: 'createdBy',
+    publicFilter: { isPublic: true },
+    facets: ['subject', 'cefrLevel', 'language'],
+    project: {
+      title: 1, description: 1, subject: 1, cefrLevel: 1, gradeLevel: 1, language: 1, tags: 1,
+      estimatedMinutes: 1, totalPoints: 1, thumbnailUrl: 1,
+      cloneCount: 1, sourceId: 1, attribution: 1, updatedAt: 1,
+      ownerId: '$createdBy',
+      activityCount: { $size: { $ifNull: ['$activities', []] } }
+    }
+  }
+};
+
+class LibraryError extends Error {
+  constructor(statusCode, code, message) {
+    super(message);
+    this.name = 'LibraryError';
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+function libraryType(type) {
+  const config = LIBRARY_TYPES[type];
+  if (!config) {
+    throw new LibraryError(400, 'INVALID_TYPE', `type must be one of: ${Object.keys(LIBRARY_TYPES).join(', ')}`);
+  }
+  return config;
+}
+
+function boundedInt(value, fallback, max) {
+  const parsed = Number.parseInt(value, 10);
+  if (!Number.isInteger(parsed) || parsed < 1) return fallback;
+  return Math.min(parsed, max);
+}
+
+/** Facet values may arrive as a repeated query param or a comma-separated list. */
+function facetValues(value) {
+  const list = (Array.isArray(value) ? value : String(value ?? '').split(','))
+    .map((item) => String(item).trim())
+    .filter(Boolean)
+    .slice(0, 20);
+  return list.length ? list : null;
+}
+
+function buildSearchFilter(config, query = {}) {
+  const filter = { ...config.publicFilter };
+  const q = typeof query.q === 'string' ? query.q.trim().slice(0, 200) : '';
+  if (q) filter.$text = { $search: q };
+  for (const facet of config.facets) {
+    const values = facetValues(query[facet]);
+    if (values) filter[facet] = values.length === 1 ? values[0] : { $in: values };
+  }
+  return { filter, q };
+}
+
+function sortStage(sort, hasText) {
+  const resolved = LIBRARY_SORTS.includes(sort) ? sort : 'relevance';
+  if (resolved === 'relevance' && hasText) return { score: { $meta: 'textScore' }, cloneCount: -1, _id: 1 };
+  if (resolved === 'recent') return { updatedAt: -1, _id: 1 };
+  return { cloneCount: -1, updatedAt: -1, _id: 1 };
+}
+
+async function authorNames(ownerIds) {
+  const ids = [...new Set(ownerIds.filter(Boolean).map(String))];
+  if (!ids.length) return new Map();
+  const users = await User.find({ _id: { $in: ids } }).select('displayName').lean();
+  return new Map(users.map((user) => [String(user._id), user.displayName || '']));
+}
+
+function withAuthor(item, names) {
+  const { ownerId, ...rest } = item;
+  return { ...rest, author: { _id: ownerId || null, name: (ownerId && names.get(String(ownerId))) || 'A teacher' } };
+}
+
+/**
+ * Full-text and facet search over the public library. Facet counts are for
+ * the whole result set, so the UI can show how many items each filter keeps.
+ */
+async function searchLibrary({ type = 'flashcards', page, limit, sort, ...query } = {}) {
+  const config = libraryType(type);
+  const { filter, q } = buildSearchFilter(config, query);
+  const pageNum = boundedInt(page, 1, 1000);
+  const limitNum = boundedInt(limit, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+
+  const facetStages = Object.fromEntries(config.facets.map((facet) => [facet, [
+    { $match: { [facet]: { $nin: [null, ''] } } },
+    { $group: { _id: `$${facet}`, count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: MAX_FACET_VALUES }
+  ]]));
+
+  const [result] = await config.model().aggregate([
+    { $match: filter },
+    {
+      $facet: {
+        items: [
+          { $sort: sortStage(sort, !!q) },
+          { $skip: (pageNum - 1) * limitNum },
+          { $limit: limitNum },
+          { $project: config.project }
+        ],
+        total: [{ $count: 'count' }],
+        ...facetStages
+      }
+    }
+  ]);
+
+  const items = result?.items || [];
+  const names = await authorNames(items.map((item) => item.ownerId));
+  const total = result?.total?.[0]?.count || 0;
+  return {
+    type,
+    items: items.map((item) => withAuthor(item, names)),
+    facets: Object.fromEntries(config.facets.map((facet) => [
+      facet,
+      (result?.[facet] || []).map((row) => ({ value: row._id, count: row.count }))
+    ])),
+    pagination: { total, page: pageNum, limit: limitNum, pages: Math.ceil(total / limitNum) }
+  };
+}
+
+async function loadPublicItem(config, id) {
+  if (!mongoose.Types.ObjectId.isValid(id)) throw new LibraryError(400, 'INVALID_ID', 'Invalid library item ID');
+  const item = await config.model().findOne({ _id: id, ...config.publicFilter }).lean();
+  if (!item) throw new LibraryError(404, 'NOT_FOUND', 'This item is not in the public library');
+  return item;
+}
+
+/**
+ * Public preview of a library item. Flashcard sets include their cards;
+ * worksheets only list their activities, so answers stay out of the preview.
+ */
+async function getLibraryItem({ type, id }) {
+  const config = libraryType(type);
+  const item = await loadPublicItem(config, id);
+  const names = await authorNames([item[config.ownerField]]);
+  const base = {
+    _id: item._id,
+    title: item.title,
+    description: item.description,
+    subject: item.subject || '',
+    cefrLevel: item.cefrLevel || null,
+    language: item.language,
+    tags: item.tags || [],
+    cloneCount: item.cloneCount || 0,
+    sourceId: item.sourceId || null,
+    attribution: item.attribution || [],
+    updatedAt: item.updatedAt,
+    author: { _id: item[config.ownerField], name: names.get(String(item[config.ownerField])) || 'A teacher' }
+  };
+
+  if (type === 'flashcards') {
+    return {
+      ...base,
+      template: item.template,
+      cards: [...(item.cards || [])]
+        .sort((a, b) => (a.order || 0) - (b.order || 0))
+        .map(({ front, back, frontImage, backImage, order }) => ({ front, back, frontImage, backImage, order }))
+    };
+  }
+  return {
+    ...base,
+    gradeLevel: item.gradeLevel || null,
+    estimatedMinutes: item.estimatedMinutes,
+    totalPoints: item.totalPoints,
+    thumbnailUrl: item.thumbnailUrl || null,
+    theme: item.theme,
+    activities: (item.activities || []).map(({ type: activityType, title, instructions, order }) => ({
+      type: activityType, title, instructions, order
+    }))
+  };
+}
+
+/** The clone's attribution: the source's own chain plus the source itself, capped to the newest entries. */
+function buildAttribution(source, ownerField, authorName, now = new Date()) {
+  const chain = [
+    ...(source.attribution || []),
+    {
+      sourceId: source._id,
+      title: source.title,
+      authorId: source[ownerField] || null,
+      authorName: authorName || '',
+      clonedAt: now
+    }
+  ];
+  return chain.slice(-MAX_ATTRIBUTION_CHAIN);
+}
+
+function clonePayload(type, source, { ownerId, folderId, attribution }) {
+  const {
+    _id, __v, createdAt, updatedAt, shareToken, isPublic, cloneCount, folderId: sourceFolderId, ...rest
+  } = source;
+  const common = { ...rest, sourceId: _id, attribution, cloneCount: 0, isPublic: false, folderId };
+
+  if (type === 'flashcards') {
+    return {
+      ...common,
+      ownerId,
+      assignedClasses: [],
+      cards: (source.cards || []).map(({ _id: cardId, ...card }) => card)
+    };
+  }
+  return {
+    ...common,
+    createdBy: ownerId,
+    isPublished: false,
+    // The copy starts its own revision history
+    revision: 1,
+    activities: (source.activities || []).map(({ _id: activityId, ...activity }) => activity)
+  };
+}
+
+/**
+ * Copies a public item into the teacher's library. The copy starts private
+ * and unshared; cloning someone else's item counts toward its ranking.
+ */
+async function cloneLibraryItem({ type, id, userId, folderId }) {
+  const config = libraryType(type);
+  const source = await loadPublicItem(config, id);
+  const targetFolder = await resolveTargetFolder(userId, folderId);
+  const names = await authorNames([source[config.ownerField]]);
+  const attribution = buildAttribution(source, config.ownerField, names.get(String(source[config.ownerField])));
+
+  const copy = await config.model().create(clonePayload(type, source, { ownerId: userId, folderId: targetFolder, attribution }));
+
+  const ownClone = String(source[config.ownerField]) === String(userId);
+  if (!ownClone) {
+    await config.model().updateOne({ _id: source._id }, { $inc: { cloneCount: 1 } });
+  }
+  logger.info({ message: 'Library item cloned', type, sourceId: String(source._id), cloneId: String(copy._id) });
+  return copy;
+}
+
+module.exports = {
+  LIBRARY_TYPES,
+  LIBRARY_SORTS,
+  LIBRARY_MANAGED_FIELDS,
+  LibraryError,
+  buildSearchFilter,
+  buildAttribution,
+  searchLibrary,
+  getLibraryItem,
+  cloneLibraryItem
+};
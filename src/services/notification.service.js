@@ -1,20 +1,139 @@
 const mongoose = require('mongoose');
 
 const Notification = require('../models/notification.model');
+const User = require('../models/user.model');
 const { publishToUser } = require('./notificationRealtime.service');
+const { nextSequence } = require('./sequence.service');
+const { sendNotificationEmail } = require('./email.service');
+const {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_CHANNELS,
+  DEFAULT_NOTIFICATION_CHANNEL
+} = require('../constants/notification.constants');
+const logger = require('../utils/logger');
 
-async function createNotification({ recipientId, actorId, type, title, description, data }) {
+class NotificationPreferenceError extends Error {
+  constructor(statusCode, code, message) {
+    super(message);
+    this.name = 'NotificationPreferenceError';
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+const DEFAULT_READ_TTL_DAYS = 90;
+
+/** Read TTL in milliseconds; null when NOTIFICATION_READ_TTL_DAYS disables it (0). */
+function readTtlMs() {
+  const raw = process.env.NOTIFICATION_READ_TTL_DAYS;
+  const days = raw === undefined || raw === '' ? DEFAULT_READ_TTL_DAYS : Number(raw);
+  if (!Number.isFinite(days) || days <= 0) return null;
+  return days * 24 * 60 * 60 * 1000;
+}
+
+/** When a notification read at `readAt` should expire; undefined when the TTL is disabled (0). */
+function notificationReadExpiresAt(readAt = new Date()) {
+  const ttlMs = readTtlMs();
+  return ttlMs === null ? undefined : new Date(readAt.getTime() + ttlMs);
+}
+
+/**
+ * Gives notifications read before the read TTL existed an expiry measured from
+ * their readAt, so the TTL index removes them too. Idempotent; run once through
+ * scripts/backfillReadNotificationExpiry.js.
+ */
+async function backfillReadNotificationExpiry() {
+  const ttlMs = readTtlMs();
+  if (ttlMs === null) return 0;
+  const result = await Notification.updateMany(
+    { readAt: { $type: 'date' }, expiresAt: null },
+    [{ $set: { expiresAt: { $add: ['$readAt', ttlMs] } } }],
+    { updatePipeline: true }
+  );
+  return result.modifiedCount;
+}
+
+function preferenceFor(user, type) {
+  const prefs = user && user.notificationPreferences;
+  const value = prefs && (typeof prefs.get === 'function' ? prefs.get(type) : prefs[type]);
+  return NOTIFICATION_CHANNELS.includes(value) ? value : DEFAULT_NOTIFICATION_CHANNEL;
+}
+
+/** Every known type with the user's channel (defaults filled in). */
+function resolveNotificationPreferences(user) {
+  return Object.fromEntries(NOTIFICATION_TYPES.map((type) => [type, preferenceFor(user, type)]));
+}
+
+async function getNotificationPreferences(userId) {
+  const user = await User.findById(userId).select('notificationPreferences').lean();
+  if (!user) throw new NotificationPreferenceError(404, 'USER_NOT_FOUND', 'User not found');
+  return { preferences: resolveNotificationPreferences(user), channels: [...NOTIFICATION_CHANNELS] };
+}
+
+/** Merges `{ [type]: channel }` into the user's preferences. Unknown types or channels are rejected. */
+async function updateNotificationPreferences(userId, preferences) {
+  if (!preferences || typeof preferences !== 'object' || Array.isArray(preferences)) {
+    throw new NotificationPreferenceError(400, 'INVALID_PREFERENCES', 'preferences must be an object');
+  }
+  const $set = {};
+  for (const [type, channel] of Object.entries(preferences)) {
+    if (!NOTIFICATION_TYPES.includes(type)) {
+      throw new NotificationPreferenceError(400, 'UNKNOWN_NOTIFICATION_TYPE', `Unknown notification type: ${type}`);
+    }
+    if (!NOTIFICATION_CHANNELS.includes(channel)) {
+      throw new NotificationPreferenceError(400, 'INVALID_CHANNEL',
+        `${type} must be one of: ${NOTIFICATION_CHANNELS.join(', ')}`);
+    }
+    $set[`notificationPreferences.${type}`] = channel;
+  }
+  const user = await User.findByIdAndUpdate(userId, Object.keys($set).length ? { $set } : {}, { new: true })
+    .select('notificationPreferences').lean();
+  if (!user) throw new NotificationPreferenceError(404, 'USER_NOT_FOUND', 'User not found');
+  return { preferences: resolveNotificationPreferences(user), channels: [...NOTIFICATION_CHANNELS] };
+}
+
+const RECIPIENT_FIELDS = 'email notificationPreferences';
+
+/**
+ * Email and notification preferences for many recipients in one query, keyed
+ * by user id. Senders that notify a whole class pass each entry to
+ * createNotification as `recipient`.
+ */
+async function loadNotificationRecipients(recipientIds) {
+  const ids = [...new Set((recipientIds || []).map(String))].filter((id) => mongoose.Types.ObjectId.isValid(id));
+  const users = ids.length ? await User.find({ _id: { $in: ids } }).select(RECIPIENT_FIELDS).lean() : [];
+  return new Map(users.map((user) => [String(user._id), user]));
+}
+
+/**
+ * Stores and streams a notification, honouring the recipient's channel for its
+ * type. Resolves to null when the recipient turned the type off. `recipient`
+ * (from loadNotificationRecipients) skips the per-notification user lookup.
+ */
+async function createNotification({ recipientId, actorId, type, title, description, data, recipient: preloaded }) {
   if (!mongoose.Types.ObjectId.isValid(recipientId)) {
     throw new Error('Invalid recipient id');
   }
 
+  const normalizedType = String(type || '').trim();
+  const recipient = preloaded !== undefined
+    ? preloaded
+    : await User.findById(recipientId).select(RECIPIENT_FIELDS).lean();
+  const channel = preferenceFor(recipient, normalizedType);
+  if (channel === 'off') return null;
+
+  const emailDelivery = recipient?.email && channel === 'email' ? 'immediate'
+    : (recipient?.email && channel === 'digest' ? 'digest' : undefined);
+
   const doc = await Notification.create({
+    seq: await nextSequence('notifications'),
     recipient: recipientId,
     actor: actorId && mongoose.Types.ObjectId.isValid(actorId) ? actorId : undefined,
-    type: String(type || '').trim(),
+    type: normalizedType,
     title: String(title || '').trim(),
     description: String(description || '').trim(),
-    data
+    data,
+    emailDelivery
   });
 
   const populated = await Notification.findById(doc._id)
@@ -22,14 +141,33 @@ async function createNotification({ recipientId, actorId, type, title, descripti
     .populate('actor', '_id email displayName photoURL role');
 
   publishToUser({
+    id: doc.seq,
     userId: recipientId,
     event: 'notification',
     payload: populated
   });
 
+  if (emailDelivery === 'immediate') {
+    setImmediate(async () => {
+      try {
+        const sent = await sendNotificationEmail({ to: recipient.email, notification: doc });
+        if (sent.success) await Notification.updateOne({ _id: doc._id }, { $set: { emailedAt: new Date() } });
+      } catch (err) {
+        logger.warn('Failed to email notification');
+      }
+    });
+  }
+
   return populated;
 }
 
 module.exports = {
+  NotificationPreferenceError,
+  notificationReadExpiresAt,
+  backfillReadNotificationExpiry,
+  resolveNotificationPreferences,
+  getNotificationPreferences,
+  updateNotificationPreferences,
+  loadNotificationRecipients,
   createNotification
 };
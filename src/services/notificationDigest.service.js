@@ -0,0 +1,88 @@
+'use strict';
+
+const Notification = require('../models/notification.model');
+const User = require('../models/user.model');
+const { sendNotificationDigestEmail } = require('./email.service');
+const logger = require('../utils/logger');
+
+const DIGEST_ITEM_LIMIT = 50;
+const SCHEDULER_INTERVAL_MS = 15 * 60 * 1000;
+
+function digestHourUtc() {
+  const hour = Number.parseInt(process.env.NOTIFICATION_DIGEST_HOUR_UTC, 10);
+  return Number.isInteger(hour) && hour >= 0 && hour <= 23 ? hour : 7;
+}
+
+/** Start of the current digest day: today's digest hour, or yesterday's if it has not come yet. */
+function currentDigestWindowStart(now = new Date(), hour = digestHourUtc()) {
+  const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), hour));
+  if (start > now) start.setUTCDate(start.getUTCDate() - 1);
+  return start;
+}
+
+/**
+ * Sends one digest per recipient with unread, not-yet-emailed digest
+ * notifications. Each user is claimed with a conditional update on
+ * notificationDigestSentAt, so concurrent instances never double-send.
+ */
+async function runNotificationDigest({ now = new Date() } = {}) {
+  const windowStart = currentDigestWindowStart(now);
+  const recipientIds = await Notification.distinct('recipient', {
+    emailDelivery: 'digest', emailedAt: { $exists: false }, readAt: { $exists: false }
+  });
+
+  const summary = { recipients: 0, notifications: 0, failed: 0 };
+  for (const recipientId of recipientIds) {
+    const user = await User.findOneAndUpdate(
+      { _id: recipientId, $or: [{ notificationDigestSentAt: { $exists: false } }, { notificationDigestSentAt: { $lt: windowStart } }] },
+      { $set: { notificationDigestSentAt: now } },
+      { new: false }
+    ).select('email displayName notificationDigestSentAt').lean();
+    if (!user || !user.email) continue;
+
+    const notifications = await Notification.find({
+      recipient: recipientId, emailDelivery: 'digest', emailedAt: { $exists: false }, readAt: { $exists: false }
+    }).sort({ createdAt: -1 }).limit(DIGEST_ITEM_LIMIT).lean();
+    if (!notifications.length) continue;
+
+    const sent = await sendNotificationDigestEmail({ to: user.email, displayName: user.displayName, notifications });
+    if (!sent.success) {
+      // Release the claim so the next scheduler tick retries this user.
+      await User.updateOne({ _id: recipientId, notificationDigestSentAt: now },
+        user.notificationDigestSentAt ? { $set: { notificationDigestSentAt: user.notificationDigestSentAt } }
+          : { $unset: { notificationDigestSentAt: 1 } });
+      summary.failed += 1;
+      continue;
+    }
+    await Notification.updateMany({ _id: { $in: notifications.map((item) => item._id) } }, { $set: { emailedAt: now } });
+    summary.recipients += 1;
+    summary.notifications += notifications.length;
+  }
+  return summary;
+}
+
+/** Checks periodically and sends the day's digests once the digest hour has passed. */
+function startNotificationDigestScheduler({ intervalMs = SCHEDULER_INTERVAL_MS } = {}) {
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const summary = await runNotificationDigest();
+      if (summary.recipients || summary.failed) logger.info({ message: 'Notification digest run', ...summary });
+    } catch (err) {
+      logger.error({ message: 'Notification digest run failed', error: err?.message || String(err) });
+    } finally {
+      running = false;
+    }
+  };
+  const timer = setInterval(tick, intervalMs);
+  timer.unref?.();
+  return { stop: () => clearInterval(timer) };
+}
+
+module.exports = {
+  currentDigestWindowStart,
+  runNotificationDigest,
+  startNotificationDigestScheduler
+};
@@ -1,46 +1,106 @@
 const logger = require('../utils/logger');
+const { getRealtimeBus } = require('./realtimeBus.service');
 
-// In-memory SSE connections: userId -> Set<res>
+// SSE connections held by this process: userId -> Set<{ res, buffer }>.
+// Messages for users connected to another instance travel over the realtime bus.
 const userStreams = new Map();
+let subscribed = false;
 
-function registerStream({ userId, res }) {
+function formatMessage({ id, event, payload }) {
+  const idLine = id ? `id: ${String(id)}\n` : '';
+  return `${idLine}event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`;
+}
+
+function writeMessage(res, message) {
+  try {
+    res.write(formatMessage(message));
+  } catch (err) {
+    logger.warn('Failed to push SSE notification');
+  }
+}
+
+function deliverLocally(message) {
+  const key = String(message.userId);
+  const set = userStreams.get(key);
+  if (!set || set.size === 0) return;
+
+  for (const stream of Array.from(set)) {
+    // Streams still replaying missed notifications queue live messages.
+    if (stream.buffer) stream.buffer.push(message);
+    else writeMessage(stream.res, message);
+  }
+}
+
+/**
+ * Attaches an SSE response to the user's live messages. `replay` (optional)
+ * resolves to messages the client missed; they are written first, and live
+ * messages arriving meanwhile follow them without repeating a replayed id.
+ */
+async function registerStream({ userId, res, replay }) {
   const key = String(userId);
   if (!userStreams.has(key)) {
     userStreams.set(key, new Set());
   }
 
-  userStreams.get(key).add(res);
+  const stream = { res, buffer: replay ? [] : null };
+  userStreams.get(key).add(stream);
+
+  // Only processes that hold streams need to listen to the other instances.
+  if (!subscribed) {
+    subscribed = true;
+    getRealtimeBus().subscribe(deliverLocally);
+  }
 
   res.on('close', () => {
     try {
       const set = userStreams.get(key);
       if (set) {
-        set.delete(res);
+        set.delete(stream);
         if (set.size === 0) userStreams.delete(key);
       }
     } catch (err) {
       // ignore
     }
   });
-}
 
-function publishToUser({ userId, event, payload }) {
-  const key = String(userId);
-  const set = userStreams.get(key);
-  if (!set || set.size === 0) return;
+  if (!replay) return;
+  let missed = [];
+  try {
+    missed = await replay();
+  } catch (err) {
+    logger.warn({ message: 'Failed to replay missed SSE notifications', error: err?.message || String(err) });
+  }
+  const replayedIds = new Set();
+  for (const message of missed || []) {
+    if (message.id) replayedIds.add(String(message.id));
+    writeMessage(res, message);
+  }
+  const live = stream.buffer;
+  stream.buffer = null;
+  for (const message of live) {
+    if (!message.id || !replayedIds.has(String(message.id))) writeMessage(res, message);
+  }
+}
 
-  const msg = `event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`;
+/** `id` becomes the SSE event id clients send back as Last-Event-ID. */
+function publishToUser({ userId, event, payload, id }) {
+  const message = { id: id ? String(id) : undefined, userId: String(userId), event, payload };
+  deliverLocally(message);
 
-  for (const res of Array.from(set)) {
-    try {
-      res.write(msg);
-    } catch (err) {
-      logger.warn('Failed to push SSE notification');
-    }
+  let serialized;
+  try {
+    serialized = JSON.parse(JSON.stringify(payload ?? null));
+  } catch (err) {
+    logger.warn('SSE payload is not serializable; skipping fan-out');
+    return;
   }
+  getRealtimeBus().publish({ ...message, payload: serialized }).catch((err) => {
+    logger.warn({ message: 'Failed to fan out SSE notification', error: err?.message || String(err) });
+  });
 }
 
 module.exports = {
+  formatMessage,
   registerStream,
   publishToUser
 };
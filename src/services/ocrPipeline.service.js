@@ -16,7 +16,9 @@ function toAbsoluteStoredPath(storedPath) {
   return path.join(__dirname, '..', '..', storedPath);
 }
 
-async function runOcrAndPersistForFiles({ fileIds, targetDoc, jobId }) {
+// `runCorrections: false` stops after OCR is persisted; the persistent analysis
+// queue schedules corrections as their own job instead.
+async function runOcrAndPersistForFiles({ fileIds, targetDoc, jobId, runCorrections = true, onProgress = () => {} }) {
   const ids = Array.isArray(fileIds) ? fileIds.filter(Boolean) : [];
   const first = ids.length ? ids[0] : null;
   if (!first) {
@@ -45,12 +47,14 @@ async function runOcrAndPersistForFiles({ fileIds, targetDoc, jobId }) {
     );
     return persisted.modifiedCount === 1 || persisted.matchedCount === 1;
   };
+  const reportOcrProgress = () => onProgress({ ocrStatus: targetDoc.ocrStatus, ocrError: targetDoc.ocrError });
   if (!(await isCurrentJob())) return { ocrStatus: 'superseded' };
   if (!jobId) {
     targetDoc.ocrStatus = 'pending';
     targetDoc.ocrError = undefined;
     targetDoc.ocrUpdatedAt = new Date();
     if (!(await saveCurrentJob())) return { ocrStatus: 'superseded' };
+    reportOcrProgress();
   }
 
   const attempted = ids.length;
@@ -190,6 +194,7 @@ async function runOcrAndPersistForFiles({ fileIds, targetDoc, jobId }) {
     targetDoc.ocrError = msg;
     targetDoc.ocrUpdatedAt = new Date();
     if (!(await saveCurrentJob())) return { ocrStatus: 'superseded' };
+    reportOcrProgress();
 
     return {
       ocrText: targetDoc.ocrText || '',
@@ -220,6 +225,7 @@ async function runOcrAndPersistForFiles({ fileIds, targetDoc, jobId }) {
       : 'OCR failed to produce readable text. Please retry OCR or upload a clearer image.';
     targetDoc.ocrUpdatedAt = new Date();
     if (!(await saveCurrentJob())) return { ocrStatus: 'superseded' };
+    reportOcrProgress();
     logger.warn({ message: 'OCR transcript quality gate failed', submissionId: String(targetDoc._id),
       errorCode: transcriptQuality.code, pages: transcriptQuality.diagnostics.map((item) => ({
         fileId: item.fileId, pageNumber: item.pageNumber, mappedWords: item.mappedWords,
@@ -230,12 +236,14 @@ async function runOcrAndPersistForFiles({ fileIds, targetDoc, jobId }) {
   targetDoc.ocrError = undefined;
   targetDoc.ocrUpdatedAt = new Date();
   if (!(await saveCurrentJob())) return { ocrStatus: 'superseded' };
+  reportOcrProgress();
+  if (!runCorrections) return { ocrText: targetDoc.ocrText, ocrStatus: targetDoc.ocrStatus };
   try {
     const assignmentDoc = targetDoc.assignment ? await Assignment.findById(targetDoc.assignment).lean().catch(() => null) : null;
     await canonicalCorrectionsPipeline.generateAndPersist(targetDoc, { assignment: assignmentDoc ? {
       title: assignmentDoc.title || '', description: assignmentDoc.description || assignmentDoc.instructions || '',
       rubric: assignmentDoc.rubric || null, rubrics: assignmentDoc.rubrics || null
-    } : {} });
+    } : {}, onProgress });
   } catch (err) {
     logger.error({ message: 'Canonical correction generation failed after OCR', error: err?.message || err });
   }
@@ -0,0 +1,524 @@
+'use strict';
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const Organization = require('../models/Organization');
+const OrganizationInvitation = require('../models/OrganizationInvitation');
+const OrganizationMember = require('../models/OrganizationMember');
+const Plan = require('../models/Plan');
+const User = require('../models/user.model');
+const { sendOrganizationInvitationEmail } = require('./email.service');
+const { createNotification } = require('./notification.service');
+const { isOrganizationEntitled } = require('./organizationSeat.service');
+const { idOf, getPeriod, getPriceId } = require('./stripeSubscription.service');
+const { USAGE_METRICS, getPeriodUsageSummaries } = require('./usageLedger.service');
+const { getLimit } = require('../middlewares/usage.middleware');
+const logger = require('../utils/logger');
+
+const INVITATION_TTL_MS = 14 * 24 * 60 * 60 * 1000;
+const GAUGE_METRICS = ['classes', 'students', 'storageMB'];
+const MEMBER_USER_FIELDS = '_id displayName email photoURL stripeSubscriptionStatus stripeCurrentPeriodStart stripeCurrentPeriodEnd usage';
+
+class OrganizationError extends Error {
+  constructor(statusCode, code, message) {
+    super(message);
+    this.name = 'OrganizationError';
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+function buildOrganizationInvitationUrl(token) {
+  return `${process.env.FRONTEND_URL}/teacher/organization-invitations/${token}`;
+}
+
+function assertObjectId(value, label = 'id') {
+  if (!mongoose.Types.ObjectId.isValid(value)) {
+    throw new OrganizationError(400, 'INVALID_ID', `Invalid ${label}`);
+  }
+}
+
+function organizationSummary(organization, plan = null) {
+  return {
+    _id: organization._id,
+    name: organization.name,
+    plan: plan ? { _id: plan._id, name: plan.name, slug: plan.slug || null } : organization.plan,
+    seats: organization.seats,
+    seatsAssigned: organization.seatsAssigned || 0,
+    seatsAvailable: Math.max(0, organization.seats - (organization.seatsAssigned || 0)),
+    subscriptionStatus: organization.subscriptionStatus,
+    currentPeriodStart: organization.currentPeriodStart || null,
+    currentPeriodEnd: organization.currentPeriodEnd || null,
+    entitled: isOrganizationEntitled(organization),
+    isActive: organization.isActive !== false
+  };
+}
+
+function memberSummary(member) {
+  const user = member.user && member.user._id ? member.user : null;
+  return {
+    memberId: member._id,
+    userId: user ? user._id : member.user,
+    displayName: user ? user.displayName || null : null,
+    email: user ? user.email : null,
+    role: member.role,
+    hasSeat: member.hasSeat,
+    seatAssignedAt: member.seatAssignedAt || null,
+    joinedAt: member.joinedAt
+  };
+}
+
+async function findPlan({ planId, planSlug }) {
+  let plan = null;
+  if (planId && mongoose.Types.ObjectId.isValid(planId)) plan = await Plan.findOne({ _id: planId, isActive: true });
+  else if (planSlug) plan = await Plan.findOne({ slug: planSlug, isActive: true });
+  if (!plan) throw new OrganizationError(400, 'PLAN_NOT_AVAILABLE', 'Plan not found');
+  return plan;
+}
+
+/**
+ * Loads an organization its signed-in manager may administer: a platform
+ * admin, or a member with the organization admin role.
+ */
+async function loadManagedOrganization({ organizationId, user }) {
+  assertObjectId(organizationId, 'organization id');
+  const organization = await Organization.findById(organizationId);
+  if (!organization) throw new OrganizationError(404, 'ORGANIZATION_NOT_FOUND', 'Organization not found');
+  if (user.role === 'admin') return organization;
+
+  const member = await OrganizationMember.findOne({ organization: organization._id, user: user._id }).lean();
+  if (!member || member.role !== 'admin') {
+    throw new OrganizationError(403, 'NOT_ORGANIZATION_ADMIN', 'Only organization admins can manage this organization');
+  }
+  return organization;
+}
+
+async function loadMember(organization, memberId) {
+  assertObjectId(memberId, 'member id');
+  const member = await OrganizationMember.findOne({ _id: memberId, organization: organization._id });
+  if (!member) throw new OrganizationError(404, 'MEMBER_NOT_FOUND', 'Member not found');
+  return member;
+}
+
+async function addMember({ organization, user, role }) {
+  try {
+    const member = await OrganizationMember.create({ organization: organization._id, user: user._id, role });
+    await User.updateOne({ _id: user._id }, { $set: { organization: organization._id } });
+    return member;
+  } catch (err) {
+    if (err && err.code === 11000) {
+      throw new OrganizationError(409, 'ALREADY_IN_ORGANIZATION', 'This teacher already belongs to an organization');
+    }
+    throw err;
+  }
+}
+
+/**
+ * Takes one free seat for `member`. The organization's seatsAssigned counter
+ * is claimed first with a conditional update, so concurrent assignments can
+ * never hand out more seats than were bought.
+ */
+async function claimSeat({ organization, member, assignedBy }) {
+  if (member.hasSeat) throw new OrganizationError(409, 'SEAT_ALREADY_ASSIGNED', 'This teacher already has a seat');
+  const claimed = await Organization.findOneAndUpdate(
+    { _id: organization._id, isActive: true, $expr: { $lt: ['$seatsAssigned', '$seats'] } },
+    { $inc: { seatsAssigned: 1 } },
+    { returnDocument: 'after' }
+  );
+  if (!claimed) {
+    throw new OrganizationError(409, 'NO_SEATS_AVAILABLE', `All ${organization.seats} seats are assigned`);
+  }
+
+  const result = await OrganizationMember.updateOne(
+    { _id: member._id, hasSeat: false },
+    { $set: { hasSeat: true, seatAssignedAt: new Date(), seatAssignedBy: assignedBy || null } }
+  );
+  if (!result.modifiedCount) {
+    await Organization.updateOne({ _id: organization._id, seatsAssigned: { $gt: 0 } }, { $inc: { seatsAssigned: -1 } });
+    throw new OrganizationError(409, 'SEAT_ALREADY_ASSIGNED', 'This teacher already has a seat');
+  }
+  return claimed;
+}
+
+async function freeSeat({ organization, member }) {
+  const result = await OrganizationMember.updateOne(
+    { _id: member._id, hasSeat: true },
+    { $set: { hasSeat: false, seatAssignedAt: null, seatAssignedBy: null } }
+  );
+  if (result.modifiedCount) {
+    await Organization.updateOne({ _id: organization._id, seatsAssigned: { $gt: 0 } }, { $inc: { seatsAssigned: -1 } });
+  }
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Frees the seats assigned beyond what the organization now pays for, most
+ * recently assigned first. Resolves with the members who lost their seat.
+ */
+async function releaseExcessSeats(organization) {
+  const excess = (organization.seatsAssigned || 0) - (organization.seats || 0);
+  if (excess <= 0) return [];
+  const holders = await OrganizationMember.find({ organization: organization._id, hasSeat: true })
+    .sort({ seatAssignedAt: -1, _id: -1 })
+    .limit(excess);
+  const released = [];
+  for (const member of holders) {
+    if (await freeSeat({ organization, member })) released.push(member);
+  }
+  return released;
+}
+
+/**
+ * Tells every admin of the organization about a billing change in-app.
+ * Delivery failures are logged rather than thrown so a Stripe event that was
+ * already applied is not retried.
+ */
+async function notifyOrganizationAdmins(organization, { kind, title, description, data = {} }) {
+  if (!organization?._id) return;
+  let admins = [];
+  try {
+    admins = await OrganizationMember.find({ organization: organization._id, role: 'admin' }).select('user').lean();
+  } catch (err) {
+    logger.error(`organization admin lookup failed organizationId=${organization._id} kind=${kind} message=${err?.message || 'unknown'}`);
+  }
+  for (const admin of admins) {
+    try {
+      await createNotification({
+        recipientId: admin.user,
+        type: 'billing_update',
+        title,
+        description,
+        data: { kind, organizationId: String(organization._id), ...data, route: { path: '/teacher/dashboard' } }
+      });
+    } catch (err) {
+      logger.error(`organization billing notification failed organizationId=${organization._id} userId=${admin.user} kind=${kind} message=${err?.message || 'unknown'}`);
+    }
+  }
+}
+
+/**
+ * Platform admin: creates an organization on `plan` with `seats` seats and
+ * makes the teacher registered as `adminEmail` its first admin.
+ */
+async function createOrganization({ name, planId, planSlug, seats, adminEmail, currentPeriodStart, currentPeriodEnd,
+  stripeCustomerId, createdBy }) {
+  const plan = await findPlan({ planId, planSlug });
+  const admin = await User.findOne({ email: normalizeEmail(adminEmail), role: 'teacher', isActive: { $ne: false } });
+  if (!admin) throw new OrganizationError(404, 'ADMIN_NOT_FOUND', 'No teacher account is registered with adminEmail');
+  if (await OrganizationMember.exists({ user: admin._id })) {
+    throw new OrganizationError(409, 'ALREADY_IN_ORGANIZATION', 'This teacher already belongs to an organization');
+  }
+
+  const organization = await Organization.create({
+    name,
+    plan: plan._id,
+    seats,
+    currentPeriodStart: currentPeriodStart || new Date(),
+    currentPeriodEnd: currentPeriodEnd || undefined,
+    stripeCustomerId: stripeCustomerId || undefined,
+    createdBy
+  });
+  try {
+    await addMember({ organization, user: admin, role: 'admin' });
+  } catch (err) {
+    await Organization.deleteOne({ _id: organization._id });
+    throw err;
+  }
+  logger.info(`organization created organizationId=${organization._id} plan=${plan.slug} seats=${seats} admin=${admin._id}`);
+  return { organization: organizationSummary(organization, plan) };
+}
+
+/** Platform admin: changes the plan, seat count, provisioned period or status. */
+async function updateOrganization({ organizationId, updates }) {
+  assertObjectId(organizationId, 'organization id');
+  const organization = await Organization.findById(organizationId);
+  if (!organization) throw new OrganizationError(404, 'ORGANIZATION_NOT_FOUND', 'Organization not found');
+
+  if (updates.seats !== undefined && updates.seats < (organization.seatsAssigned || 0)) {
+    throw new OrganizationError(409, 'SEATS_IN_USE', `${organization.seatsAssigned} seats are assigned; release some before reducing the seat count`);
+  }
+  if (updates.planId || updates.planSlug) organization.plan = (await findPlan(updates))._id;
+  for (const field of ['name', 'seats', 'subscriptionStatus', 'currentPeriodStart', 'currentPeriodEnd', 'stripeCustomerId', 'isActive']) {
+    if (updates[field] !== undefined) organization[field] = updates[field];
+  }
+  await organization.save();
+  const plan = await Plan.findById(organization.plan).lean();
+  return { organization: organizationSummary(organization, plan) };
+}
+
+/** The signed-in teacher's organization and seat, or null when they have none. */
+async function getMyOrganization(user) {
+  const member = await OrganizationMember.findOne({ user: user._id }).lean();
+  if (!member) return null;
+  const organization = await Organization.findById(member.organization).lean();
+  if (!organization) return null;
+  const plan = await Plan.findById(organization.plan).lean();
+  return {
+    organization: organizationSummary(organization, plan),
+    membership: { memberId: member._id, role: member.role, hasSeat: member.hasSeat, seatAssignedAt: member.seatAssignedAt || null }
+  };
+}
+
+/** Organization, members and invitations for its admins. */
+async function getOrganizationOverview({ organizationId, user }) {
+  const organization = await loadManagedOrganization({ organizationId, user });
+  const [plan, members, invitations] = await Promise.all([
+    Plan.findById(organization.plan).lean(),
+    OrganizationMember.find({ organization: organization._id }).sort({ joinedAt: 1 })
+      .populate('user', '_id displayName email photoURL').lean(),
+    OrganizationInvitation.find({ organization: organization._id, status: 'pending' }).sort({ invitedAt: -1 })
+      .select('email role assignSeat status invitedAt expiresAt').lean()
+  ]);
+  return {
+    organization: organizationSummary(organization, plan),
+    members: members.map(memberSummary),
+    invitations
+  };
+}
+
+/**
+ * Invites a teacher by email. Inviting the same address again re-sends the
+ * invitation with a fresh token, so links from earlier emails stop working.
+ */
+async function inviteTeacher({ organizationId, user, email, role = 'teacher', assignSeat = true }) {
+  const organization = await loadManagedOrganization({ organizationId, user });
+  const normalizedEmail = normalizeEmail(email);
+  const existingUser = await User.findOne({ email: normalizedEmail }).select('_id').lean();
+  if (existingUser && await OrganizationMember.exists({ organization: organization._id, user: existingUser._id })) {
+    throw new OrganizationError(409, 'ALREADY_MEMBER', 'This teacher is already a member');
+  }
+
+  const now = new Date();
+  let invitation = await OrganizationInvitation.findOne({ organization: organization._id, email: normalizedEmail });
+  if (invitation && invitation.status === 'accepted') {
+    throw new OrganizationError(409, 'INVITATION_ALREADY_ACCEPTED', 'Invitation has already been accepted');
+  }
+  if (!invitation) invitation = new OrganizationInvitation({ organization: organization._id, email: normalizedEmail });
+  else invitation.token = crypto.randomBytes(32).toString('hex');
+  Object.assign(invitation, {
+    role,
+    assignSeat,
+    invitedBy: user._id,
+    status: 'pending',
+    invitedAt: now,
+    expiresAt: new Date(now.getTime() + INVITATION_TTL_MS),
+    revokedAt: undefined
+  });
+  await invitation.save();
+
+  const emailResult = await sendOrganizationInvitationEmail({
+    to: normalizedEmail,
+    organizationName: organization.name,
+    acceptUrl: buildOrganizationInvitationUrl(invitation.token),
+    inviterName: user.displayName || user.email
+  });
+  if (!emailResult.success) {
+    throw new OrganizationError(502, 'EMAIL_FAILED', `Failed to send email: ${emailResult.error}`);
+  }
+  return invitation;
+}
+
+async function revokeInvitation({ organizationId, invitationId, user }) {
+  const organization = await loadManagedOrganization({ organizationId, user });
+  assertObjectId(invitationId, 'invitation id');
+  const invitation = await OrganizationInvitation.findOne({ _id: invitationId, organization: organization._id });
+  if (!invitation) throw new OrganizationError(404, 'INVITATION_NOT_FOUND', 'Invitation not found');
+  if (invitation.status === 'accepted') {
+    throw new OrganizationError(409, 'INVITATION_ALREADY_ACCEPTED', 'Invitation has already been accepted');
+  }
+  if (invitation.status !== 'revoked') {
+    invitation.status = 'revoked';
+    invitation.revokedAt = new Date();
+    await invitation.save();
+  }
+  return invitation;
+}
+
+/**
+ * Accepts an organization invitation for the signed-in teacher, whose account
+ * email must match the invitation. Takes a seat straight away when the
+ * invitation asks for one and a seat is free; otherwise an admin can assign
+ * one later.
+ */
+async function acceptInvitation({ token, user }) {
+  const invitation = typeof token === 'string' && token ? await OrganizationInvitation.findOne({ token }) : null;
+  if (!invitation) throw new OrganizationError(404, 'INVITATION_NOT_FOUND', 'Invitation not found');
+  if (invitation.status === 'pending' && invitation.expiresAt && invitation.expiresAt <= new Date()) {
+    invitation.status = 'expired';
+    await invitation.save();
+  }
+  if (invitation.status === 'accepted') {
+    throw new OrganizationError(409, 'INVITATION_ALREADY_ACCEPTED', 'Invitation has already been accepted');
+  }
+  if (invitation.status !== 'pending') {
+    throw new OrganizationError(410, `INVITATION_${invitation.status.toUpperCase()}`, `Invitation has been ${invitation.status}`);
+  }
+  if (normalizeEmail(user.email) !== invitation.email) {
+    throw new OrganizationError(403, 'INVITATION_EMAIL_MISMATCH', 'This invitation was sent to a different email address');
+  }
+
+  const organization = await Organization.findOne({ _id: invitation.organization, isActive: true });
+  if (!organization) throw new OrganizationError(404, 'ORGANIZATION_NOT_FOUND', 'Organization not found');
+
+  const member = await addMember({ organization, user, role: invitation.role });
+  user.organization = organization._id;
+
+  let seatAssigned = false;
+  if (invitation.assignSeat) {
+    try {
+      await claimSeat({ organization, member, assignedBy: invitation.invitedBy });
+      seatAssigned = true;
+    } catch (err) {
+      if (!(err instanceof OrganizationError) || err.code !== 'NO_SEATS_AVAILABLE') throw err;
+    }
+  }
+
+  invitation.status = 'accepted';
+  invitation.acceptedAt = new Date();
+  invitation.acceptedBy = user._id;
+  await invitation.save();
+  logger.info(`organization invitation accepted organizationId=${organization._id} userId=${user._id} seat=${seatAssigned}`);
+  return { organizationId: organization._id, memberId: member._id, role: member.role, seatAssigned };
+}
+
+async function assignSeat({ organizationId, memberId, user }) {
+  const organization = await loadManagedOrganization({ organizationId, user });
+  const member = await loadMember(organization, memberId);
+  const updated = await claimSeat({ organization, member, assignedBy: user._id });
+  return { memberId: member._id, hasSeat: true, seatsAssigned: updated.seatsAssigned, seats: updated.seats };
+}
+
+async function releaseSeat({ organizationId, memberId, user }) {
+  const organization = await loadManagedOrganization({ organizationId, user });
+  const member = await loadMember(organization, memberId);
+  if (!await freeSeat({ organization, member })) {
+    throw new OrganizationError(409, 'NO_SEAT_ASSIGNED', 'This teacher does not have a seat');
+  }
+  return { memberId: member._id, hasSeat: false };
+}
+
+/** Removes a member, freeing their seat. The last organization admin cannot be removed. */
+async function removeMember({ organizationId, memberId, user }) {
+  const organization = await loadManagedOrganization({ organizationId, user });
+  const member = await loadMember(organization, memberId);
+  if (member.role === 'admin' && await OrganizationMember.countDocuments({ organization: organization._id, role: 'admin' }) <= 1) {
+    throw new OrganizationError(409, 'LAST_ADMIN', 'An organization needs at least one admin');
+  }
+
+  await freeSeat({ organization, member });
+  await OrganizationMember.deleteOne({ _id: member._id });
+  await User.updateOne({ _id: member.user, organization: organization._id }, { $set: { organization: null } });
+  return { memberId: member._id, removed: true };
+}
+
+/**
+ * School-level usage: every seat holder's usage in their current billing
+ * period (periodic metrics from the usage ledger, gauges from User.usage),
+ * with organization totals. `limitsPerSeat` are the plan allowances each
+ * seat gets; null means unlimited.
+ */
+async function getOrganizationUsage({ organizationId, user, now = new Date() }) {
+  const organization = await loadManagedOrganization({ organizationId, user });
+  const [plan, members] = await Promise.all([
+    Plan.findById(organization.plan).lean(),
+    OrganizationMember.find({ organization: organization._id, hasSeat: true })
+      .populate('user', MEMBER_USER_FIELDS).lean()
+  ]);
+  const holders = members.filter((member) => member.user && member.user._id);
+  const summaries = await getPeriodUsageSummaries(holders.map((member) => member.user), { now });
+
+  const metrics = [...GAUGE_METRICS, ...USAGE_METRICS];
+  const totals = Object.fromEntries(metrics.map((metric) => [metric, 0]));
+  const teachers = holders.map((member) => {
+    const summary = summaries.get(String(member.user._id));
+    const gauges = member.user.usage || {};
+    const usage = {
+      ...Object.fromEntries(GAUGE_METRICS.map((metric) => [metric, Number(gauges[metric]) || 0])),
+      ...summary.usage
+    };
+    for (const metric of metrics) totals[metric] += usage[metric];
+    return {
+      ...memberSummary(member),
+      usage,
+      usagePeriod: { start: summary.periodStart, end: summary.periodEnd, source: summary.source }
+    };
+  });
+  totals.storageMB = Number(totals.storageMB.toFixed(2));
+
+  return {
+    organization: organizationSummary(organization, plan),
+    generatedAt: now,
+    limitsPerSeat: Object.fromEntries(metrics.map((metric) => [metric, plan ? getLimit(plan, metric) : null])),
+    totals,
+    teachers
+  };
+}
+
+/**
+ * Applies a Stripe subscription created for an organization (identified by
+ * `metadata.organizationId`): plan by price, seats by quantity, status and
+ * period. When the new quantity is below the seats handed out, the most
+ * recently assigned seats are released and the admins told. Resolves with the
+ * organization, or null when the subscription does not belong to the
+ * organization's Stripe customer.
+ */
+async function syncOrganizationSubscription(subscription) {
+  const organizationId = subscription?.metadata?.organizationId;
+  if (!mongoose.Types.ObjectId.isValid(organizationId)) return null;
+  const organization = await Organization.findById(organizationId);
+  const customerId = idOf(subscription.customer);
+  if (!organization || !customerId || organization.stripeCustomerId !== customerId ||
+    (organization.stripeSubscriptionId && organization.stripeSubscriptionId !== idOf(subscription))) {
+    logger.warn(`stripe organization mismatch organizationId=${organizationId} customer=${customerId || '-'} subscription=${idOf(subscription) || '-'}`);
+    return null;
+  }
+
+  const priceId = getPriceId(subscription);
+  const plan = priceId ? await Plan.findOne({ isActive: true, 'stripe.priceId': priceId }) : null;
+  const period = getPeriod(subscription);
+  const quantity = subscription.items?.data?.[0]?.quantity;
+
+  organization.stripeSubscriptionId = idOf(subscription);
+  organization.subscriptionStatus = subscription.status;
+  organization.currentPeriodStart = period.start;
+  organization.currentPeriodEnd = period.end;
+  if (plan) organization.plan = plan._id;
+  if (Number.isInteger(quantity)) organization.seats = quantity;
+  await organization.save();
+  const released = await releaseExcessSeats(organization);
+  if (released.length) {
+    logger.warn(`organization seats released organizationId=${organization._id} seats=${organization.seats} released=${released.length}`);
+    await notifyOrganizationAdmins(organization, {
+      kind: 'seats_released',
+      title: 'Teacher seats released',
+      description: `Your subscription now covers ${organization.seats} seat${organization.seats === 1 ? '' : 's'}, ` +
+        `so ${released.length} teacher${released.length === 1 ? '' : 's'} lost their seat. Add seats to give them access again.`,
+      data: { seats: organization.seats, releasedMemberIds: released.map((member) => String(member._id)) }
+    });
+  }
+  logger.info(`stripe organization sync organizationId=${organization._id} subscription=${organization.stripeSubscriptionId} plan=${plan ? plan.slug : '-'} seats=${organization.seats} status=${subscription.status}`);
+  return organization;
+}
+
+module.exports = {
+  OrganizationError,
+  buildOrganizationInvitationUrl,
+  createOrganization,
+  updateOrganization,
+  getMyOrganization,
+  getOrganizationOverview,
+  inviteTeacher,
+  revokeInvitation,
+  acceptInvitation,
+  assignSeat,
+  releaseSeat,
+  removeMember,
+  getOrganizationUsage,
+  notifyOrganizationAdmins,
+  syncOrganizationSubscription
+};
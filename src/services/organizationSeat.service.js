@@ -0,0 +1,39 @@
+'use strict';
+
+const Organization = require('../models/Organization');
+const OrganizationMember = require('../models/OrganizationMember');
+const Plan = require('../models/Plan');
+const { ENTITLED_STATUSES, isSubscriptionEntitled } = require('./stripeSubscription.service');
+
+/**
+ * Whether the organization's subscription currently entitles its seats.
+ * Stripe-billed organizations follow the same rules as a teacher's own
+ * subscription; provisioned ones are entitled while active and before
+ * `currentPeriodEnd`, if one is set.
+ */
+function isOrganizationEntitled(organization, now = new Date()) {
+  if (!organization || organization.isActive === false) return false;
+  if (organization.stripeSubscriptionId) {
+    return isSubscriptionEntitled(organization.subscriptionStatus, organization.currentPeriodEnd, now.getTime());
+  }
+  const end = organization.currentPeriodEnd ? new Date(organization.currentPeriodEnd) : null;
+  return ENTITLED_STATUSES.has(organization.subscriptionStatus) && (!end || end.getTime() > now.getTime());
+}
+
+/**
+ * The organization and plan a teacher is entitled to through a seat, or null
+ * when they hold no seat or the organization's subscription has lapsed.
+ */
+async function findSeatEntitlement(user, now = new Date()) {
+  const member = await OrganizationMember.findOne({ user: user._id, hasSeat: true }).select('organization').lean();
+  if (!member) return null;
+  const organization = await Organization.findById(member.organization).lean();
+  if (!isOrganizationEntitled(organization, now)) return null;
+  const plan = await Plan.findOne({ _id: organization.plan, isActive: true });
+  return plan ? { organization, plan } : null;
+}
+
+module.exports = {
+  isOrganizationEntitled,
+  findSeatEntitlement
+};
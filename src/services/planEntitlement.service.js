@@ -0,0 +1,93 @@
+'use strict';
+
+const Plan = require('../models/Plan');
+const User = require('../models/user.model');
+const { ensureActivePlan, getLimit } = require('../middlewares/usage.middleware');
+const { chargeUsage, refundUsage } = require('./usageLedger.service');
+
+// Analysis jobs are leased highest priority first; teachers on a plan with
+// priorityAIProcessing jump ahead of the default 0.
+const PRIORITY_AI_JOB_PRIORITY = 10;
+
+const FEATURE_LABELS = {
+  adaptiveLearning: 'Adaptive Learning',
+  analyticsAccess: 'Analytics',
+  priorityAIProcessing: 'Priority AI processing'
+};
+
+class PlanEntitlementError extends Error {
+  constructor(statusCode, code, message, requiredPlan = null) {
+    super(message);
+    this.name = 'PlanEntitlementError';
+    this.statusCode = statusCode;
+    this.code = code;
+    this.requiredPlan = requiredPlan;
+  }
+}
+
+function planSummary(plan) {
+  return plan ? { name: plan.name, slug: plan.slug || null } : null;
+}
+
+/**
+ * The cheapest active plan that includes `feature`, optionally with a limit
+ * above `aboveLimit` (a null limit is unlimited). Null when no plan offers it.
+ */
+async function findRequiredPlan(feature, { aboveLimit = null } = {}) {
+  const plans = await Plan.find({ isActive: true, [`features.${feature}`]: true }).lean();
+  const candidates = plans
+    .filter((plan) => {
+      if (aboveLimit === null) return true;
+      const limit = getLimit(plan, feature);
+      return limit === null || limit > aboveLimit;
+    })
+    .sort((left, right) => (left.price ?? Number.MAX_SAFE_INTEGER) - (right.price ?? Number.MAX_SAFE_INTEGER)
+      || String(left.slug).localeCompare(String(right.slug)));
+  return candidates[0] || null;
+}
+
+/** Throws a 402 naming the plan to upgrade to unless `plan` includes `feature`. */
+async function assertPlanFeature(plan, feature) {
+  if (plan?.features?.[feature] === true) return;
+  const label = FEATURE_LABELS[feature] || feature;
+  const required = await findRequiredPlan(feature);
+  throw new PlanEntitlementError(402, 'PLAN_UPGRADE_REQUIRED', required
+    ? `${label} requires the ${required.name} plan.`
+    : `${label} is not available on your plan.`, planSummary(required));
+}
+
+/**
+ * Charges one adaptive practice generation to the teacher who owns the
+ * assignment, within the plan's adaptiveLearningLimit for the billing period.
+ * Resolves with a function that refunds the charge.
+ */
+async function reserveAdaptiveGeneration({ teacher, plan }) {
+  await assertPlanFeature(plan, 'adaptiveLearning');
+  const limit = getLimit(plan, 'adaptiveLearning');
+  const charge = await chargeUsage({ user: teacher, metric: 'adaptiveLearning', limit, reason: 'adaptive_practice' });
+  if (!charge) {
+    const required = await findRequiredPlan('adaptiveLearning', { aboveLimit: limit });
+    throw new PlanEntitlementError(402, 'PLAN_LIMIT_REACHED', required
+      ? `All ${limit} Adaptive Learning sessions in this billing period are used. The ${required.name} plan includes more.`
+      : `All ${limit} Adaptive Learning sessions in this billing period are used.`, planSummary(required));
+  }
+  return () => refundUsage({ entry: charge, reason: 'adaptive_generation_failed' });
+}
+
+/** Queue priority for AI work done on behalf of `teacherId`. */
+async function aiJobPriorityForTeacher(teacherId) {
+  const teacher = teacherId ? await User.findById(teacherId) : null;
+  if (!teacher) return 0;
+  const plan = await ensureActivePlan(teacher);
+  return plan?.features?.priorityAIProcessing === true ? PRIORITY_AI_JOB_PRIORITY : 0;
+}
+
+module.exports = {
+  PRIORITY_AI_JOB_PRIORITY,
+  FEATURE_LABELS,
+  PlanEntitlementError,
+  findRequiredPlan,
+  assertPlanFeature,
+  reserveAdaptiveGeneration,
+  aiJobPriorityForTeacher
+};
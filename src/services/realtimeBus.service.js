@@ -0,0 +1,139 @@
+'use strict';
+
+const os = require('os');
+const crypto = require('crypto');
+
+const RealtimeEvent = require('../models/RealtimeEvent');
+const { nextSequence } = require('./sequence.service');
+const logger = require('../utils/logger');
+
+// Identifies this process on the bus so it can skip its own messages: they are
+// already delivered to local streams before being published.
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomUUID().slice(0, 8)}`;
+const TAIL_RETRY_DELAY_MS = 1000;
+const RECENT_SEQ_LIMIT = 500;
+// Publishers take a sequence before inserting, so two of them can land slightly
+// out of order; a resumed cursor re-reads this many sequences to catch those.
+const RESUME_OVERLAP = 50;
+const SEQUENCE_NAME = 'realtime_events';
+
+/**
+ * `mongo` shares SSE messages and one-time stream tokens through MongoDB so any
+ * instance can serve any user; `memory` keeps both process-local (single
+ * process deployments and tests).
+ */
+function realtimeBackend() {
+  const configured = String(process.env.REALTIME_BACKEND || '').trim().toLowerCase();
+  if (configured === 'memory' || configured === 'mongo') return configured;
+  return process.env.NODE_ENV === 'test' ? 'memory' : 'mongo';
+}
+
+function createMemoryBus() {
+  return {
+    name: 'memory',
+    async publish() {},
+    subscribe() {},
+    async close() {}
+  };
+}
+
+/**
+ * Publishes into the capped `realtime_events` collection and tails it with a
+ * tailable, awaitData cursor. Works on a standalone mongod (no replica set or
+ * change streams needed). Every message carries a sequence from a shared
+ * counter, so a reconnecting cursor resumes after the last one it saw instead
+ * of trusting the publishers' clocks.
+ */
+function createMongoBus({
+  model = RealtimeEvent,
+  origin = INSTANCE_ID,
+  tailRetryDelayMs = TAIL_RETRY_DELAY_MS,
+  nextSeq = () => nextSequence(SEQUENCE_NAME)
+} = {}) {
+  const handlers = new Set();
+  const recentSeqs = new Set();
+  let tailing = false;
+  let closed = false;
+  let cursor = null;
+  let lastSeq = null;
+
+  function remember(seq) {
+    recentSeqs.add(seq);
+    if (recentSeqs.size > RECENT_SEQ_LIMIT) recentSeqs.delete(recentSeqs.values().next().value);
+  }
+
+  async function latestSeq() {
+    const [latest] = await model.collection
+      .find({}, { sort: { $natural: -1 }, limit: 1, projection: { seq: 1 } })
+      .toArray();
+    return Number(latest?.seq) || 0;
+  }
+
+  async function tail() {
+    while (!closed) {
+      try {
+        await model.createCollection().catch(() => {});
+        // A new subscriber starts at the end of the log; only later messages are delivered.
+        if (lastSeq === null) lastSeq = await latestSeq();
+        cursor = model.collection.find({ seq: { $gt: lastSeq - RESUME_OVERLAP } }, { tailable: true, awaitData: true });
+        for await (const doc of cursor) {
+          const seq = Number(doc.seq);
+          if (recentSeqs.has(seq)) continue;
+          remember(seq);
+          if (seq > lastSeq) lastSeq = seq;
+          if (doc.origin === origin) continue;
+          for (const handler of handlers) {
+            try {
+              handler({ id: doc.eventId || undefined, userId: doc.userId, event: doc.event, payload: doc.payload });
+            } catch (err) {
+              logger.warn('Realtime bus handler failed');
+            }
+          }
+        }
+      } catch (err) {
+        if (!closed) logger.warn({ message: 'Realtime bus cursor interrupted', error: err?.message || String(err) });
+      }
+      // A tailable cursor on an empty capped collection ends immediately.
+      if (!closed) await new Promise((resolve) => setTimeout(resolve, tailRetryDelayMs).unref?.());
+    }
+  }
+
+  return {
+    name: 'mongo',
+    async publish({ id, userId, event, payload }) {
+      const seq = await nextSeq();
+      await model.create({ seq, origin, eventId: id ? String(id) : undefined, userId: String(userId), event, payload });
+    },
+    subscribe(handler) {
+      handlers.add(handler);
+      if (tailing) return;
+      tailing = true;
+      tail().catch(() => {});
+    },
+    async close() {
+      closed = true;
+      if (cursor) await cursor.close().catch(() => {});
+    }
+  };
+}
+
+let activeBus = null;
+
+function getRealtimeBus() {
+  if (!activeBus) activeBus = realtimeBackend() === 'mongo' ? createMongoBus() : createMemoryBus();
+  return activeBus;
+}
+
+/** Swaps the pub/sub backend (e.g. a Redis implementation of the same interface). */
+function setRealtimeBus(bus) {
+  activeBus = bus;
+}
+
+module.exports = {
+  INSTANCE_ID,
+  realtimeBackend,
+  createMemoryBus,
+  createMongoBus,
+  getRealtimeBus,
+  setRealtimeBus
+};
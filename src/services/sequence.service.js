@@ -0,0 +1,17 @@
+'use strict';
+
+const Counter = require('../models/Counter');
+
+/** Next value of the named counter (1 on first use). Atomic across instances. */
+async function nextSequence(name) {
+  const counter = await Counter.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { upsert: true, returnDocument: 'after', lean: true }
+  );
+  return counter.seq;
+}
+
+module.exports = {
+  nextSequence
+};
@@ -0,0 +1,366 @@
+'use strict';
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const Worksheet = require('../models/Worksheet');
+const WorksheetGuestAttempt = require('../models/WorksheetGuestAttempt');
+const { gradeWorksheetAnswers } = require('./worksheetScoring.service');
+const { currentRevision } = require('./worksheetRevision.service');
+const logger = require('../utils/logger');
+
+const MAX_GUEST_ANSWERS = 500;
+const MAX_ANSWER_LENGTH = 1000;
+const MAX_GUEST_NAME_LENGTH = 80;
+const MAX_TIME_TAKEN_SECONDS = 24 * 60 * 60;
+const DEFAULT_RECENT_ATTEMPTS = 20;
+const MAX_RECENT_ATTEMPTS = 100;
+const MAX_QUESTION_STATS = 50;
+const PASS_THRESHOLD = 60;
+
+/** Legacy activityN fields and the activity type each one held. */
+const LEGACY_ACTIVITY_TYPES = {
+  activity1: 'ordering',
+  activity2: 'classification',
+  activity3: 'multipleChoice',
+  activity4: 'fillBlanks',
+  activity5: 'matching',
+  activity6: 'trueFalse',
+  activity7: null,
+  activity8: null,
+  activity9: 'overlay'
+};
+
+/** Keys that carry an answer or give one away, removed anywhere they appear in the student view. */
+const ANSWER_KEYS = new Set([
+  'answer', 'answers', 'answerKey', 'acceptedAnswers', 'expectedAnswer', 'modelAnswer',
+  'explanation', 'solution', 'rubric', 'isCorrect', 'errorText', 'placements'
+]);
+
+/** Worksheet fields a guest may see. */
+const STUDENT_VIEW_FIELDS = [
+  'title', 'description', 'subject', 'cefrLevel', 'gradeLevel', 'difficulty', 'language',
+  'estimatedMinutes', 'thumbnailUrl', 'totalPoints', 'theme', 'conceptExplanation'
+];
+
+class SharedWorksheetError extends Error {
+  constructor(statusCode, code, message) {
+    super(message);
+    this.name = 'SharedWorksheetError';
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+/**
+ * Shuffles a list the same way every time for a given seed, so a guest who
+ * reloads the page sees the same order while the stored order (often the
+ * answer order) stays hidden.
+ */
+function stableShuffle(list, seed) {
+  return (Array.isArray(list) ? list : [])
+    .map((item, index) => ({
+      item,
+      rank: crypto.createHash('sha256').update(`${seed}:${index}`).digest('hex')
+    }))
+    .sort((a, b) => (a.rank < b.rank ? -1 : a.rank > b.rank ? 1 : 0))
+    .map(({ item }) => item);
+}
+
+/** Drops answer-bearing keys (and any `correct*` key) from a value, recursively. */
+function stripAnswerKeys(value) {
+  if (Array.isArray(value)) return value.map(stripAnswerKeys);
+  if (!value || typeof value !== 'object' || value instanceof Date) return value;
+  if (value instanceof mongoose.Types.ObjectId) return String(value);
+  const out = {};
+  for (const [key, child] of Object.entries(value)) {
+    if (ANSWER_KEYS.has(key) || /^correct/.test(key)) continue;
+    out[key] = stripAnswerKeys(child);
+  }
+  return out;
+}
+
+/**
+ * Student view of one activity's data. Types whose stored order or pairing is
+ * the answer are reshaped first; every type then loses its answer keys.
+ */
+function studentActivityData(type, data, seed) {
+  if (!data || typeof data !== 'object') return data ?? null;
+  const view = { ...data };
+
+  if (type === 'ordering' || type === 'dragDrop' || type === 'sorting' || type === 'classification') {
+    view.items = stableShuffle(data.items, `${seed}:items`);
+  } else if (type === 'fillBlanks' || type === 'clozePassage') {
+    view.wordBank = stableShuffle(data.wordBank, `${seed}:wordBank`);
+  } else if (type === 'matching') {
+    const pairs = Array.isArray(data.pairs) ? data.pairs : [];
+    view.pairs = pairs.map((pair) => ({ id: pair?.id, pairId: pair?.pairId, leftItem: pair?.leftItem }));
+    // Right-hand items lose their ids, which would pair them back up with the left side
+    view.rightOptions = stableShuffle(
+      pairs
+        .map((pair) => (pair?.rightItem
+          ? { text: pair.rightItem.text, imageUrl: pair.rightItem.imageUrl }
+          : pair?.correctMatch != null ? { text: pair.correctMatch } : null))
+        .filter(Boolean),
+      `${seed}:rightOptions`
+    );
+  } else if (type === 'labeling') {
+    const labels = Array.isArray(data.labels) ? data.labels : [];
+    view.labels = stableShuffle(labels.map((label) => ({ text: label?.text })), `${seed}:labels`);
+    view.hotspots = labels.map((label, index) => ({ id: `spot_${index}`, x: label?.x, y: label?.y }));
+  } else if (type === 'wordSearch') {
+    // Words the layout engine could not fit are not in the grid
+    delete view.unplaced;
+  } else if (type === 'crossword') {
+    delete view.unplaced;
+    view.words = (Array.isArray(data.words) ? data.words : []).map((entry, index) => ({
+      id: entry?.id,
+      number: entry?.number ?? index + 1,
+      clue: entry?.clue,
+      direction: entry?.direction,
+      row: entry?.row,
+      col: entry?.col,
+      length: entry?.length ?? (typeof entry?.word === 'string' ? entry.word.replace(/\s+/g, '').length : 0)
+    }));
+  }
+  // Dictation sentences stay: the player shows each one for displaySeconds before hiding it
+
+  return stripAnswerKeys(view);
+}
+
+/**
+ * The worksheet as a guest sees it: content and layout without the answer
+ * key, shuffled where the stored order is the answer. Activities keep their
+ * index-based sectionId (activity_N) so answers can be graded against them.
+ */
+function toStudentView(worksheet) {
+  const seed = String(worksheet.shareToken || worksheet._id || '');
+  const view = Object.fromEntries(
+    STUDENT_VIEW_FIELDS.filter((field) => worksheet[field] !== undefined).map((field) => [field, worksheet[field]])
+  );
+
+  view.activities = (worksheet.activities || []).map((activity, index) => ({
+    sectionId: `activity_${index}`,
+    type: activity.type,
+    title: activity.title,
+    instructions: activity.instructions,
+    order: activity.order,
+    data: studentActivityData(activity.type, activity.data, `${seed}:activity_${index}`)
+  }));
+
+  for (const [field, type] of Object.entries(LEGACY_ACTIVITY_TYPES)) {
+    if (worksheet[field]) view[field] = studentActivityData(type, worksheet[field], `${seed}:${field}`);
+  }
+  view.shareToken = worksheet.shareToken;
+  return view;
+}
+
+async function loadSharedWorksheet(shareToken) {
+  if (!shareToken || typeof shareToken !== 'string' || shareToken.length > 128) {
+    throw new SharedWorksheetError(400, 'INVALID_TOKEN', 'Invalid share token');
+  }
+  const worksheet = await Worksheet.findOne({ shareToken }).lean();
+  if (!worksheet) {
+    // Worksheet was deleted or its share link was revoked
+    throw new SharedWorksheetError(404, 'NOT_FOUND', 'This worksheet has been deleted or is no longer available');
+  }
+  return worksheet;
+}
+
+/** Public student view of a shared worksheet. */
+async function getSharedWorksheet(shareToken) {
+  return toStudentView(await loadSharedWorksheet(shareToken));
+}
+
+/**
+ * Keeps only what grading needs from a guest's answers, one answer per
+ * question (the last one wins). Client-sent correctness is never trusted.
+ */
+function normalizeGuestAnswers(answers) {
+  if (!Array.isArray(answers) || answers.length === 0) {
+    throw new SharedWorksheetError(400, 'NO_ANSWERS', 'answers must be a non-empty array');
+  }
+  if (answers.length > MAX_GUEST_ANSWERS) {
+    throw new SharedWorksheetError(400, 'TOO_MANY_ANSWERS', `A worksheet attempt can include at most ${MAX_GUEST_ANSWERS} answers`);
+  }
+  const byQuestion = new Map();
+  for (const answer of answers) {
+    const sectionId = String(answer?.sectionId ?? '').trim();
+    const questionId = String(answer?.questionId ?? '').trim();
+    if (!sectionId || !questionId) continue;
+    byQuestion.set(`${sectionId}\u0000${questionId}`, {
+      sectionId,
+      questionId,
+      studentAnswer: String(answer?.studentAnswer ?? '').slice(0, MAX_ANSWER_LENGTH)
+    });
+  }
+  if (byQuestion.size === 0) {
+    throw new SharedWorksheetError(400, 'NO_ANSWERS', 'Each answer needs a sectionId and questionId');
+  }
+  return [...byQuestion.values()];
+}
+
+function roundScore(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+/**
+ * Grades and records a guest attempt on a shared worksheet. The score is out
+ * of every auto-gradable question, so skipped questions count against it.
+ * The response says which answers were right but not what the right answers were.
+ */
+async function submitGuestAttempt(shareToken, { answers, guestName, timeTaken } = {}) {
+  const worksheet = await loadSharedWorksheet(shareToken);
+  const normalized = normalizeGuestAnswers(answers);
+
+  const graded = gradeWorksheetAnswers({ worksheet, answers: normalized });
+  const totalPoints = Math.max(Number(graded.totals?.totalPointsPossible) || 0, graded.totalPoints || 0);
+  if (totalPoints === 0) {
+    throw new SharedWorksheetError(422, 'NOT_GRADABLE', 'This worksheet has no auto-graded activities');
+  }
+  const earnedPoints = graded.earnedPoints || 0;
+  const score = roundScore((earnedPoints / totalPoints) * 100);
+
+  // gradedAnswers keeps input order; report results under the ids the guest sent
+  const results = graded.gradedAnswers.map((answer, index) => ({
+    sectionId: normalized[index].sectionId,
+    questionId: normalized[index].questionId,
+    studentAnswer: normalized[index].studentAnswer,
+    isCorrect: answer.isCorrect
+  }));
+  const sections = (graded.sections || []).map(({ sectionId, sectionName, activityType, earnedPoints: earned, totalPoints: total, score: sectionScore }) => ({
+    sectionId, sectionName, activityType, earnedPoints: earned, totalPoints: total, score: sectionScore
+  }));
+  const seconds = Number(timeTaken);
+
+  const attempt = await WorksheetGuestAttempt.create({
+    worksheetId: worksheet._id,
+    ownerId: worksheet.createdBy,
+    shareToken: worksheet.shareToken,
+    guestName: typeof guestName === 'string' ? guestName.trim().slice(0, MAX_GUEST_NAME_LENGTH) : '',
+    worksheetRevision: currentRevision(worksheet),
+    answers: results,
+    sections,
+    earnedPoints,
+    totalPoints,
+    score,
+    isPassed: score >= PASS_THRESHOLD,
+    timeTaken: Number.isFinite(seconds) ? Math.min(Math.max(Math.round(seconds), 0), MAX_TIME_TAKEN_SECONDS) : 0,
+    submittedAt: new Date()
+  });
+  logger.info({ message: 'Shared worksheet attempt recorded', worksheetId: String(worksheet._id), attemptId: String(attempt._id) });
+
+  return {
+    attemptId: attempt._id,
+    score,
+    earnedPoints,
+    totalPoints,
+    isPassed: attempt.isPassed,
+    sections,
+    results: results.map(({ sectionId, questionId, isCorrect }) => ({ sectionId, questionId, isCorrect }))
+  };
+}
+
+function boundedInt(value, fallback, max) {
+  const parsed = Number.parseInt(value, 10);
+  if (!Number.isInteger(parsed) || parsed < 1) return fallback;
+  return Math.min(parsed, max);
+}
+
+/**
+ * Owner's summary of guest attempts on one worksheet: overall averages,
+ * per-section scores, the most-missed questions first and the latest attempts.
+ */
+async function getGuestAttemptSummary({ ownerId, worksheetId, limit }) {
+  if (!mongoose.Types.ObjectId.isValid(worksheetId)) {
+    throw new SharedWorksheetError(400, 'INVALID_ID', 'Invalid worksheet ID');
+  }
+  const worksheet = await Worksheet.findOne({ _id: worksheetId, createdBy: ownerId }).select('title shareToken').lean();
+  if (!worksheet) throw new SharedWorksheetError(404, 'NOT_FOUND', 'Worksheet not found');
+
+  const [result] = await WorksheetGuestAttempt.aggregate([
+    { $match: { worksheetId: new mongoose.Types.ObjectId(String(worksheetId)) } },
+    {
+      $facet: {
+        overall: [{
+          $group: {
+            _id: null,
+            attempts: { $sum: 1 },
+            averageScore: { $avg: '$score' },
+            bestScore: { $max: '$score' },
+            passed: { $sum: { $cond: ['$isPassed', 1, 0] } },
+            averageTimeTaken: { $avg: '$timeTaken' },
+            lastAttemptAt: { $max: '$submittedAt' }
+          }
+        }],
+        sections: [
+          { $unwind: '$sections' },
+          {
+            $group: {
+              _id: '$sections.sectionId',
+              sectionName: { $first: '$sections.sectionName' },
+              activityType: { $first: '$sections.activityType' },
+              attempts: { $sum: 1 },
+              averageScore: { $avg: '$sections.score' }
+            }
+          },
+          { $sort: { _id: 1 } }
+        ],
+        questions: [
+          { $unwind: '$answers' },
+          {
+            $group: {
+              _id: { sectionId: '$answers.sectionId', questionId: '$answers.questionId' },
+              attempts: { $sum: 1 },
+              correct: { $sum: { $cond: ['$answers.isCorrect', 1, 0] } }
+            }
+          }
+        ],
+        recent: [
+          { $sort: { submittedAt: -1 } },
+          { $limit: boundedInt(limit, DEFAULT_RECENT_ATTEMPTS, MAX_RECENT_ATTEMPTS) },
+          { $project: { guestName: 1, score: 1, earnedPoints: 1, totalPoints: 1, isPassed: 1, timeTaken: 1, submittedAt: 1 } }
+        ]
+      }
+    }
+  ]);
+
+  const overall = result?.overall?.[0];
+  const attempts = overall?.attempts || 0;
+  return {
+    worksheetId: worksheet._id,
+    title: worksheet.title,
+    isShared: Boolean(worksheet.shareToken),
+    attempts,
+    averageScore: attempts ? roundScore(overall.averageScore) : null,
+    bestScore: attempts ? overall.bestScore : null,
+    passRate: attempts ? roundScore((overall.passed / attempts) * 100) : null,
+    averageTimeTaken: attempts ? Math.round(overall.averageTimeTaken || 0) : null,
+    lastAttemptAt: overall?.lastAttemptAt || null,
+    sections: (result?.sections || []).map((row) => ({
+      sectionId: row._id,
+      sectionName: row.sectionName,
+      activityType: row.activityType,
+      attempts: row.attempts,
+      averageScore: roundScore(row.averageScore)
+    })),
+    questions: (result?.questions || [])
+      .map((row) => ({
+        sectionId: row._id.sectionId,
+        questionId: row._id.questionId,
+        attempts: row.attempts,
+        correctRate: roundScore((row.correct / row.attempts) * 100)
+      }))
+      .sort((a, b) => a.correctRate - b.correctRate || b.attempts - a.attempts)
+      .slice(0, MAX_QUESTION_STATS),
+    recentAttempts: (result?.recent || []).map(({ _id, guestName, ...rest }) => ({ _id, guestName: guestName || 'Guest', ...rest }))
+  };
+}
+
+module.exports = {
+  SharedWorksheetError,
+  toStudentView,
+  getSharedWorksheet,
+  submitGuestAttempt,
+  getGuestAttemptSummary
+};
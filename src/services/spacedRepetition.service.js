@@ -0,0 +1,277 @@
+'use strict';
+
+const mongoose = require('mongoose');
+
+const Assignment = require('../models/assignment.model');
+const FlashcardReviewState = require('../models/FlashcardReviewState');
+const FlashcardSet = require('../models/FlashcardSet');
+const Membership = require('../models/membership.model');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RELEARN_DELAY_MS = 10 * 60 * 1000;
+const MIN_EASE = 1.3;
+const DEFAULT_EASE = 2.5;
+const DEFAULT_NEW_CARD_LIMIT = 20;
+const DEFAULT_QUEUE_LIMIT = 100;
+const DEFAULT_FORECAST_DAYS = 7;
+
+const REVIEW_GRADES = ['again', 'hard', 'good', 'easy'];
+
+/** SM-2 quality (0-5) for each grade; anything below 3 is a lapse. */
+const GRADE_QUALITY = { again: 1, hard: 3, good: 4, easy: 5 };
+
+/** Self-assessment values already used by the flip study UI and study submissions. */
+const GRADE_ALIASES = { knew: 'good', know: 'good', didnt_know: 'again', learning: 'again' };
+
+class SpacedRepetitionError extends Error {
+  constructor(statusCode, code, message) {
+    super(message);
+    this.name = 'SpacedRepetitionError';
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+function normalizeReviewGrade(grade) {
+  const value = String(grade || '').trim().toLowerCase();
+  if (REVIEW_GRADES.includes(value)) return value;
+  return GRADE_ALIASES[value] || null;
+}
+
+function endOfUtcDay(now = new Date()) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1) - 1);
+}
+
+/**
+ * Applies one review to a card's schedule (SM-2 with hard/easy modifiers).
+ * A lapse resets repetitions and brings the card back in ten minutes, so it
+ * stays in today's queue.
+ */
+function scheduleReview(state, grade, now = new Date()) {
+  const normalized = normalizeReviewGrade(grade);
+  if (!normalized) {
+    throw new SpacedRepetitionError(400, 'INVALID_GRADE', `grade must be one of: ${REVIEW_GRADES.join(', ')}`);
+  }
+
+  const quality = GRADE_QUALITY[normalized];
+  const previous = {
+    ease: Number.isFinite(state?.ease) ? state.ease : DEFAULT_EASE,
+    intervalDays: Number.isFinite(state?.intervalDays) ? state.intervalDays : 0,
+    repetitions: Number.isFinite(state?.repetitions) ? state.repetitions : 0,
+    lapses: Number.isFinite(state?.lapses) ? state.lapses : 0,
+    reviewCount: Number.isFinite(state?.reviewCount) ? state.reviewCount : 0
+  };
+
+  const ease = Math.max(MIN_EASE,
+    Math.round((previous.ease + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)) * 100) / 100);
+  const next = { ...previous, ease, lastGrade: normalized, lastReviewedAt: now, reviewCount: previous.reviewCount + 1 };
+
+  if (quality < 3) {
+    next.repetitions = 0;
+    next.lapses = previous.lapses + 1;
+    next.intervalDays = 0;
+    next.dueAt = new Date(now.getTime() + RELEARN_DELAY_MS);
+    return next;
+  }
+
+  next.repetitions = previous.repetitions + 1;
+  let intervalDays;
+  if (next.repetitions === 1) {
+    intervalDays = normalized === 'easy' ? 4 : 1;
+  } else if (next.repetitions === 2) {
+    intervalDays = normalized === 'hard' ? 3 : 6;
+  } else {
+    const multiplier = normalized === 'hard' ? 1.2 : ease * (normalized === 'easy' ? 1.3 : 1);
+    intervalDays = Math.max(previous.intervalDays + 1, Math.round(previous.intervalDays * multiplier));
+  }
+  next.intervalDays = intervalDays;
+  next.dueAt = new Date(now.getTime() + intervalDays * DAY_MS);
+  return next;
+}
+
+/**
+ * Today's study queue: cards due by the end of the UTC day (most overdue
+ * first), then unseen cards in deck order up to `newCardLimit`. States for
+ * cards no longer in the set are ignored.
+ */
+function buildDueQueue({ cards, states, now = new Date(), newCardLimit = DEFAULT_NEW_CARD_LIMIT, limit = DEFAULT_QUEUE_LIMIT }) {
+  const cutoff = endOfUtcDay(now);
+  const stateByCard = new Map((states || []).map((state) => [String(state.cardId), state]));
+  const orderedCards = [...(cards || [])].sort((a, b) => (a.order || 0) - (b.order || 0));
+
+  const due = [];
+  const fresh = [];
+  let scheduledLater = 0;
+  for (const card of orderedCards) {
+    const state = stateByCard.get(String(card._id));
+    if (!state) {
+      fresh.push({ card, state: null });
+    } else if (new Date(state.dueAt) <= cutoff) {
+      due.push({ card, state });
+    } else {
+      scheduledLater += 1;
+    }
+  }
+  due.sort((a, b) => new Date(a.state.dueAt) - new Date(b.state.dueAt));
+
+  const queue = [...due, ...fresh.slice(0, Math.max(0, newCardLimit))].slice(0, Math.max(0, limit));
+  return {
+    dueCount: due.length,
+    newCount: fresh.length,
+    scheduledLaterCount: scheduledLater,
+    queue
+  };
+}
+
+/** Reviews due per UTC day for the next `days` days; overdue cards count toward today. */
+function reviewForecast(states, { now = new Date(), days = DEFAULT_FORECAST_DAYS } = {}) {
+  const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+  const forecast = Array.from({ length: days }, (_, offset) => ({
+    date: new Date(today + offset * DAY_MS).toISOString().slice(0, 10),
+    due: 0
+  }));
+  let overdue = 0;
+  for (const state of states || []) {
+    const dueAt = new Date(state.dueAt).getTime();
+    if (dueAt < now.getTime()) overdue += 1;
+    const offset = Math.max(0, Math.floor((dueAt - today) / DAY_MS));
+    if (offset < days) forecast[offset].due += 1;
+  }
+  return { overdue, days: forecast };
+}
+
+function isObjectId(value) {
+  return mongoose.Types.ObjectId.isValid(value);
+}
+
+/** Loads a set the user may study: their own, public, or assigned to one of their active classes. */
+async function loadStudySet(setId, studentId) {
+  if (!isObjectId(setId)) throw new SpacedRepetitionError(400, 'INVALID_SET_ID', 'Invalid flashcard set ID');
+  const set = await FlashcardSet.findById(setId).select('title template cards visibility assignedClasses ownerId').lean();
+  if (!set) throw new SpacedRepetitionError(404, 'SET_NOT_FOUND', 'Flashcard set not found');
+  if (set.visibility !== 'private' || String(set.ownerId) === String(studentId)) return set;
+
+  const memberships = await Membership.find({ student: studentId, status: 'active' }).select('class').lean();
+  const classIds = memberships.map((m) => String(m.class));
+  const assigned = (set.assignedClasses || []).some((classId) => classIds.includes(String(classId)));
+  if (assigned) return set;
+
+  const assignment = classIds.length
+    ? await Assignment.findOne({ resourceType: 'flashcard', resourceId: String(setId), class: { $in: classIds }, isActive: true })
+      .select('_id').lean()
+    : null;
+  if (!assignment) throw new SpacedRepetitionError(403, 'FORBIDDEN', 'Forbidden');
+  return set;
+}
+
+function toCardView(card, state) {
+  return {
+    cardId: String(card._id),
+    front: card.front,
+    back: card.back,
+    frontImage: card.frontImage || null,
+    backImage: card.backImage || null,
+    template: card.template,
+    isNew: !state,
+    dueAt: state ? state.dueAt : null,
+    intervalDays: state ? state.intervalDays : 0,
+    ease: state ? state.ease : DEFAULT_EASE,
+    lapses: state ? state.lapses : 0
+  };
+}
+
+async function getDueQueue({ setId, studentId, now = new Date(), newCardLimit, limit }) {
+  const set = await loadStudySet(setId, studentId);
+  const cardIds = new Set((set.cards || []).map((card) => String(card._id)));
+  const states = (await FlashcardReviewState.find({ studentId, flashcardSetId: setId }).lean())
+    .filter((state) => cardIds.has(String(state.cardId)));
+  const result = buildDueQueue({ cards: set.cards, states, now, newCardLimit, limit });
+  return {
+    flashcardSetId: String(setId),
+    dueCount: result.dueCount,
+    newCount: result.newCount,
+    scheduledLaterCount: result.scheduledLaterCount,
+    cards: result.queue.map(({ card, state }) => toCardView(card, state)),
+    forecast: reviewForecast(states, { now })
+  };
+}
+
+/** Applies `[{ cardId, grade }]` in order and persists the resulting schedules. */
+async function recordReviews({ setId, studentId, reviews, now = new Date() }) {
+  if (!Array.isArray(reviews) || reviews.length === 0) {
+    throw new SpacedRepetitionError(400, 'INVALID_REVIEWS', 'reviews must be a non-empty array');
+  }
+  const set = await loadStudySet(setId, studentId);
+  const cardIds = new Set((set.cards || []).map((card) => String(card._id)));
+  for (const review of reviews) {
+    if (!review || !cardIds.has(String(review.cardId))) {
+      throw new SpacedRepetitionError(400, 'UNKNOWN_CARD', `Card ${review?.cardId} is not in this set`);
+    }
+    if (!normalizeReviewGrade(review.grade)) {
+      throw new SpacedRepetitionError(400, 'INVALID_GRADE', `grade must be one of: ${REVIEW_GRADES.join(', ')}`);
+    }
+  }
+
+  const existing = await FlashcardReviewState.find({
+    studentId,
+    cardId: { $in: reviews.map((review) => review.cardId) }
+  }).lean();
+  const stateByCard = new Map(existing.map((state) => [String(state.cardId), state]));
+
+  for (const review of reviews) {
+    const key = String(review.cardId);
+    stateByCard.set(key, { ...scheduleReview(stateByCard.get(key), review.grade, now), cardId: key });
+  }
+
+  const touched = [...new Set(reviews.map((review) => String(review.cardId)))];
+  await FlashcardReviewState.bulkWrite(touched.map((cardId) => {
+    const { ease, intervalDays, repetitions, lapses, reviewCount, lastGrade, lastReviewedAt, dueAt } = stateByCard.get(cardId);
+    return {
+      updateOne: {
+        filter: { studentId, cardId },
+        update: {
+          $set: { flashcardSetId: setId, ease, intervalDays, repetitions, lapses, reviewCount, lastGrade, lastReviewedAt, dueAt }
+        },
+        upsert: true
+      }
+    };
+  }));
+
+  return touched.map((cardId) => {
+    const state = stateByCard.get(cardId);
+    return { cardId, dueAt: state.dueAt, intervalDays: state.intervalDays, ease: state.ease, lapses: state.lapses, lastGrade: state.lastGrade };
+  });
+}
+
+/** Per-student review forecast for a set, keyed by student id. */
+async function forecastForStudents({ setId, studentIds, now = new Date(), days = DEFAULT_FORECAST_DAYS }) {
+  const ids = [...new Set((studentIds || []).map(String))].filter(isObjectId);
+  const forecasts = new Map(ids.map((id) => [id, { tracked: 0, ...reviewForecast([], { now, days }) }]));
+  if (!ids.length) return forecasts;
+
+  const states = await FlashcardReviewState.find({ flashcardSetId: setId, studentId: { $in: ids } })
+    .select('studentId dueAt').lean();
+  const byStudent = new Map();
+  for (const state of states) {
+    const key = String(state.studentId);
+    if (!byStudent.has(key)) byStudent.set(key, []);
+    byStudent.get(key).push(state);
+  }
+  for (const [studentId, studentStates] of byStudent) {
+    forecasts.set(studentId, { tracked: studentStates.length, ...reviewForecast(studentStates, { now, days }) });
+  }
+  return forecasts;
+}
+
+module.exports = {
+  REVIEW_GRADES,
+  SpacedRepetitionError,
+  normalizeReviewGrade,
+  scheduleReview,
+  buildDueQueue,
+  reviewForecast,
+  loadStudySet,
+  getDueQueue,
+  recordReviews,
+  forecastForStudents
+};
@@ -1,23 +1,69 @@
 const crypto = require('crypto');
 
-// In-memory store: token -> { userId, expiresAt }
-const sseTokens = new Map();
+const SseToken = require('../models/SseToken');
+const { realtimeBackend } = require('./realtimeBus.service');
 
 const TTL_MS = 60 * 1000; // 60 seconds
 
-function pruneExpired() {
-  const now = Date.now();
-  for (const [token, entry] of sseTokens) {
-    if (entry.expiresAt <= now) {
-      sseTokens.delete(token);
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Process-local store: token -> { userId, expiresAt }
+function createMemoryTokenStore() {
+  const sseTokens = new Map();
+
+  function pruneExpired() {
+    const now = Date.now();
+    for (const [token, entry] of sseTokens) {
+      if (entry.expiresAt <= now) {
+        sseTokens.delete(token);
+      }
     }
   }
+
+  return {
+    async save(token, { userId, expiresAt }) {
+      pruneExpired();
+      sseTokens.set(token, { userId, expiresAt });
+    },
+    async take(token) {
+      const entry = sseTokens.get(token);
+      if (!entry) return null;
+      sseTokens.delete(token);
+      return entry;
+    }
+  };
 }
 
-function issueToken(userId) {
-  pruneExpired();
+// Shared store so a token issued by one API instance can open the stream on
+// another. findOneAndDelete keeps consumption one-time across instances.
+function createMongoTokenStore({ model = SseToken } = {}) {
+  return {
+    async save(token, { userId, expiresAt }) {
+      await model.create({ tokenHash: hashToken(token), userId, expiresAt: new Date(expiresAt) });
+    },
+    async take(token) {
+      const doc = await model.findOneAndDelete({ tokenHash: hashToken(token) }).lean();
+      return doc ? { userId: String(doc.userId), expiresAt: new Date(doc.expiresAt).getTime() } : null;
+    }
+  };
+}
+
+let activeStore = null;
+
+function getTokenStore() {
+  if (!activeStore) activeStore = realtimeBackend() === 'mongo' ? createMongoTokenStore() : createMemoryTokenStore();
+  return activeStore;
+}
+
+function setTokenStore(store) {
+  activeStore = store;
+}
+
+async function issueToken(userId) {
   const token = crypto.randomBytes(32).toString('hex');
-  sseTokens.set(token, {
+  await getTokenStore().save(token, {
     userId: String(userId),
     expiresAt: Date.now() + TTL_MS
   });
@@ -25,21 +71,23 @@ function issueToken(userId) {
 }
 
 /**
- * Atomically consume a one-time token. Returns the userId if valid and
+ * Atomically consume a one-time token. Resolves to the userId if valid and
  * unexpired, otherwise null. The token is invalidated on first successful
  * use (one-time use semantics).
  */
-function consumeToken(token) {
+async function consumeToken(token) {
   if (!token || typeof token !== 'string') return null;
-  const entry = sseTokens.get(token);
-  if (!entry) return null;
   // Invalidate immediately regardless of expiry to prevent replay.
-  sseTokens.delete(token);
+  const entry = await getTokenStore().take(token);
+  if (!entry) return null;
   if (entry.expiresAt <= Date.now()) return null;
   return entry.userId;
 }
 
 module.exports = {
+  createMemoryTokenStore,
+  createMongoTokenStore,
+  setTokenStore,
   issueToken,
   consumeToken
 };
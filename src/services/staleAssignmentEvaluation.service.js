@@ -4,10 +4,12 @@ const crypto = require('crypto');
 const Submission = require('../models/Submission');
 const SubmissionFeedback = require('../models/SubmissionFeedback');
 const canonicalEvaluation = require('./canonicalEvaluation.service');
+const { analysisQueueMode, dispatchEvaluation } = require('./analysisJobs.service');
 const correctionCanonical = require('./correctionCanonical.service');
 const { CANONICAL_TRANSCRIPT_LAYOUT_VERSION } = require('../utils/ocrTranscriptNormalizer');
 const { currentEvaluationSettings } = require('./evaluationSettingsContext.service');
 const { buildCanonicalResultState } = require('./canonicalResultState.service');
+const { createProgressReporter } = require('./submissionProgress.service');
 const logger = require('../utils/logger');
 
 const DEFAULT_CONCURRENCY = 3;
@@ -123,11 +125,16 @@ async function start(assignment, { concurrency = DEFAULT_CONCURRENCY } = {}) {
     queued.push({ submission, jobId });
   }
 
-  if (queued.length) {
+  if (queued.length && analysisQueueMode() === 'persistent') {
+    for (const { submission, jobId } of queued) {
+      await dispatchEvaluation({ submission, jobId, assignment, fullAssignment: true });
+    }
+  } else if (queued.length) {
     setImmediate(() => runBounded(queued, Math.max(1, Math.min(5, Number(concurrency) || DEFAULT_CONCURRENCY)),
       async ({ submission, jobId }) => {
         try {
-          await canonicalEvaluation.generate({ submission, prelockedJobId: jobId, assignment });
+          await canonicalEvaluation.generate({ submission, prelockedJobId: jobId, assignment,
+            onProgress: createProgressReporter({ submission, teacherId: assignment.teacher }) });
         } catch (error) {
           logger.error({
             message: 'Bulk stale evaluation failed',
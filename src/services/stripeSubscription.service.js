@@ -106,6 +106,7 @@ module.exports = {
   CHECKOUT_BLOCKING_STATUSES,
   isSubscriptionEntitled,
   idOf,
+  getPeriod,
   getPriceId,
   syncSubscription,
   associateCheckoutSession
@@ -140,7 +140,7 @@ function safeDiagnostics(submission, transcriptPages, corrections, submittedPage
   return { uploadedFileIds: (submission.files || []).map(objectId), transcriptPages: transcriptPages.map((page) => ({ fileId: objectId(page.fileId), pageNumber: Number(page.pageNumber) })), correctionGroups: groups, withWordIds: corrections.filter((c) => Array.isArray(c.wordIds) && c.wordIds.length).length, withBboxList: corrections.filter((c) => Array.isArray(c.bboxList) && c.bboxList.length).length, withGlobalOffsets: corrections.filter((c) => Number.isFinite(Number(c.startChar)) && Number.isFinite(Number(c.endChar))).length, assignedPerPage: submittedPages.map((page) => ({ fileId: page.fileId, pageNumber: page.pageNumber, count: page.corrections.length })) };
 }
 
-async function buildPersistedSubmissionFeedbackReport({ submission, submissionFeedback, feedback, identity, generatedAt, abortSignal }) {
+async function buildPersistedSubmissionFeedbackReport({ submission, submissionFeedback, feedback, identity, generatedAt, penaltyPercent = null, gradingPolicy = null, abortSignal }) {
   const startedAt = Date.now(); const canonical = buildCanonicalSubmissionTranscript(submission); const normalizedAt = Date.now(); const files = Array.isArray(submission.files) && submission.files.length ? submission.files : submission.file ? [submission.file] : [];
   if (canonical.pages.length > limit('PDF_MAX_UPLOADED_PAGES', 20)) throw new ApiError(413, 'This submission contains too many pages for a single report.');
   if (canonical.text.length > limit('PDF_MAX_TRANSCRIPT_CHARACTERS', 1000000)) throw new ApiError(413, 'The submission transcript is too large for report rendering.');
@@ -166,7 +166,7 @@ async function buildPersistedSubmissionFeedbackReport({ submission, submissionFe
   const feedbackObject = submissionFeedback?.toObject ? submissionFeedback.toObject() : { ...(submissionFeedback || {}) }; const teacherObject = feedback?.toObject ? feedback.toObject() : { ...(feedback || {}) };
   const teacherComments = resolveTeacherComments({ submissionFeedback: feedbackObject, legacyFeedback: teacherObject });
   const legend = await resolveLegend();
-  const vm = buildSubmissionFeedbackReportViewModel({ generatedAt, identity, legend, submission: { ...(submission.toObject ? submission.toObject() : submission), files: files.map(objectId), canonicalText: canonical.text, transcriptPages, imageDataByPageKey: assets.byPageKey }, evaluation: { ...feedbackObject, status: submission.evaluationStatus }, feedback: { ...feedbackObject, teacherComments, overrideReason: teacherObject.overrideReason } });
+  const vm = buildSubmissionFeedbackReportViewModel({ generatedAt, identity, legend, penaltyPercent, gradingPolicy, submission: { ...(submission.toObject ? submission.toObject() : submission), files: files.map(objectId), canonicalText: canonical.text, transcriptPages, imageDataByPageKey: assets.byPageKey }, evaluation: { ...feedbackObject, status: submission.evaluationStatus }, feedback: { ...feedbackObject, teacherComments, overrideReason: teacherObject.overrideReason } });
   return { viewModel: vm, diagnostics: { ...safeDiagnostics(submission, transcriptPages, Array.isArray(submission.writingCorrections) ? submission.writingCorrections : [], vm.submittedPages), missingAssetCount: vm.submittedPages.filter((page) => !page.imageDataUrl).length,
     assetMetrics: assets.metrics, totalEmbeddedAssetBytes: assets.totalEmbeddedBytes },
     timings: { normalizationMs: normalizedAt - startedAt, assetResolutionMs: assetsAt - normalizedAt, viewModelMs: Date.now() - assetsAt, totalMs: Date.now() - startedAt } };
@@ -0,0 +1,113 @@
+'use strict';
+
+const { publishToUser } = require('./notificationRealtime.service');
+const { pendingAnalysisState } = require('./submissionAnalysisLifecycle.service');
+const logger = require('../utils/logger');
+
+const SUBMISSION_PROGRESS_EVENT = 'submission_progress';
+
+// Analysis stages of an essay submission and the Submission fields that
+// describe each one. Writing any `watch` field publishes a progress event.
+const PROGRESS_STAGES = [
+  { stage: 'ocr', status: 'ocrStatus', error: 'ocrError', watch: ['ocrStatus', 'ocrJobId'] },
+  { stage: 'correction', status: 'correctionStatus', error: 'correctionError', watch: ['correctionStatus'] },
+  { stage: 'languageTool', status: 'languageToolStatus', watch: ['languageToolStatus'] },
+  {
+    stage: 'semantic', status: 'semanticStatus', attempt: 'semanticAttempt', maxAttempts: 'semanticMaxAttempts',
+    errorCode: 'semanticErrorCode', watch: ['semanticStatus', 'semanticAttempt', 'semanticErrorCode']
+  },
+  {
+    stage: 'evaluation', status: 'evaluationStatus', attempt: 'evaluationAttempts', errorCode: 'evaluationErrorCode',
+    error: 'evaluationError', watch: ['evaluationStatus', 'evaluationErrorCode']
+  }
+];
+
+const PROGRESS_FIELDS = [...new Set(PROGRESS_STAGES.flatMap((stage) => [
+  stage.status, stage.attempt, stage.maxAttempts, stage.errorCode, stage.error, ...stage.watch
+]).filter(Boolean))];
+
+function attemptValue(value) {
+  if (Array.isArray(value)) return value.length;
+  const number = Number(value);
+  return value === null || value === undefined || !Number.isFinite(number) ? null : number;
+}
+
+// Error messages in this codebase lead with their code, e.g. `OCR_READING_ORDER_UNRELIABLE: ...`.
+function errorCodeFrom(message) {
+  const match = /^([A-Z][A-Z0-9_]{2,}):/u.exec(String(message || ''));
+  return match ? match[1] : null;
+}
+
+/** Builds the event payload for one stage from the submission's current state. */
+function buildProgressEvent(submission, stageName, { reset = false } = {}) {
+  const stage = PROGRESS_STAGES.find((item) => item.stage === stageName);
+  if (!stage || !submission) return null;
+  const status = submission[stage.status] || null;
+  return {
+    submissionId: String(submission._id),
+    assignmentId: submission.assignment ? String(submission.assignment._id || submission.assignment) : null,
+    studentId: submission.student ? String(submission.student._id || submission.student) : null,
+    stage: stage.stage,
+    status,
+    attempt: stage.attempt ? attemptValue(submission[stage.attempt]) : null,
+    maxAttempts: stage.maxAttempts ? attemptValue(submission[stage.maxAttempts]) : null,
+    errorCode: (stage.errorCode && submission[stage.errorCode])
+      || (stage.error ? errorCodeFrom(submission[stage.error]) : null)
+      || null,
+    reset,
+    at: new Date().toISOString()
+  };
+}
+
+/** Stages whose watched fields are among the fields just written. */
+function stagesTouched(fields) {
+  const keys = new Set(Object.keys(fields || {}));
+  return PROGRESS_STAGES.filter((stage) => stage.watch.some((field) => keys.has(field))).map((stage) => stage.stage);
+}
+
+/** Publishes the given stages of a submission to the assignment's teacher. */
+function publishSubmissionProgress(submission, stages, { teacherId, reset = false } = {}) {
+  if (!submission || !teacherId) return;
+  for (const stage of stages) {
+    const payload = buildProgressEvent(submission, stage, { reset });
+    if (payload) publishToUser({ userId: String(teacherId), event: SUBMISSION_PROGRESS_EVENT, payload });
+  }
+}
+
+/**
+ * A new submission, or a resubmission reset by resetSubmissionAnalysisState,
+ * starts every analysis stage at pending.
+ */
+function publishAnalysisPending(submission, { teacherId, reset = false }) {
+  const stages = stagesTouched(pendingAnalysisState({ ocrJobId: submission?.ocrJobId }));
+  publishSubmissionProgress(submission, stages, { teacherId, reset });
+}
+
+/**
+ * Progress callback for one analysis run, passed to the OCR, corrections and
+ * evaluation pipelines as `onProgress`. They call it with the stage fields
+ * they just wrote; it keeps a running copy of those fields and publishes the
+ * stages they belong to.
+ */
+function createProgressReporter({ submission, teacherId }) {
+  const state = { _id: submission._id, assignment: submission.assignment, student: submission.student };
+  for (const field of PROGRESS_FIELDS) state[field] = submission[field];
+  return function reportProgress(fields) {
+    Object.assign(state, fields);
+    try {
+      publishSubmissionProgress(state, stagesTouched(fields), { teacherId });
+    } catch (err) {
+      logger.warn({ message: 'Failed to publish submission progress', error: err?.message || String(err) });
+    }
+  };
+}
+
+module.exports = {
+  SUBMISSION_PROGRESS_EVENT,
+  PROGRESS_STAGES,
+  buildProgressEvent,
+  stagesTouched,
+  publishSubmissionProgress,
+  publishAnalysisPending,
+  createProgressReporter
+};
@@ -16,6 +16,7 @@ const File = require('../models/File');
 const Notification = require('../models/notification.model');
 const User = require('../models/user.model');
 const logger = require('../utils/logger');
+const { refundUsage, usageReference } = require('./usageLedger.service');
 
 class SubmissionRemovalError extends Error {
   constructor(statusCode, code, message) {
@@ -130,7 +131,6 @@ async function deleteDatabaseState(context, mongoSession = null) {
 
   const storageMB = Number((context.storageBytes / (1024 * 1024)).toFixed(2));
   await User.updateOne({ _id: submission.student }, [{ $set: {
-    'usage.submissions': { $max: [0, { $subtract: [{ $ifNull: ['$usage.submissions', 0] }, 1] }] },
     'usage.storageMB': { $max: [0, { $subtract: [{ $ifNull: ['$usage.storageMB', 0] }, storageMB] }] }
   } }], { ...options, updatePipeline: true });
 
@@ -159,6 +159,13 @@ async function removeSubmissionForTeacher(submissionId, teacherId) {
     await mongoSession.endSession();
   }
 
+  // The ledger is append-only and outside the transaction, so the essay
+  // analysis charge is refunded once the submission is really gone.
+  await refundUsage({ userId: context.submission.student, metric: 'submissions',
+    reference: usageReference('submission', context.submission._id), reason: 'submission_removed' })
+    .catch((error) => logger.warn({ message: 'Submission usage refund failed', submissionId: String(submissionId),
+      error: error?.message || String(error) }));
+
   const physicalCleanupFailures = await cleanupPhysicalFiles(context.physicalPaths, submissionId);
   return { submissionId: String(submissionId), assignmentId: String(context.assignment._id),
     classId: String(context.classDoc._id), physicalCleanupPending: physicalCleanupFailures.length };
@@ -0,0 +1,199 @@
+const Plan = require('../models/Plan');
+const logger = require('../utils/logger');
+const { getStripe } = require('./stripe.service');
+const { idOf, getPriceId, syncSubscription } = require('./stripeSubscription.service');
+
+// Subscription states that can still be switched, cancelled or resumed in place.
+const CHANGEABLE_STATUSES = new Set(['active', 'trialing', 'past_due']);
+
+class SubscriptionChangeError extends Error {
+  constructor(statusCode, code, message) {
+    super(message);
+    this.name = 'SubscriptionChangeError';
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+function toUnix(date) {
+  return Math.floor(date.getTime() / 1000);
+}
+
+function fromMinorUnits(amount) {
+  return typeof amount === 'number' ? Number((amount / 100).toFixed(2)) : null;
+}
+
+function planSummary(plan) {
+  return plan ? {
+    name: plan.name,
+    slug: plan.slug,
+    price: typeof plan.price === 'number' ? plan.price : null,
+    currency: plan.currency || 'USD',
+    billingInterval: plan.billingInterval || null
+  } : null;
+}
+
+async function loadSubscription(user) {
+  if (!user.stripeSubscriptionId || !CHANGEABLE_STATUSES.has(user.stripeSubscriptionStatus)) {
+    throw new SubscriptionChangeError(409, 'NO_ACTIVE_SUBSCRIPTION', 'There is no active subscription to change. Start one from checkout.');
+  }
+  const subscription = await getStripe().subscriptions.retrieve(user.stripeSubscriptionId);
+  if (!subscription || !CHANGEABLE_STATUSES.has(subscription.status) || idOf(subscription.customer) !== user.stripeCustomerId) {
+    throw new SubscriptionChangeError(409, 'NO_ACTIVE_SUBSCRIPTION', 'There is no active subscription to change. Start one from checkout.');
+  }
+  return subscription;
+}
+
+/**
+ * The paid plan `planSlug` names, with its Stripe price checked against the
+ * application's own price and interval the same way checkout does.
+ */
+async function loadTargetPlan(planSlug) {
+  const plan = planSlug ? await Plan.findOne({ slug: planSlug, isActive: true }) : null;
+  if (!plan || !plan.stripe?.priceId || !plan.stripe?.productId) {
+    throw new SubscriptionChangeError(400, 'PLAN_NOT_AVAILABLE', 'Plan is not available for self-serve changes');
+  }
+  const price = await getStripe().prices.retrieve(plan.stripe.priceId);
+  const productId = idOf(price.product);
+  if (
+    !price.active || price.type !== 'recurring' || productId !== plan.stripe.productId ||
+    price.unit_amount !== Math.round(Number(plan.price) * 100) ||
+    price.currency !== String(plan.currency || 'USD').toLowerCase() ||
+    price.recurring?.interval !== (plan.billingInterval || 'month')
+  ) {
+    logger.error(`stripe plan mismatch plan=${plan.slug} configuredProduct=${plan.stripe.productId} configuredPrice=${plan.stripe.priceId}`);
+    throw new SubscriptionChangeError(503, 'BILLING_MISCONFIGURED', 'Billing configuration does not match the application plan');
+  }
+  return plan;
+}
+
+/**
+ * Upgrades are invoiced straight away and only applied once paid; downgrades
+ * take effect now and leave their credit on the next invoice.
+ */
+function changeTerms(currentPlan, targetPlan) {
+  const isUpgrade = Number(targetPlan.price) > Number(currentPlan?.price ?? 0);
+  return {
+    direction: isUpgrade ? 'upgrade' : 'downgrade',
+    prorationBehavior: isUpgrade ? 'always_invoice' : 'create_prorations'
+  };
+}
+
+async function prepareChange(user, planSlug) {
+  const [subscription, targetPlan] = await Promise.all([loadSubscription(user), loadTargetPlan(planSlug)]);
+  const currentPriceId = getPriceId(subscription);
+  if (currentPriceId === targetPlan.stripe.priceId) {
+    throw new SubscriptionChangeError(409, 'PLAN_UNCHANGED', `${targetPlan.name} is already your plan`);
+  }
+  const currentPlan = currentPriceId
+    ? await Plan.findOne({ 'stripe.priceId': currentPriceId })
+    : null;
+  const item = subscription.items?.data?.[0];
+  if (!item?.id) throw new SubscriptionChangeError(409, 'NO_ACTIVE_SUBSCRIPTION', 'The subscription has no plan to switch');
+  return { subscription, item, currentPlan, targetPlan, ...changeTerms(currentPlan, targetPlan) };
+}
+
+function isProrationLine(line) {
+  return line?.parent?.subscription_item_details?.proration ?? line?.proration ?? false;
+}
+
+/**
+ * Previews switching to `planSlug`. Returns the `prorationDate` to send back
+ * with the change so the amounts charged match the ones shown.
+ */
+async function previewPlanChange({ user, planSlug, now = new Date() }) {
+  const change = await prepareChange(user, planSlug);
+  const prorationDate = toUnix(now);
+  const invoice = await getStripe().invoices.createPreview({
+    customer: user.stripeCustomerId,
+    subscription: change.subscription.id,
+    subscription_details: {
+      items: [{ id: change.item.id, price: change.targetPlan.stripe.priceId }],
+      proration_behavior: change.prorationBehavior,
+      proration_date: prorationDate
+    }
+  });
+  const lines = (invoice.lines?.data || []).map((line) => ({
+    description: line.description || null,
+    amount: fromMinorUnits(line.amount),
+    proration: Boolean(isProrationLine(line))
+  }));
+  return {
+    currentPlan: planSummary(change.currentPlan),
+    plan: planSummary(change.targetPlan),
+    direction: change.direction,
+    prorationDate,
+    currency: invoice.currency || String(change.targetPlan.currency || 'USD').toLowerCase(),
+    prorationAmount: Number(lines.filter((line) => line.proration)
+      .reduce((sum, line) => sum + (line.amount || 0), 0).toFixed(2)),
+    amountDue: fromMinorUnits(invoice.amount_due),
+    dueNow: change.direction === 'upgrade',
+    lines
+  };
+}
+
+/**
+ * Switches the subscription to `planSlug` and syncs the teacher's entitlement.
+ * Resolves with the synced user and, for an upgrade awaiting payment, the
+ * invoice page to complete it on.
+ */
+async function changePlan({ user, planSlug, prorationDate = null }) {
+  const change = await prepareChange(user, planSlug);
+  const stripe = getStripe();
+  const params = {
+    items: [{ id: change.item.id, price: change.targetPlan.stripe.priceId }],
+    proration_behavior: change.prorationBehavior,
+    expand: ['latest_invoice']
+  };
+  if (Number.isInteger(prorationDate)) params.proration_date = prorationDate;
+  if (change.direction === 'upgrade') params.payment_behavior = 'pending_if_incomplete';
+
+  const updated = await stripe.subscriptions.update(change.subscription.id, params, {
+    idempotencyKey: `rozna-plan-change:${user._id}:${change.subscription.id}:${change.targetPlan.stripe.priceId}:${params.proration_date || 'now'}`
+  });
+  const synced = await syncSubscription(updated);
+  const pendingPayment = Boolean(updated.pending_update);
+  logger.info(`stripe plan change userId=${user._id} subscription=${updated.id} from=${change.currentPlan?.slug || '-'} to=${change.targetPlan.slug} pending=${pendingPayment}`);
+  return {
+    user: synced || user,
+    plan: planSummary(change.targetPlan),
+    direction: change.direction,
+    pendingPayment,
+    hostedInvoiceUrl: pendingPayment ? updated.latest_invoice?.hosted_invoice_url || null : null
+  };
+}
+
+async function setCancelAtPeriodEnd(user, cancelAtPeriodEnd) {
+  const subscription = await loadSubscription(user);
+  if (Boolean(subscription.cancel_at_period_end) === cancelAtPeriodEnd) {
+    throw new SubscriptionChangeError(409, cancelAtPeriodEnd ? 'ALREADY_CANCELING' : 'NOT_CANCELING', cancelAtPeriodEnd
+      ? 'The subscription is already set to end with the current period'
+      : 'The subscription is not set to cancel');
+  }
+  const updated = await getStripe().subscriptions.update(subscription.id, { cancel_at_period_end: cancelAtPeriodEnd });
+  const synced = await syncSubscription(updated);
+  logger.info(`stripe subscription ${cancelAtPeriodEnd ? 'cancel scheduled' : 'resumed'} userId=${user._id} subscription=${updated.id}`);
+  return synced || user;
+}
+
+/**
+ * Keeps the paid plan until the current period ends, then falls back to Free.
+ * Resolves with the synced user.
+ */
+function cancelAtPeriodEnd({ user }) {
+  return setCancelAtPeriodEnd(user, true);
+}
+
+/** Undoes a scheduled cancellation while the period is still running. */
+function resumeSubscription({ user }) {
+  return setCancelAtPeriodEnd(user, false);
+}
+
+module.exports = {
+  CHANGEABLE_STATUSES,
+  SubscriptionChangeError,
+  previewPlanChange,
+  changePlan,
+  cancelAtPeriodEnd,
+  resumeSubscription
+};
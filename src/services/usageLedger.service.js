@@ -0,0 +1,202 @@
+'use strict';
+
+const mongoose = require('mongoose');
+
+const UsageLedgerEntry = require('../models/UsageLedgerEntry');
+const UsagePeriodTotal = require('../models/UsagePeriodTotal');
+const { isSubscriptionEntitled } = require('./stripeSubscription.service');
+
+const { USAGE_METRICS } = UsageLedgerEntry;
+
+function isPeriodicMetric(metric) {
+  return USAGE_METRICS.includes(metric);
+}
+
+function validDate(value) {
+  const date = value instanceof Date ? value : new Date(value || NaN);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * The billing period `now` falls in. Entitled Stripe subscribers follow their
+ * subscription period; everyone else (Free, admin-assigned plans, or a paid
+ * period the webhook has not rolled forward yet) uses the UTC calendar month.
+ */
+function billingPeriod(user, now = new Date()) {
+  const start = validDate(user?.stripeCurrentPeriodStart);
+  const end = validDate(user?.stripeCurrentPeriodEnd);
+  if (
+    start && end && start <= now && now < end &&
+    isSubscriptionEntitled(user.stripeSubscriptionStatus, end, now.getTime())
+  ) {
+    return { start, end, source: 'stripe' };
+  }
+  return {
+    start: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)),
+    end: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)),
+    source: 'calendar'
+  };
+}
+
+function usageReference(kind, id) {
+  return id ? `${kind}:${id}` : null;
+}
+
+function userObjectId(userId) {
+  return typeof userId === 'string' && mongoose.Types.ObjectId.isValid(userId)
+    ? new mongoose.Types.ObjectId(userId)
+    : userId;
+}
+
+function emptyPeriodUsage() {
+  return Object.fromEntries(USAGE_METRICS.map((metric) => [metric, 0]));
+}
+
+/** Net usage of every periodic metric for the user's current billing period. */
+async function getPeriodUsageSummary(user, { now = new Date() } = {}) {
+  const period = billingPeriod(user, now);
+  const rows = await UsageLedgerEntry.aggregate([
+    { $match: { userId: userObjectId(user._id), periodStart: period.start } },
+    { $group: { _id: '$metric', used: { $sum: '$amount' } } }
+  ]);
+  const usage = emptyPeriodUsage();
+  for (const row of rows) {
+    if (isPeriodicMetric(row._id)) usage[row._id] = Math.max(0, Number(row.used) || 0);
+  }
+  return { periodStart: period.start, periodEnd: period.end, source: period.source, usage };
+}
+
+/**
+ * getPeriodUsageSummary for many users in one query, each in their own
+ * current billing period. Resolves with a Map keyed by the user id string.
+ */
+async function getPeriodUsageSummaries(users, { now = new Date() } = {}) {
+  const summaries = new Map(users.map((user) => {
+    const period = billingPeriod(user, now);
+    return [String(user._id), { periodStart: period.start, periodEnd: period.end, source: period.source, usage: emptyPeriodUsage() }];
+  }));
+  if (!summaries.size) return summaries;
+
+  const periodStarts = [...new Set([...summaries.values()].map((summary) => summary.periodStart.getTime()))];
+  const rows = await UsageLedgerEntry.aggregate([
+    { $match: {
+      userId: { $in: users.map((user) => userObjectId(user._id)) },
+      periodStart: { $in: periodStarts.map((time) => new Date(time)) }
+    } },
+    { $group: { _id: { userId: '$userId', periodStart: '$periodStart', metric: '$metric' }, used: { $sum: '$amount' } } }
+  ]);
+  for (const row of rows) {
+    const summary = summaries.get(String(row._id.userId));
+    if (!summary || !isPeriodicMetric(row._id.metric)) continue;
+    if (new Date(row._id.periodStart).getTime() !== summary.periodStart.getTime()) continue;
+    summary.usage[row._id.metric] = Math.max(0, Number(row.used) || 0);
+  }
+  return summaries;
+}
+
+async function getPeriodUsage(user, metric, { now = new Date() } = {}) {
+  const { usage } = await getPeriodUsageSummary(user, { now });
+  return usage[metric] || 0;
+}
+
+/**
+ * Refunds one charge, found directly or as the latest charge for
+ * `userId` + `metric` + `reference`. The refund lands in the charge's own
+ * period. Refunding twice is a no-op; resolves with the refund entry or null.
+ */
+async function refundUsage({ entry = null, userId = null, metric = null, reference = null, reason = null }) {
+  const charge = entry || (reference
+    ? await UsageLedgerEntry.findOne({ userId, metric, reference, kind: 'charge' }).sort({ createdAt: -1 }).lean()
+    : null);
+  if (!charge || charge.kind === 'refund') return null;
+
+  let refund;
+  try {
+    refund = await UsageLedgerEntry.create({
+      userId: charge.userId,
+      metric: charge.metric,
+      periodStart: charge.periodStart,
+      periodEnd: charge.periodEnd,
+      kind: 'refund',
+      amount: -charge.amount,
+      reason,
+      reference: charge.reference,
+      refundOf: charge._id
+    });
+  } catch (error) {
+    if (error?.code === 11000) return null;
+    throw error;
+  }
+  await UsagePeriodTotal.updateOne(
+    { userId: charge.userId, metric: charge.metric, periodStart: charge.periodStart },
+    { $inc: { used: -charge.amount } }
+  );
+  return refund;
+}
+
+/**
+ * Makes sure the period has a running total, seeding a new one from the
+ * ledger so charges booked before totals existed still count.
+ */
+async function ensurePeriodTotal(userId, metric, period) {
+  const filter = { userId, metric, periodStart: period.start };
+  if (await UsagePeriodTotal.exists(filter)) return;
+  const [row] = await UsageLedgerEntry.aggregate([
+    { $match: { userId: userObjectId(userId), metric, periodStart: period.start } },
+    { $group: { _id: null, used: { $sum: '$amount' } } }
+  ]);
+  try {
+    await UsagePeriodTotal.create({ ...filter, periodEnd: period.end, used: Math.max(0, Number(row?.used) || 0) });
+  } catch (error) {
+    // Another charge seeded the same period first
+    if (error?.code !== 11000) throw error;
+  }
+}
+
+/**
+ * Appends a charge for the user's current billing period. With a numeric
+ * `limit`, the period total is only incremented while it stays within the
+ * limit, in one conditional update; a charge that would exceed it writes
+ * nothing and resolves with null.
+ */
+async function chargeUsage({ user, metric, amount = 1, limit = null, reason = null, reference = null, now = new Date() }) {
+  if (!isPeriodicMetric(metric)) throw new Error(`Unknown periodic usage metric: ${metric}`);
+  const period = billingPeriod(user, now);
+  const totalFilter = { userId: user._id, metric, periodStart: period.start };
+
+  await ensurePeriodTotal(user._id, metric, period);
+  const claimed = await UsagePeriodTotal.findOneAndUpdate(
+    typeof limit === 'number' ? { ...totalFilter, used: { $lte: limit - amount } } : totalFilter,
+    { $inc: { used: amount } },
+    { returnDocument: 'after' }
+  );
+  if (!claimed) return null;
+
+  try {
+    return await UsageLedgerEntry.create({
+      userId: user._id,
+      metric,
+      periodStart: period.start,
+      periodEnd: period.end,
+      kind: 'charge',
+      amount,
+      reason,
+      reference
+    });
+  } catch (error) {
+    await UsagePeriodTotal.updateOne(totalFilter, { $inc: { used: -amount } });
+    throw error;
+  }
+}
+
+module.exports = {
+  USAGE_METRICS,
+  isPeriodicMetric,
+  billingPeriod,
+  usageReference,
+  getPeriodUsage,
+  getPeriodUsageSummary,
+  getPeriodUsageSummaries,
+  chargeUsage,
+  refundUsage
+};
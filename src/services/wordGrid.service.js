@@ -0,0 +1,390 @@
+'use strict';
+
+const crypto = require('crypto');
+
+const MIN_GRID_SIZE = 8;
+const MAX_GRID_SIZE = 20;
+const DEFAULT_GRID_SIZE = 12;
+const MAX_CROSSWORD_SIZE = 21;
+const MIN_WORD_LENGTH = 2;
+// Crossword cells that are not part of any word
+const BLOCKED_CELL = '#';
+
+/** Row/column step for each placement direction. */
+const DIRECTION_STEPS = {
+  across: [0, 1],
+  down: [1, 0],
+  diagonalDown: [1, 1],
+  diagonalUp: [-1, 1],
+  backward: [0, -1],
+  up: [-1, 0],
+  diagonalDownBackward: [1, -1],
+  diagonalUpBackward: [-1, -1]
+};
+
+/** Word search directions allowed at each difficulty; unknown difficulties use medium. */
+const WORD_SEARCH_DIRECTIONS = {
+  easy: ['across', 'down'],
+  medium: ['across', 'down', 'diagonalDown', 'diagonalUp'],
+  hard: Object.keys(DIRECTION_STEPS)
+};
+
+/**
+ * Seeded PRNG (mulberry32 over the first 32 bits of a SHA-256 of the seed).
+ * The same seed always yields the same sequence, so a stored seed reproduces
+ * the exact grid without storing how it was built.
+ */
+function createRandom(seed) {
+  let state = crypto.createHash('sha256').update(String(seed)).digest().readUInt32LE(0);
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function newSeed() {
+  return crypto.randomBytes(6).toString('hex');
+}
+
+function pick(list, random) {
+  return list[Math.floor(random() * list.length)];
+}
+
+function shuffle(list, random) {
+  const out = [...list];
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+/** Grid letters of a word: upper-cased, with spaces, hyphens and punctuation removed. */
+function gridLetters(word) {
+  return Array.from(String(word ?? '').normalize('NFC').toUpperCase().replace(/[^\p{L}\p{N}]/gu, ''));
+}
+
+function clampGridSize(value, longestWord) {
+  const requested = Number.isFinite(Number(value)) && Number(value) > 0 ? Math.round(Number(value)) : DEFAULT_GRID_SIZE;
+  return Math.min(MAX_GRID_SIZE, Math.max(MIN_GRID_SIZE, longestWord, requested));
+}
+
+/**
+ * Distinct usable words with their original index, display text and grid
+ * letters, in a canonical order: the layout depends on which words there are
+ * and the seed, not on the order they were listed in.
+ */
+function collectWords(words, textOf) {
+  const seen = new Set();
+  const out = [];
+  (Array.isArray(words) ? words : []).forEach((entry, index) => {
+    const letters = gridLetters(textOf(entry));
+    const answer = letters.join('');
+    if (letters.length < MIN_WORD_LENGTH || seen.has(answer)) return;
+    seen.add(answer);
+    out.push({ index, entry, text: String(textOf(entry)).trim(), letters, answer });
+  });
+  return out.sort((a, b) => (a.answer < b.answer ? -1 : a.answer > b.answer ? 1 : 0));
+}
+
+function cellsOf(row, col, direction, length) {
+  const [dr, dc] = DIRECTION_STEPS[direction];
+  return Array.from({ length }, (_, i) => [row + dr * i, col + dc * i]);
+}
+
+/** The cell range a word search answer is given as: "row,col-row,col" (zero-based). */
+function formatCellRange(placement) {
+  const [endRow, endCol] = cellsOf(placement.row, placement.col, placement.direction, placement.length).pop();
+  return `${placement.row},${placement.col}-${endRow},${endCol}`;
+}
+
+function parseCellRange(value) {
+  const match = /^\s*(\d+)\s*,\s*(\d+)\s*[-:]\s*(\d+)\s*,\s*(\d+)\s*$/.exec(String(value ?? ''));
+  if (!match) return null;
+  const [startRow, startCol, endRow, endCol] = match.slice(1).map(Number);
+  return { startRow, startCol, endRow, endCol };
+}
+
+/**
+ * Letters a student selected in a word search grid, read from the start cell
+ * to the end cell. Returns null unless the selection is a straight line
+ * (horizontal, vertical or 45-degree diagonal) inside the grid.
+ */
+function readSelection(grid, selection) {
+  const rows = (Array.isArray(grid) ? grid : []).map((row) => Array.from(String(row)));
+  const range = parseCellRange(selection);
+  if (!range || rows.length === 0) return null;
+  const rowSpan = range.endRow - range.startRow;
+  const colSpan = range.endCol - range.startCol;
+  if (rowSpan !== 0 && colSpan !== 0 && Math.abs(rowSpan) !== Math.abs(colSpan)) return null;
+  const length = Math.max(Math.abs(rowSpan), Math.abs(colSpan)) + 1;
+  const letters = [];
+  for (let i = 0; i < length; i++) {
+    const row = rows[range.startRow + Math.sign(rowSpan) * i];
+    const letter = row && row[range.startCol + Math.sign(colSpan) * i];
+    if (!letter) return null;
+    letters.push(letter);
+  }
+  return letters.join('');
+}
+
+/**
+ * Lays out a word search. Longer words are placed first at a random fitting
+ * position (sharing matching letters is allowed); the rest of the grid is
+ * filled with letters drawn from the words themselves so filler matches the
+ * puzzle's alphabet. Words that do not fit are returned in `unplaced`;
+ * passing `words` and `unplaced` back with the same seed rebuilds the grid.
+ *
+ * @param {object} options
+ * @param {string[]} options.words
+ * @param {number} [options.gridSize] — side length, clamped to 8-20 and at least the longest word
+ * @param {string} [options.difficulty] — easy | medium | hard; controls the allowed directions
+ * @param {string} [options.seed] — reuses a layout; a new seed is drawn when omitted
+ * @returns {{ seed, gridSize, difficulty, words, grid, placements, unplaced }}
+ */
+function generateWordSearch({ words, gridSize, difficulty, seed } = {}) {
+  const layoutSeed = seed ? String(seed) : newSeed();
+  const random = createRandom(`wordSearch:${layoutSeed}`);
+  const level = WORD_SEARCH_DIRECTIONS[difficulty] ? difficulty : 'medium';
+  const directions = WORD_SEARCH_DIRECTIONS[level];
+  const entries = collectWords(words, (word) => word);
+  const size = clampGridSize(gridSize, Math.max(0, ...entries.map((e) => e.letters.length)));
+  const grid = Array.from({ length: size }, () => new Array(size).fill(null));
+
+  const fits = (letters, row, col, direction) => cellsOf(row, col, direction, letters.length)
+    .every(([r, c], i) => r >= 0 && r < size && c >= 0 && c < size && (grid[r][c] === null || grid[r][c] === letters[i]));
+
+  const placements = [];
+  const unplaced = [];
+  const byLength = [...entries].sort((a, b) => b.letters.length - a.letters.length);
+  for (const entry of byLength) {
+    const candidates = [];
+    for (const direction of directions) {
+      for (let row = 0; row < size; row++) {
+        for (let col = 0; col < size; col++) {
+          if (fits(entry.letters, row, col, direction)) candidates.push({ row, col, direction });
+        }
+      }
+    }
+    if (candidates.length === 0) {
+      unplaced.push({ index: entry.index, word: entry.text });
+      continue;
+    }
+    const { row, col, direction } = pick(candidates, random);
+    cellsOf(row, col, direction, entry.letters.length).forEach(([r, c], i) => { grid[r][c] = entry.letters[i]; });
+    placements.push({
+      id: `ws_${entry.answer.toLowerCase()}`,
+      index: entry.index,
+      word: entry.text,
+      answer: entry.answer,
+      row,
+      col,
+      direction,
+      length: entry.letters.length
+    });
+  }
+
+  const alphabet = [...new Set(entries.flatMap((e) => e.letters))];
+  if (alphabet.length === 0) alphabet.push(...'ABCDEFGHIJKLMNOPQRSTUVWXYZ');
+  for (const row of grid) {
+    for (let c = 0; c < size; c++) {
+      if (row[c] === null) row[c] = pick(alphabet, random);
+    }
+  }
+
+  placements.sort((a, b) => a.index - b.index);
+  unplaced.sort((a, b) => a.index - b.index);
+  return {
+    seed: layoutSeed,
+    gridSize: size,
+    difficulty: level,
+    words: placements.map((p) => p.word),
+    grid: grid.map((row) => row.join('')),
+    placements: placements.map(({ index, ...placement }) => placement),
+    unplaced: unplaced.map((u) => u.word)
+  };
+}
+
+/**
+ * Lays out a crossword. Words are tried longest first (ties in seeded order);
+ * each one goes where it crosses the most placed words without touching
+ * another word side-on, keeping the grid within 21x21. Entries are numbered
+ * in reading order and the solution grid marks empty cells with '#'. Words
+ * that cannot cross the grid come back in `unplaced` as { word, clue }.
+ *
+ * @param {object} options
+ * @param {Array<{ word: string, clue: string }>} options.words
+ * @param {string} [options.seed] — reuses a layout; a new seed is drawn when omitted
+ * @returns {{ seed, rows, cols, words, solution, unplaced }}
+ */
+function generateCrossword({ words, seed } = {}) {
+  const layoutSeed = seed ? String(seed) : newSeed();
+  const random = createRandom(`crossword:${layoutSeed}`);
+  const entries = collectWords(words, (entry) => entry?.word);
+  const ordered = shuffle(entries, random).sort((a, b) => b.letters.length - a.letters.length);
+
+  // Sparse board keyed "row,col"; `across`/`down` record which word directions use a cell
+  const board = new Map();
+  const key = (r, c) => `${r},${c}`;
+  const bounds = { minRow: 0, maxRow: 0, minCol: 0, maxCol: 0 };
+  const placed = [];
+  const unplaced = [];
+
+  const place = (entry, row, col, direction) => {
+    cellsOf(row, col, direction, entry.letters.length).forEach(([r, c], i) => {
+      const cell = board.get(key(r, c)) || { letter: entry.letters[i] };
+      cell[direction] = true;
+      board.set(key(r, c), cell);
+      bounds.minRow = Math.min(bounds.minRow, r);
+      bounds.maxRow = Math.max(bounds.maxRow, r);
+      bounds.minCol = Math.min(bounds.minCol, c);
+      bounds.maxCol = Math.max(bounds.maxCol, c);
+    });
+    placed.push({ entry, row, col, direction });
+  };
+
+  // Number of crossings if the word can go here, or -1 when it cannot
+  const crossingsAt = (letters, row, col, direction) => {
+    const [dr, dc] = DIRECTION_STEPS[direction];
+    const cells = cellsOf(row, col, direction, letters.length);
+    if (board.has(key(row - dr, col - dc))) return -1;
+    const [lastRow, lastCol] = cells[cells.length - 1];
+    if (board.has(key(lastRow + dr, lastCol + dc))) return -1;
+    const height = Math.max(bounds.maxRow, lastRow) - Math.min(bounds.minRow, row) + 1;
+    const width = Math.max(bounds.maxCol, lastCol) - Math.min(bounds.minCol, col) + 1;
+    if (height > MAX_CROSSWORD_SIZE || width > MAX_CROSSWORD_SIZE) return -1;
+
+    let crossings = 0;
+    for (let i = 0; i < cells.length; i++) {
+      const [r, c] = cells[i];
+      const cell = board.get(key(r, c));
+      if (cell) {
+        if (cell.letter !== letters[i] || cell[direction]) return -1;
+        crossings++;
+      } else if (board.has(key(r + dc, c + dr)) || board.has(key(r - dc, c - dr))) {
+        // An empty cell must not sit beside another word's letter
+        return -1;
+      }
+    }
+    return crossings;
+  };
+
+  const tryPlace = (entry) => {
+    if (placed.length === 0) {
+      place(entry, 0, 0, 'across');
+      return true;
+    }
+    let best = [];
+    let bestScore = 0;
+    for (const other of placed) {
+      const direction = other.direction === 'across' ? 'down' : 'across';
+      const [dr, dc] = DIRECTION_STEPS[direction];
+      const otherCells = cellsOf(other.row, other.col, other.direction, other.entry.letters.length);
+      otherCells.forEach(([r, c], i) => {
+        entry.letters.forEach((letter, j) => {
+          if (letter !== other.entry.letters[i]) return;
+          const row = r - dr * j;
+          const col = c - dc * j;
+          const score = crossingsAt(entry.letters, row, col, direction);
+          if (score <= 0) return;
+          if (score > bestScore) {
+            bestScore = score;
+            best = [];
+          }
+          if (score === bestScore && !best.some((b) => b.row === row && b.col === col && b.direction === direction)) {
+            best.push({ row, col, direction });
+          }
+        });
+      });
+    }
+    if (best.length === 0) return false;
+    const { row, col, direction } = pick(best, random);
+    place(entry, row, col, direction);
+    return true;
+  };
+
+  // A word with nothing to cross yet gets another try once later words are down
+  let pending = ordered;
+  for (;;) {
+    const skipped = pending.filter((entry) => !tryPlace(entry));
+    const stalled = skipped.length === pending.length;
+    pending = skipped;
+    if (pending.length === 0 || stalled) break;
+  }
+  for (const entry of pending) {
+    unplaced.push({ word: entry.text, clue: String(entry.entry?.clue ?? '').trim() });
+  }
+
+  const rows = placed.length ? bounds.maxRow - bounds.minRow + 1 : 0;
+  const cols = placed.length ? bounds.maxCol - bounds.minCol + 1 : 0;
+  const solution = Array.from({ length: rows }, () => new Array(cols).fill(BLOCKED_CELL));
+  for (const [cellKey, cell] of board) {
+    const [r, c] = cellKey.split(',').map(Number);
+    solution[r - bounds.minRow][c - bounds.minCol] = cell.letter;
+  }
+
+  // Number word starts in reading order; an across and a down word may share a number
+  const shifted = placed
+    .map((p) => ({ ...p, row: p.row - bounds.minRow, col: p.col - bounds.minCol }))
+    .sort((a, b) => a.row - b.row || a.col - b.col || (a.direction === 'across' ? -1 : 1));
+  const numbers = new Map();
+  for (const p of shifted) {
+    if (!numbers.has(key(p.row, p.col))) numbers.set(key(p.row, p.col), numbers.size + 1);
+  }
+
+  return {
+    seed: layoutSeed,
+    rows,
+    cols,
+    words: shifted.map((p) => {
+      const number = numbers.get(key(p.row, p.col));
+      return {
+        id: `cw_${number}${p.direction === 'across' ? 'a' : 'd'}`,
+        number,
+        word: p.entry.text,
+        answer: p.entry.answer,
+        clue: String(p.entry.entry?.clue ?? '').trim(),
+        direction: p.direction,
+        row: p.row,
+        col: p.col,
+        length: p.entry.letters.length
+      };
+    }),
+    solution: solution.map((row) => row.join('')),
+    unplaced
+  };
+}
+
+/**
+ * Checks a stored word search or crossword against its own grid: every
+ * placed word must read correctly from its cells. Returns the ids of words
+ * that do not, so a hand-edited or corrupted layout can be rejected.
+ */
+function findLayoutConflicts(type, data) {
+  const grid = type === 'crossword' ? data?.solution : data?.grid;
+  const entries = type === 'crossword' ? data?.words : data?.placements;
+  const rows = (Array.isArray(grid) ? grid : []).map((row) => Array.from(String(row)));
+  return (Array.isArray(entries) ? entries : [])
+    .filter((entry) => {
+      if (!DIRECTION_STEPS[entry?.direction]) return true;
+      const letters = gridLetters(entry.answer ?? entry.word);
+      return letters.length === 0 || cellsOf(Number(entry.row), Number(entry.col), entry.direction, letters.length)
+        .some(([r, c], i) => !rows[r] || rows[r][c] !== letters[i]);
+    })
+    .map((entry) => entry?.id ?? null);
+}
+
+module.exports = {
+  BLOCKED_CELL,
+  DIRECTION_STEPS,
+  WORD_SEARCH_DIRECTIONS,
+  gridLetters,
+  formatCellRange,
+  readSelection,
+  generateWordSearch,
+  generateCrossword,
+  findLayoutConflicts
+};
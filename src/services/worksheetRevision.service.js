@@ -0,0 +1,375 @@
+'use strict';
+
+const mongoose = require('mongoose');
+
+const Worksheet = require('../models/Worksheet');
+const WorksheetRevision = require('../models/WorksheetRevision');
+const WorksheetRevisionPin = require('../models/WorksheetRevisionPin');
+const WorksheetSubmission = require('../models/WorksheetSubmission');
+const { gradeWorksheetAnswers } = require('./worksheetScoring.service');
+
+/** Worksheet fields a revision freezes: what students see and are graded against. */
+const REVISION_FIELDS = [
+  'title', 'description', 'conceptExplanation', 'answerKey', 'activities',
+  'activity1', 'activity2', 'activity3', 'activity4', 'activity5',
+  'activity6', 'activity7', 'activity8', 'activity9', 'totalPoints'
+];
+
+class WorksheetRevisionError extends Error {
+  constructor(statusCode, code, message) {
+    super(message);
+    this.name = 'WorksheetRevisionError';
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+/** Worksheets saved before versioning have no revision field; they are on revision 1. */
+function currentRevision(worksheet) {
+  const revision = Number(worksheet?.revision);
+  return Number.isInteger(revision) && revision > 0 ? revision : 1;
+}
+
+function revisionFilter(revision) {
+  return revision === 1 ? { $in: [1, null] } : revision;
+}
+
+function toPlain(value) {
+  return value && typeof value.toObject === 'function' ? value.toObject() : value;
+}
+
+// JSON with object keys sorted, so equal content compares equal whatever the key order
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * The revision fields of a worksheet as plain JSON. Subdocument _ids are
+ * dropped: they change whenever an array is re-saved and carry no content.
+ */
+function revisionContent(worksheet) {
+  const source = toPlain(worksheet) || {};
+  const content = {};
+  for (const field of REVISION_FIELDS) {
+    if (source[field] !== undefined) content[field] = source[field];
+  }
+  return JSON.parse(JSON.stringify(content, (key, value) => (key === '_id' ? undefined : value)));
+}
+
+function changedRevisionFields(before, after) {
+  return REVISION_FIELDS.filter((field) => stableStringify(before[field]) !== stableStringify(after[field]));
+}
+
+/**
+ * Records the worksheet's current revision if it has no snapshot yet —
+ * worksheets created before versioning get theirs on first edit.
+ */
+async function ensureRevisionSnapshot(worksheet, createdBy = null) {
+  const revision = currentRevision(worksheet);
+  const existing = await WorksheetRevision.findOne({ worksheetId: worksheet._id, revision }).select('_id').lean();
+  if (existing) return;
+  try {
+    await WorksheetRevision.create({
+      worksheetId: worksheet._id,
+      revision,
+      createdBy: createdBy || worksheet.createdBy || null,
+      content: revisionContent(worksheet)
+    });
+  } catch (err) {
+    // Another request recorded the same revision first
+    if (err?.code !== 11000) throw err;
+  }
+}
+
+/**
+ * The worksheet as it was at `revision`: current metadata with that
+ * revision's content. A null revision means a pre-versioning attempt,
+ * taken on revision 1. Returns null when the revision was never recorded.
+ */
+async function worksheetAtRevision(worksheet, revision) {
+  const wanted = Number(revision) > 0 ? Number(revision) : 1;
+  if (wanted === currentRevision(worksheet)) return worksheet;
+  const snapshot = await WorksheetRevision.findOne({ worksheetId: worksheet._id, revision: wanted }).lean();
+  if (!snapshot) return null;
+  return { ...toPlain(worksheet), ...snapshot.content, revision: wanted };
+}
+
+/**
+ * Records the revision a student starts an assignment on, the first time they
+ * open it, and returns the pinned revision. Later calls only read the pin.
+ */
+async function pinStudentRevision({ worksheet, studentId, assignmentId }) {
+  const existing = await WorksheetRevisionPin.findOne({ assignmentId, studentId }).select('worksheetRevision').lean();
+  if (existing) return existing.worksheetRevision;
+
+  const revision = currentRevision(worksheet);
+  try {
+    await WorksheetRevisionPin.create({ assignmentId, studentId, worksheetId: worksheet._id, worksheetRevision: revision });
+    return revision;
+  } catch (err) {
+    // Another request pinned the same attempt first
+    if (err?.code !== 11000) throw err;
+    const winner = await WorksheetRevisionPin.findOne({ assignmentId, studentId }).select('worksheetRevision').lean();
+    return winner ? winner.worksheetRevision : revision;
+  }
+}
+
+/**
+ * The revision a student's attempt belongs to and the worksheet content for
+ * it: the revision pinned for the assignment, else the current one. The
+ * revision is never taken from the client, so a student cannot choose which
+ * answer key they are graded against.
+ *
+ * @returns {Promise<{ revision: number, worksheet: object }>}
+ */
+async function resolveStudentRevision({ worksheet, studentId, assignmentId }) {
+  const current = currentRevision(worksheet);
+  const pin = await WorksheetRevisionPin.findOne({ worksheetId: worksheet._id, studentId, assignmentId })
+    .select('worksheetRevision')
+    .lean();
+
+  const revision = Number(pin?.worksheetRevision);
+  if (Number.isInteger(revision) && revision >= 1 && revision < current) {
+    const content = await worksheetAtRevision(worksheet, revision);
+    if (content) return { revision, worksheet: content };
+  }
+  return { revision: current, worksheet };
+}
+
+/**
+ * Applies a teacher's edit. Changes to revision fields bump the revision and
+ * record a snapshot of the new content, leaving earlier revisions — and the
+ * submissions pinned to them — untouched. Other edits (deadline, tags,
+ * theme, ...) update the worksheet in place.
+ */
+async function updateWorksheetContent({ worksheetId, ownerId, update }) {
+  const worksheet = await Worksheet.findOne({ _id: worksheetId, createdBy: ownerId }).lean();
+  if (!worksheet) throw new WorksheetRevisionError(404, 'NOT_FOUND', 'Worksheet not found or not authorised');
+
+  // The revision number is managed here, never taken from the client
+  const { revision: _clientRevision, ...changes } = update || {};
+  const changedFields = changedRevisionFields(revisionContent(worksheet), revisionContent({ ...worksheet, ...changes }));
+  if (changedFields.length === 0) {
+    return Worksheet.findOneAndUpdate(
+      { _id: worksheet._id, createdBy: ownerId },
+      { $set: changes },
+      { new: true, runValidators: true }
+    );
+  }
+
+  const revision = currentRevision(worksheet);
+  await ensureRevisionSnapshot(worksheet, ownerId);
+  // Matching on the revision we read makes two concurrent edits produce a conflict, not a lost revision
+  const updated = await Worksheet.findOneAndUpdate(
+    { _id: worksheet._id, createdBy: ownerId, revision: revisionFilter(revision) },
+    { $set: { ...changes, revision: revision + 1 } },
+    { new: true, runValidators: true }
+  );
+  if (!updated) {
+    throw new WorksheetRevisionError(409, 'REVISION_CONFLICT', 'The worksheet was changed by another edit. Reload it and try again.');
+  }
+  await WorksheetRevision.create({
+    worksheetId: worksheet._id,
+    revision: revision + 1,
+    createdBy: ownerId,
+    content: revisionContent(updated),
+    changedFields
+  });
+  return updated;
+}
+
+async function loadOwnedWorksheet(worksheetId, ownerId) {
+  if (!mongoose.Types.ObjectId.isValid(String(worksheetId))) {
+    throw new WorksheetRevisionError(404, 'NOT_FOUND', 'Worksheet not found');
+  }
+  const worksheet = await Worksheet.findOne({ _id: worksheetId, createdBy: ownerId }).lean();
+  if (!worksheet) throw new WorksheetRevisionError(404, 'NOT_FOUND', 'Worksheet not found');
+  return worksheet;
+}
+
+function parseRevision(value, worksheet) {
+  const revision = Number(value);
+  if (!Number.isInteger(revision) || revision < 1 || revision > currentRevision(worksheet)) {
+    throw new WorksheetRevisionError(404, 'REVISION_NOT_FOUND', 'Worksheet revision not found');
+  }
+  return revision;
+}
+
+/**
+ * Every revision of a worksheet, newest first, with how many submissions are
+ * pinned to each.
+ */
+async function listRevisions({ worksheetId, ownerId }) {
+  const worksheet = await loadOwnedWorksheet(worksheetId, ownerId);
+  await ensureRevisionSnapshot(worksheet);
+  const [revisions, counts] = await Promise.all([
+    WorksheetRevision.find({ worksheetId: worksheet._id })
+      .select('revision createdBy createdAt changedFields')
+      .sort({ revision: -1 })
+      .lean(),
+    WorksheetSubmission.aggregate([
+      { $match: { worksheetId: new mongoose.Types.ObjectId(String(worksheet._id)) } },
+      { $group: { _id: { $ifNull: ['$worksheetRevision', 1] }, submissions: { $sum: 1 } } }
+    ])
+  ]);
+  const submissionsByRevision = new Map(counts.map((row) => [Number(row._id), row.submissions]));
+  const current = currentRevision(worksheet);
+
+  return {
+    worksheetId: worksheet._id,
+    currentRevision: current,
+    revisions: revisions.map((entry) => ({
+      revision: entry.revision,
+      createdBy: entry.createdBy,
+      createdAt: entry.createdAt,
+      changedFields: entry.changedFields || [],
+      isCurrent: entry.revision === current,
+      submissions: submissionsByRevision.get(entry.revision) || 0
+    }))
+  };
+}
+
+async function getRevision({ worksheetId, ownerId, revision }) {
+  const worksheet = await loadOwnedWorksheet(worksheetId, ownerId);
+  const wanted = parseRevision(revision, worksheet);
+  await ensureRevisionSnapshot(worksheet);
+  const snapshot = await WorksheetRevision.findOne({ worksheetId: worksheet._id, revision: wanted }).lean();
+  if (!snapshot) throw new WorksheetRevisionError(404, 'REVISION_NOT_FOUND', 'Worksheet revision not found');
+  return {
+    revision: snapshot.revision,
+    isCurrent: snapshot.revision === currentRevision(worksheet),
+    createdBy: snapshot.createdBy,
+    createdAt: snapshot.createdAt,
+    changedFields: snapshot.changedFields || [],
+    content: snapshot.content
+  };
+}
+
+function roundScore(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+function answerKey(answer) {
+  return `${answer.sectionId}\u0000${answer.questionId}`;
+}
+
+/**
+ * Regrades every submission of a worksheet against one revision and reports
+ * what that does to each score. With `dryRun` nothing is saved, so a teacher
+ * can preview the diff first. Saved regrades re-pin the submission to the
+ * revision and append to its `regrades` history; submissions already pinned
+ * there whose grading does not change are left alone.
+ *
+ * @returns {{ worksheetId, revision, currentRevision, dryRun, submissions, changed,
+ *   averageScoreBefore, averageScoreAfter, results }}
+ */
+async function regradeSubmissions({ worksheetId, ownerId, revision, dryRun = false }) {
+  const worksheet = await loadOwnedWorksheet(worksheetId, ownerId);
+  const target = parseRevision(revision, worksheet);
+  const content = await worksheetAtRevision(worksheet, target);
+  if (!content) throw new WorksheetRevisionError(404, 'REVISION_NOT_FOUND', 'Worksheet revision not found');
+
+  const submissions = await WorksheetSubmission.find({ worksheetId: worksheet._id })
+    .select('studentId assignmentId answers score earnedPoints totalPoints worksheetRevision')
+    .lean();
+
+  const results = [];
+  for (const submission of submissions) {
+    const answers = Array.isArray(submission.answers) ? submission.answers : [];
+    const graded = gradeWorksheetAnswers({
+      worksheet: content,
+      answers: answers.map(({ sectionId, questionId, studentAnswer }) => ({ sectionId, questionId, studentAnswer }))
+    });
+    const wasCorrect = new Map(answers.map((answer) => [answerKey(answer), answer.isCorrect === true]));
+    const changedQuestions = graded.gradedAnswers
+      .filter((answer) => wasCorrect.get(answerKey(answer)) !== answer.isCorrect)
+      .map((answer) => ({
+        sectionId: answer.sectionId,
+        questionId: answer.questionId,
+        wasCorrect: wasCorrect.get(answerKey(answer)) === true,
+        isCorrect: answer.isCorrect
+      }));
+    const fromRevision = submission.worksheetRevision ?? 1;
+    const previous = {
+      score: roundScore(submission.score),
+      earnedPoints: Number(submission.earnedPoints) || 0,
+      totalPoints: Number(submission.totalPoints) || 0
+    };
+    const next = { score: roundScore(graded.score), earnedPoints: graded.earnedPoints, totalPoints: graded.totalPoints };
+    const isChanged = changedQuestions.length > 0 || previous.score !== next.score
+      || previous.earnedPoints !== next.earnedPoints || previous.totalPoints !== next.totalPoints;
+
+    results.push({
+      submissionId: submission._id,
+      studentId: submission.studentId,
+      assignmentId: submission.assignmentId,
+      fromRevision,
+      previous,
+      next,
+      scoreChange: roundScore(next.score - previous.score),
+      changedQuestions
+    });
+
+    if (dryRun || (!isChanged && fromRevision === target)) continue;
+    await WorksheetSubmission.updateOne({ _id: submission._id }, {
+      $set: {
+        answers: graded.gradedAnswers,
+        totalPointsEarned: graded.totals.totalPointsEarned,
+        totalPointsPossible: graded.totals.totalPointsPossible,
+        percentage: graded.totals.percentage,
+        earnedPoints: graded.earnedPoints,
+        totalPoints: graded.totalPoints,
+        score: graded.score,
+        isPassed: graded.isPassed,
+        sections: graded.sections,
+        worksheetRevision: target
+      },
+      $push: {
+        regrades: {
+          fromRevision,
+          toRevision: target,
+          previousScore: previous.score,
+          newScore: next.score,
+          previousEarnedPoints: previous.earnedPoints,
+          newEarnedPoints: next.earnedPoints,
+          regradedBy: ownerId,
+          regradedAt: new Date()
+        }
+      }
+    });
+  }
+
+  const average = (key) => (results.length
+    ? roundScore(results.reduce((sum, result) => sum + result[key].score, 0) / results.length)
+    : 0);
+  return {
+    worksheetId: worksheet._id,
+    revision: target,
+    currentRevision: currentRevision(worksheet),
+    dryRun: Boolean(dryRun),
+    submissions: results.length,
+    changed: results.filter((result) => result.scoreChange !== 0 || result.changedQuestions.length > 0).length,
+    averageScoreBefore: average('previous'),
+    averageScoreAfter: average('next'),
+    results
+  };
+}
+
+module.exports = {
+  REVISION_FIELDS,
+  WorksheetRevisionError,
+  currentRevision,
+  revisionContent,
+  ensureRevisionSnapshot,
+  worksheetAtRevision,
+  pinStudentRevision,
+  resolveStudentRevision,
+  updateWorksheetContent,
+  listRevisions,
+  getRevision,
+  regradeSubmissions
+};
@@ -1,11 +1,132 @@
 const normalizeString = (v) => String(v ?? '').trim();
 
 const { generateChatCompletion } = require('./aiGeneration.service');
+const { getActivityType } = require('../config/activityTypes.config');
+const { formatCellRange, gridLetters, readSelection } = require('./wordGrid.service');
 
 function lowerTrim(v) {
   return normalizeString(v).toLowerCase();
 }
 
+// Open answers ignore case, curly quotes, repeated spaces and punctuation around the answer
+function normalizeOpenAnswer(v) {
+  return lowerTrim(v)
+    .replace(/[\u2018\u2019]/g, "'")
+    .replace(/[\u201C\u201D]/g, '"')
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s"'.,!?;:]+|[\s"'.,!?;:]+$/g, '');
+}
+
+function matchesAnyAnswer(studentAnswer, candidates) {
+  const given = normalizeOpenAnswer(studentAnswer);
+  if (!given) return false;
+  return candidates.some((candidate) => {
+    const expected = normalizeOpenAnswer(candidate);
+    return expected !== '' && expected === given;
+  });
+}
+
+// Dictation is marked on the words written; punctuation is not dictated
+function dictationWords(v) {
+  return normalizeOpenAnswer(v).replace(/[.,!?;:"()]/g, ' ').split(' ').filter(Boolean);
+}
+
+function acceptedAnswersOf(entry) {
+  return Array.isArray(entry?.acceptedAnswers) ? entry.acceptedAnswers : [];
+}
+
+function answerResult(isCorrect, correctAnswer) {
+  return {
+    isCorrect,
+    feedback: isCorrect ? 'Correct!' : `Incorrect. Correct: ${normalizeString(correctAnswer) || '?'}`,
+  };
+}
+
+/**
+ * Activity types graded per activity rather than through the legacy activity1-9
+ * slots, so a worksheet may hold several of each. Answers address them by their
+ * activities-array sectionId (activity_N). `questions` lists [questionId, entry]
+ * pairs; `grade` marks one answer against its entry.
+ */
+const EXTENDED_ACTIVITY_GRADERS = {
+  clozePassage: {
+    questions: (data) => (data?.passage ?? [])
+      .filter((part) => part && part.type === 'blank' && part.blankId != null)
+      .map((part) => [String(part.blankId), part]),
+    grade: (part, studentAnswer) => answerResult(
+      matchesAnyAnswer(studentAnswer, [part.correctAnswer, ...acceptedAnswersOf(part)]),
+      part.correctAnswer,
+    ),
+  },
+  readingComprehension: {
+    questions: (data) => (data?.questions ?? [])
+      .filter((q) => q && q.id != null)
+      .map((q) => [String(q.id), q]),
+    grade: (q, studentAnswer) => {
+      const correctAnswer = normalizeString(q.correctAnswer);
+      if (q.questionType === 'multipleChoice' || q.questionType === 'trueFalse') {
+        const given = lowerTrim(studentAnswer);
+        return answerResult(Boolean(given && correctAnswer && given === correctAnswer.toLowerCase()), correctAnswer);
+      }
+      return answerResult(matchesAnyAnswer(studentAnswer, [correctAnswer, ...acceptedAnswersOf(q)]), correctAnswer);
+    },
+  },
+  errorCorrection: {
+    questions: (data) => (data?.sentences ?? [])
+      .filter((sentence) => sentence && sentence.id != null)
+      .map((sentence) => [String(sentence.id), sentence]),
+    // Either the corrected word/phrase or the whole corrected sentence is accepted
+    grade: (sentence, studentAnswer) => {
+      const text = normalizeString(sentence.text);
+      const errorText = normalizeString(sentence.errorText);
+      const correction = normalizeString(sentence.correction);
+      const correctedSentence = errorText && text.includes(errorText)
+        ? text.replace(errorText, () => correction)
+        : '';
+      return answerResult(matchesAnyAnswer(studentAnswer, [correction, correctedSentence]), correction);
+    },
+  },
+  dictation: {
+    questions: (data) => (data?.sentences ?? [])
+      .filter((sentence) => sentence && sentence.id != null)
+      .map((sentence) => [String(sentence.id), sentence]),
+    grade: (sentence, studentAnswer) => {
+      const expected = dictationWords(sentence.text);
+      const given = dictationWords(studentAnswer);
+      const isCorrect = expected.length > 0 && expected.length === given.length
+        && expected.every((word, i) => word === given[i]);
+      return answerResult(isCorrect, sentence.text);
+    },
+  },
+  // A found word is the "row,col-row,col" cell range the student selected; it
+  // counts when those grid cells spell the word in either reading direction
+  wordSearch: {
+    questions: (data) => (data?.placements ?? [])
+      .filter((placement) => placement && placement.id != null)
+      .map((placement) => [String(placement.id), { placement, grid: data.grid }]),
+    grade: ({ placement, grid }, studentAnswer) => {
+      const selected = readSelection(grid, studentAnswer);
+      const answer = gridLetters(placement.answer ?? placement.word);
+      const isCorrect = Boolean(selected) && answer.length > 0
+        && [answer.join(''), [...answer].reverse().join('')].includes(selected);
+      return answerResult(isCorrect, formatCellRange({ ...placement, length: answer.length }));
+    },
+  },
+  // A crossword entry is marked cell by cell; every cell must hold the right letter
+  crossword: {
+    questions: (data) => (data?.words ?? [])
+      .filter((entry) => entry && entry.id != null)
+      .map((entry) => [String(entry.id), entry]),
+    grade: (entry, studentAnswer) => {
+      const expected = gridLetters(entry.answer ?? entry.word);
+      const given = gridLetters(studentAnswer);
+      const isCorrect = expected.length > 0 && given.length === expected.length
+        && expected.every((letter, i) => given[i] === letter);
+      return answerResult(isCorrect, entry.word);
+    },
+  },
+};
+
 function buildAnswerKeyMaps(worksheet) {
   // Check if worksheet uses the new activities array format
   const activitiesArray = worksheet?.activities ?? [];
@@ -23,6 +144,8 @@ function buildAnswerKeyMaps(worksheet) {
 
   // Map to track which sectionId each activity type maps to (for new format)
   const sectionIdMap = new Map();
+  // Extended activity types, keyed by their own activity_N sectionId
+  const extendedSections = new Map();
 
   // Extract from new activities array format if present
   if (usesActivitiesFormat) {
@@ -52,6 +175,12 @@ function buildAnswerKeyMaps(worksheet) {
       } else if (type === 'overlay') {
         a9Fields = data?.fields ?? [];
         sectionIdMap.set('activity9', sectionId);
+      } else if (EXTENDED_ACTIVITY_GRADERS[type]) {
+        extendedSections.set(sectionId, {
+          type,
+          title: normalizeString(activity?.title),
+          questions: new Map(EXTENDED_ACTIVITY_GRADERS[type].questions(data)),
+        });
       }
     });
   }
@@ -137,6 +266,7 @@ function buildAnswerKeyMaps(worksheet) {
     activitiesArray,
     activitiesByIndex,
     sectionIdMap,
+    extendedSections,
   };
 }
 
@@ -158,6 +288,7 @@ function gradeWorksheetAnswers({ worksheet, answers }) {
     a6ByQid,
     a9ByFieldId,
     sectionIdMap,
+    extendedSections,
   } = buildAnswerKeyMaps(worksheet);
 
   // Helper to normalize sectionId - map activity_N to activity type
@@ -165,24 +296,29 @@ function gradeWorksheetAnswers({ worksheet, answers }) {
     // If it's already activity1-6 or activity9, return as-is
     if (/^activity[1-6]$/.test(sectionId) || sectionId === 'activity9') return sectionId;
     // If it's activity_0, activity_1, etc., map to activity type based on sectionIdMap
-    if (sectionIdMap && sectionIdMap.has(sectionId)) {
-      // Reverse lookup: find which activity type this sectionId maps to
-      for (const [activityType, mappedSectionId] of sectionIdMap.entries()) {
-        if (mappedSectionId === sectionId) return activityType;
-      }
+    // Reverse lookup: sectionIdMap is keyed by activity type, so match on its values
+    for (const [activityType, mappedSectionId] of sectionIdMap.entries()) {
+      if (mappedSectionId === sectionId) return activityType;
     }
     return sectionId;
   };
 
   const graded = normalizedAnswers.map((a) => {
-    const sectionId = normalizeSectionId(normalizeString(a?.sectionId));
+    const rawSectionId = normalizeString(a?.sectionId);
+    const extended = extendedSections.get(rawSectionId);
+    const sectionId = extended ? rawSectionId : normalizeSectionId(rawSectionId);
     const questionId = normalizeString(a?.questionId);
     const studentAnswer = normalizeString(a?.studentAnswer);
 
     let isCorrect = false;
     let feedback = 'Incorrect.';
 
-    if (sectionId === 'activity1') {
+    if (extended) {
+      const entry = extended.questions.get(questionId);
+      if (entry) {
+        ({ isCorrect, feedback } = EXTENDED_ACTIVITY_GRADERS[extended.type].grade(entry, studentAnswer));
+      }
+    } else if (sectionId === 'activity1') {
       const slotIdx = parseInt(questionId.replace('slot_', ''), 10);
       const correctItem = a1BySlot.get(slotIdx);
       isCorrect = Boolean(correctItem && String(correctItem.id) === studentAnswer);
@@ -250,7 +386,8 @@ function gradeWorksheetAnswers({ worksheet, answers }) {
     (Number(a4BlankCount) || 0) +
     (Array.isArray(a5Pairs) ? a5Pairs.length : 0) +
     (Array.isArray(a6Qs) ? a6Qs.length : 0) +
-    (Array.isArray(a9Fields) ? a9Fields.length : 0);
+    (Array.isArray(a9Fields) ? a9Fields.length : 0) +
+    Array.from(extendedSections.values()).reduce((sum, section) => sum + section.questions.size, 0);
 
   const percentage = totalPointsPossible > 0
     ? Math.round((totalPointsEarned / totalPointsPossible) * 100)
@@ -265,6 +402,9 @@ function gradeWorksheetAnswers({ worksheet, answers }) {
     activity6: { earned: 0, possible: Array.isArray(a6Qs) ? a6Qs.length : 0 },
     activity9: { earned: 0, possible: Array.isArray(a9Fields) ? a9Fields.length : 0 },
   };
+  for (const [sectionId, section] of extendedSections.entries()) {
+    breakdown[sectionId] = { earned: 0, possible: section.questions.size };
+  }
 
   for (const a of graded) {
     if (!a || a.pointsEarned !== 1) continue;
@@ -277,6 +417,7 @@ function gradeWorksheetAnswers({ worksheet, answers }) {
     else if (normalizedSectionId === 'activity5') breakdown.activity5.earned += 1;
     else if (normalizedSectionId === 'activity6') breakdown.activity6.earned += 1;
     else if (normalizedSectionId === 'activity9') breakdown.activity9.earned += 1;
+    else if (extendedSections.has(normalizedSectionId)) breakdown[normalizedSectionId].earned += 1;
   }
 
   // Build sections array with per-section analytics
@@ -302,8 +443,15 @@ function gradeWorksheetAnswers({ worksheet, answers }) {
   };
 
   // Process each activity section
-  const sectionIds = ['activity1', 'activity2', 'activity3', 'activity4', 'activity5', 'activity6', 'activity9'];
-  
+  const sectionIds = [
+    'activity1', 'activity2', 'activity3', 'activity4', 'activity5', 'activity6', 'activity9',
+    ...extendedSections.keys(),
+  ];
+  for (const [sectionId, section] of extendedSections.entries()) {
+    activityTypeMap[sectionId] = section.type;
+    activityNameMap[sectionId] = section.title || getActivityType(section.type)?.label || section.type;
+  }
+
   for (const sectionId of sectionIds) {
     const sectionAnswers = graded.filter(a => a.sectionId === sectionId);
     if (sectionAnswers.length === 0) continue;
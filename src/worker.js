@@ -0,0 +1,40 @@
+const mongoose = require("mongoose");
+const connectDB = require("./config/db");
+const logger = require("./utils/logger");
+const { startAnalysisWorker } = require("./services/analysisWorker.service");
+const { startNotificationDigestScheduler } = require("./services/notificationDigest.service");
+
+// Standalone background worker: drains the analysis_jobs queue (OCR, corrections,
+// evaluation) so that API restarts and deploys do not interrupt grading work, and
+// sends the daily notification digests.
+let worker;
+
+async function shutdown(reason) {
+  logger.warn(`Analysis worker shutting down (${reason})`);
+  try {
+    if (worker) await worker.stop();
+    await mongoose.disconnect();
+  } finally {
+    process.exit(0);
+  }
+}
+
+process.on("SIGINT", () => shutdown("SIGINT"));
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+
+process.on("unhandledRejection", (reason) => {
+  logger.error("Unhandled Rejection");
+  logger.error(reason);
+});
+
+async function start() {
+  await connectDB();
+  worker = startAnalysisWorker();
+  if (process.env.NOTIFICATION_DIGEST_ENABLED !== "false") startNotificationDigestScheduler();
+}
+
+start().catch((err) => {
+  logger.error("Analysis worker startup failed");
+  logger.error(err);
+  process.exit(1);
+});
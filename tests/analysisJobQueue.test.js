@@ -0,0 +1,135 @@
+const mockJobFindOneAndUpdate = jest.fn();
+const mockJobUpdateOne = jest.fn();
+const mockJobUpdateMany = jest.fn();
+const mockSubmissionFindById = jest.fn();
+const mockSubmissionUpdateOne = jest.fn();
+const mockJobExists = jest.fn();
+const mockRefundUsage = jest.fn();
+
+jest.mock('../src/models/AnalysisJob', () => ({
+  findOneAndUpdate: mockJobFindOneAndUpdate,
+  findOne: jest.fn(),
+  updateOne: mockJobUpdateOne,
+  updateMany: mockJobUpdateMany,
+  exists: mockJobExists
+}));
+jest.mock('../src/models/Submission', () => ({ findById: mockSubmissionFindById, updateOne: mockSubmissionUpdateOne }));
+jest.mock('../src/models/assignment.model', () => ({
+  findById: jest.fn(() => ({ lean: jest.fn().mockResolvedValue({ title: 'Essay', rubric: null }) }))
+}));
+jest.mock('../src/services/ocrPipeline.service', () => ({ runOcrAndPersistForFiles: jest.fn() }));
+jest.mock('../src/services/canonicalCorrectionsPipeline.service', () => ({ generateAndPersist: jest.fn() }));
+jest.mock('../src/services/canonicalEvaluation.service', () => ({ generate: jest.fn() }));
+jest.mock('../src/services/autoRubricDesigner.service', () => ({ autoGenerateRubricDesignerForSubmission: jest.fn() }));
+jest.mock('../src/services/usageLedger.service', () => ({
+  ...jest.requireActual('../src/services/usageLedger.service'),
+  refundUsage: mockRefundUsage
+}));
+
+const jobQueue = require('../src/services/jobQueue.service');
+const { refundSubmissionUsage, runAnalysisJob } = require('../src/services/analysisJobs.service');
+const canonicalCorrectionsPipeline = require('../src/services/canonicalCorrectionsPipeline.service');
+
+const leasedJob = (overrides = {}) => ({
+  _id: 'job-1', type: 'corrections', submissionId: 'submission-1', status: 'leased',
+  leaseOwner: 'worker-a', attempts: 1, maxAttempts: 5, payload: { ocrJobId: 'ocr-1' }, ...overrides
+});
+
+describe('persistent analysis job queue', () => {
+  const now = new Date('2026-03-01T10:00:00Z');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockJobUpdateOne.mockResolvedValue({ matchedCount: 1 });
+  });
+
+  test('enqueue dedupes on the active key and leasing takes the most urgent runnable job', async () => {
+    mockJobFindOneAndUpdate.mockReturnValue({ lean: jest.fn().mockResolvedValue({ _id: 'job-1' }) });
+    await jobQueue.enqueueJob({ type: 'ocr', submissionId: 's1', key: 'ocr:s1:o1' });
+    expect(mockJobFindOneAndUpdate).toHaveBeenCalledWith({ activeKey: 'ocr:s1:o1' },
+      { $setOnInsert: expect.objectContaining({ key: 'ocr:s1:o1', status: 'queued', attempts: 0 }) },
+      expect.objectContaining({ upsert: true }));
+
+    await jobQueue.leaseNextJob({ workerId: 'worker-a', leaseMs: 60000, now });
+    const [filter, update, options] = mockJobFindOneAndUpdate.mock.calls[1];
+    expect(filter).toEqual({ status: 'queued', runAt: { $lte: now } });
+    expect(update.$set).toMatchObject({ status: 'leased', leaseOwner: 'worker-a',
+      leaseExpiresAt: new Date(now.getTime() + 60000) });
+    expect(update.$inc).toEqual({ attempts: 1 });
+    expect(options.sort).toEqual({ priority: -1, runAt: 1 });
+  });
+
+  test('failed attempts back off exponentially, honour a later retry hint and stop at maxAttempts', async () => {
+    expect(jobQueue.computeBackoffMs(1)).toBe(15000);
+    expect(jobQueue.computeBackoffMs(3)).toBe(60000);
+    expect(jobQueue.computeBackoffMs(20)).toBe(15 * 60 * 1000);
+
+    const retryAt = new Date(now.getTime() + 10 * 60 * 1000);
+    await expect(jobQueue.failJob(leasedJob(), new Error('timeout'), { now, retryAt }))
+      .resolves.toMatchObject({ retried: true, runAt: retryAt });
+
+    await expect(jobQueue.failJob(leasedJob({ attempts: 5 }), new Error('timeout'), { now }))
+      .resolves.toMatchObject({ retried: false });
+    expect(mockJobUpdateOne.mock.calls[1][1]).toMatchObject({ $set: { status: 'failed', finishedAt: now }, $unset: { activeKey: 1 } });
+  });
+
+  test('the sweeper requeues expired leases and fails the ones out of attempts', async () => {
+    mockJobUpdateMany.mockResolvedValueOnce({ modifiedCount: 1 }).mockResolvedValueOnce({ modifiedCount: 2 });
+    await expect(jobQueue.requeueExpiredLeases({ now })).resolves.toEqual({ requeued: 2, failed: 1 });
+    expect(mockJobUpdateMany.mock.calls[0][1].$set).toMatchObject({ status: 'failed', finishedAt: now, lastErrorCode: 'LEASE_EXPIRED' });
+    expect(mockJobUpdateMany.mock.calls[1][0]).toEqual({ status: 'leased', leaseExpiresAt: { $lt: now } });
+    expect(mockJobUpdateMany.mock.calls[1][1].$set).toMatchObject({ status: 'queued', runAt: now });
+  });
+
+  test('finished jobs expire through a TTL index on finishedAt', () => {
+    const AnalysisJob = jest.requireActual('../src/models/AnalysisJob');
+    expect(AnalysisJob.schema.indexes()).toContainEqual([
+      { finishedAt: 1 },
+      expect.objectContaining({ expireAfterSeconds: 14 * 24 * 60 * 60 })
+    ]);
+  });
+
+  test('a retried corrections job waits out semanticNextRetryAt before reclaiming the stranded lock', async () => {
+    const nextRetryAt = new Date(Date.now() + 60000);
+    mockSubmissionFindById.mockResolvedValueOnce({ _id: 'submission-1', ocrJobId: 'ocr-1',
+      semanticStatus: 'retry_wait', semanticNextRetryAt: nextRetryAt });
+    await expect(runAnalysisJob(leasedJob({ attempts: 2 }))).resolves.toEqual({ deferUntil: nextRetryAt });
+    expect(canonicalCorrectionsPipeline.generateAndPersist).not.toHaveBeenCalled();
+
+    mockSubmissionFindById.mockResolvedValueOnce({ _id: 'submission-1', ocrJobId: 'ocr-1', assignment: 'a1',
+      semanticStatus: 'processing', semanticNextRetryAt: null });
+    canonicalCorrectionsPipeline.generateAndPersist.mockResolvedValue({ reused: false });
+    await expect(runAnalysisJob(leasedJob({ attempts: 2 }))).resolves.toEqual({ status: 'completed' });
+    expect(mockSubmissionUpdateOne).toHaveBeenCalledWith(expect.objectContaining({ semanticStatus: 'processing' }),
+      { $set: { semanticStatus: 'pending', semanticNextRetryAt: null } });
+    expect(canonicalCorrectionsPipeline.generateAndPersist).toHaveBeenCalledWith(
+      expect.objectContaining({ semanticStatus: 'pending' }),
+      { force: false, assignment: { title: 'Essay', description: '', rubric: null, rubrics: null }, onProgress: expect.any(Function) });
+  });
+
+  test('jobs for a superseded OCR run are dropped without work', async () => {
+    mockSubmissionFindById.mockResolvedValueOnce({ _id: 'submission-1', ocrJobId: 'ocr-2' });
+    await expect(runAnalysisJob(leasedJob())).resolves.toEqual({ status: 'superseded' });
+    expect(canonicalCorrectionsPipeline.generateAndPersist).not.toHaveBeenCalled();
+  });
+
+  test('a failed job refunds the submission only when no analysis succeeded and nothing is still pending', async () => {
+    const stored = (fields) => ({ select: () => ({ lean: jest.fn().mockResolvedValue({ _id: 'submission-1', student: 'student-1', ...fields }) }) });
+
+    mockSubmissionFindById.mockReturnValueOnce(stored({ evaluationStatus: 'completed' }));
+    await expect(refundSubmissionUsage('submission-1')).resolves.toBeNull();
+
+    mockSubmissionFindById.mockReturnValueOnce(stored({ semanticStatus: 'failed' }));
+    mockJobExists.mockResolvedValueOnce({ _id: 'job-2' });
+    await expect(refundSubmissionUsage('submission-1')).resolves.toBeNull();
+    expect(mockJobExists).toHaveBeenCalledWith({ submissionId: 'submission-1', status: { $in: ['queued', 'leased'] } });
+    expect(mockRefundUsage).not.toHaveBeenCalled();
+
+    mockSubmissionFindById.mockReturnValueOnce(stored({ semanticStatus: 'failed', evaluationStatus: 'failed' }));
+    mockJobExists.mockResolvedValueOnce(null);
+    mockRefundUsage.mockResolvedValueOnce({ kind: 'refund' });
+    await expect(refundSubmissionUsage('submission-1')).resolves.toEqual({ kind: 'refund' });
+    expect(mockRefundUsage).toHaveBeenCalledWith({ userId: 'student-1', metric: 'submissions',
+      reference: 'submission:submission-1', reason: 'analysis_failed' });
+  });
+});
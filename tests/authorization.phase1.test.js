@@ -27,6 +27,7 @@ const Submission = require('../src/models/Submission');
 const Feedback = require('../src/models/Feedback');
 const File = require('../src/models/File');
 const { WorksheetDocumentModel } = require('../src/models/WorksheetDocument');
+const { chargeUsage } = require('../src/services/usageLedger.service');
 
 const privateFilename = '11111111-1111-4111-8111-111111111111.png';
 const privatePath = path.resolve(__dirname, '../uploads/submissions', privateFilename);
@@ -194,8 +195,7 @@ describe('Phase 1 authorization boundaries', () => {
     blockedPlan.features.aiWorksheets = true;
     blockedPlan.features.aiWorksheetsLimit = 1;
     await blockedPlan.save();
-    teacher.usage.aiWorksheets = 1;
-    await teacher.save();
+    await chargeUsage({ user: teacher, metric: 'aiWorksheets' });
     expect((await request(app).post('/api/worksheets/generate/text').set('Authorization', `Bearer ${token(teacher)}`).send(body)).status).toBe(403);
   });
 
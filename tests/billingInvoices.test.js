@@ -0,0 +1,141 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const mockInvoiceUpdateOne = jest.fn();
+const mockInvoiceFindOne = jest.fn();
+const mockInvoiceFind = jest.fn();
+const mockUserFindOne = jest.fn();
+const mockOrganizationFindOne = jest.fn();
+const mockPlanFindOne = jest.fn();
+
+jest.mock('../src/models/BillingInvoice', () => ({
+  updateOne: mockInvoiceUpdateOne,
+  findOne: mockInvoiceFindOne,
+  find: mockInvoiceFind,
+  INVOICE_STATUSES: ['draft', 'open', 'paid', 'uncollectible', 'void']
+}));
+jest.mock('../src/models/user.model', () => ({ findOne: mockUserFindOne }));
+jest.mock('../src/models/Organization', () => ({ findOne: mockOrganizationFindOne }));
+jest.mock('../src/models/Plan', () => ({ findOne: mockPlanFindOne }));
+
+const { recordInvoiceEvent, listInvoices, getReceipt } = require('../src/services/billingInvoice.service');
+const { generateInvoiceReceiptPdf } = require('../src/modules/invoiceReceiptPdfGenerator');
+
+// Resolves like a Mongoose query, whatever is chained onto it.
+function query(value) {
+  const chain = {
+    select: () => chain,
+    sort: () => chain,
+    limit: () => chain,
+    lean: () => chain,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  };
+  return chain;
+}
+
+const teacher = { _id: '64d000000000000000000001', role: 'teacher', email: 'teacher@example.com', displayName: 'Ada Teacher' };
+
+function paidInvoiceEvent(overrides = {}) {
+  return {
+    id: 'evt_paid',
+    type: 'invoice.paid',
+    created: 1790899200,
+    data: { object: {
+      id: 'in_123', customer: 'cus_123', number: 'RZ-0001', status: 'paid', currency: 'usd',
+      subtotal: 999, total: 999, amount_paid: 999, amount_due: 999, created: 1790899000,
+      customer_email: 'teacher@example.com', status_transitions: { paid_at: 1790899100 },
+      parent: { subscription_details: { subscription: 'sub_123' } },
+      lines: { data: [{ description: '1 × Starter Monthly', amount: 999, quantity: 1,
+        period: { start: 1790899000, end: 1793577400 }, pricing: { price_details: { price: 'price_starter' } } }] },
+      ...overrides
+    } }
+  };
+}
+
+describe('billing history', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockUserFindOne.mockImplementation(() => query({ _id: teacher._id }));
+    mockPlanFindOne.mockImplementation(() => query({ name: 'Starter Monthly' }));
+    mockInvoiceUpdateOne.mockResolvedValue({ acknowledged: true });
+    mockInvoiceFindOne.mockImplementation(() => query({ _id: 'stored' }));
+  });
+
+  test('invoice webhooks store a snapshot guarded by event time and append the payment attempt', async () => {
+    await recordInvoiceEvent(paidInvoiceEvent());
+    const [filter, update, options] = mockInvoiceUpdateOne.mock.calls[0];
+    expect(filter).toEqual({ stripeInvoiceId: 'in_123', $or: [{ stripeEventAt: null }, { stripeEventAt: { $lte: new Date(1790899200 * 1000) } }] });
+    expect(options).toEqual({ upsert: true });
+    expect(update.$set).toMatchObject({
+      user: teacher._id, organization: null, stripeSubscriptionId: 'sub_123', number: 'RZ-0001', status: 'paid',
+      total: 999, amountPaid: 999, planName: 'Starter Monthly', tax: 0,
+      periodStart: new Date(1790899000 * 1000), paidAt: new Date(1790899100 * 1000)
+    });
+    expect(mockInvoiceUpdateOne.mock.calls[1]).toEqual([
+      { stripeInvoiceId: 'in_123', 'payments.stripeEventId': { $ne: 'evt_paid' } },
+      { $push: { payments: { stripeEventId: 'evt_paid', outcome: 'succeeded', amount: 999, occurredAt: new Date(1790899200 * 1000) } } }
+    ]);
+
+    // A late, older event collides with the stored newer snapshot and is not applied.
+    jest.clearAllMocks();
+    mockInvoiceUpdateOne.mockRejectedValueOnce(Object.assign(new Error('duplicate'), { code: 11000 }))
+      .mockResolvedValue({ matchedCount: 0 });
+    await recordInvoiceEvent(paidInvoiceEvent({ status: 'open', amount_paid: 0 }));
+    expect(mockInvoiceUpdateOne.mock.calls[1][2]).toBeUndefined();
+
+    jest.clearAllMocks();
+    mockUserFindOne.mockImplementation(() => query(null));
+    mockOrganizationFindOne.mockImplementation(() => query(null));
+    expect(await recordInvoiceEvent(paidInvoiceEvent())).toBeNull();
+    expect(mockInvoiceUpdateOne).not.toHaveBeenCalled();
+  });
+
+  test('lists invoices newest first in major units with a keyset cursor', async () => {
+    const issuedAt = new Date('2026-10-01T00:00:00Z');
+    mockInvoiceFind.mockImplementation(() => query([
+      { _id: '64d0000000000000000000a2', status: 'paid', currency: 'usd', total: 999, amountPaid: 999, tax: 0, issuedAt,
+        hostedInvoiceUrl: 'https://invoice.stripe.test/a2', payments: [{ outcome: 'succeeded', amount: 999, occurredAt: issuedAt }] },
+      { _id: '64d0000000000000000000a1', status: 'open', currency: 'usd', total: 2900, amountDue: 2900, issuedAt,
+        hostedInvoiceUrl: 'https://invoice.stripe.test/a1' }
+    ]));
+    const page = await listInvoices({ user: teacher, limit: 1 });
+    expect(page.invoices).toHaveLength(1);
+    expect(page.invoices[0]).toMatchObject({ total: 9.99, amountPaid: 9.99, receiptAvailable: true, hostedInvoiceUrl: null,
+      payments: [{ outcome: 'succeeded', amount: 9.99 }] });
+    expect(page.nextCursor).toEqual(expect.any(String));
+
+    await listInvoices({ user: teacher, limit: 1, cursor: page.nextCursor });
+    expect(mockInvoiceFind).toHaveBeenLastCalledWith({ user: teacher._id, $or: [
+      { issuedAt: { $lt: issuedAt } },
+      { issuedAt, _id: { $lt: '64d0000000000000000000a2' } }
+    ] });
+    await expect(listInvoices({ user: teacher, cursor: 'not-a-cursor' })).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('renders a receipt PDF for paid invoices only', async () => {
+    mockInvoiceFindOne.mockImplementation(() => query({ _id: '64d0000000000000000000a3', status: 'open' }));
+    await expect(getReceipt({ user: teacher, invoiceId: '64d0000000000000000000a3' }))
+      .rejects.toMatchObject({ statusCode: 409, code: 'INVOICE_NOT_PAID' });
+
+    mockInvoiceFindOne.mockImplementation(() => query({
+      _id: '64d0000000000000000000a2', stripeInvoiceId: 'in_123', number: 'RZ-0001', status: 'paid', currency: 'usd',
+      subtotal: 999, tax: 0, total: 999, amountPaid: 999, planName: 'Starter Monthly',
+      periodStart: new Date('2026-10-01T00:00:00Z'), periodEnd: new Date('2026-11-01T00:00:00Z'),
+      lines: [{ description: '1 × Starter Monthly', amount: 999, quantity: 1 }],
+      payments: [{ outcome: 'succeeded', amount: 999, occurredAt: new Date('2026-10-01T00:05:00Z') }]
+    }));
+    const receipt = await getReceipt({ user: teacher, invoiceId: '64d0000000000000000000a2' });
+    expect(receipt).toMatchObject({ customerName: 'Ada Teacher', customerEmail: 'teacher@example.com',
+      paidAt: new Date('2026-10-01T00:05:00Z'), amountPaid: 9.99 });
+
+    const outputPath = path.join(os.tmpdir(), 'rozna-pdf-test', `receipt-${process.pid}.pdf`);
+    try {
+      await generateInvoiceReceiptPdf(receipt, outputPath);
+      const pdf = await fs.promises.readFile(outputPath);
+      expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+    } finally {
+      await fs.promises.rm(outputPath, { force: true });
+    }
+  });
+});
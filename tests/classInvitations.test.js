@@ -0,0 +1,167 @@
+const mockInvitationFindOne = jest.fn();
+const mockInvitationFindOneAndUpdate = jest.fn();
+const mockInvitationUpdateOne = jest.fn();
+const mockClassFindOne = jest.fn();
+const mockClassFindById = jest.fn();
+const mockUserFindById = jest.fn();
+const mockMembershipFindOne = jest.fn();
+const mockMembershipCreate = jest.fn();
+const mockCreateNotification = jest.fn();
+const mockSendInvitationEmail = jest.fn();
+const mockIncrementUsage = jest.fn();
+const mockGetLimit = jest.fn();
+
+jest.mock('../src/models/invitation.model', () => ({
+  findOne: mockInvitationFindOne,
+  findOneAndUpdate: mockInvitationFindOneAndUpdate,
+  updateOne: mockInvitationUpdateOne
+}));
+jest.mock('../src/models/class.model', () => ({ findOne: mockClassFindOne, findById: mockClassFindById }));
+jest.mock('../src/models/user.model', () => ({ findById: mockUserFindById }));
+jest.mock('../src/models/membership.model', () => ({ findOne: mockMembershipFindOne, create: mockMembershipCreate }));
+jest.mock('../src/services/notification.service', () => ({ createNotification: mockCreateNotification }));
+jest.mock('../src/services/email.service', () => ({ sendInvitationEmail: mockSendInvitationEmail }));
+jest.mock('../src/middlewares/usage.middleware', () => ({
+  ensureActivePlan: jest.fn().mockResolvedValue({}),
+  getLimit: mockGetLimit,
+  incrementUsage: mockIncrementUsage
+}));
+
+const {
+  acceptInvitation,
+  maskEmail,
+  previewInvitation,
+  resendInvitation,
+  revokeInvitation
+} = require('../src/services/classInvitation.service');
+
+const classId = '507f1f77bcf86cd799439011';
+const invitationId = '507f1f77bcf86cd799439012';
+const teacherId = '507f1f77bcf86cd799439013';
+const studentId = '507f1f77bcf86cd799439014';
+const token = 'a'.repeat(64);
+
+function invitationDoc(overrides = {}) {
+  const doc = {
+    _id: invitationId, class: classId, teacher: teacherId, email: 'ana@example.com', token, status: 'pending',
+    expiresAt: new Date(Date.now() + 60_000), ...overrides
+  };
+  doc.save = jest.fn().mockResolvedValue(doc);
+  doc.expire = jest.fn(async () => { doc.status = 'expired'; return doc; });
+  doc.accept = jest.fn(async (userId) => { doc.status = 'accepted'; doc.acceptedBy = userId; return doc; });
+  doc.revoke = jest.fn(async () => { doc.status = 'revoked'; doc.revokedAt = new Date(); return doc; });
+  return doc;
+}
+
+const student = { _id: studentId, email: 'Ana@Example.com', displayName: 'Ana', role: 'student' };
+const classDoc = { _id: classId, name: 'Writing 101', joinCode: 'ABC123', teacher: teacherId };
+
+describe('class invitations', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockUserFindById.mockResolvedValue({ _id: teacherId, usage: { students: 3 } });
+    mockGetLimit.mockReturnValue(30);
+  });
+
+  test('preview masks the email and expires lapsed invitations', async () => {
+    const lapsed = invitationDoc({ expiresAt: new Date(Date.now() - 1000) });
+    mockInvitationFindOne.mockResolvedValue(lapsed);
+    mockClassFindById.mockReturnValue({ select: () => ({ lean: jest.fn().mockResolvedValue({ ...classDoc, isActive: true }) }) });
+    mockUserFindById.mockReturnValue({ select: () => ({ lean: jest.fn().mockResolvedValue({ displayName: 'Mr Cruz' }) }) });
+
+    const preview = await previewInvitation(token);
+    expect(lapsed.expire).toHaveBeenCalled();
+    expect(preview).toMatchObject({ status: 'expired', email: 'a**@example.com',
+      class: { name: 'Writing 101' }, teacher: { displayName: 'Mr Cruz' } });
+    expect(maskEmail('x@y.z')).toBe('x*@y.z');
+  });
+
+  test('accepting creates the membership, marks the invitation and notifies the teacher', async () => {
+    const invitation = invitationDoc();
+    mockInvitationFindOne.mockResolvedValue(invitation);
+    mockClassFindOne.mockResolvedValue(classDoc);
+    mockMembershipFindOne.mockResolvedValue(null);
+    mockMembershipCreate.mockResolvedValue({ _id: 'm1', joinedAt: new Date() });
+    mockInvitationFindOneAndUpdate.mockResolvedValue({ ...invitation, status: 'accepted', acceptedBy: studentId });
+
+    const result = await acceptInvitation({ token, user: student });
+    expect(mockInvitationFindOneAndUpdate).toHaveBeenCalledWith(
+      { _id: invitationId, status: 'pending' },
+      { $set: { status: 'accepted', acceptedAt: expect.any(Date), acceptedBy: studentId } },
+      { returnDocument: 'after' }
+    );
+    expect(mockInvitationFindOneAndUpdate.mock.invocationCallOrder[0])
+      .toBeLessThan(mockMembershipCreate.mock.invocationCallOrder[0]);
+    expect(mockMembershipCreate).toHaveBeenCalledWith({ student: studentId, class: classId });
+    expect(mockIncrementUsage).toHaveBeenCalledWith(teacherId, { students: 1 });
+    expect(result).toMatchObject({ alreadyMember: false, membership: { _id: 'm1' },
+      invitation: { status: 'accepted', acceptedBy: studentId } });
+    expect(mockCreateNotification).toHaveBeenCalledTimes(1);
+    expect(mockCreateNotification).toHaveBeenCalledWith(expect.objectContaining({
+      recipientId: teacherId, actorId: studentId, type: 'student_joined' }));
+  });
+
+  test('a concurrent accept that loses the claim creates no membership and counts no seat', async () => {
+    mockInvitationFindOne.mockResolvedValue(invitationDoc());
+    mockClassFindOne.mockResolvedValue(classDoc);
+    mockMembershipFindOne.mockResolvedValue(null);
+    mockInvitationFindOneAndUpdate.mockResolvedValue(null);
+
+    await expect(acceptInvitation({ token, user: student }))
+      .rejects.toMatchObject({ statusCode: 409, code: 'INVITATION_ALREADY_ACCEPTED' });
+    expect(mockMembershipCreate).not.toHaveBeenCalled();
+    expect(mockIncrementUsage).not.toHaveBeenCalled();
+    expect(mockCreateNotification).not.toHaveBeenCalled();
+  });
+
+  test('a failed membership write hands the claim back', async () => {
+    mockInvitationFindOne.mockResolvedValue(invitationDoc());
+    mockClassFindOne.mockResolvedValue(classDoc);
+    mockMembershipFindOne.mockResolvedValue(null);
+    mockInvitationFindOneAndUpdate.mockResolvedValue({ _id: invitationId, status: 'accepted', acceptedBy: studentId });
+    mockMembershipCreate.mockRejectedValue(Object.assign(new Error('dup'), { code: 11000 }));
+
+    await expect(acceptInvitation({ token, user: student }))
+      .rejects.toMatchObject({ statusCode: 409, code: 'ALREADY_JOINED' });
+    expect(mockInvitationUpdateOne).toHaveBeenCalledWith(
+      { _id: invitationId, status: 'accepted', acceptedBy: studentId },
+      { $set: { status: 'pending' }, $unset: { acceptedAt: 1, acceptedBy: 1 } }
+    );
+    expect(mockIncrementUsage).not.toHaveBeenCalled();
+  });
+
+  test('only the invited email may accept, and revoked or expired invitations are refused', async () => {
+    mockInvitationFindOne.mockResolvedValue(invitationDoc());
+    await expect(acceptInvitation({ token, user: { ...student, email: 'other@example.com' } }))
+      .rejects.toMatchObject({ statusCode: 403, code: 'INVITATION_EMAIL_MISMATCH' });
+
+    mockInvitationFindOne.mockResolvedValue(invitationDoc({ status: 'revoked' }));
+    await expect(acceptInvitation({ token, user: student })).rejects.toMatchObject({ statusCode: 410, code: 'INVITATION_REVOKED' });
+
+    mockInvitationFindOne.mockResolvedValue(invitationDoc({ expiresAt: new Date(Date.now() - 1000) }));
+    await expect(acceptInvitation({ token, user: student })).rejects.toMatchObject({ statusCode: 410, code: 'INVITATION_EXPIRED' });
+    expect(mockMembershipCreate).not.toHaveBeenCalled();
+  });
+
+  test('resend issues a fresh token and emails the accept link; revoke keeps the record', async () => {
+    const invitation = invitationDoc({ status: 'expired' });
+    mockClassFindOne.mockResolvedValue(classDoc);
+    mockInvitationFindOne.mockResolvedValue(invitation);
+    mockSendInvitationEmail.mockResolvedValue({ success: true });
+
+    await resendInvitation({ classId, invitationId, teacher: { _id: teacherId, displayName: 'Mr Cruz' } });
+    expect(invitation.status).toBe('pending');
+    expect(invitation.token).not.toBe(token);
+    expect(invitation.save).toHaveBeenCalled();
+    expect(mockSendInvitationEmail).toHaveBeenCalledWith(expect.objectContaining({
+      to: 'ana@example.com', acceptUrl: expect.stringContaining(`/student/invitations/${invitation.token}`) }));
+
+    await revokeInvitation({ classId, invitationId, teacher: { _id: teacherId } });
+    expect(invitation.revoke).toHaveBeenCalled();
+    expect(invitation.status).toBe('revoked');
+
+    invitation.status = 'accepted';
+    await expect(revokeInvitation({ classId, invitationId, teacher: { _id: teacherId } }))
+      .rejects.toMatchObject({ statusCode: 409 });
+  });
+});
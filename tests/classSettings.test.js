@@ -0,0 +1,86 @@
+const express = require('express');
+const request = require('supertest');
+
+const mockClassCreate = jest.fn();
+const mockClassFindOne = jest.fn();
+
+jest.mock('../src/middlewares/jwtAuth.middleware', () => ({
+  verifyJwtToken: (req, res, next) => {
+    req.user = { _id: '64e000000000000000000001', role: 'teacher', classroomDefaults: { lateSubmissionPenaltyPercent: 5 } };
+    next();
+  }
+}));
+jest.mock('../src/middlewares/usage.middleware', () => ({
+  ...jest.requireActual('../src/middlewares/usage.middleware'),
+  enforceUsageLimit: () => (req, res, next) => next(),
+  incrementUsage: jest.fn()
+}));
+jest.mock('../src/models/class.model', () => ({ create: mockClassCreate, findOne: mockClassFindOne }));
+jest.mock('../src/services/email.service', () => ({ sendInvitationEmail: jest.fn() }));
+
+const classRoutes = require('../src/routes/class.routes');
+
+const classId = '64e0000000000000000000c1';
+
+function appWithClassRoutes() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/classes', classRoutes);
+  return app;
+}
+
+describe('class settings routes', () => {
+  let app;
+  let stored;
+
+  beforeAll(() => {
+    app = appWithClassRoutes();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockClassCreate.mockImplementation(async (doc) => ({ _id: classId, ...doc }));
+    stored = { _id: classId, name: 'Period 1', lateSubmissionPenaltyPercent: 10 };
+    mockClassFindOne.mockImplementation(async () => ({
+      ...stored,
+      save: jest.fn(async function save() {
+        const { save: _save, ...fields } = this;
+        stored = fields;
+        return fields;
+      })
+    }));
+  });
+
+  test('POST and PUT store the late-submission penalty', async () => {
+    const created = await request(app).post('/api/classes').send({ name: 'Period 1', lateSubmissionPenaltyPercent: 25 });
+    expect(created.status).toBe(200);
+    expect(mockClassCreate).toHaveBeenCalledWith(expect.objectContaining({ lateSubmissionPenaltyPercent: 25 }));
+
+    await request(app).post('/api/classes').send({ name: 'Period 2' });
+    expect(mockClassCreate).toHaveBeenLastCalledWith(expect.objectContaining({ lateSubmissionPenaltyPercent: 5 }));
+
+    const rejected = await request(app).post('/api/classes').send({ name: 'Period 3', lateSubmissionPenaltyPercent: 150 });
+    expect(rejected.status).toBe(400);
+
+    const updated = await request(app).put(`/api/classes/${classId}`).send({ lateSubmissionPenaltyPercent: 0 });
+    expect(updated.status).toBe(200);
+    expect(stored.lateSubmissionPenaltyPercent).toBe(0);
+    expect(updated.body.data.lateSubmissionPenaltyPercent).toBe(0);
+  });
+
+  test('POST and PUT store the grading scale and cut points', async () => {
+    await request(app).post('/api/classes').send({ name: 'Period 1', gradingScale: 'grade_a_f', gradeCutPoints: { A: 93 } });
+    expect(mockClassCreate).toHaveBeenCalledWith(expect.objectContaining({
+      gradingScale: 'grade_a_f', gradeCutPoints: { A: 93, B: 80, C: 70, D: 60, pass: 60 }
+    }));
+
+    const invalid = await request(app).post('/api/classes').send({ name: 'Period 2', gradeCutPoints: { A: 70, B: 80 } });
+    expect(invalid.status).toBe(400);
+    expect(mockClassCreate).toHaveBeenCalledTimes(1);
+
+    stored.gradeCutPoints = { A: 93, B: 80, C: 70, D: 60, pass: 60 };
+    const updated = await request(app).put(`/api/classes/${classId}`).send({ gradingScale: 'pass_fail', gradeCutPoints: { pass: 50 } });
+    expect(updated.status).toBe(200);
+    expect(stored).toMatchObject({ gradingScale: 'pass_fail', gradeCutPoints: { A: 93, B: 80, C: 70, D: 60, pass: 50 } });
+  });
+});
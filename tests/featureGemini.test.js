@@ -44,6 +44,12 @@ const worksheet = (types = ['ordering', 'classification', 'multipleChoice', 'fil
     if (type === 'fillBlanks') return { ...base, data: { wordBank: ['water'], sentences: [{ id: 'fill-1', parts: [{ type: 'blank', blankId: 'blank-1', correctAnswer: 'water' }] }] } };
     if (type === 'labeling') return { ...base, data: { labels: [{ id: 'label-1', text: 'Root', x: 50, y: 75, targetId: 'label-1' }] } };
     if (type === 'matching') return { ...base, data: { pairs: [{ id: 'match-1', leftItem: { text: 'Root' }, rightItem: { text: 'Water' } }] } };
+    if (type === 'clozePassage') return { ...base, data: { wordBank: ['sunlight'], passage: [{ type: 'text', value: 'Leaves need ' }, { type: 'blank', blankId: 'cloze-1', correctAnswer: 'sunlight' }] } };
+    if (type === 'readingComprehension') return { ...base, data: { passage: 'Roots anchor the plant.', questions: [{ id: 'rc-1', questionType: 'trueFalse', text: 'Roots anchor the plant.', correctAnswer: true }] } };
+    if (type === 'errorCorrection') return { ...base, data: { sentences: [{ id: 'err-1', text: 'Plants needs water.', errorText: 'needs', correction: 'need' }] } };
+    if (type === 'wordSearch') return { ...base, data: { words: ['root', 'stem', 'leaf'], gridSize: 10, difficulty: 'easy' } };
+    if (type === 'crossword') return { ...base, data: { words: [{ word: 'root', clue: 'Grows underground' }, { word: 'stem', clue: 'Holds the plant up' }] } };
+    if (type === 'dictation') return { ...base, data: { sentences: [{ id: 'dict-1', text: 'Plants need water.' }] } };
     if (type === 'trueFalse') return { ...base, data: { questions: [{ id: 'tf-1', text: 'Roots absorb water.', correctAnswer: true, explanation: 'Roots take up water.' }] } };
     return { ...base, data: { questions: [{ id: 'short-1', text: 'Explain roots.', modelAnswer: 'They absorb water.', maxWords: 50 }] } };
   })
@@ -139,7 +145,8 @@ describe('feature output validation', () => {
 
   test('mixed worksheet and every supported prompt activity type retain their structures', () => {
     const types = ['ordering', 'classification', 'multipleChoice', 'fillBlanks', 'labeling',
-      'matching', 'trueFalse', 'shortAnswer'];
+      'matching', 'trueFalse', 'shortAnswer', 'clozePassage', 'readingComprehension', 'errorCorrection', 'dictation',
+      'wordSearch', 'crossword'];
     expect(validateWorksheetOutput(worksheet(types), types).activities.map((item) => item.type)).toEqual(types);
   });
 
@@ -152,5 +159,11 @@ describe('feature output validation', () => {
     duplicate.activities[1].data.items[0].id = 'order-1';
     expect(() => validateWorksheetOutput(duplicate, ['ordering', 'classification'])).toThrow();
     expect(() => validateWorksheetOutput(worksheet(['ordering']), ['classification'])).toThrow();
+    const outsideBank = worksheet(['clozePassage']);
+    outsideBank.activities[0].data.passage[1].correctAnswer = 'water';
+    expect(() => validateWorksheetOutput(outsideBank, ['clozePassage'])).toThrow();
+    const missingError = worksheet(['errorCorrection']);
+    missingError.activities[0].data.sentences[0].errorText = 'grows';
+    expect(() => validateWorksheetOutput(missingError, ['errorCorrection'])).toThrow();
   });
 });
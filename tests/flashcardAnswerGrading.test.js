@@ -0,0 +1,104 @@
+const mockGenerateChatCompletion = jest.fn();
+
+jest.mock('../src/services/aiGeneration.service', () => ({ generateChatCompletion: mockGenerateChatCompletion }));
+
+const {
+  gradeFlashcardAnswer,
+  gradeFlashcardAnswers,
+  normalizeAnswer,
+  parseAiGrade,
+  precheckAnswer,
+  sessionScore,
+  toCardResult,
+  gradeSessionAnswers
+} = require('../src/services/flashcardAnswerGrading.service');
+
+describe('flashcard answer grading', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  test('the pre-check settles case, accent, punctuation and small typos without AI', () => {
+    expect(normalizeAnswer('  ¡El Niño! ')).toBe('nino');
+    expect(precheckAnswer({ studentAnswer: 'Photosynthesis', correctAnswer: 'Photosynthesis' }))
+      .toMatchObject({ credit: 1, isCorrect: true, gradedBy: 'exact' });
+    expect(precheckAnswer({ studentAnswer: 'cafe', correctAnswer: 'Café.' }))
+      .toMatchObject({ credit: 1, gradedBy: 'normalized' });
+    expect(precheckAnswer({ studentAnswer: 'photosynthesys', correctAnswer: 'photosynthesis' }))
+      .toMatchObject({ credit: 1, gradedBy: 'fuzzy' });
+    expect(precheckAnswer({ studentAnswer: 'USA', correctAnswer: 'United States', acceptedAnswers: ['U.S.A.'] }))
+      .toMatchObject({ isCorrect: true, gradedBy: 'normalized' });
+    expect(precheckAnswer({ studentAnswer: '   ', correctAnswer: 'x' })).toMatchObject({ credit: 0, gradedBy: 'empty' });
+
+    // Short words and numbers need an exact match; anything else is left to the AI.
+    expect(precheckAnswer({ studentAnswer: 'cot', correctAnswer: 'cat' })).toBeNull();
+    expect(precheckAnswer({ studentAnswer: '19456', correctAnswer: '19457' })).toBeNull();
+  });
+
+  test('the AI path returns clamped credit and a single-sentence explanation', async () => {
+    mockGenerateChatCompletion.mockResolvedValueOnce(
+      '```json\n{"credit":0.5,"explanation":"You named the process but not its products. Try again."}\n```'
+    );
+    const grade = await gradeFlashcardAnswer({ question: 'What does photosynthesis produce?',
+      correctAnswer: 'Glucose and oxygen', studentAnswer: 'sugar' });
+    expect(grade).toEqual({ credit: 0.5, isCorrect: false, gradedBy: 'ai',
+      explanation: 'You named the process but not its products.' });
+    expect(mockGenerateChatCompletion.mock.calls[0][1]).toMatchObject({ temperature: 0, feature: 'flashcard_answer_grading' });
+
+    // Same answer again (e.g. when the session is submitted) is served from the cache.
+    await gradeFlashcardAnswer({ question: 'What does photosynthesis produce?',
+      correctAnswer: 'Glucose and oxygen', studentAnswer: 'Sugar' });
+    expect(mockGenerateChatCompletion).toHaveBeenCalledTimes(1);
+
+    expect(parseAiGrade('{"credit": 7, "explanation": "ok"}').credit).toBe(1);
+    expect(() => parseAiGrade('{"isCorrect":true}')).toThrow('numeric credit');
+  });
+
+  test('grades are stored in the submission card result shape', () => {
+    const grade = precheckAnswer({ studentAnswer: 'Paris', correctAnswer: 'Paris' });
+    expect(toCardResult('c1', ' Paris ', grade)).toEqual({ cardId: 'c1', studentAnswer: 'Paris', known: true,
+      isCorrect: true, credit: 1, explanation: grade.explanation, gradedBy: 'exact' });
+  });
+
+  test('session grading runs AI calls side by side up to the concurrency limit', async () => {
+    let inFlight = 0;
+    let peak = 0;
+    mockGenerateChatCompletion.mockImplementation(async () => {
+      inFlight += 1;
+      peak = Math.max(peak, inFlight);
+      await new Promise((resolve) => setImmediate(resolve));
+      inFlight -= 1;
+      return '{"credit":0,"explanation":"Not quite."}';
+    });
+    mockGenerateChatCompletion.mockRejectedValueOnce(new Error('provider down'));
+
+    const inputs = ['alpha', 'bravo', 'charlie', 'delta', 'echo'].map((word) => ({
+      question: `Spell ${word}`, correctAnswer: `${word} word`, studentAnswer: `something ${word}`
+    }));
+    const results = await gradeFlashcardAnswers(inputs, { concurrency: 2 });
+    expect(peak).toBe(2);
+    expect(results[0].error.message).toBe('provider down');
+    expect(results.slice(1).map((r) => r.grade.gradedBy)).toEqual(['ai', 'ai', 'ai', 'ai']);
+  });
+
+  test('a submitted session is graded from the stored cards, not the client\'s claims', async () => {
+    const cards = [
+      { _id: 'c1', front: 'Capital of France?', back: 'Paris' },
+      { _id: 'c2', front: 'Largest planet?', back: 'Jupiter' },
+      { _id: 'c3', front: 'Smallest planet?', back: 'Mercury' },
+      { _id: 'c4', front: 'Red planet?', back: 'Mars' }
+    ];
+    mockGenerateChatCompletion.mockResolvedValue('{"credit":0,"explanation":"That is a different city."}');
+    const cardResults = await gradeSessionAnswers(cards, [
+      { cardId: 'c1', studentAnswer: 'Lyon', credit: 1, isCorrect: true, gradedBy: 'exact', explanation: 'Trust me.' },
+      { cardId: 'c2', known: true },
+      { cardId: 'not-in-set', studentAnswer: 'x', credit: 1 }
+    ]);
+
+    expect(cardResults).toEqual([
+      expect.objectContaining({ cardId: 'c1', studentAnswer: 'Lyon', isCorrect: false, credit: 0, gradedBy: 'ai' }),
+      { cardId: 'c2', known: true }
+    ]);
+    // c1 earns 0, c2 is known, c3 is covered by a flip result only and c4 has no result.
+    expect(sessionScore(cards, cardResults, [{ cardId: 'c3', status: 'know' }])).toBe(50);
+    expect(sessionScore([], cardResults)).toBe(0);
+  });
+});
@@ -0,0 +1,123 @@
+const mockFolderFind = jest.fn();
+const mockFolderFindOne = jest.fn();
+const mockFolderFindOneAndUpdate = jest.fn();
+const mockFolderUpdateMany = jest.fn();
+const mockFolderDeleteOne = jest.fn();
+const mockSetUpdateMany = jest.fn();
+const mockWorksheetUpdateMany = jest.fn();
+const mockDocumentUpdateMany = jest.fn();
+
+jest.mock('../src/models/Folder', () => ({
+  find: mockFolderFind,
+  findOne: mockFolderFindOne,
+  findOneAndUpdate: mockFolderFindOneAndUpdate,
+  updateMany: mockFolderUpdateMany,
+  deleteOne: mockFolderDeleteOne,
+  create: jest.fn(async (doc) => doc)
+}));
+jest.mock('../src/models/FlashcardSet', () => ({ updateMany: mockSetUpdateMany }));
+jest.mock('../src/models/Worksheet', () => ({ updateMany: mockWorksheetUpdateMany }));
+jest.mock('../src/models/WorksheetDocument', () => ({ WorksheetDocumentModel: { updateMany: mockDocumentUpdateMany } }));
+
+const {
+  buildFolderTree,
+  createFolder,
+  deleteFolder,
+  moveItems,
+  parseFolderFilter,
+  updateFolder
+} = require('../src/services/folder.service');
+
+const ownerId = '507f1f77bcf86cd799439001';
+const ids = {
+  maths: '507f1f77bcf86cd799439011',
+  algebra: '507f1f77bcf86cd799439012',
+  equations: '507f1f77bcf86cd799439013',
+  english: '507f1f77bcf86cd799439014'
+};
+const folders = [
+  { _id: ids.maths, name: 'Maths', parentId: null, order: 0 },
+  { _id: ids.algebra, name: 'Algebra', parentId: ids.maths, order: 0 },
+  { _id: ids.equations, name: 'Equations', parentId: ids.algebra, order: 0 },
+  { _id: ids.english, name: 'English', parentId: null, order: 0 }
+];
+
+function mockOwnedFolders(list = folders) {
+  mockFolderFind.mockReturnValue({ select: () => ({ lean: jest.fn().mockResolvedValue(list) }) });
+}
+
+describe('library folders', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  test('builds a sorted tree with item counts and folds orphaned counts into the top level', () => {
+    const counts = new Map([
+      [ids.algebra, { flashcardSets: 2, worksheets: 1, worksheetDocuments: 0 }],
+      ['root', { flashcardSets: 1, worksheets: 0, worksheetDocuments: 3 }],
+      ['507f1f77bcf86cd7994390ff', { flashcardSets: 1, worksheets: 0, worksheetDocuments: 0 }]
+    ]);
+    const { folders: tree, rootCounts } = buildFolderTree(folders, counts);
+
+    expect(tree.map((node) => node.name)).toEqual(['English', 'Maths']);
+    expect(tree[1].children[0]).toMatchObject({ name: 'Algebra', counts: { flashcardSets: 2, worksheets: 1 } });
+    expect(tree[1].children[0].children[0].name).toBe('Equations');
+    expect(rootCounts).toEqual({ flashcardSets: 2, worksheets: 0, worksheetDocuments: 3 });
+
+    expect(parseFolderFilter(undefined)).toBeUndefined();
+    expect(parseFolderFilter('root')).toBeNull();
+    expect(() => parseFolderFilter('nope')).toThrow('Invalid folder ID');
+  });
+
+  test('rejects moving a folder into its own subtree and nesting past the depth limit', async () => {
+    mockOwnedFolders();
+    await expect(updateFolder({ ownerId, folderId: ids.maths, parentId: ids.equations }))
+      .rejects.toMatchObject({ statusCode: 409, code: 'FOLDER_CYCLE' });
+
+    mockFolderFindOneAndUpdate.mockReturnValue({ lean: jest.fn().mockResolvedValue({ _id: ids.english }) });
+    await updateFolder({ ownerId, folderId: ids.english, parentId: ids.equations, name: ' Grammar ' });
+    expect(mockFolderFindOneAndUpdate.mock.calls[0][1]).toEqual({ $set: { name: 'Grammar', parentId: ids.equations } });
+
+    const deep = [...folders,
+      { _id: '507f1f77bcf86cd799439015', name: 'Linear', parentId: ids.equations },
+      { _id: '507f1f77bcf86cd799439016', name: 'Worked', parentId: '507f1f77bcf86cd799439015' }];
+    mockOwnedFolders(deep);
+    await expect(createFolder({ ownerId, name: 'Too deep', parentId: '507f1f77bcf86cd799439016' }))
+      .rejects.toMatchObject({ statusCode: 422, code: 'FOLDER_TOO_DEEP' });
+  });
+
+  test('deleting a folder moves its subfolders and items up to its parent', async () => {
+    mockFolderFindOne.mockReturnValue({ lean: jest.fn().mockResolvedValue(folders[1]) });
+    mockFolderUpdateMany.mockResolvedValue({ modifiedCount: 1 });
+    mockSetUpdateMany.mockResolvedValue({ modifiedCount: 4 });
+    mockWorksheetUpdateMany.mockResolvedValue({ modifiedCount: 2 });
+    mockDocumentUpdateMany.mockResolvedValue({ modifiedCount: 0 });
+
+    const result = await deleteFolder({ ownerId, folderId: ids.algebra });
+    expect(mockFolderUpdateMany).toHaveBeenCalledWith({ ownerId, parentId: ids.algebra }, { $set: { parentId: ids.maths } });
+    expect(mockDocumentUpdateMany.mock.calls[0][0]).toEqual({ createdBy: ownerId, folderId: ids.algebra });
+    expect(result).toEqual({ folderId: ids.algebra, parentId: ids.maths, movedFolders: 1,
+      movedItems: { flashcardSets: 4, worksheets: 2, worksheetDocuments: 0 } });
+    expect(mockFolderDeleteOne).toHaveBeenCalledWith({ _id: ids.algebra, ownerId });
+  });
+
+  test('moves only items the teacher owns, into a folder they own', async () => {
+    mockFolderFindOne.mockReturnValue({ select: () => ({ lean: jest.fn().mockResolvedValue({ _id: ids.english }) }) });
+    mockSetUpdateMany.mockResolvedValue({ matchedCount: 1, modifiedCount: 1 });
+
+    const result = await moveItems({ ownerId, type: 'flashcardSet', ids: [ids.maths, ids.maths], folderId: ids.english });
+    const [filter, update] = mockSetUpdateMany.mock.calls[0];
+    expect(filter._id).toEqual({ $in: [ids.maths] });
+    expect(String(filter.ownerId)).toBe(ownerId);
+    expect(update).toEqual({ $set: { folderId: ids.english } });
+    expect(result).toMatchObject({ matched: 1, moved: 1 });
+
+    await expect(moveItems({ ownerId, type: 'rubric', ids: [ids.maths], folderId: null }))
+      .rejects.toMatchObject({ statusCode: 400, code: 'INVALID_ITEM_TYPE' });
+    await expect(moveItems({ ownerId, type: 'worksheetDocument', ids: [ids.maths], folderId: null }))
+      .rejects.toMatchObject({ code: 'INVALID_IDS' });
+
+    mockFolderFindOne.mockReturnValue({ select: () => ({ lean: jest.fn().mockResolvedValue(null) }) });
+    await expect(moveItems({ ownerId, type: 'worksheet', ids: [ids.maths], folderId: ids.algebra }))
+      .rejects.toMatchObject({ statusCode: 404 });
+    expect(mockWorksheetUpdateMany).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,99 @@
+'use strict';
+
+const mockSetFindById = jest.fn();
+const mockSetFindOne = jest.fn();
+const mockMembershipFind = jest.fn();
+const mockAssignmentFindOne = jest.fn();
+const mockSubmissionFindOne = jest.fn();
+const mockSubmissionCreate = jest.fn();
+const mockGenerateChatCompletion = jest.fn();
+
+jest.mock('../src/models/FlashcardSet', () => ({ findById: mockSetFindById, findOne: mockSetFindOne }));
+jest.mock('../src/models/membership.model', () => ({ find: mockMembershipFind }));
+jest.mock('../src/models/assignment.model', () => ({ findOne: mockAssignmentFindOne }));
+jest.mock('../src/models/FlashcardSubmission', () => ({ findOne: mockSubmissionFindOne, create: mockSubmissionCreate }));
+jest.mock('../src/services/aiGeneration.service', () => ({ generateChatCompletion: mockGenerateChatCompletion }));
+
+const flashcardController = require('../src/controllers/flashcard.controller');
+
+// Resolves like a Mongoose query, whatever is chained onto it.
+function query(value) {
+  const chain = {
+    select: () => chain,
+    lean: () => chain,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  };
+  return chain;
+}
+
+function response() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(value) { this.body = value; return this; }
+  };
+}
+
+const setId = '64f0000000000000000000a1';
+const cards = [
+  { _id: '64f0000000000000000000c1', front: 'Capital of France?', back: 'Paris' },
+  { _id: '64f0000000000000000000c2', front: 'Largest planet?', back: 'Jupiter' },
+  { _id: '64f0000000000000000000c3', front: 'Boiling point of water?', back: '100 degrees Celsius' }
+];
+const student = { _id: '64f0000000000000000000s1', role: 'student' };
+
+describe('flashcard answer grading access and session results', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockMembershipFind.mockImplementation(() => query([{ class: 'class-1' }]));
+    mockAssignmentFindOne.mockImplementation(() => query(null));
+  });
+
+  test('grade-answer only grades cards from a set the caller may read', async () => {
+    mockSetFindById.mockImplementation(() => query({ _id: setId, visibility: 'private', assignedClasses: ['class-2'], cards }));
+    const body = { setId, cardId: cards[0]._id, studentAnswer: 'Paris' };
+    const denied = response();
+    await flashcardController.gradeAnswer({ user: student, body }, denied);
+    expect(denied.statusCode).toBe(403);
+
+    mockSetFindById.mockImplementation(() => query({ _id: setId, visibility: 'private', assignedClasses: ['class-1'], cards }));
+    const allowed = response();
+    await flashcardController.gradeAnswer({ user: student, body }, allowed);
+    expect(allowed.statusCode).toBe(200);
+    expect(allowed.body.data).toMatchObject({ isCorrect: true, gradedBy: 'exact' });
+
+    // Teachers grade against their own sets only.
+    mockSetFindOne.mockResolvedValue(null);
+    const teacher = { _id: '64f0000000000000000000t1', role: 'teacher' };
+    const notOwned = response();
+    await flashcardController.gradeAnswer({ user: teacher, body }, notOwned);
+    expect(notOwned.statusCode).toBe(404);
+    expect(mockSetFindOne).toHaveBeenCalledWith({ _id: setId, ownerId: teacher._id });
+  });
+
+  test('session submissions keep flip results and grade typed answers', async () => {
+    mockSetFindById.mockImplementation(() => query({ _id: setId, cards }));
+    mockSubmissionFindOne.mockResolvedValue(null);
+    mockSubmissionCreate.mockImplementation(async (doc) => doc);
+    mockGenerateChatCompletion.mockResolvedValue('{"credit":1,"explanation":"Correct."}');
+
+    const res = response();
+    await flashcardController.submitStudySession({
+      user: student,
+      params: { id: setId },
+      body: { cardResults: [
+        { cardId: cards[0]._id, known: true },
+        { cardId: cards[1]._id, studentAnswer: 'jupiter' },
+        { cardId: cards[2]._id, studentAnswer: 'one hundred C' }
+      ] }
+    }, res);
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.data.cardResults).toEqual([
+      { cardId: cards[0]._id, known: true },
+      expect.objectContaining({ cardId: cards[1]._id, known: true, credit: 1, gradedBy: 'normalized' }),
+      expect.objectContaining({ cardId: cards[2]._id, known: true, credit: 1, gradedBy: 'ai' })
+    ]);
+  });
+});
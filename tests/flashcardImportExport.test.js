@@ -0,0 +1,94 @@
+const mockSetCreate = jest.fn();
+const mockFolderFindOne = jest.fn();
+
+jest.mock('../src/models/FlashcardSet', () => ({ create: mockSetCreate }));
+jest.mock('../src/models/Folder', () => ({ findOne: mockFolderFindOne }));
+
+const {
+  buildApkg,
+  exportFlashcardSet,
+  importFlashcardSet,
+  parseApkg,
+  parseDelimited,
+  parseImport,
+  parsePaste
+} = require('../src/services/flashcardImportExport.service');
+
+const PNG = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+const set = {
+  _id: '507f1f77bcf86cd799439011',
+  title: 'Célula & organelos',
+  description: 'Biology',
+  cards: [
+    { _id: 'c2', front: 'mitochondria', back: 'makes "ATP", the cell\'s energy', order: 1, acceptedAnswers: ['ATP factory'] },
+    { _id: 'c1', front: 'nucleus', back: 'holds DNA\nand controls the cell', order: 0, frontImage: '/uploads/flashcards/nucleus.png' }
+  ]
+};
+
+describe('flashcard import and export', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  test('CSV keeps quoted commas, quotes and newlines and maps header columns', () => {
+    const rows = parseDelimited('\uFEFFTerm,Definition\r\n"a, b","say ""hi""\nthere"\r\n', ',');
+    expect(rows).toEqual([['Term', 'Definition'], ['a, b', 'say "hi"\nthere']]);
+
+    return parseImport({ filename: 'deck.csv', buffer: Buffer.from('definition,term,alternatives\nperro,dog,hound|pup\n,empty,\n') })
+      .then((parsed) => {
+        expect(parsed.format).toBe('csv');
+        expect(parsed.cards).toEqual([{ front: 'dog', back: 'perro', acceptedAnswers: ['hound', 'pup'], frontImage: null, backImage: null }]);
+        expect(parsed.skipped).toBe(1);
+      });
+  });
+
+  test('paste format supports Quizlet custom separators and Anki directives are skipped', () => {
+    expect(parsePaste('dog\tperro\ncat\tgato\nno separator').cards.map((c) => [c.front, c.back]))
+      .toEqual([['dog', 'perro'], ['cat', 'gato']]);
+    const custom = parsePaste('dog - perro; cat - gato', { termSeparator: 'dash', cardSeparator: ';' });
+    expect(custom.cards.map((c) => c.back)).toEqual(['perro', 'gato']);
+    expect(parseDelimited('#separator:tab\n#html:false\nhola\thello\n', '\t')).toEqual([['hola', 'hello']]);
+  });
+
+  test('CSV and TSV exports re-import to the same cards', async () => {
+    for (const format of ['csv', 'tsv']) {
+      const exported = await exportFlashcardSet(set, format);
+      expect(exported.filename).toBe(`celula-organelos.${format}`);
+      const parsed = await parseImport({ format, buffer: exported.body });
+      expect(parsed.cards.map((c) => [c.front, c.back, c.acceptedAnswers, c.frontImage])).toEqual([
+        ['nucleus', 'holds DNA\nand controls the cell', [], '/uploads/flashcards/nucleus.png'],
+        ['mitochondria', 'makes "ATP", the cell\'s energy', ['ATP factory'], null]
+      ]);
+    }
+    const paste = await exportFlashcardSet(set, 'paste');
+    expect(paste.body.toString()).toBe('nucleus\tholds DNA and controls the cell\nmitochondria\tmakes "ATP", the cell\'s energy\n');
+    await expect(exportFlashcardSet(set, 'pdf')).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('Anki packages round-trip with images stored through flashcard image storage', async () => {
+    const readImage = jest.fn(async (url) => (url === '/uploads/flashcards/nucleus.png' ? PNG : null));
+    const apkg = await buildApkg(set, { readImage });
+
+    const storeImage = jest.fn(async () => '/uploads/flashcards/imported.png');
+    const parsed = await parseApkg(apkg, { storeImage });
+    expect(parsed.title).toBe('Célula & organelos');
+    expect(parsed.cards.map((c) => [c.front, c.back, c.frontImage])).toEqual([
+      ['nucleus', 'holds DNA\nand controls the cell', '/uploads/flashcards/imported.png'],
+      ['mitochondria', 'makes "ATP", the cell\'s energy', null]
+    ]);
+    expect(storeImage).toHaveBeenCalledWith(PNG);
+
+    await expect(parseApkg(Buffer.from('not a zip'))).rejects.toMatchObject({ code: 'INVALID_APKG' });
+  });
+
+  test('imports create a set in the chosen folder and reject empty input', async () => {
+    mockFolderFindOne.mockReturnValue({ select: () => ({ lean: jest.fn().mockResolvedValue({ _id: 'f1' }) }) });
+    mockSetCreate.mockImplementation(async (doc) => ({ _id: 'new', ...doc }));
+
+    const result = await importFlashcardSet({ ownerId: '507f1f77bcf86cd799439001', text: 'uno\tone\ndos\ttwo',
+      folderId: '507f1f77bcf86cd799439012', template: 'qa' });
+    expect(result).toMatchObject({ format: 'paste', imported: 2, skipped: 0 });
+    expect(mockSetCreate.mock.calls[0][0]).toMatchObject({ title: 'Imported set', folderId: 'f1', template: 'qa',
+      cards: [{ front: 'uno', back: 'one', order: 0, template: 'qa' }, { front: 'dos', back: 'two', order: 1, template: 'qa' }] });
+
+    await expect(importFlashcardSet({ ownerId: 'u', text: 'just a line' })).rejects.toMatchObject({ statusCode: 422, code: 'NO_CARDS' });
+  });
+});
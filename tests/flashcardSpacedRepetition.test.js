@@ -0,0 +1,87 @@
+const mockSetFindById = jest.fn();
+const mockStateFind = jest.fn();
+const mockStateBulkWrite = jest.fn();
+
+jest.mock('../src/models/FlashcardSet', () => ({ findById: mockSetFindById }));
+jest.mock('../src/models/FlashcardReviewState', () => ({ find: mockStateFind, bulkWrite: mockStateBulkWrite }));
+jest.mock('../src/models/membership.model', () => ({ find: jest.fn() }));
+jest.mock('../src/models/assignment.model', () => ({ findOne: jest.fn() }));
+
+const {
+  buildDueQueue,
+  getDueQueue,
+  recordReviews,
+  reviewForecast,
+  scheduleReview
+} = require('../src/services/spacedRepetition.service');
+
+const DAY = 24 * 60 * 60 * 1000;
+const now = new Date('2026-03-10T12:00:00Z');
+const setId = '507f1f77bcf86cd799439011';
+const studentId = '507f1f77bcf86cd799439012';
+const cardA = '65a000000000000000000001';
+const cardB = '65a000000000000000000002';
+const cardC = '65a000000000000000000003';
+
+const lean = (value) => ({ lean: jest.fn().mockResolvedValue(value) });
+const publicSet = {
+  visibility: 'public',
+  cards: [
+    { _id: cardA, front: 'perro', back: 'dog', order: 0 },
+    { _id: cardB, front: 'gato', back: 'cat', order: 1 },
+    { _id: cardC, front: 'pez', back: 'fish', order: 2 }
+  ]
+};
+
+describe('flashcard spaced repetition', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  test('SM-2 intervals grow with good answers and reset on a lapse', () => {
+    const first = scheduleReview(null, 'good', now);
+    expect(first).toMatchObject({ repetitions: 1, intervalDays: 1, ease: 2.5 });
+    const second = scheduleReview(first, 'good', now);
+    expect(second.intervalDays).toBe(6);
+    const third = scheduleReview(second, 'easy', now);
+    expect(third.intervalDays).toBe(Math.round(6 * third.ease * 1.3));
+    expect(third.dueAt.getTime()).toBe(now.getTime() + third.intervalDays * DAY);
+
+    const lapse = scheduleReview(third, 'didnt_know', now);
+    expect(lapse).toMatchObject({ repetitions: 0, intervalDays: 0, lapses: 1, lastGrade: 'again' });
+    expect(lapse.ease).toBeLessThan(third.ease);
+    expect(lapse.dueAt.getTime() - now.getTime()).toBe(10 * 60 * 1000);
+    expect(() => scheduleReview(null, 'maybe', now)).toThrow('grade must be one of');
+  });
+
+  test('the due queue puts overdue cards first, then new cards, and ignores deleted cards', () => {
+    const states = [
+      { cardId: cardB, dueAt: new Date(now.getTime() - 2 * DAY) },
+      { cardId: cardC, dueAt: new Date(now.getTime() + 3 * DAY) },
+      { cardId: '65a000000000000000000009', dueAt: new Date(now.getTime() - DAY) }
+    ];
+    const { queue, dueCount, newCount, scheduledLaterCount } = buildDueQueue({ cards: publicSet.cards, states, now });
+    expect(queue.map(({ card }) => card._id)).toEqual([cardB, cardA]);
+    expect({ dueCount, newCount, scheduledLaterCount }).toEqual({ dueCount: 1, newCount: 1, scheduledLaterCount: 1 });
+
+    const forecast = reviewForecast(states.slice(0, 2), { now, days: 5 });
+    expect(forecast.overdue).toBe(1);
+    expect(forecast.days.map((day) => day.due)).toEqual([1, 0, 0, 1, 0]);
+  });
+
+  test('due cards are served per student and reviews are upserted by card id', async () => {
+    mockSetFindById.mockReturnValue({ select: () => lean(publicSet) });
+    mockStateFind.mockReturnValueOnce(lean([{ cardId: cardA, dueAt: new Date(now.getTime() - DAY), ease: 2.3, intervalDays: 1 }]));
+    const queue = await getDueQueue({ setId, studentId, now, newCardLimit: 1 });
+    expect(mockStateFind).toHaveBeenCalledWith({ studentId, flashcardSetId: setId });
+    expect(queue.cards.map((card) => [card.cardId, card.isNew])).toEqual([[cardA, false], [cardB, true]]);
+
+    mockStateFind.mockReturnValueOnce(lean([]));
+    const scheduled = await recordReviews({ setId, studentId, now, reviews: [{ cardId: cardB, grade: 'good' }] });
+    expect(scheduled[0]).toMatchObject({ cardId: cardB, intervalDays: 1 });
+    const [op] = mockStateBulkWrite.mock.calls[0][0];
+    expect(op.updateOne).toMatchObject({ filter: { studentId, cardId: cardB }, upsert: true });
+    expect(op.updateOne.update.$set).toMatchObject({ flashcardSetId: setId, repetitions: 1, lastGrade: 'good' });
+
+    await expect(recordReviews({ setId, studentId, reviews: [{ cardId: '65a000000000000000000009', grade: 'good' }] }))
+      .rejects.toMatchObject({ statusCode: 400, code: 'UNKNOWN_CARD' });
+  });
+});
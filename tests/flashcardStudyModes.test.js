@@ -0,0 +1,107 @@
+const mockSetFindById = jest.fn();
+const mockSubmissionFindOneAndUpdate = jest.fn();
+const mockGenerateChatCompletion = jest.fn();
+
+jest.mock('../src/models/FlashcardSet', () => ({ findById: mockSetFindById }));
+jest.mock('../src/models/FlashcardSubmission', () => ({ findOneAndUpdate: mockSubmissionFindOneAndUpdate }));
+jest.mock('../src/models/FlashcardReviewState', () => ({}));
+jest.mock('../src/models/membership.model', () => ({ find: jest.fn(), findOne: jest.fn() }));
+jest.mock('../src/models/assignment.model', () => ({ findOne: jest.fn() }));
+jest.mock('../src/services/aiGeneration.service', () => ({ generateChatCompletion: mockGenerateChatCompletion }));
+
+const {
+  buildStudyMode,
+  gradeStudyModeAnswers,
+  submitStudyModeResult,
+  summarizeByMode
+} = require('../src/services/flashcardStudyModes.service');
+
+const setId = '507f1f77bcf86cd799439011';
+const userId = '507f1f77bcf86cd799439012';
+const card = (n, front, back) => ({ _id: `65a00000000000000000000${n}`, front, back, order: n });
+const set = {
+  _id: setId,
+  title: 'Animals',
+  template: 'term-def',
+  visibility: 'public',
+  cards: [card(1, 'perro', 'dog'), card(2, 'gato', 'cat'), card(3, 'pez', 'fish'), card(4, 'ave', 'bird')]
+};
+
+// Deterministic "random" so shuffles are reproducible.
+function seeded(seed = 7) {
+  let value = seed;
+  return () => {
+    value = (value * 16807) % 2147483647;
+    return (value - 1) / 2147483646;
+  };
+}
+
+describe('flashcard study modes', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  test('multiple choice draws distractors from other cards and hides the answer key', () => {
+    const round = buildStudyMode(set, 'multiple_choice', { optionCount: 3, random: seeded() });
+    expect(round.questions).toHaveLength(4);
+    for (const question of round.questions) {
+      const source = set.cards.find((c) => c._id === question.cardId);
+      expect(question.options).toHaveLength(3);
+      expect(question.options).toContain(source.back);
+      expect(new Set(question.options).size).toBe(3);
+      expect(question).not.toHaveProperty('answer');
+    }
+  });
+
+  test('match rounds shuffle pairs and learn rounds ask each card twice', () => {
+    const match = buildStudyMode(set, 'match', { pairs: 3, random: seeded(3) });
+    expect(match.terms).toHaveLength(3);
+    expect(match.definitions.sort()).toEqual(match.terms
+      .map((term) => set.cards.find((c) => c._id === term.cardId).back).sort());
+
+    const learn = buildStudyMode(set, 'learn', { count: 2, random: seeded(5) });
+    expect(learn.questions.map((q) => q.type)).toEqual(['multiple_choice', 'multiple_choice', 'written', 'written']);
+
+    expect(() => buildStudyMode({ ...set, cards: [set.cards[0]] }, 'match')).toThrow('at least 2 cards');
+    expect(() => buildStudyMode(set, 'flip')).toThrow('mode must be one of');
+  });
+
+  test('written answers reuse answer grading and learn averages credit per card', async () => {
+    const written = await gradeStudyModeAnswers(set, 'written', [
+      { cardId: set.cards[0]._id, answer: 'Dog!' },
+      { cardId: set.cards[1]._id, answer: '' }
+    ]);
+    expect(written.cardResults.map((r) => [r.gradedBy, r.credit])).toEqual([['normalized', 1], ['empty', 0]]);
+    expect(written.score).toBe(50);
+    expect(mockGenerateChatCompletion).not.toHaveBeenCalled();
+
+    const learn = await gradeStudyModeAnswers(set, 'learn', [
+      { cardId: set.cards[2]._id, type: 'multiple_choice', answer: 'fish' },
+      { cardId: set.cards[2]._id, type: 'written', answer: '' }
+    ]);
+    expect(learn.cardResults).toEqual([expect.objectContaining({ credit: 0.5, isCorrect: false })]);
+  });
+
+  test('results are saved as a FlashcardSubmission for the mode', async () => {
+    mockSetFindById.mockReturnValue({ select: () => ({ lean: jest.fn().mockResolvedValue(set) }) });
+    mockSubmissionFindOneAndUpdate.mockImplementation(async (filter, update) => ({ ...filter, ...update.$set }));
+
+    const saved = await submitStudyModeResult({ setId, userId, mode: 'multiple_choice', timeTaken: 42,
+      answers: [{ cardId: set.cards[0]._id, answer: 'dog' }, { cardId: set.cards[1]._id, answer: 'fish' }] });
+    const [filter, update, options] = mockSubmissionFindOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({ flashcardSetId: setId, userId, assignmentId: null, mode: 'multiple_choice' });
+    expect(options).toMatchObject({ upsert: true });
+    expect(update.$set.results).toEqual([
+      { cardId: set.cards[0]._id, status: 'know' },
+      { cardId: set.cards[1]._id, status: 'learning' }
+    ]);
+    expect(saved).toMatchObject({ score: 50, timeTaken: 42, mode: 'multiple_choice' });
+
+    expect(summarizeByMode([
+      { userId: 'a', score: 80, timeTaken: 10 },
+      { userId: 'a', mode: 'match', score: 100, timeTaken: 20 },
+      { userId: 'b', mode: 'match', score: 50, timeTaken: 40 }
+    ])).toEqual([
+      { mode: 'flip', submissions: 1, students: 1, averageScore: 80, averageTimeTaken: 10 },
+      { mode: 'match', submissions: 2, students: 2, averageScore: 75, averageTimeTaken: 30 }
+    ]);
+  });
+});
@@ -0,0 +1,137 @@
+const mockWorksheetFind = jest.fn();
+const mockWorksheetUpdateMany = jest.fn();
+const mockWorksheetUpdateOne = jest.fn();
+const mockCreateNotification = jest.fn();
+const mockLoadNotificationRecipients = jest.fn();
+
+jest.mock('../src/models/WorksheetSubmission', () => ({
+  find: mockWorksheetFind,
+  updateMany: mockWorksheetUpdateMany,
+  updateOne: mockWorksheetUpdateOne
+}));
+jest.mock('../src/models/class.model', () => ({
+  findById: jest.fn(() => ({ select: () => ({ lean: jest.fn().mockResolvedValue({ _id: 'class-1', name: 'Period 3' }) }) }))
+}));
+jest.mock('../src/services/notification.service', () => ({
+  createNotification: mockCreateNotification,
+  loadNotificationRecipients: mockLoadNotificationRecipients
+}));
+
+const {
+  GradeReleaseError,
+  autoPublishEnabled,
+  worksheetGradeReleaseOnSubmit,
+  notifyWorksheetGradeRelease,
+  releaseAssignmentGrades
+} = require('../src/services/gradeRelease.service');
+const { marksReleasedToStudent, redactStudentMarks, redactWorksheetMarks } = require('../src/services/assignmentAccessPolicy.service');
+
+describe('grade release workflow', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  test('release state decides visibility; pre-workflow records follow the assignment flag', () => {
+    const hidden = { showMarksToStudent: false };
+    expect(marksReleasedToStudent({}, { gradeRelease: { status: 'draft' } })).toBe(false);
+    expect(marksReleasedToStudent(hidden, { gradeRelease: { status: 'released' } })).toBe(true);
+    expect(marksReleasedToStudent(hidden, {})).toBe(false);
+    expect(marksReleasedToStudent({}, null)).toBe(true);
+  });
+
+  test('draft worksheet payloads lose scores and per-answer correctness', () => {
+    const redacted = redactWorksheetMarks({
+      score: 80,
+      percentage: 80,
+      isPassed: true,
+      answers: [{ questionId: 'q1', studentAnswer: 'cat', isCorrect: true, pointsEarned: 1 }],
+      totals: { totalPointsEarned: 8, totalPointsPossible: 10 }
+    });
+    expect(redacted).toEqual({
+      answers: [{ questionId: 'q1', studentAnswer: 'cat' }],
+      totals: { totalPointsPossible: 10 },
+      marksVisible: false,
+      previousEvaluation: null
+    });
+  });
+
+  test('non-worksheet payloads keep worksheet-only fields when marks are hidden', () => {
+    expect(redactStudentMarks({ score: 4, cards: [{ isCorrect: true }], correctCount: 3 })).toEqual({
+      cards: [{ isCorrect: true }],
+      correctCount: 3,
+      marksVisible: false,
+      previousEvaluation: null
+    });
+  });
+
+  test('worksheets auto-release on submit only for auto-publishing classes that show marks', () => {
+    expect(autoPublishEnabled({ autoPublishGrades: true }, {})).toBe(true);
+    expect(autoPublishEnabled({ _id: 'class-without-flag' }, {})).toBe(false);
+    expect(autoPublishEnabled(null, {})).toBe(false);
+    expect(autoPublishEnabled({ autoPublishGrades: true }, { showMarksToStudent: false })).toBe(false);
+    expect(worksheetGradeReleaseOnSubmit({ classDoc: { autoPublishGrades: false }, assignment: {} }))
+      .toEqual({ status: 'draft', releasedAt: null, releasedBy: null, auto: false });
+    expect(worksheetGradeReleaseOnSubmit({ classDoc: { autoPublishGrades: true }, assignment: {} }))
+      .toMatchObject({ status: 'released', auto: true, releasedAt: expect.any(Date) });
+  });
+
+  test('bulk release marks unreleased worksheet submissions and notifies each student', async () => {
+    mockWorksheetFind.mockReturnValue({ select: () => ({ lean: jest.fn().mockResolvedValue([
+      { _id: 'sub-1', studentId: 'student-1' },
+      { _id: 'sub-2', studentId: 'student-2' }
+    ]) }) });
+    mockCreateNotification.mockResolvedValue({});
+    mockLoadNotificationRecipients.mockResolvedValue(new Map([['student-1', { _id: 'student-1', notificationPreferences: {} }]]));
+    mockWorksheetUpdateOne.mockResolvedValue({ modifiedCount: 1 });
+
+    const result = await releaseAssignmentGrades({
+      assignment: { _id: 'assignment-1', class: 'class-1', title: 'Unit 4 worksheet', resourceType: 'worksheet' },
+      teacherId: 'teacher-1'
+    });
+    await new Promise((resolve) => setImmediate(resolve));
+
+    expect(result).toMatchObject({ resourceType: 'worksheet', releasedCount: 2, skippedCount: 0,
+      studentIds: ['student-1', 'student-2'] });
+    expect(mockWorksheetUpdateMany).toHaveBeenCalledWith(
+      { _id: { $in: ['sub-1', 'sub-2'] } },
+      { $set: { gradeRelease: expect.objectContaining({ status: 'released', releasedBy: 'teacher-1', auto: false }) } }
+    );
+    expect(mockCreateNotification).toHaveBeenCalledTimes(2);
+    expect(mockLoadNotificationRecipients).toHaveBeenCalledTimes(1);
+    expect(mockCreateNotification.mock.calls[0][0]).toMatchObject({ recipientId: 'student-1', type: 'grades_released',
+      recipient: { _id: 'student-1', notificationPreferences: {} } });
+    expect(mockWorksheetUpdateOne).toHaveBeenCalledWith(
+      { _id: 'sub-1', gradeReleaseNotifiedAt: null },
+      { $set: { gradeReleaseNotifiedAt: expect.any(Date) } }
+    );
+  });
+
+  test('students are notified only the first time a grade is released', async () => {
+    mockCreateNotification.mockResolvedValue({});
+    mockLoadNotificationRecipients.mockResolvedValue(new Map([['student-1', { _id: 'student-1', notificationPreferences: {} }]]));
+    mockWorksheetUpdateOne.mockResolvedValue({ modifiedCount: 0 });
+    const regraded = { _id: 'sub-1', studentId: 'student-1', gradeRelease: { status: 'released', auto: true } };
+    await notifyWorksheetGradeRelease({ assignment: { _id: 'assignment-1' }, classDoc: {}, submission: regraded });
+    expect(mockCreateNotification).not.toHaveBeenCalled();
+
+    mockWorksheetUpdateOne.mockResolvedValueOnce({ modifiedCount: 1 });
+    await notifyWorksheetGradeRelease({ assignment: { _id: 'assignment-1' }, classDoc: {}, submission: regraded });
+    expect(mockCreateNotification).toHaveBeenCalledTimes(1);
+
+    mockWorksheetFind.mockReturnValue({ select: () => ({ lean: jest.fn().mockResolvedValue([
+      { _id: 'sub-1', studentId: 'student-1' }
+    ]) }) });
+    const result = await releaseAssignmentGrades({
+      assignment: { _id: 'assignment-1', class: 'class-1', title: 'Unit 4 worksheet', resourceType: 'worksheet' },
+      teacherId: 'teacher-1'
+    });
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(result.releasedCount).toBe(1);
+    expect(mockCreateNotification).toHaveBeenCalledTimes(1);
+  });
+
+  test('flashcard assignments and malformed student filters are rejected', async () => {
+    await expect(releaseAssignmentGrades({ assignment: { _id: 'a', class: 'c', resourceType: 'flashcard' }, teacherId: 't' }))
+      .rejects.toMatchObject({ statusCode: 400, code: 'RELEASE_NOT_SUPPORTED' });
+    await expect(releaseAssignmentGrades({ assignment: { _id: 'a', class: 'c', resourceType: 'worksheet' }, teacherId: 't',
+      studentIds: ['not-an-id'] })).rejects.toBeInstanceOf(GradeReleaseError);
+  });
+});
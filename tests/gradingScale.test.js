@@ -0,0 +1,77 @@
+const {
+  DEFAULT_CUT_POINTS,
+  validateCutPoints,
+  resolveGradingPolicy,
+  gradeForScore,
+  commonGradingPolicy,
+  reportGradeSummary,
+  gradeDistribution
+} = require('../src/services/gradingScale.service');
+const { computeAcademicEvaluation } = require('../src/modules/academicEvaluationEngine');
+
+describe('class grading scale', () => {
+  test('defaults to a 0-100 scale with the standard letter bands', () => {
+    const policy = resolveGradingPolicy(null);
+    expect(policy).toEqual({ scale: 'score_0_100', cutPoints: DEFAULT_CUT_POINTS });
+    expect(gradeForScore(84, policy)).toMatchObject({ letter: 'B', grade: 'B', passed: true, display: '84/100' });
+  });
+
+  test('A-F classes headline the letter and honour custom cut points', () => {
+    const policy = resolveGradingPolicy({
+      gradingScale: 'grade_a_f',
+      gradeCutPoints: { A: 85, B: 75, C: 65, D: 50, pass: 50 }
+    });
+    expect(gradeForScore(86, policy)).toMatchObject({ letter: 'A', display: 'A' });
+    expect(gradeForScore(55, policy)).toMatchObject({ letter: 'D', passed: true });
+    expect(gradeForScore(49, policy)).toMatchObject({ letter: 'F', passed: false });
+  });
+
+  test('pass/fail classes never expose a letter', () => {
+    const policy = resolveGradingPolicy({ gradingScale: 'pass_fail', gradeCutPoints: { pass: 65 } });
+    expect(gradeForScore(92, policy)).toMatchObject({ letter: null, grade: 'Pass', passed: true, display: 'Pass' });
+    expect(gradeForScore(64, policy)).toMatchObject({ letter: null, grade: 'Fail', passed: false });
+    expect(gradeForScore(null, policy)).toMatchObject({ grade: null, passed: null });
+  });
+
+  test('rejects out-of-range or non-descending cut points', () => {
+    expect(validateCutPoints({ A: 120 }).error).toMatch(/gradeCutPoints\.A/);
+    expect(validateCutPoints({ A: 80, B: 80 }).error).toMatch(/descend/);
+    expect(validateCutPoints([]).error).toMatch(/object/);
+    expect(validateCutPoints({ D: 55 }).value).toEqual({ ...DEFAULT_CUT_POINTS, D: 55 });
+  });
+
+  test('report distributions follow the class scale', () => {
+    const letters = resolveGradingPolicy({ gradingScale: 'grade_a_f' });
+    const passFail = resolveGradingPolicy({ gradingScale: 'pass_fail' });
+    expect(gradeDistribution([95, 81, 81, 40, null], letters)).toEqual({ A: 1, B: 2, C: 0, D: 0, F: 1 });
+    expect(gradeDistribution([95, 59, 60], passFail)).toEqual({ Pass: 2, Fail: 1 });
+    expect(commonGradingPolicy([letters, passFail])).toBeNull();
+    expect(commonGradingPolicy([passFail, passFail])).toBe(passFail);
+  });
+
+  test('mixed-policy reports count each score under its own class scale', () => {
+    const letters = resolveGradingPolicy({ gradingScale: 'grade_a_f' });
+    const passFail = resolveGradingPolicy({ gradingScale: 'pass_fail' });
+    expect(reportGradeSummary([{ score: 95, policy: passFail }, { score: 40, policy: passFail }])).toEqual({
+      gradingScale: 'pass_fail', mixedGradingScales: false, gradeDistribution: { Pass: 1, Fail: 1 }
+    });
+    expect(reportGradeSummary([
+      { score: 95, policy: letters }, { score: 81, policy: letters },
+      { score: 95, policy: passFail }, { score: 40, policy: passFail }
+    ])).toEqual({
+      gradingScale: 'mixed',
+      mixedGradingScales: true,
+      gradeDistribution: { grade_a_f: { A: 1, B: 1, C: 0, D: 0, F: 0 }, pass_fail: { Pass: 1, Fail: 1 } }
+    });
+  });
+
+  test('academic evaluations graded under pass/fail carry no letter', () => {
+    const evaluation = computeAcademicEvaluation({
+      issues: [],
+      text: 'A short but complete paragraph about the topic at hand.',
+      gradingPolicy: resolveGradingPolicy({ gradingScale: 'pass_fail' })
+    });
+    expect(evaluation.effectiveRubric.gradeLetter).toBeNull();
+    expect(['Pass', 'Fail']).toContain(evaluation.effectiveRubric.grade);
+  });
+});
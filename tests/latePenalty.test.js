@@ -0,0 +1,56 @@
+const {
+  applyLatePenalty,
+  latePenaltyForSubmission,
+  normalizePenaltyPercent
+} = require('../src/services/latePenalty.service');
+const { redactStudentMarks } = require('../src/services/assignmentAccessPolicy.service');
+
+describe('late submission penalty', () => {
+  test('on-time submissions keep their raw score', () => {
+    expect(applyLatePenalty({ score: 84, isLate: false, penaltyPercent: 10 })).toEqual({
+      isLate: false,
+      applied: false,
+      waived: false,
+      percent: 10,
+      rawScore: 84,
+      penaltyPoints: 0,
+      penalizedScore: 84
+    });
+  });
+
+  test('deducts a percentage of the maximum score and never goes below zero', () => {
+    expect(applyLatePenalty({ score: 84, isLate: true, penaltyPercent: 10 })).toMatchObject({
+      applied: true, rawScore: 84, penaltyPoints: 10, penalizedScore: 74
+    });
+    expect(applyLatePenalty({ score: 12, maxScore: 20, isLate: true, penaltyPercent: 25 })).toMatchObject({
+      penaltyPoints: 5, penalizedScore: 7
+    });
+    expect(applyLatePenalty({ score: 4, isLate: true, penaltyPercent: 50 })).toMatchObject({
+      penaltyPoints: 4, penalizedScore: 0
+    });
+  });
+
+  test('a teacher waiver keeps the raw score and reports the waiver', () => {
+    const result = latePenaltyForSubmission(
+      { isLate: true, latePenalty: { waived: true, waivedBy: 'teacher-1', waivedAt: new Date('2026-01-02') } },
+      { score: 90, penaltyPercent: 20 }
+    );
+    expect(result).toMatchObject({ applied: false, waived: true, penalizedScore: 90, waivedBy: 'teacher-1' });
+  });
+
+  test('missing scores and invalid percents are handled safely', () => {
+    expect(applyLatePenalty({ score: null, isLate: true, penaltyPercent: 10 })).toMatchObject({
+      applied: false, rawScore: null, penalizedScore: null
+    });
+    expect(normalizePenaltyPercent(undefined)).toBe(10);
+    expect(normalizePenaltyPercent(150)).toBe(100);
+    expect(normalizePenaltyPercent(-5)).toBe(0);
+  });
+
+  test('hidden marks also hide raw and penalized scores', () => {
+    const redacted = redactStudentMarks({
+      latePenalty: applyLatePenalty({ score: 80, isLate: true, penaltyPercent: 10 })
+    });
+    expect(redacted.latePenalty).toEqual({ isLate: true, applied: true, waived: false, percent: 10 });
+  });
+});
@@ -0,0 +1,115 @@
+const mockFind = jest.fn();
+const mockDeleteOne = jest.fn();
+const mockUpdateMany = jest.fn();
+const mockUserFindById = jest.fn();
+const mockRegisterStream = jest.fn();
+
+jest.mock('../src/models/notification.model', () => ({
+  find: mockFind,
+  deleteOne: mockDeleteOne,
+  updateMany: mockUpdateMany
+}));
+jest.mock('../src/models/user.model', () => ({ findById: mockUserFindById }));
+jest.mock('../src/services/sseToken.service', () => ({ consumeToken: jest.fn().mockResolvedValue('507f1f77bcf86cd799439011') }));
+jest.mock('../src/services/notificationRealtime.service', () => ({ registerStream: mockRegisterStream }));
+jest.mock('../src/services/notification.service', () => ({
+  NotificationPreferenceError: class NotificationPreferenceError extends Error {},
+  notificationReadExpiresAt: jest.fn((readAt) => new Date(readAt.getTime() + 1000)),
+  getNotificationPreferences: jest.fn(),
+  updateNotificationPreferences: jest.fn()
+}));
+
+const controller = require('../src/controllers/notification.controller');
+
+const userId = '507f1f77bcf86cd799439011';
+const response = () => {
+  const res = { statusCode: 200, body: null };
+  res.status = jest.fn((code) => { res.statusCode = code; return res; });
+  res.json = jest.fn((body) => { res.body = body; return res; });
+  return res;
+};
+const notification = (n) => ({ _id: `65a00000000000000000000${n}`, createdAt: new Date(Date.UTC(2026, 0, 10 - n)) });
+
+describe('notification housekeeping', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  test('lists by type with a keyset cursor for the next page', async () => {
+    const populate = jest.fn().mockResolvedValue([notification(1), notification(2), notification(3)]);
+    const limit = jest.fn(() => ({ populate }));
+    mockFind.mockReturnValue({ sort: jest.fn(() => ({ limit })) });
+
+    const res = response();
+    await controller.listMyNotifications({ user: { _id: userId }, query: { limit: '2', type: 'grades_released,student_joined' } }, res);
+
+    expect(mockFind.mock.calls[0][0]).toEqual({ recipient: userId, archivedAt: { $exists: false },
+      type: { $in: ['grades_released', 'student_joined'] } });
+    expect(limit).toHaveBeenCalledWith(3);
+    expect(res.body.data).toHaveLength(2);
+    expect(res.body.nextCursor).toEqual(expect.any(String));
+
+    await controller.listMyNotifications({ user: { _id: userId }, query: { cursor: res.body.nextCursor } }, response());
+    expect(mockFind.mock.calls[1][0].$or).toEqual([
+      { createdAt: { $lt: notification(2).createdAt } },
+      { createdAt: notification(2).createdAt, _id: { $lt: notification(2)._id } }
+    ]);
+
+    const bad = response();
+    await controller.listMyNotifications({ user: { _id: userId }, query: { cursor: 'garbage' } }, bad);
+    expect(bad.statusCode).toBe(400);
+  });
+
+  test('deletes only the caller\'s own notification', async () => {
+    mockDeleteOne.mockResolvedValueOnce({ deletedCount: 1 }).mockResolvedValueOnce({ deletedCount: 0 });
+    const ok = response();
+    await controller.deleteNotification({ user: { _id: userId }, params: { id: notification(1)._id } }, ok);
+    expect(mockDeleteOne).toHaveBeenCalledWith({ _id: notification(1)._id, recipient: userId });
+    expect(ok.body).toEqual({ success: true, data: { id: notification(1)._id, deleted: true } });
+
+    const missing = response();
+    await controller.deleteNotification({ user: { _id: userId }, params: { id: notification(2)._id } }, missing);
+    expect(missing.statusCode).toBe(404);
+  });
+
+  test('bulk archive marks unread items read so the read TTL applies', async () => {
+    mockUpdateMany.mockResolvedValueOnce({ modifiedCount: 2 }).mockResolvedValueOnce({ modifiedCount: 1 });
+    const res = response();
+    await controller.archiveNotifications({ user: { _id: userId }, body: { before: '2026-01-09T00:00:00Z' } }, res);
+
+    const [unreadFilter, unreadUpdate] = mockUpdateMany.mock.calls[0];
+    expect(unreadFilter).toMatchObject({ recipient: userId, readAt: { $exists: false },
+      createdAt: { $lte: new Date('2026-01-09T00:00:00Z') } });
+    expect(unreadUpdate.$set).toEqual({ archivedAt: expect.any(Date), readAt: expect.any(Date), expiresAt: expect.any(Date) });
+    expect(res.body.data.archivedCount).toBe(3);
+
+    const invalid = response();
+    await controller.archiveNotifications({ user: { _id: userId }, body: { ids: ['nope'] } }, invalid);
+    expect(invalid.statusCode).toBe(400);
+  });
+
+  test('the stream replays notifications after the last sequence id and keeps emitting ping events', async () => {
+    jest.useFakeTimers();
+    try {
+      mockUserFindById.mockResolvedValue({ _id: userId, isActive: true });
+      const populated = [{ _id: notification(1)._id, seq: 13 }, { _id: notification(2)._id, seq: 14 }];
+      const populate = jest.fn(() => ({ populate: jest.fn().mockResolvedValue(populated) }));
+      mockFind.mockReturnValue({ sort: jest.fn(() => ({ limit: jest.fn(() => ({ populate })) })) });
+
+      const res = { status: jest.fn(), setHeader: jest.fn(), write: jest.fn() };
+      const req = { query: { sseToken: 'token' }, headers: { 'last-event-id': '12' }, on: jest.fn() };
+      await controller.streamMyNotifications(req, res);
+
+      const { replay } = mockRegisterStream.mock.calls[0][0];
+      await expect(replay()).resolves.toEqual([
+        { id: '13', event: 'notification', payload: populated[0] },
+        { id: '14', event: 'notification', payload: populated[1] }
+      ]);
+      expect(mockFind).toHaveBeenCalledWith({ recipient: userId, seq: { $gt: 12 } });
+
+      jest.advanceTimersByTime(20000);
+      expect(res.write).toHaveBeenLastCalledWith('event: ping\ndata: {}\n\n');
+      req.on.mock.calls.find(([event]) => event === 'close')[1]();
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
@@ -0,0 +1,147 @@
+const mockUserFindById = jest.fn();
+const mockUserFind = jest.fn();
+const mockUserFindOneAndUpdate = jest.fn();
+const mockNotificationCreate = jest.fn();
+const mockNotificationFindById = jest.fn();
+const mockNotificationFind = jest.fn();
+const mockNotificationUpdateMany = jest.fn();
+const mockNotificationUpdateOne = jest.fn();
+const mockSendNotificationEmail = jest.fn();
+const mockSendDigest = jest.fn();
+const mockPublishToUser = jest.fn();
+
+jest.mock('../src/models/user.model', () => ({
+  findById: mockUserFindById,
+  find: mockUserFind,
+  findOneAndUpdate: mockUserFindOneAndUpdate,
+  findByIdAndUpdate: jest.fn(),
+  updateOne: jest.fn()
+}));
+jest.mock('../src/models/notification.model', () => ({
+  create: mockNotificationCreate,
+  findById: mockNotificationFindById,
+  find: mockNotificationFind,
+  distinct: jest.fn().mockResolvedValue(['507f1f77bcf86cd799439011', '507f1f77bcf86cd799439012']),
+  updateMany: mockNotificationUpdateMany,
+  updateOne: mockNotificationUpdateOne
+}));
+jest.mock('../src/services/email.service', () => ({
+  sendNotificationEmail: mockSendNotificationEmail,
+  sendNotificationDigestEmail: mockSendDigest
+}));
+jest.mock('../src/services/notificationRealtime.service', () => ({ publishToUser: mockPublishToUser }));
+jest.mock('../src/services/sequence.service', () => ({ nextSequence: jest.fn().mockResolvedValue(7) }));
+
+const {
+  backfillReadNotificationExpiry,
+  createNotification,
+  loadNotificationRecipients,
+  updateNotificationPreferences,
+  NotificationPreferenceError
+} = require('../src/services/notification.service');
+const { runNotificationDigest, currentDigestWindowStart } = require('../src/services/notificationDigest.service');
+
+const recipientId = '507f1f77bcf86cd799439011';
+const withPreferences = (notificationPreferences) => ({
+  select: () => ({ lean: jest.fn().mockResolvedValue({ email: 'teacher@example.com', notificationPreferences }) })
+});
+
+describe('notification preferences', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockNotificationCreate.mockResolvedValue({ _id: 'n1', title: 'Assignment submitted' });
+    const populated = { _id: 'n1' };
+    mockNotificationFindById.mockReturnValue({ populate: () => ({ populate: jest.fn().mockResolvedValue(populated) }) });
+  });
+
+  test('muted types are not created', async () => {
+    mockUserFindById.mockReturnValue(withPreferences({ student_joined: 'off' }));
+    await expect(createNotification({ recipientId, type: 'student_joined', title: 'Joined', description: 'x' }))
+      .resolves.toBeNull();
+    expect(mockNotificationCreate).not.toHaveBeenCalled();
+  });
+
+  test('email preference sends right away; digest preference waits for the digest', async () => {
+    mockUserFindById.mockReturnValue(withPreferences({ assignment_submitted: 'email' }));
+    mockSendNotificationEmail.mockResolvedValue({ success: true });
+    await createNotification({ recipientId, type: 'assignment_submitted', title: 'Assignment submitted', description: 'x' });
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(mockNotificationCreate).toHaveBeenCalledWith(expect.objectContaining({ emailDelivery: 'immediate' }));
+    expect(mockSendNotificationEmail).toHaveBeenCalledWith(expect.objectContaining({ to: 'teacher@example.com' }));
+
+    mockUserFindById.mockReturnValue(withPreferences({ grades_released: 'digest' }));
+    await createNotification({ recipientId, type: 'grades_released', title: 'Grades released', description: 'x' });
+    expect(mockNotificationCreate).toHaveBeenLastCalledWith(expect.objectContaining({ emailDelivery: 'digest' }));
+    expect(mockSendNotificationEmail).toHaveBeenCalledTimes(1);
+  });
+
+  test('notifications take the next sequence as their SSE event id', async () => {
+    mockUserFindById.mockReturnValue(withPreferences({}));
+    mockNotificationCreate.mockImplementation(async (doc) => ({ _id: 'n1', ...doc }));
+    await createNotification({ recipientId, type: 'student_joined', title: 'Joined', description: 'x' });
+    expect(mockNotificationCreate).toHaveBeenCalledWith(expect.objectContaining({ seq: 7 }));
+    expect(mockPublishToUser).toHaveBeenCalledWith(expect.objectContaining({ id: 7, event: 'notification' }));
+  });
+
+  test('bulk senders load every recipient once and pass the preferences in', async () => {
+    mockUserFind.mockReturnValue({ select: () => ({ lean: jest.fn().mockResolvedValue([
+      { _id: recipientId, email: 'teacher@example.com', notificationPreferences: { grades_released: 'off' } }
+    ]) }) });
+    const recipients = await loadNotificationRecipients([recipientId, recipientId, 'not-an-id']);
+    expect(mockUserFind).toHaveBeenCalledWith({ _id: { $in: [recipientId] } });
+
+    await expect(createNotification({ recipientId, recipient: recipients.get(recipientId), type: 'grades_released',
+      title: 'Grades released', description: 'x' })).resolves.toBeNull();
+    expect(mockUserFindById).not.toHaveBeenCalled();
+  });
+
+  test('unknown types and channels are rejected', async () => {
+    await expect(updateNotificationPreferences(recipientId, { grades_released: 'sms' }))
+      .rejects.toMatchObject({ statusCode: 400, code: 'INVALID_CHANNEL' });
+    await expect(updateNotificationPreferences(recipientId, { party: 'email' }))
+      .rejects.toBeInstanceOf(NotificationPreferenceError);
+  });
+
+  test('the digest batches unread notifications into one email per claimed recipient', async () => {
+    const now = new Date('2026-05-04T09:00:00Z');
+    expect(currentDigestWindowStart(now, 7)).toEqual(new Date('2026-05-04T07:00:00Z'));
+    expect(currentDigestWindowStart(new Date('2026-05-04T05:00:00Z'), 7)).toEqual(new Date('2026-05-03T07:00:00Z'));
+
+    // The second recipient was already claimed by another instance this window.
+    mockUserFindOneAndUpdate
+      .mockReturnValueOnce({ select: () => ({ lean: jest.fn().mockResolvedValue({ email: 'a@example.com', displayName: 'Ana' }) }) })
+      .mockReturnValueOnce({ select: () => ({ lean: jest.fn().mockResolvedValue(null) }) });
+    mockNotificationFind.mockReturnValue({ sort: () => ({ limit: () => ({ lean: jest.fn().mockResolvedValue([
+      { _id: 'n1', title: 'Grades released', description: 'Essay 1' },
+      { _id: 'n2', title: 'Grades released', description: 'Essay 2' }
+    ]) }) }) });
+    mockSendDigest.mockResolvedValue({ success: true });
+
+    await expect(runNotificationDigest({ now })).resolves.toEqual({ recipients: 1, notifications: 2, failed: 0 });
+    expect(mockSendDigest).toHaveBeenCalledTimes(1);
+    expect(mockSendDigest.mock.calls[0][0].notifications).toHaveLength(2);
+    expect(mockNotificationUpdateMany).toHaveBeenCalledWith({ _id: { $in: ['n1', 'n2'] } }, { $set: { emailedAt: now } });
+  });
+
+  test('read notifications stored without an expiry are backfilled from their readAt', async () => {
+    const previousTtl = process.env.NOTIFICATION_READ_TTL_DAYS;
+    try {
+      process.env.NOTIFICATION_READ_TTL_DAYS = '30';
+      mockNotificationUpdateMany.mockResolvedValue({ modifiedCount: 4 });
+      await expect(backfillReadNotificationExpiry()).resolves.toBe(4);
+      expect(mockNotificationUpdateMany).toHaveBeenCalledWith(
+        { readAt: { $type: 'date' }, expiresAt: null },
+        [{ $set: { expiresAt: { $add: ['$readAt', 30 * 24 * 60 * 60 * 1000] } } }],
+        { updatePipeline: true }
+      );
+
+      mockNotificationUpdateMany.mockClear();
+      process.env.NOTIFICATION_READ_TTL_DAYS = '0';
+      await expect(backfillReadNotificationExpiry()).resolves.toBe(0);
+      expect(mockNotificationUpdateMany).not.toHaveBeenCalled();
+    } finally {
+      if (previousTtl === undefined) delete process.env.NOTIFICATION_READ_TTL_DAYS;
+      else process.env.NOTIFICATION_READ_TTL_DAYS = previousTtl;
+    }
+  });
+});
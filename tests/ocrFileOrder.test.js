@@ -70,9 +70,11 @@ describe('OCR authoritative upload order', () => {
         if (update?.$set) Object.assign(targetDoc, update.$set); return { matchedCount: 1, modifiedCount: 1 };
       }) }, toObject() { const { constructor, toObject, ...values } = this; return values; } };
     const before = pipeline.generateAndPersist.mock.calls.length;
-    const resultValue = await runOcrAndPersistForFiles({ fileIds: ['bad'], targetDoc, jobId: 'job-bad' });
+    const onProgress = jest.fn();
+    const resultValue = await runOcrAndPersistForFiles({ fileIds: ['bad'], targetDoc, jobId: 'job-bad', onProgress });
     expect(resultValue).toMatchObject({ ocrStatus: 'failed' });
     expect(targetDoc.ocrError).toContain('OCR_READING_ORDER_UNRELIABLE');
+    expect(onProgress).toHaveBeenCalledWith({ ocrStatus: 'failed', ocrError: targetDoc.ocrError });
     expect(pipeline.generateAndPersist).toHaveBeenCalledTimes(before);
   });
 });
@@ -0,0 +1,183 @@
+const mockOrganization = {
+  findById: jest.fn(),
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn()
+};
+const mockMember = {
+  findOne: jest.fn(),
+  find: jest.fn(),
+  create: jest.fn(),
+  updateOne: jest.fn(),
+  exists: jest.fn()
+};
+const mockInvitationFindOne = jest.fn();
+const mockPlanFindOne = jest.fn();
+const mockPlanFindById = jest.fn();
+const mockUserUpdateOne = jest.fn();
+const mockLedgerAggregate = jest.fn();
+const mockCreateNotification = jest.fn();
+
+jest.mock('../src/models/Organization', () => mockOrganization);
+jest.mock('../src/models/OrganizationMember', () => mockMember);
+jest.mock('../src/models/OrganizationInvitation', () => ({ findOne: mockInvitationFindOne }));
+jest.mock('../src/models/Plan', () => ({ findOne: mockPlanFindOne, findById: mockPlanFindById }));
+jest.mock('../src/models/user.model', () => ({ updateOne: mockUserUpdateOne, findOne: jest.fn(), findById: jest.fn() }));
+jest.mock('../src/models/UsageLedgerEntry', () => ({
+  aggregate: mockLedgerAggregate,
+  USAGE_METRICS: ['assignments', 'submissions', 'aiFlashcards', 'aiWorksheets', 'adaptiveLearning']
+}));
+jest.mock('../src/services/email.service', () => ({ sendOrganizationInvitationEmail: jest.fn() }));
+jest.mock('../src/services/notification.service', () => ({ createNotification: mockCreateNotification }));
+
+const { ensureActivePlan } = require('../src/middlewares/usage.middleware');
+const {
+  acceptInvitation,
+  assignSeat,
+  getOrganizationUsage,
+  syncOrganizationSubscription
+} = require('../src/services/organization.service');
+
+// Resolves like a Mongoose query, whatever is chained onto it.
+function query(value) {
+  const chain = {
+    select: () => chain,
+    sort: () => chain,
+    limit: () => chain,
+    populate: () => chain,
+    lean: () => chain,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  };
+  return chain;
+}
+
+const free = { _id: 'plan-free', name: 'Free', slug: 'free', isActive: true, features: { maxClasses: 1 } };
+const school = { _id: 'plan-school', name: 'School', slug: 'school', isActive: true,
+  features: { maxClasses: 20, essayAnalysesPerMonth: 500, aiWorksheetsLimit: null } };
+const organizationId = '64c000000000000000000001';
+const adminId = '64c0000000000000000000a1';
+const teacherId = '64c0000000000000000000b1';
+const memberId = '64c0000000000000000000c1';
+
+function organization(overrides = {}) {
+  return { _id: organizationId, name: 'Riverside High', plan: school._id, seats: 2, seatsAssigned: 1,
+    subscriptionStatus: 'active', isActive: true, ...overrides };
+}
+
+describe('organization seats', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPlanFindOne.mockImplementation((filter) => query(
+      filter.slug === 'free' ? free : (filter._id === school._id ? school : null)));
+    mockPlanFindById.mockImplementation((id) => query(id === school._id ? school : null));
+    mockOrganization.findById.mockImplementation(() => query(organization()));
+    mockMember.findOne.mockImplementation((filter) => query(
+      String(filter.user) === adminId ? { _id: 'member-admin', organization: organizationId, user: adminId, role: 'admin', hasSeat: false } : null));
+  });
+
+  test('a seat resolves the organization plan until the subscription lapses', async () => {
+    const teacher = { _id: teacherId, role: 'teacher', organization: organizationId, plan: free._id, save: jest.fn() };
+    mockMember.findOne.mockImplementation(() => query({ organization: organizationId }));
+    expect(await ensureActivePlan(teacher)).toBe(school);
+    expect(teacher.plan).toBe(free._id);
+
+    mockOrganization.findById.mockImplementation(() => query(organization({ currentPeriodEnd: new Date(Date.now() - 1000) })));
+    mockPlanFindById.mockImplementation(() => Promise.resolve(free));
+    expect(await ensureActivePlan(teacher)).toBe(free);
+
+    const independent = { _id: 'teacher-2', role: 'teacher', plan: free._id, save: jest.fn() };
+    mockMember.findOne.mockClear();
+    await ensureActivePlan(independent);
+    expect(mockMember.findOne).not.toHaveBeenCalled();
+  });
+
+  test('seats are claimed atomically and accepting without a free seat still joins', async () => {
+    const admin = { _id: adminId, role: 'teacher' };
+    mockMember.findOne.mockImplementation((filter) => query(filter._id === memberId
+      ? { _id: memberId, organization: organizationId, user: teacherId, hasSeat: false }
+      : { _id: 'member-admin', organization: organizationId, user: adminId, role: 'admin', hasSeat: false }));
+    mockOrganization.findOneAndUpdate.mockResolvedValueOnce(organization({ seatsAssigned: 2 }));
+    mockMember.updateOne.mockResolvedValueOnce({ modifiedCount: 1 });
+    expect(await assignSeat({ organizationId, memberId, user: admin })).toEqual({ memberId, hasSeat: true, seatsAssigned: 2, seats: 2 });
+    expect(mockOrganization.findOneAndUpdate).toHaveBeenCalledWith(
+      expect.objectContaining({ _id: organizationId, $expr: { $lt: ['$seatsAssigned', '$seats'] } }),
+      { $inc: { seatsAssigned: 1 } }, expect.anything());
+
+    mockOrganization.findOneAndUpdate.mockResolvedValueOnce(null);
+    await expect(assignSeat({ organizationId, memberId, user: admin }))
+      .rejects.toMatchObject({ statusCode: 409, code: 'NO_SEATS_AVAILABLE' });
+
+    const invitation = { _id: 'invite-1', organization: organizationId, email: 'teacher@school.test', role: 'teacher',
+      assignSeat: true, invitedBy: adminId, status: 'pending', expiresAt: new Date(Date.now() + 60000), save: jest.fn() };
+    mockInvitationFindOne.mockResolvedValue(invitation);
+    await expect(acceptInvitation({ token: 'a'.repeat(64), user: { _id: teacherId, role: 'teacher', email: 'other@school.test' } }))
+      .rejects.toMatchObject({ statusCode: 403, code: 'INVITATION_EMAIL_MISMATCH' });
+
+    mockOrganization.findOne.mockResolvedValue(organization({ seatsAssigned: 2 }));
+    mockMember.create.mockResolvedValue({ _id: memberId, role: 'teacher', hasSeat: false });
+    mockOrganization.findOneAndUpdate.mockResolvedValueOnce(null);
+    const user = { _id: teacherId, role: 'teacher', email: 'Teacher@School.test' };
+    expect(await acceptInvitation({ token: 'a'.repeat(64), user }))
+      .toEqual({ organizationId, memberId, role: 'teacher', seatAssigned: false });
+    expect(mockUserUpdateOne).toHaveBeenCalledWith({ _id: teacherId }, { $set: { organization: organizationId } });
+    expect(user.organization).toBe(organizationId);
+    expect(invitation.status).toBe('accepted');
+  });
+
+  test('usage is reported per seat holder and totalled for the school', async () => {
+    const now = new Date('2026-10-15T12:00:00Z');
+    mockMember.find.mockImplementation(() => query([
+      { _id: 'member-1', role: 'admin', hasSeat: true, user: { _id: '64c0000000000000000000d1', email: 'a@school.test', usage: { classes: 2, storageMB: 1.25 } } },
+      { _id: 'member-2', role: 'teacher', hasSeat: true, user: { _id: '64c0000000000000000000d2', email: 'b@school.test', usage: { classes: 3, students: 40 } } }
+    ]));
+    const periodStart = new Date('2026-10-01T00:00:00Z');
+    mockLedgerAggregate.mockResolvedValue([
+      { _id: { userId: '64c0000000000000000000d1', periodStart, metric: 'submissions' }, used: 12 },
+      { _id: { userId: '64c0000000000000000000d2', periodStart, metric: 'submissions' }, used: 5 },
+      { _id: { userId: '64c0000000000000000000d2', periodStart: new Date('2026-09-01T00:00:00Z'), metric: 'submissions' }, used: 99 },
+      { _id: { userId: '64c0000000000000000000d2', periodStart, metric: 'aiWorksheets' }, used: 2 }
+    ]);
+
+    const report = await getOrganizationUsage({ organizationId, user: { _id: adminId, role: 'teacher' }, now });
+    expect(report.totals).toMatchObject({ classes: 5, students: 40, storageMB: 1.25, submissions: 17, aiWorksheets: 2 });
+    expect(report.teachers.map((teacher) => teacher.usage.submissions)).toEqual([12, 5]);
+    expect(report.teachers[0].usagePeriod).toMatchObject({ start: periodStart, source: 'calendar' });
+    expect(report.limitsPerSeat).toMatchObject({ classes: 20, submissions: 500, aiWorksheets: null });
+    expect(report.organization).toMatchObject({ name: 'Riverside High', seats: 2, seatsAvailable: 1, entitled: true });
+
+    await expect(getOrganizationUsage({ organizationId, user: { _id: teacherId, role: 'teacher' }, now }))
+      .rejects.toMatchObject({ statusCode: 403, code: 'NOT_ORGANIZATION_ADMIN' });
+  });
+
+  test('a lower Stripe seat quantity releases the newest seats and tells the admins', async () => {
+    const stored = { ...organization({ seats: 3, seatsAssigned: 3, stripeCustomerId: 'cus_school', stripeSubscriptionId: 'sub_school' }),
+      save: jest.fn() };
+    mockOrganization.findById.mockResolvedValue(stored);
+    mockMember.find.mockImplementation((filter) => query(filter.role === 'admin'
+      ? [{ user: adminId }]
+      : [{ _id: 'member-newest', hasSeat: true }, { _id: 'member-older', hasSeat: true }]));
+    mockMember.updateOne.mockResolvedValue({ modifiedCount: 1 });
+    mockOrganization.updateOne.mockResolvedValue({ modifiedCount: 1 });
+
+    await syncOrganizationSubscription({ id: 'sub_school', customer: 'cus_school', status: 'active',
+      metadata: { organizationId }, items: { data: [{ quantity: 1 }] } });
+
+    expect(stored.seats).toBe(1);
+    expect(mockMember.updateOne).toHaveBeenCalledTimes(2);
+    expect(mockMember.updateOne).toHaveBeenCalledWith({ _id: 'member-newest', hasSeat: true },
+      { $set: { hasSeat: false, seatAssignedAt: null, seatAssignedBy: null } });
+    expect(mockOrganization.updateOne).toHaveBeenCalledWith({ _id: organizationId, seatsAssigned: { $gt: 0 } },
+      { $inc: { seatsAssigned: -1 } });
+    expect(mockCreateNotification).toHaveBeenCalledTimes(1);
+    expect(mockCreateNotification.mock.calls[0][0]).toMatchObject({ recipientId: adminId, type: 'billing_update',
+      data: { kind: 'seats_released', seats: 1, releasedMemberIds: ['member-newest', 'member-older'] } });
+
+    // Within the purchased quantity nothing is released.
+    jest.clearAllMocks();
+    mockOrganization.findById.mockResolvedValue({ ...stored, seats: 1, seatsAssigned: 1 });
+    await syncOrganizationSubscription({ id: 'sub_school', customer: 'cus_school', status: 'active',
+      metadata: { organizationId }, items: { data: [{ quantity: 2 }] } });
+    expect(mockMember.updateOne).not.toHaveBeenCalled();
+    expect(mockCreateNotification).not.toHaveBeenCalled();
+  });
+});
@@ -9,6 +9,7 @@ const Plan = require('../src/models/Plan');
 const User = require('../src/models/user.model');
 const Class = require('../src/models/class.model');
 const { ensureActivePlan, getLimit } = require('../src/middlewares/usage.middleware');
+const { chargeUsage } = require('../src/services/usageLedger.service');
 const { connectInMemoryMongo, disconnectInMemoryMongo, clearDatabase } = require('./helpers/testServer');
 const { seedTestPlans } = require('./helpers/seedTestPlans');
 const { signTestJwt } = require('./helpers/auth');
@@ -76,7 +77,7 @@ describe('canonical teacher plan entitlement resolution', () => {
     const free = await Plan.findOne({ slug: 'free' });
     const configuredLimit = free.features.essayAnalysesPerMonth;
     expect(getLimit(free, 'assignments')).toBe(configuredLimit);
-    await User.updateOne({ _id: teacher._id }, { $set: { 'usage.assignments': configuredLimit } });
+    await chargeUsage({ user: teacher, metric: 'assignments', amount: configuredLimit - 1 });
 
     const denied = await createAssignmentFor(teacher, 'denied');
     expect(denied.status).toBe(403);
@@ -92,8 +93,9 @@ describe('canonical teacher plan entitlement resolution', () => {
       stripeSubscriptionStatus: 'active',
       stripeCurrentPeriodStart: new Date(Date.now() - 86400000),
       stripeCurrentPeriodEnd: new Date(Date.now() + 86400000),
-      usage: { assignments: 25, submissions: 8 }
+      usage: { assignments: 3, submissions: 8 }
     });
+    await chargeUsage({ user: teacher, metric: 'assignments', amount: 25 });
 
     const subscription = await request(app)
       .get('/api/subscription/me')
@@ -101,6 +103,7 @@ describe('canonical teacher plan entitlement resolution', () => {
     expect(subscription.status).toBe(200);
     expect(subscription.body.data.plan.slug).toBe('starter_monthly');
     expect(subscription.body.data.usage.assignments).toBe(25);
+    expect(subscription.body.data.usagePeriod.start).toBe(teacher.stripeCurrentPeriodStart.toISOString());
 
     const assignment = await createAssignmentFor(teacher, 'starter');
     expect(assignment.status).toBe(200);
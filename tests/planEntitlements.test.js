@@ -0,0 +1,110 @@
+const mockPlanFind = jest.fn();
+const mockPlanFindOne = jest.fn();
+const mockPlanFindById = jest.fn();
+const mockUserFindById = jest.fn();
+const mockChargeUsage = jest.fn();
+const mockRefundUsage = jest.fn();
+
+jest.mock('../src/models/Plan', () => ({ find: mockPlanFind, findOne: mockPlanFindOne, findById: mockPlanFindById }));
+jest.mock('../src/models/user.model', () => ({ findById: mockUserFindById, updateOne: jest.fn() }));
+jest.mock('../src/services/usageLedger.service', () => ({
+  chargeUsage: mockChargeUsage,
+  refundUsage: mockRefundUsage,
+  getPeriodUsage: jest.fn(),
+  isPeriodicMetric: jest.fn(() => false)
+}));
+
+const {
+  PRIORITY_AI_JOB_PRIORITY,
+  aiJobPriorityForTeacher,
+  reserveAdaptiveGeneration
+} = require('../src/services/planEntitlement.service');
+const { requireAnalyticsAccess } = require('../src/middlewares/planFeature.middleware');
+
+const free = { _id: 'plan-free', name: 'Free', slug: 'free', price: 0, isActive: true, features: { adaptiveLearning: true, adaptiveLearningLimit: 5 } };
+const starter = { _id: 'plan-starter', name: 'Starter Monthly', slug: 'starter_monthly', price: 9.99, isActive: true,
+  features: { adaptiveLearning: true, adaptiveLearningLimit: 50, analyticsAccess: true } };
+const pro = { _id: 'plan-pro', name: 'Pro', slug: 'pro', price: 29, isActive: true,
+  features: { adaptiveLearning: true, adaptiveLearningLimit: null, analyticsAccess: true, priorityAIProcessing: true } };
+const plans = [pro, free, starter];
+
+function teacherOn(plan) {
+  return { _id: `teacher-${plan.slug}`, role: 'teacher', plan: plan._id, save: jest.fn() };
+}
+
+function mockResponse() {
+  return {
+    status: jest.fn(function status(code) { this.statusCode = code; return this; }),
+    json: jest.fn(function json(body) { this.body = body; return this; })
+  };
+}
+
+describe('plan feature entitlements', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPlanFindOne.mockResolvedValue(free);
+    mockPlanFindById.mockImplementation(async (id) => plans.find((plan) => plan._id === id) || null);
+    mockPlanFind.mockImplementation((filter) => ({
+      lean: async () => plans.filter((plan) => Object.entries(filter).every(([key, value]) =>
+        (key === 'isActive' ? plan.isActive : plan.features[key.replace('features.', '')]) === value))
+    }));
+  });
+
+  test('analytics endpoints answer 402 naming the cheapest plan that includes them', async () => {
+    const middleware = requireAnalyticsAccess();
+    const denied = mockResponse();
+    const next = jest.fn();
+    await middleware({ user: teacherOn(free) }, denied, next);
+    expect(next).not.toHaveBeenCalled();
+    expect(denied.statusCode).toBe(402);
+    expect(denied.body).toEqual({
+      success: false,
+      code: 'PLAN_UPGRADE_REQUIRED',
+      message: 'Analytics requires the Starter Monthly plan.',
+      requiredPlan: { name: 'Starter Monthly', slug: 'starter_monthly' }
+    });
+
+    const req = { user: teacherOn(starter) };
+    await middleware(req, mockResponse(), next);
+    expect(next).toHaveBeenCalled();
+    expect(req.entitlement.plan).toBe(starter);
+  });
+
+  test('report PDF exports sit behind the same analytics gate as the reports', () => {
+    const fs = require('fs');
+    const path = require('path');
+    const pdfSource = fs.readFileSync(path.join(__dirname, '../src/routes/pdf.routes.js'), 'utf8');
+
+    for (const route of ["'/worksheet-report/:worksheetId'", "'/flashcard-report/:setId'"]) {
+      const block = pdfSource.slice(pdfSource.indexOf(route), pdfSource.indexOf(');', pdfSource.indexOf(route)));
+      expect(block).toMatch(/requireRole\(\['teacher'\]\),\s*requireAnalyticsAccess\(\)/);
+    }
+  });
+
+  test('adaptive generations are charged against the limit and can be released', async () => {
+    const teacher = teacherOn(free);
+    mockChargeUsage.mockResolvedValueOnce({ _id: 'charge-1' });
+    const release = await reserveAdaptiveGeneration({ teacher, plan: free });
+    expect(mockChargeUsage).toHaveBeenCalledWith(expect.objectContaining({ user: teacher, metric: 'adaptiveLearning', limit: 5 }));
+    await release();
+    expect(mockRefundUsage).toHaveBeenCalledWith(expect.objectContaining({ entry: { _id: 'charge-1' } }));
+
+    mockChargeUsage.mockResolvedValueOnce(null);
+    await expect(reserveAdaptiveGeneration({ teacher, plan: free })).rejects.toMatchObject({
+      statusCode: 402,
+      code: 'PLAN_LIMIT_REACHED',
+      message: 'All 5 Adaptive Learning sessions in this billing period are used. The Starter Monthly plan includes more.',
+      requiredPlan: { slug: 'starter_monthly' }
+    });
+
+    await expect(reserveAdaptiveGeneration({ teacher, plan: { name: 'Legacy', features: {} } }))
+      .rejects.toMatchObject({ statusCode: 402, code: 'PLAN_UPGRADE_REQUIRED', message: 'Adaptive Learning requires the Free plan.' });
+  });
+
+  test('priorityAIProcessing raises the analysis queue priority', async () => {
+    mockUserFindById.mockImplementation(async (id) => [teacherOn(pro), teacherOn(starter)].find((user) => user._id === id) || null);
+    expect(await aiJobPriorityForTeacher('teacher-pro')).toBe(PRIORITY_AI_JOB_PRIORITY);
+    expect(await aiJobPriorityForTeacher('teacher-starter_monthly')).toBe(0);
+    expect(await aiJobPriorityForTeacher(null)).toBe(0);
+  });
+});
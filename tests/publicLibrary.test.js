@@ -0,0 +1,95 @@
+const mockSetAggregate = jest.fn();
+const mockSetFindOne = jest.fn();
+const mockSetCreate = jest.fn();
+const mockSetUpdateOne = jest.fn();
+const mockWorksheetFindOne = jest.fn();
+const mockUserFind = jest.fn();
+
+jest.mock('../src/models/FlashcardSet', () => ({
+  aggregate: mockSetAggregate,
+  findOne: mockSetFindOne,
+  create: mockSetCreate,
+  updateOne: mockSetUpdateOne
+}));
+jest.mock('../src/models/Worksheet', () => ({ findOne: mockWorksheetFindOne }));
+jest.mock('../src/models/user.model', () => ({ find: mockUserFind }));
+jest.mock('../src/models/Folder', () => ({ findOne: jest.fn() }));
+
+const { cloneLibraryItem, getLibraryItem, searchLibrary } = require('../src/services/library.service');
+
+const authorId = '507f1f77bcf86cd799439001';
+const teacherId = '507f1f77bcf86cd799439002';
+const sourceId = '507f1f77bcf86cd799439011';
+
+function lean(value) {
+  return { lean: jest.fn().mockResolvedValue(value) };
+}
+
+describe('public library', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockUserFind.mockReturnValue({ select: () => lean([{ _id: authorId, displayName: 'Ms Rivera' }]) });
+  });
+
+  test('search combines full text, facet filters and clone-count ranking', async () => {
+    mockSetAggregate.mockResolvedValue([{
+      items: [{ _id: sourceId, title: 'Irregular verbs', cardCount: 40, cloneCount: 12, ownerId: authorId }],
+      total: [{ count: 1 }],
+      subject: [{ _id: 'ESL', count: 1 }],
+      cefrLevel: [{ _id: 'B1', count: 1 }],
+      language: [],
+      template: [{ _id: 'term-def', count: 1 }]
+    }]);
+
+    const result = await searchLibrary({ q: ' verbs ', cefrLevel: 'A2,B1', language: 'English', sort: 'popular', limit: '500' });
+    const [match, facet] = mockSetAggregate.mock.calls[0][0];
+    expect(match.$match).toEqual({ isPublic: true, visibility: 'public', $text: { $search: 'verbs' },
+      cefrLevel: { $in: ['A2', 'B1'] }, language: 'English' });
+    expect(facet.$facet.items[0].$sort).toEqual({ cloneCount: -1, updatedAt: -1, _id: 1 });
+    expect(facet.$facet.items[2].$limit).toBe(50);
+
+    expect(result.items).toEqual([{ _id: sourceId, title: 'Irregular verbs', cardCount: 40, cloneCount: 12,
+      author: { _id: authorId, name: 'Ms Rivera' } }]);
+    expect(result.facets.cefrLevel).toEqual([{ value: 'B1', count: 1 }]);
+    expect(result.pagination).toEqual({ total: 1, page: 1, limit: 50, pages: 1 });
+
+    await expect(searchLibrary({ type: 'rubrics' })).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('cloning copies the set privately, extends the attribution chain and counts the clone', async () => {
+    const earlier = { sourceId: '507f1f77bcf86cd799439010', title: 'Verbs v1', authorName: 'Mr Okafor' };
+    mockSetFindOne.mockReturnValue(lean({
+      _id: sourceId, ownerId: authorId, title: 'Irregular verbs', isPublic: true, shareToken: 'tok',
+      visibility: 'public', cloneCount: 12, folderId: 'their-folder', assignedClasses: ['c1'],
+      attribution: [earlier], cards: [{ _id: 'card1', front: 'go', back: 'went' }]
+    }));
+    mockSetCreate.mockImplementation(async (doc) => ({ _id: 'copy', ...doc }));
+
+    const copy = await cloneLibraryItem({ type: 'flashcards', id: sourceId, userId: teacherId });
+    const payload = mockSetCreate.mock.calls[0][0];
+    expect(payload).toMatchObject({ ownerId: teacherId, sourceId, isPublic: false, cloneCount: 0, folderId: null,
+      assignedClasses: [], cards: [{ front: 'go', back: 'went' }] });
+    expect(payload).not.toHaveProperty('shareToken');
+    expect(payload.cards[0]).not.toHaveProperty('_id');
+    expect(copy.attribution).toEqual([earlier,
+      expect.objectContaining({ sourceId, title: 'Irregular verbs', authorId, authorName: 'Ms Rivera' })]);
+    expect(mockSetUpdateOne).toHaveBeenCalledWith({ _id: sourceId }, { $inc: { cloneCount: 1 } });
+
+    mockSetFindOne.mockReturnValue(lean({ _id: sourceId, ownerId: teacherId, title: 'Mine', cards: [] }));
+    await cloneLibraryItem({ type: 'flashcards', id: sourceId, userId: teacherId });
+    expect(mockSetUpdateOne).toHaveBeenCalledTimes(1);
+  });
+
+  test('worksheet previews list activities without their answer data', async () => {
+    mockWorksheetFindOne.mockReturnValue(lean({
+      _id: sourceId, createdBy: authorId, title: 'Past simple', isPublic: true, answerKey: { a1: ['went'] },
+      activities: [{ type: 'fill_blanks', title: 'Gaps', instructions: 'Fill in', order: 0, data: { answers: ['went'] } }]
+    }));
+
+    const preview = await getLibraryItem({ type: 'worksheets', id: sourceId });
+    expect(mockWorksheetFindOne).toHaveBeenCalledWith({ _id: sourceId, isPublic: true });
+    expect(preview.activities).toEqual([{ type: 'fill_blanks', title: 'Gaps', instructions: 'Fill in', order: 0 }]);
+    expect(preview).not.toHaveProperty('answerKey');
+    expect(preview.author).toEqual({ _id: authorId, name: 'Ms Rivera' });
+  });
+});
@@ -0,0 +1,103 @@
+const { createMongoBus, setRealtimeBus } = require('../src/services/realtimeBus.service');
+const { registerStream, publishToUser } = require('../src/services/notificationRealtime.service');
+const sseToken = require('../src/services/sseToken.service');
+
+const stream = () => ({ write: jest.fn(), on: jest.fn() });
+
+describe('multi-instance SSE fan-out', () => {
+  test('publishes to the bus and delivers messages from other instances to local streams', async () => {
+    const handlers = [];
+    const bus = { publish: jest.fn().mockResolvedValue(), subscribe: jest.fn((handler) => handlers.push(handler)) };
+    setRealtimeBus(bus);
+
+    const local = stream();
+    registerStream({ userId: 'teacher-1', res: local });
+    publishToUser({ userId: 'teacher-1', event: 'notification', payload: { _id: 'n1', createdAt: new Date(0) } });
+
+    expect(local.write).toHaveBeenCalledWith(expect.stringContaining('event: notification'));
+    expect(bus.publish).toHaveBeenCalledWith({ userId: 'teacher-1', event: 'notification',
+      payload: { _id: 'n1', createdAt: '1970-01-01T00:00:00.000Z' } });
+
+    handlers[0]({ userId: 'teacher-1', event: 'student_joined', payload: { classId: 'c1' } });
+    expect(local.write).toHaveBeenLastCalledWith('event: student_joined\ndata: {"classId":"c1"}\n\n');
+  });
+
+  test('the MongoDB bus tails the capped collection from the latest sequence and skips its own messages', async () => {
+    const docs = [
+      { _id: 'e1', seq: 41, origin: 'instance-a', userId: 'u1', event: 'notification', payload: { n: 1 } },
+      { _id: 'e2', seq: 42, origin: 'instance-b', userId: 'u1', event: 'notification', payload: { n: 2 } },
+      { _id: 'e3', seq: 42, origin: 'instance-b', userId: 'u1', event: 'notification', payload: { n: 2 } }
+    ];
+    const find = jest.fn((filter, options) => (options.tailable
+      ? { async *[Symbol.asyncIterator]() { yield* docs; }, close: jest.fn().mockResolvedValue() }
+      : { toArray: jest.fn().mockResolvedValue([{ seq: 40 }]) }));
+    const model = {
+      create: jest.fn().mockResolvedValue({}),
+      createCollection: jest.fn().mockResolvedValue({}),
+      collection: { find }
+    };
+    const bus = createMongoBus({ model, origin: 'instance-a', tailRetryDelayMs: 5, nextSeq: jest.fn().mockResolvedValue(43) });
+    const received = [];
+    bus.subscribe((message) => received.push(message));
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    await bus.close();
+
+    expect(find).toHaveBeenCalledWith({}, expect.objectContaining({ sort: { $natural: -1 }, limit: 1 }));
+    expect(find).toHaveBeenNthCalledWith(2, { seq: { $gt: -10 } }, { tailable: true, awaitData: true });
+    // The reconnect resumes from the last sequence seen, not from a timestamp.
+    expect(find).toHaveBeenCalledWith({ seq: { $gt: -8 } }, { tailable: true, awaitData: true });
+    expect(received).toEqual([{ id: undefined, userId: 'u1', event: 'notification', payload: { n: 2 } }]);
+
+    await bus.publish({ userId: 'u2', event: 'ping', payload: null });
+    expect(model.create).toHaveBeenCalledWith({ seq: 43, origin: 'instance-a', eventId: undefined, userId: 'u2', event: 'ping', payload: null });
+  });
+
+  test('shared SSE tokens are stored hashed and consumed once', async () => {
+    const saved = [];
+    const model = {
+      create: jest.fn(async (doc) => saved.push(doc)),
+      findOneAndDelete: jest.fn(({ tokenHash }) => ({
+        lean: async () => {
+          const index = saved.findIndex((doc) => doc.tokenHash === tokenHash);
+          return index === -1 ? null : saved.splice(index, 1)[0];
+        }
+      }))
+    };
+    sseToken.setTokenStore(sseToken.createMongoTokenStore({ model }));
+
+    const token = await sseToken.issueToken('507f1f77bcf86cd799439011');
+    expect(saved[0].tokenHash).not.toBe(token);
+    await expect(sseToken.consumeToken(token)).resolves.toBe('507f1f77bcf86cd799439011');
+    await expect(sseToken.consumeToken(token)).resolves.toBeNull();
+  });
+});
+
+describe('SSE replay after reconnect', () => {
+  beforeEach(() => setRealtimeBus({ publish: jest.fn().mockResolvedValue(), subscribe: jest.fn() }));
+
+  test('messages carry their notification sequence as the SSE event id', () => {
+    const res = stream();
+    registerStream({ userId: 'student-9', res });
+    publishToUser({ id: 42, userId: 'student-9', event: 'notification', payload: { ok: true } });
+    expect(res.write).toHaveBeenCalledWith('id: 42\nevent: notification\ndata: {"ok":true}\n\n');
+  });
+
+  test('missed notifications replay first and live ones arriving meanwhile are not repeated', async () => {
+    const res = stream();
+    let finishReplay;
+    const registered = registerStream({ userId: 'student-7', res,
+      replay: () => new Promise((resolve) => { finishReplay = resolve; }) });
+
+    publishToUser({ id: 'n3', userId: 'student-7', event: 'notification', payload: { n: 3 } });
+    publishToUser({ id: 'n4', userId: 'student-7', event: 'notification', payload: { n: 4 } });
+    expect(res.write).not.toHaveBeenCalled();
+
+    finishReplay([
+      { id: 'n2', event: 'notification', payload: { n: 2 } },
+      { id: 'n3', event: 'notification', payload: { n: 3 } }
+    ]);
+    await registered;
+
+    expect(res.write.mock.calls.map(([chunk]) => chunk.split('\n')[0])).toEqual(['id: n2', 'id: n3', 'id: n4']);
+  });
+});
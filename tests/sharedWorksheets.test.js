@@ -0,0 +1,130 @@
+const mockWorksheetFindOne = jest.fn();
+const mockAttemptCreate = jest.fn();
+const mockAttemptAggregate = jest.fn();
+
+jest.mock('../src/models/Worksheet', () => ({ findOne: mockWorksheetFindOne }));
+jest.mock('../src/models/WorksheetGuestAttempt', () => ({
+  create: mockAttemptCreate,
+  aggregate: mockAttemptAggregate
+}));
+
+const {
+  getGuestAttemptSummary,
+  getSharedWorksheet,
+  submitGuestAttempt
+} = require('../src/services/sharedWorksheet.service');
+
+const ownerId = '507f1f77bcf86cd799439001';
+const worksheetId = '507f1f77bcf86cd799439011';
+
+const worksheet = {
+  _id: worksheetId,
+  createdBy: ownerId,
+  shareToken: 'a1b2c3',
+  title: 'Past simple',
+  answerKey: { activity_0: ['went'] },
+  activities: [
+    {
+      type: 'multipleChoice', title: 'Quiz', instructions: 'Pick one', order: 0,
+      data: { questions: [
+        { id: 'q1', text: 'go ->', options: ['goed', 'went'], correctAnswer: 'went', explanation: 'irregular' },
+        { id: 'q2', text: 'see ->', options: ['saw', 'seed'], correctAnswer: 'saw' }
+      ] }
+    },
+    {
+      type: 'matching', title: 'Match', instructions: 'Match them', order: 1,
+      data: { pairs: [
+        { id: 'p1', leftItem: { text: 'eat' }, rightItem: { id: 'p1', text: 'ate' } },
+        { id: 'p2', leftItem: { text: 'run' }, rightItem: { id: 'p2', text: 'ran' } }
+      ] }
+    },
+    {
+      type: 'crossword', title: 'Grid', instructions: 'Solve', order: 2,
+      data: { words: [{ word: 'WENT', clue: 'past of go', direction: 'across', row: 0, col: 0 }] }
+    }
+  ]
+};
+
+function lean(value) {
+  return { lean: jest.fn().mockResolvedValue(value) };
+}
+
+describe('shared worksheets', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  test('the student view strips the answer key and every answer-bearing field', async () => {
+    mockWorksheetFindOne.mockReturnValue(lean(worksheet));
+
+    const view = await getSharedWorksheet('a1b2c3');
+    expect(mockWorksheetFindOne).toHaveBeenCalledWith({ shareToken: 'a1b2c3' });
+    expect(view).not.toHaveProperty('answerKey');
+    expect(view).not.toHaveProperty('createdBy');
+    expect(JSON.stringify(view)).not.toMatch(/correct|explanation|WENT/);
+
+    const [quiz, match, grid] = view.activities;
+    expect(quiz).toMatchObject({ sectionId: 'activity_0', type: 'multipleChoice' });
+    expect(quiz.data.questions[0]).toEqual({ id: 'q1', text: 'go ->', options: ['goed', 'went'] });
+    expect(match.data.pairs).toEqual([{ id: 'p1', leftItem: { text: 'eat' } }, { id: 'p2', leftItem: { text: 'run' } }]);
+    expect(match.data.rightOptions.map((o) => o.text).sort()).toEqual(['ate', 'ran']);
+    expect(match.data.rightOptions[0]).not.toHaveProperty('id');
+    expect(grid.data.words).toEqual([{ number: 1, clue: 'past of go', direction: 'across', row: 0, col: 0, length: 4 }]);
+
+    mockWorksheetFindOne.mockReturnValue(lean(null));
+    await expect(getSharedWorksheet('revoked')).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  test('guest attempts are graded server-side against every gradable question', async () => {
+    mockWorksheetFindOne.mockReturnValue(lean(worksheet));
+    mockAttemptCreate.mockImplementation(async (doc) => ({ _id: 'attempt1', ...doc }));
+
+    const result = await submitGuestAttempt('a1b2c3', {
+      guestName: '  Sam  ',
+      timeTaken: 95.4,
+      answers: [
+        { sectionId: 'activity_0', questionId: 'q1', studentAnswer: 'goed' },
+        { sectionId: 'activity_0', questionId: 'q1', studentAnswer: 'went' },
+        { sectionId: 'activity_0', questionId: 'q2', studentAnswer: 'seed', isCorrect: true },
+        { sectionId: 'bogus', questionId: 'x', studentAnswer: 'y', isCorrect: true }
+      ]
+    });
+
+    expect(result).toMatchObject({ attemptId: 'attempt1', earnedPoints: 1, totalPoints: 4, score: 25, isPassed: false });
+    expect(result.results).toEqual([
+      { sectionId: 'activity_0', questionId: 'q1', isCorrect: true },
+      { sectionId: 'activity_0', questionId: 'q2', isCorrect: false },
+      { sectionId: 'bogus', questionId: 'x', isCorrect: false }
+    ]);
+    expect(JSON.stringify(result)).not.toMatch(/saw/);
+    expect(mockAttemptCreate.mock.calls[0][0]).toMatchObject({
+      worksheetId, ownerId, shareToken: 'a1b2c3', guestName: 'Sam', timeTaken: 95
+    });
+
+    await expect(submitGuestAttempt('a1b2c3', { answers: [] })).rejects.toMatchObject({ statusCode: 400, code: 'NO_ANSWERS' });
+  });
+
+  test('the owner summary aggregates attempts and lists the most-missed questions first', async () => {
+    mockWorksheetFindOne.mockReturnValue({ select: () => lean({ _id: worksheetId, title: 'Past simple', shareToken: 'a1b2c3' }) });
+    mockAttemptAggregate.mockResolvedValue([{
+      overall: [{ attempts: 4, averageScore: 62.5, bestScore: 100, passed: 3, averageTimeTaken: 80.6, lastAttemptAt: 'now' }],
+      sections: [{ _id: 'activity3', sectionName: 'Multiple Choice', activityType: 'multipleChoice', attempts: 4, averageScore: 62.5 }],
+      questions: [
+        { _id: { sectionId: 'activity_0', questionId: 'q1' }, attempts: 4, correct: 4 },
+        { _id: { sectionId: 'activity_0', questionId: 'q2' }, attempts: 4, correct: 1 }
+      ],
+      recent: [{ _id: 'a4', guestName: '', score: 50 }]
+    }]);
+
+    const summary = await getGuestAttemptSummary({ ownerId, worksheetId, limit: '500' });
+    expect(mockWorksheetFindOne).toHaveBeenCalledWith({ _id: worksheetId, createdBy: ownerId });
+    const [match, facet] = mockAttemptAggregate.mock.calls[0][0];
+    expect(String(match.$match.worksheetId)).toBe(worksheetId);
+    expect(facet.$facet.recent[1].$limit).toBe(100);
+
+    expect(summary).toMatchObject({ isShared: true, attempts: 4, averageScore: 62.5, passRate: 75, averageTimeTaken: 81 });
+    expect(summary.questions.map((q) => [q.questionId, q.correctRate])).toEqual([['q2', 25], ['q1', 100]]);
+    expect(summary.recentAttempts).toEqual([{ _id: 'a4', guestName: 'Guest', score: 50 }]);
+
+    mockWorksheetFindOne.mockReturnValue({ select: () => lean(null) });
+    await expect(getGuestAttemptSummary({ ownerId, worksheetId })).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
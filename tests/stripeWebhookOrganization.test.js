@@ -0,0 +1,78 @@
+const mockConstructEvent = jest.fn();
+const mockRetrieveSubscription = jest.fn();
+const mockSyncSubscription = jest.fn();
+const mockSyncOrganizationSubscription = jest.fn();
+const mockNotifyOrganizationAdmins = jest.fn();
+const mockCreateNotification = jest.fn();
+
+jest.mock('../src/models/StripeEvent', () => ({ create: jest.fn(), deleteOne: jest.fn() }));
+jest.mock('../src/models/user.model', () => ({ findOneAndUpdate: jest.fn() }));
+jest.mock('../src/services/stripe.service', () => ({
+  getStripe: () => ({ webhooks: { constructEvent: mockConstructEvent }, subscriptions: { retrieve: mockRetrieveSubscription } })
+}));
+jest.mock('../src/services/notification.service', () => ({ createNotification: mockCreateNotification }));
+jest.mock('../src/services/billingInvoice.service', () => ({
+  ...jest.requireActual('../src/services/billingInvoice.service'),
+  recordInvoiceEvent: jest.fn()
+}));
+jest.mock('../src/services/organization.service', () => ({
+  syncOrganizationSubscription: mockSyncOrganizationSubscription,
+  notifyOrganizationAdmins: mockNotifyOrganizationAdmins
+}));
+jest.mock('../src/services/stripeSubscription.service', () => ({
+  ...jest.requireActual('../src/services/stripeSubscription.service'),
+  syncSubscription: mockSyncSubscription
+}));
+
+const { stripeWebhook } = require('../src/controllers/stripeWebhook.controller');
+
+const organizationSubscription = { id: 'sub_school', customer: 'cus_school', status: 'past_due',
+  trial_end: 1793577600, metadata: { organizationId: '64c000000000000000000001' } };
+const organization = { _id: '64c000000000000000000001', subscriptionStatus: 'past_due' };
+
+function response() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(value) { this.body = value; return this; },
+    send(value) { this.body = value; return this; }
+  };
+}
+
+async function deliver(type, object) {
+  mockConstructEvent.mockReturnValue({ id: `evt_${type}`, type, data: { object } });
+  const res = response();
+  await stripeWebhook({ headers: { 'stripe-signature': 'sig' }, body: Buffer.from('{}') }, res);
+  return res;
+}
+
+describe('organization billing webhooks', () => {
+  beforeAll(() => {
+    process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test';
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockRetrieveSubscription.mockResolvedValue(organizationSubscription);
+    mockSyncOrganizationSubscription.mockResolvedValue(organization);
+  });
+
+  test('trial and payment events sync the organization and tell its admins', async () => {
+    expect((await deliver('customer.subscription.trial_will_end', organizationSubscription)).body).toEqual({ received: true });
+    expect(mockSyncOrganizationSubscription).toHaveBeenLastCalledWith(organizationSubscription);
+    expect(mockNotifyOrganizationAdmins).toHaveBeenLastCalledWith(organization, expect.objectContaining({ kind: 'trial_will_end' }));
+
+    const invoice = { id: 'in_school', customer: 'cus_school', status: 'open', hosted_invoice_url: 'https://invoice.stripe.test/school',
+      parent: { subscription_details: { subscription: 'sub_school' } } };
+    for (const [type, kind] of [['invoice.payment_failed', 'payment_failed'], ['invoice.payment_action_required', 'payment_action_required']]) {
+      expect((await deliver(type, invoice)).body).toEqual({ received: true });
+      expect(mockNotifyOrganizationAdmins).toHaveBeenLastCalledWith(organization, expect.objectContaining({
+        kind, data: { invoiceId: 'in_school', hostedInvoiceUrl: 'https://invoice.stripe.test/school' }
+      }));
+    }
+    expect(mockSyncOrganizationSubscription).toHaveBeenCalledTimes(3);
+    expect(mockSyncSubscription).not.toHaveBeenCalled();
+    expect(mockCreateNotification).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,56 @@
+const mockPublishToUser = jest.fn();
+
+jest.mock('../src/services/notificationRealtime.service', () => ({ publishToUser: mockPublishToUser }));
+
+const {
+  buildProgressEvent,
+  stagesTouched,
+  createProgressReporter,
+  publishAnalysisPending
+} = require('../src/services/submissionProgress.service');
+
+describe('submission progress events', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  test('events carry stage, attempt and error code', () => {
+    const submission = { _id: 's1', assignment: 'a1', student: 'u1', semanticStatus: 'retry_wait',
+      semanticAttempt: 2, semanticMaxAttempts: 3, semanticErrorCode: 'PROVIDER_TIMEOUT',
+      ocrStatus: 'failed', ocrError: 'OCR_READING_ORDER_UNRELIABLE: The photographed page reading order could not be verified.' };
+    expect(buildProgressEvent(submission, 'semantic')).toMatchObject({ submissionId: 's1', assignmentId: 'a1',
+      stage: 'semantic', status: 'retry_wait', attempt: 2, maxAttempts: 3, errorCode: 'PROVIDER_TIMEOUT' });
+    expect(buildProgressEvent(submission, 'ocr')).toMatchObject({ stage: 'ocr', status: 'failed',
+      attempt: null, errorCode: 'OCR_READING_ORDER_UNRELIABLE' });
+    expect(stagesTouched({ evaluationStatus: 'processing', evaluationJobId: 'j' })).toEqual(['evaluation']);
+    expect(stagesTouched({ correctionJobId: 'j' })).toEqual([]);
+  });
+
+  test('a pipeline transition publishes the written stage to the assignment teacher', () => {
+    const reportProgress = createProgressReporter({
+      submission: { _id: 's1', assignment: 'a1', student: 'u1', semanticStatus: 'processing', semanticMaxAttempts: 3 },
+      teacherId: 'teacher-1'
+    });
+    reportProgress({ semanticStatus: 'retry_wait', semanticAttempt: 1, semanticErrorCode: 'PROVIDER_TIMEOUT' });
+    reportProgress({ evaluationStatus: 'failed', evaluationErrorCode: 'EVALUATION_PROVIDER_FAILED' });
+
+    expect(mockPublishToUser).toHaveBeenNthCalledWith(1, { userId: 'teacher-1', event: 'submission_progress',
+      payload: expect.objectContaining({ stage: 'semantic', status: 'retry_wait', attempt: 1, maxAttempts: 3,
+        errorCode: 'PROVIDER_TIMEOUT' }) });
+    expect(mockPublishToUser).toHaveBeenNthCalledWith(2, { userId: 'teacher-1', event: 'submission_progress',
+      payload: expect.objectContaining({ stage: 'evaluation', status: 'failed', errorCode: 'EVALUATION_PROVIDER_FAILED' }) });
+  });
+
+  test('a run without a known teacher publishes nothing', () => {
+    createProgressReporter({ submission: { _id: 's1' }, teacherId: null })({ ocrStatus: 'completed' });
+    expect(mockPublishToUser).not.toHaveBeenCalled();
+  });
+
+  test('a resubmission reset publishes every stage back to pending', () => {
+    publishAnalysisPending({ _id: 's2', assignment: 'a1', student: 'u1', ocrStatus: 'pending', correctionStatus: 'pending',
+      semanticStatus: 'pending', semanticAttempt: 0, evaluationStatus: 'pending' }, { teacherId: 'teacher-1', reset: true });
+
+    const payloads = mockPublishToUser.mock.calls.map(([message]) => message.payload);
+    expect(payloads.map((payload) => payload.stage)).toEqual(['ocr', 'correction', 'semantic', 'evaluation']);
+    expect(payloads.every((payload) => payload.reset === true)).toBe(true);
+    expect(payloads.find((payload) => payload.stage === 'semantic')).toMatchObject({ status: 'pending', attempt: 0 });
+  });
+});
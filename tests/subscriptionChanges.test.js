@@ -0,0 +1,158 @@
+process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test';
+
+const mockStripe = {
+  subscriptions: { retrieve: jest.fn(), update: jest.fn() },
+  prices: { retrieve: jest.fn() },
+  invoices: { createPreview: jest.fn() },
+  webhooks: { constructEvent: jest.fn() }
+};
+const mockPlanFindOne = jest.fn();
+const mockSyncSubscription = jest.fn();
+const mockCreateNotification = jest.fn();
+const mockStripeEventCreate = jest.fn();
+const mockRecordInvoiceEvent = jest.fn();
+
+jest.mock('../src/services/stripe.service', () => ({ getStripe: () => mockStripe }));
+jest.mock('../src/models/Plan', () => ({ findOne: mockPlanFindOne }));
+jest.mock('../src/models/user.model', () => ({ findOneAndUpdate: jest.fn() }));
+jest.mock('../src/models/StripeEvent', () => ({ create: mockStripeEventCreate, deleteOne: jest.fn() }));
+jest.mock('../src/services/stripeSubscription.service', () => ({
+  ...jest.requireActual('../src/services/stripeSubscription.service'),
+  syncSubscription: mockSyncSubscription
+}));
+jest.mock('../src/services/notification.service', () => ({ createNotification: mockCreateNotification }));
+jest.mock('../src/services/billingInvoice.service', () => ({
+  ...jest.requireActual('../src/services/billingInvoice.service'),
+  recordInvoiceEvent: mockRecordInvoiceEvent
+}));
+
+const {
+  previewPlanChange,
+  changePlan,
+  cancelAtPeriodEnd,
+  resumeSubscription
+} = require('../src/services/subscriptionChange.service');
+const { stripeWebhook } = require('../src/controllers/stripeWebhook.controller');
+
+const starter = { name: 'Starter Monthly', slug: 'starter_monthly', price: 9.99, currency: 'USD', billingInterval: 'month',
+  stripe: { priceId: 'price_starter', productId: 'prod_starter' } };
+const pro = { name: 'Pro Monthly', slug: 'pro_monthly', price: 29, currency: 'USD', billingInterval: 'month',
+  stripe: { priceId: 'price_pro', productId: 'prod_pro' } };
+const plans = [starter, pro];
+
+const teacher = {
+  _id: '64b000000000000000000001', role: 'teacher', stripeCustomerId: 'cus_test',
+  stripeSubscriptionId: 'sub_test', stripeSubscriptionStatus: 'active'
+};
+
+function subscription(priceId, overrides = {}) {
+  return {
+    id: 'sub_test', customer: 'cus_test', status: 'active', cancel_at_period_end: false,
+    items: { data: [{ id: 'si_test', price: { id: priceId } }] },
+    ...overrides
+  };
+}
+
+function mockResponse() {
+  return {
+    status: jest.fn(function status(code) { this.statusCode = code; return this; }),
+    send: jest.fn(function send(body) { this.body = body; return this; }),
+    json: jest.fn(function json(body) { this.body = body; return this; })
+  };
+}
+
+describe('self-serve subscription changes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPlanFindOne.mockImplementation(async (filter) => plans.find((plan) =>
+      plan.slug === filter.slug || plan.stripe.priceId === filter['stripe.priceId']) || null);
+    mockStripe.prices.retrieve.mockImplementation(async (id) => {
+      const plan = plans.find((candidate) => candidate.stripe.priceId === id);
+      return { id, product: plan.stripe.productId, active: true, type: 'recurring',
+        unit_amount: Math.round(plan.price * 100), currency: 'usd', recurring: { interval: 'month' } };
+    });
+    mockStripe.subscriptions.retrieve.mockResolvedValue(subscription('price_starter'));
+    mockSyncSubscription.mockImplementation(async () => ({ ...teacher, synced: true }));
+  });
+
+  test('previews an upgrade and applies it with the same proration date, pending payment', async () => {
+    mockStripe.invoices.createPreview.mockResolvedValue({
+      currency: 'usd', amount_due: 1500,
+      lines: { data: [
+        { description: 'Unused time on Starter', amount: -500, parent: { subscription_item_details: { proration: true } } },
+        { description: 'Remaining time on Pro', amount: 2000, parent: { subscription_item_details: { proration: true } } }
+      ] }
+    });
+    const preview = await previewPlanChange({ user: teacher, planSlug: 'pro_monthly', now: new Date('2026-09-15T00:00:00Z') });
+    expect(preview).toMatchObject({
+      direction: 'upgrade', prorationAmount: 15, amountDue: 15, dueNow: true,
+      currentPlan: { slug: 'starter_monthly' }, plan: { slug: 'pro_monthly' }
+    });
+    expect(mockStripe.invoices.createPreview).toHaveBeenCalledWith(expect.objectContaining({
+      subscription: 'sub_test',
+      subscription_details: { items: [{ id: 'si_test', price: 'price_pro' }], proration_behavior: 'always_invoice', proration_date: preview.prorationDate }
+    }));
+
+    mockStripe.subscriptions.update.mockResolvedValue(subscription('price_starter', {
+      pending_update: { subscription_items: [] }, latest_invoice: { hosted_invoice_url: 'https://invoice.stripe.test/pay' }
+    }));
+    const result = await changePlan({ user: teacher, planSlug: 'pro_monthly', prorationDate: preview.prorationDate });
+    expect(mockStripe.subscriptions.update).toHaveBeenCalledWith('sub_test', expect.objectContaining({
+      proration_behavior: 'always_invoice', proration_date: preview.prorationDate, payment_behavior: 'pending_if_incomplete'
+    }), expect.objectContaining({ idempotencyKey: expect.stringContaining('price_pro') }));
+    expect(result).toMatchObject({ direction: 'upgrade', pendingPayment: true, hostedInvoiceUrl: 'https://invoice.stripe.test/pay', user: { synced: true } });
+
+    mockStripe.subscriptions.retrieve.mockResolvedValue(subscription('price_pro'));
+    mockStripe.subscriptions.update.mockResolvedValue(subscription('price_starter'));
+    const downgrade = await changePlan({ user: teacher, planSlug: 'starter_monthly' });
+    expect(downgrade).toMatchObject({ direction: 'downgrade', pendingPayment: false });
+    expect(mockStripe.subscriptions.update).toHaveBeenLastCalledWith('sub_test',
+      expect.not.objectContaining({ payment_behavior: expect.anything() }), expect.anything());
+    await expect(changePlan({ user: teacher, planSlug: 'pro_monthly' })).rejects.toMatchObject({ statusCode: 409, code: 'PLAN_UNCHANGED' });
+  });
+
+  test('cancels at period end and resumes, rejecting no-op and missing subscriptions', async () => {
+    mockStripe.subscriptions.update.mockImplementation(async (id, params) => subscription('price_starter', params));
+    await cancelAtPeriodEnd({ user: teacher });
+    expect(mockStripe.subscriptions.update).toHaveBeenCalledWith('sub_test', { cancel_at_period_end: true });
+    await expect(resumeSubscription({ user: teacher })).rejects.toMatchObject({ statusCode: 409, code: 'NOT_CANCELING' });
+
+    mockStripe.subscriptions.retrieve.mockResolvedValue(subscription('price_starter', { cancel_at_period_end: true }));
+    await expect(cancelAtPeriodEnd({ user: teacher })).rejects.toMatchObject({ code: 'ALREADY_CANCELING' });
+    await resumeSubscription({ user: teacher });
+    expect(mockStripe.subscriptions.update).toHaveBeenLastCalledWith('sub_test', { cancel_at_period_end: false });
+
+    await expect(cancelAtPeriodEnd({ user: { ...teacher, stripeSubscriptionStatus: 'canceled' } }))
+      .rejects.toMatchObject({ statusCode: 409, code: 'NO_ACTIVE_SUBSCRIPTION' });
+  });
+
+  test('webhooks notify the teacher in-app when a trial is ending or a payment needs action', async () => {
+    mockStripeEventCreate.mockResolvedValue({});
+    const trial = subscription('price_starter', { status: 'trialing', trial_end: 1790812800 });
+    mockStripe.webhooks.constructEvent.mockReturnValueOnce({
+      id: 'evt_trial', type: 'customer.subscription.trial_will_end', data: { object: trial }
+    });
+    const trialRes = mockResponse();
+    await stripeWebhook({ headers: { 'stripe-signature': 'valid' }, body: Buffer.from('{}') }, trialRes);
+    expect(trialRes.body).toEqual({ received: true });
+    expect(mockSyncSubscription).toHaveBeenCalledWith(trial);
+    expect(mockCreateNotification).toHaveBeenCalledWith(expect.objectContaining({
+      recipientId: teacher._id, type: 'billing_update', description: expect.stringContaining('2026-10-01'),
+      data: expect.objectContaining({ kind: 'trial_will_end', subscriptionId: 'sub_test' })
+    }));
+
+    const invoice = { id: 'in_test', customer: 'cus_test', status: 'open', hosted_invoice_url: 'https://invoice.stripe.test/confirm',
+      parent: { subscription_details: { subscription: 'sub_test' } } };
+    mockStripe.webhooks.constructEvent.mockReturnValueOnce({
+      id: 'evt_action', type: 'invoice.payment_action_required', data: { object: invoice }
+    });
+    mockCreateNotification.mockRejectedValueOnce(new Error('realtime down'));
+    const actionRes = mockResponse();
+    await stripeWebhook({ headers: { 'stripe-signature': 'valid' }, body: Buffer.from('{}') }, actionRes);
+    expect(actionRes.body).toEqual({ received: true });
+    expect(mockSyncSubscription).toHaveBeenLastCalledWith(expect.objectContaining({ id: 'sub_test' }), invoice);
+    expect(mockCreateNotification).toHaveBeenLastCalledWith(expect.objectContaining({
+      data: expect.objectContaining({ kind: 'payment_action_required', invoiceId: 'in_test', hostedInvoiceUrl: 'https://invoice.stripe.test/confirm' })
+    }));
+  });
+});
@@ -0,0 +1,163 @@
+const { EventEmitter } = require('events');
+
+const mockLedgerCreate = jest.fn();
+const mockLedgerAggregate = jest.fn();
+const mockLedgerFindOne = jest.fn();
+const mockPlanFindOne = jest.fn();
+const mockTotals = new Map();
+const mockTotalKey = ({ userId, metric, periodStart }) => `${userId}:${metric}:${periodStart.getTime()}`;
+
+jest.mock('../src/models/UsageLedgerEntry', () => ({
+  create: mockLedgerCreate,
+  aggregate: mockLedgerAggregate,
+  findOne: mockLedgerFindOne,
+  USAGE_METRICS: ['assignments', 'submissions', 'aiFlashcards', 'aiWorksheets', 'adaptiveLearning']
+}));
+jest.mock('../src/models/UsagePeriodTotal', () => ({
+  exists: jest.fn(async (filter) => mockTotals.has(mockTotalKey(filter))),
+  create: jest.fn(async (doc) => { mockTotals.set(mockTotalKey(doc), { ...doc }); return doc; }),
+  findOneAndUpdate: jest.fn(async (filter, update) => {
+    const total = mockTotals.get(mockTotalKey(filter));
+    if (!total || (filter.used && total.used > filter.used.$lte)) return null;
+    total.used += update.$inc.used;
+    return total;
+  }),
+  updateOne: jest.fn(async (filter, update) => {
+    const total = mockTotals.get(mockTotalKey(filter));
+    if (total) total.used += update.$inc.used;
+  })
+}));
+jest.mock('../src/models/Plan', () => ({ findOne: mockPlanFindOne, findById: jest.fn() }));
+jest.mock('../src/models/user.model', () => ({ updateOne: jest.fn(), findById: jest.fn() }));
+
+const { billingPeriod, chargeUsage, refundUsage } = require('../src/services/usageLedger.service');
+const { incrementUsage, reserveAiWorksheetUsage } = require('../src/middlewares/usage.middleware');
+
+const userId = '507f1f77bcf86cd799439001';
+
+describe('usage ledger', () => {
+  const now = new Date('2026-10-19T12:00:00Z');
+  let ledger;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockTotals.clear();
+    ledger = [];
+    mockLedgerCreate.mockImplementation(async (doc) => {
+      if (doc.refundOf && ledger.some((entry) => String(entry.refundOf) === String(doc.refundOf))) {
+        throw Object.assign(new Error('duplicate key'), { code: 11000 });
+      }
+      const entry = { _id: `entry-${ledger.length + 1}`, ...doc };
+      ledger.push(entry);
+      return entry;
+    });
+    mockLedgerAggregate.mockImplementation(async ([{ $match }]) => {
+      const totals = {};
+      for (const entry of ledger) {
+        if (String(entry.userId) !== String($match.userId) || entry.periodStart.getTime() !== $match.periodStart.getTime()) continue;
+        if ($match.metric && entry.metric !== $match.metric) continue;
+        totals[entry.metric] = (totals[entry.metric] || 0) + entry.amount;
+      }
+      return Object.entries(totals).map(([metric, used]) => ({ _id: metric, used }));
+    });
+    mockLedgerFindOne.mockImplementation((filter) => ({
+      sort: () => ({
+        lean: async () => [...ledger].reverse().find((entry) => entry.kind === filter.kind
+          && entry.metric === filter.metric && entry.reference === filter.reference) || null
+      })
+    }));
+  });
+
+  test('periods follow an entitled Stripe subscription, otherwise the calendar month', () => {
+    expect(billingPeriod({ _id: userId }, now)).toEqual({
+      start: new Date('2026-10-01T00:00:00Z'), end: new Date('2026-11-01T00:00:00Z'), source: 'calendar'
+    });
+
+    const subscriber = {
+      _id: userId,
+      stripeSubscriptionStatus: 'active',
+      stripeCurrentPeriodStart: new Date('2026-10-07T08:00:00Z'),
+      stripeCurrentPeriodEnd: new Date('2026-11-07T08:00:00Z')
+    };
+    expect(billingPeriod(subscriber, now)).toMatchObject({ start: subscriber.stripeCurrentPeriodStart, source: 'stripe' });
+    expect(billingPeriod({ ...subscriber, stripeSubscriptionStatus: 'canceled' }, now).source).toBe('calendar');
+    expect(billingPeriod(subscriber, new Date('2026-11-08T00:00:00Z')).start).toEqual(new Date('2026-11-01T00:00:00Z'));
+  });
+
+  test('charges stop at the limit, a new period starts from zero and refunds happen once', async () => {
+    const user = { _id: userId };
+    const first = await chargeUsage({ user, metric: 'submissions', limit: 2, reference: 'submission:a', now });
+    await chargeUsage({ user, metric: 'submissions', limit: 2, reference: 'submission:b', now });
+    expect(first).toMatchObject({ kind: 'charge', amount: 1, periodStart: new Date('2026-10-01T00:00:00Z') });
+
+    // Over the limit nothing is written, so there is nothing to refund
+    expect(await chargeUsage({ user, metric: 'submissions', limit: 2, now })).toBeNull();
+    expect(ledger).toHaveLength(2);
+
+    const nextMonth = new Date('2026-11-02T09:00:00Z');
+    expect(await chargeUsage({ user, metric: 'submissions', limit: 2, now: nextMonth })).toMatchObject({
+      periodStart: new Date('2026-11-01T00:00:00Z')
+    });
+
+    const refund = await refundUsage({ userId, metric: 'submissions', reference: 'submission:a', reason: 'analysis_failed' });
+    expect(refund).toMatchObject({ kind: 'refund', amount: -1, refundOf: first._id, periodStart: first.periodStart });
+    expect(await refundUsage({ userId, metric: 'submissions', reference: 'submission:a' })).toBeNull();
+    expect(await chargeUsage({ user, metric: 'submissions', limit: 2, now })).not.toBeNull();
+  });
+
+  test('a period total missing for earlier charges is seeded from the ledger', async () => {
+    const periodStart = new Date('2026-10-01T00:00:00Z');
+    ledger.push({ _id: 'old-1', userId, metric: 'aiWorksheets', periodStart, kind: 'charge', amount: 2 });
+
+    expect(await chargeUsage({ user: { _id: userId }, metric: 'aiWorksheets', limit: 2, now })).toBeNull();
+    expect(await chargeUsage({ user: { _id: userId }, metric: 'aiWorksheets', limit: 3, now })).not.toBeNull();
+  });
+
+  test('a negative periodic increment refunds the referenced charge and needs a reference', async () => {
+    const user = { _id: userId };
+    require('../src/models/user.model').findById.mockReturnValue({ select: () => ({ lean: async () => user }) });
+    await incrementUsage(userId, { submissions: 1 }, { reference: 'submission:a' });
+
+    await expect(incrementUsage(userId, { submissions: -1, storageMB: -2 })).rejects.toThrow('submissions');
+    expect(require('../src/models/user.model').updateOne).not.toHaveBeenCalled();
+
+    await incrementUsage(userId, { submissions: -1 }, { reference: 'submission:a', reason: 'removed' });
+    expect(ledger.map((entry) => [entry.kind, entry.amount, entry.reason])).toEqual([
+      ['charge', 1, null], ['refund', -1, 'removed']
+    ]);
+  });
+
+  test('an AI generation that fails is refunded when the response finishes', async () => {
+    mockPlanFindOne.mockResolvedValue({ _id: 'free', slug: 'free', isActive: true,
+      features: { aiWorksheets: true, aiWorksheetsLimit: 1 } });
+    const user = { _id: userId, role: 'teacher', plan: null, save: jest.fn() };
+    const middleware = reserveAiWorksheetUsage();
+
+    const run = async () => {
+      const res = Object.assign(new EventEmitter(), {
+        statusCode: 200,
+        status: jest.fn(function status(code) { this.statusCode = code; return this; }),
+        json: jest.fn(function json() { return this; })
+      });
+      const next = jest.fn();
+      await middleware({ user }, res, next);
+      return { res, next };
+    };
+
+    const failed = await run();
+    expect(failed.next).toHaveBeenCalled();
+    failed.res.statusCode = 502;
+    failed.res.emit('finish');
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(ledger.map((entry) => entry.amount)).toEqual([1, -1]);
+
+    const succeeded = await run();
+    expect(succeeded.next).toHaveBeenCalled();
+    succeeded.res.emit('finish');
+
+    const denied = await run();
+    expect(denied.next).not.toHaveBeenCalled();
+    expect(denied.res.statusCode).toBe(403);
+    expect(denied.res.json).toHaveBeenCalledWith({ success: false, message: 'Limit exceeded: aiWorksheets' });
+  });
+});
@@ -0,0 +1,75 @@
+const {
+  findLayoutConflicts,
+  formatCellRange,
+  generateCrossword,
+  generateWordSearch
+} = require('../src/services/wordGrid.service');
+const { gradeWorksheetAnswers } = require('../src/services/worksheetScoring.service');
+
+const vocabulary = ['photosynthesis', 'chlorophyll', 'root', 'stem', 'leaf', 'xylem', 'phloem', 'stoma', 'light', 'water'];
+
+describe('word grid engine', () => {
+  test('a seed reproduces the word search layout regardless of word order', () => {
+    const first = generateWordSearch({ words: vocabulary, gridSize: 12, difficulty: 'hard', seed: 'plants' });
+    const again = generateWordSearch({ words: [...vocabulary].reverse(), gridSize: 12, difficulty: 'hard', seed: 'plants' });
+
+    expect(first.grid).toEqual(again.grid);
+    expect(first.gridSize).toBe(14);
+    expect(first.grid.every((row) => row.length === 14)).toBe(true);
+    expect(first.placements).toHaveLength(vocabulary.length);
+    expect(findLayoutConflicts('wordSearch', first)).toEqual([]);
+    expect(generateWordSearch({ words: vocabulary, seed: 'other' }).grid).not.toEqual(first.grid);
+
+    const easy = generateWordSearch({ words: vocabulary, difficulty: 'easy', seed: 'plants' });
+    expect(new Set(easy.placements.map((p) => p.direction))).toEqual(new Set(['across', 'down']));
+    expect(generateWordSearch({ words: ['Tree', 'tree', 'a'] }).words).toEqual(['Tree']);
+  });
+
+  test('crosswords cross every placed word, number entries in reading order and rebuild from the seed', () => {
+    const words = vocabulary.map((word) => ({ word, clue: `Clue for ${word}` }));
+    const crossword = generateCrossword({ words, seed: 'plants' });
+
+    expect(crossword.words.length + crossword.unplaced.length).toBe(vocabulary.length);
+    expect(findLayoutConflicts('crossword', crossword)).toEqual([]);
+    expect(crossword.solution).toHaveLength(crossword.rows);
+    const starts = crossword.words.map((w) => [w.row, w.col, w.number]);
+    const numbered = [...starts].sort((a, b) => a[0] - b[0] || a[1] - b[1]).map((s) => s[2]);
+    expect(numbered).toEqual([...numbered].sort((a, b) => a - b));
+    expect(crossword.words[0].id).toMatch(/^cw_1[ad]$/);
+
+    const rebuilt = generateCrossword({ words: [...crossword.words, ...crossword.unplaced], seed: crossword.seed });
+    expect(rebuilt.solution).toEqual(crossword.solution);
+    expect(rebuilt.words).toEqual(crossword.words);
+  });
+
+  test('found words are checked against the grid cells and crossword entries cell by cell', () => {
+    const wordSearch = generateWordSearch({ words: ['root', 'stem', 'leaf'], seed: 'grading' });
+    expect(wordSearch.placements.map((p) => p.id)).toEqual(['ws_root', 'ws_stem', 'ws_leaf']);
+    const crossword = generateCrossword({ words: [{ word: 'xylem', clue: 'Carries water' }, { word: 'leaf', clue: 'Green part' }], seed: 'grading' });
+    const worksheet = { activities: [
+      { type: 'wordSearch', title: 'Find them', data: wordSearch },
+      { type: 'crossword', title: 'Cross', data: crossword }
+    ] };
+    const [root, stem, leaf] = wordSearch.placements;
+    const [first, second] = crossword.words;
+
+    const result = gradeWorksheetAnswers({
+      worksheet,
+      answers: [
+        { sectionId: 'activity_0', questionId: root.id, studentAnswer: formatCellRange(root) },
+        { sectionId: 'activity_0', questionId: stem.id, studentAnswer: formatCellRange(stem).split('-').reverse().join('-') },
+        { sectionId: 'activity_0', questionId: leaf.id, studentAnswer: '0,0-2,1' },
+        { sectionId: 'activity_1', questionId: first.id, studentAnswer: first.word.toUpperCase() },
+        { sectionId: 'activity_1', questionId: second.id, studentAnswer: `${second.word.slice(0, -1)}x` }
+      ]
+    });
+
+    expect(result.gradedAnswers.map((a) => a.isCorrect)).toEqual([true, true, false, true, false]);
+    expect(result.gradedAnswers[2].aiGradingFeedback).toBe(`Incorrect. Correct: ${formatCellRange(leaf)}`);
+    expect(result.totals).toMatchObject({ totalPointsEarned: 3, totalPointsPossible: 5 });
+    expect(result.sections.map((s) => [s.sectionId, s.activityType, s.earnedPoints])).toEqual([
+      ['activity_0', 'wordSearch', 2],
+      ['activity_1', 'crossword', 1]
+    ]);
+  });
+});
@@ -0,0 +1,85 @@
+const { gradeWorksheetAnswers } = require('../src/services/worksheetScoring.service');
+
+const worksheet = {
+  activities: [
+    {
+      type: 'clozePassage', title: 'Weekend story', order: 0,
+      data: { wordBank: ['went', 'saw'], passage: [
+        { type: 'text', value: 'On Saturday I ' },
+        { type: 'blank', blankId: 'b1', correctAnswer: 'went', acceptedAnswers: ['walked'] },
+        { type: 'text', value: ' to the park and ' },
+        { type: 'blank', blankId: 'b2', correctAnswer: 'saw' },
+        { type: 'text', value: ' a fox.' }
+      ] }
+    },
+    {
+      type: 'readingComprehension', order: 1,
+      data: { passage: 'Tom walked home after school.', questions: [
+        { id: 'r1', questionType: 'multipleChoice', text: 'Who walked?', options: ['Tom', 'Ann'], correctAnswer: 'Tom' },
+        { id: 'r2', questionType: 'trueFalse', text: 'Tom took the bus.', correctAnswer: false },
+        { id: 'r3', questionType: 'shortAnswer', text: 'Where did he go?', correctAnswer: 'home', acceptedAnswers: ['his house'] }
+      ] }
+    },
+    {
+      type: 'errorCorrection', order: 2,
+      data: { sentences: [
+        { id: 'e1', text: 'She go to school every day.', errorText: 'go', correction: 'goes' },
+        { id: 'e2', text: 'He have a dog.', errorText: 'have', correction: 'has' },
+        { id: 'e3', text: 'They was late.', errorText: 'was', correction: 'were' }
+      ] }
+    },
+    {
+      type: 'dictation', order: 3,
+      data: { displaySeconds: 8, sentences: [
+        { id: 'd1', text: 'The cat sat on the mat.' },
+        { id: 'd2', text: 'It was raining, so we stayed in.' }
+      ] }
+    }
+  ]
+};
+
+describe('extended worksheet activity types', () => {
+  test('each type is graded per question under its activity_N section', () => {
+    const result = gradeWorksheetAnswers({
+      worksheet,
+      answers: [
+        { sectionId: 'activity_0', questionId: 'b1', studentAnswer: 'Walked' },
+        { sectionId: 'activity_0', questionId: 'b2', studentAnswer: 'seen' },
+        { sectionId: 'activity_1', questionId: 'r1', studentAnswer: 'Tom' },
+        { sectionId: 'activity_1', questionId: 'r2', studentAnswer: 'false' },
+        { sectionId: 'activity_1', questionId: 'r3', studentAnswer: 'His house.' },
+        { sectionId: 'activity_2', questionId: 'e1', studentAnswer: 'goes' },
+        { sectionId: 'activity_2', questionId: 'e2', studentAnswer: 'He has a dog.' },
+        { sectionId: 'activity_2', questionId: 'e3', studentAnswer: 'is' },
+        { sectionId: 'activity_3', questionId: 'd1', studentAnswer: 'the cat sat on the mat' },
+        { sectionId: 'activity_3', questionId: 'd2', studentAnswer: 'It was raining so we stay in.' }
+      ]
+    });
+
+    const outcome = Object.fromEntries(result.gradedAnswers.map((a) => [a.questionId, a.isCorrect]));
+    expect(outcome).toEqual({
+      b1: true, b2: false, r1: true, r2: true, r3: true,
+      e1: true, e2: true, e3: false, d1: true, d2: false
+    });
+    expect(result.gradedAnswers.find((a) => a.questionId === 'e3').aiGradingFeedback).toBe('Incorrect. Correct: were');
+
+    expect(result).toMatchObject({ earnedPoints: 7, totalPoints: 10, score: 70 });
+    expect(result.sections.map((s) => [s.sectionId, s.sectionName, s.activityType, s.earnedPoints, s.totalPoints]))
+      .toEqual([
+        ['activity_0', 'Weekend story', 'clozePassage', 1, 2],
+        ['activity_1', 'Reading Comprehension', 'readingComprehension', 3, 3],
+        ['activity_2', 'Find and Fix the Error', 'errorCorrection', 2, 3],
+        ['activity_3', 'Dictation (from text)', 'dictation', 1, 2]
+      ]);
+  });
+
+  test('unanswered questions still count toward the worksheet total', () => {
+    const result = gradeWorksheetAnswers({
+      worksheet,
+      answers: [{ sectionId: 'activity_3', questionId: 'd1', studentAnswer: 'The cat sat on the mat' }]
+    });
+    expect(result.totals).toMatchObject({ totalPointsEarned: 1, totalPointsPossible: 10, percentage: 10 });
+    expect(result.totals.breakdown.activity_0).toEqual({ earned: 0, possible: 2 });
+  });
+
+});
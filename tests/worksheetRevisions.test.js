@@ -0,0 +1,160 @@
+const mockWorksheetFindOne = jest.fn();
+const mockWorksheetFindOneAndUpdate = jest.fn();
+const mockPinFindOne = jest.fn();
+const mockPinCreate = jest.fn();
+const mockRevisionFindOne = jest.fn();
+const mockRevisionCreate = jest.fn();
+const mockSubmissionFind = jest.fn();
+const mockSubmissionUpdateOne = jest.fn();
+
+jest.mock('../src/models/Worksheet', () => ({
+  findOne: mockWorksheetFindOne,
+  findOneAndUpdate: mockWorksheetFindOneAndUpdate
+}));
+jest.mock('../src/models/WorksheetRevision', () => ({ findOne: mockRevisionFindOne, create: mockRevisionCreate }));
+jest.mock('../src/models/WorksheetRevisionPin', () => ({ findOne: mockPinFindOne, create: mockPinCreate }));
+jest.mock('../src/models/WorksheetSubmission', () => ({ find: mockSubmissionFind, updateOne: mockSubmissionUpdateOne }));
+
+const {
+  pinStudentRevision,
+  regradeSubmissions,
+  resolveStudentRevision,
+  updateWorksheetContent
+} = require('../src/services/worksheetRevision.service');
+
+const ownerId = '507f1f77bcf86cd799439001';
+const worksheetId = '507f1f77bcf86cd799439011';
+
+const quiz = (correctAnswer) => [{
+  _id: 'sub-doc-id', type: 'multipleChoice', title: 'Quiz', instructions: 'Pick one', order: 0,
+  data: { questions: [
+    { id: 'q1', text: 'go ->', options: ['goed', 'went'], correctAnswer },
+    { id: 'q2', text: 'see ->', options: ['saw', 'seed'], correctAnswer: 'saw' }
+  ] }
+}];
+
+function lean(value) {
+  return { lean: jest.fn().mockResolvedValue(value) };
+}
+
+function selectLean(value) {
+  return { select: () => lean(value) };
+}
+
+describe('worksheet revisions', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  test('content edits bump the revision and snapshot both sides; other edits do not', async () => {
+    const legacy = { _id: worksheetId, createdBy: ownerId, title: 'Past simple', activities: quiz('goed'), tags: [] };
+    mockWorksheetFindOne.mockReturnValue(lean(legacy));
+    mockRevisionFindOne.mockReturnValue(selectLean(null));
+    mockWorksheetFindOneAndUpdate.mockImplementation(async (filter, update) => ({ ...legacy, ...update.$set }));
+
+    const updated = await updateWorksheetContent({
+      worksheetId, ownerId, update: { activities: quiz('went').map(({ _id, ...a }) => a), revision: 9, tags: ['verbs'] }
+    });
+
+    expect(mockRevisionCreate.mock.calls[0][0]).toMatchObject({ worksheetId, revision: 1, content: { activities: [{ type: 'multipleChoice' }] } });
+    expect(mockRevisionCreate.mock.calls[0][0].content.activities[0]).not.toHaveProperty('_id');
+    const [filter, update] = mockWorksheetFindOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({ _id: worksheetId, createdBy: ownerId, revision: { $in: [1, null] } });
+    expect(update.$set).toMatchObject({ revision: 2, tags: ['verbs'] });
+    expect(updated.revision).toBe(2);
+    expect(mockRevisionCreate.mock.calls[1][0]).toMatchObject({ revision: 2, createdBy: ownerId, changedFields: ['activities'] });
+
+    jest.clearAllMocks();
+    mockWorksheetFindOne.mockReturnValue(lean({ ...legacy, revision: 2 }));
+    mockWorksheetFindOneAndUpdate.mockResolvedValue({ ...legacy, revision: 2, tags: ['past'] });
+    // Same content in a different key order is not a change
+    const reordered = legacy.activities.map(({ data, ...rest }) => ({ data, ...rest }));
+    await updateWorksheetContent({ worksheetId, ownerId, update: { tags: ['past'], activities: reordered } });
+    expect(mockWorksheetFindOneAndUpdate.mock.calls[0][1].$set).not.toHaveProperty('revision');
+    expect(mockRevisionCreate).not.toHaveBeenCalled();
+
+    mockRevisionFindOne.mockReturnValue(selectLean({ _id: 'rev2' }));
+    mockWorksheetFindOneAndUpdate.mockResolvedValue(null);
+    await expect(updateWorksheetContent({ worksheetId, ownerId, update: { title: 'Irregular verbs' } }))
+      .rejects.toMatchObject({ statusCode: 409, code: 'REVISION_CONFLICT' });
+  });
+
+  test('a student with a pin keeps the revision they started on', async () => {
+    const current = { _id: worksheetId, createdBy: ownerId, revision: 2, title: 'Past simple v2', activities: quiz('went') };
+    mockPinFindOne.mockReturnValue(selectLean({ worksheetRevision: 1 }));
+    mockRevisionFindOne.mockReturnValue(lean({ revision: 1, content: { title: 'Past simple', activities: quiz('goed') } }));
+
+    const pinned = await resolveStudentRevision({ worksheet: current, studentId: 'student1', assignmentId: 'assignment1' });
+    expect(mockPinFindOne).toHaveBeenCalledWith({ worksheetId, studentId: 'student1', assignmentId: 'assignment1' });
+    expect(pinned.revision).toBe(1);
+    expect(pinned.worksheet).toMatchObject({ revision: 1, title: 'Past simple' });
+
+    // Without a pin the student is on the current revision, whatever the client asks for
+    mockPinFindOne.mockReturnValue(selectLean(null));
+    const fresh = await resolveStudentRevision({ worksheet: current, studentId: 'student2', assignmentId: 'assignment1',
+      worksheetRevision: 1, requested: 1 });
+    expect(fresh).toEqual({ revision: 2, worksheet: current });
+  });
+
+  test('opening an assignment pins the current revision once', async () => {
+    const current = { _id: worksheetId, revision: 3 };
+    mockPinFindOne.mockReturnValueOnce(selectLean(null));
+    mockPinCreate.mockResolvedValueOnce({});
+
+    await expect(pinStudentRevision({ worksheet: current, studentId: 'student1', assignmentId: 'assignment1' }))
+      .resolves.toBe(3);
+    expect(mockPinCreate).toHaveBeenCalledWith(
+      { assignmentId: 'assignment1', studentId: 'student1', worksheetId, worksheetRevision: 3 }
+    );
+
+    // Later opens only read the pin, even after the worksheet moved on
+    mockPinFindOne.mockReturnValueOnce(selectLean({ worksheetRevision: 3 }));
+    await expect(pinStudentRevision({ worksheet: { ...current, revision: 4 }, studentId: 'student1', assignmentId: 'assignment1' }))
+      .resolves.toBe(3);
+    expect(mockPinCreate).toHaveBeenCalledTimes(1);
+
+    // A concurrent first open that loses the insert returns the winner's revision
+    mockPinFindOne.mockReturnValueOnce(selectLean(null)).mockReturnValueOnce(selectLean({ worksheetRevision: 3 }));
+    mockPinCreate.mockRejectedValueOnce(Object.assign(new Error('duplicate'), { code: 11000 }));
+    await expect(pinStudentRevision({ worksheet: { ...current, revision: 4 }, studentId: 'student1', assignmentId: 'assignment1' }))
+      .resolves.toBe(3);
+  });
+
+  test('regrading reports the score diff and only saves when not a dry run', async () => {
+    mockWorksheetFindOne.mockReturnValue(lean({ _id: worksheetId, createdBy: ownerId, revision: 2, activities: quiz('went') }));
+    const submissions = [
+      {
+        _id: 's1', studentId: 'student1', assignmentId: 'a1', worksheetRevision: null, score: 50, earnedPoints: 1, totalPoints: 2,
+        answers: [
+          { sectionId: 'activity3', questionId: 'q1', studentAnswer: 'went', isCorrect: false },
+          { sectionId: 'activity3', questionId: 'q2', studentAnswer: 'saw', isCorrect: true }
+        ]
+      },
+      {
+        _id: 's2', studentId: 'student2', assignmentId: 'a1', worksheetRevision: 2, score: 50, earnedPoints: 1, totalPoints: 2,
+        answers: [
+          { sectionId: 'activity3', questionId: 'q1', studentAnswer: 'went', isCorrect: true },
+          { sectionId: 'activity3', questionId: 'q2', studentAnswer: 'seed', isCorrect: false }
+        ]
+      }
+    ];
+    mockSubmissionFind.mockReturnValue(selectLean(submissions));
+
+    const preview = await regradeSubmissions({ worksheetId, ownerId, revision: '2', dryRun: true });
+    expect(preview).toMatchObject({ revision: 2, dryRun: true, submissions: 2, changed: 1, averageScoreBefore: 50, averageScoreAfter: 75 });
+    expect(preview.results[0]).toMatchObject({
+      submissionId: 's1', fromRevision: 1, scoreChange: 50,
+      previous: { score: 50, earnedPoints: 1 }, next: { score: 100, earnedPoints: 2 },
+      changedQuestions: [{ sectionId: 'activity3', questionId: 'q1', wasCorrect: false, isCorrect: true }]
+    });
+    expect(preview.results[1]).toMatchObject({ scoreChange: 0, changedQuestions: [] });
+    expect(mockSubmissionUpdateOne).not.toHaveBeenCalled();
+
+    await regradeSubmissions({ worksheetId, ownerId, revision: 2 });
+    expect(mockSubmissionUpdateOne).toHaveBeenCalledTimes(1);
+    const [filter, update] = mockSubmissionUpdateOne.mock.calls[0];
+    expect(filter).toEqual({ _id: 's1' });
+    expect(update.$set).toMatchObject({ score: 100, earnedPoints: 2, worksheetRevision: 2 });
+    expect(update.$push.regrades).toMatchObject({ fromRevision: 1, toRevision: 2, previousScore: 50, newScore: 100, regradedBy: ownerId });
+
+    await expect(regradeSubmissions({ worksheetId, ownerId, revision: 3 })).rejects.toMatchObject({ statusCode: 404 });
+  });
+});